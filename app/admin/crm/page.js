@@ -0,0 +1,234 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from '@/components/ui/select';
+import {
+	Table,
+	TableBody,
+	TableCell,
+	TableHead,
+	TableHeader,
+	TableRow,
+} from '@/components/ui/table';
+import { toast } from 'sonner';
+import { Loader2, RefreshCw } from 'lucide-react';
+
+// --- Helpers ---
+
+const ACTION_FILTERS = {
+	changes: 'Changes, conflicts & errors',
+	conflict: 'Conflicts only',
+	error: 'Errors only',
+	all: 'Everything',
+};
+
+const ACTION_BADGES = {
+	pulled: { label: 'Pulled', variant: 'secondary' },
+	conflict: { label: 'Conflict', variant: 'outline', className: 'border-amber-400 text-amber-700' },
+	pushed: { label: 'Pushed', variant: 'outline' },
+	skipped: { label: 'Skipped', variant: 'outline', className: 'text-muted-foreground' },
+	error: { label: 'Error', variant: 'destructive' },
+};
+
+function formatDateTime(dateStr) {
+	if (!dateStr) return '—';
+	return new Date(dateStr).toLocaleString('en-US', {
+		month: 'short',
+		day: 'numeric',
+		hour: 'numeric',
+		minute: '2-digit',
+	});
+}
+
+function matchesFilter(entry, filter) {
+	if (filter === 'all') return true;
+	if (filter === 'changes') return entry.action !== 'pushed' && entry.action !== 'skipped';
+	return entry.action === filter;
+}
+
+// --- Main Component ---
+
+export default function AdminCrmSyncPage() {
+	const [runs, setRuns] = useState([]);
+	const [runId, setRunId] = useState(null);
+	const [log, setLog] = useState([]);
+	const [configured, setConfigured] = useState(true);
+	const [filter, setFilter] = useState('changes');
+	const [loading, setLoading] = useState(true);
+	const [running, setRunning] = useState(false);
+
+	const fetchRuns = useCallback(async (selectedRunId) => {
+		try {
+			const query = selectedRunId ? `?runId=${selectedRunId}` : '';
+			const response = await fetch(`/api/admin/crm-sync${query}`);
+			const data = await response.json();
+			if (!response.ok) throw new Error(data.error || 'Failed to load sync runs');
+			setRuns(data.runs);
+			setRunId(data.runId);
+			setLog(data.log);
+			setConfigured(data.configured);
+		} catch (error) {
+			toast.error(error.message);
+		} finally {
+			setLoading(false);
+		}
+	}, []);
+
+	useEffect(() => {
+		fetchRuns();
+	}, [fetchRuns]);
+
+	const handleRun = async () => {
+		setRunning(true);
+		try {
+			const response = await fetch('/api/admin/crm-sync', { method: 'POST' });
+			const data = await response.json();
+			if (!response.ok) throw new Error(data.error || 'Sync failed');
+			const { stats } = data.run;
+			toast.success(`Synced ${stats.clients} clients: ${stats.pulled_fields} fields pulled, ${stats.conflicts} conflicts`);
+			fetchRuns(data.run.id);
+		} catch (error) {
+			toast.error(error.message);
+		} finally {
+			setRunning(false);
+		}
+	};
+
+	if (loading) {
+		return (
+			<div className="p-6 max-w-[1400px] mx-auto space-y-4">
+				<Skeleton className="h-8 w-64" />
+				<Skeleton className="h-40 w-full" />
+			</div>
+		);
+	}
+
+	const run = runs.find(r => r.id === runId);
+	const stats = run?.stats;
+	const entries = log.filter(entry => matchesFilter(entry, filter));
+
+	return (
+		<div className="p-6 max-w-[1400px] mx-auto space-y-6">
+			{/* Header */}
+			<div className="flex items-center justify-between">
+				<div>
+					<h1 className="text-2xl font-bold">CRM Sync</h1>
+					<p className="text-sm text-muted-foreground mt-1">
+						Account name, address, type and owner pulled into clients with a Salesforce ID; match counts pushed back
+					</p>
+				</div>
+				<Button onClick={handleRun} disabled={running || !configured}>
+					{running ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <RefreshCw className="h-4 w-4 mr-2" />}
+					Sync Now
+				</Button>
+			</div>
+
+			{!configured && (
+				<Alert>
+					<AlertDescription>
+						The CRM is not configured. Set CRM_API_URL and CRM_ACCESS_TOKEN, or run
+						<code className="mx-1">node scripts/clients/mock-crm-server.mjs</code>for local testing.
+					</AlertDescription>
+				</Alert>
+			)}
+
+			{/* Run picker and filter */}
+			<div className="bg-gray-50 dark:bg-gray-900 rounded-lg p-4 flex flex-wrap gap-3 items-end">
+				<div className="min-w-[260px]">
+					<label className="text-xs font-medium text-muted-foreground mb-1 block">Sync run</label>
+					<Select value={runId || ''} onValueChange={fetchRuns}>
+						<SelectTrigger>
+							<SelectValue placeholder="No sync yet" />
+						</SelectTrigger>
+						<SelectContent>
+							{runs.map(r => (
+								<SelectItem key={r.id} value={r.id}>
+									{formatDateTime(r.started_at)} · {r.trigger}{r.status !== 'completed' ? ` (${r.status})` : ''}
+								</SelectItem>
+							))}
+						</SelectContent>
+					</Select>
+				</div>
+				<div className="min-w-[220px]">
+					<label className="text-xs font-medium text-muted-foreground mb-1 block">Show</label>
+					<Select value={filter} onValueChange={setFilter}>
+						<SelectTrigger>
+							<SelectValue />
+						</SelectTrigger>
+						<SelectContent>
+							{Object.entries(ACTION_FILTERS).map(([key, label]) => (
+								<SelectItem key={key} value={key}>{label}</SelectItem>
+							))}
+						</SelectContent>
+					</Select>
+				</div>
+				{stats && (
+					<p className="text-sm text-muted-foreground ml-auto">
+						{stats.clients} clients · {stats.accounts_found} accounts found · {stats.pulled_fields} fields pulled ·
+						{' '}{stats.conflicts} conflicts · {stats.owners_assigned} owners assigned · {stats.pushed} pushed · {stats.errors} errors
+					</p>
+				)}
+				{run?.error && <p className="text-sm text-red-600 w-full">{run.error}</p>}
+			</div>
+
+			{/* Log */}
+			<Table>
+				<TableHeader>
+					<TableRow>
+						<TableHead>Client</TableHead>
+						<TableHead>Action</TableHead>
+						<TableHead>Field</TableHead>
+						<TableHead>Local</TableHead>
+						<TableHead>CRM</TableHead>
+						<TableHead>Details</TableHead>
+					</TableRow>
+				</TableHeader>
+				<TableBody>
+					{entries.length === 0 ? (
+						<TableRow>
+							<TableCell colSpan={6} className="text-center text-muted-foreground py-8">
+								{run ? 'Nothing to show for this run' : 'Run a sync to see results'}
+							</TableCell>
+						</TableRow>
+					) : entries.map(entry => {
+						const badge = ACTION_BADGES[entry.action] || { label: entry.action, variant: 'outline' };
+						return (
+							<TableRow key={entry.id}>
+								<TableCell className="font-medium">
+									{entry.client?.name || '—'}
+									<span className="text-xs text-muted-foreground block">{entry.salesforce_id}</span>
+								</TableCell>
+								<TableCell>
+									<Badge variant={badge.variant} className={badge.className}>{badge.label}</Badge>
+								</TableCell>
+								<TableCell>{entry.field || '—'}</TableCell>
+								<TableCell className="text-sm max-w-[220px] truncate" title={entry.local_value || ''}>
+									{entry.local_value || '—'}
+								</TableCell>
+								<TableCell className="text-sm max-w-[220px] truncate" title={entry.crm_value || ''}>
+									{entry.crm_value || '—'}
+								</TableCell>
+								<TableCell className="text-sm">
+									{entry.action === 'conflict' && (
+										<span className="text-amber-700">{entry.resolution === 'crm' ? 'CRM value applied' : 'Local value kept'}</span>
+									)}
+									{entry.message}
+								</TableCell>
+							</TableRow>
+						);
+					})}
+				</TableBody>
+			</Table>
+		</div>
+	);
+}
@@ -5,12 +5,15 @@ import { useParams, useRouter } from 'next/navigation';
 import { toast } from 'sonner';
 import { ArrowLeft, Save } from 'lucide-react';
 import Link from 'next/link';
+import { SourceAuthFields, AUTH_TYPE_OPTIONS } from '@/components/admin/SourceAuthFields';
+import { SourceRateLimitFields } from '@/components/admin/SourceRateLimitFields';
 
 export default function EditFundingSource() {
 	const params = useParams();
 	const router = useRouter();
 	const [loading, setLoading] = useState(true);
 	const [saving, setSaving] = useState(false);
+	const [sourceAdapters, setSourceAdapters] = useState([]);
 	const [formData, setFormData] = useState({
 		name: '',
 		organization: '',
@@ -21,7 +24,7 @@ export default function EditFundingSource() {
 		auth_type: 'none',
 		auth_details: {},
 		update_frequency: 'daily',
-		handler_type: 'standard',
+		handler_type: '',
 		notes: '',
 		active: true,
 		configurations: {
@@ -34,6 +37,7 @@ export default function EditFundingSource() {
 				},
 			},
 			response_config: {
+				format: 'json',
 				responseDataPath: '',
 				totalCountPath: '',
 			},
@@ -58,6 +62,7 @@ export default function EditFundingSource() {
 				idParam: '',
 				detailResponseDataPath: '',
 			},
+			rate_limit_config: {},
 			response_mapping: {
 				title: '',
 				description: '',
@@ -97,6 +102,14 @@ export default function EditFundingSource() {
 		fetchSource();
 	}, [params.id]);
 
+	// Adapters the pipeline can fetch this source with
+	useEffect(() => {
+		fetch('/api/admin/source-adapters')
+			.then((response) => (response.ok ? response.json() : { adapters: [] }))
+			.then((data) => setSourceAdapters(data.adapters || []))
+			.catch((error) => console.error('Error fetching source adapters:', error));
+	}, []);
+
 	// Handle form input changes
 	const handleChange = (e) => {
 		const { name, value, type, checked } = e.target;
@@ -106,6 +119,18 @@ export default function EditFundingSource() {
 		}));
 	};
 
+	// Switching the auth type starts its details over; secrets stored for the
+	// previous type are removed on save
+	const handleAuthTypeChange = (e) => {
+		const { value } = e.target;
+		setFormData((prev) => ({
+			...prev,
+			auth_type: value,
+			auth_details: {},
+			auth_secret_fields: [],
+		}));
+	};
+
 	// Handle auth details changes
 	const handleAuthDetailsChange = (e) => {
 		const { name, value } = e.target;
@@ -330,6 +355,21 @@ export default function EditFundingSource() {
 		}));
 	};
 
+	// Blank rate limit inputs fall back to the pipeline defaults
+	const handleRateLimitConfigChange = (e) => {
+		const { name, value } = e.target;
+		setFormData((prev) => ({
+			...prev,
+			configurations: {
+				...prev.configurations,
+				rate_limit_config: {
+					...prev.configurations.rate_limit_config,
+					[name]: value === '' ? '' : Number(value),
+				},
+			},
+		}));
+	};
+
 	// Handle detail config header changes
 	const handleDetailHeaderChange = (e) => {
 		const { name, value } = e.target;
@@ -550,17 +590,31 @@ export default function EditFundingSource() {
 
 						<div>
 							<label className='block text-sm font-medium text-gray-700 mb-1'>
-								Handler Type
+								Source Adapter
 							</label>
 							<select
 								name='handler_type'
-								value={formData.handler_type}
+								value={formData.handler_type || ''}
 								onChange={handleChange}
 								className='w-full px-3 py-2 border border-gray-300 rounded-md'>
-								<option value='standard'>Standard API</option>
-								<option value='document'>Document API</option>
-								<option value='statePortal'>State Portal</option>
+								<option value=''>Automatic (two-step when detail calls are enabled)</option>
+								{sourceAdapters.map((adapter) => (
+									<option key={adapter.key} value={adapter.key}>
+										{adapter.label}
+									</option>
+								))}
+								{formData.handler_type &&
+									!sourceAdapters.some((a) => a.key === formData.handler_type) && (
+										<option value={formData.handler_type}>
+											{formData.handler_type} (legacy)
+										</option>
+									)}
 							</select>
+							{sourceAdapters.find((a) => a.key === formData.handler_type)?.description && (
+								<p className='mt-1 text-xs text-gray-500'>
+									{sourceAdapters.find((a) => a.key === formData.handler_type).description}
+								</p>
+							)}
 						</div>
 
 						<div>
@@ -649,91 +703,22 @@ export default function EditFundingSource() {
 							<select
 								name='auth_type'
 								value={formData.auth_type}
-								onChange={handleChange}
+								onChange={handleAuthTypeChange}
 								className='w-full px-3 py-2 border border-gray-300 rounded-md'>
-								<option value='none'>None</option>
-								<option value='api_key'>API Key</option>
-								<option value='bearer'>Bearer Token</option>
-								<option value='basic'>Basic Auth</option>
+								{AUTH_TYPE_OPTIONS.map((option) => (
+									<option key={option.value} value={option.value}>
+										{option.label}
+									</option>
+								))}
 							</select>
 						</div>
 
-						{formData.auth_type !== 'none' && (
-							<div className='space-y-4 p-4 bg-gray-50 rounded'>
-								<h4 className='font-medium'>Authentication Details</h4>
-								{formData.auth_type === 'api_key' && (
-									<>
-										<div>
-											<label className='block text-sm font-medium text-gray-700 mb-1'>
-												API Key
-											</label>
-											<input
-												type='password'
-												name='api_key'
-												value={formData.auth_details.api_key || ''}
-												onChange={handleAuthDetailsChange}
-												className='w-full px-3 py-2 border border-gray-300 rounded-md'
-											/>
-										</div>
-										<div>
-											<label className='block text-sm font-medium text-gray-700 mb-1'>
-												Header Name (optional)
-											</label>
-											<input
-												type='text'
-												name='header_name'
-												value={formData.auth_details.header_name || ''}
-												onChange={handleAuthDetailsChange}
-												placeholder='X-API-Key'
-												className='w-full px-3 py-2 border border-gray-300 rounded-md'
-											/>
-										</div>
-									</>
-								)}
-								{formData.auth_type === 'bearer' && (
-									<div>
-										<label className='block text-sm font-medium text-gray-700 mb-1'>
-											Bearer Token
-										</label>
-										<input
-											type='password'
-											name='token'
-											value={formData.auth_details.token || ''}
-											onChange={handleAuthDetailsChange}
-											className='w-full px-3 py-2 border border-gray-300 rounded-md'
-										/>
-									</div>
-								)}
-								{formData.auth_type === 'basic' && (
-									<>
-										<div>
-											<label className='block text-sm font-medium text-gray-700 mb-1'>
-												Username
-											</label>
-											<input
-												type='text'
-												name='username'
-												value={formData.auth_details.username || ''}
-												onChange={handleAuthDetailsChange}
-												className='w-full px-3 py-2 border border-gray-300 rounded-md'
-											/>
-										</div>
-										<div>
-											<label className='block text-sm font-medium text-gray-700 mb-1'>
-												Password
-											</label>
-											<input
-												type='password'
-												name='password'
-												value={formData.auth_details.password || ''}
-												onChange={handleAuthDetailsChange}
-												className='w-full px-3 py-2 border border-gray-300 rounded-md'
-											/>
-										</div>
-									</>
-								)}
-							</div>
-						)}
+						<SourceAuthFields
+							authType={formData.auth_type}
+							authDetails={formData.auth_details}
+							secretFields={formData.auth_secret_fields}
+							onChange={handleAuthDetailsChange}
+						/>
 					</div>
 				</div>
 
@@ -923,6 +908,46 @@ export default function EditFundingSource() {
 					</p>
 
 					<div className='grid grid-cols-1 md:grid-cols-2 gap-4'>
+						<div>
+							<label className='block text-sm font-medium text-gray-700 mb-1'>
+								Response Format
+							</label>
+							<select
+								name='format'
+								value={formData.configurations.response_config.format || 'json'}
+								onChange={handleResponseConfigChange}
+								className='w-full px-3 py-2 border border-gray-300 rounded-md'>
+								<option value='json'>JSON</option>
+								<option value='xml'>XML</option>
+								<option value='csv'>CSV</option>
+								<option value='rss'>RSS / Atom feed</option>
+							</select>
+							<p className='text-xs text-gray-500 mt-1'>
+								XML elements become fields (attributes as @_name). CSV rows
+								are keyed by the header row. Feed items have title, link,
+								description, content, published and categories.
+							</p>
+						</div>
+
+						{formData.configurations.response_config.format === 'csv' ? (
+							<div>
+								<label className='block text-sm font-medium text-gray-700 mb-1'>
+									CSV Delimiter
+								</label>
+								<input
+									type='text'
+									name='delimiter'
+									maxLength={1}
+									value={formData.configurations.response_config.delimiter || ''}
+									onChange={handleResponseConfigChange}
+									placeholder=','
+									className='w-full px-3 py-2 border border-gray-300 rounded-md'
+								/>
+							</div>
+						) : (
+							<div />
+						)}
+
 						<div>
 							<label className='block text-sm font-medium text-gray-700 mb-1'>
 								Response Data Path
@@ -936,8 +961,9 @@ export default function EditFundingSource() {
 								className='w-full px-3 py-2 border border-gray-300 rounded-md'
 							/>
 							<p className='text-xs text-gray-500 mt-1'>
-								Path to the data array in the response. Use dot notation for
-								nested fields.
+								Path to the records in the response. Use dot notation for
+								nested fields (for XML, e.g., programs.program). Leave empty
+								for CSV rows and feed items.
 							</p>
 						</div>
 
@@ -1350,6 +1376,12 @@ export default function EditFundingSource() {
 					)}
 				</div>
 
+				{/* Rate Limiting */}
+				<SourceRateLimitFields
+					rateLimitConfig={formData.configurations.rate_limit_config}
+					onChange={handleRateLimitConfigChange}
+				/>
+
 				{/* Response Mapping */}
 				<div className='bg-white p-6 rounded-lg shadow-md'>
 					<h2 className='text-xl font-semibold mb-4'>Response Mapping</h2>
@@ -1,8 +1,10 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
+import { SourceAuthFields, AUTH_TYPE_OPTIONS } from '@/components/admin/SourceAuthFields';
+import { SourceRateLimitFields } from '@/components/admin/SourceRateLimitFields';
 
 export default function NewSourcePage() {
 	const router = useRouter();
@@ -17,7 +19,7 @@ export default function NewSourcePage() {
 		auth_type: 'none',
 		auth_details: {},
 		update_frequency: 'daily',
-		handler_type: 'standard',
+		handler_type: '',
 		notes: '',
 		active: true,
 		configurations: {
@@ -30,6 +32,7 @@ export default function NewSourcePage() {
 				},
 			},
 			response_config: {
+				format: 'json',
 				responseDataPath: '',
 				totalCountPath: '',
 			},
@@ -53,6 +56,7 @@ export default function NewSourcePage() {
 				idParam: '',
 				detailResponseDataPath: '',
 			},
+			rate_limit_config: {},
 			response_mapping: {
 				title: '',
 				description: '',
@@ -71,6 +75,15 @@ export default function NewSourcePage() {
 	const [similarSources, setSimilarSources] = useState(null);
 	const [error, setError] = useState(null);
 	const [submitting, setSubmitting] = useState(false);
+	const [sourceAdapters, setSourceAdapters] = useState([]);
+
+	// Adapters the pipeline can fetch this source with
+	useEffect(() => {
+		fetch('/api/admin/source-adapters')
+			.then((response) => (response.ok ? response.json() : { adapters: [] }))
+			.then((data) => setSourceAdapters(data.adapters || []))
+			.catch((error) => console.error('Error fetching source adapters:', error));
+	}, []);
 
 	// Handle form input changes
 	const handleChange = (e) => {
@@ -81,6 +94,16 @@ export default function NewSourcePage() {
 		}));
 	};
 
+	// Switching the auth type starts its details over
+	const handleAuthTypeChange = (e) => {
+		const { value } = e.target;
+		setFormData((prev) => ({
+			...prev,
+			auth_type: value,
+			auth_details: {},
+		}));
+	};
+
 	// Handle auth details changes
 	const handleAuthDetailsChange = (e) => {
 		const { name, value } = e.target;
@@ -303,6 +326,21 @@ export default function NewSourcePage() {
 		}));
 	};
 
+	// Blank rate limit inputs fall back to the pipeline defaults
+	const handleRateLimitConfigChange = (e) => {
+		const { name, value } = e.target;
+		setFormData((prev) => ({
+			...prev,
+			configurations: {
+				...prev.configurations,
+				rate_limit_config: {
+					...prev.configurations.rate_limit_config,
+					[name]: value === '' ? '' : Number(value),
+				},
+			},
+		}));
+	};
+
 	// Handle detail config header changes
 	const handleDetailHeaderChange = (e) => {
 		const { name, value } = e.target;
@@ -557,17 +595,31 @@ export default function NewSourcePage() {
 
 						<div>
 							<label className='block text-sm font-medium text-gray-700 mb-1'>
-								Handler Type
+								Source Adapter
 							</label>
 							<select
 								name='handler_type'
-								value={formData.handler_type}
+								value={formData.handler_type || ''}
 								onChange={handleChange}
 								className='w-full px-3 py-2 border border-gray-300 rounded-md'>
-								<option value='standard'>Standard API</option>
-								<option value='document'>Document API</option>
-								<option value='statePortal'>State Portal</option>
+								<option value=''>Automatic (two-step when detail calls are enabled)</option>
+								{sourceAdapters.map((adapter) => (
+									<option key={adapter.key} value={adapter.key}>
+										{adapter.label}
+									</option>
+								))}
+								{formData.handler_type &&
+									!sourceAdapters.some((a) => a.key === formData.handler_type) && (
+										<option value={formData.handler_type}>
+											{formData.handler_type} (legacy)
+										</option>
+									)}
 							</select>
+							{sourceAdapters.find((a) => a.key === formData.handler_type)?.description && (
+								<p className='mt-1 text-xs text-gray-500'>
+									{sourceAdapters.find((a) => a.key === formData.handler_type).description}
+								</p>
+							)}
 						</div>
 
 						<div>
@@ -652,114 +704,23 @@ export default function NewSourcePage() {
 							<select
 								name='auth_type'
 								value={formData.auth_type}
-								onChange={handleChange}
+								onChange={handleAuthTypeChange}
 								className='w-full px-3 py-2 border border-gray-300 rounded-md'>
-								<option value='none'>None</option>
-								<option value='apikey'>API Key</option>
-								<option value='oauth'>OAuth</option>
-								<option value='basic'>Basic Auth</option>
+								{AUTH_TYPE_OPTIONS.map((option) => (
+									<option key={option.value} value={option.value}>
+										{option.label}
+									</option>
+								))}
 							</select>
 						</div>
 					</div>
 
 					{/* Authentication Details */}
-					{formData.auth_type === 'apikey' && (
-						<div className='mt-4 p-4 border border-gray-200 rounded-md'>
-							<h3 className='text-lg font-medium mb-2'>API Key Details</h3>
-							<div className='grid grid-cols-1 md:grid-cols-2 gap-4'>
-								<div>
-									<label className='block text-sm font-medium text-gray-700 mb-1'>
-										Key Name
-									</label>
-									<input
-										type='text'
-										name='key'
-										value={formData.auth_details.key || ''}
-										onChange={handleAuthDetailsChange}
-										className='w-full px-3 py-2 border border-gray-300 rounded-md'
-									/>
-								</div>
-
-								<div>
-									<label className='block text-sm font-medium text-gray-700 mb-1'>
-										Key Value
-									</label>
-									<input
-										type='text'
-										name='value'
-										value={formData.auth_details.value || ''}
-										onChange={handleAuthDetailsChange}
-										className='w-full px-3 py-2 border border-gray-300 rounded-md'
-									/>
-								</div>
-
-								<div>
-									<label className='block text-sm font-medium text-gray-700 mb-1'>
-										Location
-									</label>
-									<select
-										name='in'
-										value={formData.auth_details.in || 'header'}
-										onChange={handleAuthDetailsChange}
-										className='w-full px-3 py-2 border border-gray-300 rounded-md'>
-										<option value='header'>Header</option>
-										<option value='query'>Query Parameter</option>
-									</select>
-								</div>
-							</div>
-						</div>
-					)}
-
-					{formData.auth_type === 'basic' && (
-						<div className='mt-4 p-4 border border-gray-200 rounded-md'>
-							<h3 className='text-lg font-medium mb-2'>Basic Auth Details</h3>
-							<div className='grid grid-cols-1 md:grid-cols-2 gap-4'>
-								<div>
-									<label className='block text-sm font-medium text-gray-700 mb-1'>
-										Username
-									</label>
-									<input
-										type='text'
-										name='username'
-										value={formData.auth_details.username || ''}
-										onChange={handleAuthDetailsChange}
-										className='w-full px-3 py-2 border border-gray-300 rounded-md'
-									/>
-								</div>
-
-								<div>
-									<label className='block text-sm font-medium text-gray-700 mb-1'>
-										Password
-									</label>
-									<input
-										type='password'
-										name='password'
-										value={formData.auth_details.password || ''}
-										onChange={handleAuthDetailsChange}
-										className='w-full px-3 py-2 border border-gray-300 rounded-md'
-									/>
-								</div>
-							</div>
-						</div>
-					)}
-
-					{formData.auth_type === 'oauth' && (
-						<div className='mt-4 p-4 border border-gray-200 rounded-md'>
-							<h3 className='text-lg font-medium mb-2'>OAuth Details</h3>
-							<div>
-								<label className='block text-sm font-medium text-gray-700 mb-1'>
-									Token
-								</label>
-								<input
-									type='text'
-									name='token'
-									value={formData.auth_details.token || ''}
-									onChange={handleAuthDetailsChange}
-									className='w-full px-3 py-2 border border-gray-300 rounded-md'
-								/>
-							</div>
-						</div>
-					)}
+					<SourceAuthFields
+						authType={formData.auth_type}
+						authDetails={formData.auth_details}
+						onChange={handleAuthDetailsChange}
+					/>
 				</div>
 
 				{/* Query Parameters */}
@@ -942,6 +903,46 @@ export default function NewSourcePage() {
 					</p>
 
 					<div className='grid grid-cols-1 md:grid-cols-2 gap-4'>
+						<div>
+							<label className='block text-sm font-medium text-gray-700 mb-1'>
+								Response Format
+							</label>
+							<select
+								name='format'
+								value={formData.configurations.response_config.format || 'json'}
+								onChange={handleResponseConfigChange}
+								className='w-full px-3 py-2 border border-gray-300 rounded-md'>
+								<option value='json'>JSON</option>
+								<option value='xml'>XML</option>
+								<option value='csv'>CSV</option>
+								<option value='rss'>RSS / Atom feed</option>
+							</select>
+							<p className='text-xs text-gray-500 mt-1'>
+								XML elements become fields (attributes as @_name). CSV rows
+								are keyed by the header row. Feed items have title, link,
+								description, content, published and categories.
+							</p>
+						</div>
+
+						{formData.configurations.response_config.format === 'csv' ? (
+							<div>
+								<label className='block text-sm font-medium text-gray-700 mb-1'>
+									CSV Delimiter
+								</label>
+								<input
+									type='text'
+									name='delimiter'
+									maxLength={1}
+									value={formData.configurations.response_config.delimiter || ''}
+									onChange={handleResponseConfigChange}
+									placeholder=','
+									className='w-full px-3 py-2 border border-gray-300 rounded-md'
+								/>
+							</div>
+						) : (
+							<div />
+						)}
+
 						<div>
 							<label className='block text-sm font-medium text-gray-700 mb-1'>
 								Response Data Path
@@ -955,8 +956,9 @@ export default function NewSourcePage() {
 								className='w-full px-3 py-2 border border-gray-300 rounded-md'
 							/>
 							<p className='text-xs text-gray-500 mt-1'>
-								Path to the data array in the response. Use dot notation for
-								nested fields.
+								Path to the records in the response. Use dot notation for
+								nested fields (for XML, e.g., programs.program). Leave empty
+								for CSV rows and feed items.
 							</p>
 						</div>
 
@@ -1345,6 +1347,12 @@ export default function NewSourcePage() {
 					)}
 				</div>
 
+				{/* Rate Limiting */}
+				<SourceRateLimitFields
+					rateLimitConfig={formData.configurations.rate_limit_config}
+					onChange={handleRateLimitConfigChange}
+				/>
+
 				{/* Response Mapping */}
 				<div className='bg-white p-6 rounded-lg shadow-md'>
 					<h2 className='text-xl font-semibold mb-4'>Response Mapping</h2>
@@ -52,6 +52,10 @@ export default function VerifyFundingPage() {
 			</div>
 
 			<div className='mb-6'>
+				<p className='text-sm text-gray-500 mb-4'>
+					Fetches and maps one page from the Grants.gov source with its
+					configured search parameters. Nothing is stored.
+				</p>
 				<Button onClick={verifyGrantsGov} disabled={loading}>
 					{loading && (
 						<div className='animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2'></div>
@@ -73,13 +77,7 @@ export default function VerifyFundingPage() {
 
 					<div className='border-b border-gray-200'>
 						<nav className='-mb-px flex space-x-8' aria-label='Tabs'>
-							{[
-								'api-call',
-								'first-filter',
-								'detail-calls',
-								'second-filter',
-								'storage',
-							].map((tab) => (
+							{['api-call', 'detail-calls', 'mapping', 'storage'].map((tab) => (
 								<button
 									key={tab}
 									onClick={() => setActiveTab(tab)}
@@ -103,14 +101,11 @@ export default function VerifyFundingPage() {
 					{activeTab === 'api-call' && (
 						<ApiCallDetails stats={results.stats.initialApiCall} />
 					)}
-					{activeTab === 'first-filter' && (
-						<FirstStageFilterDetails stats={results.stats.firstStageFilter} />
-					)}
 					{activeTab === 'detail-calls' && (
 						<DetailApiCallDetails stats={results.stats.detailApiCalls} />
 					)}
-					{activeTab === 'second-filter' && (
-						<SecondStageFilterDetails stats={results.stats.secondStageFilter} />
+					{activeTab === 'mapping' && (
+						<MappingDetails stats={results.stats.mapping} />
 					)}
 					{activeTab === 'storage' && (
 						<DatabaseStorageDetails stats={results.stats.databaseStorage} />
@@ -122,114 +117,45 @@ export default function VerifyFundingPage() {
 }
 
 function SourceOverview({ source, stats }) {
-	// Calculate funnel metrics
-	const initialCount = stats.initialApiCall?.totalHitCount || 0;
-	const firstFilterCount =
-		stats.firstStageFilter?.opportunitiesPassingFirstFilter || 0;
-	const detailCallsCount = stats.detailApiCalls?.successfulDetailCalls || 0;
-	const secondFilterCount =
-		stats.secondStageFilter?.opportunitiesPassingSecondFilter || 0;
-	const storedCount = stats.databaseStorage?.storedCount || 0;
+	const stages = [
+		{ label: 'Total Results', count: stats.initialApiCall?.totalHitCount || 0 },
+		{ label: 'Retrieved', count: stats.initialApiCall?.totalItemsRetrieved || 0 },
+		{ label: 'Detail Calls', count: stats.detailApiCalls?.successfulDetailCalls || 0 },
+		{ label: 'Mapped', count: stats.mapping?.mappedCount || 0 },
+		{ label: 'Stored', count: stats.databaseStorage?.storedCount || 0 },
+	];
+	const retrievedCount = stages[1].count;
 
 	return (
 		<div className='bg-white shadow rounded-lg p-6'>
-			<h3 className='text-lg font-medium mb-4'>Processing Pipeline Overview</h3>
-			<div className='grid grid-cols-5 gap-4 mb-6'>
-				<div className='text-center'>
-					<p className='text-sm text-gray-500'>Initial Results</p>
-					<p className='text-2xl font-bold'>{initialCount}</p>
-				</div>
-				<div className='text-center'>
-					<p className='text-sm text-gray-500'>First Filter</p>
-					<p className='text-2xl font-bold'>{firstFilterCount}</p>
-					<span
-						className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${
-							firstFilterCount / initialCount < 0.2
-								? 'bg-red-100 text-red-800'
-								: 'bg-green-100 text-green-800'
-						}`}>
-						{initialCount
-							? ((firstFilterCount / initialCount) * 100).toFixed(1)
-							: 0}
-						%
-					</span>
-				</div>
-				<div className='text-center'>
-					<p className='text-sm text-gray-500'>Detail Calls</p>
-					<p className='text-2xl font-bold'>{detailCallsCount}</p>
-					<span
-						className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${
-							detailCallsCount < firstFilterCount
-								? 'bg-red-100 text-red-800'
-								: 'bg-green-100 text-green-800'
-						}`}>
-						{firstFilterCount
-							? ((detailCallsCount / firstFilterCount) * 100).toFixed(1)
-							: 0}
-						%
-					</span>
-				</div>
-				<div className='text-center'>
-					<p className='text-sm text-gray-500'>Second Filter</p>
-					<p className='text-2xl font-bold'>{secondFilterCount}</p>
-					<span
-						className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${
-							secondFilterCount / detailCallsCount < 0.5
-								? 'bg-red-100 text-red-800'
-								: 'bg-green-100 text-green-800'
-						}`}>
-						{detailCallsCount
-							? ((secondFilterCount / detailCallsCount) * 100).toFixed(1)
-							: 0}
-						%
-					</span>
-				</div>
-				<div className='text-center'>
-					<p className='text-sm text-gray-500'>Stored</p>
-					<p className='text-2xl font-bold'>{storedCount}</p>
-					<span
-						className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${
-							storedCount / initialCount < 0.05
-								? 'bg-red-100 text-red-800'
-								: 'bg-green-100 text-green-800'
-						}`}>
-						{initialCount ? ((storedCount / initialCount) * 100).toFixed(1) : 0}
-						%
-					</span>
-				</div>
-			</div>
-
-			<div className='w-full h-8 bg-gray-100 rounded-full overflow-hidden'>
-				<div className='flex h-full'>
-					<div
-						className='bg-blue-500 h-full'
-						style={{
-							width: `${
-								initialCount ? (firstFilterCount / initialCount) * 100 : 0
-							}%`,
-						}}
-					/>
-					<div
-						className='bg-green-500 h-full'
-						style={{
-							width: `${
-								initialCount ? (secondFilterCount / initialCount) * 100 : 0
-							}%`,
-						}}
-					/>
-					<div
-						className='bg-purple-500 h-full'
-						style={{
-							width: `${
-								initialCount ? (storedCount / initialCount) * 100 : 0
-							}%`,
-						}}
-					/>
-				</div>
+			<h3 className='text-lg font-medium mb-1'>{source.name}</h3>
+			<p className='text-sm text-gray-500 font-mono mb-4'>
+				{source.handler_type} · {source.api_endpoint}
+			</p>
+			<div className='grid grid-cols-5 gap-4'>
+				{stages.map((stage, i) => (
+					<div key={stage.label} className='text-center'>
+						<p className='text-sm text-gray-500'>{stage.label}</p>
+						<p className='text-2xl font-bold'>{stage.count}</p>
+						{(i === 2 || i === 3) && (
+							<span
+								className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${
+									stage.count < retrievedCount
+										? 'bg-red-100 text-red-800'
+										: 'bg-green-100 text-green-800'
+								}`}>
+								{retrievedCount
+									? ((stage.count / retrievedCount) * 100).toFixed(1)
+									: 0}
+								%
+							</span>
+						)}
+					</div>
+				))}
 			</div>
 
 			<div className='mt-4 text-sm text-gray-500'>
-				<p>Processing completed in {stats.processingTime}s</p>
+				<p>Dry run completed in {stats.processingTime}s</p>
 			</div>
 		</div>
 	);
@@ -246,10 +172,11 @@ function ApiCallDetails({ stats }) {
 
 	const {
 		totalHitCount,
-		responseTime,
+		totalItemsRetrieved,
 		apiEndpoint,
+		searchBody,
+		errors,
 		sampleResults,
-		executionDate,
 	} = stats;
 
 	return (
@@ -262,8 +189,8 @@ function ApiCallDetails({ stats }) {
 					<p className='text-2xl font-bold'>{totalHitCount}</p>
 				</div>
 				<div className='text-center p-4 bg-gray-50 rounded-lg'>
-					<p className='text-sm text-gray-500'>Response Time</p>
-					<p className='text-2xl font-bold'>{responseTime}ms</p>
+					<p className='text-sm text-gray-500'>Retrieved</p>
+					<p className='text-2xl font-bold'>{totalItemsRetrieved}</p>
 				</div>
 				<div className='text-center p-4 bg-gray-50 rounded-lg'>
 					<p className='text-sm text-gray-500'>API Endpoint</p>
@@ -271,6 +198,27 @@ function ApiCallDetails({ stats }) {
 				</div>
 			</div>
 
+			{errors?.length > 0 && (
+				<div className='mb-6 bg-red-50 p-4 rounded-lg'>
+					<ul className='list-disc pl-5'>
+						{errors.map((message, i) => (
+							<li key={i} className='text-sm text-red-700'>
+								{message}
+							</li>
+						))}
+					</ul>
+				</div>
+			)}
+
+			{searchBody && (
+				<div className='mb-6'>
+					<h4 className='text-md font-medium mb-2'>Search Request</h4>
+					<pre className='bg-gray-50 p-4 rounded-lg text-xs overflow-x-auto'>
+						{JSON.stringify(searchBody, null, 2)}
+					</pre>
+				</div>
+			)}
+
 			<h4 className='text-md font-medium mb-2'>Sample Results</h4>
 			<div className='overflow-x-auto'>
 				<table className='min-w-full divide-y divide-gray-200'>
@@ -312,91 +260,6 @@ function ApiCallDetails({ stats }) {
 					</tbody>
 				</table>
 			</div>
-
-			{executionDate && (
-				<p className='mt-4 text-sm text-gray-500'>
-					Execution date: {new Date(executionDate).toLocaleString()}
-				</p>
-			)}
-		</div>
-	);
-}
-
-function FirstStageFilterDetails({ stats }) {
-	if (!stats || Object.keys(stats).length === 0) {
-		return (
-			<div className='bg-white shadow rounded-lg p-6'>
-				<p>No first-stage filtering data available</p>
-			</div>
-		);
-	}
-
-	const {
-		inputOpportunitiesCount,
-		opportunitiesPassingFirstFilter,
-		filterPassRate,
-		filteringTime,
-		filterCriteria,
-		rejectionReasons,
-	} = stats;
-
-	return (
-		<div className='bg-white shadow rounded-lg p-6'>
-			<h3 className='text-lg font-medium mb-4'>
-				First-Stage Filtering Results
-			</h3>
-
-			<div className='grid grid-cols-4 gap-4 mb-6'>
-				<div className='text-center p-4 bg-gray-50 rounded-lg'>
-					<p className='text-sm text-gray-500'>Input Count</p>
-					<p className='text-2xl font-bold'>{inputOpportunitiesCount}</p>
-				</div>
-				<div className='text-center p-4 bg-gray-50 rounded-lg'>
-					<p className='text-sm text-gray-500'>Passed Filter</p>
-					<p className='text-2xl font-bold'>
-						{opportunitiesPassingFirstFilter}
-					</p>
-				</div>
-				<div className='text-center p-4 bg-gray-50 rounded-lg'>
-					<p className='text-sm text-gray-500'>Pass Rate</p>
-					<p className='text-2xl font-bold'>{filterPassRate?.toFixed(1)}%</p>
-				</div>
-				<div className='text-center p-4 bg-gray-50 rounded-lg'>
-					<p className='text-sm text-gray-500'>Filtering Time</p>
-					<p className='text-2xl font-bold'>{filteringTime}ms</p>
-				</div>
-			</div>
-
-			{filterCriteria && (
-				<div className='mb-6'>
-					<h4 className='text-md font-medium mb-2'>Filter Criteria</h4>
-					<div className='bg-blue-50 p-4 rounded-lg'>
-						<ul className='list-disc pl-5 space-y-1'>
-							{Object.entries(filterCriteria).map(([key, value], i) => (
-								<li key={i} className='text-sm text-blue-800'>
-									{key}:{' '}
-									{typeof value === 'object' ? JSON.stringify(value) : value}
-								</li>
-							))}
-						</ul>
-					</div>
-				</div>
-			)}
-
-			{rejectionReasons && Object.keys(rejectionReasons).length > 0 && (
-				<div className='mb-6'>
-					<h4 className='text-md font-medium mb-2'>Rejection Reasons</h4>
-					<div className='bg-yellow-50 p-4 rounded-lg'>
-						<ul className='list-disc pl-5 space-y-1'>
-							{Object.entries(rejectionReasons).map(([reason, count], i) => (
-								<li key={i} className='text-sm text-yellow-800'>
-									{reason}: {count} opportunities
-								</li>
-							))}
-						</ul>
-					</div>
-				</div>
-			)}
 		</div>
 	);
 }
@@ -415,9 +278,8 @@ function DetailApiCallDetails({ stats }) {
 		successfulDetailCalls,
 		failedDetailCalls,
 		detailCallErrors,
-		averageDetailResponseTime,
-		totalDetailCallTime,
-		executionDate,
+		apiCallCount,
+		fetchTime,
 	} = stats;
 
 	return (
@@ -471,12 +333,12 @@ function DetailApiCallDetails({ stats }) {
 
 			<div className='grid grid-cols-2 gap-4 mb-6'>
 				<div className='text-center p-4 bg-gray-50 rounded-lg'>
-					<p className='text-sm text-gray-500'>Avg Response Time</p>
-					<p className='text-2xl font-bold'>{averageDetailResponseTime}ms</p>
+					<p className='text-sm text-gray-500'>API Calls (incl. search)</p>
+					<p className='text-2xl font-bold'>{apiCallCount}</p>
 				</div>
 				<div className='text-center p-4 bg-gray-50 rounded-lg'>
-					<p className='text-sm text-gray-500'>Total Call Time</p>
-					<p className='text-2xl font-bold'>{totalDetailCallTime}ms</p>
+					<p className='text-sm text-gray-500'>Total Fetch Time</p>
+					<p className='text-2xl font-bold'>{fetchTime}ms</p>
 				</div>
 			</div>
 
@@ -494,95 +356,49 @@ function DetailApiCallDetails({ stats }) {
 					</div>
 				</div>
 			)}
-
-			{executionDate && (
-				<p className='mt-4 text-sm text-gray-500'>
-					Last execution: {new Date(executionDate).toLocaleString()}
-				</p>
-			)}
 		</div>
 	);
 }
 
-function SecondStageFilterDetails({ stats }) {
+function MappingDetails({ stats }) {
 	if (!stats || Object.keys(stats).length === 0) {
 		return (
 			<div className='bg-white shadow rounded-lg p-6'>
-				<p>No second-stage filtering data available</p>
+				<p>No mapping data available</p>
 			</div>
 		);
 	}
 
-	const {
-		inputOpportunitiesCount,
-		opportunitiesPassingSecondFilter,
-		filterPassRate,
-		scoreDistribution,
-		sampleFinalOpportunities,
-		filteringTime,
-		rejectionReasons,
-	} = stats;
+	const { inputCount, mappedCount, challenges, mappingTime, sampleOpportunities } =
+		stats;
 
 	return (
 		<div className='bg-white shadow rounded-lg p-6'>
-			<h3 className='text-lg font-medium mb-4'>
-				Second-Stage Filtering Results
-			</h3>
+			<h3 className='text-lg font-medium mb-4'>Field Mapping Results</h3>
 
-			<div className='grid grid-cols-4 gap-4 mb-6'>
+			<div className='grid grid-cols-3 gap-4 mb-6'>
 				<div className='text-center p-4 bg-gray-50 rounded-lg'>
 					<p className='text-sm text-gray-500'>Input Count</p>
-					<p className='text-2xl font-bold'>{inputOpportunitiesCount}</p>
+					<p className='text-2xl font-bold'>{inputCount}</p>
 				</div>
 				<div className='text-center p-4 bg-gray-50 rounded-lg'>
-					<p className='text-sm text-gray-500'>Passed Filter</p>
-					<p className='text-2xl font-bold'>
-						{opportunitiesPassingSecondFilter}
-					</p>
+					<p className='text-sm text-gray-500'>Mapped</p>
+					<p className='text-2xl font-bold'>{mappedCount}</p>
 				</div>
 				<div className='text-center p-4 bg-gray-50 rounded-lg'>
-					<p className='text-sm text-gray-500'>Pass Rate</p>
-					<p className='text-2xl font-bold'>{filterPassRate?.toFixed(1)}%</p>
-				</div>
-				<div className='text-center p-4 bg-gray-50 rounded-lg'>
-					<p className='text-sm text-gray-500'>Filtering Time</p>
-					<p className='text-2xl font-bold'>{filteringTime}ms</p>
+					<p className='text-sm text-gray-500'>Mapping Time</p>
+					<p className='text-2xl font-bold'>{mappingTime}ms</p>
 				</div>
 			</div>
 
-			{scoreDistribution && Object.keys(scoreDistribution).length > 0 && (
-				<div className='mb-6'>
-					<h4 className='text-md font-medium mb-2'>Score Distribution</h4>
-					<div className='flex items-end h-40 space-x-2'>
-						{Object.entries(scoreDistribution)
-							.sort((a, b) => Number(a[0]) - Number(b[0]))
-							.map(([score, count]) => (
-								<div key={score} className='flex flex-col items-center'>
-									<div
-										className='bg-green-500 w-8'
-										style={{
-											height: `${
-												(count /
-													Math.max(...Object.values(scoreDistribution))) *
-												100
-											}%`,
-										}}></div>
-									<p className='text-xs mt-1'>{score}</p>
-									<p className='text-xs'>{count}</p>
-								</div>
-							))}
-					</div>
-				</div>
-			)}
-
-			{rejectionReasons && Object.keys(rejectionReasons).length > 0 && (
+			{challenges?.length > 0 && (
 				<div className='mb-6'>
-					<h4 className='text-md font-medium mb-2'>Rejection Reasons</h4>
+					<h4 className='text-md font-medium mb-2'>Unmapped Items</h4>
 					<div className='bg-yellow-50 p-4 rounded-lg'>
 						<ul className='list-disc pl-5 space-y-1'>
-							{Object.entries(rejectionReasons).map(([reason, count], i) => (
+							{challenges.map((challenge, i) => (
 								<li key={i} className='text-sm text-yellow-800'>
-									{reason}: {count} opportunities
+									{challenge}
 								</li>
 							))}
 						</ul>
@@ -590,7 +406,7 @@ function SecondStageFilterDetails({ stats }) {
 				</div>
 			)}
 
-			<h4 className='text-md font-medium mb-2'>Sample Final Opportunities</h4>
+			<h4 className='text-md font-medium mb-2'>Sample Mapped Opportunities</h4>
 			<div className='overflow-x-auto'>
 				<table className='min-w-full divide-y divide-gray-200'>
 					<thead className='bg-gray-50'>
@@ -603,34 +419,40 @@ function SecondStageFilterDetails({ stats }) {
 							<th
 								scope='col'
 								className='px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider'>
-								Score
+								Status
+							</th>
+							<th
+								scope='col'
+								className='px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider'>
+								Close Date
 							</th>
 							<th
 								scope='col'
 								className='px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider'>
-								Focus Areas
+								Categories
 							</th>
 							<th
 								scope='col'
 								className='px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider'>
-								Client Types
+								Eligible Applicants
 							</th>
 						</tr>
 					</thead>
 					<tbody className='bg-white divide-y divide-gray-200'>
-						{sampleFinalOpportunities?.map((opp, i) => (
+						{sampleOpportunities?.map((opp, i) => (
 							<tr key={i}>
-								<td className='px-6 py-4 whitespace-nowrap text-sm text-gray-900'>
-									{opp.title}
-								</td>
+								<td className='px-6 py-4 text-sm text-gray-900'>{opp.title}</td>
 								<td className='px-6 py-4 whitespace-nowrap text-sm text-gray-500'>
-									{opp.relevanceScore}
+									{opp.status}
 								</td>
 								<td className='px-6 py-4 whitespace-nowrap text-sm text-gray-500'>
-									{opp.focusAreas?.join(', ') || 'N/A'}
+									{opp.closeDate || 'N/A'}
 								</td>
-								<td className='px-6 py-4 whitespace-nowrap text-sm text-gray-500'>
-									{opp.clientTypes?.join(', ') || 'N/A'}
+								<td className='px-6 py-4 text-sm text-gray-500'>
+									{opp.categories?.join(', ') || 'N/A'}
+								</td>
+								<td className='px-6 py-4 text-sm text-gray-500'>
+									{opp.eligibleApplicants?.join(', ') || 'N/A'}
 								</td>
 							</tr>
 						))}
@@ -651,7 +473,6 @@ function DatabaseStorageDetails({ stats }) {
 	}
 
 	const {
-		opportunitiesToStore,
 		storedCount,
 		recentlyStoredCount,
 		storedOpportunities,
@@ -659,15 +480,11 @@ function DatabaseStorageDetails({ stats }) {
 
 	return (
 		<div className='bg-white shadow rounded-lg p-6'>
-			<h3 className='text-lg font-medium mb-4'>Database Storage Results</h3>
+			<h3 className='text-lg font-medium mb-4'>Stored Opportunities From This Source</h3>
 
-			<div className='grid grid-cols-3 gap-4 mb-6'>
-				<div className='text-center p-4 bg-gray-50 rounded-lg'>
-					<p className='text-sm text-gray-500'>Opportunities to Store</p>
-					<p className='text-2xl font-bold'>{opportunitiesToStore}</p>
-				</div>
+			<div className='grid grid-cols-2 gap-4 mb-6'>
 				<div className='text-center p-4 bg-gray-50 rounded-lg'>
-					<p className='text-sm text-gray-500'>Total Stored</p>
+					<p className='text-sm text-gray-500'>Latest Records</p>
 					<p className='text-2xl font-bold'>{storedCount}</p>
 				</div>
 				<div className='text-center p-4 bg-gray-50 rounded-lg'>
@@ -691,7 +508,7 @@ function DatabaseStorageDetails({ stats }) {
 							<th
 								scope='col'
 								className='px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider'>
-								Opportunity Number
+								Opportunity ID
 							</th>
 							<th
 								scope='col'
@@ -712,22 +529,15 @@ function DatabaseStorageDetails({ stats }) {
 									{opp.title}
 								</td>
 								<td className='px-6 py-4 whitespace-nowrap text-sm text-gray-500'>
-									{opp.opportunityNumber}
+									{opp.api_opportunity_id}
 								</td>
 								<td className='px-6 py-4 whitespace-nowrap text-sm text-gray-500'>
-									{opp.closeDate
-										? new Date(opp.closeDate).toLocaleDateString()
+									{opp.close_date
+										? new Date(opp.close_date).toLocaleDateString()
 										: 'N/A'}
 								</td>
 								<td className='px-6 py-4 whitespace-nowrap text-sm text-gray-500'>
-									<span
-										className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${
-											opp.status === 'new'
-												? 'bg-green-100 text-green-800'
-												: 'bg-blue-100 text-blue-800'
-										}`}>
-										{opp.status === 'new' ? 'New' : 'Updated'}
-									</span>
+									{opp.status}
 								</td>
 							</tr>
 						))}
@@ -0,0 +1,242 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from '@/components/ui/select';
+import {
+	Table,
+	TableBody,
+	TableCell,
+	TableHead,
+	TableHeader,
+	TableRow,
+} from '@/components/ui/table';
+import { toast } from 'sonner';
+import { Loader2, Microscope } from 'lucide-react';
+import { HIDE_DIMENSIONS } from '@/lib/matching/hideAnalysis';
+
+// --- Helpers ---
+
+const SUGGESTION_FILTERS = {
+	all: 'All findings',
+	client_rule: 'Client rule fixes',
+	taxonomy: 'Taxonomy fixes',
+	none: 'No suggested fix',
+};
+
+function formatDateTime(dateStr) {
+	if (!dateStr) return '—';
+	return new Date(dateStr).toLocaleString('en-US', {
+		month: 'short',
+		day: 'numeric',
+		hour: 'numeric',
+		minute: '2-digit',
+	});
+}
+
+function formatPercent(rate) {
+	return `${Math.round((rate || 0) * 100)}%`;
+}
+
+function matchesFilter(finding, filter) {
+	if (filter === 'all') return true;
+	if (filter === 'none') return !finding.suggestion;
+	return finding.suggestion?.kind === filter;
+}
+
+function SuggestionCell({ suggestion }) {
+	if (!suggestion) return <span className="text-xs text-muted-foreground">—</span>;
+	return (
+		<div className="space-y-1">
+			<div className="flex items-center gap-2">
+				<Badge variant={suggestion.kind === 'taxonomy' ? 'secondary' : 'outline'}>
+					{suggestion.kind === 'taxonomy' ? 'Taxonomy' : 'Client rule'}
+				</Badge>
+				<code className="text-xs text-muted-foreground">{suggestion.target}</code>
+			</div>
+			<p className="text-sm">{suggestion.text}</p>
+		</div>
+	);
+}
+
+// --- Main Component ---
+
+export default function AdminHideAnalysisPage() {
+	const [runs, setRuns] = useState([]);
+	const [analysis, setAnalysis] = useState(null);
+	const [filter, setFilter] = useState('all');
+	const [loading, setLoading] = useState(true);
+	const [running, setRunning] = useState(false);
+
+	const fetchOverview = useCallback(async () => {
+		try {
+			const response = await fetch('/api/admin/hide-analysis');
+			const data = await response.json();
+			if (!response.ok) throw new Error(data.error || 'Failed to load analyses');
+			setRuns(data.runs);
+			setAnalysis(current => current || data.latest);
+		} catch (error) {
+			toast.error(error.message);
+		} finally {
+			setLoading(false);
+		}
+	}, []);
+
+	useEffect(() => {
+		fetchOverview();
+	}, [fetchOverview]);
+
+	const openAnalysis = async (analysisId) => {
+		try {
+			const response = await fetch(`/api/admin/hide-analysis/${analysisId}`);
+			const data = await response.json();
+			if (!response.ok) throw new Error(data.error || 'Failed to load analysis');
+			setAnalysis(data.analysis);
+		} catch (error) {
+			toast.error(error.message);
+		}
+	};
+
+	const handleRun = async () => {
+		setRunning(true);
+		try {
+			const response = await fetch('/api/admin/hide-analysis', { method: 'POST' });
+			const data = await response.json();
+			if (!response.ok) throw new Error(data.error || 'Analysis failed');
+			toast.success(`Analysis complete: ${data.analysis.summary.findings} findings`);
+			setAnalysis(data.analysis);
+			fetchOverview();
+		} catch (error) {
+			toast.error(error.message);
+		} finally {
+			setRunning(false);
+		}
+	};
+
+	if (loading) {
+		return (
+			<div className="p-6 max-w-[1400px] mx-auto space-y-4">
+				<Skeleton className="h-8 w-64" />
+				<Skeleton className="h-40 w-full" />
+			</div>
+		);
+	}
+
+	const summary = analysis?.summary;
+	const findings = (analysis?.findings || []).filter(f => matchesFilter(f, filter));
+
+	return (
+		<div className="p-6 max-w-[1400px] mx-auto space-y-6">
+			{/* Header */}
+			<div className="flex items-center justify-between">
+				<div>
+					<h1 className="text-2xl font-bold">Hidden Match Analysis</h1>
+					<p className="text-sm text-muted-foreground mt-1">
+						Attributes that clients of a type hide systematically, with proposed rule and taxonomy fixes
+					</p>
+				</div>
+				<Button onClick={handleRun} disabled={running}>
+					{running ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Microscope className="h-4 w-4 mr-2" />}
+					Run Analysis
+				</Button>
+			</div>
+
+			{/* Run picker and filter */}
+			<div className="bg-gray-50 dark:bg-gray-900 rounded-lg p-4 flex flex-wrap gap-3 items-end">
+				<div className="min-w-[260px]">
+					<label className="text-xs font-medium text-muted-foreground mb-1 block">Analysis run</label>
+					<Select value={analysis?.id || ''} onValueChange={openAnalysis}>
+						<SelectTrigger>
+							<SelectValue placeholder="No analysis yet" />
+						</SelectTrigger>
+						<SelectContent>
+							{runs.map(run => (
+								<SelectItem key={run.id} value={run.id} disabled={run.status !== 'completed'}>
+									{formatDateTime(run.started_at)}{run.status !== 'completed' ? ` (${run.status})` : ''}
+								</SelectItem>
+							))}
+						</SelectContent>
+					</Select>
+				</div>
+				<div className="min-w-[200px]">
+					<label className="text-xs font-medium text-muted-foreground mb-1 block">Show</label>
+					<Select value={filter} onValueChange={setFilter}>
+						<SelectTrigger>
+							<SelectValue />
+						</SelectTrigger>
+						<SelectContent>
+							{Object.entries(SUGGESTION_FILTERS).map(([key, label]) => (
+								<SelectItem key={key} value={key}>{label}</SelectItem>
+							))}
+						</SelectContent>
+					</Select>
+				</div>
+				{summary && (
+					<p className="text-sm text-muted-foreground ml-auto">
+						{summary.hidden_pairs?.toLocaleString()} of {summary.matched_pairs?.toLocaleString()} matches hidden
+						({formatPercent(summary.overall_hide_rate)}) · {summary.hidden_with_reason} with a reason ·
+						flagged at ≥{summary.thresholds?.min_hidden} hides and ≥{formatPercent(summary.thresholds?.min_rate)}
+					</p>
+				)}
+			</div>
+
+			{/* Findings */}
+			<Table>
+				<TableHeader>
+					<TableRow>
+						<TableHead>Client Type</TableHead>
+						<TableHead>Attribute</TableHead>
+						<TableHead className="text-right">Hidden</TableHead>
+						<TableHead className="text-right">Hide Rate</TableHead>
+						<TableHead>Reasons</TableHead>
+						<TableHead className="w-[40%]">Suggested Fix</TableHead>
+					</TableRow>
+				</TableHeader>
+				<TableBody>
+					{findings.length === 0 ? (
+						<TableRow>
+							<TableCell colSpan={6} className="text-center text-muted-foreground py-8">
+								{analysis ? 'No systematic hide patterns found' : 'Run an analysis to see findings'}
+							</TableCell>
+						</TableRow>
+					) : findings.map(finding => (
+						<TableRow key={finding.key}>
+							<TableCell className="font-medium">{finding.client_type}</TableCell>
+							<TableCell>
+								<span className="text-xs text-muted-foreground block">{HIDE_DIMENSIONS[finding.dimension] || finding.dimension}</span>
+								{finding.value}
+								{finding.via && <span className="text-xs text-muted-foreground block">via {finding.via}</span>}
+							</TableCell>
+							<TableCell className="text-right">{finding.hidden} / {finding.matched}</TableCell>
+							<TableCell className="text-right">
+								{formatPercent(finding.hide_rate)}
+								{finding.lift && (
+									<span className="text-xs text-muted-foreground block">{finding.lift}× type avg</span>
+								)}
+							</TableCell>
+							<TableCell>
+								<div className="flex flex-wrap gap-1">
+									{finding.reason_terms.map(({ term, count }) => (
+										<Badge key={term} variant="outline" className="text-xs">{term} ({count})</Badge>
+									))}
+								</div>
+								{finding.sample_reasons[0] && (
+									<p className="text-xs text-muted-foreground italic mt-1 line-clamp-2">&ldquo;{finding.sample_reasons[0]}&rdquo;</p>
+								)}
+							</TableCell>
+							<TableCell><SuggestionCell suggestion={finding.suggestion} /></TableCell>
+						</TableRow>
+					))}
+				</TableBody>
+			</Table>
+		</div>
+	);
+}
@@ -0,0 +1,311 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from '@/components/ui/select';
+import {
+	Table,
+	TableBody,
+	TableCell,
+	TableHead,
+	TableHeader,
+	TableRow,
+} from '@/components/ui/table';
+import { toast } from 'sonner';
+import { Loader2, FlaskConical } from 'lucide-react';
+
+// --- Helpers ---
+
+const CRITERION_LABELS = {
+	location: 'Location',
+	applicantType: 'Applicant Type',
+	projectNeeds: 'Project Needs',
+	activities: 'Activities',
+	other: 'Other',
+};
+
+function formatDateTime(dateStr) {
+	if (!dateStr) return '—';
+	return new Date(dateStr).toLocaleString('en-US', {
+		month: 'short',
+		day: 'numeric',
+		hour: 'numeric',
+		minute: '2-digit',
+	});
+}
+
+function ReportStatusBadge({ status }) {
+	if (status === 'completed') return <Badge className="bg-amber-500 hover:bg-amber-600 text-white">Awaiting Review</Badge>;
+	if (status === 'promoted') return <Badge className="bg-green-600 hover:bg-green-700 text-white">Promoted</Badge>;
+	if (status === 'failed') return <Badge variant="destructive">Failed</Badge>;
+	if (status === 'running') return <Badge variant="outline">Running</Badge>;
+	return <Badge variant="outline">{status === 'dismissed' ? 'Dismissed' : status}</Badge>;
+}
+
+function DiffEntries({ entries, tone }) {
+	if (entries.length === 0) return <p className="text-xs text-muted-foreground">None</p>;
+	return (
+		<ul className="space-y-1">
+			{entries.map(entry => (
+				<li key={entry.opportunity_id} className="text-sm flex items-start justify-between gap-2">
+					<span className={`truncate ${tone}`}>{entry.title || entry.opportunity_id}</span>
+					<span className="text-xs text-muted-foreground shrink-0">
+						{entry.criteria.map(c => CRITERION_LABELS[c] || c).join(', ')}
+					</span>
+				</li>
+			))}
+		</ul>
+	);
+}
+
+// --- Main Component ---
+
+export default function AdminMatchingPage() {
+	const [activeVersion, setActiveVersion] = useState(null);
+	const [versions, setVersions] = useState([]);
+	const [reports, setReports] = useState([]);
+	const [candidateVersion, setCandidateVersion] = useState('');
+	const [selectedReport, setSelectedReport] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [running, setRunning] = useState(false);
+	const [reviewing, setReviewing] = useState(false);
+
+	const fetchOverview = useCallback(async () => {
+		try {
+			const response = await fetch('/api/admin/match-algorithm');
+			const data = await response.json();
+			if (!response.ok) throw new Error(data.error || 'Failed to load versions');
+			setActiveVersion(data.activeVersion);
+			setVersions(data.versions);
+			setReports(data.reports);
+		} catch (error) {
+			toast.error(error.message);
+		} finally {
+			setLoading(false);
+		}
+	}, []);
+
+	useEffect(() => {
+		fetchOverview();
+	}, [fetchOverview]);
+
+	const openReport = async (reportId) => {
+		try {
+			const response = await fetch(`/api/admin/match-algorithm/reports/${reportId}`);
+			const data = await response.json();
+			if (!response.ok) throw new Error(data.error || 'Failed to load report');
+			setSelectedReport(data.report);
+		} catch (error) {
+			toast.error(error.message);
+		}
+	};
+
+	const handleRunShadow = async () => {
+		setRunning(true);
+		try {
+			const response = await fetch('/api/admin/match-algorithm', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ candidateVersion }),
+			});
+			const data = await response.json();
+			if (!response.ok) throw new Error(data.error || 'Shadow run failed');
+			toast.success(`Shadow run complete: +${data.report.summary.gained} / -${data.report.summary.lost}`);
+			setSelectedReport(data.report);
+			fetchOverview();
+		} catch (error) {
+			toast.error(error.message);
+		} finally {
+			setRunning(false);
+		}
+	};
+
+	const handleReview = async (action) => {
+		setReviewing(true);
+		try {
+			const response = await fetch(`/api/admin/match-algorithm/reports/${selectedReport.id}/${action}`, {
+				method: 'POST',
+			});
+			const data = await response.json();
+			if (!response.ok) throw new Error(data.error || `Failed to ${action} report`);
+			toast.success(action === 'promote'
+				? `${selectedReport.candidate_version} is now active. Matches are being recomputed.`
+				: 'Report dismissed');
+			setSelectedReport(null);
+			fetchOverview();
+		} catch (error) {
+			toast.error(error.message);
+		} finally {
+			setReviewing(false);
+		}
+	};
+
+	if (loading) {
+		return (
+			<div className="p-6 max-w-[1400px] mx-auto space-y-4">
+				<Skeleton className="h-8 w-64" />
+				<Skeleton className="h-40 w-full" />
+			</div>
+		);
+	}
+
+	const summary = selectedReport?.summary;
+
+	return (
+		<div className="p-6 max-w-[1400px] mx-auto space-y-6">
+			{/* Header */}
+			<div className="flex items-center justify-between">
+				<div>
+					<h1 className="text-2xl font-bold">Matching Algorithm</h1>
+					<p className="text-sm text-muted-foreground mt-1">
+						Compare a candidate version against live matches before promoting it
+					</p>
+				</div>
+				<Badge variant="outline" className="text-base px-3 py-1">
+					Active: {activeVersion}
+				</Badge>
+			</div>
+
+			{/* Shadow run */}
+			<div className="bg-gray-50 dark:bg-gray-900 rounded-lg p-4 flex flex-wrap gap-3 items-end">
+				<div className="min-w-[260px]">
+					<label className="text-xs font-medium text-muted-foreground mb-1 block">Candidate version</label>
+					<Select value={candidateVersion} onValueChange={setCandidateVersion}>
+						<SelectTrigger>
+							<SelectValue placeholder="Select a version..." />
+						</SelectTrigger>
+						<SelectContent>
+							{versions.map(version => (
+								<SelectItem key={version.id} value={version.id}>
+									{version.id} — {version.label}{version.id === activeVersion ? ' (active)' : ''}
+								</SelectItem>
+							))}
+						</SelectContent>
+					</Select>
+				</div>
+				<Button onClick={handleRunShadow} disabled={!candidateVersion || running}>
+					{running ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <FlaskConical className="h-4 w-4 mr-2" />}
+					Run Shadow Comparison
+				</Button>
+			</div>
+
+			{/* Reports */}
+			<Table>
+				<TableHeader>
+					<TableRow>
+						<TableHead>Started</TableHead>
+						<TableHead>Versions</TableHead>
+						<TableHead>Status</TableHead>
+						<TableHead className="text-right">Gained</TableHead>
+						<TableHead className="text-right">Lost</TableHead>
+						<TableHead className="text-right">Clients Affected</TableHead>
+					</TableRow>
+				</TableHeader>
+				<TableBody>
+					{reports.length === 0 ? (
+						<TableRow>
+							<TableCell colSpan={6} className="text-center text-muted-foreground py-8">
+								No shadow runs yet
+							</TableCell>
+						</TableRow>
+					) : reports.map(report => (
+						<TableRow
+							key={report.id}
+							className={`cursor-pointer ${selectedReport?.id === report.id ? 'bg-blue-50 dark:bg-blue-900/20' : ''}`}
+							onClick={() => openReport(report.id)}
+						>
+							<TableCell>{formatDateTime(report.started_at)}</TableCell>
+							<TableCell>{report.baseline_version} → {report.candidate_version}</TableCell>
+							<TableCell><ReportStatusBadge status={report.status} /></TableCell>
+							<TableCell className="text-right text-green-700">{report.summary?.gained ?? '—'}</TableCell>
+							<TableCell className="text-right text-red-700">{report.summary?.lost ?? '—'}</TableCell>
+							<TableCell className="text-right">{report.summary?.clients_affected ?? '—'}</TableCell>
+						</TableRow>
+					))}
+				</TableBody>
+			</Table>
+
+			{/* Report detail */}
+			{selectedReport && (
+				<div className="border rounded-lg p-4 space-y-4">
+					<div className="flex items-center justify-between">
+						<div>
+							<h2 className="text-lg font-semibold">
+								{selectedReport.baseline_version} → {selectedReport.candidate_version}
+							</h2>
+							{summary && (
+								<p className="text-sm text-muted-foreground">
+									{summary.pairs_evaluated?.toLocaleString()} pairs evaluated ·{' '}
+									{summary.baseline_matches} → {summary.candidate_matches} matches ·{' '}
+									{summary.rescored} rescored
+								</p>
+							)}
+							{selectedReport.error && (
+								<p className="text-sm text-red-600 mt-1">{selectedReport.error}</p>
+							)}
+						</div>
+						{selectedReport.status === 'completed' && (
+							<div className="flex gap-2">
+								<Button variant="outline" onClick={() => handleReview('dismiss')} disabled={reviewing}>
+									Dismiss
+								</Button>
+								<Button onClick={() => handleReview('promote')} disabled={reviewing}>
+									Promote {selectedReport.candidate_version}
+								</Button>
+							</div>
+						)}
+					</div>
+
+					{/* By criterion */}
+					{summary?.by_criterion && (
+						<div className="flex flex-wrap gap-2">
+							{Object.entries(summary.by_criterion)
+								.filter(([, counts]) => counts.gained || counts.lost)
+								.map(([criterion, counts]) => (
+									<Badge key={criterion} variant="outline">
+										{CRITERION_LABELS[criterion] || criterion}: +{counts.gained} / -{counts.lost}
+									</Badge>
+								))}
+						</div>
+					)}
+
+					{/* Per client */}
+					{(selectedReport.client_diffs || []).length === 0 ? (
+						<p className="text-sm text-muted-foreground">No matches change under the candidate version.</p>
+					) : (
+						<div className="space-y-4">
+							{selectedReport.client_diffs.map(diff => (
+								<div key={diff.client_id} className="border-t pt-3">
+									<h3 className="font-medium mb-2">
+										{diff.client_name}
+										<span className="text-sm text-muted-foreground font-normal ml-2">
+											+{diff.gained.length} / -{diff.lost.length}
+										</span>
+									</h3>
+									<div className="grid gap-4 md:grid-cols-2">
+										<div>
+											<p className="text-xs font-semibold uppercase tracking-wider text-green-700 mb-1">Gained</p>
+											<DiffEntries entries={diff.gained} tone="text-green-800 dark:text-green-300" />
+										</div>
+										<div>
+											<p className="text-xs font-semibold uppercase tracking-wider text-red-700 mb-1">Lost</p>
+											<DiffEntries entries={diff.lost} tone="text-red-800 dark:text-red-300" />
+										</div>
+									</div>
+								</div>
+							))}
+						</div>
+					)}
+				</div>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,355 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Switch } from '@/components/ui/switch';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogFooter,
+	DialogHeader,
+	DialogTitle,
+} from '@/components/ui/dialog';
+import {
+	Table,
+	TableBody,
+	TableCell,
+	TableHead,
+	TableHeader,
+	TableRow,
+} from '@/components/ui/table';
+import { toast } from 'sonner';
+import { Loader2, Pencil, Plus, Trash2 } from 'lucide-react';
+
+// --- Helpers ---
+
+const MAX_LOGO_KB = 500;
+
+const SECTION_LABELS = {
+	profile: { label: 'Client profile', description: 'Profile box above the opportunities' },
+	summary: { label: 'Summary statistics', description: 'Match count, funding and deadlines on the cover' },
+	detailed: { label: 'Detailed cards', description: 'Allow the detailed opportunity view' },
+};
+
+const EMPTY_FORM = {
+	name: '',
+	brand_name: '',
+	tagline: '',
+	logo_data: null,
+	primary_color: '#1E3A8A',
+	accent_color: '#1E3A8A',
+	cover_title: '',
+	cover_text: '',
+	footer_text: '',
+	disclaimer: '',
+	sections: { profile: true, summary: true, detailed: true },
+	is_default: false,
+};
+
+function toForm(template) {
+	if (!template) return EMPTY_FORM;
+	return Object.fromEntries(
+		Object.entries(EMPTY_FORM).map(([key, fallback]) => [key, template[key] ?? fallback])
+	);
+}
+
+function readFileAsDataUrl(file) {
+	return new Promise((resolve, reject) => {
+		const reader = new FileReader();
+		reader.onload = () => resolve(reader.result);
+		reader.onerror = () => reject(reader.error);
+		reader.readAsDataURL(file);
+	});
+}
+
+function ColorField({ id, label, value, onChange }) {
+	return (
+		<div className="space-y-1.5">
+			<Label htmlFor={id}>{label}</Label>
+			<div className="flex gap-2">
+				<input
+					type="color"
+					value={value || '#000000'}
+					onChange={e => onChange(e.target.value.toUpperCase())}
+					className="h-9 w-12 rounded border cursor-pointer"
+					aria-label={label}
+				/>
+				<Input id={id} value={value || ''} onChange={e => onChange(e.target.value)} placeholder="#1E3A8A" />
+			</div>
+		</div>
+	);
+}
+
+// --- Main Component ---
+
+export default function AdminReportTemplatesPage() {
+	const [templates, setTemplates] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [editing, setEditing] = useState(null); // null (closed), 'new', or template id
+	const [form, setForm] = useState(EMPTY_FORM);
+	const [saving, setSaving] = useState(false);
+
+	const fetchTemplates = useCallback(async () => {
+		try {
+			const response = await fetch('/api/report-templates');
+			const data = await response.json();
+			if (!response.ok) throw new Error(data.error || 'Failed to load templates');
+			setTemplates(data.templates);
+		} catch (error) {
+			toast.error(error.message);
+		} finally {
+			setLoading(false);
+		}
+	}, []);
+
+	useEffect(() => {
+		fetchTemplates();
+	}, [fetchTemplates]);
+
+	const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+	const openEditor = (template = null) => {
+		setForm(toForm(template));
+		setEditing(template?.id || 'new');
+	};
+
+	const handleLogo = async (event) => {
+		const file = event.target.files?.[0];
+		event.target.value = '';
+		if (!file) return;
+		if (!['image/png', 'image/jpeg'].includes(file.type)) {
+			toast.error('Logo must be a PNG or JPEG image');
+			return;
+		}
+		if (file.size > MAX_LOGO_KB * 1024) {
+			toast.error(`Logo must be at most ${MAX_LOGO_KB} KB`);
+			return;
+		}
+		setField('logo_data', await readFileAsDataUrl(file));
+	};
+
+	const handleSave = async () => {
+		setSaving(true);
+		try {
+			const isNew = editing === 'new';
+			const response = await fetch(
+				isNew ? '/api/admin/report-templates' : `/api/admin/report-templates/${editing}`,
+				{
+					method: isNew ? 'POST' : 'PUT',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify(form),
+				}
+			);
+			const data = await response.json();
+			if (!response.ok) throw new Error(data.error || 'Failed to save template');
+			toast.success(`Saved "${data.template.name}"`);
+			setEditing(null);
+			fetchTemplates();
+		} catch (error) {
+			toast.error(error.message);
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const handleDelete = async (template) => {
+		if (!window.confirm(`Delete the "${template.name}" template?`)) return;
+		try {
+			const response = await fetch(`/api/admin/report-templates/${template.id}`, { method: 'DELETE' });
+			const data = await response.json();
+			if (!response.ok) throw new Error(data.error || 'Failed to delete template');
+			toast.success(`Deleted "${template.name}"`);
+			fetchTemplates();
+		} catch (error) {
+			toast.error(error.message);
+		}
+	};
+
+	if (loading) {
+		return (
+			<div className="p-6 max-w-[1400px] mx-auto space-y-4">
+				<Skeleton className="h-8 w-64" />
+				<Skeleton className="h-40 w-full" />
+			</div>
+		);
+	}
+
+	return (
+		<div className="p-6 max-w-[1400px] mx-auto space-y-6">
+			{/* Header */}
+			<div className="flex items-center justify-between">
+				<div>
+					<h1 className="text-2xl font-bold">Report Templates</h1>
+					<p className="text-sm text-muted-foreground mt-1">
+						Partner branding for client PDF reports: logo, colors, cover text, disclaimer and sections
+					</p>
+				</div>
+				<Button onClick={() => openEditor()}>
+					<Plus className="h-4 w-4 mr-2" />
+					New Template
+				</Button>
+			</div>
+
+			<Table>
+				<TableHeader>
+					<TableRow>
+						<TableHead>Template</TableHead>
+						<TableHead>Brand</TableHead>
+						<TableHead>Colors</TableHead>
+						<TableHead>Sections</TableHead>
+						<TableHead className="w-[100px]" />
+					</TableRow>
+				</TableHeader>
+				<TableBody>
+					{templates.length === 0 ? (
+						<TableRow>
+							<TableCell colSpan={5} className="text-center text-muted-foreground py-8">
+								No templates yet. Reports use the standard Meridian branding.
+							</TableCell>
+						</TableRow>
+					) : templates.map(template => (
+						<TableRow key={template.id}>
+							<TableCell className="font-medium">
+								{template.name}
+								{template.is_default && <Badge variant="secondary" className="ml-2">Default</Badge>}
+							</TableCell>
+							<TableCell>
+								<div className="flex items-center gap-2">
+									{template.logo_data && (
+										<img src={template.logo_data} alt="" className="h-6 w-auto max-w-[60px] object-contain" />
+									)}
+									{template.brand_name || 'MERIDIAN'}
+								</div>
+							</TableCell>
+							<TableCell>
+								<div className="flex gap-1">
+									{[template.primary_color, template.accent_color].filter(Boolean).map((color, index) => (
+										<span key={index} className="h-5 w-5 rounded border" style={{ backgroundColor: color }} title={color} />
+									))}
+								</div>
+							</TableCell>
+							<TableCell className="text-sm text-muted-foreground">
+								{Object.entries(SECTION_LABELS)
+									.filter(([key]) => template.sections?.[key] !== false)
+									.map(([, { label }]) => label)
+									.join(', ') || 'None'}
+							</TableCell>
+							<TableCell>
+								<div className="flex justify-end gap-1">
+									<Button variant="ghost" size="icon" onClick={() => openEditor(template)} title="Edit">
+										<Pencil className="h-4 w-4" />
+									</Button>
+									<Button variant="ghost" size="icon" onClick={() => handleDelete(template)} title="Delete">
+										<Trash2 className="h-4 w-4" />
+									</Button>
+								</div>
+							</TableCell>
+						</TableRow>
+					))}
+				</TableBody>
+			</Table>
+
+			{/* Editor */}
+			<Dialog open={editing !== null} onOpenChange={open => !open && setEditing(null)}>
+				<DialogContent className="sm:max-w-[640px] max-h-[90vh] overflow-y-auto">
+					<DialogHeader>
+						<DialogTitle>{editing === 'new' ? 'New Report Template' : 'Edit Report Template'}</DialogTitle>
+						<DialogDescription>
+							Empty fields fall back to the standard Meridian branding.
+						</DialogDescription>
+					</DialogHeader>
+
+					<div className="grid grid-cols-2 gap-4 py-2">
+						<div className="col-span-2 space-y-1.5">
+							<Label htmlFor="name">Template name</Label>
+							<Input id="name" value={form.name} onChange={e => setField('name', e.target.value)} placeholder="Partner: Acme Energy" />
+						</div>
+						<div className="space-y-1.5">
+							<Label htmlFor="brand_name">Brand name</Label>
+							<Input id="brand_name" value={form.brand_name} onChange={e => setField('brand_name', e.target.value)} placeholder="MERIDIAN" />
+						</div>
+						<div className="space-y-1.5">
+							<Label htmlFor="tagline">Tagline</Label>
+							<Input id="tagline" value={form.tagline} onChange={e => setField('tagline', e.target.value)} placeholder="Policy & Funding Intelligence" />
+						</div>
+
+						<div className="col-span-2 space-y-1.5">
+							<Label htmlFor="logo">Logo (PNG or JPEG, up to {MAX_LOGO_KB} KB)</Label>
+							<div className="flex items-center gap-3">
+								{form.logo_data && (
+									<img src={form.logo_data} alt="Logo preview" className="h-10 w-auto max-w-[120px] object-contain border rounded p-1" />
+								)}
+								<Input id="logo" type="file" accept="image/png,image/jpeg" onChange={handleLogo} className="max-w-[260px]" />
+								{form.logo_data && (
+									<Button variant="ghost" size="sm" onClick={() => setField('logo_data', null)}>
+										Remove
+									</Button>
+								)}
+							</div>
+						</div>
+
+						<ColorField id="primary_color" label="Primary color" value={form.primary_color} onChange={value => setField('primary_color', value)} />
+						<ColorField id="accent_color" label="Accent color" value={form.accent_color} onChange={value => setField('accent_color', value)} />
+
+						<div className="col-span-2 space-y-1.5">
+							<Label htmlFor="cover_title">Cover title</Label>
+							<Input id="cover_title" value={form.cover_title} onChange={e => setField('cover_title', e.target.value)} placeholder="FUNDING OPPORTUNITIES REPORT" />
+						</div>
+						<div className="col-span-2 space-y-1.5">
+							<Label htmlFor="cover_text">Cover text</Label>
+							<Textarea id="cover_text" rows={3} value={form.cover_text} onChange={e => setField('cover_text', e.target.value)} />
+						</div>
+						<div className="col-span-2 space-y-1.5">
+							<Label htmlFor="footer_text">Footer text</Label>
+							<Input id="footer_text" value={form.footer_text} onChange={e => setField('footer_text', e.target.value)} placeholder="Generated by Meridian" />
+						</div>
+						<div className="col-span-2 space-y-1.5">
+							<Label htmlFor="disclaimer">Disclaimer</Label>
+							<Textarea id="disclaimer" rows={2} value={form.disclaimer} onChange={e => setField('disclaimer', e.target.value)} />
+						</div>
+
+						<div className="col-span-2 space-y-3">
+							<Label>Sections</Label>
+							{Object.entries(SECTION_LABELS).map(([key, { label, description }]) => (
+								<div key={key} className="flex items-center justify-between">
+									<div>
+										<p className="text-sm font-medium">{label}</p>
+										<p className="text-xs text-muted-foreground">{description}</p>
+									</div>
+									<Switch
+										checked={form.sections[key]}
+										onCheckedChange={checked => setField('sections', { ...form.sections, [key]: checked })}
+									/>
+								</div>
+							))}
+						</div>
+
+						<div className="col-span-2 flex items-center justify-between border-t pt-4">
+							<div>
+								<p className="text-sm font-medium">Default template</p>
+								<p className="text-xs text-muted-foreground">Preselected in the export dialog and used by server-side exports</p>
+							</div>
+							<Switch checked={form.is_default} onCheckedChange={checked => setField('is_default', checked)} />
+						</div>
+					</div>
+
+					<DialogFooter>
+						<Button variant="outline" onClick={() => setEditing(null)} disabled={saving}>
+							Cancel
+						</Button>
+						<Button onClick={handleSave} disabled={saving || !form.name.trim()}>
+							{saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+							Save
+						</Button>
+					</DialogFooter>
+				</DialogContent>
+			</Dialog>
+		</div>
+	);
+}
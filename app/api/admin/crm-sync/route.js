@@ -0,0 +1,91 @@
+import { NextResponse } from 'next/server';
+import { createAdminClient, requireRole } from '@/utils/supabase/api';
+import { runCrmSync } from '@/lib/services/crmSync';
+import { getCrmConfig } from '@/lib/services/crmClient';
+
+/** Max log entries returned for a run. */
+const LOG_LIMIT = 1000;
+
+// GET /api/admin/crm-sync - Recent sync runs and the log of one run (?runId, default latest)
+export async function GET(request) {
+	try {
+		const { authorized } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		const { supabase } = createAdminClient(request);
+		const { searchParams } = new URL(request.url);
+
+		const { data: runs, error: runsError } = await supabase
+			.from('crm_sync_runs')
+			.select('*')
+			.order('started_at', { ascending: false })
+			.limit(20);
+		if (runsError) throw runsError;
+
+		const runId = searchParams.get('runId') || runs?.[0]?.id || null;
+		let log = [];
+		if (runId) {
+			const { data, error: logError } = await supabase
+				.from('crm_sync_log')
+				.select('*, client:clients(name)')
+				.eq('run_id', runId)
+				.order('id', { ascending: true })
+				.limit(LOG_LIMIT);
+			if (logError) throw logError;
+			log = data || [];
+		}
+
+		return NextResponse.json({
+			success: true,
+			configured: !!getCrmConfig(),
+			runs: runs || [],
+			runId,
+			log,
+		});
+	} catch (error) {
+		console.error('[CrmSync] Error fetching sync runs:', error);
+		return NextResponse.json(
+			{ error: 'Failed to fetch CRM sync runs' },
+			{ status: 500 }
+		);
+	}
+}
+
+// POST /api/admin/crm-sync - Run a sync now. Body: { clientIds?: string[] }
+export async function POST(request) {
+	try {
+		const { authorized, user } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		if (!getCrmConfig()) {
+			return NextResponse.json(
+				{ error: 'CRM is not configured (set CRM_API_URL and CRM_ACCESS_TOKEN)' },
+				{ status: 400 }
+			);
+		}
+
+		const body = await request.json().catch(() => ({}));
+		if (body.clientIds !== undefined && !Array.isArray(body.clientIds)) {
+			return NextResponse.json({ error: 'clientIds must be an array' }, { status: 400 });
+		}
+
+		const { supabase } = createAdminClient(request);
+		const run = await runCrmSync(supabase, {
+			trigger: 'manual',
+			requestedBy: user?.id || null,
+			clientIds: body.clientIds,
+		});
+
+		return NextResponse.json({ success: true, run });
+	} catch (error) {
+		console.error('[CrmSync] Sync failed:', error);
+		return NextResponse.json(
+			{ error: `CRM sync failed: ${error.message}` },
+			{ status: 500 }
+		);
+	}
+}
@@ -117,7 +117,11 @@ export async function POST(request, { params }) {
 				totalRetrieved: fetchResult.apiMetrics.opportunityCount,
 				responseSize: fetchResult.apiMetrics.responseSize,
 				retryAttempts: fetchResult.apiMetrics.retryAttempts || 0,
-				errorCount: fetchResult.apiMetrics.errors?.length || 0
+				errorCount: fetchResult.apiMetrics.errors?.length || 0,
+				// Time spent waiting on the per-host rate limit explains slow fetches
+				rateLimitWaits: fetchResult.apiMetrics.rateLimit?.waits || 0,
+				rateLimitWaitTime: fetchResult.apiMetrics.rateLimit?.waitTime || 0,
+				throttledResponses: fetchResult.apiMetrics.rateLimit?.throttledResponses || 0
 			},
 			0, // tokensUsed (no LLM in API calls)
 			fetchResult.apiMetrics.apiCalls, // apiCalls (actual API calls made)
@@ -142,6 +146,7 @@ export async function POST(request, { params }) {
 			responseConfig: processingInstructions.responseConfig,
 			paginationConfig: processingInstructions.paginationConfig,
 			detailConfig: processingInstructions.detailConfig,
+			rateLimitConfig: processingInstructions.rateLimitConfig,
 			responseMapping: processingInstructions.responseMapping,
 			authMethod: processingInstructions.authMethod,
 			authDetails: processingInstructions.authDetails,
@@ -160,7 +165,8 @@ export async function POST(request, { params }) {
 			retryAttempts: fetchResult.apiMetrics.retryAttempts,
 			errors: fetchResult.apiMetrics.errors || [],
 			totalFound: fetchResult.apiMetrics.totalFound || 0,
-			totalRetrieved: fetchResult.apiMetrics.totalRetrieved || 0
+			totalRetrieved: fetchResult.apiMetrics.totalRetrieved || 0,
+			rateLimit: fetchResult.apiMetrics.rateLimit || null
 		};
 
 		for (let i = 0; i < fetchResult.chunks.length; i++) {
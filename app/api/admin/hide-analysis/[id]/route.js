@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { createAdminClient, requireRole } from '@/utils/supabase/api';
+
+// GET /api/admin/hide-analysis/[id] - Full analysis with findings
+export async function GET(request, { params }) {
+	try {
+		const { authorized } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		const { supabase } = createAdminClient(request);
+		const { id } = await params;
+
+		const { data: analysis, error } = await supabase
+			.from('hidden_match_analyses')
+			.select('*')
+			.eq('id', id)
+			.single();
+
+		if (error) {
+			if (error.code === 'PGRST116') {
+				return NextResponse.json({ error: 'Hide analysis not found' }, { status: 404 });
+			}
+			throw error;
+		}
+
+		return NextResponse.json({ success: true, analysis });
+	} catch (error) {
+		console.error('[HideAnalysis] Error fetching analysis:', error);
+		return NextResponse.json(
+			{ error: 'Failed to fetch hide analysis' },
+			{ status: 500 }
+		);
+	}
+}
@@ -0,0 +1,69 @@
+import { NextResponse } from 'next/server';
+import { createAdminClient, requireRole } from '@/utils/supabase/api';
+import { runHideAnalysis } from '@/lib/matching/hideAnalysis';
+
+/** Columns for the run list (findings can be large). */
+const ANALYSIS_LIST_FIELDS = 'id, status, started_at, completed_at, summary, error';
+
+// GET /api/admin/hide-analysis - Latest completed analysis and recent runs
+export async function GET(request) {
+	try {
+		const { authorized } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		const { supabase } = createAdminClient(request);
+
+		const [runsResult, latestResult] = await Promise.all([
+			supabase
+				.from('hidden_match_analyses')
+				.select(ANALYSIS_LIST_FIELDS)
+				.order('started_at', { ascending: false })
+				.limit(20),
+			supabase
+				.from('hidden_match_analyses')
+				.select('*')
+				.eq('status', 'completed')
+				.order('started_at', { ascending: false })
+				.limit(1)
+				.maybeSingle(),
+		]);
+
+		if (runsResult.error) throw runsResult.error;
+		if (latestResult.error) throw latestResult.error;
+
+		return NextResponse.json({
+			success: true,
+			runs: runsResult.data || [],
+			latest: latestResult.data || null,
+		});
+	} catch (error) {
+		console.error('[HideAnalysis] Error fetching analyses:', error);
+		return NextResponse.json(
+			{ error: 'Failed to fetch hide analyses' },
+			{ status: 500 }
+		);
+	}
+}
+
+// POST /api/admin/hide-analysis - Run a new analysis of hidden-match reasons
+export async function POST(request) {
+	try {
+		const { authorized, user } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		const { supabase } = createAdminClient(request);
+		const analysis = await runHideAnalysis(supabase, { requestedBy: user?.id || null });
+
+		return NextResponse.json({ success: true, analysis });
+	} catch (error) {
+		console.error('[HideAnalysis] Analysis failed:', error);
+		return NextResponse.json(
+			{ error: `Hide analysis failed: ${error.message}` },
+			{ status: 500 }
+		);
+	}
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { createAdminClient, requireRole } from '@/utils/supabase/api';
+
+// POST /api/admin/match-algorithm/reports/[id]/dismiss - Reject a shadow report without promoting
+export async function POST(request, { params }) {
+	try {
+		const { authorized, user } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		const { supabase } = createAdminClient(request);
+		const { id } = await params;
+
+		const { data, error } = await supabase
+			.from('match_shadow_reports')
+			.update({
+				status: 'dismissed',
+				reviewed_by: user?.id || null,
+				reviewed_at: new Date().toISOString(),
+			})
+			.eq('id', id)
+			.eq('status', 'completed')
+			.select('id');
+
+		if (error) throw error;
+
+		if (!data.length) {
+			return NextResponse.json(
+				{ error: 'Only completed reports can be dismissed' },
+				{ status: 409 }
+			);
+		}
+
+		console.log(`[MatchAlgorithm] Dismissed shadow report ${id}`);
+
+		return NextResponse.json({ success: true });
+	} catch (error) {
+		console.error('[MatchAlgorithm] Error dismissing shadow report:', error);
+		return NextResponse.json(
+			{ error: 'Failed to dismiss shadow report' },
+			{ status: 500 }
+		);
+	}
+}
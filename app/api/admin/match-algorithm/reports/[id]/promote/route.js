@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+import { createAdminClient, requireRole } from '@/utils/supabase/api';
+import { getActiveAlgorithmVersion, setActiveAlgorithmVersion } from '@/lib/matching/algorithmVersions';
+import { computeAllMatches } from '@/lib/matching/computeMatches';
+
+// POST /api/admin/match-algorithm/reports/[id]/promote - Make the report's candidate version active
+export async function POST(request, { params }) {
+	try {
+		const { authorized, user } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		const { supabase } = createAdminClient(request);
+		const { id } = await params;
+
+		const { data: report, error } = await supabase
+			.from('match_shadow_reports')
+			.select('id, baseline_version, candidate_version, status')
+			.eq('id', id)
+			.single();
+
+		if (error) {
+			if (error.code === 'PGRST116') {
+				return NextResponse.json({ error: 'Shadow report not found' }, { status: 404 });
+			}
+			throw error;
+		}
+
+		if (report.status !== 'completed') {
+			return NextResponse.json(
+				{ error: `Only completed reports can be promoted (status: ${report.status})` },
+				{ status: 409 }
+			);
+		}
+
+		// The diff is only meaningful against the version it was computed from
+		const active = await getActiveAlgorithmVersion(supabase);
+		if (active.id !== report.baseline_version) {
+			return NextResponse.json(
+				{ error: `Report was run against ${report.baseline_version} but ${active.id} is now active. Re-run the shadow comparison.` },
+				{ status: 409 }
+			);
+		}
+
+		await setActiveAlgorithmVersion(supabase, report.candidate_version);
+
+		const { error: updateError } = await supabase
+			.from('match_shadow_reports')
+			.update({
+				status: 'promoted',
+				reviewed_by: user?.id || null,
+				reviewed_at: new Date().toISOString(),
+			})
+			.eq('id', id);
+
+		if (updateError) throw updateError;
+
+		console.log(`[MatchAlgorithm] Promoted ${report.candidate_version} (was ${report.baseline_version}) from report ${id}`);
+
+		// Fire-and-forget: persist matches under the new version
+		computeAllMatches(supabase).catch(err =>
+			console.error('[MatchAlgorithm] Recompute after promotion failed:', err.message)
+		);
+
+		return NextResponse.json({
+			success: true,
+			activeVersion: report.candidate_version,
+			previousVersion: report.baseline_version,
+		});
+	} catch (error) {
+		console.error('[MatchAlgorithm] Error promoting version:', error);
+		return NextResponse.json(
+			{ error: 'Failed to promote match algorithm version' },
+			{ status: 500 }
+		);
+	}
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { createAdminClient, requireRole } from '@/utils/supabase/api';
+
+// GET /api/admin/match-algorithm/reports/[id] - Full shadow report with per-client diffs
+export async function GET(request, { params }) {
+	try {
+		const { authorized } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		const { supabase } = createAdminClient(request);
+		const { id } = await params;
+
+		const { data: report, error } = await supabase
+			.from('match_shadow_reports')
+			.select('*')
+			.eq('id', id)
+			.single();
+
+		if (error) {
+			if (error.code === 'PGRST116') {
+				return NextResponse.json({ error: 'Shadow report not found' }, { status: 404 });
+			}
+			throw error;
+		}
+
+		return NextResponse.json({ success: true, report });
+	} catch (error) {
+		console.error('[MatchAlgorithm] Error fetching shadow report:', error);
+		return NextResponse.json(
+			{ error: 'Failed to fetch shadow report' },
+			{ status: 500 }
+		);
+	}
+}
@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { createAdminClient, requireRole } from '@/utils/supabase/api';
+import { getActiveAlgorithmVersion, getAlgorithmVersion, listAlgorithmVersions } from '@/lib/matching/algorithmVersions';
+import { runShadowComparison } from '@/lib/matching/shadowRun';
+
+/** Report columns for the list view (client_diffs can be large). */
+const REPORT_LIST_FIELDS = 'id, baseline_version, candidate_version, status, started_at, completed_at, summary, error, reviewed_by, reviewed_at';
+
+// GET /api/admin/match-algorithm - Active version, available versions and recent shadow reports
+export async function GET(request) {
+	try {
+		const { authorized } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		const { supabase } = createAdminClient(request);
+		const active = await getActiveAlgorithmVersion(supabase);
+
+		const { data: reports, error } = await supabase
+			.from('match_shadow_reports')
+			.select(REPORT_LIST_FIELDS)
+			.order('started_at', { ascending: false })
+			.limit(20);
+
+		if (error) throw error;
+
+		return NextResponse.json({
+			success: true,
+			activeVersion: active.id,
+			versions: listAlgorithmVersions(),
+			reports: reports || [],
+		});
+	} catch (error) {
+		console.error('[MatchAlgorithm] Error fetching versions:', error);
+		return NextResponse.json(
+			{ error: 'Failed to fetch match algorithm versions' },
+			{ status: 500 }
+		);
+	}
+}
+
+// POST /api/admin/match-algorithm - Run a shadow comparison of a candidate version
+export async function POST(request) {
+	try {
+		const { authorized, user } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		const { supabase } = createAdminClient(request);
+		const { candidateVersion } = await request.json();
+
+		if (!candidateVersion || !getAlgorithmVersion(candidateVersion)) {
+			return NextResponse.json(
+				{ error: `Unknown candidateVersion: ${candidateVersion}` },
+				{ status: 400 }
+			);
+		}
+
+		const report = await runShadowComparison(supabase, {
+			candidateVersion,
+			requestedBy: user?.id || null,
+		});
+
+		return NextResponse.json({ success: true, report });
+	} catch (error) {
+		console.error('[MatchAlgorithm] Shadow run failed:', error);
+		return NextResponse.json(
+			{ error: `Shadow run failed: ${error.message}` },
+			{ status: 500 }
+		);
+	}
+}
@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server';
+import { createAdminClient, requireRole } from '@/utils/supabase/api';
+import { validateReportTemplate, clearDefaultTemplate } from '@/lib/services/reportTemplates';
+
+// PUT /api/admin/report-templates/[id] - Update a report template (fields present in the body)
+export async function PUT(request, { params }) {
+	try {
+		const { authorized } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		const { id } = await params;
+		const body = await request.json().catch(() => ({}));
+		const { values, errors } = validateReportTemplate(body, { partial: true });
+		if (errors.length > 0) {
+			return NextResponse.json({ error: errors.join('; ') }, { status: 400 });
+		}
+
+		const { supabase } = createAdminClient(request);
+		if (values.is_default) {
+			await clearDefaultTemplate(supabase, id);
+		}
+
+		const { data, error } = await supabase
+			.from('report_templates')
+			.update({ ...values, updated_at: new Date().toISOString() })
+			.eq('id', id)
+			.select()
+			.maybeSingle();
+
+		if (error) {
+			if (error.code === '23505') {
+				return NextResponse.json({ error: `A template named "${values.name}" already exists` }, { status: 409 });
+			}
+			throw error;
+		}
+		if (!data) {
+			return NextResponse.json({ error: 'Report template not found' }, { status: 404 });
+		}
+
+		return NextResponse.json({ success: true, template: data });
+	} catch (error) {
+		console.error('[ReportTemplates] Error updating template:', error);
+		return NextResponse.json(
+			{ error: 'Failed to update report template' },
+			{ status: 500 }
+		);
+	}
+}
+
+// DELETE /api/admin/report-templates/[id] - Delete a report template
+export async function DELETE(request, { params }) {
+	try {
+		const { authorized } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		const { id } = await params;
+		const { supabase } = createAdminClient(request);
+
+		const { data, error } = await supabase
+			.from('report_templates')
+			.delete()
+			.eq('id', id)
+			.select('id');
+
+		if (error) throw error;
+		if (!data?.length) {
+			return NextResponse.json({ error: 'Report template not found' }, { status: 404 });
+		}
+
+		return NextResponse.json({ success: true });
+	} catch (error) {
+		console.error('[ReportTemplates] Error deleting template:', error);
+		return NextResponse.json(
+			{ error: 'Failed to delete report template' },
+			{ status: 500 }
+		);
+	}
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { createAdminClient, requireRole } from '@/utils/supabase/api';
+import { validateReportTemplate, clearDefaultTemplate } from '@/lib/services/reportTemplates';
+
+// POST /api/admin/report-templates - Create a report template
+export async function POST(request) {
+	try {
+		const { authorized, user } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		const body = await request.json().catch(() => ({}));
+		const { values, errors } = validateReportTemplate(body);
+		if (errors.length > 0) {
+			return NextResponse.json({ error: errors.join('; ') }, { status: 400 });
+		}
+
+		const { supabase } = createAdminClient(request);
+		if (values.is_default) {
+			await clearDefaultTemplate(supabase);
+		}
+
+		const { data, error } = await supabase
+			.from('report_templates')
+			.insert({ ...values, created_by: user?.id || null })
+			.select()
+			.single();
+
+		if (error) {
+			if (error.code === '23505') {
+				return NextResponse.json({ error: `A template named "${values.name}" already exists` }, { status: 409 });
+			}
+			throw error;
+		}
+
+		return NextResponse.json({ success: true, template: data }, { status: 201 });
+	} catch (error) {
+		console.error('[ReportTemplates] Error creating template:', error);
+		return NextResponse.json(
+			{ error: 'Failed to create report template' },
+			{ status: 500 }
+		);
+	}
+}
@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/utils/supabase/api';
+import { listSourceAdapters } from '@/lib/agents-v2/core/sourceAdapters';
+
+// GET /api/admin/source-adapters - Registered source adapters for the source form
+export async function GET(request) {
+	try {
+		const { authorized } = await requireRole(request, ['admin']);
+		if (!authorized) {
+			return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+		}
+
+		return NextResponse.json({ success: true, adapters: listSourceAdapters() });
+	} catch (error) {
+		console.error('[SourceAdapters] Error listing adapters:', error);
+		return NextResponse.json(
+			{ error: 'Failed to list source adapters' },
+			{ status: 500 }
+		);
+	}
+}
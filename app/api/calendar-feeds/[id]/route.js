@@ -0,0 +1,104 @@
+/**
+ * Calendar Feed API Routes
+ *
+ * PATCH /api/calendar-feeds/[id] - Update a feed, or issue a new URL
+ * DELETE /api/calendar-feeds/[id] - Delete a feed (its URL stops working)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { generateFeedToken, toFeedResponse, validateCalendarFeed } from '@/lib/services/calendarFeed';
+import { requireAuth } from '@/utils/supabase/api';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+async function getUser(request) {
+  try {
+    const { user } = await requireAuth(request);
+    return user || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * PATCH /api/calendar-feeds/[id]
+ * Body: { name?, filters?, reminder_days?, regenerate_token? }
+ * regenerate_token replaces the URL; calendars subscribed to the old one stop updating.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to manage calendar feeds' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+    const { values, errors } = validateCalendarFeed(body, { partial: true });
+    if (errors.length > 0) {
+      return NextResponse.json({ success: false, error: errors.join('; ') }, { status: 400 });
+    }
+    if (body.regenerate_token === true) {
+      values.token = generateFeedToken();
+    }
+
+    const { data: feed, error } = await supabase
+      .from('calendar_feeds')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .select('*, client:clients(name)')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!feed) {
+      return NextResponse.json({ success: false, error: 'Feed not found' }, { status: 404 });
+    }
+
+    const { origin } = new URL(request.url);
+    return NextResponse.json({ success: true, feed: toFeedResponse(feed, origin) });
+  } catch (error) {
+    console.error('[API /calendar-feeds] Error updating feed:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/calendar-feeds/[id]
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to manage calendar feeds' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const { data: deleted, error } = await supabase
+      .from('calendar_feeds')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .select('id');
+
+    if (error) throw error;
+    if (!deleted?.length) {
+      return NextResponse.json({ success: false, error: 'Feed not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('[API /calendar-feeds] Error deleting feed:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
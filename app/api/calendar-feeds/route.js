@@ -0,0 +1,119 @@
+/**
+ * Calendar Feeds API Routes
+ *
+ * The current user's ICS feed subscriptions (lib/services/calendarFeed.js).
+ * Each feed is served at its tokenized URL, /api/calendar/<token>.ics.
+ *
+ * GET /api/calendar-feeds - List feeds with their subscription URLs
+ * POST /api/calendar-feeds - Create a feed
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { generateFeedToken, toFeedResponse, validateCalendarFeed } from '@/lib/services/calendarFeed';
+import { requireAuth } from '@/utils/supabase/api';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+const DEFAULT_NAMES = {
+  user: 'My Deadlines',
+  filter: 'Saved Filter',
+};
+
+async function getUser(request) {
+  try {
+    const { user } = await requireAuth(request);
+    return user || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /api/calendar-feeds
+ */
+export async function GET(request) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to manage calendar feeds' }, { status: 401 });
+    }
+
+    const { data: feeds, error } = await supabase
+      .from('calendar_feeds')
+      .select('*, client:clients(name)')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const { origin } = new URL(request.url);
+    return NextResponse.json({
+      success: true,
+      feeds: (feeds || []).map((feed) => toFeedResponse(feed, origin))
+    });
+  } catch (error) {
+    console.error('[API /calendar-feeds] Error listing feeds:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/calendar-feeds
+ * Body: { scope: 'user' | 'client' | 'filter', name?, client_id?, filters?, reminder_days? }
+ */
+export async function POST(request) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to manage calendar feeds' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const { values, errors } = validateCalendarFeed(body);
+    if (errors.length > 0) {
+      return NextResponse.json({ success: false, error: errors.join('; ') }, { status: 400 });
+    }
+
+    let name = values.name;
+    if (values.scope === 'client') {
+      const { data: client } = await supabase
+        .from('clients')
+        .select('name')
+        .eq('id', values.client_id)
+        .maybeSingle();
+      if (!client) {
+        return NextResponse.json({ success: false, error: 'Client not found' }, { status: 404 });
+      }
+      name = name || client.name;
+    }
+
+    const { data: feed, error } = await supabase
+      .from('calendar_feeds')
+      .insert({
+        ...values,
+        name: name || DEFAULT_NAMES[values.scope],
+        user_id: user.id,
+        token: generateFeedToken()
+      })
+      .select('*, client:clients(name)')
+      .single();
+
+    if (error) throw error;
+
+    const { origin } = new URL(request.url);
+    return NextResponse.json({ success: true, feed: toFeedResponse(feed, origin) }, { status: 201 });
+  } catch (error) {
+    console.error('[API /calendar-feeds] Error creating feed:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
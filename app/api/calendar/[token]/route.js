@@ -0,0 +1,60 @@
+/**
+ * Calendar Feed Endpoint
+ *
+ * GET /api/calendar/<token>.ics - iCalendar feed for calendar subscriptions
+ * (Outlook, Google Calendar). The token is the credential: this route is
+ * public in middleware.js and answers 404 for unknown tokens.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { renderFeed } from '@/lib/services/calendarFeed';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+export async function GET(request, { params }) {
+  try {
+    const { token: tokenParam } = await params;
+    const token = tokenParam.replace(/\.ics$/i, '');
+
+    const { data: feed, error } = await supabase
+      .from('calendar_feeds')
+      .select('*')
+      .eq('token', token)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!feed) {
+      return NextResponse.json({ error: 'Calendar feed not found' }, { status: 404 });
+    }
+
+    const ics = await renderFeed(supabase, feed);
+
+    // Best-effort usage tracking; not worth failing the feed over
+    supabase
+      .from('calendar_feeds')
+      .update({ last_accessed_at: new Date().toISOString() })
+      .eq('id', feed.id)
+      .then(({ error: touchError }) => {
+        if (touchError) console.warn('[CalendarFeed] Failed to record access:', touchError.message);
+      });
+
+    const filename = feed.name.replace(/[^a-zA-Z0-9]/g, '-').replace(/-+/g, '-').toLowerCase();
+    return new Response(ics, {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${filename}.ics"`,
+        'Cache-Control': 'private, max-age=900',
+      },
+    });
+  } catch (error) {
+    console.error('[CalendarFeed] Error rendering feed:', error);
+    return NextResponse.json(
+      { error: 'Failed to render calendar feed' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Match Lifecycle API
+ *
+ * GET   /api/client-matching/lifecycle?clientId=...&opportunityId=...
+ *       Current status and transition history for one pair
+ * PATCH /api/client-matching/lifecycle
+ *       Change the status of a pair
+ *
+ * PATCH body:
+ * {
+ *   clientId: string,
+ *   opportunityId: string,
+ *   status: string | null,     // MATCH_LIFECYCLE_STATUSES key; null clears tracking
+ *   awardedAmount?: number,    // required when status is 'awarded'
+ *   note?: string
+ * }
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { requireAuth } from '@/utils/supabase/api';
+import { normalizeLifecycleUpdate, isActiveLifecycleStatus } from '@/lib/matching/lifecycle';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const clientId = searchParams.get('clientId');
+    const opportunityId = searchParams.get('opportunityId');
+
+    if (!clientId || !opportunityId) {
+      return NextResponse.json(
+        { success: false, error: 'clientId and opportunityId are required' },
+        { status: 400 }
+      );
+    }
+
+    const { data: match, error: matchError } = await supabase
+      .from('client_matches')
+      .select('lifecycle_status, lifecycle_updated_at, awarded_amount')
+      .eq('client_id', clientId)
+      .eq('opportunity_id', opportunityId)
+      .maybeSingle();
+
+    if (matchError) throw matchError;
+    if (!match) {
+      return NextResponse.json(
+        { success: false, error: 'Match not found' },
+        { status: 404 }
+      );
+    }
+
+    const { data: history, error: historyError } = await supabase
+      .from('match_lifecycle_events')
+      .select('id, from_status, to_status, awarded_amount, note, changed_by, changed_at')
+      .eq('client_id', clientId)
+      .eq('opportunity_id', opportunityId)
+      .order('changed_at', { ascending: false });
+
+    if (historyError) throw historyError;
+
+    return NextResponse.json({
+      success: true,
+      lifecycle: match,
+      history: history || []
+    });
+
+  } catch (error) {
+    console.error('[MatchLifecycle] Error fetching lifecycle:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch lifecycle' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PATCH(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { clientId, opportunityId } = body;
+
+    if (!clientId || !opportunityId) {
+      return NextResponse.json(
+        { success: false, error: 'clientId and opportunityId are required' },
+        { status: 400 }
+      );
+    }
+
+    const { update, error: validationError } = normalizeLifecycleUpdate({
+      status: body.status,
+      awardedAmount: body.awardedAmount,
+      note: body.note
+    });
+    if (validationError) {
+      return NextResponse.json(
+        { success: false, error: validationError },
+        { status: 400 }
+      );
+    }
+
+    const { data: current, error: currentError } = await supabase
+      .from('client_matches')
+      .select('lifecycle_status')
+      .eq('client_id', clientId)
+      .eq('opportunity_id', opportunityId)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
+    if (!current) {
+      return NextResponse.json(
+        { success: false, error: 'Match not found' },
+        { status: 404 }
+      );
+    }
+
+    // Attribution is best-effort, same as client creation
+    let changedBy = null;
+    try {
+      const { user } = await requireAuth(request);
+      changedBy = user?.id || null;
+    } catch {
+      // No session — record the change without a user
+    }
+
+    const now = new Date().toISOString();
+    const matchUpdate = {
+      lifecycle_status: update.status,
+      lifecycle_updated_at: now,
+      awarded_amount: update.awardedAmount
+    };
+    // Moving a stale pair into an active status brings it back
+    if (isActiveLifecycleStatus(update.status)) {
+      matchUpdate.is_stale = false;
+      matchUpdate.stale_at = null;
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('client_matches')
+      .update(matchUpdate)
+      .eq('client_id', clientId)
+      .eq('opportunity_id', opportunityId)
+      .select('lifecycle_status, lifecycle_updated_at, awarded_amount')
+      .single();
+
+    if (updateError) throw updateError;
+
+    const { error: eventError } = await supabase
+      .from('match_lifecycle_events')
+      .insert({
+        client_id: clientId,
+        opportunity_id: opportunityId,
+        from_status: current.lifecycle_status,
+        to_status: update.status,
+        awarded_amount: update.awardedAmount,
+        note: update.note,
+        changed_by: changedBy,
+        changed_at: now
+      });
+
+    if (eventError) {
+      console.error('[MatchLifecycle] Failed to record history event:', eventError.message);
+    }
+
+    console.log(`[MatchLifecycle] ${clientId}:${opportunityId} ${current.lifecycle_status || 'untracked'} → ${update.status || 'untracked'}`);
+
+    return NextResponse.json({
+      success: true,
+      lifecycle: updated
+    });
+
+  } catch (error) {
+    console.error('[MatchLifecycle] Error updating lifecycle:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to update lifecycle' },
+      { status: 500 }
+    );
+  }
+}
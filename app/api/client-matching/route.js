@@ -7,6 +7,17 @@
  *
  * Much faster than the previous approach which recomputed matches from
  * scratch on every request using O(n*m) evaluateMatch() calls.
+ *
+ * Query params:
+ *   clientId          — single-client mode
+ *   includeNearMisses — 'true' to also return near-miss matches (one failed
+ *                       criterion) as a separate `nearMisses` list per client
+ *
+ * Multi-site clients: single-client mode embeds client.sites, and each match
+ * lists the eligibleSites that make it eligible (see lib/matching/clientSites.js).
+ *
+ * Each match carries its lifecycle_status (see lib/matching/lifecycle.js);
+ * status changes go through /api/client-matching/lifecycle.
  */
 
 import { createClient } from '@supabase/supabase-js';
@@ -28,10 +39,15 @@ function transformMatch(row) {
     source_type: opp.funding_sources?.type || null,
     funding_sources: undefined,
     score: row.score,
+    match_tier: row.match_tier,
     matchDetails: row.match_details,
+    eligibleSites: row.match_details?.eligibleSites || null,
     is_new: row.is_new,
     first_matched_at: row.first_matched_at,
-    last_matched_at: row.last_matched_at
+    last_matched_at: row.last_matched_at,
+    lifecycle_status: row.lifecycle_status,
+    lifecycle_updated_at: row.lifecycle_updated_at,
+    awarded_amount: row.awarded_amount
   };
 }
 
@@ -39,16 +55,17 @@ export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
     const clientId = searchParams.get('clientId');
+    const includeNearMisses = searchParams.get('includeNearMisses') === 'true';
 
     console.log(`[ClientMatching] Reading persisted matches${clientId ? ` for client: ${clientId}` : ' for all clients'}`);
 
     if (clientId) {
-      return handleSingleClient(clientId);
+      return handleSingleClient(clientId, { includeNearMisses });
     }
 
     // Resolve user-based filtering for all-clients mode
     const { clientIds } = await getFilteredClientIds(supabase, request);
-    return handleAllClients(clientIds);
+    return handleAllClients(clientIds, { includeNearMisses });
   } catch (error) {
     console.error('[ClientMatching] API error:', error);
     return Response.json({
@@ -58,14 +75,41 @@ export async function GET(request) {
   }
 }
 
+/**
+ * Restrict a client_matches query to the requested tiers.
+ */
+function applyTierFilter(query, includeNearMisses) {
+  return includeNearMisses
+    ? query.in('match_tier', ['match', 'near_miss'])
+    : query.eq('match_tier', 'match');
+}
+
+/**
+ * Split transformed rows into full matches and near misses, each sorted by score.
+ */
+function splitByTier(rows) {
+  const matches = [];
+  const nearMisses = [];
+  for (const row of rows) {
+    if (row.match_tier === 'near_miss') {
+      nearMisses.push(row);
+    } else {
+      matches.push(row);
+    }
+  }
+  matches.sort((a, b) => b.score - a.score);
+  nearMisses.sort((a, b) => b.score - a.score);
+  return { matches, nearMisses };
+}
+
 /**
  * Single-client mode: returns matches for one client.
  */
-async function handleSingleClient(clientId) {
+async function handleSingleClient(clientId, { includeNearMisses = false } = {}) {
   // 1. Fetch the client
   const { data: client, error: clientError } = await supabase
     .from('clients')
-    .select('*')
+    .select('*, sites:client_sites(id, name, address, city, state_code, project_needs)')
     .eq('id', clientId)
     .single();
 
@@ -88,10 +132,11 @@ async function handleSingleClient(clientId) {
   const hiddenIds = new Set((hiddenRows || []).map(h => h.opportunity_id));
 
   // 3. Query persisted matches with opportunity details
-  const { data: matchRows, error: matchError } = await supabase
+  const matchQuery = supabase
     .from('client_matches')
     .select(`
-      score, match_details, is_new, first_matched_at, last_matched_at,
+      score, match_tier, match_details, is_new, first_matched_at, last_matched_at,
+      lifecycle_status, lifecycle_updated_at, awarded_amount,
       opportunity:funding_opportunities!inner(
         *, funding_sources(type)
       )
@@ -99,17 +144,19 @@ async function handleSingleClient(clientId) {
     .eq('client_id', clientId)
     .eq('is_stale', false)
     .limit(10000);
+  const { data: matchRows, error: matchError } = await applyTierFilter(matchQuery, includeNearMisses);
 
   if (matchError) {
     console.error('[ClientMatching] Error fetching matches:', matchError);
     return Response.json({ error: 'Failed to fetch matches' }, { status: 500 });
   }
 
-  // 4. Filter hidden and transform
-  const matches = (matchRows || [])
-    .filter(row => !hiddenIds.has(row.opportunity.id))
-    .map(transformMatch)
-    .sort((a, b) => b.score - a.score);
+  // 4. Filter hidden, transform and split tiers
+  const { matches, nearMisses } = splitByTier(
+    (matchRows || [])
+      .filter(row => !hiddenIds.has(row.opportunity.id))
+      .map(transformMatch)
+  );
 
   const result = {
     client,
@@ -118,6 +165,10 @@ async function handleSingleClient(clientId) {
     hiddenCount: hiddenIds.size,
     topMatches: matches.slice(0, 3)
   };
+  if (includeNearMisses) {
+    result.nearMisses = nearMisses;
+    result.nearMissCount = nearMisses.length;
+  }
 
   console.log(`[ClientMatching] Found ${matches.length} matches for ${client.name}`);
 
@@ -131,7 +182,7 @@ async function handleSingleClient(clientId) {
 /**
  * All-clients mode: returns matches grouped by client.
  */
-async function handleAllClients(clientIds = null) {
+async function handleAllClients(clientIds = null, { includeNearMisses = false } = {}) {
   // 1. Fetch clients (filtered if clientIds provided)
   if (clientIds !== null && clientIds.length === 0) {
     return Response.json({
@@ -160,13 +211,15 @@ async function handleAllClients(clientIds = null) {
   let matchQuery = supabase
     .from('client_matches')
     .select(`
-      client_id, score, match_details, is_new, first_matched_at, last_matched_at,
+      client_id, score, match_tier, match_details, is_new, first_matched_at, last_matched_at,
+      lifecycle_status, lifecycle_updated_at, awarded_amount,
       opportunity:funding_opportunities!inner(
         *, funding_sources(type)
       )
     `)
     .eq('is_stale', false)
     .limit(10000);
+  matchQuery = applyTierFilter(matchQuery, includeNearMisses);
 
   if (clientIds !== null) {
     matchQuery = matchQuery.in('client_id', clientIds);
@@ -214,8 +267,7 @@ async function handleAllClients(clientIds = null) {
   const results = {};
 
   for (const client of clients) {
-    const clientMatches = matchesByClient.get(client.id) || [];
-    clientMatches.sort((a, b) => b.score - a.score);
+    const { matches: clientMatches, nearMisses } = splitByTier(matchesByClient.get(client.id) || []);
 
     const hiddenIds = hiddenMap.get(client.id);
     const hiddenCount = hiddenIds ? hiddenIds.size : 0;
@@ -227,6 +279,10 @@ async function handleAllClients(clientIds = null) {
       hiddenCount,
       topMatches: clientMatches.slice(0, 3)
     };
+    if (includeNearMisses) {
+      results[client.id].nearMisses = nearMisses;
+      results[client.id].nearMissCount = nearMisses.length;
+    }
   }
 
   console.log(`[ClientMatching] Returned matches for ${clients.length} clients`);
@@ -0,0 +1,167 @@
+/**
+ * What-if Match Simulator API
+ *
+ * POST /api/client-matching/simulate
+ *
+ * Computes matches for a hypothetical client profile on the fly, using the
+ * same evaluateMatch logic as the background job. Nothing is written to
+ * clients or client_matches.
+ *
+ * Body:
+ * {
+ *   type: string,                  // required — client type
+ *   address?: string,              // geocoded when coverage_area_ids is not given
+ *   coverage_area_ids?: string[],  // skip geocoding and use these areas directly
+ *   project_needs?: string[],
+ *   budget?: string,               // BUDGET_TIERS key
+ *   includeNearMisses?: boolean
+ * }
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { geocodeAddress } from '@/lib/services/geocoder';
+import { simulateMatches, buildNeedImpact } from '@/lib/matching/simulateMatches';
+import { BUDGET_TIERS } from '@/lib/constants/taxonomies';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+/** Opportunity columns returned with each simulated match. */
+const OPPORTUNITY_FIELDS = 'id, title, agency_name, funding_type, minimum_award, maximum_award, close_date, status, is_national, funding_status, application_window_type';
+
+/** Keeps .in() filters under PostgREST URL length limits. */
+const DETAIL_CHUNK_SIZE = 100;
+
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    // 1. Validate profile
+    if (!body.type || typeof body.type !== 'string') {
+      return NextResponse.json(
+        { success: false, error: 'type is required' },
+        { status: 400 }
+      );
+    }
+
+    if (body.project_needs !== undefined && !Array.isArray(body.project_needs)) {
+      return NextResponse.json(
+        { success: false, error: 'project_needs must be an array' },
+        { status: 400 }
+      );
+    }
+
+    const VALID_BUDGET_TIERS = BUDGET_TIERS.map(tier => tier.key);
+    const budget = body.budget || null;
+    if (budget && !VALID_BUDGET_TIERS.includes(budget)) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: `Invalid budget tier: ${budget}. Must be one of: ${VALID_BUDGET_TIERS.join(', ')}`
+        },
+        { status: 400 }
+      );
+    }
+
+    // 2. Resolve coverage areas (explicit IDs win over address)
+    let coverageAreaIds;
+    let location = null;
+    if (Array.isArray(body.coverage_area_ids) && body.coverage_area_ids.length > 0) {
+      coverageAreaIds = body.coverage_area_ids;
+    } else if (body.address?.trim()) {
+      const geocodeResult = await geocodeAddress(body.address);
+      if (!geocodeResult.success) {
+        return NextResponse.json(
+          { success: false, error: `Geocoding failed: ${geocodeResult.error}`, geocodeError: true },
+          { status: 400 }
+        );
+      }
+
+      const { lat, lng } = geocodeResult.coordinates;
+      const { data: coverageAreas, error: coverageError } = await supabase
+        .rpc('find_coverage_areas_for_point', { lng, lat });
+      if (coverageError) throw coverageError;
+
+      coverageAreaIds = coverageAreas?.map(ca => ca.id) || [];
+      location = {
+        ...geocodeResult.location,
+        coordinates: geocodeResult.coordinates,
+        formattedAddress: geocodeResult.formattedAddress
+      };
+    } else {
+      return NextResponse.json(
+        { success: false, error: 'Either address or coverage_area_ids is required' },
+        { status: 400 }
+      );
+    }
+
+    const profile = {
+      type: body.type,
+      coverage_area_ids: coverageAreaIds,
+      project_needs: body.project_needs || [],
+      budget
+    };
+
+    // 3. Evaluate on the fly
+    const includeNearMisses = body.includeNearMisses === true;
+    const { matches, nearMisses, opportunitiesEvaluated } = await simulateMatches(supabase, profile, { includeNearMisses });
+
+    // 4. Attach opportunity details for display
+    const detailsById = await fetchOpportunityDetails([...matches, ...nearMisses].map(m => m.opportunity_id));
+    const toResponseRow = (row) => ({
+      ...detailsById.get(row.opportunity_id),
+      id: row.opportunity_id,
+      score: row.score,
+      match_tier: row.match_tier,
+      matchDetails: row.match_details
+    });
+
+    console.log(`[MatchSimulator] ${matches.length} matches for hypothetical ${profile.type} (${opportunitiesEvaluated} opportunities evaluated)`);
+
+    const results = {
+      profile: { ...profile, location },
+      matches: matches.map(toResponseRow),
+      matchCount: matches.length,
+      needImpact: buildNeedImpact(profile.project_needs, matches),
+      opportunitiesEvaluated
+    };
+    if (includeNearMisses) {
+      results.nearMisses = nearMisses.map(toResponseRow);
+      results.nearMissCount = nearMisses.length;
+    }
+
+    return NextResponse.json({
+      success: true,
+      results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[MatchSimulator] API error:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Fetch display fields for the given opportunity IDs in chunks.
+ */
+async function fetchOpportunityDetails(opportunityIds) {
+  const detailsById = new Map();
+  for (let i = 0; i < opportunityIds.length; i += DETAIL_CHUNK_SIZE) {
+    const chunk = opportunityIds.slice(i, i + DETAIL_CHUNK_SIZE);
+    const { data, error } = await supabase
+      .from('funding_opportunities')
+      .select(OPPORTUNITY_FIELDS)
+      .in('id', chunk);
+    if (error) throw new Error(`Failed to fetch opportunity details: ${error.message}`);
+    for (const opp of data || []) {
+      detailsById.set(opp.id, opp);
+    }
+  }
+  return detailsById;
+}
@@ -70,6 +70,7 @@ export async function GET(request) {
 			.from('client_matches')
 			.select('client_id, opportunity_id')
 			.eq('is_stale', false)
+			.eq('match_tier', 'match')
 			.limit(10000);
 
 		if (clientIds !== null) {
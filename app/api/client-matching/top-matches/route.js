@@ -56,6 +56,7 @@ export async function GET(request) {
 				opportunity:funding_opportunities!inner(id, title, maximum_award)
 			`)
 			.eq('is_stale', false)
+			.eq('match_tier', 'match')
 			.limit(10000);
 
 		if (clientIds !== null) {
@@ -0,0 +1,80 @@
+/**
+ * Client Activity API Route
+ *
+ * GET /api/clients/[id]/activity - Activity feed for a client
+ *
+ * Combines client_activity_log events (profile edits, hidden/restored matches,
+ * assignment changes) with match_job_logs runs scoped to the client.
+ *
+ * Query params:
+ *   limit - Max entries (default 50, max 200)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { buildActivityFeed } from '@/lib/services/clientActivity';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+export async function GET(request, { params }) {
+  try {
+    const { id } = params;
+    const { searchParams } = new URL(request.url);
+    const requested = parseInt(searchParams.get('limit'), 10);
+    const limit = Number.isFinite(requested) && requested > 0 ? Math.min(requested, MAX_LIMIT) : DEFAULT_LIMIT;
+
+    const [eventsResult, jobsResult] = await Promise.all([
+      supabase
+        .from('client_activity_log')
+        .select('id, event_type, actor_id, details, created_at')
+        .eq('client_id', id)
+        .order('created_at', { ascending: false })
+        .limit(limit),
+      supabase
+        .from('match_job_logs')
+        .select('id, trigger, status, started_at, completed_at, stats, error')
+        .contains('scope', { clientIds: [id] })
+        .order('started_at', { ascending: false })
+        .limit(limit)
+    ]);
+
+    if (eventsResult.error) throw eventsResult.error;
+    if (jobsResult.error) throw jobsResult.error;
+
+    const activity = buildActivityFeed(eventsResult.data || [], jobsResult.data || [], limit);
+
+    // Titles for hide/restore events
+    const opportunityIds = [...new Set(
+      activity.map(entry => entry.details.opportunity_id).filter(Boolean)
+    )];
+    if (opportunityIds.length > 0) {
+      const { data: opportunities, error: opportunityError } = await supabase
+        .from('funding_opportunities')
+        .select('id, title')
+        .in('id', opportunityIds);
+
+      if (opportunityError) throw opportunityError;
+
+      const titles = new Map((opportunities || []).map(o => [o.id, o.title]));
+      for (const entry of activity) {
+        if (entry.details.opportunity_id) {
+          entry.details.opportunity_title = titles.get(entry.details.opportunity_id) || null;
+        }
+      }
+    }
+
+    return NextResponse.json({ success: true, activity });
+  } catch (error) {
+    console.error('[API] Error fetching client activity:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,22 +1,39 @@
 /**
  * Hidden Matches API Routes
  *
- * GET /api/clients/[id]/hidden-matches - List hidden matches
+ * GET /api/clients/[id]/hidden-matches - List hidden and rule-suppressed matches
  * POST /api/clients/[id]/hidden-matches - Hide a match
  * DELETE /api/clients/[id]/hidden-matches - Unhide a match
  */
 
 import { createClient } from '@supabase/supabase-js';
 import { NextResponse } from 'next/server';
+import { recordClientActivity } from '@/lib/services/clientActivity';
+import { requireAuth } from '@/utils/supabase/api';
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
   process.env.SUPABASE_SECRET_KEY
 );
 
+/**
+ * Acting user for the activity log. Attribution is best-effort, same as
+ * client creation.
+ */
+async function getActorId(request) {
+  try {
+    const { user } = await requireAuth(request);
+    return user?.id || null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * GET /api/clients/[id]/hidden-matches
- * List all hidden matches for a client with opportunity details
+ * List all hidden matches for a client with opportunity details.
+ * Also returns matches suppressed by the client's match_rules
+ * (client_matches.match_tier = 'suppressed'), reported separately.
  */
 export async function GET(request, { params }) {
   try {
@@ -39,10 +56,38 @@ export async function GET(request, { params }) {
 
     if (error) throw error;
 
+    const { data: suppressedRows, error: suppressedError } = await supabase
+      .from('client_matches')
+      .select(`
+        opportunity_id,
+        score,
+        match_details,
+        last_matched_at,
+        funding_opportunities (
+          id, title, agency_name, maximum_award, close_date, status
+        )
+      `)
+      .eq('client_id', clientId)
+      .eq('match_tier', 'suppressed')
+      .eq('is_stale', false)
+      .order('score', { ascending: false });
+
+    if (suppressedError) throw suppressedError;
+
+    const ruleSuppressedMatches = (suppressedRows || []).map(row => ({
+      opportunity_id: row.opportunity_id,
+      score: row.score,
+      last_matched_at: row.last_matched_at,
+      suppressedBy: row.match_details?.suppressedBy || [],
+      funding_opportunities: row.funding_opportunities
+    }));
+
     return NextResponse.json({
       success: true,
       hiddenMatches: hiddenMatches || [],
-      count: hiddenMatches?.length || 0
+      count: hiddenMatches?.length || 0,
+      ruleSuppressedMatches,
+      ruleSuppressedCount: ruleSuppressedMatches.length
     });
 
   } catch (error) {
@@ -94,6 +139,13 @@ export async function POST(request, { params }) {
 
     console.log(`[HiddenMatches] ✅ Hidden match: client=${clientId}, opportunity=${opportunityId}`);
 
+    await recordClientActivity(supabase, {
+      clientId,
+      type: 'match_hidden',
+      actorId: await getActorId(request),
+      details: { opportunity_id: opportunityId, reason: data.reason }
+    });
+
     return NextResponse.json({
       success: true,
       hiddenMatch: data,
@@ -126,16 +178,26 @@ export async function DELETE(request, { params }) {
       );
     }
 
-    const { error } = await supabase
+    const { data: restored, error } = await supabase
       .from('hidden_matches')
       .delete()
       .eq('client_id', clientId)
-      .eq('opportunity_id', opportunityId);
+      .eq('opportunity_id', opportunityId)
+      .select('id');
 
     if (error) throw error;
 
     console.log(`[HiddenMatches] ✅ Restored match: client=${clientId}, opportunity=${opportunityId}`);
 
+    if (restored?.length > 0) {
+      await recordClientActivity(supabase, {
+        clientId,
+        type: 'match_unhidden',
+        actorId: await getActorId(request),
+        details: { opportunity_id: opportunityId }
+      });
+    }
+
     return NextResponse.json({
       success: true,
       message: 'Match restored successfully'
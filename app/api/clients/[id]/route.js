@@ -10,6 +10,10 @@ import { createClient } from '@supabase/supabase-js';
 import { geocodeAddress } from '@/lib/services/geocoder';
 import { NextResponse } from 'next/server';
 import { computeMatchesForClient } from '@/lib/matching/computeMatches';
+import { BUDGET_TIERS, INCENTIVE_STRUCTURES } from '@/lib/constants/taxonomies';
+import { normalizeMatchRules } from '@/lib/matching/clientRules';
+import { diffClientFields, diffAssignments, recordClientActivity } from '@/lib/services/clientActivity';
+import { requireAuth } from '@/utils/supabase/api';
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
@@ -62,17 +66,18 @@ export async function GET(request, { params }) {
 
 /**
  * PUT /api/clients/[id]
- * Update client (re-geocodes if address changed)
+ * Update client (re-geocodes if address changed). Changed fields and
+ * assignment changes are recorded in the client's activity log.
  */
 export async function PUT(request, { params }) {
   try {
     const { id } = params;
     const body = await request.json();
 
-    // Get existing client to compare address
+    // Get existing client to compare address and diff the edit
     const { data: existingClient, error: fetchError } = await supabase
       .from('clients')
-      .select('address')
+      .select('*')
       .eq('id', id)
       .single();
 
@@ -90,7 +95,7 @@ export async function PUT(request, { params }) {
     }
 
     // Validate budget tier string (or null if not provided)
-    const VALID_BUDGET_TIERS = ['small', 'medium', 'large', 'very_large'];
+    const VALID_BUDGET_TIERS = BUDGET_TIERS.map(tier => tier.key);
     let budget = null;
     if (body.budget !== null && body.budget !== undefined && body.budget !== '') {
       budget = String(body.budget);
@@ -115,6 +120,20 @@ export async function PUT(request, { params }) {
       updateData.salesforce_id = body.salesforce_id || null;
     }
 
+    // Only replace match_rules if explicitly provided in the request
+    if (body.match_rules !== undefined) {
+      const { rules, error: matchRulesError } = normalizeMatchRules(body.match_rules, {
+        incentiveStructureKeys: INCENTIVE_STRUCTURES.map(structure => structure.key)
+      });
+      if (matchRulesError) {
+        return NextResponse.json(
+          { success: false, error: matchRulesError },
+          { status: 400 }
+        );
+      }
+      updateData.match_rules = rules;
+    }
+
     // Check if address changed - if so, re-geocode
     const addressChanged = body.address && body.address !== existingClient.address;
 
@@ -182,8 +201,32 @@ export async function PUT(request, { params }) {
 
     console.log(`[API] ✅ Updated client: ${client.id}`);
 
+    // Attribution is best-effort, same as client creation
+    let actorId = null;
+    try {
+      const { user } = await requireAuth(request);
+      actorId = user?.id || null;
+    } catch {
+      // No session — record the change without a user
+    }
+
+    const changes = diffClientFields(existingClient, updateData);
+    if (changes.length > 0) {
+      await recordClientActivity(supabase, {
+        clientId: id,
+        type: 'client_updated',
+        actorId,
+        details: { changes }
+      });
+    }
+
     // Sync assigned_users if provided
     if (Array.isArray(body.assigned_users)) {
+      const { data: previousAssignments } = await supabase
+        .from('client_users')
+        .select('user_id')
+        .eq('client_id', id);
+
       const { error: deleteError } = await supabase
         .from('client_users')
         .delete()
@@ -214,6 +257,19 @@ export async function PUT(request, { params }) {
         }
         console.log(`[API] Synced ${rows.length} client_users for client ${id}`);
       }
+
+      const { added, removed } = diffAssignments(
+        (previousAssignments || []).map(row => row.user_id),
+        body.assigned_users
+      );
+      if (added.length > 0 || removed.length > 0) {
+        await recordClientActivity(supabase, {
+          clientId: id,
+          type: 'assignments_changed',
+          actorId,
+          details: { added, removed }
+        });
+      }
     }
 
     // Fire-and-forget: recompute matches for the updated client
@@ -0,0 +1,146 @@
+/**
+ * Individual Client Site API Routes
+ *
+ * PUT /api/clients/[id]/sites/[siteId] - Update a site (re-geocodes if address changed)
+ * DELETE /api/clients/[id]/sites/[siteId] - Remove a site
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { locateSite } from '@/lib/services/siteLocator';
+import { computeMatchesForClient } from '@/lib/matching/computeMatches';
+import { SITE_FIELDS, normalizeSiteProjectNeeds } from '@/lib/matching/clientSites';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+/**
+ * PUT /api/clients/[id]/sites/[siteId]
+ * Body: { name?, address?, project_needs? }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { id: clientId, siteId } = params;
+    const body = await request.json();
+
+    const { data: existingSite, error: fetchError } = await supabase
+      .from('client_sites')
+      .select('address')
+      .eq('id', siteId)
+      .eq('client_id', clientId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existingSite) {
+      return NextResponse.json(
+        { success: false, error: 'Site not found' },
+        { status: 404 }
+      );
+    }
+
+    let updateData = { updated_at: new Date().toISOString() };
+
+    if (body.name !== undefined) {
+      const name = typeof body.name === 'string' ? body.name.trim() : '';
+      if (!name) {
+        return NextResponse.json(
+          { success: false, error: 'name cannot be empty' },
+          { status: 400 }
+        );
+      }
+      updateData.name = name;
+    }
+
+    if (body.project_needs !== undefined) {
+      const { projectNeeds, error: needsError } = normalizeSiteProjectNeeds(body.project_needs);
+      if (needsError) {
+        return NextResponse.json(
+          { success: false, error: needsError },
+          { status: 400 }
+        );
+      }
+      updateData.project_needs = projectNeeds;
+    }
+
+    const address = typeof body.address === 'string' ? body.address.trim() : '';
+    const addressChanged = Boolean(address) && address !== existingSite.address;
+    if (addressChanged) {
+      const located = await locateSite(supabase, address);
+      if (!located.success) {
+        return NextResponse.json(
+          { success: false, error: located.error, geocodeError: true },
+          { status: 400 }
+        );
+      }
+      updateData = { ...updateData, ...located.location };
+    }
+
+    const { data: site, error: updateError } = await supabase
+      .from('client_sites')
+      .update(updateData)
+      .eq('id', siteId)
+      .eq('client_id', clientId)
+      .select(SITE_FIELDS)
+      .single();
+
+    if (updateError) throw updateError;
+
+    console.log(`[API] ✅ Updated site ${siteId} for client ${clientId}`);
+
+    // Fire-and-forget: recompute matches for the client
+    computeMatchesForClient(supabase, clientId).catch(err =>
+      console.error('[API] Background match computation failed:', err.message)
+    );
+
+    return NextResponse.json({ success: true, site, addressChanged });
+
+  } catch (error) {
+    console.error('Error updating client site:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/clients/[id]/sites/[siteId]
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id: clientId, siteId } = params;
+
+    const { data: deleted, error } = await supabase
+      .from('client_sites')
+      .delete()
+      .eq('id', siteId)
+      .eq('client_id', clientId)
+      .select('id');
+
+    if (error) throw error;
+    if (!deleted?.length) {
+      return NextResponse.json(
+        { success: false, error: 'Site not found' },
+        { status: 404 }
+      );
+    }
+
+    console.log(`[API] ✅ Deleted site ${siteId} from client ${clientId}`);
+
+    // Fire-and-forget: recompute matches for the client
+    computeMatchesForClient(supabase, clientId).catch(err =>
+      console.error('[API] Background match computation failed:', err.message)
+    );
+
+    return NextResponse.json({ success: true });
+
+  } catch (error) {
+    console.error('Error deleting client site:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Client Sites API Routes
+ *
+ * GET /api/clients/[id]/sites - List a client's additional sites
+ * POST /api/clients/[id]/sites - Add a site (geocoded to its own coverage areas)
+ *
+ * The client's own address is its primary site and is not stored here.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { locateSite } from '@/lib/services/siteLocator';
+import { computeMatchesForClient } from '@/lib/matching/computeMatches';
+import { SITE_FIELDS, normalizeSiteProjectNeeds } from '@/lib/matching/clientSites';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+/**
+ * GET /api/clients/[id]/sites
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id: clientId } = params;
+
+    const { data: sites, error } = await supabase
+      .from('client_sites')
+      .select(SITE_FIELDS)
+      .eq('client_id', clientId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return NextResponse.json({
+      success: true,
+      sites: sites || [],
+      count: sites?.length || 0
+    });
+
+  } catch (error) {
+    console.error('Error fetching client sites:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/clients/[id]/sites
+ * Body: { name, address, project_needs? }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id: clientId } = params;
+    const body = await request.json();
+    const name = body.name?.trim();
+    const address = body.address?.trim();
+
+    if (!name || !address) {
+      return NextResponse.json(
+        { success: false, error: 'Missing required fields: name, address' },
+        { status: 400 }
+      );
+    }
+
+    const { projectNeeds, error: needsError } = normalizeSiteProjectNeeds(body.project_needs);
+    if (needsError) {
+      return NextResponse.json(
+        { success: false, error: needsError },
+        { status: 400 }
+      );
+    }
+
+    const { data: client, error: clientError } = await supabase
+      .from('clients')
+      .select('id')
+      .eq('id', clientId)
+      .maybeSingle();
+
+    if (clientError) throw clientError;
+    if (!client) {
+      return NextResponse.json(
+        { success: false, error: 'Client not found' },
+        { status: 404 }
+      );
+    }
+
+    const located = await locateSite(supabase, address);
+    if (!located.success) {
+      return NextResponse.json(
+        { success: false, error: located.error, geocodeError: true },
+        { status: 400 }
+      );
+    }
+
+    const { data: site, error: insertError } = await supabase
+      .from('client_sites')
+      .insert({
+        client_id: clientId,
+        name,
+        ...located.location,
+        project_needs: projectNeeds
+      })
+      .select(SITE_FIELDS)
+      .single();
+
+    if (insertError) throw insertError;
+
+    console.log(`[API] ✅ Added site "${name}" to client ${clientId} (${site.coverage_area_ids.length} coverage areas)`);
+
+    // Fire-and-forget: recompute matches for the client
+    computeMatchesForClient(supabase, clientId).catch(err =>
+      console.error('[API] Background match computation failed:', err.message)
+    );
+
+    return NextResponse.json({ success: true, site }, { status: 201 });
+
+  } catch (error) {
+    console.error('Error creating client site:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
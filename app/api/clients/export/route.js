@@ -0,0 +1,70 @@
+/**
+ * Client List Export
+ *
+ * GET /api/clients/export?format=csv|xlsx - Download the client list in the
+ * bulk import layout. Honors the same user_id filtering as GET /api/clients.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { getFilteredClientIds } from '@/lib/utils/clientFiltering';
+import { SPREADSHEET_FORMATS, writeClientSheet } from '@/lib/services/clientSpreadsheet';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const format = searchParams.get('format') || 'xlsx';
+
+    if (!SPREADSHEET_FORMATS.includes(format)) {
+      return NextResponse.json(
+        { success: false, error: `Invalid format: ${format}. Must be one of: ${SPREADSHEET_FORMATS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const { clientIds } = await getFilteredClientIds(supabase, request);
+
+    let clients = [];
+    if (clientIds === null || clientIds.length > 0) {
+      let query = supabase
+        .from('clients')
+        .select('name, type, address, project_needs, budget, dac, contact, description, salesforce_id')
+        .order('name', { ascending: true })
+        .limit(50000);
+      if (clientIds !== null) {
+        query = query.in('id', clientIds);
+      }
+      const { data, error } = await query;
+      if (error) throw error;
+      clients = data || [];
+    }
+
+    const buffer = await writeClientSheet(clients, format);
+    const date = new Date().toISOString().split('T')[0];
+
+    return new Response(buffer, {
+      headers: {
+        'Content-Type': CONTENT_TYPES[format],
+        'Content-Disposition': `attachment; filename="clients-${date}.${format}"`,
+        'Content-Length': buffer.length.toString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error exporting clients:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Bulk Client Import
+ *
+ * POST /api/clients/import - Validate (and optionally create) clients from a spreadsheet
+ *
+ * multipart/form-data:
+ *   file   - .csv or .xlsx in the export layout (see lib/services/clientSpreadsheet.js)
+ *   commit - 'true' to create the valid rows; otherwise a dry run that only reports
+ *
+ * Every row is validated against the taxonomies and geocoded before anything is
+ * written, so the dry run shows the same row-level errors the commit would.
+ * Committing creates the valid rows and skips the rest.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { requireAuth } from '@/utils/supabase/api';
+import { locateSite } from '@/lib/services/siteLocator';
+import { processChunksInParallel } from '@/lib/utils/parallelProcessing';
+import { computeMatchesForClients } from '@/lib/matching/computeMatches';
+import {
+  MAX_IMPORT_ROWS,
+  SPREADSHEET_FORMATS,
+  readClientSheet,
+  validateClientRow,
+  findDuplicateNames
+} from '@/lib/services/clientSpreadsheet';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+/** Concurrent geocoding requests per import. */
+const GEOCODE_CONCURRENCY = 5;
+
+export async function POST(request) {
+  try {
+    const formData = await request.formData();
+    const file = formData.get('file');
+    const commit = formData.get('commit') === 'true';
+
+    if (!file || typeof file === 'string') {
+      return NextResponse.json(
+        { success: false, error: 'A .csv or .xlsx file is required' },
+        { status: 400 }
+      );
+    }
+
+    const format = file.name?.split('.').pop()?.toLowerCase();
+    if (!SPREADSHEET_FORMATS.includes(format)) {
+      return NextResponse.json(
+        { success: false, error: `Unsupported file type. Must be one of: ${SPREADSHEET_FORMATS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const { rows, error: readError } = await readClientSheet(Buffer.from(await file.arrayBuffer()), format);
+    if (readError) {
+      return NextResponse.json({ success: false, error: readError }, { status: 400 });
+    }
+    if (rows.length === 0) {
+      return NextResponse.json({ success: false, error: 'The file has no client rows' }, { status: 400 });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return NextResponse.json(
+        { success: false, error: `Too many rows (${rows.length}). Import at most ${MAX_IMPORT_ROWS} clients at a time` },
+        { status: 400 }
+      );
+    }
+
+    // Names must be unique within the file and against existing clients
+    const { data: existingClients, error: existingError } = await supabase
+      .from('clients')
+      .select('name')
+      .limit(50000);
+    if (existingError) throw existingError;
+    const duplicates = findDuplicateNames(rows, (existingClients || []).map(c => c.name));
+
+    // Validate, then geocode only the rows that passed
+    const report = await processChunksInParallel(rows, async ({ rowNumber, values }) => {
+      const { client, errors } = validateClientRow(values);
+      if (duplicates.has(rowNumber)) errors.push(duplicates.get(rowNumber));
+
+      const entry = { row: rowNumber, name: values.name || null, errors, location: null };
+      if (errors.length > 0) return entry;
+
+      const located = await locateSite(supabase, client.address);
+      if (!located.success) {
+        entry.errors.push(located.error);
+        return entry;
+      }
+      entry.client = { ...client, ...located.location };
+      entry.location = {
+        address: located.location.address,
+        city: located.location.city,
+        state_code: located.location.state_code,
+        coverage_area_count: located.location.coverage_area_ids.length
+      };
+      return entry;
+    }, GEOCODE_CONCURRENCY);
+
+    const validRows = report.filter(entry => entry.client);
+
+    if (commit && validRows.length > 0) {
+      // Attempt to identify authenticated user (soft auth — doesn't block if not found)
+      let ownerId = null;
+      try {
+        const { user } = await requireAuth(request);
+        ownerId = user?.id || null;
+      } catch (authErr) {
+        console.log('[ClientImport] No authenticated user session (proceeding without owner_id)');
+      }
+
+      const { data: created, error: insertError } = await supabase
+        .from('clients')
+        .insert(validRows.map(entry => ({ ...entry.client, owner_id: ownerId })))
+        .select('id, name');
+      if (insertError) throw insertError;
+
+      const idByName = new Map(created.map(c => [c.name.toLowerCase(), c.id]));
+      validRows.forEach(entry => {
+        entry.clientId = idByName.get(entry.client.name.toLowerCase()) || null;
+      });
+
+      if (ownerId) {
+        const { error: assocError } = await supabase
+          .from('client_users')
+          .insert(created.map(c => ({ client_id: c.id, user_id: ownerId })));
+        if (assocError) {
+          console.error('[ClientImport] Failed to create client_users associations:', assocError.message);
+        }
+      }
+
+      console.log(`[ClientImport] Created ${created.length} of ${report.length} clients`);
+
+      // Fire-and-forget: compute matches for the imported clients
+      computeMatchesForClients(supabase, created.map(c => c.id)).catch(err =>
+        console.error('[ClientImport] Background match computation failed:', err.message)
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      committed: commit && validRows.length > 0,
+      summary: {
+        total: report.length,
+        valid: validRows.length,
+        invalid: report.length - validRows.length,
+        created: commit ? validRows.length : 0
+      },
+      rows: report.map(({ client, ...entry }) => entry)
+    });
+
+  } catch (error) {
+    console.error('[ClientImport] Error importing clients:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
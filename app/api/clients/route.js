@@ -10,6 +10,8 @@ import { requireAuth } from '@/utils/supabase/api';
 import { geocodeAddress } from '@/lib/services/geocoder';
 import { NextResponse } from 'next/server';
 import { computeMatchesForClient } from '@/lib/matching/computeMatches';
+import { BUDGET_TIERS, INCENTIVE_STRUCTURES } from '@/lib/constants/taxonomies';
+import { normalizeMatchRules } from '@/lib/matching/clientRules';
 import { getFilteredClientIds } from '@/lib/utils/clientFiltering';
 
 const supabase = createClient(
@@ -158,7 +160,7 @@ export async function POST(request) {
 
     // Step 3: Insert client into database
     // Validate budget tier string (or null if not provided)
-    const VALID_BUDGET_TIERS = ['small', 'medium', 'large', 'very_large'];
+    const VALID_BUDGET_TIERS = BUDGET_TIERS.map(tier => tier.key);
     let budget = null;
     if (body.budget !== null && body.budget !== undefined && body.budget !== '') {
       budget = String(body.budget);
@@ -174,6 +176,17 @@ export async function POST(request) {
       }
     }
 
+    // Validate match rules (missing = no rules)
+    const { rules: matchRules, error: matchRulesError } = normalizeMatchRules(body.match_rules, {
+      incentiveStructureKeys: INCENTIVE_STRUCTURES.map(structure => structure.key)
+    });
+    if (matchRulesError) {
+      return NextResponse.json(
+        { success: false, error: matchRulesError },
+        { status: 400 }
+      );
+    }
+
     // Validate coordinates
     if (!lat || !lng || isNaN(lat) || isNaN(lng)) {
       console.error('[API] Invalid coordinates:', { lat, lng });
@@ -210,6 +223,7 @@ export async function POST(request) {
       zipcode,
       project_needs: project_needs || [],
       budget,
+      match_rules: matchRules,
       contact: body.contact || null,
       description: body.description || null,
       dac: body.dac || false,
@@ -1,7 +1,8 @@
 /**
  * Match Computation Cron Endpoint
  *
- * GET  — called by pg_cron daily to recompute all matches
+ * GET  — called by pg_cron daily to recompute matches affected by changes
+ *        since the last run (?mode=full forces a full recompute)
  * POST — manual trigger for testing, supports scoped computation
  *
  * Both handlers require CRON_SECRET auth.
@@ -12,6 +13,7 @@
 import { createClient } from '@supabase/supabase-js';
 import {
   computeAllMatches,
+  computeIncrementalMatches,
   computeMatchesForClient,
   computeMatchesForOpportunities
 } from '../../../../lib/matching/computeMatches.js';
@@ -43,6 +45,8 @@ function verifyAuth(request) {
 /**
  * GET /api/cron/compute-matches
  * Called by pg_cron daily via pg_net.
+ *
+ * Query: ?mode=full — evaluate every pair instead of only changed ones
  */
 export async function GET(request) {
   const startTime = Date.now();
@@ -51,18 +55,24 @@ export async function GET(request) {
   if (authError) return authError;
 
   try {
-    console.log(`[ComputeMatchesCron] Daily match computation triggered at ${new Date().toISOString()}`);
+    const { searchParams } = new URL(request.url);
+    const mode = searchParams.get('mode') === 'full' ? 'full' : 'incremental';
+
+    console.log(`[ComputeMatchesCron] Daily ${mode} match computation triggered at ${new Date().toISOString()}`);
 
     const supabase = createClient(
       process.env.NEXT_PUBLIC_SUPABASE_URL,
       process.env.SUPABASE_SECRET_KEY
     );
 
-    const stats = await computeAllMatches(supabase);
+    const stats = mode === 'full'
+      ? await computeAllMatches(supabase)
+      : await computeIncrementalMatches(supabase);
 
     return Response.json({
       success: true,
       trigger: 'cron',
+      mode,
       stats,
       timestamp: new Date().toISOString(),
       executionTimeMs: Date.now() - startTime
@@ -83,7 +93,7 @@ export async function GET(request) {
  * POST /api/cron/compute-matches
  * Manual trigger for testing. Accepts optional scope.
  *
- * Body: { clientId?: string, opportunityIds?: string[] }
+ * Body: { clientId?: string, opportunityIds?: string[], mode?: 'incremental' }
  */
 export async function POST(request) {
   const startTime = Date.now();
@@ -110,6 +120,9 @@ export async function POST(request) {
     } else if (body.opportunityIds?.length) {
       trigger = 'manual_opportunities';
       stats = await computeMatchesForOpportunities(supabase, body.opportunityIds);
+    } else if (body.mode === 'incremental') {
+      trigger = 'manual_incremental';
+      stats = await computeIncrementalMatches(supabase);
     } else {
       trigger = 'manual_full';
       stats = await computeAllMatches(supabase);
@@ -0,0 +1,73 @@
+/**
+ * CRM Sync Cron Endpoint
+ *
+ * GET — called by pg_cron daily, after match computation so pushed match counts are fresh.
+ *       Skips (200) when the CRM is not configured.
+ *
+ * Requires CRON_SECRET auth.
+ *
+ * Endpoint: /api/cron/crm-sync
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { runCrmSync } from '../../../../lib/services/crmSync.js';
+import { getCrmConfig } from '../../../../lib/services/crmClient.js';
+
+/**
+ * Verify the request is authorized (same rules as /api/cron/compute-matches).
+ * Returns null if valid, or a Response if invalid.
+ */
+function verifyAuth(request) {
+  // Allow in dev mode
+  if (process.env.NODE_ENV !== 'production') return null;
+
+  const expectedAuth = process.env.CRON_SECRET;
+  if (expectedAuth) {
+    const authHeader = request.headers.get('authorization');
+    if (authHeader !== `Bearer ${expectedAuth}`) {
+      console.warn('[CrmSyncCron] Unauthorized request');
+      return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+  }
+
+  return null;
+}
+
+export async function GET(request) {
+  const startTime = Date.now();
+
+  const authError = verifyAuth(request);
+  if (authError) return authError;
+
+  if (!getCrmConfig()) {
+    console.log('[CrmSyncCron] CRM not configured, skipping');
+    return Response.json({ success: true, skipped: true, reason: 'CRM not configured' });
+  }
+
+  try {
+    const supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.SUPABASE_SECRET_KEY
+    );
+
+    const run = await runCrmSync(supabase, { trigger: 'cron' });
+
+    return Response.json({
+      success: true,
+      trigger: 'cron',
+      runId: run.id,
+      stats: run.stats,
+      timestamp: new Date().toISOString(),
+      executionTimeMs: Date.now() - startTime
+    });
+
+  } catch (error) {
+    console.error('[CrmSyncCron] Cron failed:', error);
+    return Response.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+      executionTimeMs: Date.now() - startTime
+    }, { status: 500 });
+  }
+}
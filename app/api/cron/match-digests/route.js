@@ -0,0 +1,73 @@
+/**
+ * Match Digests Cron Endpoint
+ *
+ * GET — called by pg_cron daily, after match computation. Sends each digest
+ *       subscription that is due (daily, or weekly on its weekday).
+ *       Skips (200) when mail is not configured.
+ *
+ * Requires CRON_SECRET auth.
+ *
+ * Endpoint: /api/cron/match-digests
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { runMatchDigests } from '../../../../lib/services/matchDigest.js';
+import { getMailConfig } from '../../../../lib/services/mailTransport.js';
+
+/**
+ * Verify the request is authorized (same rules as /api/cron/compute-matches).
+ * Returns null if valid, or a Response if invalid.
+ */
+function verifyAuth(request) {
+  // Allow in dev mode
+  if (process.env.NODE_ENV !== 'production') return null;
+
+  const expectedAuth = process.env.CRON_SECRET;
+  if (expectedAuth) {
+    const authHeader = request.headers.get('authorization');
+    if (authHeader !== `Bearer ${expectedAuth}`) {
+      console.warn('[MatchDigestsCron] Unauthorized request');
+      return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+  }
+
+  return null;
+}
+
+export async function GET(request) {
+  const startTime = Date.now();
+
+  const authError = verifyAuth(request);
+  if (authError) return authError;
+
+  if (!getMailConfig()) {
+    console.log('[MatchDigestsCron] Mail not configured, skipping');
+    return Response.json({ success: true, skipped: true, reason: 'Mail not configured' });
+  }
+
+  try {
+    const supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.SUPABASE_SECRET_KEY
+    );
+
+    const stats = await runMatchDigests(supabase, { trigger: 'cron' });
+
+    return Response.json({
+      success: true,
+      trigger: 'cron',
+      stats,
+      timestamp: new Date().toISOString(),
+      executionTimeMs: Date.now() - startTime
+    });
+
+  } catch (error) {
+    console.error('[MatchDigestsCron] Cron failed:', error);
+    return Response.json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+      executionTimeMs: Date.now() - startTime
+    }, { status: 500 });
+  }
+}
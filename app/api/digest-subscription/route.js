@@ -0,0 +1,156 @@
+/**
+ * Match Digest Subscription API Routes
+ *
+ * The current user's email digest of new, stale and deadline-approaching
+ * matches (lib/services/matchDigest.js).
+ *
+ * GET /api/digest-subscription - Subscription (or null) and recent deliveries
+ * PUT /api/digest-subscription - Create or update the subscription
+ * DELETE /api/digest-subscription - Unsubscribe
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { validateDigestSubscription } from '@/lib/services/matchDigest';
+import { getMailConfig } from '@/lib/services/mailTransport';
+import { requireAuth } from '@/utils/supabase/api';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+const DELIVERY_LIMIT = 10;
+
+async function getUser(request) {
+  try {
+    const { user } = await requireAuth(request);
+    return user || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /api/digest-subscription
+ */
+export async function GET(request) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to manage digests' }, { status: 401 });
+    }
+
+    const [subscriptionResult, deliveriesResult] = await Promise.all([
+      supabase
+        .from('match_digest_subscriptions')
+        .select('*')
+        .eq('user_id', user.id)
+        .maybeSingle(),
+      supabase
+        .from('match_digest_log')
+        .select('id, created_at, trigger, status, recipient, client_count, new_count, stale_count, deadline_count, has_pdf, error')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false })
+        .limit(DELIVERY_LIMIT)
+    ]);
+
+    if (subscriptionResult.error) throw subscriptionResult.error;
+    if (deliveriesResult.error) throw deliveriesResult.error;
+
+    return NextResponse.json({
+      success: true,
+      mailConfigured: !!getMailConfig(),
+      defaultEmail: user.email || '',
+      subscription: subscriptionResult.data,
+      deliveries: deliveriesResult.data || []
+    });
+  } catch (error) {
+    console.error('[API /digest-subscription] Error fetching subscription:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/digest-subscription
+ * Body: { email?, frequency?, weekday?, deadline_days?, include_pdf?, is_active? }
+ * The email defaults to the user's login email.
+ */
+export async function PUT(request) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to manage digests' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const { values, errors } = validateDigestSubscription(body);
+    if (errors.length > 0) {
+      return NextResponse.json({ success: false, error: errors.join('; ') }, { status: 400 });
+    }
+
+    let email = values.email;
+    if (!email) {
+      const { data: existing } = await supabase
+        .from('match_digest_subscriptions')
+        .select('email')
+        .eq('user_id', user.id)
+        .maybeSingle();
+      email = existing?.email || user.email;
+    }
+    if (!email) {
+      return NextResponse.json({ success: false, error: 'email is required' }, { status: 400 });
+    }
+
+    const { data: subscription, error } = await supabase
+      .from('match_digest_subscriptions')
+      .upsert({
+        ...values,
+        email,
+        user_id: user.id,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select('*')
+      .single();
+
+    if (error) throw error;
+
+    return NextResponse.json({ success: true, subscription });
+  } catch (error) {
+    console.error('[API /digest-subscription] Error saving subscription:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/digest-subscription
+ */
+export async function DELETE(request) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to manage digests' }, { status: 401 });
+    }
+
+    const { error } = await supabase
+      .from('match_digest_subscriptions')
+      .delete()
+      .eq('user_id', user.id);
+
+    if (error) throw error;
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('[API /digest-subscription] Error deleting subscription:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
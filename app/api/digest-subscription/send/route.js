@@ -0,0 +1,69 @@
+/**
+ * Send Match Digest Now
+ *
+ * POST /api/digest-subscription/send - Send the current user's digest
+ * immediately, regardless of its schedule. Logged with trigger 'manual';
+ * clears the reported is_new flags like a scheduled digest.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { sendDigest } from '@/lib/services/matchDigest';
+import { createMailTransport, getMailConfig } from '@/lib/services/mailTransport';
+import { requireAuth } from '@/utils/supabase/api';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+export async function POST(request) {
+  try {
+    let user = null;
+    try {
+      ({ user } = await requireAuth(request));
+    } catch {
+      // Treated as signed out below
+    }
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to send digests' }, { status: 401 });
+    }
+
+    const config = getMailConfig();
+    if (!config) {
+      return NextResponse.json(
+        { success: false, error: 'Mail is not configured (set SMTP_HOST or MAIL_TRANSPORT)' },
+        { status: 503 }
+      );
+    }
+
+    const { data: subscription, error } = await supabase
+      .from('match_digest_subscriptions')
+      .select('*')
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!subscription) {
+      return NextResponse.json({ success: false, error: 'No digest subscription' }, { status: 404 });
+    }
+
+    const delivery = await sendDigest(supabase, subscription, {
+      transport: createMailTransport(config),
+      from: config.from,
+      trigger: 'manual'
+    });
+
+    if (delivery.status === 'failed') {
+      return NextResponse.json({ success: false, error: delivery.error, delivery }, { status: 502 });
+    }
+
+    return NextResponse.json({ success: true, delivery });
+  } catch (error) {
+    console.error('[API /digest-subscription/send] Error sending digest:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
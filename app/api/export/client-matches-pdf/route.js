@@ -5,6 +5,7 @@ import React from 'react';
 
 // Import PDF components
 import { ClientMatchesPDF } from '@/lib/pdf';
+import { getReportTemplate } from '@/lib/services/reportTemplates';
 
 // Initialize Supabase client with secret key (server-side, bypasses RLS)
 const supabase = createClient(
@@ -24,7 +25,8 @@ const supabase = createClient(
  *   options: {
  *     viewMode: 'summary' | 'detailed',
  *     includeCover: boolean,
- *     sortBy: 'deadline' | 'score' | 'amount'
+ *     sortBy: 'deadline' | 'score' | 'amount',
+ *     templateId?: string (report template; default template when omitted)
  *   }
  * }
  */
@@ -39,7 +41,7 @@ export async function POST(request) {
     // 1. Fetch client data
     const { data: client, error: clientError } = await supabase
       .from('clients')
-      .select('*')
+      .select('*, sites:client_sites(id, name, address, city, state_code, project_needs)')
       .eq('id', clientId)
       .single();
 
@@ -59,6 +61,7 @@ export async function POST(request) {
       `)
       .eq('client_id', clientId)
       .eq('is_stale', false)
+      .eq('match_tier', 'match')
       .order('score', { ascending: false })
       .limit(10000);
 
@@ -87,11 +90,20 @@ export async function POST(request) {
         matchDetails: row.match_details
       }));
 
-    // 5. Generate PDF
+    // 5. Resolve branding
+    let template;
+    try {
+      template = await getReportTemplate(supabase, options.templateId || null);
+    } catch (templateError) {
+      return NextResponse.json({ error: templateError.message }, { status: 400 });
+    }
+
+    // 6. Generate PDF
     const pdfDoc = React.createElement(ClientMatchesPDF, {
       client,
       matches,
       options,
+      template,
     });
 
     const pdfBuffer = await renderToBuffer(pdfDoc);
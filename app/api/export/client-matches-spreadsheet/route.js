@@ -0,0 +1,158 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import {
+  MATCH_SHEET_FORMATS,
+  MATCH_SORT_OPTIONS,
+  MATCH_GROUP_OPTIONS,
+  buildMatchRows,
+  writeMatchWorkbook
+} from '@/lib/services/matchSpreadsheet';
+
+// Initialize Supabase client with secret key (server-side, bypasses RLS)
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * GET /api/export/client-matches-spreadsheet
+ *
+ * Spreadsheet counterpart of /api/export/client-matches-pdf: the same
+ * persisted, non-hidden matches, plus the client's hidden matches with reasons.
+ *
+ * Query params:
+ *   clientId - required
+ *   format   - 'xlsx' (default; Matches + Hidden Matches sheets) | 'csv'
+ *   sortBy   - 'deadline' | 'score' (default) | 'amount'
+ *   groupBy  - 'none' | 'site' | 'projectNeed' | 'deadline' | 'sourceType' | 'score'
+ *              (default: by site for multi-site clients, as in the PDF)
+ *   sheet    - CSV only: 'matches' (default) | 'hidden'
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const clientId = searchParams.get('clientId');
+    const format = searchParams.get('format') || 'xlsx';
+    const sortBy = searchParams.get('sortBy') || 'score';
+    const groupBy = searchParams.get('groupBy') || undefined;
+    const sheet = searchParams.get('sheet') === 'hidden' ? 'hidden' : 'matches';
+
+    if (!clientId) {
+      return NextResponse.json({ error: 'Client ID is required' }, { status: 400 });
+    }
+    if (!MATCH_SHEET_FORMATS.includes(format)) {
+      return NextResponse.json(
+        { error: `Invalid format: ${format}. Must be one of: ${MATCH_SHEET_FORMATS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+    if (!MATCH_SORT_OPTIONS.includes(sortBy)) {
+      return NextResponse.json(
+        { error: `Invalid sortBy: ${sortBy}. Must be one of: ${MATCH_SORT_OPTIONS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+    if (groupBy && !MATCH_GROUP_OPTIONS.includes(groupBy)) {
+      return NextResponse.json(
+        { error: `Invalid groupBy: ${groupBy}. Must be one of: ${MATCH_GROUP_OPTIONS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    // 1. Fetch client data
+    const { data: client, error: clientError } = await supabase
+      .from('clients')
+      .select('*, sites:client_sites(id, name, address, city, state_code, project_needs)')
+      .eq('id', clientId)
+      .single();
+
+    if (clientError || !client) {
+      return NextResponse.json(
+        { error: 'Client not found' },
+        { status: 404 }
+      );
+    }
+
+    // 2. Fetch persisted matches with opportunity details
+    const { data: matchRows, error: matchError } = await supabase
+      .from('client_matches')
+      .select(`
+        score, match_details,
+        opportunity:funding_opportunities!inner(*)
+      `)
+      .eq('client_id', clientId)
+      .eq('is_stale', false)
+      .eq('match_tier', 'match')
+      .order('score', { ascending: false })
+      .limit(10000);
+
+    if (matchError) {
+      return NextResponse.json(
+        { error: 'Failed to fetch client matches' },
+        { status: 500 }
+      );
+    }
+
+    // 3. Hidden matches, excluded from the match sheet and listed on their own
+    const { data: hiddenMatches, error: hiddenError } = await supabase
+      .from('hidden_matches')
+      .select(`
+        opportunity_id, hidden_at, hidden_by, reason,
+        funding_opportunities (
+          title, agency_name, source_type, maximum_award, close_date, status, url
+        )
+      `)
+      .eq('client_id', clientId)
+      .order('hidden_at', { ascending: false })
+      .limit(10000);
+
+    if (hiddenError) {
+      return NextResponse.json(
+        { error: 'Failed to fetch hidden matches' },
+        { status: 500 }
+      );
+    }
+
+    const hiddenIds = new Set((hiddenMatches || []).map(h => h.opportunity_id));
+
+    // 4. Transform to the PDF match shape, then to sheet rows
+    const matches = (matchRows || [])
+      .filter(row => !hiddenIds.has(row.opportunity.id))
+      .map(row => ({
+        ...row.opportunity,
+        score: row.score,
+        matchDetails: row.match_details
+      }));
+
+    const rows = buildMatchRows(client, matches, { sortBy, groupBy });
+    const buffer = await writeMatchWorkbook({ rows, hiddenMatches: hiddenMatches || [] }, format, { sheet });
+
+    // Generate filename
+    const clientName = client.name
+      .replace(/[^a-zA-Z0-9]/g, '-')
+      .replace(/-+/g, '-')
+      .toLowerCase();
+    const date = new Date().toISOString().split('T')[0];
+    const suffix = format === 'csv' && sheet === 'hidden' ? 'hidden-matches' : 'funding-matches';
+    const filename = `${clientName}-${suffix}-${date}.${format}`;
+
+    return new Response(buffer, {
+      headers: {
+        'Content-Type': CONTENT_TYPES[format],
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': buffer.length.toString(),
+      },
+    });
+  } catch (error) {
+    console.error('Error generating match spreadsheet:', error);
+    return NextResponse.json(
+      { error: `Failed to generate spreadsheet: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,138 @@
+import { NextResponse } from 'next/server';
+import { renderToBuffer } from '@react-pdf/renderer';
+import { createClient } from '@supabase/supabase-js';
+import React from 'react';
+
+// Import PDF components
+import { OpportunityBriefPDF } from '@/lib/pdf';
+import { getReportTemplate } from '@/lib/services/reportTemplates';
+
+// Initialize Supabase client with secret key (server-side, bypasses RLS)
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+/**
+ * POST /api/export/opportunity-brief-pdf
+ *
+ * One-to-two page brief on a single opportunity, listing the clients it
+ * matches (persisted client_matches, excluding matches hidden for a client).
+ *
+ * Body: {
+ *   opportunityId: string,
+ *   options: {
+ *     maxClients?: number (default 10),
+ *     templateId?: string (report template; default template when omitted)
+ *   }
+ * }
+ */
+export async function POST(request) {
+  try {
+    const { opportunityId, options = {} } = await request.json();
+
+    if (!opportunityId) {
+      return NextResponse.json({ error: 'Opportunity ID is required' }, { status: 400 });
+    }
+
+    // 1. Fetch the opportunity (view adds coverage names and source display fields)
+    const { data: opportunity, error: opportunityError } = await supabase
+      .from('funding_opportunities_with_geography')
+      .select('*')
+      .eq('id', opportunityId)
+      .single();
+
+    if (opportunityError || !opportunity) {
+      return NextResponse.json(
+        { error: 'Opportunity not found' },
+        { status: 404 }
+      );
+    }
+
+    // Funding health columns are not in the view
+    const { data: fundingHealth } = await supabase
+      .from('funding_opportunities')
+      .select('funding_status, application_window_type, funding_note')
+      .eq('id', opportunityId)
+      .single();
+
+    // 2. Fetch the clients it matches
+    const { data: matchRows, error: matchError } = await supabase
+      .from('client_matches')
+      .select(`
+        client_id, score, match_details,
+        client:clients!inner(id, name, type, city, state_code)
+      `)
+      .eq('opportunity_id', opportunityId)
+      .eq('is_stale', false)
+      .eq('match_tier', 'match')
+      .order('score', { ascending: false })
+      .limit(1000);
+
+    if (matchError) {
+      return NextResponse.json(
+        { error: 'Failed to fetch matching clients' },
+        { status: 500 }
+      );
+    }
+
+    // 3. Exclude clients that hid this opportunity
+    const { data: hiddenRows } = await supabase
+      .from('hidden_matches')
+      .select('client_id')
+      .eq('opportunity_id', opportunityId)
+      .limit(10000);
+
+    const hiddenClientIds = new Set((hiddenRows || []).map(h => h.client_id));
+
+    const clientMatches = (matchRows || [])
+      .filter(row => !hiddenClientIds.has(row.client_id))
+      .map(row => ({
+        client: row.client,
+        score: row.score,
+        matchDetails: row.match_details
+      }));
+
+    // 4. Resolve branding
+    let template;
+    try {
+      template = await getReportTemplate(supabase, options.templateId || null);
+    } catch (templateError) {
+      return NextResponse.json({ error: templateError.message }, { status: 400 });
+    }
+
+    // 5. Generate PDF
+    const pdfDoc = React.createElement(OpportunityBriefPDF, {
+      opportunity: { ...opportunity, ...fundingHealth },
+      clientMatches,
+      options,
+      template,
+    });
+
+    const pdfBuffer = await renderToBuffer(pdfDoc);
+
+    // Generate filename
+    const title = (opportunity.title || 'opportunity')
+      .replace(/[^a-zA-Z0-9]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '')
+      .slice(0, 60)
+      .toLowerCase();
+    const date = new Date().toISOString().split('T')[0];
+    const filename = `${title}-brief-${date}.pdf`;
+
+    return new Response(pdfBuffer, {
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': pdfBuffer.length.toString(),
+      },
+    });
+  } catch (error) {
+    console.error('Error generating opportunity brief:', error);
+    return NextResponse.json(
+      { error: `Failed to generate brief: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,183 @@
+import { NextResponse } from 'next/server';
+import { renderToBuffer } from '@react-pdf/renderer';
+import { createClient } from '@supabase/supabase-js';
+import React from 'react';
+
+// Import PDF components
+import { PortfolioPDF } from '@/lib/pdf';
+import { getFilteredClientIds } from '@/lib/utils/clientFiltering';
+
+// Initialize Supabase client with secret key (server-side, bypasses RLS)
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+const MAX_PORTFOLIO_CLIENTS = 100;
+
+/**
+ * Display names for the "Prepared for" line, same fallbacks as /api/users.
+ */
+async function getUserNames(userIds) {
+  const { data, error } = await supabase.auth.admin.listUsers();
+  if (error) return [];
+  return (data?.users || [])
+    .filter((u) => userIds.includes(u.id))
+    .map((u) => u.user_metadata?.full_name || u.user_metadata?.name || u.email || 'Unknown User')
+    .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * POST /api/export/portfolio-pdf
+ *
+ * Portfolio report for every client assigned to a user or team, built from
+ * persisted client_matches like /api/export/client-matches-pdf.
+ *
+ * Clients: body.userIds (a team — clients assigned to any of them), otherwise
+ * the `user_id` query param as in the clients list (`all`, a user id, or the
+ * current user by default).
+ *
+ * Body: {
+ *   userIds?: string[],
+ *   options: {
+ *     viewMode: 'summary' | 'detailed',
+ *     includeCover: boolean,
+ *     topMatches: number,
+ *     minSharedClients: number
+ *   }
+ * }
+ */
+export async function POST(request) {
+  try {
+    const { userIds, options = {} } = await request.json();
+
+    // 1. Resolve the portfolio's clients
+    let clientIds = null;
+    let ownerIds = [];
+
+    if (Array.isArray(userIds) && userIds.length > 0) {
+      const { data: assignments, error: assignmentError } = await supabase
+        .from('client_users')
+        .select('client_id')
+        .in('user_id', userIds);
+
+      if (assignmentError) {
+        return NextResponse.json({ error: 'Failed to fetch client assignments' }, { status: 500 });
+      }
+      clientIds = [...new Set((assignments || []).map((a) => a.client_id))];
+      ownerIds = userIds;
+    } else {
+      const filtered = await getFilteredClientIds(supabase, request);
+      clientIds = filtered.clientIds;
+      ownerIds = filtered.userId ? [filtered.userId] : [];
+    }
+
+    if (clientIds && clientIds.length === 0) {
+      return NextResponse.json({ error: 'No clients are assigned to the selected users' }, { status: 404 });
+    }
+
+    let clientQuery = supabase
+      .from('clients')
+      .select('*')
+      .order('name')
+      .limit(MAX_PORTFOLIO_CLIENTS + 1);
+    if (clientIds) clientQuery = clientQuery.in('id', clientIds);
+
+    const { data: clients, error: clientError } = await clientQuery;
+
+    if (clientError) {
+      return NextResponse.json({ error: 'Failed to fetch clients' }, { status: 500 });
+    }
+    if (clients.length === 0) {
+      return NextResponse.json({ error: 'No clients found' }, { status: 404 });
+    }
+    if (clients.length > MAX_PORTFOLIO_CLIENTS) {
+      return NextResponse.json(
+        { error: `Portfolio reports are limited to ${MAX_PORTFOLIO_CLIENTS} clients; select fewer users` },
+        { status: 400 }
+      );
+    }
+
+    const portfolioClientIds = clients.map((c) => c.id);
+
+    // 2. Fetch persisted matches with opportunity details
+    const { data: matchRows, error: matchError } = await supabase
+      .from('client_matches')
+      .select(`
+        client_id, score, match_details,
+        opportunity:funding_opportunities!inner(*)
+      `)
+      .in('client_id', portfolioClientIds)
+      .eq('is_stale', false)
+      .eq('match_tier', 'match')
+      .order('score', { ascending: false })
+      .limit(10000);
+
+    if (matchError) {
+      return NextResponse.json(
+        { error: 'Failed to fetch client matches' },
+        { status: 500 }
+      );
+    }
+
+    // 3. Exclude hidden matches
+    const { data: hiddenRows } = await supabase
+      .from('hidden_matches')
+      .select('client_id, opportunity_id')
+      .in('client_id', portfolioClientIds)
+      .limit(10000);
+
+    const hiddenKeys = new Set((hiddenRows || []).map(h => `${h.client_id}:${h.opportunity_id}`));
+
+    // 4. Transform to { client, matches } in client name order
+    const matchesByClient = new Map(portfolioClientIds.map((id) => [id, []]));
+    for (const row of matchRows || []) {
+      if (hiddenKeys.has(`${row.client_id}:${row.opportunity.id}`)) continue;
+      matchesByClient.get(row.client_id).push({
+        ...row.opportunity,
+        score: row.score,
+        matchDetails: row.match_details
+      });
+    }
+
+    const portfolio = clients.map((client) => ({
+      client,
+      matches: matchesByClient.get(client.id)
+    }));
+
+    // 5. Generate PDF
+    const names = ownerIds.length > 0 ? await getUserNames(ownerIds) : [];
+    const preparedFor = names.length > 0 ? names.join(', ') : 'All Clients';
+
+    const pdfDoc = React.createElement(PortfolioPDF, {
+      preparedFor,
+      portfolio,
+      options,
+    });
+
+    const pdfBuffer = await renderToBuffer(pdfDoc);
+
+    // Generate filename
+    const portfolioName = preparedFor
+      .replace(/[^a-zA-Z0-9]/g, '-')
+      .replace(/-+/g, '-')
+      .toLowerCase();
+    const date = new Date().toISOString().split('T')[0];
+    const filename = `${portfolioName}-funding-portfolio-${date}.pdf`;
+
+    // Return PDF with appropriate headers
+    return new Response(pdfBuffer, {
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': pdfBuffer.length.toString(),
+      },
+    });
+  } catch (error) {
+    console.error('Error generating portfolio PDF:', error);
+    return NextResponse.json(
+      { error: `Failed to generate PDF: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
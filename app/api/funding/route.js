@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@/utils/supabase/api';
 import { fundingApi } from '@/lib/services/fundingApi';
+import { getAccessibleWatchlist, getTrackedOpportunityIds } from '@/lib/services/trackedOpportunities';
 
 export async function GET(request) {
 	try {
@@ -52,12 +53,27 @@ export async function GET(request) {
 			filters.coverageTypes = coverageTypes.split(',');
 		}
 
-		// Handle tracked IDs array
+		// Tracked filter: the signed-in user's server-side tracked list. The
+		// trackedIds values are only used without a session (local development).
 		const trackedIds = searchParams.get('trackedIds');
+		const watchlistId = searchParams.get('watchlistId');
+		const user = trackedIds !== null || watchlistId
+			? (await supabase.auth.getUser()).data.user
+			: null;
 		if (trackedIds !== null) {
-			// If trackedIds parameter exists (even if empty), set the filter
-			// Empty string means "filter to tracked opportunities but no IDs = no results"
-			filters.trackedIds = trackedIds ? trackedIds.split(',').filter(id => id.trim()) : [];
+			// Empty list means "filter to tracked opportunities but no IDs = no results"
+			filters.trackedIds = user
+				? await getTrackedOpportunityIds(supabase, user.id)
+				: trackedIds.split(',').filter(id => id.trim());
+		}
+
+		// Watchlist filter: opportunities on a shared watchlist
+		if (watchlistId) {
+			const watchlist = user ? await getAccessibleWatchlist(supabase, watchlistId, user.id) : null;
+			if (!watchlist) {
+				return NextResponse.json({ success: false, error: 'Watchlist not found' }, { status: 404 });
+			}
+			filters.trackedIds = watchlist.opportunity_ids;
 		}
 
 		// Add search filtering if present
@@ -1,5 +1,13 @@
 import { NextResponse } from 'next/server';
 import { createAdminClient } from '@/utils/supabase/api';
+import {
+	normalizeAuthType,
+	splitAuthDetails,
+	saveSourceSecrets,
+	describeSourceAuth,
+} from '@/lib/services/sourceCredentials';
+import { isEncryptionConfigured } from '@/lib/utils/secretEncryption';
+import { clearSourceAuthCache } from '@/lib/agents-v2/core/sourceAdapters/auth';
 
 // GET /api/funding/sources/[id] - Get a specific API source
 export async function GET(request, { params }) {
@@ -45,6 +53,7 @@ export async function GET(request, { params }) {
 				},
 			},
 			response_config: {
+				format: 'json',
 				responseDataPath: '',
 				totalCountPath: '',
 			},
@@ -68,6 +77,7 @@ export async function GET(request, { params }) {
 				idParam: '',
 				detailResponseDataPath: '',
 			},
+			rate_limit_config: {},
 			response_mapping: {
 				title: '',
 				description: '',
@@ -88,10 +98,12 @@ export async function GET(request, { params }) {
 			configObject[config.config_type] = config.configuration;
 		});
 
-		// Return the source with configurations
+		// Return the source with configurations. Secret auth fields are only
+		// reported as set, never returned.
 		return NextResponse.json({
 			source: {
 				...source,
+				...(await describeSourceAuth(supabase, source)),
 				configurations: configObject,
 			},
 		});
@@ -119,14 +131,57 @@ export async function PUT(request, { params }) {
 		if (body.url !== undefined) updateData.url = body.url;
 		if (body.api_endpoint !== undefined) updateData.api_endpoint = body.api_endpoint;
 		if (body.api_documentation_url !== undefined) updateData.api_documentation_url = body.api_documentation_url;
-		if (body.auth_type !== undefined) updateData.auth_type = body.auth_type;
-		if (body.auth_details !== undefined) updateData.auth_details = body.auth_details;
 		if (body.update_frequency !== undefined) updateData.update_frequency = body.update_frequency;
-		if (body.handler_type !== undefined) updateData.handler_type = body.handler_type || 'standard';
+		if (body.handler_type !== undefined) updateData.handler_type = body.handler_type || null;
 		if (body.notes !== undefined) updateData.notes = body.notes;
 		if (body.active !== undefined) updateData.active = body.active;
 		if (body.force_full_reprocessing !== undefined) updateData.force_full_reprocessing = body.force_full_reprocessing;
 
+		// Secret auth fields are stored encrypted in api_source_credentials.
+		// Blank secrets keep the stored ones; plaintext secrets left in
+		// auth_details by earlier saves are moved over.
+		let authUpdate = null;
+		if (body.auth_type !== undefined || body.auth_details !== undefined) {
+			const { data: current, error: currentError } = await supabase
+				.from('api_sources')
+				.select('auth_type, auth_details')
+				.eq('id', id)
+				.single();
+
+			if (currentError) {
+				if (currentError.code === 'PGRST116') {
+					return NextResponse.json(
+						{ error: 'API source not found' },
+						{ status: 404 }
+					);
+				}
+				throw currentError;
+			}
+
+			const authType = normalizeAuthType(body.auth_type ?? current.auth_type);
+			if (!authType) {
+				return NextResponse.json(
+					{ error: `Unsupported auth type: ${body.auth_type}` },
+					{ status: 400 }
+				);
+			}
+
+			const legacy = splitAuthDetails(authType, current.auth_details);
+			const submitted = splitAuthDetails(authType, body.auth_details ?? current.auth_details);
+			const secrets = { ...legacy.secrets, ...submitted.secrets };
+
+			if (Object.keys(secrets).length > 0 && !isEncryptionConfigured()) {
+				return NextResponse.json(
+					{ error: 'Credential encryption is not configured (SOURCE_CREDENTIALS_KEY)' },
+					{ status: 500 }
+				);
+			}
+
+			updateData.auth_type = authType;
+			updateData.auth_details = submitted.config;
+			authUpdate = { authType, secrets };
+		}
+
 		// Update the source
 		const { data: source, error: sourceError } = await supabase
 			.from('api_sources')
@@ -145,6 +200,11 @@ export async function PUT(request, { params }) {
 			throw sourceError;
 		}
 
+		if (authUpdate) {
+			await saveSourceSecrets(supabase, id, authUpdate.authType, authUpdate.secrets);
+			clearSourceAuthCache(id);
+		}
+
 		// If configurations are provided, update them transactionally
 		if (body.configurations && Object.keys(body.configurations).length > 0) {
 			// Prepare configurations object for the stored procedure
@@ -192,6 +252,19 @@ export async function PUT(request, { params }) {
 				configurationsToUpdate.response_config = body.configurations.response_config;
 			}
 
+			// Process rate_limit_config if provided; blank limits use the defaults
+			if (body.configurations.rate_limit_config) {
+				const filteredLimits = Object.fromEntries(
+					Object.entries(body.configurations.rate_limit_config).filter(
+						([_, value]) => value !== '' && value !== null
+					)
+				);
+
+				if (Object.keys(filteredLimits).length > 0) {
+					configurationsToUpdate.rate_limit_config = filteredLimits;
+				}
+			}
+
 			// Process response_mapping if provided
 			if (body.configurations.response_mapping) {
 				// Filter out empty mappings
@@ -220,7 +293,9 @@ export async function PUT(request, { params }) {
 			}
 		}
 
-		return NextResponse.json({ source });
+		return NextResponse.json({
+			source: { ...source, ...(await describeSourceAuth(supabase, source)) },
+		});
 	} catch (error) {
 		console.error('Error updating API source:', error);
 		return NextResponse.json(
@@ -1,5 +1,11 @@
 import { NextResponse } from 'next/server';
 import { createAdminClient } from '@/utils/supabase/api';
+import {
+	normalizeAuthType,
+	splitAuthDetails,
+	saveSourceSecrets,
+} from '@/lib/services/sourceCredentials';
+import { isEncryptionConfigured } from '@/lib/utils/secretEncryption';
 
 // GET /api/funding/sources - Get all API sources
 export async function GET(request) {
@@ -31,7 +37,14 @@ export async function GET(request) {
 			throw error;
 		}
 
-		return NextResponse.json({ sources: data });
+		// Secrets never leave the server; sources saved before credentials were
+		// encrypted may still hold them in auth_details
+		const sources = data.map((source) => ({
+			...source,
+			auth_details: splitAuthDetails(source.auth_type, source.auth_details).config,
+		}));
+
+		return NextResponse.json({ sources });
 	} catch (error) {
 		console.error('Error fetching API sources:', error);
 		return NextResponse.json(
@@ -56,6 +69,23 @@ export async function POST(request) {
 			);
 		}
 
+		const authType = normalizeAuthType(body.auth_type);
+		if (!authType) {
+			return NextResponse.json(
+				{ error: `Unsupported auth type: ${body.auth_type}` },
+				{ status: 400 }
+			);
+		}
+
+		// Secret auth fields are stored encrypted in api_source_credentials
+		const { config: authDetails, secrets } = splitAuthDetails(authType, body.auth_details);
+		if (Object.keys(secrets).length > 0 && !isEncryptionConfigured()) {
+			return NextResponse.json(
+				{ error: 'Credential encryption is not configured (SOURCE_CREDENTIALS_KEY)' },
+				{ status: 500 }
+			);
+		}
+
 		// Check for similar sources
 		const { data: similarSources, error: similarError } = await supabase.rpc(
 			'check_similar_sources',
@@ -88,10 +118,10 @@ export async function POST(request) {
 				url: body.url,
 				api_endpoint: body.api_endpoint,
 				api_documentation_url: body.api_documentation_url,
-				auth_type: body.auth_type || 'none',
-				auth_details: body.auth_details,
+				auth_type: authType,
+				auth_details: authDetails,
 				update_frequency: body.update_frequency,
-				handler_type: body.handler_type || 'standard',
+				handler_type: body.handler_type || null,
 				notes: body.notes,
 				active: body.active !== undefined ? body.active : true,
 			})
@@ -109,6 +139,8 @@ export async function POST(request) {
 			throw error;
 		}
 
+		const authSecretFields = await saveSourceSecrets(supabase, data.id, authType, secrets);
+
 		// If configurations are provided, insert them
 		if (body.configurations && Object.keys(body.configurations).length > 0) {
 			const configInserts = [];
@@ -179,6 +211,23 @@ export async function POST(request) {
 				});
 			}
 
+			// Process rate_limit_config if provided; blank limits use the defaults
+			if (body.configurations.rate_limit_config) {
+				const filteredLimits = Object.fromEntries(
+					Object.entries(body.configurations.rate_limit_config).filter(
+						([_, value]) => value !== '' && value !== null
+					)
+				);
+
+				if (Object.keys(filteredLimits).length > 0) {
+					configInserts.push({
+						source_id: data.id,
+						config_type: 'rate_limit_config',
+						configuration: filteredLimits,
+					});
+				}
+			}
+
 			// Process response_mapping if provided
 			if (body.configurations.response_mapping) {
 				// Filter out empty mappings
@@ -202,7 +251,10 @@ export async function POST(request) {
 			}
 		}
 
-		return NextResponse.json({ source: data }, { status: 201 });
+		return NextResponse.json(
+			{ source: { ...data, auth_secret_fields: authSecretFields } },
+			{ status: 201 }
+		);
 	} catch (error) {
 		console.error('Error creating API source:', error);
 		return NextResponse.json(
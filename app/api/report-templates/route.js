@@ -0,0 +1,38 @@
+/**
+ * Report Templates API Route
+ *
+ * GET /api/report-templates - List branded PDF report templates for the export dialog
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+/**
+ * GET /api/report-templates
+ * Returns all templates, default first. Rows include logo_data because the
+ * client matches PDF is rendered in the browser.
+ */
+export async function GET() {
+  try {
+    const { data, error } = await supabase
+      .from('report_templates')
+      .select('*')
+      .order('is_default', { ascending: false })
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+
+    return NextResponse.json({ success: true, templates: data || [] });
+  } catch (error) {
+    console.error('[API /report-templates] Error listing templates:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Tracked Opportunity API Route
+ *
+ * DELETE /api/tracked-opportunities/[opportunityId] - Stop tracking an opportunity
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { untrackOpportunity } from '@/lib/services/trackedOpportunities';
+import { requireAuth } from '@/utils/supabase/api';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+async function getUser(request) {
+  try {
+    const { user } = await requireAuth(request);
+    return user || null;
+  } catch {
+    return null;
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to track opportunities' }, { status: 401 });
+    }
+
+    const { opportunityId } = await params;
+    await untrackOpportunity(supabase, user.id, opportunityId);
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('[API /tracked-opportunities] Error untracking opportunity:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
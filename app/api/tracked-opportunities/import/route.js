@@ -0,0 +1,64 @@
+/**
+ * Tracked Opportunities Import API Route
+ *
+ * POST /api/tracked-opportunities/import - Upload browser-tracked IDs
+ *
+ * Called by trackedOpportunitiesStore on the first signed-in sync, so
+ * opportunities tracked in localStorage before tracking moved server-side
+ * are kept. Safe to repeat: IDs are merged into the existing list.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { importTrackedOpportunities, MAX_TRACKED_OPPORTUNITIES } from '@/lib/services/trackedOpportunities';
+import { requireAuth } from '@/utils/supabase/api';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+async function getUser(request) {
+  try {
+    const { user } = await requireAuth(request);
+    return user || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * POST /api/tracked-opportunities/import
+ * Body: { ids: string[] }
+ * Returns the merged list: { success, ids, imported, skipped }
+ */
+export async function POST(request) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to track opportunities' }, { status: 401 });
+    }
+
+    const { ids } = await request.json();
+    if (!Array.isArray(ids)) {
+      return NextResponse.json({ success: false, error: 'ids must be an array' }, { status: 400 });
+    }
+    if (ids.length > MAX_TRACKED_OPPORTUNITIES) {
+      return NextResponse.json(
+        { success: false, error: `At most ${MAX_TRACKED_OPPORTUNITIES} ids per import` },
+        { status: 400 }
+      );
+    }
+
+    const result = await importTrackedOpportunities(supabase, user.id, ids);
+    console.log(`[API /tracked-opportunities] Imported ${result.imported} tracked opportunities for ${user.id} (${result.skipped} skipped)`);
+
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[API /tracked-opportunities] Error importing tracked opportunities:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Tracked Opportunities API Routes
+ *
+ * The current user's server-side tracked list (lib/services/trackedOpportunities.js).
+ *
+ * GET /api/tracked-opportunities - Tracked opportunity IDs
+ * POST /api/tracked-opportunities - Track an opportunity
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { getTrackedOpportunityIds, isOpportunityId, trackOpportunity } from '@/lib/services/trackedOpportunities';
+import { requireAuth } from '@/utils/supabase/api';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+async function getUser(request) {
+  try {
+    const { user } = await requireAuth(request);
+    return user || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /api/tracked-opportunities
+ */
+export async function GET(request) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to track opportunities' }, { status: 401 });
+    }
+
+    const ids = await getTrackedOpportunityIds(supabase, user.id);
+    return NextResponse.json({ success: true, ids });
+  } catch (error) {
+    console.error('[API /tracked-opportunities] Error listing tracked opportunities:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/tracked-opportunities
+ * Body: { opportunity_id }
+ */
+export async function POST(request) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to track opportunities' }, { status: 401 });
+    }
+
+    const { opportunity_id: opportunityId } = await request.json();
+    if (!isOpportunityId(opportunityId)) {
+      return NextResponse.json({ success: false, error: 'opportunity_id is required' }, { status: 400 });
+    }
+
+    const tracked = await trackOpportunity(supabase, user.id, opportunityId);
+    if (!tracked) {
+      return NextResponse.json({ success: false, error: 'Opportunity not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('[API /tracked-opportunities] Error tracking opportunity:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
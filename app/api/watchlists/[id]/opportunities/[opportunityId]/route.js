@@ -0,0 +1,49 @@
+/**
+ * Watchlist Opportunity API Route
+ *
+ * DELETE /api/watchlists/[id]/opportunities/[opportunityId] - Remove an opportunity
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import { getAccessibleWatchlist, removeWatchlistOpportunity } from '@/lib/services/trackedOpportunities';
+import { requireAuth } from '@/utils/supabase/api';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+async function getUser(request) {
+  try {
+    const { user } = await requireAuth(request);
+    return user || null;
+  } catch {
+    return null;
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to use watchlists' }, { status: 401 });
+    }
+
+    const { id, opportunityId } = await params;
+    const watchlist = await getAccessibleWatchlist(supabase, id, user.id);
+    if (!watchlist) {
+      return NextResponse.json({ success: false, error: 'Watchlist not found' }, { status: 404 });
+    }
+
+    await removeWatchlistOpportunity(supabase, id, opportunityId);
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('[API /watchlists] Error removing opportunity:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Watchlist Opportunities API Route
+ *
+ * POST /api/watchlists/[id]/opportunities - Add an opportunity to a watchlist
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import {
+  addWatchlistOpportunity,
+  getAccessibleWatchlist,
+  isOpportunityId
+} from '@/lib/services/trackedOpportunities';
+import { requireAuth } from '@/utils/supabase/api';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+async function getUser(request) {
+  try {
+    const { user } = await requireAuth(request);
+    return user || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * POST /api/watchlists/[id]/opportunities
+ * Body: { opportunity_id }
+ */
+export async function POST(request, { params }) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to use watchlists' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const watchlist = await getAccessibleWatchlist(supabase, id, user.id);
+    if (!watchlist) {
+      return NextResponse.json({ success: false, error: 'Watchlist not found' }, { status: 404 });
+    }
+
+    const { opportunity_id: opportunityId } = await request.json();
+    if (!isOpportunityId(opportunityId)) {
+      return NextResponse.json({ success: false, error: 'opportunity_id is required' }, { status: 400 });
+    }
+
+    const added = await addWatchlistOpportunity(supabase, id, opportunityId, user.id);
+    if (!added) {
+      return NextResponse.json({ success: false, error: 'Opportunity not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('[API /watchlists] Error adding opportunity:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
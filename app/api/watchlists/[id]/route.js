@@ -0,0 +1,154 @@
+/**
+ * Watchlist API Routes
+ *
+ * GET /api/watchlists/[id] - Get a watchlist
+ * PATCH /api/watchlists/[id] - Rename, re-attach or change the team
+ * DELETE /api/watchlists/[id] - Delete a watchlist (creator only)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import {
+  getAccessibleWatchlist,
+  setWatchlistMembers,
+  validateWatchlist
+} from '@/lib/services/trackedOpportunities';
+import { requireAuth } from '@/utils/supabase/api';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+async function getUser(request) {
+  try {
+    const { user } = await requireAuth(request);
+    return user || null;
+  } catch {
+    return null;
+  }
+}
+
+function notFound() {
+  return NextResponse.json({ success: false, error: 'Watchlist not found' }, { status: 404 });
+}
+
+/**
+ * GET /api/watchlists/[id]
+ */
+export async function GET(request, { params }) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to use watchlists' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const watchlist = await getAccessibleWatchlist(supabase, id, user.id);
+    if (!watchlist) return notFound();
+
+    return NextResponse.json({ success: true, watchlist });
+  } catch (error) {
+    console.error('[API /watchlists] Error fetching watchlist:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PATCH /api/watchlists/[id]
+ * Body: { name?, description?, client_id?, member_ids? }
+ * member_ids replaces the team; the creator stays a member.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to use watchlists' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const watchlist = await getAccessibleWatchlist(supabase, id, user.id);
+    if (!watchlist) return notFound();
+
+    const body = await request.json();
+    const { values, errors } = validateWatchlist(body, { partial: true });
+    if (errors.length > 0) {
+      return NextResponse.json({ success: false, error: errors.join('; ') }, { status: 400 });
+    }
+
+    const { member_ids: memberIds, ...fields } = values;
+    if (fields.client_id) {
+      const { data: client } = await supabase
+        .from('clients')
+        .select('id')
+        .eq('id', fields.client_id)
+        .maybeSingle();
+      if (!client) {
+        return NextResponse.json({ success: false, error: 'Client not found' }, { status: 404 });
+      }
+    }
+
+    const { error } = await supabase
+      .from('watchlists')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) throw error;
+
+    if (memberIds) {
+      await setWatchlistMembers(supabase, watchlist, memberIds);
+    }
+
+    // Re-read with the caller's access: dropping yourself from the team of a
+    // watchlist you did not create leaves it out of reach
+    const updated = await getAccessibleWatchlist(supabase, id, user.id);
+    return NextResponse.json({ success: true, watchlist: updated });
+  } catch (error) {
+    console.error('[API /watchlists] Error updating watchlist:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/watchlists/[id]
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to use watchlists' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const watchlist = await getAccessibleWatchlist(supabase, id, user.id);
+    if (!watchlist) return notFound();
+
+    if (watchlist.created_by !== user.id) {
+      return NextResponse.json(
+        { success: false, error: 'Only the creator can delete a watchlist' },
+        { status: 403 }
+      );
+    }
+
+    const { error } = await supabase
+      .from('watchlists')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('[API /watchlists] Error deleting watchlist:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Watchlists API Routes
+ *
+ * Shared lists of opportunities for a team, optionally attached to a client
+ * (lib/services/trackedOpportunities.js).
+ *
+ * GET /api/watchlists - Watchlists the current user can access
+ * POST /api/watchlists - Create a watchlist
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { NextResponse } from 'next/server';
+import {
+  getAccessibleWatchlist,
+  listWatchlists,
+  setWatchlistMembers,
+  validateWatchlist
+} from '@/lib/services/trackedOpportunities';
+import { requireAuth } from '@/utils/supabase/api';
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SECRET_KEY
+);
+
+async function getUser(request) {
+  try {
+    const { user } = await requireAuth(request);
+    return user || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /api/watchlists
+ */
+export async function GET(request) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to use watchlists' }, { status: 401 });
+    }
+
+    const watchlists = await listWatchlists(supabase, user.id);
+    return NextResponse.json({ success: true, watchlists });
+  } catch (error) {
+    console.error('[API /watchlists] Error listing watchlists:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/watchlists
+ * Body: { name, description?, client_id?, member_ids? }
+ * The creator is always a member.
+ */
+export async function POST(request) {
+  try {
+    const user = await getUser(request);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Sign in to use watchlists' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const { values, errors } = validateWatchlist(body);
+    if (errors.length > 0) {
+      return NextResponse.json({ success: false, error: errors.join('; ') }, { status: 400 });
+    }
+
+    const { member_ids: memberIds = [], ...fields } = values;
+    if (fields.client_id) {
+      const { data: client } = await supabase
+        .from('clients')
+        .select('id')
+        .eq('id', fields.client_id)
+        .maybeSingle();
+      if (!client) {
+        return NextResponse.json({ success: false, error: 'Client not found' }, { status: 404 });
+      }
+    }
+
+    const { data: created, error } = await supabase
+      .from('watchlists')
+      .insert({ ...fields, created_by: user.id })
+      .select('id, created_by')
+      .single();
+
+    if (error) throw error;
+
+    await setWatchlistMembers(supabase, created, memberIds);
+    const watchlist = await getAccessibleWatchlist(supabase, created.id, user.id);
+
+    return NextResponse.json({ success: true, watchlist }, { status: 201 });
+  } catch (error) {
+    console.error('[API /watchlists] Error creating watchlist:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
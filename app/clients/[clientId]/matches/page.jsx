@@ -7,10 +7,13 @@ import { Button } from '@/components/ui/button';
 import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
 import { Badge } from '@/components/ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
-import { AlertTriangle, Loader2, ArrowLeft, MapPin, Building, DollarSign, Target, EyeOff } from 'lucide-react';
+import { AlertTriangle, Loader2, ArrowLeft, CalendarPlus, MapPin, Building, DollarSign, Target, EyeOff, Building2 } from 'lucide-react';
 import { ExportPDFButton } from '@/components/clients/ExportPDFButton';
+import { CalendarFeedsModal } from '@/components/opportunities/CalendarFeedsModal';
 import { HideMatchButton } from '@/components/clients/HideMatchButton';
+import { MatchLifecycleControl } from '@/components/clients/MatchLifecycleControl';
 import { HiddenMatchesPanel } from '@/components/clients/HiddenMatchesPanel';
+import { ClientSitesPanel } from '@/components/clients/ClientSitesPanel';
 import Link from 'next/link';
 import OpportunityCard from '@/components/opportunities/OpportunityCard';
 import {
@@ -20,6 +23,7 @@ import {
 	groupMatchesByFundingType,
 	getMatchScoreBadgeStyles,
 	getFundingGroupDotColor,
+	getFundingHealthBadges,
 } from '@/lib/utils/clientMatching';
 import { getProjectTypeColor } from '@/lib/utils/uiHelpers';
 
@@ -32,6 +36,7 @@ export default function ClientMatchesPage() {
 	const [error, setError] = useState(null);
 	const [activeTab, setActiveTab] = useState('matches');
 	const [hiddenCount, setHiddenCount] = useState(0);
+	const [showCalendarFeeds, setShowCalendarFeeds] = useState(false);
 
 	const loadClientMatches = useCallback(async () => {
 		try {
@@ -62,6 +67,13 @@ export default function ClientMatchesPage() {
 		setHiddenCount(prev => prev + 1);
 	}, []);
 
+	const handleLifecycleChange = useCallback((opportunityId, lifecycle) => {
+		setClientResult(prev => ({
+			...prev,
+			matches: prev.matches.map(m => (m.id === opportunityId ? { ...m, ...lifecycle } : m))
+		}));
+	}, []);
+
 	const handleMatchRestored = useCallback(() => {
 		loadClientMatches();
 	}, [loadClientMatches]);
@@ -114,6 +126,9 @@ export default function ClientMatchesPage() {
 	// Merged project needs with match counts
 	const needsWithCounts = generateProjectNeedsWithCounts(client.project_needs, matches);
 
+	// Multi-site clients show which site(s) make each match eligible
+	const hasSites = client.sites?.length > 0;
+
 	// Group matches by funding type, sorted by relevance within each group
 	const groupedMatches = groupMatchesByFundingType(matches);
 
@@ -150,7 +165,13 @@ export default function ClientMatchesPage() {
 							Back to Clients
 						</Link>
 					</Button>
-					<ExportPDFButton client={client} matches={matches} />
+					<div className='flex gap-2'>
+						<Button variant='outline' onClick={() => setShowCalendarFeeds(true)}>
+							<CalendarPlus className='h-4 w-4 mr-2' />
+							Calendar
+						</Button>
+						<ExportPDFButton client={client} matches={matches} />
+					</div>
 				</div>
 
 				{/* Client Card — unified white surface with blue accent */}
@@ -239,6 +260,10 @@ export default function ClientMatchesPage() {
 									<EyeOff className='h-3.5 w-3.5' aria-hidden='true' />
 									Hidden ({hiddenCount})
 								</TabsTrigger>
+								<TabsTrigger value='sites' className='min-h-[44px] px-4 flex items-center gap-1.5'>
+									<Building2 className='h-3.5 w-3.5' aria-hidden='true' />
+									Sites ({(client.sites?.length || 0) + 1})
+								</TabsTrigger>
 							</TabsList>
 						</div>
 
@@ -270,18 +295,58 @@ export default function ClientMatchesPage() {
 														<div className='h-1.5 w-full bg-blue-500 dark:bg-blue-400' />
 														{/* Match context strip */}
 														<div className='flex items-center justify-between px-3 py-2 bg-neutral-50 dark:bg-neutral-800/60 border-b border-neutral-200 dark:border-neutral-700'>
-															<span
-																className='text-xs font-medium px-2 py-0.5 rounded-full'
-																style={getMatchScoreBadgeStyles(match.score)}
-															>
-																{formatMatchScore(match.score)}
-															</span>
-															<HideMatchButton
-																clientId={clientId}
-																opportunityId={match.id}
-																opportunityTitle={match.title}
-																onHidden={handleMatchHidden}
-															/>
+															<div className='flex items-center gap-2 min-w-0'>
+																<span
+																	className='text-xs font-medium px-2 py-0.5 rounded-full flex-shrink-0'
+																	style={getMatchScoreBadgeStyles(match.score)}
+																>
+																	{formatMatchScore(match.score)}
+																</span>
+																{getFundingHealthBadges(match.matchDetails).map(badge => (
+																	<span
+																		key={badge.key}
+																		className='text-[10px] font-medium px-1.5 py-0.5 rounded-full flex-shrink-0 whitespace-nowrap'
+																		style={badge.style}
+																		title={badge.title}
+																	>
+																		{badge.label}
+																	</span>
+																))}
+																{hasSites && match.eligibleSites?.length > 0 && (
+																	<span
+																		className='text-[10px] font-medium px-1.5 py-0.5 rounded-full flex-shrink-0 whitespace-nowrap bg-neutral-200 text-neutral-700 dark:bg-neutral-700 dark:text-neutral-200 flex items-center gap-1'
+																		title={`Eligible at: ${match.eligibleSites.map(site => site.name).join(', ')}`}
+																	>
+																		<Building2 className='h-3 w-3' aria-hidden='true' />
+																		{match.eligibleSites.length === 1
+																			? match.eligibleSites[0].name
+																			: `${match.eligibleSites.length} sites`}
+																	</span>
+																)}
+																{match.matchDetails?.awardFit?.explanation && (
+																	<span
+																		className='text-[11px] text-neutral-500 dark:text-neutral-400 truncate'
+																		title={match.matchDetails.awardFit.explanation}
+																	>
+																		{match.matchDetails.awardFit.explanation}
+																	</span>
+																)}
+															</div>
+															<div className='flex items-center gap-1 flex-shrink-0'>
+																<MatchLifecycleControl
+																	clientId={clientId}
+																	opportunityId={match.id}
+																	opportunityTitle={match.title}
+																	lifecycle={match}
+																	onChange={handleLifecycleChange}
+																/>
+																<HideMatchButton
+																	clientId={clientId}
+																	opportunityId={match.id}
+																	opportunityTitle={match.title}
+																	onHidden={handleMatchHidden}
+																/>
+															</div>
 														</div>
 														{/* Card — border/radius nullified, internal accent bars hidden (outer wrapper provides them) */}
 														<div className='[&>a>div]:border-0 [&>a>div]:rounded-none [&>a]:rounded-none [&_.h-1\.5.w-full.bg-blue-500]:hidden [&_.h-1\.5.w-full.dark\:bg-blue-400]:hidden flex-grow'>
@@ -312,9 +377,19 @@ export default function ClientMatchesPage() {
 								onRestore={handleMatchRestored}
 							/>
 						</TabsContent>
+
+						<TabsContent value='sites'>
+							<ClientSitesPanel clientId={clientId} />
+						</TabsContent>
 					</Tabs>
 				</div>
 			</div>
+
+			<CalendarFeedsModal
+				isOpen={showCalendarFeeds}
+				onClose={() => setShowCalendarFeeds(false)}
+				client={{ id: client.id, name: client.name }}
+			/>
 		</MainLayout>
 	);
 }
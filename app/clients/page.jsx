@@ -29,9 +29,13 @@ import {
 } from '@/components/ui/popover';
 import { Checkbox } from '@/components/ui/checkbox';
 import { Badge } from '@/components/ui/badge';
-import { AlertTriangle, Loader2, Search, Plus, Filter, X, ChevronDown, Users } from 'lucide-react';
+import { AlertTriangle, Loader2, Search, Plus, Filter, X, ChevronDown, Users, FlaskConical, FileSpreadsheet, FileStack, Mail } from 'lucide-react';
 import ClientProfileModal from '@/components/clients/ClientProfileModal';
 import ClientForm from '@/components/clients/ClientForm';
+import MatchSimulatorPanel from '@/components/clients/MatchSimulatorPanel';
+import ClientImportPanel from '@/components/clients/ClientImportPanel';
+import PortfolioPDFModal from '@/components/clients/PortfolioPDFModal';
+import DigestSubscriptionModal from '@/components/clients/DigestSubscriptionModal';
 import Link from 'next/link';
 import { generateClientTags, formatMatchScore, getMatchScoreBadgeStyles } from '@/lib/utils/clientMatching';
 import { getProjectTypeColor } from '@/lib/utils/uiHelpers';
@@ -93,6 +97,10 @@ function ClientsPageContent() {
 	const [selectedClient, setSelectedClient] = useState(null);
 	const [showProfileModal, setShowProfileModal] = useState(false);
 	const [showAddClientModal, setShowAddClientModal] = useState(false);
+	const [showSimulatorModal, setShowSimulatorModal] = useState(false);
+	const [showImportModal, setShowImportModal] = useState(false);
+	const [showPortfolioModal, setShowPortfolioModal] = useState(false);
+	const [showDigestModal, setShowDigestModal] = useState(false);
 
 	// Initialize store from URL params on mount
 	const initializedFromUrl = useRef(false);
@@ -478,6 +486,22 @@ function ClientsPageContent() {
 								}
 							</SelectContent>
 						</Select>
+						<Button variant='outline' className='bg-white dark:bg-neutral-900 border-neutral-300 dark:border-neutral-600 shadow-sm' onClick={() => setShowSimulatorModal(true)}>
+							<FlaskConical className='h-4 w-4 mr-2' />
+							What-if
+						</Button>
+						<Button variant='outline' className='bg-white dark:bg-neutral-900 border-neutral-300 dark:border-neutral-600 shadow-sm' onClick={() => setShowImportModal(true)}>
+							<FileSpreadsheet className='h-4 w-4 mr-2' />
+							Import / Export
+						</Button>
+						<Button variant='outline' className='bg-white dark:bg-neutral-900 border-neutral-300 dark:border-neutral-600 shadow-sm' onClick={() => setShowPortfolioModal(true)}>
+							<FileStack className='h-4 w-4 mr-2' />
+							Portfolio PDF
+						</Button>
+						<Button variant='outline' className='bg-white dark:bg-neutral-900 border-neutral-300 dark:border-neutral-600 shadow-sm' onClick={() => setShowDigestModal(true)}>
+							<Mail className='h-4 w-4 mr-2' />
+							Digest
+						</Button>
 						<Button onClick={() => setShowAddClientModal(true)}>
 							<Plus className='h-4 w-4 mr-2' />
 							Add Client
@@ -700,6 +724,36 @@ function ClientsPageContent() {
 						/>
 					</DialogContent>
 				</Dialog>
+
+				<Dialog open={showSimulatorModal} onOpenChange={setShowSimulatorModal}>
+					<DialogContent className='max-w-2xl max-h-[90vh] overflow-y-auto'>
+						<DialogHeader>
+							<DialogTitle>What-if Match Simulator</DialogTitle>
+						</DialogHeader>
+						<MatchSimulatorPanel />
+					</DialogContent>
+				</Dialog>
+
+				<Dialog open={showImportModal} onOpenChange={setShowImportModal}>
+					<DialogContent className='max-w-3xl max-h-[90vh] overflow-y-auto'>
+						<DialogHeader>
+							<DialogTitle>Import / Export Clients</DialogTitle>
+						</DialogHeader>
+						<ClientImportPanel exportUserId={apiUserId} onImported={invalidateMatches} />
+					</DialogContent>
+				</Dialog>
+
+				<PortfolioPDFModal
+					isOpen={showPortfolioModal}
+					onClose={() => setShowPortfolioModal(false)}
+					defaultUserIds={filterUserId === 'all' ? [] : [filterUserId ?? user?.id].filter(Boolean)}
+					users={allUsers}
+				/>
+
+				<DigestSubscriptionModal
+					isOpen={showDigestModal}
+					onClose={() => setShowDigestModal(false)}
+				/>
 			</div>
 		</MainLayout>
 	);
@@ -2,6 +2,7 @@
 
 import { useState } from 'react';
 import { useParams, useRouter } from 'next/navigation';
+import { saveAs } from 'file-saver';
 import { useQueryClient } from '@tanstack/react-query';
 import MainLayout from '@/components/layout/main-layout';
 import { Button } from '@/components/ui/button';
@@ -32,6 +33,8 @@ import {
 	ClipboardList,
 	CheckCircle2,
 	AlertTriangle,
+	Download,
+	Loader2,
 } from 'lucide-react';
 import { calculateDaysLeft, determineStatus } from '@/lib/supabase';
 import { useAuth } from '@/contexts/AuthContext';
@@ -60,37 +63,7 @@ import {
 	getCategoryColor,
 	formatCategoryForDisplay,
 } from '@/lib/utils/uiHelpers';
-
-function parseActionableSummary(text) {
-	if (!text || !text.startsWith('VERDICT:')) return null;
-
-	const sections = {};
-	const labels = ['VERDICT', 'WHO', 'WHAT', 'MONEY', 'PROCESS', 'CRITERIA', 'FLAGS'];
-
-	for (let i = 0; i < labels.length; i++) {
-		const label = labels[i];
-		const nextLabel = labels[i + 1];
-		const startPattern = `${label}:`;
-		const startIdx = text.indexOf(startPattern);
-		if (startIdx === -1) continue;
-
-		const contentStart = startIdx + startPattern.length;
-		const endIdx = nextLabel
-			? text.indexOf(`\n${nextLabel}:`, contentStart)
-			: text.length;
-		const content = text.slice(contentStart, endIdx === -1 ? text.length : endIdx).trim();
-
-		if (label === 'VERDICT') {
-			const scoreMatch = content.match(/^([\d.]+)\/10\s*[—–-]\s*(.*)/s);
-			sections.verdict = scoreMatch
-				? { score: parseFloat(scoreMatch[1]), description: scoreMatch[2].trim() }
-				: { score: null, description: content };
-		} else {
-			sections[label.toLowerCase()] = content;
-		}
-	}
-	return sections;
-}
+import { parseActionableSummary } from '@/lib/utils/actionableSummary';
 
 function getScoreColor(score) {
 	if (score >= 7) return { bg: 'bg-emerald-100 dark:bg-emerald-900/30', text: 'text-emerald-700 dark:text-emerald-400', border: 'border-emerald-200 dark:border-emerald-800' };
@@ -124,6 +97,8 @@ export default function OpportunityDetailPage() {
 	const [downgradeDialogOpen, setDowngradeDialogOpen] = useState(false);
 	const [rejectDialogOpen, setRejectDialogOpen] = useState(false);
 	const [reviewNotes, setReviewNotes] = useState('');
+	const [briefExporting, setBriefExporting] = useState(false);
+	const [briefError, setBriefError] = useState(null);
 
 	if (isLoading) {
 		return (
@@ -237,6 +212,30 @@ export default function OpportunityDetailPage() {
 		}
 	};
 
+	// One-to-two page client brief (server-rendered, includes matching clients)
+	const handleExportBrief = async () => {
+		setBriefExporting(true);
+		setBriefError(null);
+		try {
+			const res = await fetch('/api/export/opportunity-brief-pdf', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ opportunityId: opportunity.id }),
+			});
+			if (!res.ok) {
+				const data = await res.json().catch(() => ({}));
+				throw new Error(data.error || 'Failed to generate brief');
+			}
+			const blob = await res.blob();
+			const disposition = res.headers.get('Content-Disposition') || '';
+			saveAs(blob, disposition.match(/filename="([^"]+)"/)?.[1] || 'opportunity-brief.pdf');
+		} catch (err) {
+			setBriefError(err.message);
+		} finally {
+			setBriefExporting(false);
+		}
+	};
+
 	const handleAdminDowngrade = async () => {
 		setAdminActionLoading(true);
 		try {
@@ -269,6 +268,23 @@ export default function OpportunityDetailPage() {
 						Back to Opportunities
 					</Button>
 
+					<div className='flex items-center gap-3'>
+						{briefError && <span className='text-sm text-red-600'>{briefError}</span>}
+						<Button
+							variant='outline'
+							size='sm'
+							onClick={handleExportBrief}
+							disabled={briefExporting}
+							title='One-to-two page PDF brief with matching clients'>
+							{briefExporting ? (
+								<Loader2 className='mr-2 h-4 w-4 animate-spin' />
+							) : (
+								<Download className='mr-2 h-4 w-4' />
+							)}
+							Export Brief
+						</Button>
+					</div>
+
 					{/* Comment out Previous/Next buttons
 					<div className='flex gap-2'>
 						<Button variant='outline' size='sm'>
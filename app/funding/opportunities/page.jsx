@@ -15,9 +15,11 @@ import {
 	ChevronLeft,
 	ChevronRight,
 	Star,
+	CalendarPlus,
 } from 'lucide-react';
 import TAXONOMIES from '@/lib/constants/taxonomies';
 import OpportunityCard from '@/components/opportunities/OpportunityCard';
+import { CalendarFeedsModal } from '@/components/opportunities/CalendarFeedsModal';
 import { classNames } from '@/lib/utils';
 import {
 	getProjectTypeColor,
@@ -119,6 +121,15 @@ function OpportunitiesContent() {
 		isInitialized,
 	} = useOpportunitiesApiFilters();
 
+	// Calendar feed filters (fundingApi.getOpportunities shape; tracked view excluded)
+	const calendarFeedFilters = {
+		...(filters.status?.length > 0 && { status: filters.status }),
+		...(filters.projectTypes?.length > 0 && { projectTypes: filters.projectTypes }),
+		...(filters.state && { stateCode: filters.state }),
+		...(filters.coverageTypes?.length > 0 && { coverageTypes: filters.coverageTypes }),
+		...(debouncedSearch?.trim() && { search: debouncedSearch.trim() }),
+	};
+
 	// --- TanStack Query: data fetching with caching ---
 	const {
 		data: fundingData,
@@ -150,6 +161,7 @@ function OpportunitiesContent() {
 	// --- Local UI state (pure toggles, not shared) ---
 	const [openFilterSection, setOpenFilterSection] = useState(null);
 	const [sortMenuOpen, setSortMenuOpen] = useState(false);
+	const [showCalendarFeeds, setShowCalendarFeeds] = useState(false);
 
 	// --- Refs for click-outside detection ---
 	const filterContainerRef = useRef(null);
@@ -886,6 +898,10 @@ function OpportunitiesContent() {
 				<div className='flex justify-between items-center mb-6'>
 					<h1 className='text-3xl font-bold'>Funding Opportunities</h1>
 					<div className='flex gap-2'>
+						<Button variant='outline' onClick={() => setShowCalendarFeeds(true)}>
+							<CalendarPlus size={16} className='mr-2' />
+							Calendar
+						</Button>
 						{/* Export functionality will be implemented later
 						<Button variant='outline' onClick={handleExport}>
 							<Download size={16} className='mr-2' />
@@ -1085,6 +1101,12 @@ function OpportunitiesContent() {
 					</>
 				)}
 			</div>
+
+			<CalendarFeedsModal
+				isOpen={showCalendarFeeds}
+				onClose={() => setShowCalendarFeeds(false)}
+				filters={calendarFeedFilters}
+			/>
 		</MainLayout>
 	);
 }
@@ -4,13 +4,15 @@ import { useState, useEffect } from 'react';
 import MainLayout from '@/components/layout/main-layout';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
-import { CalendarDays } from 'lucide-react';
+import { CalendarDays, CalendarPlus } from 'lucide-react';
 import Link from 'next/link';
+import { CalendarFeedsModal } from '@/components/opportunities/CalendarFeedsModal';
 
 export default function TimelinePage() {
 	const [timelineData, setTimelineData] = useState([]);
 	const [loading, setLoading] = useState(true);
 	const [error, setError] = useState(null);
+	const [showCalendarFeeds, setShowCalendarFeeds] = useState(false);
 
 	useEffect(() => {
 		async function fetchTimelineData() {
@@ -96,7 +98,13 @@ export default function TimelinePage() {
 		<MainLayout>
 			<div className='container py-10'>
 				<div className='mb-8'>
-					<h1 className='text-3xl font-bold tracking-tight'>Timeline</h1>
+					<div className='flex justify-between items-center'>
+						<h1 className='text-3xl font-bold tracking-tight'>Timeline</h1>
+						<Button variant='outline' onClick={() => setShowCalendarFeeds(true)}>
+							<CalendarPlus className='h-4 w-4 mr-2' />
+							Calendar
+						</Button>
+					</div>
 					<div className='flex items-center gap-2 mt-2 text-muted-foreground'>
 						<CalendarDays className='h-4 w-4' />
 						<span className='text-sm'>
@@ -170,6 +178,11 @@ export default function TimelinePage() {
 					)}
 				</div>
 			</div>
+
+			<CalendarFeedsModal
+				isOpen={showCalendarFeeds}
+				onClose={() => setShowCalendarFeeds(false)}
+			/>
 		</MainLayout>
 	);
 }
@@ -0,0 +1,170 @@
+'use client';
+
+/**
+ * SourceAuthFields Component
+ *
+ * Auth details inputs for the API source forms, per auth type. Secret fields
+ * are write-only: the API stores them encrypted and only reports which are
+ * set (auth_secret_fields), so a blank secret input keeps the stored value.
+ * Auth types and fields match lib/services/sourceCredentials.js.
+ */
+
+export const AUTH_TYPE_OPTIONS = [
+	{ value: 'none', label: 'None' },
+	{ value: 'apikey', label: 'API Key' },
+	{ value: 'bearer', label: 'Bearer Token' },
+	{ value: 'basic', label: 'Basic Auth' },
+	{ value: 'oauth2_client_credentials', label: 'OAuth2 Client Credentials' },
+	{ value: 'hmac', label: 'HMAC Signed Requests' },
+];
+
+const AUTH_FIELDS = {
+	apikey: {
+		title: 'API Key Details',
+		fields: [
+			{ name: 'key', label: 'Key Name', placeholder: 'X-API-Key' },
+			{ name: 'value', label: 'Key Value', secret: true },
+			{
+				name: 'in',
+				label: 'Location',
+				options: [
+					{ value: 'header', label: 'Header' },
+					{ value: 'query', label: 'Query Parameter' },
+				],
+			},
+		],
+	},
+	bearer: {
+		title: 'Bearer Token Details',
+		fields: [
+			{ name: 'token', label: 'Token', secret: true },
+			{ name: 'header', label: 'Header', placeholder: 'Authorization' },
+			{
+				name: 'scheme',
+				label: 'Scheme',
+				options: [
+					{ value: 'Bearer', label: 'Bearer <token>' },
+					{ value: 'Token', label: 'Token <token>' },
+					{ value: 'none', label: 'Token only' },
+				],
+			},
+		],
+	},
+	basic: {
+		title: 'Basic Auth Details',
+		fields: [
+			{ name: 'username', label: 'Username' },
+			{ name: 'password', label: 'Password', secret: true },
+		],
+	},
+	oauth2_client_credentials: {
+		title: 'OAuth2 Client Credentials',
+		description:
+			'Access tokens are requested from the token URL, cached until shortly before they expire and replaced when the API rejects them.',
+		fields: [
+			{ name: 'tokenUrl', label: 'Token URL', type: 'url', placeholder: 'https://auth.example.com/oauth/token' },
+			{ name: 'clientId', label: 'Client ID' },
+			{ name: 'clientSecret', label: 'Client Secret', secret: true },
+			{ name: 'scope', label: 'Scope (optional)' },
+			{ name: 'audience', label: 'Audience (optional)' },
+			{
+				name: 'clientAuth',
+				label: 'Send Client Credentials',
+				options: [
+					{ value: 'body', label: 'In request body' },
+					{ value: 'basic', label: 'As Basic auth header' },
+				],
+			},
+		],
+	},
+	hmac: {
+		title: 'HMAC Signature Details',
+		description:
+			'Each request is signed over METHOD, path and query, Unix timestamp and the SHA-256 of the body, one per line.',
+		fields: [
+			{ name: 'keyId', label: 'Key ID (optional)' },
+			{ name: 'secret', label: 'Signing Secret', secret: true },
+			{
+				name: 'algorithm',
+				label: 'Algorithm',
+				options: [
+					{ value: 'sha256', label: 'HMAC-SHA256' },
+					{ value: 'sha512', label: 'HMAC-SHA512' },
+				],
+			},
+			{
+				name: 'encoding',
+				label: 'Signature Encoding',
+				options: [
+					{ value: 'hex', label: 'Hex' },
+					{ value: 'base64', label: 'Base64' },
+				],
+			},
+			{ name: 'signatureHeader', label: 'Signature Header', placeholder: 'X-Signature' },
+			{ name: 'timestampHeader', label: 'Timestamp Header', placeholder: 'X-Timestamp' },
+			{ name: 'keyIdHeader', label: 'Key ID Header', placeholder: 'X-Key-Id' },
+		],
+	},
+};
+
+export function SourceAuthFields({ authType, authDetails, secretFields = [], onChange }) {
+	const section = AUTH_FIELDS[authType];
+	if (!section) {
+		return null;
+	}
+
+	const details = authDetails || {};
+
+	return (
+		<div className='mt-4 p-4 border border-gray-200 rounded-md'>
+			<h3 className='text-lg font-medium mb-2'>{section.title}</h3>
+			{section.description && (
+				<p className='text-sm text-gray-500 mb-3'>{section.description}</p>
+			)}
+			<div className='grid grid-cols-1 md:grid-cols-2 gap-4'>
+				{section.fields.map((field) => {
+					const stored = field.secret && secretFields.includes(field.name);
+
+					return (
+						<div key={field.name}>
+							<label className='block text-sm font-medium text-gray-700 mb-1'>
+								{field.label}
+								{stored && (
+									<span className='ml-2 text-xs font-normal text-green-700'>Stored</span>
+								)}
+							</label>
+							{field.options ? (
+								<select
+									name={field.name}
+									value={details[field.name] || field.options[0].value}
+									onChange={onChange}
+									className='w-full px-3 py-2 border border-gray-300 rounded-md'>
+									{field.options.map((option) => (
+										<option key={option.value} value={option.value}>
+											{option.label}
+										</option>
+									))}
+								</select>
+							) : (
+								<input
+									type={field.secret ? 'password' : field.type || 'text'}
+									name={field.name}
+									value={details[field.name] || ''}
+									onChange={onChange}
+									placeholder={stored ? 'Leave blank to keep the stored value' : field.placeholder}
+									autoComplete={field.secret ? 'new-password' : 'off'}
+									className='w-full px-3 py-2 border border-gray-300 rounded-md'
+								/>
+							)}
+						</div>
+					);
+				})}
+			</div>
+			{section.fields.some((field) => field.secret) && (
+				<p className='text-xs text-gray-500 mt-3'>
+					Secrets are stored encrypted and are not shown again after saving.
+				</p>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,75 @@
+'use client';
+
+/**
+ * SourceRateLimitFields Component
+ *
+ * Rate limiting inputs for the API source forms. Blank inputs use the
+ * defaults in lib/agents-v2/core/sourceAdapters/rateLimit.js, shown as
+ * placeholders.
+ */
+
+const RATE_LIMIT_FIELDS = [
+	{
+		name: 'requestsPerSecond',
+		label: 'Requests per Second',
+		placeholder: '10',
+		step: '0.1',
+		help: 'Sustained rate for all requests to the API host.',
+	},
+	{
+		name: 'burst',
+		label: 'Burst',
+		placeholder: 'Same as requests per second',
+		step: '1',
+		help: 'Requests sent back to back after an idle period.',
+	},
+	{
+		name: 'maxConcurrentDetails',
+		label: 'Max Concurrent Detail Calls',
+		placeholder: '6',
+		step: '1',
+		help: 'Detail requests in flight at once.',
+	},
+	{
+		name: 'maxRetryAfterSeconds',
+		label: 'Max Retry-After (seconds)',
+		placeholder: '120',
+		step: '1',
+		help: 'Longer Retry-After waits fail the request instead.',
+	},
+];
+
+export function SourceRateLimitFields({ rateLimitConfig, onChange }) {
+	const config = rateLimitConfig || {};
+
+	return (
+		<div className='bg-white p-6 rounded-lg shadow-md'>
+			<h2 className='text-xl font-semibold mb-4'>Rate Limiting</h2>
+			<p className='text-sm text-gray-600 mb-4'>
+				Requests are paced per API host, shared by all sources on the host.
+				429 responses pause the host until their Retry-After.
+			</p>
+
+			<div className='grid grid-cols-1 md:grid-cols-2 gap-4'>
+				{RATE_LIMIT_FIELDS.map((field) => (
+					<div key={field.name}>
+						<label className='block text-sm font-medium text-gray-700 mb-1'>
+							{field.label}
+						</label>
+						<input
+							type='number'
+							name={field.name}
+							min='0'
+							step={field.step}
+							value={config[field.name] ?? ''}
+							onChange={onChange}
+							placeholder={field.placeholder}
+							className='w-full px-3 py-2 border border-gray-300 rounded-md'
+						/>
+						<p className='text-xs text-gray-500 mt-1'>{field.help}</p>
+					</div>
+				))}
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,183 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { BUDGET_TIERS } from '@/lib/constants/taxonomies';
+import { CLIENT_ACTIVITY_TYPES } from '@/lib/services/clientActivity';
+import { Eye, EyeOff, Loader2, Pencil, RefreshCw, Users } from 'lucide-react';
+
+const TYPE_LABELS = Object.fromEntries(CLIENT_ACTIVITY_TYPES.map(t => [t.key, t.label]));
+
+const TYPE_ICONS = {
+  client_updated: Pencil,
+  match_hidden: EyeOff,
+  match_unhidden: Eye,
+  assignments_changed: Users,
+  matches_recomputed: RefreshCw
+};
+
+const FIELD_LABELS = {
+  name: "Name",
+  type: "Organization type",
+  address: "Address",
+  project_needs: "Project needs",
+  budget: "Budget",
+  dac: "Disadvantaged community",
+  contact: "Contact",
+  description: "Description",
+  salesforce_id: "Salesforce ID",
+  match_rules: "Match rules"
+};
+
+const TRIGGER_LABELS = {
+  client_updated: "after a client or site change",
+  client_created: "after the client was created",
+  client_import: "after a bulk import",
+  crm_sync: "after a CRM sync",
+  incremental: "in the incremental run"
+};
+
+function formatDateTime(dateStr) {
+  return new Date(dateStr).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit"
+  });
+}
+
+function formatValue(field, value) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (field === "dac") return value ? "Yes" : "No";
+  if (field === "budget") return BUDGET_TIERS.find(t => t.key === value)?.label || value;
+  return String(value);
+}
+
+/** One line per changed field: list fields as added/removed items, the rest as before → after. */
+function describeChange({ field, before, after }) {
+  const label = FIELD_LABELS[field] || field;
+  if (field === "match_rules") return `${label} updated`;
+  if (Array.isArray(before) || Array.isArray(after)) {
+    const added = (after || []).filter(v => !(before || []).includes(v));
+    const removed = (before || []).filter(v => !(after || []).includes(v));
+    return [
+      `${label}:`,
+      added.length > 0 && `added ${added.join(", ")}`,
+      removed.length > 0 && `removed ${removed.join(", ")}`
+    ].filter(Boolean).join(" ");
+  }
+  return `${label}: ${formatValue(field, before)} → ${formatValue(field, after)}`;
+}
+
+function describeEntry(entry, userName) {
+  const { type, details } = entry;
+  if (type === "match_hidden" || type === "match_unhidden") {
+    const lines = [details.opportunity_title || "Opportunity no longer available"];
+    if (details.reason) lines.push(`Reason: ${details.reason}`);
+    return lines;
+  }
+  if (type === "assignments_changed") {
+    return [
+      details.added?.length > 0 && `Assigned ${details.added.map(userName).join(", ")}`,
+      details.removed?.length > 0 && `Unassigned ${details.removed.map(userName).join(", ")}`
+    ].filter(Boolean);
+  }
+  if (type === "matches_recomputed") {
+    const when = TRIGGER_LABELS[details.trigger] || `(${details.trigger})`;
+    if (details.status === "failed") return [`Failed ${when}: ${details.error || "unknown error"}`];
+    if (details.status === "running") return [`Running ${when}`];
+    const { new_matches: added = 0, updated_matches: updated = 0, stale_matches: stale = 0 } = details.stats || {};
+    return [`${added} new, ${updated} updated, ${stale} removed ${when}`];
+  }
+  return (details.changes || []).map(describeChange);
+}
+
+/**
+ * Client Activity Feed
+ *
+ * Timeline of who changed what on a client: profile edits with before/after
+ * values, hidden and restored matches, user assignment changes, and match
+ * recomputations for the client. Refetches when refreshKey changes.
+ *
+ * @param {string} clientId
+ * @param {Object[]} users - Workspace users ({ id, display_name }) for actor names
+ * @param {*} [refreshKey]
+ */
+export function ClientActivityFeed({ clientId, users = [], refreshKey }) {
+  const [activity, setActivity] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!clientId) return;
+    let cancelled = false;
+    setLoading(true);
+
+    fetch(`/api/clients/${clientId}/activity`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (cancelled) return;
+        if (!data.success) throw new Error(data.error || "Failed to load activity");
+        setActivity(data.activity);
+        setError(null);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [clientId, refreshKey]);
+
+  const userName = (userId) => users.find((u) => u.id === userId)?.display_name || "a former user";
+
+  if (loading) {
+    return (
+      <div className="flex items-center text-sm text-muted-foreground">
+        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+        Loading activity...
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (activity.length === 0) {
+    return <p className="text-neutral-500 italic">No activity recorded yet</p>;
+  }
+
+  return (
+    <ol className="space-y-3">
+      {activity.map((entry) => {
+        const Icon = TYPE_ICONS[entry.type] || Pencil;
+        const actor = entry.type === "matches_recomputed"
+          ? "System"
+          : entry.actorId ? userName(entry.actorId) : "Unknown user";
+        return (
+          <li key={entry.id} className="flex gap-3">
+            <span className="flex h-7 w-7 shrink-0 items-center justify-center rounded-full bg-neutral-100 dark:bg-neutral-800">
+              <Icon className="h-3.5 w-3.5 text-neutral-500" />
+            </span>
+            <div className="min-w-0 flex-1">
+              <div className="flex flex-wrap items-baseline gap-x-2 text-sm">
+                <span className="font-medium">{TYPE_LABELS[entry.type] || entry.type}</span>
+                <span className="text-xs text-muted-foreground">
+                  {actor} &middot; {formatDateTime(entry.at)}
+                </span>
+              </div>
+              {describeEntry(entry, userName).map((line, index) => (
+                <p key={index} className="text-xs text-neutral-600 dark:text-neutral-400 break-words">
+                  {line}
+                </p>
+              ))}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
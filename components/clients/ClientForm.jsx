@@ -14,7 +14,7 @@ import { Textarea } from '@/components/ui/textarea';
 import { Checkbox } from '@/components/ui/checkbox';
 import { Combobox } from '@/components/ui/combobox';
 import { AddressAutofillInput } from '@/components/ui/address-autofill-input-client';
-import { TAXONOMIES, getSelectableClientTypes, PROJECT_TYPE_GROUPS, CLIENT_TYPE_GROUPS } from '@/lib/constants/taxonomies';
+import { TAXONOMIES, getSelectableClientTypes, PROJECT_TYPE_GROUPS, CLIENT_TYPE_GROUPS, BUDGET_TIERS, INCENTIVE_STRUCTURES } from '@/lib/constants/taxonomies';
 import { useUsers } from '@/lib/hooks/queries/useUsers';
 import { useAuth } from '@/contexts/AuthContext';
 import { ChevronDown, X } from 'lucide-react';
@@ -31,6 +31,9 @@ const PROJECT_NEEDS = [
   ...TAXONOMIES.ELIGIBLE_PROJECT_TYPES.mild
 ].sort();
 
+// All funding types across tiers, for match rule exclusions
+const FUNDING_TYPES = Object.values(TAXONOMIES.FUNDING_TYPES).flat().sort();
+
 export default function ClientForm({ client, onSuccess, onCancel }) {
   const isEdit = !!client;
   const { user } = useAuth();
@@ -54,6 +57,16 @@ export default function ClientForm({ client, onSuccess, onCancel }) {
     assigned_users: [],
   });
 
+  // Match rules — agencies are edited as comma-separated text and split on submit
+  const [matchRules, setMatchRules] = useState({
+    excluded_agencies: (client?.match_rules?.excluded_agencies || []).join(', '),
+    excluded_funding_types: client?.match_rules?.excluded_funding_types || [],
+    min_award: client?.match_rules?.min_award ?? '',
+    excluded_incentive_structures: client?.match_rules?.excluded_incentive_structures || [],
+    max_cost_share_percentage: client?.match_rules?.max_cost_share_percentage ?? '',
+  });
+  const [showMatchRules, setShowMatchRules] = useState(false);
+
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [geocodedInfo, setGeocodedInfo] = useState(null);
@@ -111,6 +124,10 @@ export default function ClientForm({ client, onSuccess, onCancel }) {
       // Include autofilled location data if available (to skip server-side geocoding)
       const submitData = {
         ...formData,
+        match_rules: {
+          ...matchRules,
+          excluded_agencies: matchRules.excluded_agencies.split(',').map(a => a.trim()).filter(Boolean),
+        },
         ...(autofilledLocation && {
           _autofilledLocation: autofilledLocation
         })
@@ -335,12 +352,7 @@ export default function ClientForm({ client, onSuccess, onCancel }) {
         <div>
           <Label htmlFor="budget">Budget Range</Label>
           <Combobox
-            options={[
-              { value: 'small', label: 'Small ($50K – $500K)' },
-              { value: 'medium', label: 'Medium ($500K – $5M)' },
-              { value: 'large', label: 'Large ($5M – $50M)' },
-              { value: 'very_large', label: 'Very Large ($50M+)' },
-            ]}
+            options={BUDGET_TIERS.map(tier => ({ value: tier.key, label: tier.label }))}
             value={formData.budget || ''}
             onChange={(value) => setFormData({ ...formData, budget: value })}
             placeholder="Select budget range..."
@@ -362,6 +374,92 @@ export default function ClientForm({ client, onSuccess, onCancel }) {
         </div>
       </div>
 
+      {/* Section: Match Rules */}
+      <SectionHeader label="Match Rules" />
+      <div className="space-y-4">
+        <button
+          type="button"
+          onClick={() => setShowMatchRules(!showMatchRules)}
+          className="flex items-center justify-between w-full text-sm text-left text-neutral-600 dark:text-neutral-400 hover:text-neutral-900 dark:hover:text-neutral-100"
+          aria-expanded={showMatchRules}
+        >
+          <span>Exclude opportunities this client will never pursue</span>
+          <ChevronDown className={cn("h-4 w-4 text-neutral-400 transition-transform duration-200", showMatchRules && "rotate-180")} />
+        </button>
+
+        {showMatchRules && (
+          <div className="space-y-4">
+            {/* Excluded Agencies */}
+            <div>
+              <Label htmlFor="excluded_agencies">Excluded Agencies</Label>
+              <Input
+                id="excluded_agencies"
+                value={matchRules.excluded_agencies}
+                onChange={(e) => setMatchRules({ ...matchRules, excluded_agencies: e.target.value })}
+                placeholder="Comma-separated agency names"
+              />
+            </div>
+
+            {/* Excluded Funding Types */}
+            <div>
+              <Label>Excluded Funding Types</Label>
+              <Combobox
+                multiple
+                options={FUNDING_TYPES}
+                value={matchRules.excluded_funding_types}
+                onChange={(value) => setMatchRules({ ...matchRules, excluded_funding_types: value })}
+                placeholder="Select funding types..."
+                searchPlaceholder="Search funding types..."
+                emptyMessage="No funding type found."
+              />
+            </div>
+
+            {/* Excluded Incentive Structures */}
+            <div>
+              <Label>Excluded Incentive Structures</Label>
+              <Combobox
+                multiple
+                options={INCENTIVE_STRUCTURES.map(structure => ({ value: structure.key, label: structure.label }))}
+                value={matchRules.excluded_incentive_structures}
+                onChange={(value) => setMatchRules({ ...matchRules, excluded_incentive_structures: value })}
+                placeholder="Select incentive structures..."
+                searchPlaceholder="Search incentive structures..."
+                emptyMessage="No incentive structure found."
+              />
+            </div>
+
+            <div className="grid gap-4 sm:grid-cols-2">
+              {/* Minimum Award */}
+              <div>
+                <Label htmlFor="min_award">Minimum Award ($)</Label>
+                <Input
+                  id="min_award"
+                  type="number"
+                  min="0"
+                  value={matchRules.min_award}
+                  onChange={(e) => setMatchRules({ ...matchRules, min_award: e.target.value })}
+                  placeholder="No minimum"
+                />
+              </div>
+
+              {/* Max Cost Share */}
+              <div>
+                <Label htmlFor="max_cost_share_percentage">Max Cost Share (%)</Label>
+                <Input
+                  id="max_cost_share_percentage"
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={matchRules.max_cost_share_percentage}
+                  onChange={(e) => setMatchRules({ ...matchRules, max_cost_share_percentage: e.target.value })}
+                  placeholder="No limit"
+                />
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
       {/* Section: Additional Details */}
       <SectionHeader label="Additional Details" />
       <div className="space-y-4">
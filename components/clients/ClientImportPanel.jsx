@@ -0,0 +1,207 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { CheckCircle2, Download, FileSpreadsheet, Loader2, Upload, XCircle } from 'lucide-react';
+
+/**
+ * Client Import Panel
+ *
+ * Bulk client onboarding from a CSV/XLSX file. The file is first validated and
+ * geocoded as a dry run; the row-level report is shown and only then can the
+ * valid rows be imported. Also offers the current client list as a download in
+ * the same layout, which doubles as an import template.
+ */
+export function ClientImportPanel({ exportUserId, onImported }) {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [validating, setValidating] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const exportHref = (format) => {
+    const params = new URLSearchParams({ format });
+    if (exportUserId) params.set('user_id', exportUserId);
+    return `/api/clients/export?${params.toString()}`;
+  };
+
+  const submit = async (commit) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('commit', String(commit));
+
+    const response = await fetch('/api/clients/import', { method: 'POST', body: formData });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || 'Failed to import clients');
+    }
+    return data;
+  };
+
+  const handleValidate = async () => {
+    setValidating(true);
+    setError(null);
+    setReport(null);
+
+    try {
+      setReport(await submit(false));
+    } catch (err) {
+      console.error('Error validating client import:', err);
+      setError(err.message);
+    } finally {
+      setValidating(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError(null);
+
+    try {
+      const data = await submit(true);
+      setReport(data);
+      if (onImported) {
+        onImported(data.summary.created);
+      }
+    } catch (err) {
+      console.error('Error importing clients:', err);
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files?.[0] || null);
+    setReport(null);
+    setError(null);
+  };
+
+  const busy = validating || importing;
+
+  return (
+    <div className="space-y-6">
+      {/* Export */}
+      <div className="flex items-center justify-between gap-4 rounded-md border p-3">
+        <div className="text-sm text-gray-600">
+          Export the current client list. The same layout is used for import.
+        </div>
+        <div className="flex gap-2 shrink-0">
+          <Button variant="outline" size="sm" asChild>
+            <a href={exportHref('xlsx')}>
+              <Download className="h-4 w-4 mr-1" />
+              XLSX
+            </a>
+          </Button>
+          <Button variant="outline" size="sm" asChild>
+            <a href={exportHref('csv')}>
+              <Download className="h-4 w-4 mr-1" />
+              CSV
+            </a>
+          </Button>
+        </div>
+      </div>
+
+      {/* Upload */}
+      <div className="space-y-2">
+        <div className="flex items-center gap-2">
+          <Input type="file" accept=".csv,.xlsx" onChange={handleFileChange} disabled={busy} />
+          <Button onClick={handleValidate} disabled={!file || busy} className="shrink-0">
+            {validating ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <FileSpreadsheet className="h-4 w-4 mr-2" />
+            )}
+            Validate
+          </Button>
+        </div>
+        <p className="text-xs text-gray-500">
+          Required columns: Name, Type, Address. Separate multiple project needs with semicolons.
+          Addresses are geocoded during validation, which can take a minute for large files.
+        </p>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {/* Report */}
+      {report && (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between gap-4">
+            <div className="flex items-center gap-2 text-sm">
+              <Badge variant="secondary">{report.summary.total} rows</Badge>
+              <Badge className="bg-green-100 text-green-800 hover:bg-green-100">{report.summary.valid} valid</Badge>
+              {report.summary.invalid > 0 && (
+                <Badge className="bg-red-100 text-red-800 hover:bg-red-100">{report.summary.invalid} with errors</Badge>
+              )}
+            </div>
+            {report.committed ? (
+              <span className="text-sm text-green-700 flex items-center gap-1">
+                <CheckCircle2 className="h-4 w-4" />
+                Imported {report.summary.created} {report.summary.created === 1 ? 'client' : 'clients'}
+              </span>
+            ) : (
+              <Button onClick={handleImport} disabled={report.summary.valid === 0 || busy}>
+                {importing ? (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <Upload className="h-4 w-4 mr-2" />
+                )}
+                Import {report.summary.valid} valid {report.summary.valid === 1 ? 'client' : 'clients'}
+              </Button>
+            )}
+          </div>
+
+          <div className="max-h-[40vh] overflow-y-auto rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-16">Row</TableHead>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Result</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {report.rows.map((row) => (
+                  <TableRow key={row.row}>
+                    <TableCell className="text-gray-500">{row.row}</TableCell>
+                    <TableCell className="font-medium">{row.name || '—'}</TableCell>
+                    <TableCell>
+                      {row.errors.length > 0 ? (
+                        <ul className="space-y-0.5">
+                          {row.errors.map((message) => (
+                            <li key={message} className="text-sm text-red-700 flex items-start gap-1">
+                              <XCircle className="h-3.5 w-3.5 mt-0.5 shrink-0" />
+                              {message}
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <span className="text-sm text-gray-700 flex items-start gap-1">
+                          <CheckCircle2 className="h-3.5 w-3.5 mt-0.5 shrink-0 text-green-600" />
+                          {[row.location.city, row.location.state_code].filter(Boolean).join(', ')}
+                          {' '}({row.location.coverage_area_count} coverage areas)
+                        </span>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ClientImportPanel;
@@ -4,7 +4,8 @@
  * Client Profile Modal Component
  *
  * Displays detailed client information in a modal dialog.
- * Supports editing mode via ClientForm integration.
+ * Supports editing mode via ClientForm integration, and shows the client's
+ * activity feed below the profile.
  * All hooks are called unconditionally before any early returns.
  */
 
@@ -30,10 +31,12 @@ import { PROJECT_TYPE_GROUPS } from '@/lib/constants/taxonomies';
 import { getProjectTypeColor } from '@/lib/utils/uiHelpers';
 import { useUsers } from '@/lib/hooks/queries/useUsers';
 import ClientForm from './ClientForm';
+import { ClientActivityFeed } from './ClientActivityFeed';
 
 export default function ClientProfileModal({ client, isOpen, onClose, onClientUpdate }) {
   const [isEditing, setIsEditing] = useState(false);
   const [assignedUserIds, setAssignedUserIds] = useState([]);
+  const [activityVersion, setActivityVersion] = useState(0);
 
   const { data: usersData } = useUsers();
   const allUsers = useMemo(() => usersData?.users || [], [usersData]);
@@ -66,6 +69,7 @@ export default function ClientProfileModal({ client, isOpen, onClose, onClientUp
   // Re-fetch assigned users after an edit saves
   const handleClientUpdate = (updatedClient) => {
     setIsEditing(false);
+    setActivityVersion((v) => v + 1);
     // Re-fetch assignments since the edit may have changed them
     if (updatedClient?.id) {
       fetch(`/api/clients/${updatedClient.id}/users`)
@@ -274,6 +278,17 @@ export default function ClientProfileModal({ client, isOpen, onClose, onClientUp
               )}
             </div>
 
+            {/* Activity */}
+            <div>
+              <div className="flex items-center gap-2 mb-2">
+                <span className="text-[11px] font-semibold uppercase tracking-wider text-neutral-500 dark:text-neutral-400 whitespace-nowrap">Activity</span>
+                <div className="flex-1 h-px bg-neutral-200 dark:bg-neutral-700" />
+              </div>
+              <div className="max-h-64 overflow-y-auto pr-1">
+                <ClientActivityFeed clientId={client.id} users={allUsers} refreshKey={activityVersion} />
+              </div>
+            </div>
+
             {/* Actions */}
             <div className="flex gap-3 pt-3 border-t border-neutral-200 dark:border-neutral-700">
               <Button asChild className="flex-1">
@@ -0,0 +1,297 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Combobox } from '@/components/ui/combobox';
+import { TAXONOMIES, PROJECT_TYPE_GROUPS } from '@/lib/constants/taxonomies';
+import { Building2, Loader2, MapPin, Pencil, Plus, RefreshCw, Trash2 } from 'lucide-react';
+
+// Same project need options as the client form (hot + strong + mild tiers)
+const PROJECT_NEEDS = [
+  ...TAXONOMIES.ELIGIBLE_PROJECT_TYPES.hot,
+  ...TAXONOMIES.ELIGIBLE_PROJECT_TYPES.strong,
+  ...TAXONOMIES.ELIGIBLE_PROJECT_TYPES.mild
+].sort();
+
+const EMPTY_FORM = { name: '', address: '', project_needs: [] };
+
+/**
+ * Client Sites Panel
+ *
+ * Lists a client's additional sites (facilities beyond its primary address)
+ * and lets users add, edit and remove them. Each site is geocoded server-side
+ * to its own coverage areas; site project needs are added to the client's.
+ * Any change triggers a match recompute, reported through onChange.
+ */
+export function ClientSitesPanel({ clientId, onChange }) {
+  const [sites, setSites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [editingId, setEditingId] = useState(null); // site id, 'new', or null
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+
+  const fetchSites = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch(`/api/clients/${clientId}/sites`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to fetch sites');
+      }
+
+      setSites(data.sites);
+    } catch (err) {
+      console.error('Error fetching client sites:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId]);
+
+  useEffect(() => {
+    fetchSites();
+  }, [fetchSites]);
+
+  const startEdit = (site) => {
+    setFormError(null);
+    if (site) {
+      setEditingId(site.id);
+      setFormData({ name: site.name, address: site.address, project_needs: site.project_needs || [] });
+    } else {
+      setEditingId('new');
+      setFormData(EMPTY_FORM);
+    }
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setFormError(null);
+  };
+
+  const handleSave = async () => {
+    if (!formData.name.trim() || !formData.address.trim()) {
+      setFormError('Site name and address are required');
+      return;
+    }
+
+    setSaving(true);
+    setFormError(null);
+
+    try {
+      const isNew = editingId === 'new';
+      const response = await fetch(
+        isNew ? `/api/clients/${clientId}/sites` : `/api/clients/${clientId}/sites/${editingId}`,
+        {
+          method: isNew ? 'POST' : 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(formData)
+        }
+      );
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to save site');
+      }
+
+      setSites(prev => (isNew
+        ? [...prev, data.site]
+        : prev.map(s => (s.id === data.site.id ? data.site : s))));
+      setEditingId(null);
+
+      if (onChange) {
+        onChange();
+      }
+    } catch (err) {
+      console.error('Error saving client site:', err);
+      setFormError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (siteId) => {
+    setDeletingId(siteId);
+
+    try {
+      const response = await fetch(`/api/clients/${clientId}/sites/${siteId}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to delete site');
+      }
+
+      setSites(prev => prev.filter(s => s.id !== siteId));
+
+      if (onChange) {
+        onChange();
+      }
+    } catch (err) {
+      console.error('Error deleting client site:', err);
+      setError(err.message);
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center p-8">
+        <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center p-8">
+        <p className="text-red-600 mb-4">{error}</p>
+        <Button variant="outline" onClick={fetchSites}>
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Retry
+        </Button>
+      </div>
+    );
+  }
+
+  const renderForm = () => (
+    <Card className="border-blue-200">
+      <CardContent className="pt-4 space-y-4">
+        <div>
+          <Label htmlFor="site-name">Site Name</Label>
+          <Input
+            id="site-name"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            placeholder="e.g., North Campus"
+          />
+        </div>
+        <div>
+          <Label htmlFor="site-address">Address</Label>
+          <Input
+            id="site-address"
+            value={formData.address}
+            onChange={(e) => setFormData({ ...formData, address: e.target.value })}
+            placeholder="Street, city, state"
+          />
+        </div>
+        <div>
+          <Label>Site-Specific Project Needs</Label>
+          <Combobox
+            multiple
+            groups={PROJECT_TYPE_GROUPS}
+            options={PROJECT_NEEDS}
+            value={formData.project_needs}
+            onChange={(value) => setFormData({ ...formData, project_needs: value })}
+            placeholder="In addition to the client's project needs..."
+            searchPlaceholder="Search project types..."
+            emptyMessage="No project type found."
+          />
+        </div>
+        {formError && <p className="text-sm text-red-600">{formError}</p>}
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={cancelEdit} disabled={saving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={saving}>
+            {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Save Site
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-500">
+          {sites.length === 0
+            ? 'Matches use the primary address only'
+            : `Primary address + ${sites.length} additional ${sites.length === 1 ? 'site' : 'sites'}`}
+        </p>
+        {editingId === null && (
+          <Button variant="outline" size="sm" onClick={() => startEdit(null)}>
+            <Plus className="h-4 w-4 mr-1" />
+            Add Site
+          </Button>
+        )}
+      </div>
+
+      {editingId === 'new' && renderForm()}
+
+      {sites.length === 0 && editingId !== 'new' && (
+        <div className="text-center p-12 text-gray-500">
+          <Building2 className="h-12 w-12 mx-auto mb-4 text-gray-300" />
+          <p className="font-medium">No additional sites</p>
+          <p className="text-sm mt-1">Add facilities at other addresses to match their local programs</p>
+        </div>
+      )}
+
+      {sites.map((site) => {
+        if (editingId === site.id) {
+          return <React.Fragment key={site.id}>{renderForm()}</React.Fragment>;
+        }
+        const isDeleting = deletingId === site.id;
+
+        return (
+          <Card key={site.id}>
+            <CardContent className="pt-4">
+              <div className="flex items-start justify-between gap-4">
+                <div className="flex-1 min-w-0">
+                  <h4 className="font-medium text-gray-900 truncate">{site.name}</h4>
+                  <div className="text-sm text-gray-500 mt-1 flex items-center gap-1">
+                    <MapPin className="h-3.5 w-3.5 shrink-0" />
+                    <span className="truncate">{site.address}</span>
+                  </div>
+                  {site.project_needs?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {site.project_needs.map((need) => (
+                        <span key={need} className="text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full">
+                          {need}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                <div className="flex gap-1 shrink-0">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => startEdit(site)}
+                    disabled={editingId !== null}
+                    aria-label={`Edit ${site.name}`}
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleDelete(site.id)}
+                    disabled={isDeleting || editingId !== null}
+                    aria-label={`Delete ${site.name}`}
+                  >
+                    {isDeleting ? (
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                    ) : (
+                      <Trash2 className="h-4 w-4 text-red-600" />
+                    )}
+                  </Button>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ClientSitesPanel;
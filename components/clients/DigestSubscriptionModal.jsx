@@ -0,0 +1,306 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Switch } from '@/components/ui/switch';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Loader2, Mail, Send } from 'lucide-react';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DELIVERY_STATUS_STYLES = {
+  sent: 'text-green-700',
+  skipped: 'text-muted-foreground',
+  failed: 'text-red-600',
+};
+
+const DEFAULT_FORM = {
+  email: '',
+  frequency: 'weekly',
+  weekday: '1',
+  deadline_days: '14',
+  include_pdf: false,
+  is_active: true,
+};
+
+/**
+ * Digest Subscription Modal
+ *
+ * The current user's email digest of new, stale and deadline-approaching
+ * matches for their assigned clients (/api/digest-subscription).
+ */
+export function DigestSubscriptionModal({ isOpen, onClose }) {
+  const [form, setForm] = useState(DEFAULT_FORM);
+  const [subscription, setSubscription] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [mailConfigured, setMailConfigured] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const [busyAction, setBusyAction] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/digest-subscription');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load digest settings');
+
+      const sub = data.subscription;
+      setSubscription(sub);
+      setDeliveries(data.deliveries || []);
+      setMailConfigured(data.mailConfigured);
+      setForm(sub ? {
+        email: sub.email,
+        frequency: sub.frequency,
+        weekday: String(sub.weekday),
+        deadline_days: String(sub.deadline_days),
+        include_pdf: sub.include_pdf,
+        is_active: sub.is_active,
+      } : { ...DEFAULT_FORM, email: data.defaultEmail || '' });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      setNotice(null);
+      load();
+    }
+  }, [isOpen, load]);
+
+  const update = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const runAction = async (action, request) => {
+    setBusyAction(action);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await request();
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Request failed');
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleSave = async () => {
+    const data = await runAction('save', () => fetch('/api/digest-subscription', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        email: form.email,
+        frequency: form.frequency,
+        weekday: Number(form.weekday),
+        deadline_days: Number(form.deadline_days),
+        include_pdf: form.include_pdf,
+        is_active: form.is_active,
+      }),
+    }));
+    if (data) {
+      setSubscription(data.subscription);
+      setNotice('Digest settings saved.');
+    }
+  };
+
+  const handleSendNow = async () => {
+    const data = await runAction('send', () => fetch('/api/digest-subscription/send', { method: 'POST' }));
+    if (data) {
+      setNotice(data.delivery.status === 'skipped'
+        ? 'Nothing new to report, so no digest was sent.'
+        : `Digest sent to ${data.delivery.recipient}.`);
+      load();
+    }
+  };
+
+  const handleUnsubscribe = async () => {
+    const data = await runAction('delete', () => fetch('/api/digest-subscription', { method: 'DELETE' }));
+    if (data) {
+      setSubscription(null);
+      setForm((prev) => ({ ...DEFAULT_FORM, email: prev.email }));
+      setNotice('Unsubscribed from match digests.');
+    }
+  };
+
+  const busy = isLoading || busyAction !== null;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[480px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Mail className="h-5 w-5" />
+            Match Digest
+          </DialogTitle>
+          <DialogDescription>
+            A periodic email with new matches, matches that stopped matching and approaching
+            deadlines for the clients assigned to you. Reported matches lose their &quot;New&quot; badge.
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading ? (
+          <div className="flex justify-center py-10">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : (
+          <div className="space-y-5 py-2">
+            {!mailConfigured && (
+              <div className="p-3 text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-md">
+                Email delivery is not configured on this server; digests will not be sent.
+              </div>
+            )}
+
+            <div className="flex items-center justify-between">
+              <Label htmlFor="digestActive" className="text-sm font-medium">Send digests</Label>
+              <Switch
+                id="digestActive"
+                checked={form.is_active}
+                onCheckedChange={(checked) => update('is_active', checked)}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="digestEmail" className="text-sm font-medium">Email</Label>
+              <Input
+                id="digestEmail"
+                type="email"
+                value={form.email}
+                onChange={(e) => update('email', e.target.value)}
+              />
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="digestFrequency" className="text-sm font-medium">Frequency</Label>
+                <Select value={form.frequency} onValueChange={(value) => update('frequency', value)}>
+                  <SelectTrigger id="digestFrequency">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="daily">Daily</SelectItem>
+                    <SelectItem value="weekly">Weekly</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              {form.frequency === 'weekly' && (
+                <div className="space-y-2">
+                  <Label htmlFor="digestWeekday" className="text-sm font-medium">On</Label>
+                  <Select value={form.weekday} onValueChange={(value) => update('weekday', value)}>
+                    <SelectTrigger id="digestWeekday">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {WEEKDAYS.map((day, index) => (
+                        <SelectItem key={day} value={String(index)}>{day}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="digestDeadlineDays" className="text-sm font-medium">Deadline Alerts</Label>
+              <Select value={form.deadline_days} onValueChange={(value) => update('deadline_days', value)}>
+                <SelectTrigger id="digestDeadlineDays">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="7">Closing within 7 days</SelectItem>
+                  <SelectItem value="14">Closing within 14 days</SelectItem>
+                  <SelectItem value="30">Closing within 30 days</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="flex items-center space-x-3">
+              <Checkbox
+                id="digestIncludePdf"
+                checked={form.include_pdf}
+                onCheckedChange={(checked) => update('include_pdf', checked === true)}
+              />
+              <Label htmlFor="digestIncludePdf" className="cursor-pointer text-sm">
+                Attach a PDF copy
+              </Label>
+            </div>
+
+            {deliveries.length > 0 && (
+              <div className="space-y-2">
+                <Label className="text-sm font-medium">Recent Digests</Label>
+                <div className="rounded-md border divide-y text-xs">
+                  {deliveries.map((d) => (
+                    <div key={d.id} className="flex items-center justify-between px-3 py-2">
+                      <span>{new Date(d.created_at).toLocaleString()}</span>
+                      <span className={DELIVERY_STATUS_STYLES[d.status]} title={d.error || undefined}>
+                        {d.status === 'sent'
+                          ? `${d.new_count} new, ${d.deadline_count} closing, ${d.stale_count} stale`
+                          : d.status}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {notice && (
+              <div className="p-3 text-sm text-green-700 bg-green-50 border border-green-200 rounded-md">
+                {notice}
+              </div>
+            )}
+            {error && (
+              <div className="p-3 text-sm text-red-600 bg-red-50 border border-red-200 rounded-md">
+                {error}
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter className="gap-2 sm:gap-0">
+          {subscription && (
+            <Button variant="ghost" onClick={handleUnsubscribe} disabled={busy} className="sm:mr-auto">
+              {busyAction === 'delete' && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Unsubscribe
+            </Button>
+          )}
+          {subscription && (
+            <Button variant="outline" onClick={handleSendNow} disabled={busy || !mailConfigured}>
+              {busyAction === 'send' ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Send className="h-4 w-4 mr-2" />}
+              Send Now
+            </Button>
+          )}
+          <Button onClick={handleSave} disabled={busy}>
+            {busyAction === 'save' && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            {subscription ? 'Save' : 'Subscribe'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default DigestSubscriptionModal;
@@ -8,7 +8,7 @@ import { ExportPDFModal } from './ExportPDFModal';
 /**
  * Export PDF Button
  *
- * Simple button that opens the export modal
+ * Simple button that opens the export modal (PDF, Excel or CSV)
  */
 export function ExportPDFButton({ client, matches, variant = 'outline', size = 'default' }) {
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -22,10 +22,10 @@ export function ExportPDFButton({ client, matches, variant = 'outline', size = '
         size={size}
         onClick={() => setIsModalOpen(true)}
         disabled={matchCount === 0}
-        title={matchCount === 0 ? 'No matches to export' : 'Export matches to PDF'}
+        title={matchCount === 0 ? 'No matches to export' : 'Export matches to PDF, Excel or CSV'}
       >
         <FileText className="h-4 w-4 mr-2" />
-        Export PDF
+        Export
       </Button>
 
       <ExportPDFModal
@@ -1,6 +1,6 @@
 'use client';
 
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
 import { pdf, PDFViewer } from '@react-pdf/renderer';
 import { saveAs } from 'file-saver';
 import dynamic from 'next/dynamic';
@@ -26,19 +26,64 @@ import {
 import { FileText, Download, Loader2, Eye, EyeOff } from 'lucide-react';
 import { ClientMatchesPDF } from '@/lib/pdf';
 
+const FORMAT_LABELS = { pdf: 'PDF', xlsx: 'Excel', csv: 'CSV' };
+
+const STANDARD_TEMPLATE = 'standard';
+
+const GROUP_LABELS = {
+  none: 'No Grouping',
+  site: 'Site',
+  projectNeed: 'Matched Project Need',
+  deadline: 'Deadline Urgency',
+  sourceType: 'Source Type',
+  score: 'Match Strength',
+};
+
 /**
  * Export PDF Modal
  *
  * Allows users to configure and generate PDF exports of client matches
  * Now includes a preview mode!
+ *
+ * Excel and CSV exports are generated server-side from the persisted matches
+ * (/api/export/client-matches-spreadsheet) with the same sort order; the
+ * workbook adds a Hidden Matches sheet, and CSV exports one sheet per file.
+ *
+ * PDFs use a report template (branding and sections, managed in
+ * /admin/report-templates); the default template is preselected.
  */
 export function ExportPDFModal({ isOpen, onClose, client, matches }) {
+  const [format, setFormat] = useState('pdf');
   const [viewMode, setViewMode] = useState('summary');
+  const [groupBy, setGroupBy] = useState(null);
+  const [csvSheet, setCsvSheet] = useState('matches');
   const [includeCover, setIncludeCover] = useState(true);
   const [sortBy, setSortBy] = useState('score');
   const [isGenerating, setIsGenerating] = useState(false);
   const [error, setError] = useState(null);
   const [showPreview, setShowPreview] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState(STANDARD_TEMPLATE);
+
+  // Load report templates when the modal opens; preselect the default
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+    fetch('/api/report-templates')
+      .then((response) => response.json())
+      .then((data) => {
+        if (cancelled || !data.success) return;
+        setTemplates(data.templates);
+        setTemplateId(data.templates.find((t) => t.is_default)?.id || STANDARD_TEMPLATE);
+      })
+      .catch((err) => console.error('Error loading report templates:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen]);
+
+  const template = templates.find((t) => t.id === templateId) || null;
+  const detailedAllowed = template?.sections?.detailed !== false;
 
   // Memoize the PDF options
   const options = useMemo(() => ({
@@ -47,6 +92,44 @@ export function ExportPDFModal({ isOpen, onClose, client, matches }) {
     sortBy,
   }), [viewMode, includeCover, sortBy]);
 
+  const isSpreadsheet = format !== 'pdf';
+  const hasSites = client?.sites?.length > 0;
+  // Same default grouping as the PDF: by site for multi-site clients
+  const effectiveGroupBy = groupBy ?? (hasSites ? 'site' : 'none');
+
+  const handleSpreadsheetExport = useCallback(async () => {
+    setIsGenerating(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({
+        clientId: client.id,
+        format,
+        sortBy,
+        groupBy: effectiveGroupBy,
+      });
+      if (format === 'csv') params.set('sheet', csvSheet);
+
+      const response = await fetch(`/api/export/client-matches-spreadsheet?${params}`);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to generate spreadsheet');
+      }
+
+      const blob = await response.blob();
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `funding-matches.${format}`;
+      saveAs(blob, filename);
+
+      onClose();
+    } catch (err) {
+      console.error('Error generating spreadsheet:', err);
+      setError(err.message);
+    } finally {
+      setIsGenerating(false);
+    }
+  }, [client, format, sortBy, effectiveGroupBy, csvSheet, onClose]);
+
   const handleExport = useCallback(async () => {
     if (!client || !matches) {
       setError('Missing client or matches data');
@@ -58,7 +141,7 @@ export function ExportPDFModal({ isOpen, onClose, client, matches }) {
 
     try {
       // Generate PDF blob
-      const doc = <ClientMatchesPDF client={client} matches={matches} options={options} />;
+      const doc = <ClientMatchesPDF client={client} matches={matches} options={options} template={template} />;
       const blob = await pdf(doc).toBlob();
 
       // Generate filename
@@ -80,7 +163,7 @@ export function ExportPDFModal({ isOpen, onClose, client, matches }) {
     } finally {
       setIsGenerating(false);
     }
-  }, [client, matches, options, onClose]);
+  }, [client, matches, options, template, onClose]);
 
   const matchCount = matches?.length || 0;
 
@@ -98,7 +181,7 @@ export function ExportPDFModal({ isOpen, onClose, client, matches }) {
             Export Funding Matches
           </DialogTitle>
           <DialogDescription>
-            Generate a PDF report of {matchCount} funding{' '}
+            Generate a {FORMAT_LABELS[format]} report of {matchCount} funding{' '}
             {matchCount === 1 ? 'opportunity' : 'opportunities'} for {client?.name || 'this client'}.
           </DialogDescription>
         </DialogHeader>
@@ -107,35 +190,79 @@ export function ExportPDFModal({ isOpen, onClose, client, matches }) {
           {/* Options Panel */}
           <div className={showPreview ? "w-[300px] flex-shrink-0" : ""}>
             <div className="space-y-6 py-4">
-              {/* View Mode Selection */}
+              {/* Format */}
               <div className="space-y-3">
-                <Label className="text-sm font-medium">Report Style</Label>
-                <RadioGroup value={viewMode} onValueChange={setViewMode}>
-                  <div className="flex items-start space-x-3">
-                    <RadioGroupItem value="summary" id="summary" />
-                    <div className="grid gap-1.5 leading-none">
-                      <Label htmlFor="summary" className="font-medium cursor-pointer">
-                        Summary View
-                      </Label>
-                      <p className="text-sm text-muted-foreground">
-                        Compact list with key facts
-                      </p>
-                    </div>
-                  </div>
-                  <div className="flex items-start space-x-3 mt-3">
-                    <RadioGroupItem value="detailed" id="detailed" />
-                    <div className="grid gap-1.5 leading-none">
-                      <Label htmlFor="detailed" className="font-medium cursor-pointer">
-                        Detailed View
-                      </Label>
-                      <p className="text-sm text-muted-foreground">
-                        Full info with insights
-                      </p>
+                <Label className="text-sm font-medium">Format</Label>
+                <RadioGroup
+                  value={format}
+                  onValueChange={(value) => {
+                    setFormat(value);
+                    if (value !== 'pdf') setShowPreview(false);
+                  }}
+                  className="flex gap-6"
+                >
+                  {Object.entries(FORMAT_LABELS).map(([key, label]) => (
+                    <div key={key} className="flex items-center space-x-2">
+                      <RadioGroupItem value={key} id={`format-${key}`} />
+                      <Label htmlFor={`format-${key}`} className="cursor-pointer">{label}</Label>
                     </div>
-                  </div>
+                  ))}
                 </RadioGroup>
               </div>
 
+              {/* Report Template */}
+              {!isSpreadsheet && templates.length > 0 && (
+                <div className="space-y-3">
+                  <Label htmlFor="templateId" className="text-sm font-medium">
+                    Template
+                  </Label>
+                  <Select value={templateId} onValueChange={setTemplateId}>
+                    <SelectTrigger id="templateId">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={STANDARD_TEMPLATE}>Meridian (standard)</SelectItem>
+                      {templates.map((t) => (
+                        <SelectItem key={t.id} value={t.id}>
+                          {t.name}{t.is_default ? ' (default)' : ''}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
+              {/* View Mode Selection */}
+              {!isSpreadsheet && (
+                <div className="space-y-3">
+                  <Label className="text-sm font-medium">Report Style</Label>
+                  <RadioGroup value={viewMode} onValueChange={setViewMode}>
+                    <div className="flex items-start space-x-3">
+                      <RadioGroupItem value="summary" id="summary" />
+                      <div className="grid gap-1.5 leading-none">
+                        <Label htmlFor="summary" className="font-medium cursor-pointer">
+                          Summary View
+                        </Label>
+                        <p className="text-sm text-muted-foreground">
+                          Compact list with key facts
+                        </p>
+                      </div>
+                    </div>
+                    <div className="flex items-start space-x-3 mt-3">
+                      <RadioGroupItem value="detailed" id="detailed" disabled={!detailedAllowed} />
+                      <div className="grid gap-1.5 leading-none">
+                        <Label htmlFor="detailed" className="font-medium cursor-pointer">
+                          Detailed View
+                        </Label>
+                        <p className="text-sm text-muted-foreground">
+                          {detailedAllowed ? 'Full info with insights' : 'Not included in this template'}
+                        </p>
+                      </div>
+                    </div>
+                  </RadioGroup>
+                </div>
+              )}
+
               {/* Sort Order */}
               <div className="space-y-3">
                 <Label htmlFor="sortBy" className="text-sm font-medium">
@@ -153,17 +280,57 @@ export function ExportPDFModal({ isOpen, onClose, client, matches }) {
                 </Select>
               </div>
 
+              {/* Grouping (spreadsheets) */}
+              {isSpreadsheet && (
+                <div className="space-y-3">
+                  <Label htmlFor="groupBy" className="text-sm font-medium">
+                    Group By
+                  </Label>
+                  <Select value={effectiveGroupBy} onValueChange={setGroupBy}>
+                    <SelectTrigger id="groupBy">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(GROUP_LABELS)
+                        .filter(([key]) => key !== 'site' || hasSites)
+                        .map(([key, label]) => (
+                          <SelectItem key={key} value={key}>{label}</SelectItem>
+                        ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
+              {/* CSV holds one sheet per file */}
+              {format === 'csv' && (
+                <div className="space-y-3">
+                  <Label className="text-sm font-medium">Sheet</Label>
+                  <RadioGroup value={csvSheet} onValueChange={setCsvSheet} className="flex gap-6">
+                    <div className="flex items-center space-x-2">
+                      <RadioGroupItem value="matches" id="sheet-matches" />
+                      <Label htmlFor="sheet-matches" className="cursor-pointer">Matches</Label>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <RadioGroupItem value="hidden" id="sheet-hidden" />
+                      <Label htmlFor="sheet-hidden" className="cursor-pointer">Hidden matches</Label>
+                    </div>
+                  </RadioGroup>
+                </div>
+              )}
+
               {/* Cover Page Option */}
-              <div className="flex items-center space-x-3">
-                <Checkbox
-                  id="includeCover"
-                  checked={includeCover}
-                  onCheckedChange={setIncludeCover}
-                />
-                <Label htmlFor="includeCover" className="cursor-pointer text-sm">
-                  Include cover page
-                </Label>
-              </div>
+              {!isSpreadsheet && (
+                <div className="flex items-center space-x-3">
+                  <Checkbox
+                    id="includeCover"
+                    checked={includeCover}
+                    onCheckedChange={setIncludeCover}
+                  />
+                  <Label htmlFor="includeCover" className="cursor-pointer text-sm">
+                    Include cover page
+                  </Label>
+                </div>
+              )}
 
               {/* Error Message */}
               {error && (
@@ -178,8 +345,8 @@ export function ExportPDFModal({ isOpen, onClose, client, matches }) {
           {showPreview && client && matches && (
             <div className="flex-1 border rounded-lg overflow-hidden bg-gray-100" style={{ height: '500px' }}>
               {/* Key forces remount when options change to avoid @react-pdf/reconciler errors */}
-              <PDFViewer key={`${viewMode}-${sortBy}-${includeCover}`} width="100%" height="100%" showToolbar={false}>
-                <ClientMatchesPDF client={client} matches={matches} options={options} />
+              <PDFViewer key={`${viewMode}-${sortBy}-${includeCover}-${templateId}`} width="100%" height="100%" showToolbar={false}>
+                <ClientMatchesPDF client={client} matches={matches} options={options} template={template} />
               </PDFViewer>
             </div>
           )}
@@ -189,7 +356,7 @@ export function ExportPDFModal({ isOpen, onClose, client, matches }) {
           <Button
             variant="ghost"
             onClick={togglePreview}
-            disabled={matchCount === 0}
+            disabled={matchCount === 0 || isSpreadsheet}
             className="mr-auto"
           >
             {showPreview ? (
@@ -207,7 +374,10 @@ export function ExportPDFModal({ isOpen, onClose, client, matches }) {
           <Button variant="outline" onClick={onClose} disabled={isGenerating}>
             Cancel
           </Button>
-          <Button onClick={handleExport} disabled={isGenerating || matchCount === 0}>
+          <Button
+            onClick={isSpreadsheet ? handleSpreadsheetExport : handleExport}
+            disabled={isGenerating || (matchCount === 0 && !(format === 'csv' && csvSheet === 'hidden'))}
+          >
             {isGenerating ? (
               <>
                 <Loader2 className="h-4 w-4 mr-2 animate-spin" />
@@ -216,7 +386,7 @@ export function ExportPDFModal({ isOpen, onClose, client, matches }) {
             ) : (
               <>
                 <Download className="h-4 w-4 mr-2" />
-                Export PDF
+                Export {FORMAT_LABELS[format]}
               </>
             )}
           </Button>
@@ -3,16 +3,19 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
-import { Eye, Loader2, EyeOff, RefreshCw } from 'lucide-react';
+import { Eye, Loader2, EyeOff, RefreshCw, Filter } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
 
 /**
  * Hidden Matches Panel
  *
  * Displays hidden matches for a client with ability to restore them.
+ * Matches suppressed by the client's match rules are listed separately —
+ * they come back only when the rules change, so they have no restore action.
  */
 export function HiddenMatchesPanel({ clientId, onRestore }) {
   const [hiddenMatches, setHiddenMatches] = useState([]);
+  const [ruleSuppressedMatches, setRuleSuppressedMatches] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [restoringId, setRestoringId] = useState(null);
@@ -29,6 +32,7 @@ export function HiddenMatchesPanel({ clientId, onRestore }) {
       }
 
       setHiddenMatches(data.hiddenMatches);
+      setRuleSuppressedMatches(data.ruleSuppressedMatches || []);
     } catch (err) {
       console.error('Error fetching hidden matches:', err);
       setError(err.message);
@@ -89,7 +93,7 @@ export function HiddenMatchesPanel({ clientId, onRestore }) {
     );
   }
 
-  if (hiddenMatches.length === 0) {
+  if (hiddenMatches.length === 0 && ruleSuppressedMatches.length === 0) {
     return (
       <div className="text-center p-12 text-gray-500">
         <EyeOff className="h-12 w-12 mx-auto mb-4 text-gray-300" />
@@ -100,55 +104,94 @@ export function HiddenMatchesPanel({ clientId, onRestore }) {
   }
 
   return (
-    <div className="space-y-4">
-      <p className="text-sm text-gray-500 mb-4">
-        {hiddenMatches.length} hidden {hiddenMatches.length === 1 ? 'match' : 'matches'}
-      </p>
-      {hiddenMatches.map((hidden) => {
-        const opportunity = hidden.funding_opportunities;
-        const isRestoring = restoringId === hidden.opportunity_id;
-
-        return (
-          <Card key={hidden.id} className="border-dashed border-gray-300">
-            <CardContent className="pt-4">
-              <div className="flex items-start justify-between gap-4">
-                <div className="flex-1 min-w-0">
+    <div className="space-y-8">
+      {hiddenMatches.length > 0 && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-500 mb-4">
+            {hiddenMatches.length} hidden {hiddenMatches.length === 1 ? 'match' : 'matches'}
+          </p>
+          {hiddenMatches.map((hidden) => {
+            const opportunity = hidden.funding_opportunities;
+            const isRestoring = restoringId === hidden.opportunity_id;
+
+            return (
+              <Card key={hidden.id} className="border-dashed border-gray-300">
+                <CardContent className="pt-4">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="flex-1 min-w-0">
+                      <h4 className="font-medium text-gray-900 truncate">
+                        {opportunity?.title || 'Unknown Opportunity'}
+                      </h4>
+                      <div className="text-sm text-gray-500 mt-1">
+                        {opportunity?.agency_name && (
+                          <span>{opportunity.agency_name} &bull; </span>
+                        )}
+                        Hidden {formatDistanceToNow(new Date(hidden.hidden_at), { addSuffix: true })}
+                      </div>
+                      {hidden.reason && (
+                        <p className="text-sm text-gray-600 mt-2 italic bg-gray-50 p-2 rounded">
+                          &quot;{hidden.reason}&quot;
+                        </p>
+                      )}
+                    </div>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleRestore(hidden.opportunity_id)}
+                      disabled={isRestoring}
+                      className="shrink-0"
+                    >
+                      {isRestoring ? (
+                        <Loader2 className="h-4 w-4 animate-spin" />
+                      ) : (
+                        <>
+                          <Eye className="h-4 w-4 mr-1" />
+                          Restore
+                        </>
+                      )}
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+
+      {ruleSuppressedMatches.length > 0 && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-500 mb-4 flex items-center gap-1.5">
+            <Filter className="h-4 w-4" />
+            {ruleSuppressedMatches.length} {ruleSuppressedMatches.length === 1 ? 'match' : 'matches'} suppressed by client match rules
+          </p>
+          {ruleSuppressedMatches.map((suppressed) => {
+            const opportunity = suppressed.funding_opportunities;
+
+            return (
+              <Card key={suppressed.opportunity_id} className="border-dashed border-amber-300">
+                <CardContent className="pt-4">
                   <h4 className="font-medium text-gray-900 truncate">
                     {opportunity?.title || 'Unknown Opportunity'}
                   </h4>
-                  <div className="text-sm text-gray-500 mt-1">
-                    {opportunity?.agency_name && (
-                      <span>{opportunity.agency_name} &bull; </span>
-                    )}
-                    Hidden {formatDistanceToNow(new Date(hidden.hidden_at), { addSuffix: true })}
-                  </div>
-                  {hidden.reason && (
-                    <p className="text-sm text-gray-600 mt-2 italic bg-gray-50 p-2 rounded">
-                      &quot;{hidden.reason}&quot;
-                    </p>
-                  )}
-                </div>
-                <Button
-                  variant="outline"
-                  size="sm"
-                  onClick={() => handleRestore(hidden.opportunity_id)}
-                  disabled={isRestoring}
-                  className="shrink-0"
-                >
-                  {isRestoring ? (
-                    <Loader2 className="h-4 w-4 animate-spin" />
-                  ) : (
-                    <>
-                      <Eye className="h-4 w-4 mr-1" />
-                      Restore
-                    </>
+                  {opportunity?.agency_name && (
+                    <div className="text-sm text-gray-500 mt-1">{opportunity.agency_name}</div>
                   )}
-                </Button>
-              </div>
-            </CardContent>
-          </Card>
-        );
-      })}
+                  <ul className="mt-2 space-y-1">
+                    {suppressed.suppressedBy.map((violation) => (
+                      <li
+                        key={violation.rule}
+                        className="text-sm text-amber-800 bg-amber-50 px-2 py-1 rounded"
+                      >
+                        {violation.reason}
+                      </li>
+                    ))}
+                  </ul>
+                </CardContent>
+              </Card>
+            );
+          })}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,257 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { ListChecks, Loader2 } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Label } from '@/components/ui/label';
+import {
+  MATCH_LIFECYCLE_STATUSES,
+  isActiveLifecycleStatus,
+  getLifecycleLabel,
+} from '@/lib/matching/lifecycle';
+import { formatAwardAmount } from '@/lib/matching/evaluateMatch';
+
+/** Select value standing in for "untracked" (Radix Select disallows empty values). */
+const UNTRACKED = 'untracked';
+
+function getStatusClasses(status) {
+  if (status === 'awarded') return 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300';
+  if (isActiveLifecycleStatus(status)) return 'bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300';
+  return 'bg-neutral-200 text-neutral-700 dark:bg-neutral-700 dark:text-neutral-300';
+}
+
+function formatEventDate(dateStr) {
+  return new Date(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Match Lifecycle Control
+ *
+ * Shows a pair's lifecycle status (or a "Track" button when untracked) and
+ * opens a dialog to change it and review the status history.
+ */
+export function MatchLifecycleControl({ clientId, opportunityId, opportunityTitle, lifecycle, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [status, setStatus] = useState(UNTRACKED);
+  const [awardedAmount, setAwardedAmount] = useState('');
+  const [note, setNote] = useState('');
+  const [history, setHistory] = useState([]);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const currentStatus = lifecycle?.lifecycle_status || null;
+
+  const openDialog = async () => {
+    setStatus(currentStatus || UNTRACKED);
+    setAwardedAmount(lifecycle?.awarded_amount ?? '');
+    setNote('');
+    setError(null);
+    setIsOpen(true);
+
+    setIsLoadingHistory(true);
+    try {
+      const params = new URLSearchParams({ clientId, opportunityId });
+      const response = await fetch(`/api/client-matching/lifecycle?${params}`);
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load history');
+      }
+      setHistory(data.history);
+    } catch (err) {
+      console.error('Error loading lifecycle history:', err);
+      setHistory([]);
+    } finally {
+      setIsLoadingHistory(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const nextStatus = status === UNTRACKED ? null : status;
+      const response = await fetch('/api/client-matching/lifecycle', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          clientId,
+          opportunityId,
+          status: nextStatus,
+          awardedAmount: nextStatus === 'awarded' ? awardedAmount : null,
+          note: note.trim() || null
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to update status');
+      }
+
+      setIsOpen(false);
+
+      if (onChange) {
+        onChange(opportunityId, data.lifecycle);
+      }
+    } catch (err) {
+      console.error('Error updating lifecycle status:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <>
+      {currentStatus ? (
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            openDialog();
+          }}
+          className={`text-[10px] font-medium px-1.5 py-0.5 rounded-full whitespace-nowrap ${getStatusClasses(currentStatus)}`}
+          title="Change lifecycle status"
+        >
+          {getLifecycleLabel(currentStatus)}
+          {currentStatus === 'awarded' && lifecycle.awarded_amount != null && ` · ${formatAwardAmount(Number(lifecycle.awarded_amount))}`}
+        </button>
+      ) : (
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={(e) => {
+            e.stopPropagation();
+            openDialog();
+          }}
+          className="text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+          title="Track this match"
+        >
+          <ListChecks className="h-4 w-4" />
+        </Button>
+      )}
+
+      <Dialog open={isOpen} onOpenChange={setIsOpen}>
+        <DialogContent className="sm:max-w-[480px]">
+          <DialogHeader>
+            <DialogTitle>Match Status</DialogTitle>
+            <DialogDescription>
+              Track what happened with &quot;{opportunityTitle}&quot; for this client.
+              Matches that are reviewing, pursuing, submitted or awarded stay listed
+              even after the opportunity closes.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4 py-2">
+            <div>
+              <Label className="text-sm font-medium">Status</Label>
+              <Select value={status} onValueChange={setStatus}>
+                <SelectTrigger className="mt-2">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={UNTRACKED}>Not tracked</SelectItem>
+                  {MATCH_LIFECYCLE_STATUSES.map(s => (
+                    <SelectItem key={s.key} value={s.key}>{s.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {status === 'awarded' && (
+              <div>
+                <Label htmlFor="awardedAmount" className="text-sm font-medium">
+                  Awarded amount ($)
+                </Label>
+                <Input
+                  id="awardedAmount"
+                  type="number"
+                  min="0"
+                  value={awardedAmount}
+                  onChange={(e) => setAwardedAmount(e.target.value)}
+                  className="mt-2"
+                />
+              </div>
+            )}
+
+            <div>
+              <Label htmlFor="lifecycleNote" className="text-sm font-medium">
+                Note (optional)
+              </Label>
+              <Textarea
+                id="lifecycleNote"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                className="mt-2"
+                rows={2}
+              />
+            </div>
+
+            <div>
+              <p className="text-xs font-semibold uppercase tracking-wider text-muted-foreground mb-2">History</p>
+              {isLoadingHistory ? (
+                <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+              ) : history.length === 0 ? (
+                <p className="text-xs text-muted-foreground">No status changes yet</p>
+              ) : (
+                <ul className="space-y-1.5 max-h-40 overflow-y-auto">
+                  {history.map(event => (
+                    <li key={event.id} className="text-xs">
+                      <span className="text-muted-foreground">{formatEventDate(event.changed_at)}</span>{' '}
+                      {getLifecycleLabel(event.from_status) || 'Not tracked'} → {getLifecycleLabel(event.to_status) || 'Not tracked'}
+                      {event.to_status === 'awarded' && event.awarded_amount != null && ` (${formatAwardAmount(Number(event.awarded_amount))})`}
+                      {event.note && <span className="block text-muted-foreground">{event.note}</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          {error && (
+            <div className="text-sm text-red-600 bg-red-50 p-3 rounded-md">
+              {error}
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsOpen(false)} disabled={isSaving}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} disabled={isSaving}>
+              {isSaving ? (
+                <>
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  Saving...
+                </>
+              ) : (
+                'Save Status'
+              )}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
+
+export default MatchLifecycleControl;
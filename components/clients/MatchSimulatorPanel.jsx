@@ -0,0 +1,285 @@
+'use client';
+
+import { useState, useCallback, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Combobox } from '@/components/ui/combobox';
+import { Loader2, FlaskConical, X, TrendingUp, TrendingDown } from 'lucide-react';
+import { TAXONOMIES, getSelectableClientTypes, PROJECT_TYPE_GROUPS, CLIENT_TYPE_GROUPS, BUDGET_TIERS } from '@/lib/constants/taxonomies';
+import { formatMatchScore, getMatchScoreBadgeStyles, diffMatchSets } from '@/lib/utils/clientMatching';
+
+const CLIENT_TYPES = getSelectableClientTypes();
+
+const PROJECT_NEEDS = [
+  ...TAXONOMIES.ELIGIBLE_PROJECT_TYPES.hot,
+  ...TAXONOMIES.ELIGIBLE_PROJECT_TYPES.strong,
+  ...TAXONOMIES.ELIGIBLE_PROJECT_TYPES.mild
+].sort();
+
+const RESULT_LIMIT = 25;
+
+/**
+ * What-if Match Simulator
+ *
+ * Runs a hypothetical client profile through /api/client-matching/simulate
+ * without creating a client. After the first run, adding or removing a
+ * project need re-runs the simulation against the same coverage areas and
+ * shows which matches were gained or lost. Need changes made while a run is
+ * in flight are queued; the latest set runs when it finishes.
+ */
+export default function MatchSimulatorPanel() {
+  const [profile, setProfile] = useState({
+    type: '',
+    address: '',
+    project_needs: [],
+    budget: ''
+  });
+  const [result, setResult] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const inFlight = useRef(false);
+  const queuedProfile = useRef(null);
+
+  const runSimulation = useCallback(async (nextProfile, previousResult) => {
+    inFlight.current = true;
+    setLoading(true);
+    setError(null);
+
+    let current = nextProfile;
+    let baseline = previousResult;
+    try {
+      while (current) {
+        const response = await fetch('/api/client-matching/simulate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            type: current.type,
+            project_needs: current.project_needs,
+            budget: current.budget || null,
+            // Reuse resolved coverage areas so need changes don't re-geocode
+            ...(baseline
+              ? { coverage_area_ids: baseline.profile.coverage_area_ids }
+              : { address: current.address })
+          })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+          throw new Error(data.error || 'Simulation failed');
+        }
+
+        setDiff(baseline ? diffMatchSets(baseline.matches, data.results.matches) : null);
+        setResult(data.results);
+
+        // Needs changed while this request ran: run the latest set against it
+        baseline = data.results;
+        current = queuedProfile.current;
+        queuedProfile.current = null;
+      }
+    } catch (err) {
+      console.error('[MatchSimulator] Simulation error:', err);
+      setError(err.message);
+      queuedProfile.current = null;
+    } finally {
+      inFlight.current = false;
+      setLoading(false);
+    }
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!profile.type) {
+      setError('Client type is required');
+      return;
+    }
+    if (!profile.address?.trim()) {
+      setError('Address is required');
+      return;
+    }
+    runSimulation(profile, null);
+  };
+
+  // Once a baseline exists, need changes re-run immediately and show the delta
+  const handleNeedsChange = (projectNeeds) => {
+    const nextProfile = { ...profile, project_needs: projectNeeds };
+    setProfile(nextProfile);
+    if (inFlight.current) {
+      queuedProfile.current = nextProfile;
+    } else if (result) {
+      runSimulation(nextProfile, result);
+    }
+  };
+
+  const updateField = (field, value) => {
+    setProfile(prev => ({ ...prev, [field]: value }));
+    // Location, type or budget changes invalidate the baseline
+    queuedProfile.current = null;
+    setResult(null);
+    setDiff(null);
+  };
+
+  return (
+    <div className="space-y-5">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div>
+            <Label>Client Type</Label>
+            <Combobox
+              groups={CLIENT_TYPE_GROUPS}
+              options={CLIENT_TYPES}
+              value={profile.type}
+              onChange={(value) => updateField('type', value)}
+              placeholder="Select client type..."
+              searchPlaceholder="Search client types..."
+              emptyMessage="No client type found."
+            />
+          </div>
+          <div>
+            <Label>Budget Range</Label>
+            <Combobox
+              options={BUDGET_TIERS.map(tier => ({ value: tier.key, label: tier.label }))}
+              value={profile.budget}
+              onChange={(value) => updateField('budget', value)}
+              placeholder="Select budget range..."
+              searchPlaceholder="Search budget tiers..."
+              emptyMessage="No budget tier found."
+            />
+          </div>
+        </div>
+
+        <div>
+          <Label htmlFor="simulator-address">Address</Label>
+          <Input
+            id="simulator-address"
+            value={profile.address}
+            onChange={(e) => updateField('address', e.target.value)}
+            placeholder="Street, city, state"
+          />
+        </div>
+
+        <div>
+          <Label>Project Needs</Label>
+          <Combobox
+            multiple
+            groups={PROJECT_TYPE_GROUPS}
+            options={PROJECT_NEEDS}
+            value={profile.project_needs}
+            onChange={handleNeedsChange}
+            placeholder="Select project needs..."
+            searchPlaceholder="Search project types..."
+            emptyMessage="No project type found."
+          />
+        </div>
+
+        <div className="flex justify-end">
+          <Button type="submit" disabled={loading}>
+            {loading ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <FlaskConical className="h-4 w-4 mr-2" />
+            )}
+            Simulate Matches
+          </Button>
+        </div>
+      </form>
+
+      {result && (
+        <div className="space-y-4 border-t border-neutral-200 dark:border-neutral-800 pt-4">
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-medium">
+              {result.matchCount} {result.matchCount === 1 ? 'match' : 'matches'}
+              <span className="text-neutral-500 font-normal"> of {result.opportunitiesEvaluated} open opportunities</span>
+            </p>
+            {diff && (
+              <div className="flex items-center gap-3 text-xs">
+                <span className="flex items-center gap-1 text-emerald-700 dark:text-emerald-400">
+                  <TrendingUp className="h-3.5 w-3.5" /> +{diff.gained.length}
+                </span>
+                <span className="flex items-center gap-1 text-red-700 dark:text-red-400">
+                  <TrendingDown className="h-3.5 w-3.5" /> -{diff.lost.length}
+                </span>
+              </div>
+            )}
+          </div>
+
+          {/* Per-need contribution — removing a need loses its exclusive matches */}
+          {result.needImpact.length > 0 && (
+            <div className="flex flex-wrap gap-1.5">
+              {result.needImpact.map(({ need, matchCount, exclusiveCount }) => (
+                <span
+                  key={need}
+                  className="text-xs font-medium px-2 py-0.5 rounded-md border border-neutral-200 dark:border-neutral-700 flex items-center gap-1"
+                  title={`${exclusiveCount} matches would be lost if removed`}
+                >
+                  {need} ({matchCount})
+                  <button
+                    type="button"
+                    onClick={() => handleNeedsChange(profile.project_needs.filter(n => n !== need))}
+                    className="hover:text-red-600 focus:outline-none"
+                    aria-label={`Remove ${need}`}
+                  >
+                    <X className="h-3 w-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+
+          {diff && (diff.gained.length > 0 || diff.lost.length > 0) && (
+            <div className="grid gap-3 sm:grid-cols-2 text-sm">
+              <DiffList title="Gained" items={diff.gained} className="text-emerald-700 dark:text-emerald-400" />
+              <DiffList title="Lost" items={diff.lost} className="text-red-700 dark:text-red-400" />
+            </div>
+          )}
+
+          <ul className="divide-y divide-neutral-100 dark:divide-neutral-800">
+            {result.matches.slice(0, RESULT_LIMIT).map(match => (
+              <li key={match.id} className="py-2 flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium truncate">{match.title}</p>
+                  <p className="text-xs text-neutral-500 truncate">
+                    {[match.agency_name, match.matchDetails?.awardFit?.explanation].filter(Boolean).join(' · ')}
+                  </p>
+                </div>
+                <span
+                  className="text-xs font-medium px-2 py-0.5 rounded-full flex-shrink-0"
+                  style={getMatchScoreBadgeStyles(match.score)}
+                >
+                  {formatMatchScore(match.score)}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {result.matchCount > RESULT_LIMIT && (
+            <p className="text-xs text-neutral-500">Showing top {RESULT_LIMIT} of {result.matchCount}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function DiffList({ title, items, className }) {
+  if (items.length === 0) return null;
+  return (
+    <div>
+      <p className={`text-xs font-semibold uppercase tracking-wider mb-1 ${className}`}>
+        {title} ({items.length})
+      </p>
+      <ul className="space-y-0.5">
+        {items.slice(0, 10).map(item => (
+          <li key={item.id} className="text-xs text-neutral-600 dark:text-neutral-400 truncate">{item.title}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,207 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { saveAs } from 'file-saver';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Download, FileStack, Loader2 } from 'lucide-react';
+
+/**
+ * Portfolio PDF Modal
+ *
+ * Configures the multi-client portfolio report. The portfolio is every client
+ * assigned to the selected users (a team); selecting nobody covers all
+ * clients. Generated server-side by /api/export/portfolio-pdf.
+ *
+ * @param {string[]} defaultUserIds - Initially selected users (the list's current filter)
+ * @param {Object[]} users - Workspace users ({ id, display_name })
+ */
+export function PortfolioPDFModal({ isOpen, onClose, defaultUserIds = [], users = [] }) {
+  const [selectedUserIds, setSelectedUserIds] = useState(defaultUserIds);
+  const [viewMode, setViewMode] = useState('summary');
+  const [topMatches, setTopMatches] = useState('5');
+  const [includeCover, setIncludeCover] = useState(true);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start from the list's filter each time the modal opens
+  const defaultKey = defaultUserIds.join(',');
+  useEffect(() => {
+    if (isOpen) {
+      setSelectedUserIds(defaultKey ? defaultKey.split(',') : []);
+      setError(null);
+    }
+  }, [isOpen, defaultKey]);
+
+  const toggleUser = (userId, checked) => {
+    setSelectedUserIds((prev) =>
+      checked ? [...prev, userId] : prev.filter((id) => id !== userId)
+    );
+  };
+
+  const handleExport = useCallback(async () => {
+    setIsGenerating(true);
+    setError(null);
+
+    try {
+      const query = selectedUserIds.length === 0 ? '?user_id=all' : '';
+      const response = await fetch(`/api/export/portfolio-pdf${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          userIds: selectedUserIds.length > 0 ? selectedUserIds : undefined,
+          options: { viewMode, includeCover, topMatches: Number(topMatches) },
+        }),
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to generate PDF');
+      }
+
+      const blob = await response.blob();
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'funding-portfolio.pdf';
+      saveAs(blob, filename);
+
+      onClose();
+    } catch (err) {
+      console.error('Error generating portfolio PDF:', err);
+      setError(err.message);
+    } finally {
+      setIsGenerating(false);
+    }
+  }, [selectedUserIds, viewMode, includeCover, topMatches, onClose]);
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FileStack className="h-5 w-5" />
+            Portfolio Report
+          </DialogTitle>
+          <DialogDescription>
+            One PDF covering every client assigned to the selected team members: summary,
+            shared opportunities, a combined deadline calendar and each client&apos;s top matches.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-6 py-4">
+          {/* Team members */}
+          <div className="space-y-3">
+            <Label className="text-sm font-medium">Team Members</Label>
+            <div className="max-h-40 overflow-y-auto space-y-2 rounded-md border p-3">
+              {users.map((u) => (
+                <div key={u.id} className="flex items-center space-x-3">
+                  <Checkbox
+                    id={`portfolio-user-${u.id}`}
+                    checked={selectedUserIds.includes(u.id)}
+                    onCheckedChange={(checked) => toggleUser(u.id, checked === true)}
+                  />
+                  <Label htmlFor={`portfolio-user-${u.id}`} className="cursor-pointer text-sm font-normal">
+                    {u.display_name}
+                  </Label>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-muted-foreground">
+              {selectedUserIds.length === 0
+                ? 'No one selected: the report covers all clients.'
+                : `Clients assigned to any of the ${selectedUserIds.length} selected ${selectedUserIds.length === 1 ? 'user' : 'users'}.`}
+            </p>
+          </div>
+
+          {/* View Mode Selection */}
+          <div className="space-y-3">
+            <Label className="text-sm font-medium">Report Style</Label>
+            <RadioGroup value={viewMode} onValueChange={setViewMode} className="flex gap-6">
+              <div className="flex items-center space-x-2">
+                <RadioGroupItem value="summary" id="portfolio-summary" />
+                <Label htmlFor="portfolio-summary" className="cursor-pointer">Summary</Label>
+              </div>
+              <div className="flex items-center space-x-2">
+                <RadioGroupItem value="detailed" id="portfolio-detailed" />
+                <Label htmlFor="portfolio-detailed" className="cursor-pointer">Detailed</Label>
+              </div>
+            </RadioGroup>
+          </div>
+
+          {/* Matches per client */}
+          <div className="space-y-3">
+            <Label htmlFor="topMatches" className="text-sm font-medium">
+              Top Matches per Client
+            </Label>
+            <Select value={topMatches} onValueChange={setTopMatches}>
+              <SelectTrigger id="topMatches">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="3">3</SelectItem>
+                <SelectItem value="5">5</SelectItem>
+                <SelectItem value="10">10</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          {/* Cover Page Option */}
+          <div className="flex items-center space-x-3">
+            <Checkbox
+              id="portfolioIncludeCover"
+              checked={includeCover}
+              onCheckedChange={setIncludeCover}
+            />
+            <Label htmlFor="portfolioIncludeCover" className="cursor-pointer text-sm">
+              Include cover page
+            </Label>
+          </div>
+
+          {/* Error Message */}
+          {error && (
+            <div className="p-3 text-sm text-red-600 bg-red-50 border border-red-200 rounded-md">
+              {error}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter className="gap-2 sm:gap-0">
+          <Button variant="outline" onClick={onClose} disabled={isGenerating}>
+            Cancel
+          </Button>
+          <Button onClick={handleExport} disabled={isGenerating}>
+            {isGenerating ? (
+              <>
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Generating...
+              </>
+            ) : (
+              <>
+                <Download className="h-4 w-4 mr-2" />
+                Export PDF
+              </>
+            )}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default PortfolioPDFModal;
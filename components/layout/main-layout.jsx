@@ -16,6 +16,7 @@ import { useTheme } from '@/components/theme-provider';
 import { useAuth } from '@/contexts/AuthContext';
 import { UserMenu } from '@/components/auth/UserMenu';
 import HelpModal from '@/components/help/HelpModal';
+import { useTrackedOpportunitiesSync } from '@/hooks/useTrackedOpportunitiesSync';
 
 const ClientSideActiveLink = ({ href, children, className, ...props }) => {
 	const pathname = usePathname();
@@ -41,6 +42,8 @@ const MainLayout = ({ children }) => {
 	const { theme, setTheme } = useTheme();
 	const [helpOpen, setHelpOpen] = useState(false);
 
+	useTrackedOpportunitiesSync();
+
 	const toggleTheme = () => {
 		setTheme(theme === 'dark' ? 'light' : 'dark');
 	};
@@ -253,6 +256,26 @@ const adminNavItems = [
 		href: '/admin/funding-sources',
 		description: 'Manage API sources and processing configurations.',
 	},
+	{
+		title: 'Matching Algorithm',
+		href: '/admin/matching',
+		description: 'Shadow-test matching algorithm versions and promote them.',
+	},
+	{
+		title: 'Hidden Match Analysis',
+		href: '/admin/matching/hides',
+		description: 'Find systematic false positives from hidden matches.',
+	},
+	{
+		title: 'CRM Sync',
+		href: '/admin/crm',
+		description: 'Sync clients with CRM accounts and review conflicts.',
+	},
+	{
+		title: 'Report Templates',
+		href: '/admin/report-templates',
+		description: 'Manage branded PDF report templates.',
+	},
 	{
 		title: 'Verify Data',
 		href: '/admin/funding/verify',
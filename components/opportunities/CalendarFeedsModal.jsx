@@ -0,0 +1,233 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogHeader,
+	DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { CalendarDays, Check, Copy, Loader2, Plus, RefreshCw, Trash2 } from 'lucide-react';
+
+const SCOPE_LABELS = {
+	user: 'Tracked opportunities and your clients’ matches',
+	client: 'Client matches',
+	filter: 'Opportunity filter',
+};
+
+/**
+ * Calendar Feeds Modal
+ *
+ * The current user's ICS deadline feeds (/api/calendar-feeds). Each feed has a
+ * private subscription URL for Outlook or Google Calendar.
+ *
+ * @param {Object} [filters] - Current opportunity-list filters (fundingApi.getOpportunities
+ *   shape); offers a feed for them when given
+ * @param {Object} [client] - { id, name }; offers a feed of the client's matches when given
+ */
+export function CalendarFeedsModal({ isOpen, onClose, filters = null, client = null }) {
+	const [feeds, setFeeds] = useState([]);
+	const [isLoading, setIsLoading] = useState(false);
+	const [busyAction, setBusyAction] = useState(null);
+	const [copiedId, setCopiedId] = useState(null);
+	const [error, setError] = useState(null);
+
+	const request = useCallback(async (url, options = {}) => {
+		const response = await fetch(url, {
+			...options,
+			headers: { 'Content-Type': 'application/json' },
+		});
+		const data = await response.json().catch(() => ({}));
+		if (!response.ok) throw new Error(data.error || 'Request failed');
+		return data;
+	}, []);
+
+	const load = useCallback(async () => {
+		setIsLoading(true);
+		setError(null);
+		try {
+			const data = await request('/api/calendar-feeds');
+			setFeeds(data.feeds);
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setIsLoading(false);
+		}
+	}, [request]);
+
+	useEffect(() => {
+		if (isOpen) load();
+	}, [isOpen, load]);
+
+	const runAction = async (action, fn) => {
+		setBusyAction(action);
+		setError(null);
+		try {
+			await fn();
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setBusyAction(null);
+		}
+	};
+
+	const createFeed = (action, body) => runAction(action, async () => {
+		const data = await request('/api/calendar-feeds', { method: 'POST', body: JSON.stringify(body) });
+		setFeeds((prev) => [...prev, data.feed]);
+	});
+
+	const regenerate = (feed) => runAction(`regenerate:${feed.id}`, async () => {
+		const data = await request(`/api/calendar-feeds/${feed.id}`, {
+			method: 'PATCH',
+			body: JSON.stringify({ regenerate_token: true }),
+		});
+		setFeeds((prev) => prev.map((f) => (f.id === feed.id ? data.feed : f)));
+	});
+
+	const remove = (feed) => runAction(`delete:${feed.id}`, async () => {
+		await request(`/api/calendar-feeds/${feed.id}`, { method: 'DELETE' });
+		setFeeds((prev) => prev.filter((f) => f.id !== feed.id));
+	});
+
+	const copyUrl = async (feed) => {
+		try {
+			await navigator.clipboard.writeText(feed.url);
+			setCopiedId(feed.id);
+			setTimeout(() => setCopiedId(null), 2000);
+		} catch {
+			setError('Could not copy to the clipboard; copy the URL manually.');
+		}
+	};
+
+	const busy = isLoading || busyAction !== null;
+	const hasUserFeed = feeds.some((f) => f.scope === 'user');
+	const hasClientFeed = client && feeds.some((f) => f.scope === 'client' && f.client_id === client.id);
+
+	return (
+		<Dialog open={isOpen} onOpenChange={onClose}>
+			<DialogContent className='sm:max-w-[560px] max-h-[90vh] overflow-y-auto'>
+				<DialogHeader>
+					<DialogTitle className='flex items-center gap-2'>
+						<CalendarDays className='h-5 w-5' />
+						Calendar Feeds
+					</DialogTitle>
+					<DialogDescription>
+						Subscribe from Outlook or Google Calendar to see open dates, deadlines and
+						reminders. Rolling programs show as all-day reminders. Anyone with a feed URL
+						can read it; regenerate the URL if it is shared by mistake.
+					</DialogDescription>
+				</DialogHeader>
+
+				{isLoading ? (
+					<div className='flex justify-center py-10'>
+						<Loader2 className='h-6 w-6 animate-spin' />
+					</div>
+				) : (
+					<div className='space-y-4 py-2'>
+						{feeds.length === 0 && (
+							<p className='text-sm text-muted-foreground'>No calendar feeds yet.</p>
+						)}
+
+						{feeds.map((feed) => (
+							<div key={feed.id} className='rounded-md border p-3 space-y-2'>
+								<div className='flex items-start justify-between gap-2'>
+									<div>
+										<div className='text-sm font-medium'>{feed.name}</div>
+										<div className='text-xs text-muted-foreground'>
+											{SCOPE_LABELS[feed.scope]}
+										</div>
+									</div>
+									<div className='flex gap-1'>
+										<Button
+											size='icon'
+											variant='ghost'
+											title='Regenerate URL'
+											disabled={busy}
+											onClick={() => regenerate(feed)}>
+											{busyAction === `regenerate:${feed.id}`
+												? <Loader2 className='h-4 w-4 animate-spin' />
+												: <RefreshCw className='h-4 w-4' />}
+										</Button>
+										<Button
+											size='icon'
+											variant='ghost'
+											title='Delete feed'
+											disabled={busy}
+											onClick={() => remove(feed)}>
+											{busyAction === `delete:${feed.id}`
+												? <Loader2 className='h-4 w-4 animate-spin' />
+												: <Trash2 className='h-4 w-4' />}
+										</Button>
+									</div>
+								</div>
+								<div className='flex gap-2'>
+									<Label htmlFor={`feedUrl-${feed.id}`} className='sr-only'>Feed URL</Label>
+									<Input
+										id={`feedUrl-${feed.id}`}
+										readOnly
+										value={feed.url}
+										className='text-xs'
+										onFocus={(e) => e.target.select()}
+									/>
+									<Button size='icon' variant='outline' title='Copy URL' onClick={() => copyUrl(feed)}>
+										{copiedId === feed.id ? <Check className='h-4 w-4' /> : <Copy className='h-4 w-4' />}
+									</Button>
+								</div>
+								<a
+									href={feed.url.replace(/^https?:/, 'webcal:')}
+									className='text-xs text-blue-600 hover:underline'>
+									Open in calendar app
+								</a>
+							</div>
+						))}
+
+						<div className='flex flex-wrap gap-2'>
+							{!hasUserFeed && (
+								<Button
+									variant='outline'
+									size='sm'
+									disabled={busy}
+									onClick={() => createFeed('create:user', { scope: 'user' })}>
+									{busyAction === 'create:user' ? <Loader2 className='h-4 w-4 mr-2 animate-spin' /> : <Plus className='h-4 w-4 mr-2' />}
+									My Deadlines
+								</Button>
+							)}
+							{client && !hasClientFeed && (
+								<Button
+									variant='outline'
+									size='sm'
+									disabled={busy}
+									onClick={() => createFeed('create:client', { scope: 'client', client_id: client.id })}>
+									{busyAction === 'create:client' ? <Loader2 className='h-4 w-4 mr-2 animate-spin' /> : <Plus className='h-4 w-4 mr-2' />}
+									{client.name} Matches
+								</Button>
+							)}
+							{filters && (
+								<Button
+									variant='outline'
+									size='sm'
+									disabled={busy}
+									onClick={() => createFeed('create:filter', { scope: 'filter', name: 'Filtered Opportunities', filters })}>
+									{busyAction === 'create:filter' ? <Loader2 className='h-4 w-4 mr-2 animate-spin' /> : <Plus className='h-4 w-4 mr-2' />}
+									Current Filters
+								</Button>
+							)}
+						</div>
+
+						{error && (
+							<div className='p-3 text-sm text-red-600 bg-red-50 border border-red-200 rounded-md'>
+								{error}
+							</div>
+						)}
+					</div>
+				)}
+			</DialogContent>
+		</Dialog>
+	);
+}
+
+export default CalendarFeedsModal;
@@ -0,0 +1,22 @@
+'use client';
+
+import { useEffect } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { useTrackedOpportunitiesStore } from '@/lib/stores/trackedOpportunitiesStore';
+
+/**
+ * Syncs the tracked-opportunities cache with the signed-in user's server-side
+ * list once the persisted cache has loaded. Mounted by MainLayout, so it runs
+ * on every page load and whenever the signed-in user changes.
+ */
+export function useTrackedOpportunitiesSync() {
+	const { user } = useAuth();
+	const isInitialized = useTrackedOpportunitiesStore((s) => s.isInitialized);
+	const syncWithServer = useTrackedOpportunitiesStore((s) => s.syncWithServer);
+
+	useEffect(() => {
+		if (isInitialized && user?.id) {
+			syncWithServer(user.id);
+		}
+	}, [isInitialized, user?.id, syncWithServer]);
+}
@@ -9,14 +9,14 @@
  * - Raw response storage with deduplication
  * - Comprehensive metrics tracking
  * - Parallel chunk processing with error isolation
- * - Second-stage detail API calls for two-step workflows
+ * - Fetching through the source adapter named by processingInstructions.workflow
  * - Uses centralized anthropic client with proper schemas
  * 
  * Exports: extractFromSource(source, processingInstructions, anthropic)
  */
 
 import { getAnthropicClient } from '../../utils/anthropicClient.js';
-import { handleSingleApi, handleTwoStepApi } from './apiHandlers/index.js';
+import { getSourceAdapter, fetchSourceData, usesDetailCalls, mapSourceOpportunities } from '../sourceAdapters/index.js';
 import { extractOpportunitiesWithSchema } from './extraction/index.js';
 import { storeRawResponse } from './storage/index.js';
 import { createSupabaseClient } from '../../../supabase.js';
@@ -24,7 +24,7 @@ import { createSupabaseClient } from '../../../supabase.js';
 /**
  * Extracts and standardizes data from an API source
  * @param {Object} source - The source object with basic info (id, name, api_endpoint)
- * @param {Object} processingInstructions - Processing configuration from SourceOrchestrator with keys: workflow, apiEndpoint, requestConfig, queryParameters, requestBody, responseConfig, paginationConfig, detailConfig, responseMapping, authMethod, authDetails
+ * @param {Object} processingInstructions - Processing configuration from SourceOrchestrator with keys: workflow, apiEndpoint, requestConfig, queryParameters, requestBody, responseConfig, paginationConfig, detailConfig, responseMapping, authMethod, authDetails, rateLimitConfig
  * @param {Object} anthropic - Anthropic client instance (optional, will use centralized client)
  * @returns {Promise<Object>} - Extracted and standardized opportunities with metrics and tracking data
  */
@@ -44,13 +44,9 @@ export async function extractFromSource(source, processingInstructions, anthropi
   let rawResponseId = null;
   
   try {
-    // Step 1: Make API calls based on workflow type
-    let rawData;
-    if (processingInstructions.workflow === 'two_step_api') {
-      rawData = await handleTwoStepApi(processingInstructions, source.id);
-    } else {
-      rawData = await handleSingleApi(processingInstructions);
-    }
+    // Step 1: Fetch through the source's adapter
+    const adapter = getSourceAdapter(processingInstructions.workflow);
+    const rawData = await fetchSourceData(adapter, processingInstructions, { sourceId: source.id });
     
     // Step 2: Store raw API response
     rawApiResponse = rawData.rawResponse;
@@ -59,7 +55,7 @@ export async function extractFromSource(source, processingInstructions, anthropi
       processingInstructions: processingInstructions
     }, {
       api_endpoint: processingInstructions.apiEndpoint,
-      call_type: processingInstructions.workflow === 'two_step_api' ? 'list' : 'single',
+      call_type: usesDetailCalls(adapter, processingInstructions) ? 'list' : 'single',
       execution_time_ms: Date.now() - startTime,
       opportunity_count: rawData.totalFound || 0
     });
@@ -76,13 +72,16 @@ export async function extractFromSource(source, processingInstructions, anthropi
       });
     }
     
-    // Step 3: Extract opportunities with schema-based processing
-    const extractionResult = await extractOpportunitiesWithSchema(
-      rawData, 
-      source, 
-      anthropicClient,
-      processingInstructions
-    );
+    // Step 3: Map with the adapter when its response format is fixed, otherwise
+    // extract opportunities with schema-based processing
+    const extractionResult = adapter.mapOpportunity
+      ? mapSourceOpportunities(adapter, rawData.data, processingInstructions)
+      : await extractOpportunitiesWithSchema(
+        rawData, 
+        source, 
+        anthropicClient,
+        processingInstructions
+      );
     
     // ⚡ DEBUG: Log extraction result (only in development)
     if (process.env.NODE_ENV === 'development') {
@@ -121,11 +120,12 @@ export async function extractFromSource(source, processingInstructions, anthropi
         totalRetrieved,  // What we fetched
         successfullyExtracted: trackedOpportunities.length,  // What we extracted
         workflow: processingInstructions.workflow,
-        apiCalls: processingInstructions.workflow === 'two_step_api' ? 'multiple' : rawData.apiCallCount || 1,
+        apiCalls: rawData.apiCallCount || 1,
         totalTokens: clientMetrics.totalTokens || 0, // Add token tracking
         executionTime,
         extractionProcessing: extractionResult.extractionMetrics,
-        detailProcessing: rawData.detailMetrics || null
+        detailProcessing: rawData.detailMetrics || null,
+        rateLimit: rawData.rateLimitMetrics || null
       },
       rawResponseId,
       executionTime,
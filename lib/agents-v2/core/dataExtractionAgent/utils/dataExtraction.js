@@ -4,15 +4,21 @@
  * Functions for extracting data from API responses using configured paths
  */
 
+import { parseResponseBody, getDefaultRecordPath } from './responseFormats.js';
+
 /**
- * Extract data from response using the configured response path
+ * Extract data from response using the configured response path. XML, CSV and
+ * RSS/Atom bodies (responseConfig.format) are parsed first; see responseFormats.js
  */
 export function extractDataFromResponse(data, responseConfig) {
-  if (!responseConfig?.responseDataPath) {
-    return data;
+  const document = parseResponseBody(data, responseConfig);
+  const recordPath = responseConfig?.responseDataPath || getDefaultRecordPath(responseConfig);
+
+  if (!recordPath) {
+    return document;
   }
   
-  return extractDataByPath(data, responseConfig.responseDataPath);
+  return extractDataByPath(document, recordPath);
 }
 
 /**
@@ -33,4 +39,4 @@ export function extractDataByPath(data, path) {
   }
   
   return result;
-} 
\ No newline at end of file
+} 
@@ -5,4 +5,5 @@
  */
 
 export { extractDataFromResponse } from './dataExtraction.js';
+export { RESPONSE_FORMATS, parseResponseBody } from './responseFormats.js';
 export { splitDataIntoChunks, processChunksInParallel } from './processing.js'; 
\ No newline at end of file
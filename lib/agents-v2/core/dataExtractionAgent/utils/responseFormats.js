@@ -0,0 +1,216 @@
+/**
+ * Response Format Parsers
+ *
+ * Turn XML, CSV and RSS/Atom response bodies into plain objects so the
+ * record path (responseConfig.responseDataPath) applies to them the same way
+ * it does to JSON. responseConfig.format selects the parser:
+ * - 'json' (default): the body is already parsed
+ * - 'xml': elements become keys, repeated elements arrays, attributes '@_name'
+ *   keys and mixed text '#text'. All values stay strings.
+ * - 'csv': an array of row objects keyed by the header row. responseConfig.delimiter
+ *   sets the separator (default ',')
+ * - 'rss': RSS 2.0, RSS 1.0 (RDF) or Atom; { title, link, items } where each item
+ *   is { id, title, link, description, content, published, updated, author, categories }.
+ *   The record path defaults to 'items'
+ */
+
+import { XMLParser } from 'fast-xml-parser';
+
+export const RESPONSE_FORMATS = ['json', 'xml', 'csv', 'rss'];
+
+const DEFAULT_RECORD_PATHS = {
+  rss: 'items'
+};
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  // Keep "00501" zip codes and "2026-01" dates as text, like the CSV parser
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true
+});
+
+/**
+ * The configured response format, defaulting to JSON
+ */
+export function getResponseFormat(responseConfig) {
+  const format = String(responseConfig?.format || 'json').toLowerCase();
+  if (!RESPONSE_FORMATS.includes(format)) {
+    throw new Error(`Unsupported response format: ${responseConfig.format}`);
+  }
+  return format;
+}
+
+/**
+ * Whether the response body should be read as text rather than JSON
+ */
+export function isTextResponseFormat(responseConfig) {
+  return getResponseFormat(responseConfig) !== 'json';
+}
+
+/**
+ * The record path for a format when responseDataPath is not configured
+ */
+export function getDefaultRecordPath(responseConfig) {
+  return DEFAULT_RECORD_PATHS[getResponseFormat(responseConfig)] || null;
+}
+
+/**
+ * Parse a response body for the configured format. JSON bodies, and bodies
+ * already parsed by an earlier call, are returned unchanged.
+ */
+export function parseResponseBody(body, responseConfig) {
+  if (typeof body !== 'string') {
+    return body;
+  }
+
+  switch (getResponseFormat(responseConfig)) {
+    case 'xml':
+      return parseXml(body);
+    case 'csv':
+      return parseCsv(body, responseConfig?.delimiter);
+    case 'rss':
+      return parseFeed(body);
+    default:
+      return body;
+  }
+}
+
+/**
+ * Parse an XML document into nested objects
+ */
+export function parseXml(text) {
+  return xmlParser.parse(text);
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside
+ * quotes) into row objects keyed by the header row. Blank rows are skipped.
+ */
+export function parseCsv(text, delimiter = ',') {
+  const separator = delimiter || ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...dataRows] = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (!header) return [];
+
+  const keys = header.map(name => name.trim());
+  return dataRows.map(values => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (key) record[key] = (values[index] ?? '').trim();
+    });
+    return record;
+  });
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Text of an element that may carry attributes ({ '#text', '@_type' })
+function textOf(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'object') return value['#text'] ?? null;
+  return String(value);
+}
+
+function atomLink(links) {
+  const all = asArray(links);
+  const alternate = all.find(link => !link['@_rel'] || link['@_rel'] === 'alternate') || all[0];
+  return alternate ? alternate['@_href'] || textOf(alternate) : null;
+}
+
+function rssItem(item) {
+  return {
+    id: textOf(item.guid) || textOf(item.link) || item['@_rdf:about'] || null,
+    title: textOf(item.title),
+    link: textOf(item.link),
+    description: textOf(item.description),
+    content: textOf(item['content:encoded']),
+    published: textOf(item.pubDate) || textOf(item['dc:date']),
+    updated: null,
+    author: textOf(item.author) || textOf(item['dc:creator']),
+    categories: asArray(item.category).map(textOf).filter(Boolean)
+  };
+}
+
+function atomEntry(entry) {
+  return {
+    id: textOf(entry.id) || atomLink(entry.link),
+    title: textOf(entry.title),
+    link: atomLink(entry.link),
+    description: textOf(entry.summary),
+    content: textOf(entry.content),
+    published: textOf(entry.published),
+    updated: textOf(entry.updated),
+    author: asArray(entry.author).map(author => textOf(author.name)).filter(Boolean).join(', ') || null,
+    categories: asArray(entry.category).map(category => category['@_term'] || textOf(category)).filter(Boolean)
+  };
+}
+
+/**
+ * Parse an RSS 2.0, RSS 1.0 (RDF) or Atom feed into { title, link, items }
+ */
+export function parseFeed(text) {
+  const document = parseXml(text);
+
+  if (document.feed) {
+    return {
+      title: textOf(document.feed.title),
+      link: atomLink(document.feed.link),
+      items: asArray(document.feed.entry).map(atomEntry)
+    };
+  }
+
+  const rdf = document['rdf:RDF'];
+  const channel = document.rss?.channel || rdf?.channel;
+  if (!channel) {
+    throw new Error('Response is not an RSS or Atom feed');
+  }
+
+  return {
+    title: textOf(channel.title),
+    link: textOf(channel.link),
+    items: asArray(channel.item || rdf?.item).map(rssItem)
+  };
+}
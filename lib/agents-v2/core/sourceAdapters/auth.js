@@ -0,0 +1,279 @@
+/**
+ * Source Adapter Auth
+ *
+ * Authorizes adapter requests with the source's credentials. The HTTP helpers
+ * (http.js) call authorizeRequest() on every attempt, so list pages and detail
+ * calls of all adapters are covered, HMAC timestamps are fresh on retries and
+ * a rejected OAuth2 token is replaced.
+ *
+ * Auth types and their settings are listed in lib/services/sourceCredentials.js.
+ * Secrets come from api_source_credentials and are cached per source for a
+ * few minutes. Secrets still kept in plain auth_details (sources saved before
+ * credentials were encrypted) are used with a warning until
+ * scripts/encrypt-source-credentials.mjs moves them.
+ *
+ * OAuth2 client-credentials tokens are cached until shortly before they
+ * expire; concurrent requests share one token request.
+ *
+ * HMAC signing string, signed with the secret:
+ *   METHOD \n path?query \n unix timestamp \n hex SHA-256 of the body
+ */
+
+import { createHash, createHmac } from 'crypto';
+import { createSupabaseClient } from '../../../supabase.js';
+import {
+  AUTH_SECRET_FIELDS,
+  normalizeAuthType,
+  loadSourceSecrets
+} from '../../../services/sourceCredentials.js';
+
+const SECRETS_TTL_MS = 5 * 60 * 1000;
+
+// Tokens are replaced this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+const DEFAULT_TOKEN_LIFETIME_SECONDS = 3600;
+
+const HMAC_ALGORITHMS = ['sha256', 'sha512'];
+const HMAC_ENCODINGS = ['hex', 'base64'];
+
+const secretsCache = new Map();
+const tokenCache = new Map();
+const legacyWarnings = new Set();
+
+/**
+ * Auth for a source's requests, from its processing instructions
+ * @param {Object} instructions - Processing instructions (authMethod, authDetails)
+ * @param {string|null} sourceId - api_sources.id, for loading the secrets
+ * @returns {Object|null} - { type, sourceId, settings }, or null without auth
+ */
+export function getSourceAuth(instructions, sourceId = null) {
+  const type = normalizeAuthType(instructions?.authMethod);
+  if (!type) {
+    throw new Error(`Unsupported auth type: ${instructions.authMethod}`);
+  }
+  if (type === 'none') return null;
+
+  return { type, sourceId, settings: instructions.authDetails || {} };
+}
+
+/**
+ * Forget a source's cached secrets and tokens, after its credentials change
+ */
+export function clearSourceAuthCache(sourceId) {
+  secretsCache.delete(sourceId);
+  for (const key of tokenCache.keys()) {
+    if (key.startsWith(`${sourceId}|`)) tokenCache.delete(key);
+  }
+}
+
+/**
+ * Whether the auth uses an access token that a 401 response can invalidate
+ */
+export function usesAccessToken(auth) {
+  return auth?.type === 'oauth2_client_credentials';
+}
+
+/**
+ * Drop the cached access token so the next request fetches a new one
+ */
+export function invalidateAccessToken(auth) {
+  tokenCache.delete(tokenCacheKey(auth));
+}
+
+async function getCachedSecrets(sourceId) {
+  const cached = secretsCache.get(sourceId);
+  if (cached && Date.now() - cached.loadedAt < SECRETS_TTL_MS) {
+    return cached.secrets;
+  }
+
+  const secrets = await loadSourceSecrets(createSupabaseClient(), sourceId);
+  secretsCache.set(sourceId, { secrets, loadedAt: Date.now() });
+  return secrets;
+}
+
+/**
+ * The secret fields for the auth type, from the encrypted store or, for
+ * sources not migrated yet, from auth_details
+ */
+async function getSecrets(auth) {
+  const stored = auth.sourceId ? await getCachedSecrets(auth.sourceId) : {};
+  const secrets = {};
+
+  for (const field of AUTH_SECRET_FIELDS[auth.type]) {
+    if (stored[field]) {
+      secrets[field] = stored[field];
+    } else if (auth.settings[field]) {
+      secrets[field] = auth.settings[field];
+      const warningKey = `${auth.sourceId}|${field}`;
+      if (!legacyWarnings.has(warningKey)) {
+        legacyWarnings.add(warningKey);
+        console.warn(`[SourceAuth] ⚠️ Source ${auth.sourceId || '(unsaved)'} keeps its ${field} in plain auth_details; run scripts/encrypt-source-credentials.mjs`);
+      }
+    } else {
+      throw new Error(`Missing ${field} credential for ${auth.type} auth`);
+    }
+  }
+
+  return secrets;
+}
+
+function basicCredentials(username, password) {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+function tokenCacheKey(auth) {
+  const { tokenUrl, clientId, scope, audience } = auth.settings;
+  return [auth.sourceId, tokenUrl, clientId, scope, audience].join('|');
+}
+
+/**
+ * Request an access token with the client-credentials grant (RFC 6749 4.4)
+ */
+async function requestAccessToken(settings, clientSecret) {
+  const { tokenUrl, clientId, scope, audience, clientAuth } = settings;
+  if (!tokenUrl || !clientId) {
+    throw new Error('OAuth2 client credentials auth requires tokenUrl and clientId');
+  }
+
+  const body = new URLSearchParams({ grant_type: 'client_credentials' });
+  if (scope) body.set('scope', scope);
+  if (audience) body.set('audience', audience);
+
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  };
+
+  if (clientAuth === 'basic') {
+    // Client id and secret are form-encoded before base64 (RFC 6749 2.3.1)
+    headers.Authorization = basicCredentials(encodeURIComponent(clientId), encodeURIComponent(clientSecret));
+  } else {
+    body.set('client_id', clientId);
+    body.set('client_secret', clientSecret);
+  }
+
+  const response = await fetch(tokenUrl, { method: 'POST', headers, body: body.toString() });
+  if (!response.ok) {
+    throw new Error(`OAuth2 token request failed: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  if (!data.access_token) {
+    throw new Error('OAuth2 token response has no access_token');
+  }
+
+  const lifetime = Number(data.expires_in) || DEFAULT_TOKEN_LIFETIME_SECONDS;
+  return {
+    accessToken: data.access_token,
+    expiresAt: Date.now() + lifetime * 1000
+  };
+}
+
+async function getAccessToken(auth, clientSecret) {
+  const key = tokenCacheKey(auth);
+  const cached = tokenCache.get(key);
+
+  if (cached?.pending) {
+    return cached.pending;
+  }
+  if (cached && cached.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+    return cached.accessToken;
+  }
+
+  const pending = requestAccessToken(auth.settings, clientSecret)
+    .then((token) => {
+      tokenCache.set(key, token);
+      return token.accessToken;
+    })
+    .catch((error) => {
+      tokenCache.delete(key);
+      throw error;
+    });
+
+  tokenCache.set(key, { pending });
+  return pending;
+}
+
+/**
+ * Signature headers for an HMAC-signed request
+ * @param {{ method: string, url: string, body: string|undefined }} request
+ * @param {Object} settings - hmac auth settings
+ * @param {string} secret - Signing secret
+ * @param {number} [timestamp] - Unix seconds; defaults to now
+ * @returns {Object} - Headers to add
+ */
+export function signRequest({ method, url, body }, settings, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  // Blank form fields fall back to the defaults too
+  const algorithm = settings.algorithm || 'sha256';
+  const encoding = settings.encoding || 'hex';
+
+  if (!HMAC_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported HMAC algorithm: ${algorithm}`);
+  }
+  if (!HMAC_ENCODINGS.includes(encoding)) {
+    throw new Error(`Unsupported HMAC signature encoding: ${encoding}`);
+  }
+
+  const { pathname, search } = new URL(url);
+  const bodyHash = createHash('sha256').update(body || '').digest('hex');
+  const stringToSign = [(method || 'GET').toUpperCase(), pathname + search, String(timestamp), bodyHash].join('\n');
+
+  const headers = {
+    [settings.signatureHeader || 'X-Signature']: createHmac(algorithm, secret).update(stringToSign).digest(encoding),
+    [settings.timestampHeader || 'X-Timestamp']: String(timestamp)
+  };
+  if (settings.keyId) {
+    headers[settings.keyIdHeader || 'X-Key-Id'] = settings.keyId;
+  }
+  return headers;
+}
+
+/**
+ * Add the source's credentials to a request. The inputs are not modified.
+ * @param {string} url - Request URL
+ * @param {Object} fetchOptions - Options for fetch
+ * @param {Object|null} auth - From getSourceAuth()
+ * @returns {Promise<{ url: string, fetchOptions: Object }>}
+ */
+export async function authorizeRequest(url, fetchOptions = {}, auth = null) {
+  if (!auth) {
+    return { url, fetchOptions };
+  }
+
+  const secrets = await getSecrets(auth);
+  const { settings } = auth;
+  const headers = { ...fetchOptions.headers };
+  let requestUrl = url;
+
+  switch (auth.type) {
+    case 'apikey': {
+      if (!settings.key) {
+        throw new Error('API key auth requires a key name');
+      }
+      if (settings.in === 'query') {
+        const withKey = new URL(url);
+        withKey.searchParams.set(settings.key, secrets.value);
+        requestUrl = withKey.toString();
+      } else {
+        headers[settings.key] = secrets.value;
+      }
+      break;
+    }
+    case 'bearer': {
+      const scheme = settings.scheme || 'Bearer';
+      headers[settings.header || 'Authorization'] = scheme === 'none' ? secrets.token : `${scheme} ${secrets.token}`;
+      break;
+    }
+    case 'basic':
+      headers.Authorization = basicCredentials(settings.username || '', secrets.password);
+      break;
+    case 'oauth2_client_credentials':
+      headers.Authorization = `Bearer ${await getAccessToken(auth, secrets.clientSecret)}`;
+      break;
+    case 'hmac':
+      Object.assign(headers, signRequest({ method: fetchOptions.method, url, body: fetchOptions.body }, settings, secrets.secret));
+      break;
+  }
+
+  return { url: requestUrl, fetchOptions: { ...fetchOptions, headers } };
+}
@@ -0,0 +1,398 @@
+/**
+ * Grants.gov Adapter
+ *
+ * Searches Grants.gov (search2), fetches each hit's record (fetchOpportunity)
+ * and maps it to the extraction schema without an LLM pass.
+ *
+ * Search parameters come from the source's request_body configuration:
+ * keyword, oppNum, aln, agencies, eligibilities, fundingCategories,
+ * fundingInstruments and oppStatuses. List values may be arrays or
+ * pipe-separated strings ('forecasted|posted'); oppStatuses defaults to
+ * forecasted and posted. Page size and page count come from pagination_config.
+ *
+ * Eligible project types and activities come from keywords in the title and
+ * description (taxonomyKeywords.js). A record that names project types but
+ * no activity gets the activities its funding categories imply.
+ */
+
+import { fetchJsonWithRetry } from './http.js';
+import { paginateSource } from './pagination.js';
+import { PROJECT_TYPE_KEYWORDS, ACTIVITY_KEYWORDS, matchTaxonomyKeywords } from './taxonomyKeywords.js';
+
+export const GRANTS_GOV_SEARCH_URL = 'https://api.grants.gov/v1/api/search2';
+export const GRANTS_GOV_DETAIL_URL = 'https://api.grants.gov/v1/api/fetchOpportunity';
+const GRANTS_GOV_OPPORTUNITY_URL = 'https://www.grants.gov/search-results-detail/';
+
+const SEARCH_PARAMS = [
+  'keyword',
+  'oppNum',
+  'aln',
+  'agencies',
+  'eligibilities',
+  'fundingCategories',
+  'fundingInstruments',
+  'oppStatuses'
+];
+
+const DEFAULT_OPP_STATUSES = 'forecasted|posted';
+const DEFAULT_PAGINATION = { enabled: true, pageSize: 25, maxPages: 4 };
+
+// Grants.gov eligibility codes → TAXONOMIES.ELIGIBLE_APPLICANTS
+const APPLICANT_TYPES = {
+  '00': ['State Governments'],
+  '01': ['County Government'],
+  '02': ['City Government', 'Township Government'],
+  '04': ['Special Districts'],
+  '05': ['K-12 School Districts'],
+  '06': ['Institutions of Higher Education'],
+  '07': ['Tribal Governments'],
+  '08': ['Public Housing Authorities'],
+  '11': ['Other Nonprofits'],
+  '12': ['Nonprofit Organizations 501(c)(3)'],
+  '13': ['Other Nonprofits'],
+  '20': ['Institutions of Higher Education'],
+  '21': ['Individuals'],
+  '22': ['For-Profit Businesses', 'Large Enterprises'],
+  '23': ['Small/Medium Businesses (SMB)']
+};
+// 99 is "Unrestricted": every applicant type above
+const UNRESTRICTED_APPLICANT_TYPE = '99';
+
+// Grants.gov funding activity categories → TAXONOMIES.CATEGORIES
+const CATEGORIES = {
+  ACA: 'Healthcare',
+  AG: 'Agriculture',
+  AR: 'Arts & Culture',
+  BC: 'Economic Development',
+  CD: 'Community Development',
+  DPR: 'Disaster Recovery',
+  ED: 'Education',
+  ELT: 'Workforce Development',
+  EN: 'Energy',
+  ENV: 'Environment',
+  FN: 'Food Systems',
+  HL: 'Healthcare',
+  HO: 'Housing',
+  HU: 'Arts & Culture',
+  IIJ: 'Infrastructure',
+  ISS: 'Human Services',
+  LJL: 'Public Safety',
+  NR: 'Conservation',
+  RD: 'Economic Development',
+  ST: 'Science & Technology',
+  T: 'Transportation'
+};
+
+// Grants.gov funding activity categories → TAXONOMIES.ELIGIBLE_ACTIVITIES,
+// for records whose text names project types but no activity
+const CATEGORY_ACTIVITIES = {
+  CD: ['New Construction', 'Renovation'],
+  DPR: ['Repair', 'New Construction'],
+  EN: ['Installation'],
+  HO: ['New Construction', 'Renovation'],
+  IIJ: ['New Construction', 'Upgrade'],
+  T: ['New Construction', 'Repair']
+};
+
+// Grants.gov funding instruments → TAXONOMIES.FUNDING_TYPES
+const FUNDING_TYPES = {
+  G: 'Grant',
+  CA: 'Cooperative Agreement',
+  PC: 'Contract'
+};
+
+const STATUSES = {
+  posted: 'open',
+  forecasted: 'upcoming',
+  closed: 'closed',
+  archived: 'closed'
+};
+
+// opportunityCategory.category → awardProcess
+const AWARD_PROCESSES = {
+  D: 'competitive',
+  M: 'formula-based'
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * search2 request body for one page
+ */
+export function buildSearchBody(instructions, page, pageSize) {
+  const config = instructions.requestBody || {};
+  const body = {};
+
+  for (const param of SEARCH_PARAMS) {
+    const value = config[param];
+    const text = Array.isArray(value)
+      ? value.map(v => String(v).trim()).filter(Boolean).join('|')
+      : typeof value === 'string' ? value.trim() : '';
+    if (text) body[param] = text;
+  }
+
+  body.oppStatuses = body.oppStatuses || DEFAULT_OPP_STATUSES;
+  body.rows = pageSize;
+  body.startRecordNum = (instructions.paginationConfig?.startOffset || 0) + (page - 1) * pageSize;
+
+  return body;
+}
+
+/**
+ * POST to a Grants.gov endpoint. The API answers 200 with a non-zero
+ * errorcode when the request is rejected.
+ */
+async function postGrantsGov(url, body, context) {
+  const response = await fetchJsonWithRetry(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify(body)
+  }, context);
+
+  if (response?.errorcode && response.errorcode !== 0) {
+    throw new Error(`Grants.gov error ${response.errorcode}: ${response.msg || 'request rejected'}`);
+  }
+  return response;
+}
+
+function searchUrl(instructions) {
+  return instructions.apiEndpoint?.includes('search2') ? instructions.apiEndpoint : GRANTS_GOV_SEARCH_URL;
+}
+
+async function fetchPage(instructions, { page, pageSize }, context) {
+  return postGrantsGov(searchUrl(instructions), buildSearchBody(instructions, page, pageSize), context);
+}
+
+function normalize(response) {
+  return {
+    items: response?.data?.oppHits || [],
+    totalFound: response?.data?.hitCount ?? null
+  };
+}
+
+/**
+ * Pages with pagination_config when it is enabled, otherwise 4 pages of 25
+ */
+function paginate(instructions, context) {
+  const paginationConfig = instructions.paginationConfig?.enabled
+    ? instructions.paginationConfig
+    : DEFAULT_PAGINATION;
+  return paginateSource(grantsGovAdapter, { ...instructions, paginationConfig }, context);
+}
+
+async function fetchDetail(item, instructions, context) {
+  const url = instructions.detailConfig?.enabled && instructions.detailConfig.endpoint
+    ? instructions.detailConfig.endpoint
+    : GRANTS_GOV_DETAIL_URL;
+  const opportunityId = Number(item.id);
+
+  // Detail calls are not retried; a failed item is mapped from its search hit
+  const rawData = await postGrantsGov(url, { opportunityId }, { ...context, maxRetries: 1 });
+
+  return {
+    extractedData: { detail: rawData.data || null },
+    rawData,
+    requestDetails: { url, method: 'POST', opportunityId }
+  };
+}
+
+/**
+ * Parse the date formats Grants.gov returns to YYYY-MM-DD (or a full ISO
+ * timestamp with withTime):
+ * - '2026-03-20-00-00-00' (…DateStr fields)
+ * - '03/20/2026' (search hits)
+ * - 'Mar 20, 2026 12:00:00 AM EDT' (record dates; the zone is ignored)
+ */
+export function parseGrantsGovDate(value, { withTime = false } = {}) {
+  if (!value || typeof value !== 'string') return null;
+  const text = value.trim();
+  let parts = null;
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:-(\d{2})-(\d{2})-(\d{2}))?$/);
+  if (match) {
+    parts = [match[1], match[2], match[3], match[4] || '00', match[5] || '00', match[6] || '00'];
+  }
+
+  match = !parts && text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (match) {
+    parts = [match[3], match[1], match[2], '00', '00', '00'];
+  }
+
+  match = !parts && text.match(/^([A-Z][a-z]{2}) (\d{1,2}), (\d{4})(?: (\d{1,2}):(\d{2}):(\d{2}) (AM|PM))?/);
+  if (match && MONTHS.includes(match[1])) {
+    let hour = Number(match[4] || 0) % 12;
+    if (match[7] === 'PM') hour += 12;
+    parts = [
+      match[3],
+      String(MONTHS.indexOf(match[1]) + 1).padStart(2, '0'),
+      match[2].padStart(2, '0'),
+      String(hour).padStart(2, '0'),
+      match[5] || '00',
+      match[6] || '00'
+    ];
+  }
+
+  if (!parts) return null;
+  const [year, month, day, hour, minute, second] = parts;
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+
+  return withTime
+    ? `${year}-${month}-${day}T${hour}:${minute}:${second}Z`
+    : `${year}-${month}-${day}`;
+}
+
+/**
+ * Dollar amounts arrive as strings; Grants.gov uses 0 and 'none' for "not specified"
+ */
+function parseAmount(value) {
+  if (value === null || value === undefined) return null;
+  const amount = Number(String(value).replace(/[$,]/g, ''));
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+function stripHtml(html) {
+  if (!html) return '';
+  return String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function mapApplicantTypes(applicantTypes) {
+  const codes = (applicantTypes || []).map(type => String(type.id));
+  const mapped = codes.includes(UNRESTRICTED_APPLICANT_TYPE)
+    ? Object.values(APPLICANT_TYPES).flat()
+    : codes.flatMap(code => APPLICANT_TYPES[code] || []);
+  return [...new Set(mapped)];
+}
+
+function mapCategories(fundingActivityCategories) {
+  const mapped = (fundingActivityCategories || [])
+    .map(category => CATEGORIES[category.id])
+    .filter(Boolean);
+  return [...new Set(mapped)];
+}
+
+function mapProjectTypesAndActivities(text, fundingActivityCategories) {
+  const eligibleProjectTypes = matchTaxonomyKeywords(text, PROJECT_TYPE_KEYWORDS);
+  let eligibleActivities = matchTaxonomyKeywords(text, ACTIVITY_KEYWORDS);
+
+  if (eligibleProjectTypes.length > 0 && eligibleActivities.length === 0) {
+    const implied = (fundingActivityCategories || []).flatMap(category => CATEGORY_ACTIVITIES[category.id] || []);
+    eligibleActivities = [...new Set(implied)];
+  }
+
+  return { eligibleProjectTypes, eligibleActivities };
+}
+
+/**
+ * Map a search hit, with its fetchOpportunity record under `detail` when the
+ * detail call succeeded, to the extraction schema
+ */
+function mapOpportunity(item) {
+  const detail = item.detail || null;
+  // Forecasts carry their dates and amounts on `forecast` instead of `synopsis`
+  const record = detail?.synopsis || detail?.forecast || {};
+  const isForecast = !detail?.synopsis && Boolean(detail?.forecast);
+
+  const id = String(detail?.id ?? item.id);
+  const title = detail?.opportunityTitle || item.title;
+  if (!title) {
+    throw new Error(`Grants.gov opportunity ${id} has no title`);
+  }
+
+  const descriptionText = stripHtml(record.synopsisDesc || record.forecastDesc);
+  const eligibilityText = stripHtml(record.applicantEligibilityDesc);
+  const description = [
+    descriptionText,
+    eligibilityText && `Eligibility: ${eligibilityText}`
+  ].filter(Boolean).join('\n\n') || title;
+
+  const { eligibleProjectTypes, eligibleActivities } = mapProjectTypesAndActivities(
+    [title, descriptionText, record.fundingActivityCategoryDesc].filter(Boolean).join('\n'),
+    record.fundingActivityCategories
+  );
+
+  // A forecast's search hit dates are when the forecast was posted, so only
+  // its estimated dates are used
+  const hitDates = item.oppStatus !== 'forecasted';
+  const openDate = isForecast
+    ? parseGrantsGovDate(record.estSynopsisPostingDateStr)
+    : parseGrantsGovDate(record.postingDateStr)
+      || parseGrantsGovDate(record.postingDate)
+      || (hitDates ? parseGrantsGovDate(item.openDate) : null);
+  const closeDate = isForecast
+    ? parseGrantsGovDate(record.estApplicationResponseDateStr)
+    : parseGrantsGovDate(record.responseDateStr)
+      || parseGrantsGovDate(record.responseDate)
+      || (hitDates ? parseGrantsGovDate(item.closeDate) : null);
+
+  const fundingTypes = (record.fundingInstruments || [])
+    .map(instrument => FUNDING_TYPES[instrument.id])
+    .filter(Boolean);
+
+  const opportunityNumber = detail?.opportunityNumber || item.number;
+  const assistanceListings = (detail?.cfdas || []).map(cfda => cfda.cfdaNumber).filter(Boolean);
+  const numberOfAwards = parseAmount(record.numberOfAwards);
+  const notes = [
+    opportunityNumber && `Opportunity number: ${opportunityNumber}`,
+    assistanceListings.length > 0 && `Assistance listings: ${assistanceListings.join(', ')}`,
+    numberOfAwards && `Expected number of awards: ${numberOfAwards}`
+  ].filter(Boolean).join('\n') || null;
+
+  return {
+    id,
+    title,
+    description,
+    fundingType: fundingTypes[0] || null,
+    incentiveStructure: null,
+    funding_source: {
+      name: record.agencyDetails?.agencyName || record.agencyName || item.agency || item.agencyName || 'Grants.gov',
+      type: 'Federal',
+      website: null,
+      contact_email: record.agencyContactEmail || null,
+      contact_phone: record.agencyContactPhone || null,
+      description: null
+    },
+    totalFundingAvailable: parseAmount(record.estimatedFunding),
+    minimumAward: parseAmount(record.awardFloor),
+    maximumAward: parseAmount(record.awardCeiling),
+    notes,
+    openDate,
+    closeDate,
+    eligibleApplicants: mapApplicantTypes(record.applicantTypes),
+    eligibleProjectTypes,
+    eligibleActivities,
+    eligibleLocations: [],
+    url: `${GRANTS_GOV_OPPORTUNITY_URL}${id}`,
+    matchingRequired: record.costSharing === true || record.costSharing === 'Y',
+    matchingPercentage: null,
+    categories: mapCategories(record.fundingActivityCategories),
+    tags: [],
+    status: STATUSES[item.oppStatus] || (isForecast ? 'upcoming' : 'open'),
+    isNational: true,
+    disbursementType: null,
+    awardProcess: AWARD_PROCESSES[detail?.opportunityCategory?.category] || null,
+    api_updated_at: parseGrantsGovDate(record.lastUpdatedDate, { withTime: true })
+  };
+}
+
+export const grantsGovAdapter = {
+  key: 'grants_gov',
+  label: 'Grants.gov',
+  description: 'Grants.gov search2 + fetchOpportunity, mapped without LLM extraction',
+  fetchPage,
+  normalize,
+  paginate,
+  fetchDetail,
+  mapOpportunity
+};
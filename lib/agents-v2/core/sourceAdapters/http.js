@@ -0,0 +1,241 @@
+/**
+ * Source Adapter HTTP Helpers
+ *
+ * Request building, pacing and retrying shared by the built-in adapters.
+ * Adapters for APIs that follow the configured-endpoint model (apiEndpoint,
+ * queryParameters, paginationConfig, detailConfig) can reuse these instead of
+ * calling fetch.
+ */
+
+import { isTextResponseFormat } from '../dataExtractionAgent/utils/responseFormats.js';
+import { authorizeRequest, usesAccessToken, invalidateAccessToken } from './auth.js';
+import { resolveRateLimit, acquireHostSlot, pauseHost, parseRetryAfter } from './rateLimit.js';
+
+const DEFAULT_MAX_RETRIES = 3;
+
+// Retries of throttled (429) responses, on top of maxRetries
+const MAX_THROTTLE_RETRIES = 3;
+
+/**
+ * Write pagination parameters for a page into a params or body object
+ */
+function applyPagination(target, paginationConfig, page, pageSize) {
+  if (paginationConfig.type === 'offset') {
+    // Support startOffset to allow starting from a specific record number
+    const baseOffset = paginationConfig.startOffset || 0;
+    const offset = baseOffset + (page - 1) * pageSize;
+    if (paginationConfig.limitParam) {
+      target[paginationConfig.limitParam] = pageSize;
+    }
+    if (paginationConfig.offsetParam) {
+      target[paginationConfig.offsetParam] = offset;
+    }
+  } else if (paginationConfig.type === 'page') {
+    if (paginationConfig.pageParam) {
+      target[paginationConfig.pageParam] = page;
+    }
+    if (paginationConfig.limitParam) {
+      target[paginationConfig.limitParam] = pageSize;
+    }
+  }
+}
+
+/**
+ * Build the URL and fetch options for one page of the list endpoint
+ * @param {Object} instructions - Processing instructions from SourceOrchestrator
+ * @param {number} page - 1-based page number
+ * @param {number|null} pageSize - Items to request; defaults to paginationConfig.pageSize
+ * @returns {{ url: string, fetchOptions: Object }}
+ */
+export function buildListRequest(instructions, page = 1, pageSize = null) {
+  const {
+    apiEndpoint,
+    requestConfig = {},
+    queryParameters,
+    requestBody,
+    paginationConfig
+  } = instructions;
+
+  const params = { ...queryParameters };
+  const body = requestBody ? { ...requestBody } : null;
+
+  if (paginationConfig?.enabled) {
+    const effectivePageSize = pageSize || paginationConfig.pageSize || 10;
+    const target = paginationConfig.inBody ? body : params;
+    if (target) {
+      applyPagination(target, paginationConfig, page, effectivePageSize);
+    }
+  }
+
+  const url = new URL(apiEndpoint);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) {
+      url.searchParams.append(key, value);
+    }
+  });
+
+  const fetchOptions = {
+    method: requestConfig.method || 'GET',
+    headers: { ...requestConfig.headers || {} }
+  };
+
+  if (body && (requestConfig.method === 'POST' || requestConfig.method === 'PUT')) {
+    fetchOptions.headers['Content-Type'] = 'application/json';
+    fetchOptions.body = JSON.stringify(body);
+  }
+
+  return { url: url.toString(), fetchOptions };
+}
+
+/**
+ * Build the URL and fetch options for one opportunity's detail request.
+ * The ID goes in the body for POST, in place of {id} in the endpoint, or in
+ * the idParam query parameter.
+ * @param {string|number} opportunityId - Value of detailConfig.idField on the list item
+ * @param {Object} detailConfig - Detail configuration from SourceOrchestrator
+ * @returns {{ url: string, fetchOptions: Object }}
+ */
+export function buildDetailRequest(opportunityId, detailConfig) {
+  const idParam = detailConfig.idParam || 'id';
+  const hasPathId = detailConfig.endpoint.includes('{id}');
+
+  const url = new URL(hasPathId
+    ? detailConfig.endpoint.replace('{id}', encodeURIComponent(opportunityId))
+    : detailConfig.endpoint);
+
+  if (detailConfig.method !== 'POST' && !hasPathId) {
+    url.searchParams.append(idParam, opportunityId);
+  }
+
+  const fetchOptions = {
+    method: detailConfig.method || 'GET',
+    headers: { ...detailConfig.headers || {} }
+  };
+
+  if (detailConfig.method === 'POST') {
+    fetchOptions.headers['Content-Type'] = 'application/json';
+    fetchOptions.body = JSON.stringify({ [idParam]: opportunityId });
+  }
+
+  return { url: url.toString(), fetchOptions };
+}
+
+/**
+ * Fetch a JSON response, retrying with exponential backoff
+ * @param {string} url - Request URL
+ * @param {Object} fetchOptions - Options passed to fetch
+ * @param {Object} context - Adapter context; counts calls in context.metrics,
+ *   authorizes requests with context.auth (see auth.js) and paces them per
+ *   host with context.rateLimit (see rateLimit.js)
+ * @param {number} [context.maxRetries=3] - Attempts before giving up
+ * @returns {Promise<Object>} - Parsed response body
+ */
+export function fetchJsonWithRetry(url, fetchOptions, context = {}) {
+  return fetchWithRetry(url, fetchOptions, context, response => response.json());
+}
+
+/**
+ * Fetch a response in the format responseConfig declares: parsed JSON, or the
+ * text of an XML, CSV or RSS/Atom body for extractDataFromResponse() to parse
+ * @param {Object} [responseConfig] - Response configuration with format
+ * @returns {Promise<Object|string>} - Response body
+ */
+export function fetchResponseWithRetry(url, fetchOptions, context = {}, responseConfig = null) {
+  return isTextResponseFormat(responseConfig)
+    ? fetchWithRetry(url, fetchOptions, context, response => response.text())
+    : fetchJsonWithRetry(url, fetchOptions, context);
+}
+
+/**
+ * Error for a throttled response (429, or 503 with Retry-After). Pauses the
+ * host for Retry-After, or an exponential backoff without one; a Retry-After
+ * beyond maxRetryAfterSeconds fails the request instead of stalling the run.
+ */
+function throttledError(url, response, throttleRetries, limits, metrics) {
+  metrics.throttledResponses = (metrics.throttledResponses || 0) + 1;
+
+  const error = new Error(`API call failed: ${response.status} ${response.statusText}`);
+  const retryAfterMs = parseRetryAfter(response.headers?.get('retry-after'))
+    ?? Math.pow(2, throttleRetries) * 1000;
+
+  if (retryAfterMs > limits.maxRetryAfterSeconds * 1000) {
+    error.message += ` (Retry-After ${Math.ceil(retryAfterMs / 1000)}s exceeds the ${limits.maxRetryAfterSeconds}s limit)`;
+    error.retryable = false;
+  } else {
+    pauseHost(url, retryAfterMs, limits);
+    error.retryAfterMs = retryAfterMs;
+  }
+  return error;
+}
+
+function isThrottled(response) {
+  return response.status === 429
+    || (response.status === 503 && Boolean(response.headers?.get('retry-after')));
+}
+
+async function fetchWithRetry(url, fetchOptions, context, readBody) {
+  const metrics = context.metrics || { apiCalls: 0, retryAttempts: 0, errors: [] };
+  const maxRetries = context.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const limits = context.rateLimit || resolveRateLimit();
+  let attempt = 1;
+  let throttleRetries = 0;
+
+  for (;;) {
+    try {
+      await acquireHostSlot(url, limits, metrics);
+      metrics.apiCalls++;
+
+      const request = await authorizeRequest(url, fetchOptions, context.auth);
+      let response = await fetch(request.url, request.fetchOptions);
+
+      if (response.status === 401 && usesAccessToken(context.auth)) {
+        // The cached token was revoked or expired early; resend with a new one
+        invalidateAccessToken(context.auth);
+        const retry = await authorizeRequest(url, fetchOptions, context.auth);
+        await acquireHostSlot(url, limits, metrics);
+        metrics.apiCalls++;
+        response = await fetch(retry.url, retry.fetchOptions);
+      }
+
+      if (isThrottled(response)) {
+        throw throttledError(url, response, throttleRetries, limits, metrics);
+      }
+
+      if (!response.ok) {
+        throw new Error(`API call failed: ${response.status} ${response.statusText}`);
+      }
+
+      return await readBody(response);
+
+    } catch (error) {
+      // Throttled requests are retried on their own budget once the host's
+      // pause is over; acquireHostSlot() does the waiting
+      if (error.retryAfterMs !== undefined && throttleRetries < MAX_THROTTLE_RETRIES) {
+        throttleRetries++;
+        metrics.retryAttempts++;
+        console.log(`[SourceAdapters] ⏳ Throttled by ${new URL(url).host}, retrying in ${error.retryAfterMs}ms`);
+        continue;
+      }
+
+      console.error(`[SourceAdapters] ❌ API call attempt ${attempt} failed:`, error.message);
+
+      if (attempt >= maxRetries || error.retryable === false) {
+        metrics.errors.push({
+          type: 'api_call_error',
+          attempts: attempt + throttleRetries,
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+        throw error;
+      }
+
+      // Wait before retry (exponential backoff)
+      const delay = Math.pow(2, attempt - 1) * 1000;
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      attempt++;
+      metrics.retryAttempts++;
+      console.log(`[SourceAdapters] 🔄 Retry attempt ${attempt}/${maxRetries}`);
+    }
+  }
+}
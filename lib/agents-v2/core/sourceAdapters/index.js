@@ -0,0 +1,262 @@
+/**
+ * Source Adapters
+ *
+ * Registry of the adapters that fetch opportunity data from an API source,
+ * keyed on api_sources.handler_type. SourceOrchestrator resolves the adapter
+ * into processingInstructions.workflow; ApiCaller and DataExtractionAgent look
+ * it up here and run it with fetchSourceData().
+ *
+ * Adapter interface:
+ * - key, label, description: identity, listed on the admin source form
+ * - fetchPage(instructions, { page, pageSize }, context): raw response for one page
+ * - normalize(response, instructions): { items, totalFound } from a page response
+ * - paginate(instructions, context) (optional): { data, rawResponse, totalFound,
+ *   totalRetrieved }; defaults to paginateSource(), which drives fetchPage and normalize
+ * - fetchDetail(item, instructions, context) (optional): { extractedData, rawData,
+ *   requestDetails } for one list item, merged into the item
+ * - usesDetailCalls(instructions) (optional): whether to call fetchDetail for
+ *   these instructions; defaults to true when fetchDetail exists
+ * - mapOpportunity(item, instructions) (optional): the item in the extraction
+ *   schema (schemas.dataExtraction). Adapters with a fixed response format map
+ *   deterministically and skip the LLM extraction pass; see mapSourceOpportunities()
+ *
+ * context is { sourceId, auth, rateLimit, metrics: { apiCalls, retryAttempts,
+ * errors, rateLimitWaits, rateLimitWaitMs, throttledResponses } }. auth (see
+ * auth.js) and the per-host rate limit (see rateLimit.js) are applied by the
+ * HTTP helpers in http.js; adapters that call fetch directly must pass their
+ * requests through authorizeRequest() and acquireHostSlot().
+ *
+ * To add an adapter, create a module in this directory and register it below.
+ */
+
+import { storeRawResponse } from '../dataExtractionAgent/storage/index.js';
+import { paginateSource } from './pagination.js';
+import { getSourceAuth } from './auth.js';
+import { resolveRateLimit, mapWithConcurrency } from './rateLimit.js';
+import { singleApiAdapter } from './singleApi.js';
+import { twoStepApiAdapter } from './twoStepApi.js';
+import { grantsGovAdapter } from './grantsGov.js';
+
+const adapters = new Map();
+
+/**
+ * Add an adapter to the registry, replacing any adapter with the same key
+ * @param {Object} adapter - Adapter implementing the interface above
+ * @returns {Object} - The registered adapter
+ */
+export function registerSourceAdapter(adapter) {
+  if (!adapter?.key || typeof adapter.key !== 'string') {
+    throw new Error('Source adapter requires a key');
+  }
+  if (typeof adapter.paginate !== 'function'
+    && (typeof adapter.fetchPage !== 'function' || typeof adapter.normalize !== 'function')) {
+    throw new Error(`Source adapter ${adapter.key} must implement paginate or fetchPage and normalize`);
+  }
+
+  adapters.set(adapter.key, adapter);
+  return adapter;
+}
+
+/**
+ * Look up a registered adapter
+ * @param {string} key - Adapter key (handler_type / processingInstructions.workflow)
+ * @returns {Object} - The adapter
+ */
+export function getSourceAdapter(key) {
+  const adapter = adapters.get(key);
+  if (!adapter) {
+    throw new Error(`Unknown source adapter: ${key}`);
+  }
+  return adapter;
+}
+
+/**
+ * Registered adapters for the admin source form
+ * @returns {Array<Object>} - [{ key, label, description }]
+ */
+export function listSourceAdapters() {
+  return [...adapters.values()].map(({ key, label, description }) => ({
+    key,
+    label: label || key,
+    description: description || ''
+  }));
+}
+
+/**
+ * The adapter for a source. handler_type names it; sources still carrying a
+ * legacy handler_type ('standard', 'document', 'statePortal') or none use the
+ * two-step adapter when detail calls are configured and the single API one
+ * otherwise.
+ * @param {Object} source - api_sources row with configurations
+ * @returns {Object} - The adapter
+ */
+export function resolveSourceAdapter(source) {
+  if (source?.handler_type && adapters.has(source.handler_type)) {
+    return adapters.get(source.handler_type);
+  }
+  return source?.configurations?.detail_config?.enabled
+    ? getSourceAdapter(twoStepApiAdapter.key)
+    : getSourceAdapter(singleApiAdapter.key);
+}
+
+/**
+ * Whether running the adapter with these instructions makes detail calls
+ */
+export function usesDetailCalls(adapter, instructions) {
+  if (typeof adapter.fetchDetail !== 'function') return false;
+  return adapter.usesDetailCalls ? Boolean(adapter.usesDetailCalls(instructions)) : true;
+}
+
+/**
+ * Fetch detail records for list items, at most rateLimit.maxConcurrentDetails
+ * at a time, storing each raw detail response. An item whose detail call
+ * fails keeps its list data.
+ */
+async function fetchDetails(adapter, items, instructions, context) {
+  console.log(`[SourceAdapters] 🔗 Making detail calls for ${items.length} opportunities`);
+
+  let detailCallsSuccessful = 0;
+  let detailCallsFailed = 0;
+
+  const data = await mapWithConcurrency(items, context.rateLimit.maxConcurrentDetails, async (item) => {
+    try {
+      const startTime = Date.now();
+      const { extractedData, rawData, requestDetails } = await adapter.fetchDetail(item, instructions, context);
+      const executionTime = Date.now() - startTime;
+
+      let detailResponseId = null;
+      if (context.sourceId && rawData) {
+        try {
+          detailResponseId = await storeRawResponse(context.sourceId, rawData, requestDetails, {
+            api_endpoint: requestDetails?.url || instructions.detailConfig?.endpoint,
+            call_type: 'detail',
+            execution_time_ms: executionTime,
+            opportunity_count: 1
+          });
+        } catch (storageError) {
+          console.warn(`[SourceAdapters] ⚠️ Failed to store detail response: ${storageError.message}`);
+        }
+      }
+
+      detailCallsSuccessful++;
+      return { ...item, ...extractedData, detailResponseId };
+
+    } catch (error) {
+      console.error(`[SourceAdapters] ❌ Detail call failed for opportunity:`, error.message);
+      detailCallsFailed++;
+      context.metrics.errors.push({
+        type: 'detail_call_error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+      return item;
+    }
+  });
+
+  console.log(`[SourceAdapters] ✅ Detail calls complete: ${detailCallsSuccessful}/${items.length} successful`);
+
+  return { data, detailMetrics: { detailCallsSuccessful, detailCallsFailed } };
+}
+
+/**
+ * Time spent waiting on per-host rate limits, for run metrics
+ * @param {Object} metrics - Adapter context metrics
+ * @returns {{ waits: number, waitTime: number, throttledResponses: number }}
+ */
+export function getRateLimitMetrics(metrics) {
+  return {
+    waits: metrics.rateLimitWaits || 0,
+    waitTime: metrics.rateLimitWaitMs || 0,
+    throttledResponses: metrics.throttledResponses || 0
+  };
+}
+
+/**
+ * Fetch a source's opportunities with an adapter: the list pages, then the
+ * detail records if the adapter makes detail calls.
+ * @param {Object} adapter - Registered adapter
+ * @param {Object} instructions - Processing instructions from SourceOrchestrator
+ * @param {Object} context - { sourceId, metrics, auth, rateLimit }; metrics is
+ *   updated in place. auth defaults to the instructions' authMethod and
+ *   authDetails, rateLimit to their rateLimitConfig.
+ * @returns {Promise<Object>} - { data, rawResponse, totalFound, totalRetrieved,
+ *   apiCallCount, detailMetrics, rateLimitMetrics }. rawResponse is the list
+ *   data, before details.
+ */
+export async function fetchSourceData(adapter, instructions, context = {}) {
+  const fullContext = {
+    ...context,
+    auth: context.auth !== undefined ? context.auth : getSourceAuth(instructions, context.sourceId),
+    rateLimit: context.rateLimit || resolveRateLimit(instructions.rateLimitConfig),
+    metrics: context.metrics || { apiCalls: 0, retryAttempts: 0, errors: [] }
+  };
+
+  const list = adapter.paginate
+    ? await adapter.paginate(instructions, fullContext)
+    : await paginateSource(adapter, instructions, fullContext);
+
+  let data = list.data;
+  let detailMetrics = null;
+
+  if (usesDetailCalls(adapter, instructions) && list.data.length > 0) {
+    ({ data, detailMetrics } = await fetchDetails(adapter, list.data, instructions, fullContext));
+  }
+
+  return {
+    data,
+    rawResponse: list.rawResponse,
+    totalFound: list.totalFound,
+    totalRetrieved: list.totalRetrieved ?? list.data.length,
+    apiCallCount: fullContext.metrics.apiCalls,
+    detailMetrics,
+    rateLimitMetrics: getRateLimitMetrics(fullContext.metrics)
+  };
+}
+
+/**
+ * Map fetched items with the adapter's mapOpportunity, in place of
+ * extractOpportunitiesWithSchema(). Items that fail to map are reported as
+ * challenges, like chunks the LLM could not extract.
+ * @param {Object} adapter - Adapter implementing mapOpportunity
+ * @param {Array<Object>} items - Fetched items (fetchSourceData().data)
+ * @param {Object} instructions - Processing instructions from SourceOrchestrator
+ * @returns {Object} - Same shape as extractOpportunitiesWithSchema()
+ */
+export function mapSourceOpportunities(adapter, items, instructions) {
+  const opportunities = [];
+  const challenges = [];
+
+  (items || []).forEach((item, index) => {
+    try {
+      const opportunity = adapter.mapOpportunity(item, instructions);
+      if (opportunity) {
+        opportunities.push(opportunity);
+      } else {
+        challenges.push(`Item ${index + 1}: not an opportunity`);
+      }
+    } catch (error) {
+      challenges.push(`Item ${index + 1}: ${error.message}`);
+    }
+  });
+
+  console.log(`[SourceAdapters] 🗺️ Mapped ${opportunities.length}/${items?.length || 0} ${adapter.key} opportunities without LLM extraction`);
+
+  return {
+    opportunities,
+    extractionMetrics: {
+      totalFound: items?.length || 0,
+      successfullyExtracted: opportunities.length,
+      challenges,
+      totalTokens: 0,
+      totalApiCalls: 0,
+      deterministicMapping: true
+    },
+    totalExtracted: opportunities.length
+  };
+}
+
+export { paginateSource };
+
+registerSourceAdapter(singleApiAdapter);
+registerSourceAdapter(twoStepApiAdapter);
+registerSourceAdapter(grantsGovAdapter);
@@ -0,0 +1,75 @@
+/**
+ * Source Adapter Pagination
+ *
+ * The default paginate() for adapters that implement fetchPage and normalize.
+ */
+
+/**
+ * Page through a source with the adapter's fetchPage and normalize. Stops at
+ * maxPages * pageSize items, on an empty or short page, or on a failed page.
+ * @returns {Promise<Object>} - { data, rawResponse, totalFound, totalRetrieved }
+ */
+export async function paginateSource(adapter, instructions, context) {
+  const { metrics } = context;
+  console.log(`[SourceAdapters] 📡 Fetching ${adapter.key} source (max ${instructions.paginationConfig?.maxPages || 1} pages)`);
+
+  const allData = [];
+  let totalFound = 0;
+
+  const shouldPaginate = instructions.paginationConfig?.enabled;
+  const maxPages = instructions.paginationConfig?.maxPages || 1;
+  const pageSize = instructions.paginationConfig?.pageSize || 10;
+
+  // Calculate total limit if we have both maxPages and pageSize
+  const totalLimit = shouldPaginate ? maxPages * pageSize : null;
+
+  for (let page = 1; page <= maxPages; page++) {
+    try {
+      // For the final page, only request what is left of the total limit
+      let currentPageSize = pageSize;
+      if (totalLimit && allData.length + pageSize > totalLimit) {
+        currentPageSize = totalLimit - allData.length;
+      }
+
+      console.log(`[SourceAdapters] 📄 Fetching page ${page}/${maxPages}...`);
+
+      const response = await adapter.fetchPage(instructions, { page, pageSize: currentPageSize }, context);
+      const { items, totalFound: pageTotal } = adapter.normalize(response, instructions);
+
+      if (page === 1 && pageTotal !== null && pageTotal !== undefined) {
+        totalFound = pageTotal;
+        console.log(`[SourceAdapters] 📊 Total count from API: ${totalFound}`);
+      }
+
+      allData.push(...items);
+      console.log(`[SourceAdapters] ✅ Page ${page}: ${items.length} items (total: ${allData.length})`);
+
+      if (totalLimit && allData.length >= totalLimit) {
+        console.log(`[SourceAdapters] 🛑 Total limit of ${totalLimit} reached, stopping pagination`);
+        break;
+      }
+
+      if (items.length === 0 || (shouldPaginate && items.length < currentPageSize)) {
+        console.log(`[SourceAdapters] 🏁 Last page detected (${items.length} items), stopping pagination`);
+        break;
+      }
+
+    } catch (error) {
+      console.error(`[SourceAdapters] ❌ Error on page ${page}:`, error.message);
+      metrics.errors.push({
+        type: 'pagination_error',
+        page,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+      break;
+    }
+  }
+
+  return {
+    data: allData,
+    rawResponse: allData,
+    totalFound,
+    totalRetrieved: allData.length
+  };
+}
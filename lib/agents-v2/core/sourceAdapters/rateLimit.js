@@ -0,0 +1,162 @@
+/**
+ * Source Adapter Rate Limiting
+ *
+ * Paces requests to source APIs with a token bucket per host, shared by all
+ * sources and runs in the process, so sources on the same API host share its
+ * budget. The HTTP helpers (http.js) take a slot before every attempt.
+ *
+ * Limits come from the source's rate_limit_config configuration
+ * (processingInstructions.rateLimitConfig):
+ * - requestsPerSecond: sustained rate (default 10)
+ * - burst: requests sent back to back after an idle period (default requestsPerSecond)
+ * - maxConcurrentDetails: detail calls in flight at once (default 6)
+ * - maxRetryAfterSeconds: longest Retry-After the run waits out (default 120)
+ * A host takes the limits of the latest request to it.
+ *
+ * 429 responses, and 503 responses with Retry-After, pause the whole host
+ * until Retry-After (or an exponential backoff when it is missing). Waits for
+ * a slot are recorded in context.metrics: rateLimitWaits (requests delayed),
+ * rateLimitWaitMs (total delay) and throttledResponses (429/503 received).
+ */
+
+export const DEFAULT_RATE_LIMIT = {
+  requestsPerSecond: 10,
+  burst: null,
+  maxConcurrentDetails: 6,
+  maxRetryAfterSeconds: 120
+};
+
+// Delays shorter than this are scheduling noise, not rate limiting
+const MIN_RECORDED_WAIT_MS = 5;
+
+const buckets = new Map();
+
+function positiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * Rate limits for a source, with defaults for missing or invalid values
+ * @param {Object} [rateLimitConfig] - processingInstructions.rateLimitConfig
+ * @returns {{ requestsPerSecond: number, burst: number, maxConcurrentDetails: number, maxRetryAfterSeconds: number }}
+ */
+export function resolveRateLimit(rateLimitConfig = {}) {
+  const config = rateLimitConfig || {};
+  const requestsPerSecond = positiveNumber(config.requestsPerSecond, DEFAULT_RATE_LIMIT.requestsPerSecond);
+
+  return {
+    requestsPerSecond,
+    burst: Math.max(1, Math.floor(positiveNumber(config.burst, Math.ceil(requestsPerSecond)))),
+    maxConcurrentDetails: Math.max(1, Math.floor(positiveNumber(config.maxConcurrentDetails, DEFAULT_RATE_LIMIT.maxConcurrentDetails))),
+    maxRetryAfterSeconds: positiveNumber(config.maxRetryAfterSeconds, DEFAULT_RATE_LIMIT.maxRetryAfterSeconds)
+  };
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header: delay seconds or an HTTP date
+ * @returns {number|null} - null when the header is missing or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const trimmed = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.ceil(Number(trimmed) * 1000);
+  }
+
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function getBucket(host, limits) {
+  let bucket = buckets.get(host);
+  if (!bucket) {
+    bucket = {
+      tokens: limits.burst,
+      updatedAt: Date.now(),
+      pausedUntil: 0,
+      queue: Promise.resolve()
+    };
+    buckets.set(host, bucket);
+  }
+  bucket.rate = limits.requestsPerSecond;
+  bucket.burst = limits.burst;
+  return bucket;
+}
+
+function refill(bucket, now) {
+  const elapsed = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + elapsed * bucket.rate);
+  bucket.updatedAt = now;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function takeToken(bucket) {
+  for (;;) {
+    const now = Date.now();
+    refill(bucket, now);
+
+    if (bucket.pausedUntil > now) {
+      await sleep(bucket.pausedUntil - now);
+      continue;
+    }
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return;
+    }
+    await sleep(Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000));
+  }
+}
+
+/**
+ * Wait for a request slot on the URL's host. Callers are served in order.
+ * @param {string} url - Request URL
+ * @param {Object} limits - From resolveRateLimit()
+ * @param {Object} [metrics] - Run metrics; waits are added to rateLimitWaits and rateLimitWaitMs
+ * @returns {Promise<number>} - Milliseconds waited
+ */
+export async function acquireHostSlot(url, limits, metrics = null) {
+  const bucket = getBucket(new URL(url).host, limits);
+  const startTime = Date.now();
+
+  const turn = bucket.queue.then(() => takeToken(bucket));
+  bucket.queue = turn.catch(() => {});
+  await turn;
+
+  const waited = Date.now() - startTime;
+  if (waited >= MIN_RECORDED_WAIT_MS && metrics) {
+    metrics.rateLimitWaits = (metrics.rateLimitWaits || 0) + 1;
+    metrics.rateLimitWaitMs = (metrics.rateLimitWaitMs || 0) + waited;
+  }
+  return waited;
+}
+
+/**
+ * Hold all requests to the URL's host for a while, after the host throttled
+ * a request. An earlier, longer pause is kept.
+ */
+export function pauseHost(url, delayMs, limits) {
+  const bucket = getBucket(new URL(url).host, limits);
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + delayMs);
+  bucket.tokens = 0;
+}
+
+/**
+ * Run a task per item with at most `concurrency` in flight, keeping result order
+ */
+export async function mapWithConcurrency(items, concurrency, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
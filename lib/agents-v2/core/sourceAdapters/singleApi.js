@@ -0,0 +1,52 @@
+/**
+ * Single API Adapter
+ *
+ * Sources whose list endpoint returns everything needed for extraction.
+ * Pages through the configured endpoint and reads items from
+ * responseConfig.responseDataPath, in the body format responseConfig.format
+ * declares (JSON, XML, CSV or RSS/Atom).
+ */
+
+import { extractDataFromResponse, extractDataByPath } from '../dataExtractionAgent/utils/dataExtraction.js';
+import { parseResponseBody } from '../dataExtractionAgent/utils/responseFormats.js';
+import { buildListRequest, fetchResponseWithRetry } from './http.js';
+
+/**
+ * Fetch one page of the list endpoint
+ */
+async function fetchPage(instructions, { page, pageSize }, context) {
+  const { url, fetchOptions } = buildListRequest(instructions, page, pageSize);
+  return fetchResponseWithRetry(url, fetchOptions, context, instructions.responseConfig);
+}
+
+/**
+ * Read the items and the API's total count from a page response
+ */
+function normalize(response, instructions) {
+  const document = parseResponseBody(response, instructions.responseConfig);
+  const responseData = extractDataFromResponse(document, instructions.responseConfig);
+  const items = responseData === null || responseData === undefined
+    ? []
+    : Array.isArray(responseData) ? responseData : [responseData];
+
+  const totalCountPath = instructions.responseConfig?.totalCountPath;
+  const totalFound = totalCountPath && totalCountPath.trim() !== ''
+    ? extractDataByPath(document, totalCountPath)
+    : null;
+
+  // XML and CSV values are text
+  return {
+    items,
+    totalFound: typeof totalFound === 'string' && totalFound.trim() !== '' && !isNaN(totalFound)
+      ? Number(totalFound)
+      : totalFound
+  };
+}
+
+export const singleApiAdapter = {
+  key: 'single_api',
+  label: 'Single API',
+  description: 'One list endpoint, with optional offset or page pagination',
+  fetchPage,
+  normalize
+};
@@ -0,0 +1,151 @@
+/**
+ * Taxonomy Keywords
+ *
+ * Keyword rules that map opportunity text to TAXONOMIES.ELIGIBLE_PROJECT_TYPES
+ * and TAXONOMIES.ELIGIBLE_ACTIVITIES, for adapters that map records without
+ * the LLM extraction pass (mapOpportunity). Only terms that matching and
+ * scoring rely on are covered; phrases that are ambiguous in program text
+ * ("window" as in application window, "design" as in designed to) need a
+ * qualifier.
+ */
+
+// [pattern, taxonomy terms] → TAXONOMIES.ELIGIBLE_PROJECT_TYPES
+export const PROJECT_TYPE_KEYWORDS = [
+  // Building systems
+  [/\bHVAC\b|\bheating,? (?:and )?ventilation\b|\bair[- ]conditioning\b/i, ['HVAC Systems']],
+  [/\bheat pumps?\b/i, ['Heat Pump Systems']],
+  [/\bboilers?\b/i, ['Boiler Systems']],
+  [/\bchillers?\b/i, ['Chiller Systems']],
+  [/\bair filtration\b/i, ['Building Air Filtration Systems']],
+  [/\blighting\b/i, ['Lighting Systems']],
+  [/\bLED (?:lighting|lights|fixtures|retrofits?)\b/, ['LED Lighting Upgrades']],
+  [/\bstreet ?light(?:s|ing)?\b/i, ['Street Lighting']],
+  [/\bplumbing\b/i, ['Plumbing Systems']],
+  [/\belectrical (?:systems?|infrastructure|upgrades?)\b/i, ['Electrical Systems']],
+  [/\b(?:electrical|electric) panels?\b|\bpanel upgrades?\b/i, ['Electrical Panel Upgrades']],
+  [/\b(?:EV|electric vehicle) (?:charging|chargers?)\b|\bcharging (?:stations?|infrastructure)\b/i, ['EV Charging Stations']],
+  [/\bsecurity (?:systems|cameras|equipment|enhancements)\b|\bsurveillance systems?\b|\baccess control\b/i, ['Security Systems']],
+  [/\bbuilding (?:automation|controls?|management systems?)\b|\bsmart thermostats?\b/i, ['Building Controls']],
+  [/\brefrigeration\b/i, ['Refrigeration Systems']],
+  [/\bwater heaters?\b/i, ['Water Heater Systems']],
+
+  // Building envelope
+  [/\broof(?:s|ing)?\b/i, ['Roofing']],
+  [/\bwindows\b|\bwindow replacements?\b/i, ['Windows']],
+  [/\binsulation\b/i, ['Insulation']],
+  [/\bweatheriz(?:ation|e|ing)\b/i, ['Weatherization']],
+
+  // Energy infrastructure
+  [/\bsolar\b|\bphotovoltaic\b/i, ['Solar Panel Systems']],
+  [/\bwind (?:turbines?|energy|power)\b/i, ['Wind Turbines']],
+  [/\b(?:battery|energy) storage\b/i, ['Battery Storage Systems']],
+  [/\bgeothermal\b/i, ['Geothermal Systems']],
+  [/\bmicro-?grids?\b/i, ['Microgrids']],
+  [/\bfuel cells?\b/i, ['Fuel Cells']],
+  [/\brenewable energy (?:systems?|projects?|installations?)\b/i, ['Solar Panel Systems', 'Wind Turbines', 'Geothermal Systems']],
+  [/\bcogeneration\b|\bcombined heat and power\b/i, ['Cogeneration Systems']],
+  [/\bbackup (?:power|generators?)\b|\bemergency generators?\b/i, ['Emergency Backup Power Systems']],
+
+  // Water infrastructure
+  [/\bdrinking water\b|\bwater (?:systems?|treatment|distribution|infrastructure)\b/i, ['Drinking Water Infrastructure']],
+  [/\bwater meter(?:s|ing)?\b/i, ['Water Metering Systems']],
+  [/\bwater (?:storage )?tanks?\b/i, ['Water Storage Tanks']],
+  [/\bwastewater\b/i, ['Wastewater Infrastructure']],
+  [/\bsewers?\b|\bsewage\b/i, ['Sewer Systems']],
+  [/\bstorm ?water\b/i, ['Stormwater Infrastructure']],
+
+  // Facilities
+  [/\bdata centers?\b/i, ['Data Centers']],
+  [/\bsprinkler systems?\b|\bfire (?:suppression|alarm)\b/i, ['Fire Suppression Systems']],
+  [/\belevators?\b/i, ['Elevators']],
+  [/\bschool (?:facilities|buildings?|construction)\b|\bclassrooms?\b/i, ['Classroom Facilities']],
+  [/\bcommercial kitchens?\b|\bkitchen facilities\b/i, ['Kitchen Facilities']],
+  [/\bcommunity (?:centers?|facilities)\b/i, ['Community Center Facilities']],
+  [/\blibrar(?:y|ies) (?:facilities|buildings?|construction)\b/i, ['Library Facilities']],
+  [/\bhospitals?\b|\bhealth ?care facilities\b|\bhealth clinics?\b/i, ['Healthcare Facilities']],
+  [/\bstudent housing\b|\bdormitor(?:y|ies)\b/i, ['Student Housing']],
+  [/\bADA\b|\baccessibility improvements?\b/, ['ADA Accessibility Improvements']],
+
+  // Grounds and remediation
+  [/\bplaygrounds?\b/i, ['Playgrounds']],
+  [/\b(?:athletic|sports?) fields?\b/i, ['Athletic Fields']],
+  [/\blandscaping\b/i, ['Landscaping']],
+  [/\basbestos\b/i, ['Asbestos Abatement']],
+  [/\blead(?:-based)? paint\b/i, ['Lead Paint Remediation']],
+  [/\bbrownfields?\b/i, ['Brownfield Remediation']],
+
+  // Transportation
+  [/\broads?\b|\broadways?\b|\bhighways?\b/i, ['Roads']],
+  [/\bbridges\b|\bbridge (?:repair|replacement|rehabilitation|construction)\b/i, ['Bridges']],
+  [/\bsidewalks?\b/i, ['Sidewalks']],
+  [/\b(?:bike|bicycle) lanes?\b/i, ['Bike Lanes']],
+  [/\b(?:bike|bicycle) (?:paths?|trails?)\b/i, ['Bike Paths']],
+  [/\bparking lots?\b/i, ['Parking Lots']],
+  [/\bparking (?:structures?|garages?)\b/i, ['Parking Structures']],
+  [/\btraffic signals?\b/i, ['Traffic Signals']],
+  [/\bbus shelters?\b/i, ['Bus Shelters']],
+  [/\b(?:rail|railroad|railway) (?:infrastructure|lines?|crossings?|corridors?|stations?)\b|\bpassenger rail\b/i, ['Rail Infrastructure']],
+  [/\bfleet vehicles?\b/i, ['Fleet Vehicles']],
+  [/\belectric (?:school )?bus(?:es)?\b|\bzero[- ]emission (?:vehicles?|buses|fleets?)\b/i, ['EV Fleet']],
+  [/\bairports?\b/i, ['Airports']],
+  [/\bports?\b/i, ['Ports']],
+  [/\bharbou?rs?\b/i, ['Harbors']],
+
+  // Public safety and resilience
+  [/\bfire stations?\b/i, ['Fire Stations']],
+  [/\bpolice stations?\b/i, ['Police Stations']],
+  [/\bemergency operations? centers?\b/i, ['Emergency Operations Centers']],
+  [/\bfire (?:trucks?|engines?|apparatus)\b/i, ['Fire Trucks']],
+  [/\bambulances?\b/i, ['Ambulances']],
+  [/\bflood (?:barriers?|walls?|control|protection)\b|\blevees?\b/i, ['Flood Barriers']],
+  [/\bextreme heat\b|\bheat resilience\b|\bcool (?:roofs?|pavements?)\b/i, ['Heat Resilience Infrastructure']],
+  [/\bcooling centers?\b/i, ['Cooling Centers']],
+  [/\burban (?:greening|forestry|tree canopy)\b|\bgreen roofs?\b|\btree planting\b/i, ['Urban Greening']],
+  [/\bpark (?:facilities|improvements?)\b|\brecreation(?:al)? facilities\b/i, ['Recreational Park Facilities']]
+];
+
+// [pattern, taxonomy terms] → TAXONOMIES.ELIGIBLE_ACTIVITIES
+export const ACTIVITY_KEYWORDS = [
+  [/\bnew construction\b|\bconstruct(?:ion|ing)?\b/i, ['New Construction']],
+  [/\brenovat(?:e|es|ed|ing|ion|ions)\b|\brehabilitat(?:e|es|ed|ing|ion)\b/i, ['Renovation']],
+  [/\bmoderniz(?:e|es|ed|ing|ation)\b/i, ['Modernization']],
+  [/\binstall(?:s|ed|ing|ation|ations)?\b/i, ['Installation']],
+  [/\breplac(?:e|es|ed|ing|ement|ements)\b/i, ['Replacement']],
+  [/\bupgrad(?:e|es|ed|ing)\b|\benergy efficiency (?:improvements?|measures?)\b/i, ['Upgrade']],
+  [/\brepair(?:s|ed|ing)?\b/i, ['Repair']],
+  [/\bretrofit(?:s|ted|ting)?\b/i, ['Retrofit']],
+  [/\benergy (?:audits?|assessments?)\b/i, ['Energy Audits']],
+  [/\bsite prep(?:aration)?\b/i, ['Site Preparation']],
+  [/\bmaintenance\b/i, ['Maintenance']],
+  [/\bdemoli(?:sh|shing|tion)\b/i, ['Demolition']],
+  [/\b(?:engineering|project|final|preliminary) design\b|\bdesign (?:and|&) (?:engineering|construction)\b/i, ['Design']],
+  [/\barchitectur(?:e|al)\b/i, ['Architecture']],
+  [/\bengineering\b/i, ['Engineering']],
+  [/\bplanning\b/i, ['Planning']],
+  [/\bfeasibility\b/i, ['Feasibility Studies']],
+  [/\benvironmental (?:assessments?|reviews?|impact)\b/i, ['Environmental Assessment']],
+  [/\bproject management\b/i, ['Project Management']],
+  [/\binspections?\b/i, ['Inspection']],
+  [/\b(?:purchase|acquisition|procurement) of (?:\w+ )?equipment\b|\bequipment (?:purchases?|acquisition|procurement)\b/i, ['Equipment Purchase']],
+  [/\btraining\b/i, ['Training']],
+  [/\btechnical assistance\b/i, ['Technical Assistance']],
+  [/\boutreach\b/i, ['Community Outreach']],
+  [/\bresearch\b/i, ['Research']],
+  [/\bpilot (?:programs?|projects?)\b/i, ['Pilot Programs']],
+  [/\bland acquisition\b|\bacquisition of (?:land|real property)\b/i, ['Land Acquisition']]
+];
+
+/**
+ * Taxonomy terms whose keywords appear in the text, in rule order
+ * @param {string} text - Opportunity text (title, description)
+ * @param {Array} rules - PROJECT_TYPE_KEYWORDS or ACTIVITY_KEYWORDS
+ * @returns {string[]}
+ */
+export function matchTaxonomyKeywords(text, rules) {
+  if (!text) return [];
+
+  const terms = rules
+    .filter(([pattern]) => pattern.test(text))
+    .flatMap(([, ruleTerms]) => ruleTerms);
+  return [...new Set(terms)];
+}
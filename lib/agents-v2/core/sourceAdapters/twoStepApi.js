@@ -0,0 +1,54 @@
+/**
+ * Two-Step API Adapter
+ *
+ * Sources whose list endpoint only returns summaries. Pages through the list
+ * like the single API adapter, then fetches each item's detail record from
+ * detailConfig.endpoint. Detail bodies are JSON unless
+ * detailConfig.responseConfig.format names another format.
+ */
+
+import { extractDataFromResponse, extractDataByPath } from '../dataExtractionAgent/utils/dataExtraction.js';
+import { parseResponseBody } from '../dataExtractionAgent/utils/responseFormats.js';
+import { buildDetailRequest, fetchResponseWithRetry } from './http.js';
+import { singleApiAdapter } from './singleApi.js';
+
+/**
+ * Fetch the detail record for one list item
+ * @returns {Promise<Object>} - { extractedData, rawData, requestDetails }
+ */
+async function fetchDetail(item, instructions, context) {
+  const { detailConfig } = instructions;
+
+  const opportunityId = item[detailConfig.idField];
+  if (opportunityId === undefined || opportunityId === null || opportunityId === '') {
+    throw new Error(`No ID found for opportunity using field: ${detailConfig.idField}`);
+  }
+
+  const { url, fetchOptions } = buildDetailRequest(opportunityId, detailConfig);
+  // Detail calls are only retried when throttled; a failed item keeps its list data
+  const rawData = await fetchResponseWithRetry(url, fetchOptions, { ...context, maxRetries: 1 }, detailConfig.responseConfig);
+
+  const document = parseResponseBody(rawData, detailConfig.responseConfig);
+  const extractedData = detailConfig.detailResponseDataPath
+    ? extractDataByPath(document, detailConfig.detailResponseDataPath) || document
+    : extractDataFromResponse(document, detailConfig.responseConfig);
+
+  return {
+    extractedData,
+    rawData,
+    requestDetails: {
+      url,
+      method: fetchOptions.method,
+      opportunityId
+    }
+  };
+}
+
+export const twoStepApiAdapter = {
+  ...singleApiAdapter,
+  key: 'two_step_api',
+  label: 'Two-Step API',
+  description: 'List endpoint plus a detail call per opportunity',
+  fetchDetail,
+  usesDetailCalls: (instructions) => Boolean(instructions.detailConfig?.enabled)
+};
@@ -8,6 +8,7 @@
  */
 
 import { createSupabaseClient } from '../../supabase.js';
+import { resolveSourceAdapter } from './sourceAdapters/index.js';
 
 /**
  * Analyzes an API source and determines optimal processing approach
@@ -39,9 +40,12 @@ export async function analyzeSource(source, anthropic) {
   const startTime = Date.now()
   
   try {
+    // The workflow is the source adapter that ApiCaller and DataExtractionAgent run
+    const adapter = resolveSourceAdapter(source)
+
     // Create analysis structure based on source configurations
     const analysis = {
-      workflow: source.configurations.detail_config?.enabled ? "two_step_api" : "single_api",
+      workflow: adapter.key,
       apiEndpoint: source.api_endpoint,
       requestConfig: source.configurations.request_config || { method: "GET" },
       queryParameters: source.configurations.query_params || {},
@@ -49,10 +53,11 @@ export async function analyzeSource(source, anthropic) {
       responseConfig: source.configurations.response_config || {},
       paginationConfig: source.configurations.pagination_config || { enabled: false },
       detailConfig: source.configurations.detail_config || { enabled: false },
+      rateLimitConfig: source.configurations.rate_limit_config || {},
       responseMapping: source.configurations.response_mapping || {},
       authMethod: source.auth_type || "none",
       authDetails: source.auth_details || {},
-      handlerType: source.handler_type || "standard",
+      handlerType: adapter.key,
       apiNotes: source.notes || "",
       processingNotes: [`Analysis completed for ${source.name}`],
     }
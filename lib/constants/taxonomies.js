@@ -1076,4 +1076,30 @@ export const CLIENT_TYPE_GROUPS = [
 	},
 ];
 
+/**
+ * Client budget tiers with dollar ranges.
+ * Keys are the values stored in clients.budget. max is null for the open-ended top tier.
+ * Used for client validation, form options, and award-size fit in matching.
+ */
+export const BUDGET_TIERS = [
+	{ key: 'small', label: 'Small ($50K – $500K)', min: 50000, max: 500000 },
+	{ key: 'medium', label: 'Medium ($500K – $5M)', min: 500000, max: 5000000 },
+	{ key: 'large', label: 'Large ($5M – $50M)', min: 5000000, max: 50000000 },
+	{ key: 'very_large', label: 'Very Large ($50M+)', min: 50000000, max: null },
+];
+
+/**
+ * Values of funding_opportunities.incentive_structure (how money flows through the program).
+ * Used for client match rules.
+ */
+export const INCENTIVE_STRUCTURES = [
+	{ key: 'prescriptive', label: 'Prescriptive' },
+	{ key: 'deemed_calculated', label: 'Deemed / Calculated' },
+	{ key: 'custom_performance', label: 'Custom Performance' },
+	{ key: 'make_ready', label: 'Make Ready' },
+	{ key: 'direct_install', label: 'Direct Install' },
+	{ key: 'financing', label: 'Financing' },
+	{ key: 'audit_assessment', label: 'Audit / Assessment' },
+];
+
 export default TAXONOMIES;
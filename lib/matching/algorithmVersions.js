@@ -0,0 +1,123 @@
+/**
+ * Versioned matching algorithm
+ *
+ * Each version is the full set of evaluateMatch deps: taxonomy expansion,
+ * hot activities, budget tiers, scoring mode and the term matchers
+ * (normalizeType / matchTerms). The match job runs the active version, read
+ * from system_config.match_algorithm_version; shadow runs (shadowRun.js)
+ * evaluate a candidate version side by side without persisting anything.
+ *
+ * To try a change to matchTerms, normalizeType or the taxonomy hierarchies,
+ * add a new version here that swaps in the changed function, run a shadow
+ * comparison from /admin/matching, review the diff, then promote it.
+ * Never edit a version that has been active — add a new one instead.
+ */
+
+import { normalizeType, matchTerms } from './evaluateMatch.js';
+import { TAXONOMIES, BUDGET_TIERS, getExpandedClientTypes, getExpandedProjectTypes } from '../constants/taxonomies.js';
+
+/** system_config key holding the active version ID. */
+export const ACTIVE_VERSION_CONFIG_KEY = 'match_algorithm_version';
+
+/** Version used when system_config has no (or an unknown) active version. */
+export const DEFAULT_ALGORITHM_VERSION = 'v1';
+
+export const MATCH_ALGORITHM_VERSIONS = {
+  v1: {
+    id: 'v1',
+    label: 'Weighted 4-criteria',
+    description: 'Word-boundary matchTerms, plural-tolerant normalizeType, near-miss tier, award fit and funding health.',
+    deps: {
+      hotActivities: TAXONOMIES.ELIGIBLE_ACTIVITIES.hot,
+      getExpandedClientTypes,
+      getExpandedProjectTypes,
+      budgetTiers: BUDGET_TIERS,
+      mode: 'weighted',
+      normalizeType,
+      matchTerms
+    }
+  }
+};
+
+/**
+ * Look up a version by ID.
+ *
+ * @param {string} versionId
+ * @returns {Object|null} Version definition, or null if unknown
+ */
+export function getAlgorithmVersion(versionId) {
+  return MATCH_ALGORITHM_VERSIONS[versionId] || null;
+}
+
+/**
+ * Versions for display (without deps).
+ *
+ * @returns {Array<{ id: string, label: string, description: string }>}
+ */
+export function listAlgorithmVersions() {
+  return Object.values(MATCH_ALGORITHM_VERSIONS).map(({ id, label, description }) => ({ id, label, description }));
+}
+
+/**
+ * Resolve the active version from system_config.
+ * Falls back to DEFAULT_ALGORITHM_VERSION when unset, unknown, or unreadable.
+ *
+ * @param {Object} supabase - Supabase client with service_role key
+ * @returns {Promise<Object>} Version definition
+ */
+export async function getActiveAlgorithmVersion(supabase) {
+  const { data, error } = await supabase
+    .from('system_config')
+    .select('value')
+    .eq('key', ACTIVE_VERSION_CONFIG_KEY)
+    .maybeSingle();
+
+  if (error) {
+    console.warn('[AlgorithmVersions] Failed to read active version, using default:', error.message);
+  }
+
+  const versionId = parseConfigValue(data?.value);
+  const version = getAlgorithmVersion(versionId);
+  if (versionId && !version) {
+    console.warn(`[AlgorithmVersions] Unknown active version "${versionId}", using ${DEFAULT_ALGORITHM_VERSION}`);
+  }
+  return version || MATCH_ALGORITHM_VERSIONS[DEFAULT_ALGORITHM_VERSION];
+}
+
+/**
+ * Make a version active. Callers are responsible for recomputing matches.
+ *
+ * @param {Object} supabase - Supabase client with service_role key
+ * @param {string} versionId
+ */
+export async function setActiveAlgorithmVersion(supabase, versionId) {
+  if (!getAlgorithmVersion(versionId)) {
+    throw new Error(`Unknown match algorithm version: ${versionId}`);
+  }
+  const { error } = await supabase
+    .from('system_config')
+    .upsert(
+      {
+        key: ACTIVE_VERSION_CONFIG_KEY,
+        value: versionId,
+        description: 'Active client matching algorithm version (lib/matching/algorithmVersions.js)',
+        updated_at: new Date().toISOString()
+      },
+      { onConflict: 'key' }
+    );
+  if (error) throw new Error(`Failed to set active algorithm version: ${error.message}`);
+}
+
+/**
+ * system_config values written by the admin config route are JSON-encoded
+ * strings stored in JSONB, so accept both 'v1' and '"v1"'.
+ */
+function parseConfigValue(value) {
+  if (typeof value !== 'string') return null;
+  try {
+    const parsed = JSON.parse(value);
+    return typeof parsed === 'string' ? parsed : value;
+  } catch {
+    return value;
+  }
+}
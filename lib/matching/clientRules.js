@@ -0,0 +1,153 @@
+/**
+ * Per-client match rules
+ *
+ * Rules are stored in clients.match_rules and applied by computeMatches.js
+ * after evaluateMatch. A full match that breaks any rule is persisted with
+ * match_tier='suppressed' and match_details.suppressedBy, so it can be shown
+ * apart from matches a user hid manually via hidden_matches.
+ *
+ * Rule shape:
+ * {
+ *   excluded_agencies: string[],              // compared case-insensitively to agency_name
+ *   excluded_funding_types: string[],         // compared case-insensitively to funding_type
+ *   min_award: number | null,                 // compared to maximum_award (or total_funding_available)
+ *   excluded_incentive_structures: string[],  // INCENTIVE_STRUCTURES keys
+ *   max_cost_share_percentage: number | null  // 0 = client cannot provide any match
+ * }
+ */
+
+import { formatAwardAmount } from './evaluateMatch.js';
+
+export const EMPTY_MATCH_RULES = {
+  excluded_agencies: [],
+  excluded_funding_types: [],
+  min_award: null,
+  excluded_incentive_structures: [],
+  max_cost_share_percentage: null
+};
+
+const LIST_RULES = ['excluded_agencies', 'excluded_funding_types', 'excluded_incentive_structures'];
+
+/**
+ * Validate and normalize a rule set from an API request body.
+ * Missing keys fall back to EMPTY_MATCH_RULES; list entries are trimmed and deduplicated.
+ *
+ * @param {Object|null|undefined} input - Raw match_rules value
+ * @param {Object} [options]
+ * @param {string[]} [options.incentiveStructureKeys] - Allowed incentive_structure values
+ * @returns {{ rules: Object|null, error: string|null }}
+ */
+export function normalizeMatchRules(input, { incentiveStructureKeys = [] } = {}) {
+  if (input === null || input === undefined) {
+    return { rules: { ...EMPTY_MATCH_RULES }, error: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { rules: null, error: 'match_rules must be an object' };
+  }
+
+  const rules = { ...EMPTY_MATCH_RULES };
+
+  for (const key of LIST_RULES) {
+    const value = input[key];
+    if (value === undefined || value === null) continue;
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+      return { rules: null, error: `match_rules.${key} must be an array of strings` };
+    }
+    rules[key] = [...new Set(value.map(v => v.trim()).filter(Boolean))];
+  }
+
+  if (incentiveStructureKeys.length) {
+    const invalid = rules.excluded_incentive_structures.filter(v => !incentiveStructureKeys.includes(v));
+    if (invalid.length) {
+      return {
+        rules: null,
+        error: `Invalid incentive structure: ${invalid.join(', ')}. Must be one of: ${incentiveStructureKeys.join(', ')}`
+      };
+    }
+  }
+
+  if (input.min_award !== undefined && input.min_award !== null && input.min_award !== '') {
+    const minAward = Number(input.min_award);
+    if (!Number.isFinite(minAward) || minAward < 0) {
+      return { rules: null, error: 'match_rules.min_award must be a non-negative number' };
+    }
+    rules.min_award = minAward || null;
+  }
+
+  if (input.max_cost_share_percentage !== undefined && input.max_cost_share_percentage !== null && input.max_cost_share_percentage !== '') {
+    const maxCostShare = Number(input.max_cost_share_percentage);
+    if (!Number.isFinite(maxCostShare) || maxCostShare < 0 || maxCostShare > 100) {
+      return { rules: null, error: 'match_rules.max_cost_share_percentage must be between 0 and 100' };
+    }
+    rules.max_cost_share_percentage = maxCostShare;
+  }
+
+  return { rules, error: null };
+}
+
+/**
+ * Whether a rule set can suppress anything.
+ */
+export function hasMatchRules(rules) {
+  if (!rules) return false;
+  return LIST_RULES.some(key => rules[key]?.length > 0)
+    || rules.min_award > 0
+    || (rules.max_cost_share_percentage !== null && rules.max_cost_share_percentage !== undefined);
+}
+
+/**
+ * Check an opportunity against a client's rules.
+ * Unknown opportunity values (no award listed, cost share percentage missing)
+ * never suppress a match, except that a client accepting no cost share is
+ * excluded from any program that requires one.
+ *
+ * @param {Object} rules - clients.match_rules
+ * @param {Object} opportunity - Needs agency_name, funding_type, maximum_award,
+ *   total_funding_available, incentive_structure, cost_share_required, cost_share_percentage
+ * @returns {Array<{ rule: string, reason: string }>} Violations, empty when none
+ */
+export function evaluateClientRules(rules, opportunity) {
+  if (!hasMatchRules(rules)) return [];
+  const violations = [];
+
+  const agency = opportunity.agency_name?.trim().toLowerCase();
+  if (agency && rules.excluded_agencies?.some(a => a.toLowerCase() === agency)) {
+    violations.push({ rule: 'excluded_agencies', reason: `Agency excluded: ${opportunity.agency_name}` });
+  }
+
+  const fundingType = opportunity.funding_type?.trim().toLowerCase();
+  if (fundingType && rules.excluded_funding_types?.some(t => t.toLowerCase() === fundingType)) {
+    violations.push({ rule: 'excluded_funding_types', reason: `Funding type excluded: ${opportunity.funding_type}` });
+  }
+
+  if (rules.min_award > 0) {
+    const awardCeiling = Number(opportunity.maximum_award) || Number(opportunity.total_funding_available) || null;
+    if (awardCeiling && awardCeiling < rules.min_award) {
+      violations.push({
+        rule: 'min_award',
+        reason: `Max award ${formatAwardAmount(awardCeiling)} below ${formatAwardAmount(rules.min_award)} minimum`
+      });
+    }
+  }
+
+  if (opportunity.incentive_structure && rules.excluded_incentive_structures?.includes(opportunity.incentive_structure)) {
+    violations.push({
+      rule: 'excluded_incentive_structures',
+      reason: `Incentive structure excluded: ${opportunity.incentive_structure.replace(/_/g, ' ')}`
+    });
+  }
+
+  const maxCostShare = rules.max_cost_share_percentage;
+  if (opportunity.cost_share_required && maxCostShare !== null && maxCostShare !== undefined) {
+    const required = opportunity.cost_share_percentage === null || opportunity.cost_share_percentage === undefined
+      ? NaN
+      : Number(opportunity.cost_share_percentage);
+    if (Number.isFinite(required) && required > maxCostShare) {
+      violations.push({ rule: 'max_cost_share_percentage', reason: `Requires ${required}% cost share (limit ${maxCostShare}%)` });
+    } else if (!Number.isFinite(required) && maxCostShare === 0) {
+      violations.push({ rule: 'max_cost_share_percentage', reason: 'Requires cost share' });
+    }
+  }
+
+  return violations;
+}
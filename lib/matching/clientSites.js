@@ -0,0 +1,130 @@
+/**
+ * Multi-site client matching
+ *
+ * A client's own address and coverage areas form its primary site; rows in
+ * client_sites add more facilities. Each site is matched as its own profile:
+ * the site's coverage areas, and the client-wide project needs plus any
+ * site-specific needs. The pair takes the best site result, and
+ * details.eligibleSites lists every site that reaches that tier, so the UI
+ * and PDF export can say which facilities an opportunity applies to.
+ *
+ * Clients without sites are evaluated exactly as before (no eligibleSites).
+ */
+
+import { evaluateMatch } from './evaluateMatch.js';
+
+/** eligibleSites id used for the client's own address. */
+export const PRIMARY_SITE_ID = 'primary';
+
+export const PRIMARY_SITE_NAME = 'Primary address';
+
+const TIER_RANK = { match: 2, near_miss: 1 };
+
+/** client_sites columns returned by the API (location_point stays server-side). */
+export const SITE_FIELDS = 'id, client_id, name, address, city, county_name, state_code, zipcode, coverage_area_ids, project_needs, created_at, updated_at';
+
+/**
+ * Validate site-specific project needs from an API request body.
+ *
+ * @param {*} value - Raw project_needs (missing = none)
+ * @returns {{ projectNeeds: string[]|null, error: string|null }}
+ */
+export function normalizeSiteProjectNeeds(value) {
+  if (value === undefined || value === null) return { projectNeeds: [], error: null };
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+    return { projectNeeds: null, error: 'project_needs must be an array of strings' };
+  }
+  return { projectNeeds: [...new Set(value.map(v => v.trim()).filter(Boolean))], error: null };
+}
+
+/**
+ * Fetch sites grouped by client.
+ *
+ * @param {Object} supabase - Supabase client with service_role key
+ * @param {Object} [options]
+ * @param {string[]} [options.clientIds] - Restrict to these clients (all when omitted)
+ * @returns {Promise<Map<string, Object[]>>} client_id → sites
+ */
+export async function loadClientSites(supabase, { clientIds } = {}) {
+  let query = supabase
+    .from('client_sites')
+    .select('id, client_id, name, coverage_area_ids, project_needs')
+    .order('created_at', { ascending: true })
+    .limit(50000);
+  if (clientIds?.length) {
+    query = query.in('client_id', clientIds);
+  }
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to fetch client sites: ${error.message}`);
+
+  const sitesByClient = new Map();
+  for (const site of data || []) {
+    if (!sitesByClient.has(site.client_id)) sitesByClient.set(site.client_id, []);
+    sitesByClient.get(site.client_id).push(site);
+  }
+  return sitesByClient;
+}
+
+/**
+ * One matchable profile per site, primary first.
+ *
+ * @param {Object} client
+ * @param {Object[]} sites - client_sites rows
+ * @returns {Array<{ id: string, name: string, client: Object }>}
+ */
+export function buildSiteProfiles(client, sites = []) {
+  const clientNeeds = client.project_needs || [];
+  return [
+    { id: PRIMARY_SITE_ID, name: PRIMARY_SITE_NAME, client },
+    ...sites.map(site => ({
+      id: site.id,
+      name: site.name,
+      client: {
+        ...client,
+        coverage_area_ids: site.coverage_area_ids || [],
+        project_needs: [...new Set([...clientNeeds, ...(site.project_needs || [])])]
+      }
+    }))
+  ];
+}
+
+/**
+ * evaluateMatch across all of a client's sites.
+ *
+ * @param {Object} client
+ * @param {Object[]} sites - client_sites rows (empty for single-site clients)
+ * @param {Object} opportunity
+ * @param {Object} deps - evaluateMatch deps
+ * @returns {Object} evaluateMatch result of the best site, with details.eligibleSites
+ */
+export function evaluateClientSites(client, sites, opportunity, deps) {
+  if (!sites?.length) {
+    return evaluateMatch(client, opportunity, deps);
+  }
+
+  const results = buildSiteProfiles(client, sites).map(profile => ({
+    profile,
+    result: evaluateMatch(profile.client, opportunity, deps)
+  }));
+
+  let best = results[0];
+  for (const candidate of results.slice(1)) {
+    const rankDiff = (TIER_RANK[candidate.result.tier] || 0) - (TIER_RANK[best.result.tier] || 0);
+    if (rankDiff > 0 || (rankDiff === 0 && candidate.result.score > best.result.score)) {
+      best = candidate;
+    }
+  }
+
+  if (!TIER_RANK[best.result.tier]) {
+    return best.result;
+  }
+
+  const eligibleSites = results
+    .filter(({ result }) => result.tier === best.result.tier)
+    .map(({ profile }) => ({ id: profile.id, name: profile.name }));
+
+  return {
+    ...best.result,
+    details: { ...best.result.details, eligibleSites }
+  };
+}
@@ -2,19 +2,23 @@
  * Background match computation engine
  *
  * Computes client-opportunity matches and persists results to client_matches.
- * Supports full recomputation (cron) and scoped computation (event triggers).
+ * Supports full recomputation, incremental recomputation driven by
+ * match_change_log (cron), and scoped computation (event triggers).
  *
- * Uses evaluateMatch.js as the single source of truth for matching logic.
+ * Uses evaluateMatch.js as the single source of truth for matching logic,
+ * with deps from the active algorithm version (algorithmVersions.js).
+ * Runs in weighted mode: full matches are stored with match_tier='match' and
+ * single-criterion near misses with match_tier='near_miss'. Full matches that
+ * break the client's match_rules (clientRules.js) are stored with
+ * match_tier='suppressed'. Pairs in an active lifecycle status (lifecycle.js)
+ * are pinned: never marked stale and never downgraded from a full match.
+ * Multi-site clients are evaluated per site (clientSites.js).
  */
 
-import { evaluateMatch } from './evaluateMatch.js';
-import { TAXONOMIES, getExpandedClientTypes, getExpandedProjectTypes } from '../constants/taxonomies.js';
-
-const MATCH_DEPS = {
-  hotActivities: TAXONOMIES.ELIGIBLE_ACTIVITIES.hot,
-  getExpandedClientTypes,
-  getExpandedProjectTypes
-};
+import { loadClientSites, evaluateClientSites } from './clientSites.js';
+import { evaluateClientRules } from './clientRules.js';
+import { getActiveAlgorithmVersion } from './algorithmVersions.js';
+import { isActiveLifecycleStatus } from './lifecycle.js';
 
 /**
  * Compute matches for ALL clients against ALL open opportunities.
@@ -38,6 +42,17 @@ export async function computeMatchesForClient(supabase, clientId, { trigger = 'c
   });
 }
 
+/**
+ * Compute matches for a batch of clients against all open opportunities.
+ * Used after bulk client import.
+ */
+export async function computeMatchesForClients(supabase, clientIds, { trigger = 'client_import' } = {}) {
+  return runMatchComputation(supabase, {
+    trigger,
+    scope: { clientIds }
+  });
+}
+
 /**
  * Compute matches for specific opportunities against all clients.
  * Used after pipeline Phase 6 stores new opportunities.
@@ -49,17 +64,208 @@ export async function computeMatchesForOpportunities(supabase, opportunityIds) {
   });
 }
 
+/** Max change-log rows read per incremental run. Beyond this a full scan is cheaper. */
+const CHANGE_LOG_LIMIT = 20000;
+
+/** Job triggers that evaluate every affected pair, so their start time is a safe change-log cursor. */
+const BASELINE_TRIGGERS = ['cron', 'incremental'];
+
 /**
- * Core computation engine. Fetches data, runs evaluateMatch for each pair,
- * UPSERTs results, and marks stale matches.
+ * Compute matches only for pairs affected by changes since the last
+ * successful cron or incremental job. Used by the daily cron job.
+ *
+ * Changes come from match_change_log (populated by triggers on clients,
+ * funding_opportunities and opportunity_coverage_areas). Changed clients are
+ * evaluated against all open opportunities; all other clients are evaluated
+ * against changed opportunities. Stale marking stays within those passes.
+ *
+ * Falls back to a full run when there is no baseline job or the change log
+ * is too large to be worth reading.
+ */
+export async function computeIncrementalMatches(supabase) {
+  const { data: baselineJob, error: baselineError } = await supabase
+    .from('match_job_logs')
+    .select('id, started_at')
+    .in('trigger', BASELINE_TRIGGERS)
+    .eq('status', 'completed')
+    .order('started_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (baselineError) throw new Error(`Failed to fetch last match job: ${baselineError.message}`);
+  if (!baselineJob) {
+    console.log('[ComputeMatches] No completed baseline job, running full computation');
+    return computeAllMatches(supabase);
+  }
+
+  const since = baselineJob.started_at;
+  const { data: changes, error: changeError } = await supabase
+    .from('match_change_log')
+    .select('entity_type, entity_id')
+    .gt('changed_at', since)
+    .limit(CHANGE_LOG_LIMIT);
+  if (changeError) throw new Error(`Failed to fetch match change log: ${changeError.message}`);
+  if ((changes?.length || 0) >= CHANGE_LOG_LIMIT) {
+    console.log(`[ComputeMatches] ${CHANGE_LOG_LIMIT}+ changes since ${since}, running full computation`);
+    return computeAllMatches(supabase);
+  }
+
+  const { clientIds, opportunityIds } = summarizeChanges(changes);
+  const passes = planIncrementalPasses(clientIds, opportunityIds);
+
+  return runMatchComputation(supabase, {
+    trigger: 'incremental',
+    scope: { since, clientIds, opportunityIds },
+    passes,
+    finalizeStats: async (stats) => {
+      const fullScanPairs = await countFullScanPairs(supabase);
+      // Entries at or before the baseline were already consumed by it
+      const { error: pruneError } = await supabase
+        .from('match_change_log')
+        .delete()
+        .lte('changed_at', since);
+      if (pruneError) {
+        console.warn('[ComputeMatches] Failed to prune match change log:', pruneError.message);
+      }
+      return {
+        mode: 'incremental',
+        since,
+        change_events: changes?.length || 0,
+        changed_clients: clientIds.length,
+        changed_opportunities: opportunityIds.length,
+        full_scan_pairs: fullScanPairs,
+        speedup: fullScanPairs && stats.pairs_evaluated > 0
+          ? Math.round((fullScanPairs / stats.pairs_evaluated) * 10) / 10
+          : null
+      };
+    }
+  });
+}
+
+/**
+ * Collapse change-log rows into distinct client and opportunity IDs.
+ *
+ * @param {Object[]} changes - Rows of { entity_type, entity_id }
+ * @returns {{ clientIds: string[], opportunityIds: string[] }}
+ */
+export function summarizeChanges(changes = []) {
+  const clientIds = new Set();
+  const opportunityIds = new Set();
+  for (const change of changes) {
+    if (change.entity_type === 'client') clientIds.add(change.entity_id);
+    else if (change.entity_type === 'opportunity') opportunityIds.add(change.entity_id);
+  }
+  return { clientIds: [...clientIds], opportunityIds: [...opportunityIds] };
+}
+
+/**
+ * Split changed entities into non-overlapping evaluation passes:
+ * changed clients × all opportunities, then unchanged clients × changed opportunities.
+ *
+ * @param {string[]} clientIds - Changed client IDs
+ * @param {string[]} opportunityIds - Changed opportunity IDs
+ * @returns {Object[]} Scopes for runMatchComputation
+ */
+export function planIncrementalPasses(clientIds, opportunityIds) {
+  const passes = [];
+  if (clientIds.length) {
+    passes.push({ clientIds });
+  }
+  if (opportunityIds.length) {
+    passes.push({ opportunityIds, excludeClientIds: clientIds });
+  }
+  return passes;
+}
+
+/**
+ * Number of pairs a full scan would evaluate right now.
+ */
+async function countFullScanPairs(supabase) {
+  const [{ count: clientCount, error: clientError }, { count: oppCount, error: oppError }] = await Promise.all([
+    supabase.from('clients').select('id', { count: 'exact', head: true }),
+    supabase
+      .from('funding_opportunities')
+      .select('id', { count: 'exact', head: true })
+      .not('status', 'ilike', 'closed')
+      .or('promotion_status.is.null,promotion_status.eq.promoted')
+  ]);
+  if (clientError || oppError) {
+    console.warn('[ComputeMatches] Failed to count full scan pairs:', (clientError || oppError).message);
+    return null;
+  }
+  return (clientCount || 0) * (oppCount || 0);
+}
+
+/**
+ * Fetch opportunities eligible for matching, with coverage_area_ids attached.
+ * Shared by the computation engine and the what-if simulator.
+ *
+ * Open = status not Closed (in any case; the status function writes
+ * 'Closed'), promoted or null promotion_status. Exhausted programs are still
+ * returned so evaluateMatch drops them and their existing matches are marked
+ * stale.
+ *
+ * @param {Object} supabase - Supabase client with service_role key
+ * @param {Object} [options]
+ * @param {string[]} [options.opportunityIds] - Restrict to these opportunities
+ * @returns {Promise<Object[]>} Opportunities with coverage_area_ids
+ */
+export async function loadMatchableOpportunities(supabase, { opportunityIds } = {}) {
+  let oppQuery = supabase
+    .from('funding_opportunities')
+    .select('id, title, agency_name, funding_type, eligible_applicants, eligible_project_types, eligible_activities, is_national, minimum_award, maximum_award, total_funding_available, funding_status, funding_note, application_window_type, incentive_structure, cost_share_required, cost_share_percentage')
+    .not('status', 'ilike', 'closed')
+    .or('promotion_status.is.null,promotion_status.eq.promoted')
+    .limit(10000);
+  if (opportunityIds?.length) {
+    oppQuery = oppQuery.in('id', opportunityIds);
+  }
+  const { data: opportunities, error: oppError } = await oppQuery;
+  if (oppError) throw new Error(`Failed to fetch opportunities: ${oppError.message}`);
+  if (!opportunities?.length) return [];
+
+  // For full runs, fetch all coverage links (avoids URL length limit with large ID lists).
+  // For scoped runs, filter by the specific opportunity IDs.
+  let coverageQuery = supabase
+    .from('opportunity_coverage_areas')
+    .select('opportunity_id, coverage_area_id')
+    .limit(50000);
+  if (opportunityIds?.length) {
+    coverageQuery = coverageQuery.in('opportunity_id', opportunityIds);
+  }
+  const { data: coverageLinks, error: coverageError } = await coverageQuery;
+  if (coverageError) throw new Error(`Failed to fetch coverage areas: ${coverageError.message}`);
+
+  // Build coverage area map
+  const coverageMap = {};
+  for (const link of coverageLinks || []) {
+    if (!coverageMap[link.opportunity_id]) coverageMap[link.opportunity_id] = [];
+    coverageMap[link.opportunity_id].push(link.coverage_area_id);
+  }
+  for (const opp of opportunities) {
+    opp.coverage_area_ids = coverageMap[opp.id] || [];
+  }
+
+  return opportunities;
+}
+
+/**
+ * Core computation engine. Logs the job, evaluates each pass, and records
+ * aggregated stats.
+ *
+ * A pass is a scope evaluated as one block: its clients × its opportunities.
+ * Full and event-triggered runs have a single pass equal to the logged scope;
+ * incremental runs split the changed pairs into a client pass and an
+ * opportunity pass.
  *
  * @param {Object} supabase - Supabase client with service_role key
  * @param {Object} options
  * @param {string} options.trigger - What triggered this computation
  * @param {Object} options.scope - { clientIds?: string[], opportunityIds?: string[] }
+ * @param {Object[]} [options.passes] - Scopes to evaluate (defaults to [scope])
+ * @param {Function} [options.finalizeStats] - async (stats) => extra stats merged before logging
  * @returns {Object} stats - { new_matches, updated_matches, stale_matches, duration_ms, ... }
  */
-async function runMatchComputation(supabase, { trigger, scope }) {
+async function runMatchComputation(supabase, { trigger, scope, passes = [scope], finalizeStats }) {
   const startTime = Date.now();
 
   // Log job start
@@ -76,198 +282,46 @@ async function runMatchComputation(supabase, { trigger, scope }) {
   const jobId = jobLog?.id;
 
   try {
-    // 1. Fetch clients (limit raised from Supabase default of 1,000)
-    let clientQuery = supabase.from('clients').select('id, name, type, coverage_area_ids, project_needs').limit(10000);
-    if (scope.clientIds?.length) {
-      clientQuery = clientQuery.in('id', scope.clientIds);
-    }
-    const { data: clients, error: clientError } = await clientQuery;
-    if (clientError) throw new Error(`Failed to fetch clients: ${clientError.message}`);
-    if (!clients?.length) {
-      return finishJob(supabase, jobId, startTime, { clients_processed: 0, message: 'No clients found' });
-    }
-
-    // 2. Fetch open opportunities (non-closed, promoted or null promotion_status)
-    let oppQuery = supabase
-      .from('funding_opportunities')
-      .select('id, eligible_applicants, eligible_project_types, eligible_activities, is_national')
-      .neq('status', 'closed')
-      .or('promotion_status.is.null,promotion_status.eq.promoted')
-      .limit(10000);
-    if (scope.opportunityIds?.length) {
-      oppQuery = oppQuery.in('id', scope.opportunityIds);
-    }
-    const { data: opportunities, error: oppError } = await oppQuery;
-    if (oppError) throw new Error(`Failed to fetch opportunities: ${oppError.message}`);
-    if (!opportunities?.length) {
-      return finishJob(supabase, jobId, startTime, { clients_processed: clients.length, opportunities_evaluated: 0, message: 'No opportunities found' });
-    }
-
-    // 3. Fetch coverage areas for opportunities
-    // For full runs, fetch all coverage links (avoids URL length limit with large ID lists).
-    // For scoped runs, filter by the specific opportunity IDs.
-    let coverageQuery = supabase
-      .from('opportunity_coverage_areas')
-      .select('opportunity_id, coverage_area_id')
-      .limit(50000);
-    if (scope.opportunityIds?.length) {
-      coverageQuery = coverageQuery.in('opportunity_id', scope.opportunityIds);
-    }
-    const { data: coverageLinks, error: coverageError } = await coverageQuery;
-    if (coverageError) throw new Error(`Failed to fetch coverage areas: ${coverageError.message}`);
-
-    // Build coverage area map
-    const coverageMap = {};
-    for (const link of coverageLinks || []) {
-      if (!coverageMap[link.opportunity_id]) coverageMap[link.opportunity_id] = [];
-      coverageMap[link.opportunity_id].push(link.coverage_area_id);
-    }
-    for (const opp of opportunities) {
-      opp.coverage_area_ids = coverageMap[opp.id] || [];
-    }
-
-    // 4. Compute all matches
-    const matchRows = [];
-    for (const client of clients) {
-      for (const opportunity of opportunities) {
-        const result = evaluateMatch(client, opportunity, MATCH_DEPS);
-        if (result.isMatch) {
-          matchRows.push({
-            client_id: client.id,
-            opportunity_id: opportunity.id,
-            score: result.score,
-            match_details: result.details
-          });
-        }
-      }
-    }
-
-    // 5. Fetch existing matches for the scope (needed for delta detection)
-    let existingQuery = supabase
-      .from('client_matches')
-      .select('client_id, opportunity_id')
-      .limit(100000);
-    if (scope.clientIds?.length) {
-      existingQuery = existingQuery.in('client_id', scope.clientIds);
-    }
-    if (scope.opportunityIds?.length) {
-      existingQuery = existingQuery.in('opportunity_id', scope.opportunityIds);
-    }
-    const { data: existingMatches } = await existingQuery;
-    const existingSet = new Set(
-      (existingMatches || []).map(m => `${m.client_id}:${m.opportunity_id}`)
-    );
-
-    // Identify clients with zero prior matches (first-ever computation).
-    // Their matches are "initial", not "new" — avoids badge noise on new clients.
-    const clientsWithExistingMatches = new Set(
-      (existingMatches || []).map(m => m.client_id)
-    );
-    const firstTimeClientIds = clients
-      .map(c => c.id)
-      .filter(cid => !clientsWithExistingMatches.has(cid));
-
-    // 6. UPSERT matches in batches
-    // Excludes is_new and first_matched_at from the payload so that:
-    // - New rows get DB defaults: is_new=true, first_matched_at=NOW()
-    // - Existing rows preserve their is_new and first_matched_at values
-    // Using .upsert() instead of separate INSERT+UPDATE avoids race conditions
-    // between concurrent triggers (cron, pipeline, client CRUD).
-    const newMatchKeys = new Set();
-    let newCount = 0;
-    let updatedCount = 0;
-    const BATCH_SIZE = 500;
-    const now = new Date().toISOString();
-
-    for (let i = 0; i < matchRows.length; i += BATCH_SIZE) {
-      const batch = matchRows.slice(i, i + BATCH_SIZE);
-      const { error: upsertError } = await supabase
-        .from('client_matches')
-        .upsert(
-          batch.map(row => ({
-            client_id: row.client_id,
-            opportunity_id: row.opportunity_id,
-            score: row.score,
-            match_details: row.match_details,
-            last_matched_at: now,
-            is_stale: false,
-            stale_at: null
-          })),
-          { onConflict: 'client_id,opportunity_id' }
-        );
-      if (upsertError) throw new Error(`UPSERT failed: ${upsertError.message}`);
-
-      for (const row of batch) {
-        const key = `${row.client_id}:${row.opportunity_id}`;
-        newMatchKeys.add(key);
-        if (existingSet.has(key)) {
-          updatedCount++;
-        } else {
-          newCount++;
-        }
-      }
-    }
-
-    // 6b. For first-time clients, set is_new=false on all their matches.
-    // When a client is brand new, every match is "initial" — not a delta worth flagging.
-    if (firstTimeClientIds.length > 0) {
-      const { error: clearNewError } = await supabase
-        .from('client_matches')
-        .update({ is_new: false })
-        .in('client_id', firstTimeClientIds);
-      if (clearNewError) {
-        console.warn('[computeMatches] Failed to clear is_new for first-time clients:', clearNewError.message);
-      }
-    }
+    const algorithm = await getActiveAlgorithmVersion(supabase);
+    const clientIds = new Set();
+    const opportunityIds = new Set();
+    const stats = {
+      algorithm_version: algorithm.id,
+      clients_processed: 0,
+      opportunities_evaluated: 0,
+      pairs_evaluated: 0,
+      new_matches: 0,
+      updated_matches: 0,
+      stale_matches: 0,
+      total_active_matches: 0,
+      near_miss_matches: 0,
+      suppressed_matches: 0,
+      pinned_matches: 0,
+      exhausted_opportunities: 0
+    };
 
-    // 7. Mark stale matches (existed before but not in new computation)
-    // Only mark stale within the scope being processed
-    const staleKeys = [];
-    for (const existing of existingMatches || []) {
-      const key = `${existing.client_id}:${existing.opportunity_id}`;
-      if (!newMatchKeys.has(key)) {
-        staleKeys.push(existing);
-      }
+    for (const pass of passes) {
+      const passStats = await evaluateScope(supabase, pass, algorithm.deps);
+      passStats.clientIds.forEach(id => clientIds.add(id));
+      passStats.opportunityIds.forEach(id => opportunityIds.add(id));
+      stats.pairs_evaluated += passStats.pairs_evaluated;
+      stats.new_matches += passStats.new_matches;
+      stats.updated_matches += passStats.updated_matches;
+      stats.stale_matches += passStats.stale_matches;
+      stats.total_active_matches += passStats.total_active_matches;
+      stats.near_miss_matches += passStats.near_miss_matches;
+      stats.suppressed_matches += passStats.suppressed_matches;
+      stats.pinned_matches += passStats.pinned_matches;
+      stats.exhausted_opportunities += passStats.exhausted_opportunities;
+      if (passStats.message && passes.length === 1) stats.message = passStats.message;
     }
 
-    let staleCount = staleKeys.length;
-    if (staleKeys.length > 0) {
-      // Batch stale marking by client_id groups
-      const staleByClient = {};
-      for (const stale of staleKeys) {
-        if (!staleByClient[stale.client_id]) staleByClient[stale.client_id] = [];
-        staleByClient[stale.client_id].push(stale.opportunity_id);
-      }
-
-      for (const [clientId, oppIds] of Object.entries(staleByClient)) {
-        const { error: staleError } = await supabase
-          .from('client_matches')
-          .update({
-            is_stale: true,
-            stale_at: new Date().toISOString()
-          })
-          .eq('client_id', clientId)
-          .in('opportunity_id', oppIds)
-          .eq('is_stale', false); // Only update if not already stale
-
-        if (staleError) {
-          console.error(`[ComputeMatches] Stale marking failed for client ${clientId}:`, staleError.message);
-        }
-      }
+    stats.clients_processed = clientIds.size;
+    stats.opportunities_evaluated = opportunityIds.size;
+    if (finalizeStats) {
+      Object.assign(stats, await finalizeStats(stats));
     }
 
-    // 8. Return stats
-    const stats = {
-      clients_processed: clients.length,
-      opportunities_evaluated: opportunities.length,
-      pairs_evaluated: clients.length * opportunities.length,
-      new_matches: newCount,
-      updated_matches: updatedCount,
-      stale_matches: staleCount,
-      total_active_matches: matchRows.length,
-      duration_ms: Date.now() - startTime
-    };
-
     return finishJob(supabase, jobId, startTime, stats);
 
   } catch (error) {
@@ -288,6 +342,247 @@ async function runMatchComputation(supabase, { trigger, scope }) {
   }
 }
 
+/**
+ * Evaluate one scope: fetches data, runs evaluateMatch for each pair,
+ * UPSERTs results, and marks stale matches within the scope.
+ *
+ * @param {Object} supabase - Supabase client with service_role key
+ * @param {Object} scope - { clientIds?, opportunityIds?, excludeClientIds? }
+ * @param {Object} matchDeps - evaluateMatch deps of the algorithm version in use
+ * @returns {Object} pass stats with the evaluated clientIds and opportunityIds
+ */
+async function evaluateScope(supabase, scope, matchDeps) {
+  const emptyStats = {
+    clientIds: [],
+    opportunityIds: [],
+    pairs_evaluated: 0,
+    new_matches: 0,
+    updated_matches: 0,
+    stale_matches: 0,
+    total_active_matches: 0,
+    near_miss_matches: 0,
+    suppressed_matches: 0,
+    pinned_matches: 0,
+    exhausted_opportunities: 0
+  };
+  const excludedClients = new Set(scope.excludeClientIds || []);
+
+  // 1. Fetch clients (limit raised from Supabase default of 1,000)
+  let clientQuery = supabase.from('clients').select('id, name, type, coverage_area_ids, project_needs, budget, match_rules').limit(10000);
+  if (scope.clientIds?.length) {
+    clientQuery = clientQuery.in('id', scope.clientIds);
+  }
+  const { data: fetchedClients, error: clientError } = await clientQuery;
+  if (clientError) throw new Error(`Failed to fetch clients: ${clientError.message}`);
+  // Exclusion is applied here rather than in the query to stay under URL length limits
+  const clients = (fetchedClients || []).filter(c => !excludedClients.has(c.id));
+  if (!clients.length) {
+    return { ...emptyStats, message: 'No clients found' };
+  }
+
+  const sitesByClient = await loadClientSites(supabase, {
+    clientIds: scope.clientIds?.length ? clients.map(c => c.id) : undefined
+  });
+
+  // 2-3. Fetch open opportunities with their coverage areas
+  const opportunities = await loadMatchableOpportunities(supabase, { opportunityIds: scope.opportunityIds });
+  // An empty unscoped fetch is treated as an anomaly rather than marking every match stale.
+  // Scoped passes continue so matches for opportunities that closed go stale.
+  if (!opportunities.length && !scope.opportunityIds?.length) {
+    return { ...emptyStats, clientIds: clients.map(c => c.id), message: 'No opportunities found' };
+  }
+
+  // 4. Compute all matches
+  const matchRows = [];
+  for (const client of clients) {
+    for (const opportunity of opportunities) {
+      const result = evaluateClientSites(client, sitesByClient.get(client.id), opportunity, matchDeps);
+      if (result.tier !== 'match' && result.tier !== 'near_miss') continue;
+
+      const violations = evaluateClientRules(client.match_rules, opportunity);
+      if (violations.length > 0) {
+        // Near misses that break a rule aren't worth surfacing at all
+        if (result.tier === 'near_miss') continue;
+        matchRows.push({
+          client_id: client.id,
+          opportunity_id: opportunity.id,
+          score: result.score,
+          match_tier: 'suppressed',
+          match_details: { ...result.details, suppressedBy: violations }
+        });
+        continue;
+      }
+
+      matchRows.push({
+        client_id: client.id,
+        opportunity_id: opportunity.id,
+        score: result.score,
+        match_tier: result.tier,
+        match_details: result.details
+      });
+    }
+  }
+
+  // 5. Fetch existing matches for the scope (needed for delta detection)
+  let existingQuery = supabase
+    .from('client_matches')
+    .select('client_id, opportunity_id, match_tier, lifecycle_status')
+    .limit(100000);
+  if (scope.clientIds?.length) {
+    existingQuery = existingQuery.in('client_id', scope.clientIds);
+  }
+  if (scope.opportunityIds?.length) {
+    existingQuery = existingQuery.in('opportunity_id', scope.opportunityIds);
+  }
+  const { data: fetchedExisting } = await existingQuery;
+  const existingMatches = (fetchedExisting || []).filter(m => !excludedClients.has(m.client_id));
+  // Only full matches count toward new/updated — a near miss or suppressed
+  // match promoted to a full match is reported as new.
+  const existingSet = new Set(
+    existingMatches
+      .filter(m => (m.match_tier || 'match') === 'match')
+      .map(m => `${m.client_id}:${m.opportunity_id}`)
+  );
+
+  // Pairs in an active lifecycle status keep their last full-match row: a
+  // near-miss or suppressed result is not written over them, and they are
+  // excluded from stale marking below.
+  const pinnedKeys = new Set(
+    existingMatches
+      .filter(m => isActiveLifecycleStatus(m.lifecycle_status))
+      .map(m => `${m.client_id}:${m.opportunity_id}`)
+  );
+  const persistRows = matchRows.filter(
+    row => row.match_tier === 'match' || !pinnedKeys.has(`${row.client_id}:${row.opportunity_id}`)
+  );
+
+  // Identify clients with zero prior matches (first-ever computation).
+  // Their matches are "initial", not "new" — avoids badge noise on new clients.
+  // Only meaningful when clients are evaluated against every opportunity; in an
+  // opportunity-scoped pass, "no match in scope" says nothing about the client.
+  const clientsWithExistingMatches = new Set(
+    existingMatches.map(m => m.client_id)
+  );
+  const firstTimeClientIds = scope.opportunityIds?.length
+    ? []
+    : clients.map(c => c.id).filter(cid => !clientsWithExistingMatches.has(cid));
+
+  // 6. UPSERT matches in batches
+  // Excludes is_new and first_matched_at from the payload so that:
+  // - New rows get DB defaults: is_new=true, first_matched_at=NOW()
+  // - Existing rows preserve their is_new and first_matched_at values
+  // Using .upsert() instead of separate INSERT+UPDATE avoids race conditions
+  // between concurrent triggers (cron, pipeline, client CRUD).
+  const newMatchKeys = new Set();
+  let newCount = 0;
+  let updatedCount = 0;
+  let nearMissCount = 0;
+  let suppressedCount = 0;
+  const BATCH_SIZE = 500;
+  const now = new Date().toISOString();
+
+  for (let i = 0; i < persistRows.length; i += BATCH_SIZE) {
+    const batch = persistRows.slice(i, i + BATCH_SIZE);
+    const { error: upsertError } = await supabase
+      .from('client_matches')
+      .upsert(
+        batch.map(row => ({
+          client_id: row.client_id,
+          opportunity_id: row.opportunity_id,
+          score: row.score,
+          match_tier: row.match_tier,
+          match_details: row.match_details,
+          last_matched_at: now,
+          is_stale: false,
+          stale_at: null
+        })),
+        { onConflict: 'client_id,opportunity_id' }
+      );
+    if (upsertError) throw new Error(`UPSERT failed: ${upsertError.message}`);
+
+    for (const row of batch) {
+      const key = `${row.client_id}:${row.opportunity_id}`;
+      newMatchKeys.add(key);
+      if (row.match_tier === 'near_miss') {
+        nearMissCount++;
+      } else if (row.match_tier === 'suppressed') {
+        suppressedCount++;
+      } else if (existingSet.has(key)) {
+        updatedCount++;
+      } else {
+        newCount++;
+      }
+    }
+  }
+
+  // 6b. For first-time clients, set is_new=false on all their matches.
+  // When a client is brand new, every match is "initial" — not a delta worth flagging.
+  if (firstTimeClientIds.length > 0) {
+    const { error: clearNewError } = await supabase
+      .from('client_matches')
+      .update({ is_new: false })
+      .in('client_id', firstTimeClientIds);
+    if (clearNewError) {
+      console.warn('[computeMatches] Failed to clear is_new for first-time clients:', clearNewError.message);
+    }
+  }
+
+  // 7. Mark stale matches (existed before but not in new computation)
+  // Only mark stale within the scope being processed; pinned pairs are held
+  const staleKeys = [];
+  let pinnedCount = 0;
+  for (const existing of existingMatches) {
+    const key = `${existing.client_id}:${existing.opportunity_id}`;
+    if (newMatchKeys.has(key)) continue;
+    if (pinnedKeys.has(key)) {
+      pinnedCount++;
+    } else {
+      staleKeys.push(existing);
+    }
+  }
+
+  const staleCount = staleKeys.length;
+  if (staleKeys.length > 0) {
+    // Batch stale marking by client_id groups
+    const staleByClient = {};
+    for (const stale of staleKeys) {
+      if (!staleByClient[stale.client_id]) staleByClient[stale.client_id] = [];
+      staleByClient[stale.client_id].push(stale.opportunity_id);
+    }
+
+    for (const [clientId, oppIds] of Object.entries(staleByClient)) {
+      const { error: staleError } = await supabase
+        .from('client_matches')
+        .update({
+          is_stale: true,
+          stale_at: new Date().toISOString()
+        })
+        .eq('client_id', clientId)
+        .in('opportunity_id', oppIds)
+        .eq('is_stale', false); // Only update if not already stale
+
+      if (staleError) {
+        console.error(`[ComputeMatches] Stale marking failed for client ${clientId}:`, staleError.message);
+      }
+    }
+  }
+
+  // 8. Return pass stats
+  return {
+    clientIds: clients.map(c => c.id),
+    opportunityIds: opportunities.map(o => o.id),
+    pairs_evaluated: clients.length * opportunities.length,
+    new_matches: newCount,
+    updated_matches: updatedCount,
+    stale_matches: staleCount,
+    total_active_matches: persistRows.length - nearMissCount - suppressedCount,
+    near_miss_matches: nearMissCount,
+    suppressed_matches: suppressedCount,
+    pinned_matches: pinnedCount,
+    exhausted_opportunities: opportunities.filter(o => o.funding_status === 'exhausted').length
+  };
+}
+
 /**
  * Finalize a job log with stats.
  */
@@ -310,7 +605,14 @@ async function finishJob(supabase, jobId, startTime, stats) {
     new: stats.new_matches,
     updated: stats.updated_matches,
     stale: stats.stale_matches,
-    total: stats.total_active_matches
+    total: stats.total_active_matches,
+    nearMiss: stats.near_miss_matches,
+    suppressed: stats.suppressed_matches,
+    pinned: stats.pinned_matches,
+    ...(stats.mode === 'incremental' && {
+      pairs: `${stats.pairs_evaluated}/${stats.full_scan_pairs}`,
+      speedup: stats.speedup
+    })
   });
 
   return stats;
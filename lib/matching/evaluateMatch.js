@@ -10,8 +10,71 @@
  * 3. Project Needs — substring matching against eligible_project_types
  * 4. Activities — must include at least one "hot" activity
  *
- * Score = percentage of client's project_needs that matched (0-100)
+ * Score = percentage of client's project_needs that matched (0-100),
+ * scaled by award fit when the client has a budget tier (see evaluateAwardFit).
+ * Award fit never blocks a match — it only down-ranks mis-sized awards.
+ *
+ * Funding health (funding_status) gates and scales every pair:
+ * exhausted programs never match; oversubscribed and limited_funding programs
+ * are flagged in details.fundingHealth and down-ranked.
+ *
+ * Weighted mode (mode: 'weighted') additionally scores each criterion by
+ * CRITERION_WEIGHTS and classifies the pair into a tier:
+ *   'match'     — all 4 criteria pass (score unchanged from strict mode)
+ *   'near_miss' — exactly one criterion fails; score is the weighted score and
+ *                 details.nearMiss records which criterion failed and why
+ *   'none'      — two or more criteria fail
+ */
+
+/**
+ * Per-criterion weights used by weighted mode. Sum to 100.
+ * Project needs contributes proportionally to the share of needs matched.
+ */
+export const CRITERION_WEIGHTS = {
+  location: 30,
+  applicantType: 25,
+  projectNeeds: 30,
+  activities: 15
+};
+
+/**
+ * Maps criterion keys to the boolean flag on the details object.
+ */
+const CRITERION_FLAGS = {
+  location: 'locationMatch',
+  applicantType: 'applicantTypeMatch',
+  projectNeeds: 'projectNeedsMatch',
+  activities: 'activitiesMatch'
+};
+
+/**
+ * Award fit bands keyed on coverage ratio (award ÷ reference budget).
+ * Checked in order; the first band whose minRatio is met applies.
  */
+export const AWARD_FIT_BANDS = [
+  { fit: 'strong', minRatio: 0.25, factor: 1 },
+  { fit: 'moderate', minRatio: 0.05, factor: 0.85 },
+  { fit: 'weak', minRatio: 0.01, factor: 0.65 },
+  { fit: 'negligible', minRatio: 0, factor: 0.4 }
+];
+
+/**
+ * Funding health by funding_status. Unknown or missing status is treated as presumed_active.
+ * excluded programs never match; flag is surfaced on the match for display.
+ */
+export const FUNDING_HEALTH = {
+  verified_active: { factor: 1, flag: null, excluded: false },
+  presumed_active: { factor: 1, flag: null, excluded: false },
+  limited_funding: { factor: 0.8, flag: 'limited_funding', excluded: false },
+  oversubscribed: { factor: 0.6, flag: 'oversubscribed', excluded: false },
+  exhausted: { factor: 0, flag: 'exhausted', excluded: true }
+};
+
+/** Score factor when the minimum award exceeds the top of the client's budget tier. */
+const OVERSIZED_AWARD_FACTOR = 0.7;
+
+/** Max list items quoted in a near-miss reason before truncating. */
+const REASON_LIST_LIMIT = 3;
 
 /**
  * Normalize a type string for matching comparison.
@@ -80,9 +143,22 @@ export function matchTerms(a, b) {
  * @param {Object} deps - Injected dependencies
  * @param {string[]} deps.hotActivities - List of hot activity strings
  * @param {Function} deps.getExpandedClientTypes - Function to expand client type to synonyms/hierarchy
- * @returns {{ isMatch: boolean, score: number, details: Object }}
+ * @param {Function} deps.getExpandedProjectTypes - Function to expand a project need to its children
+ * @param {Object[]} [deps.budgetTiers] - BUDGET_TIERS from taxonomies; enables award fit scoring
+ * @param {'strict'|'weighted'} [deps.mode='strict'] - Scoring mode (see module header)
+ * @param {Function} [deps.normalizeType] - Applicant type normalizer (algorithm versions may override)
+ * @param {Function} [deps.matchTerms] - Term matcher for needs and activities (algorithm versions may override)
+ * @returns {{ isMatch: boolean, score: number, tier: 'match'|'near_miss'|'none', details: Object }}
  */
-export function evaluateMatch(client, opportunity, { hotActivities, getExpandedClientTypes, getExpandedProjectTypes }) {
+export function evaluateMatch(client, opportunity, {
+  hotActivities,
+  getExpandedClientTypes,
+  getExpandedProjectTypes,
+  budgetTiers = [],
+  mode = 'strict',
+  normalizeType: normalize = normalizeType,
+  matchTerms: termsMatch = matchTerms
+}) {
   const details = {
     locationMatch: false,
     applicantTypeMatch: false,
@@ -107,9 +183,9 @@ export function evaluateMatch(client, opportunity, { hotActivities, getExpandedC
   if (opportunity.eligible_applicants && Array.isArray(opportunity.eligible_applicants)) {
     const expandedTypes = getExpandedClientTypes(client.type);
     details.applicantTypeMatch = opportunity.eligible_applicants.some(applicant => {
-      const normalizedApplicant = normalizeType(applicant);
+      const normalizedApplicant = normalize(applicant);
       return expandedTypes.some(clientType => {
-        const normalizedClient = normalizeType(clientType);
+        const normalizedClient = normalize(clientType);
         return (
           normalizedApplicant === normalizedClient ||
           normalizedApplicant.includes(normalizedClient) ||
@@ -129,7 +205,7 @@ export function evaluateMatch(client, opportunity, { hotActivities, getExpandedC
       // e.g., "HVAC Systems" → ["HVAC Systems", "Heat Pump Systems", "Boiler Systems", ...]
       const expandedNeeds = getExpandedProjectTypes(need);
       const hasMatch = opportunity.eligible_project_types.some(projectType =>
-        expandedNeeds.some(expandedNeed => matchTerms(projectType, expandedNeed))
+        expandedNeeds.some(expandedNeed => termsMatch(projectType, expandedNeed))
       );
       if (hasMatch) {
         details.matchedProjectNeeds.push(need);
@@ -142,20 +218,203 @@ export function evaluateMatch(client, opportunity, { hotActivities, getExpandedC
   if (opportunity.eligible_activities && Array.isArray(opportunity.eligible_activities)) {
     details.activitiesMatch = opportunity.eligible_activities.some(activity =>
       hotActivities.some(hotActivity =>
-        matchTerms(activity, hotActivity)
+        termsMatch(activity, hotActivity)
       )
     );
   }
 
+  // 5. Award Fit (scales the score, never blocks a match)
+  details.awardFit = evaluateAwardFit(client.budget, opportunity, budgetTiers);
+
+  // 6. Funding Health (exhausted programs never match; constrained ones are down-ranked)
+  details.fundingHealth = evaluateFundingHealth(opportunity);
+
   const isMatch = details.locationMatch &&
                   details.applicantTypeMatch &&
                   details.projectNeedsMatch &&
-                  details.activitiesMatch;
+                  details.activitiesMatch &&
+                  !details.fundingHealth.excluded;
+
+  const scoreFactor = details.awardFit.factor * details.fundingHealth.factor;
 
   let score = 0;
   if (isMatch && client.project_needs && client.project_needs.length > 0) {
-    score = Math.round((details.matchedProjectNeeds.length / client.project_needs.length) * 100);
+    const needsScore = (details.matchedProjectNeeds.length / client.project_needs.length) * 100;
+    score = Math.round(needsScore * scoreFactor);
+  }
+
+  if (mode !== 'weighted' || details.fundingHealth.excluded) {
+    return { isMatch, score, tier: isMatch ? 'match' : 'none', details };
+  }
+
+  // Weighted mode: score every criterion and keep single-criterion failures
+  const failedCriteria = Object.keys(CRITERION_FLAGS).filter(key => !details[CRITERION_FLAGS[key]]);
+  details.weightedScore = Math.round(calculateWeightedScore(client, details) * scoreFactor);
+  details.failedCriteria = failedCriteria;
+
+  if (isMatch) {
+    return { isMatch, score, tier: 'match', details };
+  }
+
+  if (failedCriteria.length === 1) {
+    const criterion = failedCriteria[0];
+    details.nearMiss = {
+      criterion,
+      reason: explainCriterionFailure(criterion, client, opportunity)
+    };
+    return { isMatch, score: details.weightedScore, tier: 'near_miss', details };
+  }
+
+  return { isMatch, score: 0, tier: 'none', details };
+}
+
+/**
+ * Weighted score (0-100) across all 4 criteria.
+ * Passing criteria contribute their full weight, except project needs which
+ * contributes in proportion to the share of client needs matched.
+ *
+ * @param {Object} client - Client record with project_needs
+ * @param {Object} details - Criterion flags from evaluateMatch
+ * @returns {number}
+ */
+export function calculateWeightedScore(client, details) {
+  let total = 0;
+  if (details.locationMatch) total += CRITERION_WEIGHTS.location;
+  if (details.applicantTypeMatch) total += CRITERION_WEIGHTS.applicantType;
+  if (details.activitiesMatch) total += CRITERION_WEIGHTS.activities;
+
+  const needCount = client.project_needs?.length || 0;
+  if (details.projectNeedsMatch && needCount > 0) {
+    total += CRITERION_WEIGHTS.projectNeeds * (details.matchedProjectNeeds.length / needCount);
   }
 
-  return { isMatch, score, details };
+  return Math.round(total);
+}
+
+/**
+ * Compare an opportunity's award size against the client's budget tier.
+ *
+ * Uses maximum_award, falling back to total_funding_available, against a
+ * reference budget (tier midpoint, or the floor for the open-ended top tier).
+ * Returns factor 1 when either side is unknown so unbudgeted clients and
+ * unpriced opportunities keep their unscaled score.
+ *
+ * @param {string|null} budget - Client budget tier key (clients.budget)
+ * @param {Object} opportunity - Opportunity with minimum_award, maximum_award, total_funding_available
+ * @param {Object[]} budgetTiers - BUDGET_TIERS from taxonomies
+ * @returns {{ fit: string, factor: number, coverageRatio: number|null, explanation: string|null }}
+ */
+export function evaluateAwardFit(budget, opportunity, budgetTiers = []) {
+  const tier = budgetTiers.find(t => t.key === budget);
+  if (!tier) {
+    return { fit: 'unknown', factor: 1, coverageRatio: null, explanation: null };
+  }
+
+  const maxAward = Number(opportunity.maximum_award) || null;
+  const totalFunding = Number(opportunity.total_funding_available) || null;
+  const awardCeiling = maxAward || totalFunding;
+  const minAward = Number(opportunity.minimum_award) || null;
+
+  if (!awardCeiling) {
+    return { fit: 'unknown', factor: 1, coverageRatio: null, explanation: 'No award amount listed' };
+  }
+
+  if (tier.max && minAward && minAward > tier.max) {
+    return {
+      fit: 'oversized',
+      factor: OVERSIZED_AWARD_FACTOR,
+      coverageRatio: null,
+      explanation: `min award ${formatAwardAmount(minAward)} exceeds ${tier.label} budget`
+    };
+  }
+
+  const referenceBudget = tier.max ? (tier.min + tier.max) / 2 : tier.min;
+  const coverageRatio = awardCeiling / referenceBudget;
+  const band = AWARD_FIT_BANDS.find(b => coverageRatio >= b.minRatio);
+  const awardLabel = maxAward ? 'max award' : 'total funding';
+
+  return {
+    fit: band.fit,
+    factor: band.factor,
+    coverageRatio: Math.round(coverageRatio * 10000) / 10000,
+    explanation: `${awardLabel} covers ${formatCoveragePercent(coverageRatio)} of budget`
+  };
+}
+
+/**
+ * Assess an opportunity's funding health from funding_status and application_window_type.
+ *
+ * Rolling programs are reported with isRolling so consumers treat them as
+ * always-open rather than as missing a deadline.
+ *
+ * @param {Object} opportunity - Opportunity with funding_status, application_window_type, funding_note
+ * @returns {{ status: string, windowType: string|null, isRolling: boolean, flag: string|null, factor: number, excluded: boolean, note: string|null }}
+ */
+export function evaluateFundingHealth(opportunity) {
+  const status = FUNDING_HEALTH[opportunity.funding_status] ? opportunity.funding_status : 'presumed_active';
+  const health = FUNDING_HEALTH[status];
+  const windowType = opportunity.application_window_type || null;
+
+  return {
+    status,
+    windowType,
+    isRolling: windowType === 'rolling',
+    flag: health.flag,
+    factor: health.factor,
+    excluded: health.excluded,
+    note: opportunity.funding_note || null
+  };
+}
+
+/**
+ * Compact dollar label, e.g. $1.5M, $250K.
+ */
+export function formatAwardAmount(amount) {
+  if (amount >= 1000000) return `$${Math.round(amount / 100000) / 10}M`;
+  if (amount >= 1000) return `$${Math.round(amount / 1000)}K`;
+  return `$${amount}`;
+}
+
+function formatCoveragePercent(ratio) {
+  const percent = ratio * 100;
+  if (percent >= 10) return `${Math.round(percent)}%`;
+  if (percent >= 0.1) return `${Math.round(percent * 10) / 10}%`;
+  return '<0.1%';
+}
+
+/**
+ * Human-readable explanation of why a single criterion failed.
+ *
+ * @param {string} criterion - One of the CRITERION_WEIGHTS keys
+ * @param {Object} client - Client record
+ * @param {Object} opportunity - Opportunity record
+ * @returns {string}
+ */
+export function explainCriterionFailure(criterion, client, opportunity) {
+  switch (criterion) {
+    case 'location':
+      return opportunity.coverage_area_ids?.length
+        ? 'Opportunity coverage areas do not include the client location'
+        : 'Opportunity has no coverage areas and is not national';
+    case 'applicantType':
+      return opportunity.eligible_applicants?.length
+        ? `Client type "${client.type || 'unknown'}" not among eligible applicants: ${formatReasonList(opportunity.eligible_applicants)}`
+        : 'Opportunity lists no eligible applicants';
+    case 'projectNeeds':
+      return client.project_needs?.length
+        ? `None of the client's project needs (${formatReasonList(client.project_needs)}) match eligible project types`
+        : 'Client has no project needs';
+    case 'activities':
+      return opportunity.eligible_activities?.length
+        ? `No hot activity among eligible activities: ${formatReasonList(opportunity.eligible_activities)}`
+        : 'Opportunity lists no eligible activities';
+    default:
+      return `Criterion "${criterion}" did not match`;
+  }
+}
+
+function formatReasonList(items) {
+  const shown = items.slice(0, REASON_LIST_LIMIT).join(', ');
+  const remaining = items.length - REASON_LIST_LIMIT;
+  return remaining > 0 ? `${shown} (+${remaining} more)` : shown;
 }
@@ -0,0 +1,419 @@
+/**
+ * Hidden-match analysis
+ *
+ * Learns from the matches users hide (hidden_matches) to find systematic
+ * false positives. Every full match ever persisted for a client is broken down
+ * into opportunity attributes — agency, funding type, incentive structure,
+ * activities, the project types that matched and the applicant type that
+ * matched through taxonomy expansion — and hide rates are aggregated per
+ * client type and attribute value, e.g. "Hospitals hide 80% of matches with
+ * activity 'Maintenance'".
+ *
+ * Findings above the thresholds carry a proposed fix: a client match rule
+ * (clientRules.js) for agency / funding type / incentive structure, or a
+ * taxonomy change (constants/taxonomies.js) for activities, project type
+ * hierarchy and client type expansion. Nothing is applied automatically;
+ * results are stored in hidden_match_analyses for review on /admin/matching/hides.
+ */
+
+import { normalizeType, matchTerms } from './evaluateMatch.js';
+import { TAXONOMIES, getExpandedClientTypes, getExpandedProjectTypes } from '../constants/taxonomies.js';
+
+/** Minimum hidden pairs before a group is reported. */
+export const MIN_HIDDEN = 3;
+
+/** Minimum share of a group's matches that were hidden. */
+export const MIN_HIDE_RATE = 0.5;
+
+export const HIDE_DIMENSIONS = {
+  agency: 'Agency',
+  funding_type: 'Funding Type',
+  incentive_structure: 'Incentive Structure',
+  activity: 'Activity',
+  project_type: 'Project Type',
+  applicant_type: 'Applicant Type'
+};
+
+/** Client rule that excludes each opportunity attribute (see clientRules.js). */
+const RULE_BY_DIMENSION = {
+  agency: 'excluded_agencies',
+  funding_type: 'excluded_funding_types',
+  incentive_structure: 'excluded_incentive_structures'
+};
+
+const REASON_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'client', 'do', 'does', 'for', 'from',
+  'has', 'have', 'in', 'is', 'it', 'its', 'match', 'not', 'of', 'on', 'or', 'our', 'so', 'that',
+  'the', 'their', 'them', 'they', 'this', 'to', 'too', 'was', 'we', 'with'
+]);
+
+/**
+ * Run the analysis and store the result.
+ *
+ * @param {Object} supabase - Supabase client with service_role key
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy] - User ID of the admin who started the run
+ * @returns {Promise<Object>} The stored analysis row
+ */
+export async function runHideAnalysis(supabase, { requestedBy = null } = {}) {
+  const startTime = Date.now();
+
+  const { data: analysis, error: insertError } = await supabase
+    .from('hidden_match_analyses')
+    .insert({ requested_by: requestedBy, status: 'running' })
+    .select('id')
+    .single();
+  if (insertError) throw new Error(`Failed to create hide analysis: ${insertError.message}`);
+
+  try {
+    const [clientsResult, matchesResult, hiddenResult, oppsResult] = await Promise.all([
+      supabase.from('clients').select('id, type, project_needs').limit(10000),
+      supabase
+        .from('client_matches')
+        .select('client_id, opportunity_id, matched_needs:match_details->matchedProjectNeeds')
+        .eq('match_tier', 'match')
+        .limit(100000),
+      supabase.from('hidden_matches').select('client_id, opportunity_id, reason').limit(100000),
+      supabase
+        .from('funding_opportunities')
+        .select('id, agency_name, funding_type, incentive_structure, eligible_activities, eligible_project_types, eligible_applicants')
+        .limit(10000)
+    ]);
+    for (const [label, result] of [['clients', clientsResult], ['matches', matchesResult], ['hidden matches', hiddenResult], ['opportunities', oppsResult]]) {
+      if (result.error) throw new Error(`Failed to fetch ${label}: ${result.error.message}`);
+    }
+
+    const observations = buildObservations(
+      clientsResult.data || [],
+      oppsResult.data || [],
+      matchesResult.data || [],
+      hiddenResult.data || []
+    );
+    const { summary, findings } = analyzeObservations(observations);
+    summary.duration_ms = Date.now() - startTime;
+
+    const { data: completed, error: updateError } = await supabase
+      .from('hidden_match_analyses')
+      .update({
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+        summary,
+        findings
+      })
+      .eq('id', analysis.id)
+      .select()
+      .single();
+    if (updateError) throw new Error(`Failed to store hide analysis: ${updateError.message}`);
+
+    console.log(`[HideAnalysis] ${summary.hidden_pairs}/${summary.matched_pairs} pairs hidden, ${findings.length} findings (${summary.duration_ms}ms)`);
+    return completed;
+
+  } catch (error) {
+    await supabase
+      .from('hidden_match_analyses')
+      .update({
+        status: 'failed',
+        completed_at: new Date().toISOString(),
+        error: error.message
+      })
+      .eq('id', analysis.id);
+    console.error('[HideAnalysis] Failed:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * One observation per client-opportunity pair that was ever a full match or
+ * was hidden. Pairs whose client or opportunity no longer exists are skipped.
+ *
+ * @param {Object[]} clients - { id, type, project_needs }
+ * @param {Object[]} opportunities
+ * @param {Object[]} matchRows - client_matches { client_id, opportunity_id, matched_needs }
+ * @param {Object[]} hiddenRows - hidden_matches { client_id, opportunity_id, reason }
+ * @returns {Object[]} { client_id, client_type, hidden, reason, attributes }
+ */
+export function buildObservations(clients, opportunities, matchRows, hiddenRows) {
+  const clientById = new Map(clients.map(c => [c.id, c]));
+  const oppById = new Map(opportunities.map(o => [o.id, o]));
+  const hiddenByKey = new Map(hiddenRows.map(h => [`${h.client_id}:${h.opportunity_id}`, h]));
+
+  const pairs = new Map();
+  for (const row of matchRows) {
+    pairs.set(`${row.client_id}:${row.opportunity_id}`, row);
+  }
+  for (const row of hiddenRows) {
+    const key = `${row.client_id}:${row.opportunity_id}`;
+    if (!pairs.has(key)) pairs.set(key, { client_id: row.client_id, opportunity_id: row.opportunity_id });
+  }
+
+  const observations = [];
+  for (const [key, pair] of pairs) {
+    const client = clientById.get(pair.client_id);
+    const opportunity = oppById.get(pair.opportunity_id);
+    if (!client?.type || !opportunity) continue;
+
+    const hidden = hiddenByKey.get(key);
+    observations.push({
+      client_id: client.id,
+      client_type: client.type,
+      hidden: Boolean(hidden),
+      reason: hidden?.reason?.trim() || null,
+      attributes: extractAttributes(client, opportunity, pair.matched_needs)
+    });
+  }
+  return observations;
+}
+
+/**
+ * Opportunity attributes that could explain why a pair was hidden.
+ * Project types and applicant types record `via` when they only matched
+ * through taxonomy expansion, since that expansion is what a fix would change.
+ *
+ * @param {Object} client - { type, project_needs }
+ * @param {Object} opportunity
+ * @param {string[]|null} matchedNeeds - match_details.matchedProjectNeeds, when persisted
+ * @returns {Array<{ dimension: string, value: string, via: string|null }>}
+ */
+export function extractAttributes(client, opportunity, matchedNeeds = null) {
+  const attributes = [];
+  const add = (dimension, value, via = null) => {
+    if (typeof value === 'string' && value.trim()) {
+      attributes.push({ dimension, value: value.trim(), via });
+    }
+  };
+
+  add('agency', opportunity.agency_name);
+  add('funding_type', opportunity.funding_type);
+  add('incentive_structure', opportunity.incentive_structure);
+  for (const activity of opportunity.eligible_activities || []) {
+    add('activity', activity);
+  }
+
+  // Project types: only those that matched one of the client's needs
+  const needs = matchedNeeds || client.project_needs || [];
+  for (const projectType of opportunity.eligible_project_types || []) {
+    if (needs.some(need => matchTerms(projectType, need))) {
+      add('project_type', projectType);
+      continue;
+    }
+    const via = needs.find(need =>
+      getExpandedProjectTypes(need).some(expanded => matchTerms(projectType, expanded))
+    );
+    if (via) add('project_type', projectType, via);
+  }
+
+  // Applicant type: only when the client qualifies solely through expansion
+  const clientType = normalizeType(client.type);
+  const applicants = (opportunity.eligible_applicants || []).map(a => [a, normalizeType(a)]);
+  if (!applicants.some(([, normalized]) => termsOverlap(normalized, clientType))) {
+    const expandedTypes = getExpandedClientTypes(client.type).filter(t => normalizeType(t) !== clientType);
+    for (const [applicant, normalized] of applicants) {
+      const via = expandedTypes.find(t => termsOverlap(normalized, normalizeType(t)));
+      if (via) add('applicant_type', applicant, via);
+    }
+  }
+
+  return attributes;
+}
+
+/** Same containment check evaluateMatch uses for applicant types. */
+function termsOverlap(a, b) {
+  return a === b || a.includes(b) || b.includes(a);
+}
+
+/**
+ * Aggregate observations into per-client-type hide rates and findings.
+ *
+ * @param {Object[]} observations - From buildObservations
+ * @param {Object} [options]
+ * @param {number} [options.minHidden]
+ * @param {number} [options.minRate]
+ * @returns {{ summary: Object, findings: Object[] }}
+ */
+export function analyzeObservations(observations, { minHidden = MIN_HIDDEN, minRate = MIN_HIDE_RATE } = {}) {
+  const typeTotals = new Map();
+  const groups = new Map();
+
+  for (const obs of observations) {
+    if (!typeTotals.has(obs.client_type)) typeTotals.set(obs.client_type, { matched: 0, hidden: 0 });
+    const totals = typeTotals.get(obs.client_type);
+    totals.matched++;
+    if (obs.hidden) totals.hidden++;
+
+    // A pair counts once per group even if e.g. two activities normalize alike
+    const seen = new Set();
+    for (const attr of obs.attributes) {
+      const key = [obs.client_type, attr.dimension, attr.value.toLowerCase(), attr.via || ''].join('|');
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          client_type: obs.client_type,
+          dimension: attr.dimension,
+          value: attr.value,
+          via: attr.via,
+          matched: 0,
+          hidden: 0,
+          clientIds: new Set(),
+          hiddenClientIds: new Set(),
+          reasons: []
+        });
+      }
+      const group = groups.get(key);
+      group.matched++;
+      group.clientIds.add(obs.client_id);
+      if (obs.hidden) {
+        group.hidden++;
+        group.hiddenClientIds.add(obs.client_id);
+        if (obs.reason) group.reasons.push(obs.reason);
+      }
+    }
+  }
+
+  const findings = [];
+  for (const group of groups.values()) {
+    const hideRate = group.hidden / group.matched;
+    if (group.hidden < minHidden || hideRate < minRate) continue;
+
+    const baseline = typeTotals.get(group.client_type);
+    const baselineRate = baseline.hidden / baseline.matched;
+    const finding = {
+      key: group.key,
+      client_type: group.client_type,
+      dimension: group.dimension,
+      value: group.value,
+      via: group.via,
+      matched: group.matched,
+      hidden: group.hidden,
+      hide_rate: round(hideRate),
+      baseline_hide_rate: round(baselineRate),
+      lift: baselineRate > 0 ? round(hideRate / baselineRate) : null,
+      client_count: group.clientIds.size,
+      hiding_client_count: group.hiddenClientIds.size,
+      reason_terms: extractReasonTerms(group.reasons),
+      sample_reasons: [...new Set(group.reasons)].slice(0, 3)
+    };
+    finding.suggestion = suggestFix(finding, [...group.clientIds]);
+    findings.push(finding);
+  }
+
+  // Strongest signal first: many hides at a high rate
+  findings.sort((a, b) => (b.hidden * b.hide_rate) - (a.hidden * a.hide_rate));
+
+  const hiddenObservations = observations.filter(o => o.hidden);
+  const summary = {
+    matched_pairs: observations.length,
+    hidden_pairs: hiddenObservations.length,
+    hidden_with_reason: hiddenObservations.filter(o => o.reason).length,
+    overall_hide_rate: observations.length ? round(hiddenObservations.length / observations.length) : 0,
+    client_types: Object.fromEntries(
+      [...typeTotals].map(([type, totals]) => [type, { ...totals, hide_rate: round(totals.hidden / totals.matched) }])
+    ),
+    findings: findings.length,
+    suggestions: findings.filter(f => f.suggestion).length,
+    thresholds: { min_hidden: minHidden, min_rate: minRate }
+  };
+
+  return { summary, findings };
+}
+
+/**
+ * Propose a concrete fix for a finding, or null when the attribute has no
+ * rule or taxonomy lever (e.g. a non-hot activity, or a project type the
+ * client selected directly).
+ *
+ * @param {Object} finding
+ * @param {string[]} clientIds - Clients of the type that matched the value
+ * @returns {Object|null} { kind: 'client_rule'|'taxonomy', target, value, text, client_ids? }
+ */
+export function suggestFix(finding, clientIds = []) {
+  const { dimension, value, via, client_type: clientType } = finding;
+  const percent = `${Math.round(finding.hide_rate * 100)}%`;
+
+  const rule = RULE_BY_DIMENSION[dimension];
+  if (rule) {
+    return {
+      kind: 'client_rule',
+      target: rule,
+      value,
+      client_ids: clientIds,
+      text: `Add "${value}" to ${rule.replace(/_/g, ' ')} for the ${clientIds.length} ${clientType} client(s) matching it (${percent} hidden)`
+    };
+  }
+
+  if (dimension === 'activity') {
+    const hot = TAXONOMIES.ELIGIBLE_ACTIVITIES.hot.find(h => matchTerms(value, h));
+    if (!hot) return null;
+    return {
+      kind: 'taxonomy',
+      target: 'ELIGIBLE_ACTIVITIES.hot',
+      value: hot,
+      text: `"${hot}" counts as a hot activity, but ${clientType} clients hide ${percent} of matches listing "${value}" — consider moving it to strong`
+    };
+  }
+
+  if (dimension === 'project_type' && via) {
+    return {
+      kind: 'taxonomy',
+      target: `PROJECT_TYPE_HIERARCHY["${via}"]`,
+      value,
+      text: `"${value}" is matched by expanding "${via}"; ${clientType} clients hide ${percent} of those matches — consider removing it from the "${via}" hierarchy`
+    };
+  }
+
+  if (dimension === 'applicant_type' && via) {
+    return {
+      kind: 'taxonomy',
+      target: findClientTypeExpansionSource(clientType, via),
+      value: via,
+      text: `${clientType} clients only qualify as "${value}" through the "${via}" expansion and hide ${percent} of those matches — consider dropping "${via}" from the ${clientType} expansion`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Which taxonomy table adds `via` to a client type's expansion.
+ * Mirrors the three steps of getExpandedClientTypes.
+ */
+function findClientTypeExpansionSource(clientType, via) {
+  const lower = s => s.toLowerCase();
+  for (const [type, categories] of Object.entries(TAXONOMIES.CLIENT_TYPE_CROSS_CATEGORIES)) {
+    if (categories.includes(via) && getExpandedClientTypes(clientType).some(t => lower(t) === lower(type))) {
+      return `CLIENT_TYPE_CROSS_CATEGORIES["${type}"]`;
+    }
+  }
+  if (TAXONOMIES.CLIENT_TYPE_HIERARCHY[via]) {
+    return `CLIENT_TYPE_HIERARCHY["${via}"]`;
+  }
+  return 'CLIENT_TYPE_SYNONYMS';
+}
+
+/**
+ * Most frequent words across free-text hide reasons.
+ *
+ * @param {string[]} reasons
+ * @param {number} [limit=5]
+ * @returns {Array<{ term: string, count: number }>}
+ */
+export function extractReasonTerms(reasons, limit = 5) {
+  const counts = new Map();
+  for (const reason of reasons) {
+    // Count each word once per reason so one long rant doesn't dominate
+    const words = new Set(
+      reason.toLowerCase().split(/[^a-z0-9']+/).filter(w => w.length > 2 && !REASON_STOPWORDS.has(w))
+    );
+    for (const word of words) counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term, count]) => ({ term, count }));
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
@@ -0,0 +1,83 @@
+/**
+ * Match lifecycle tracking
+ *
+ * A client-opportunity pair can be tracked through the statuses below.
+ * The current status lives on client_matches.lifecycle_status (NULL = untracked)
+ * and every transition is recorded in match_lifecycle_events.
+ *
+ * Active statuses pin the pair: computeMatches.js never marks a pinned pair
+ * stale and never downgrades it to a near miss or suppressed row, so work in
+ * progress (and award records) can't disappear when an opportunity closes or
+ * its data changes.
+ */
+
+export const MATCH_LIFECYCLE_STATUSES = [
+  { key: 'reviewing', label: 'Reviewing' },
+  { key: 'pursuing', label: 'Pursuing' },
+  { key: 'application_submitted', label: 'Application Submitted' },
+  { key: 'awarded', label: 'Awarded' },
+  { key: 'declined', label: 'Declined' },
+  { key: 'not_pursued', label: 'Not Pursued' }
+];
+
+/** Statuses exempt from stale marking. */
+export const ACTIVE_LIFECYCLE_STATUSES = ['reviewing', 'pursuing', 'application_submitted', 'awarded'];
+
+const STATUS_KEYS = MATCH_LIFECYCLE_STATUSES.map(s => s.key);
+
+/**
+ * Whether a client_matches row is pinned by its lifecycle status.
+ *
+ * @param {string|null} status - client_matches.lifecycle_status
+ * @returns {boolean}
+ */
+export function isActiveLifecycleStatus(status) {
+  return ACTIVE_LIFECYCLE_STATUSES.includes(status);
+}
+
+/**
+ * Display label for a status key.
+ *
+ * @param {string|null} status
+ * @returns {string|null}
+ */
+export function getLifecycleLabel(status) {
+  return MATCH_LIFECYCLE_STATUSES.find(s => s.key === status)?.label || null;
+}
+
+/**
+ * Validate a lifecycle update from an API request body.
+ * A null status clears tracking. awardedAmount is required for 'awarded'
+ * and ignored for every other status.
+ *
+ * @param {Object} input
+ * @param {string|null} input.status
+ * @param {number|string|null} [input.awardedAmount]
+ * @param {string|null} [input.note]
+ * @returns {{ update: { status: string|null, awardedAmount: number|null, note: string|null }|null, error: string|null }}
+ */
+export function normalizeLifecycleUpdate({ status, awardedAmount, note } = {}) {
+  if (status !== null && !STATUS_KEYS.includes(status)) {
+    return { update: null, error: `Invalid lifecycle status. Must be one of: ${STATUS_KEYS.join(', ')}` };
+  }
+
+  let amount = null;
+  if (status === 'awarded') {
+    if (awardedAmount === undefined || awardedAmount === null || awardedAmount === '') {
+      return { update: null, error: 'awardedAmount is required when status is awarded' };
+    }
+    amount = Number(awardedAmount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      return { update: null, error: 'awardedAmount must be a non-negative number' };
+    }
+  }
+
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    return { update: null, error: 'note must be a string' };
+  }
+
+  return {
+    update: { status, awardedAmount: amount, note: note?.trim() || null },
+    error: null
+  };
+}
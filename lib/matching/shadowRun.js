@@ -0,0 +1,199 @@
+/**
+ * Shadow-mode comparison of matching algorithm versions
+ *
+ * Evaluates every client against all open opportunities under both the
+ * active version and a candidate version, without writing client_matches.
+ * Both sides run on the same live data, so the diff isolates the algorithm
+ * change from data drift. Pairs a client rule suppresses are left out, as
+ * they are stored as suppressed under either version. The result is stored in
+ * match_shadow_reports for admin review before the candidate is promoted.
+ */
+
+import { evaluateClientSites, loadClientSites } from './clientSites.js';
+import { loadMatchableOpportunities } from './computeMatches.js';
+import { evaluateClientRules } from './clientRules.js';
+import { getActiveAlgorithmVersion, getAlgorithmVersion } from './algorithmVersions.js';
+
+/** Criterion keys and their flags on evaluateMatch details. */
+const CRITERIA = {
+  location: 'locationMatch',
+  applicantType: 'applicantTypeMatch',
+  projectNeeds: 'projectNeedsMatch',
+  activities: 'activitiesMatch'
+};
+
+/** Attribution when no criterion flag changed (e.g. funding health or scoring inputs). */
+const OTHER_CRITERION = 'other';
+
+/**
+ * Run a shadow comparison and store the report.
+ *
+ * @param {Object} supabase - Supabase client with service_role key
+ * @param {Object} options
+ * @param {string} options.candidateVersion - Version ID to compare against the active version
+ * @param {string} [options.requestedBy] - User ID of the admin who started the run
+ * @returns {Promise<Object>} The stored report row
+ */
+export async function runShadowComparison(supabase, { candidateVersion, requestedBy = null }) {
+  const candidate = getAlgorithmVersion(candidateVersion);
+  if (!candidate) {
+    throw new Error(`Unknown match algorithm version: ${candidateVersion}`);
+  }
+  const baseline = await getActiveAlgorithmVersion(supabase);
+  const startTime = Date.now();
+
+  const { data: report, error: insertError } = await supabase
+    .from('match_shadow_reports')
+    .insert({
+      baseline_version: baseline.id,
+      candidate_version: candidate.id,
+      requested_by: requestedBy,
+      status: 'running'
+    })
+    .select('id')
+    .single();
+  if (insertError) throw new Error(`Failed to create shadow report: ${insertError.message}`);
+
+  try {
+    const { data: clients, error: clientError } = await supabase
+      .from('clients')
+      .select('id, name, type, coverage_area_ids, project_needs, budget, match_rules')
+      .limit(10000);
+    if (clientError) throw new Error(`Failed to fetch clients: ${clientError.message}`);
+
+    const opportunities = await loadMatchableOpportunities(supabase);
+    const sitesByClient = await loadClientSites(supabase);
+    const { summary, clientDiffs } = compareVersions(clients || [], opportunities, baseline.deps, candidate.deps, sitesByClient);
+    summary.duration_ms = Date.now() - startTime;
+
+    const { data: completed, error: updateError } = await supabase
+      .from('match_shadow_reports')
+      .update({
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+        summary,
+        client_diffs: clientDiffs
+      })
+      .eq('id', report.id)
+      .select()
+      .single();
+    if (updateError) throw new Error(`Failed to store shadow report: ${updateError.message}`);
+
+    console.log(`[ShadowRun] ${baseline.id} → ${candidate.id}: +${summary.gained} / -${summary.lost} across ${summary.clients_affected} clients (${summary.duration_ms}ms)`);
+    return completed;
+
+  } catch (error) {
+    await supabase
+      .from('match_shadow_reports')
+      .update({
+        status: 'failed',
+        completed_at: new Date().toISOString(),
+        error: error.message
+      })
+      .eq('id', report.id);
+    console.error(`[ShadowRun] Failed (${baseline.id} → ${candidate.id}):`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Evaluate all pairs under both deps and diff the full-match sets.
+ * Only the 'match' tier that computeMatches would store counts: near misses
+ * and pairs suppressed by the client's match_rules are not reported.
+ *
+ * @param {Object[]} clients - With match_rules
+ * @param {Object[]} opportunities - With coverage_area_ids attached
+ * @param {Object} baselineDeps - evaluateMatch deps of the active version
+ * @param {Object} candidateDeps - evaluateMatch deps of the candidate version
+ * @param {Map<string, Object[]>} [sitesByClient] - Additional sites per client
+ * @returns {{ summary: Object, clientDiffs: Object[] }}
+ */
+export function compareVersions(clients, opportunities, baselineDeps, candidateDeps, sitesByClient = new Map()) {
+  const byCriterion = {};
+  for (const key of [...Object.keys(CRITERIA), OTHER_CRITERION]) {
+    byCriterion[key] = { gained: 0, lost: 0 };
+  }
+
+  const clientDiffs = [];
+  let baselineMatches = 0;
+  let candidateMatches = 0;
+  let rescored = 0;
+
+  for (const client of clients) {
+    const gained = [];
+    const lost = [];
+
+    const sites = sitesByClient.get(client.id);
+    for (const opportunity of opportunities) {
+      // Client rules don't depend on the algorithm version
+      if (evaluateClientRules(client.match_rules, opportunity).length > 0) continue;
+
+      const before = evaluateClientSites(client, sites, opportunity, baselineDeps);
+      const after = evaluateClientSites(client, sites, opportunity, candidateDeps);
+      const wasMatch = before.tier === 'match';
+      const isMatch = after.tier === 'match';
+
+      if (wasMatch) baselineMatches++;
+      if (isMatch) candidateMatches++;
+
+      if (wasMatch && isMatch) {
+        if (before.score !== after.score) rescored++;
+        continue;
+      }
+      if (wasMatch === isMatch) continue;
+
+      const criteria = attributeCriteria(before.details, after.details);
+      const entry = {
+        opportunity_id: opportunity.id,
+        title: opportunity.title || null,
+        criteria,
+        score: isMatch ? after.score : before.score
+      };
+      if (isMatch) {
+        gained.push(entry);
+        criteria.forEach(c => byCriterion[c].gained++);
+      } else {
+        lost.push(entry);
+        criteria.forEach(c => byCriterion[c].lost++);
+      }
+    }
+
+    if (gained.length || lost.length) {
+      clientDiffs.push({ client_id: client.id, client_name: client.name, gained, lost });
+    }
+  }
+
+  clientDiffs.sort((a, b) => (b.gained.length + b.lost.length) - (a.gained.length + a.lost.length));
+
+  const summary = {
+    clients_evaluated: clients.length,
+    opportunities_evaluated: opportunities.length,
+    pairs_evaluated: clients.length * opportunities.length,
+    baseline_matches: baselineMatches,
+    candidate_matches: candidateMatches,
+    gained: clientDiffs.reduce((sum, d) => sum + d.gained.length, 0),
+    lost: clientDiffs.reduce((sum, d) => sum + d.lost.length, 0),
+    rescored,
+    clients_affected: clientDiffs.length,
+    by_criterion: byCriterion
+  };
+
+  return { summary, clientDiffs };
+}
+
+/**
+ * Criteria whose pass/fail result differs between two evaluations.
+ * Falls back to 'other' when the flip came from something outside the 4
+ * criteria (e.g. funding health exclusion).
+ *
+ * @param {Object} beforeDetails - evaluateMatch details under the baseline
+ * @param {Object} afterDetails - evaluateMatch details under the candidate
+ * @returns {string[]} Criterion keys
+ */
+export function attributeCriteria(beforeDetails, afterDetails) {
+  const changed = Object.keys(CRITERIA).filter(key => {
+    const flag = CRITERIA[key];
+    return Boolean(beforeDetails?.[flag]) !== Boolean(afterDetails?.[flag]);
+  });
+  return changed.length > 0 ? changed : [OTHER_CRITERION];
+}
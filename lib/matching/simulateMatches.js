@@ -0,0 +1,78 @@
+/**
+ * What-if match simulator
+ *
+ * Evaluates a hypothetical client profile against all open opportunities
+ * on the fly. Nothing is written to clients or client_matches.
+ *
+ * Uses the active algorithm version and the same opportunity loader as
+ * computeMatches.js so simulated results match what the background job would persist.
+ */
+
+import { evaluateMatch } from './evaluateMatch.js';
+import { loadMatchableOpportunities } from './computeMatches.js';
+import { getActiveAlgorithmVersion } from './algorithmVersions.js';
+
+/**
+ * Evaluate a hypothetical profile against all open opportunities.
+ *
+ * @param {Object} supabase - Supabase client with service_role key
+ * @param {Object} profile - { type, coverage_area_ids, project_needs, budget }
+ * @param {Object} [options]
+ * @param {boolean} [options.includeNearMisses=false] - Also return near misses
+ * @returns {Promise<{ matches: Object[], nearMisses: Object[], opportunitiesEvaluated: number }>}
+ *   Each entry is { opportunity_id, score, match_tier, match_details }, sorted by score desc.
+ */
+export async function simulateMatches(supabase, profile, { includeNearMisses = false } = {}) {
+  const [opportunities, algorithm] = await Promise.all([
+    loadMatchableOpportunities(supabase),
+    getActiveAlgorithmVersion(supabase)
+  ]);
+
+  const matches = [];
+  const nearMisses = [];
+  for (const opportunity of opportunities) {
+    const result = evaluateMatch(profile, opportunity, algorithm.deps);
+    const row = {
+      opportunity_id: opportunity.id,
+      score: result.score,
+      match_tier: result.tier,
+      match_details: result.details
+    };
+    if (result.tier === 'match') {
+      matches.push(row);
+    } else if (includeNearMisses && result.tier === 'near_miss') {
+      nearMisses.push(row);
+    }
+  }
+
+  matches.sort((a, b) => b.score - a.score);
+  nearMisses.sort((a, b) => b.score - a.score);
+
+  return { matches, nearMisses, opportunitiesEvaluated: opportunities.length };
+}
+
+/**
+ * Per-need contribution to a set of matches.
+ *
+ * matchCount: matches where the need was matched.
+ * exclusiveCount: matches that would be lost if the need were removed
+ * (it is the only matched need for that opportunity).
+ *
+ * @param {string[]} projectNeeds - The profile's project needs
+ * @param {Object[]} matches - Rows with match_details.matchedProjectNeeds
+ * @returns {Array<{ need: string, matchCount: number, exclusiveCount: number }>}
+ */
+export function buildNeedImpact(projectNeeds = [], matches = []) {
+  return projectNeeds.map(need => {
+    let matchCount = 0;
+    let exclusiveCount = 0;
+    for (const match of matches) {
+      const matched = match.match_details?.matchedProjectNeeds || [];
+      if (matched.includes(need)) {
+        matchCount++;
+        if (matched.length === 1) exclusiveCount++;
+      }
+    }
+    return { need, matchCount, exclusiveCount };
+  });
+}
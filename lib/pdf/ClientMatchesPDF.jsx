@@ -8,13 +8,17 @@ import { ClientProfile } from './components/ClientProfile';
 import { PageHeader } from './components/PageHeader';
 import { PageFooter } from './components/PageFooter';
 import { OpportunityCard } from './components/OpportunityCard';
-import { sortOpportunities } from './utils/grouping';
+import { GroupHeader } from './components/ProjectNeedGroup';
+import { sortOpportunities, groupBySite } from './utils/grouping';
+import { resolveBranding, effectiveViewMode } from './utils/branding';
 
 /**
  * Client Matches PDF Document
  *
  * Main document component that assembles all parts of the PDF
- * Shows all opportunities in a flat list sorted by match score (no grouping)
+ * Shows all opportunities in a flat list sorted by match score. Multi-site
+ * clients (client.sites) get one section per site instead; an opportunity
+ * eligible at several sites is listed under each.
  *
  * @param {object} client - Client data
  * @param {Array} matches - Array of matched opportunities
@@ -22,52 +26,73 @@ import { sortOpportunities } from './utils/grouping';
  *   - viewMode: 'summary' | 'detailed' (default: 'summary')
  *   - includeCover: boolean (default: true)
  *   - sortBy: 'deadline' | 'score' | 'amount' (default: 'score')
+ * @param {object} template - Optional report_templates row (branding and sections)
  */
-export function ClientMatchesPDF({ client, matches, options = {} }) {
+export function ClientMatchesPDF({ client, matches, options = {}, template = null }) {
   const {
-    viewMode = 'summary',
     includeCover = true,
     sortBy = 'score',
   } = options;
+  const branding = resolveBranding(template);
+  const viewMode = effectiveViewMode(options.viewMode, branding);
 
   // Sort all matches (no grouping to avoid duplicates)
   const sortedMatches = sortOpportunities(matches, sortBy);
+  const siteGroups = client?.sites?.length ? groupBySite(matches, client.sites) : null;
 
   return (
     <Document
       title={`Funding Opportunities - ${client?.name || 'Client'}`}
-      author="Meridian ESG"
+      author={template?.brand_name || 'Meridian ESG'}
       subject="Funding Opportunities Report"
       creator="Meridian ESG Platform"
     >
       {/* Cover Page (optional) */}
       {includeCover && (
-        <CoverPage client={client} matches={matches} options={options} />
+        <CoverPage client={client} matches={matches} options={options} branding={branding} />
       )}
 
       {/* Content Pages - wrap allows content to flow across pages */}
       <Page size="LETTER" style={styles.page} wrap>
         {/* Fixed Header */}
-        <PageHeader clientName={client?.name} />
+        <PageHeader clientName={client?.name} branding={branding} />
 
         {/* Client Profile - keep together */}
-        <View wrap={false}>
-          <ClientProfile client={client} />
-        </View>
-
-        {/* All Opportunities - flat list sorted by match score */}
-        <View>
-          {sortedMatches.map((opportunity, index) => (
-            <OpportunityCard
-              key={opportunity.id || index}
-              opportunity={opportunity}
-              viewMode={viewMode}
-            />
-          ))}
-        </View>
+        {branding.sections.profile && (
+          <View wrap={false}>
+            <ClientProfile client={client} />
+          </View>
+        )}
+
+        {siteGroups ? (
+          /* Opportunities grouped by eligible site */
+          siteGroups.map((group) => (
+            <View key={group.siteId}>
+              <GroupHeader title={group.siteName} count={group.opportunities.length} />
+              {sortOpportunities(group.opportunities, sortBy).map((opportunity, index) => (
+                <OpportunityCard
+                  key={opportunity.id || index}
+                  opportunity={opportunity}
+                  viewMode={viewMode}
+                />
+              ))}
+            </View>
+          ))
+        ) : (
+          /* All Opportunities - flat list sorted by match score */
+          <View>
+            {sortedMatches.map((opportunity, index) => (
+              <OpportunityCard
+                key={opportunity.id || index}
+                opportunity={opportunity}
+                viewMode={viewMode}
+              />
+            ))}
+          </View>
+        )}
 
         {/* Fixed Footer */}
-        <PageFooter />
+        <PageFooter branding={branding} />
       </Page>
     </Document>
   );
@@ -78,12 +103,13 @@ export function ClientMatchesPDF({ client, matches, options = {} }) {
  *
  * Alternative layout that shows all opportunities in a flat list
  */
-export function ClientMatchesFlatPDF({ client, matches, options = {} }) {
+export function ClientMatchesFlatPDF({ client, matches, options = {}, template = null }) {
   const {
-    viewMode = 'summary',
     includeCover = true,
     sortBy = 'deadline',
   } = options;
+  const branding = resolveBranding(template);
+  const viewMode = effectiveViewMode(options.viewMode, branding);
 
   // Sort all matches
   const sortedMatches = sortOpportunities(matches, sortBy);
@@ -91,24 +117,26 @@ export function ClientMatchesFlatPDF({ client, matches, options = {} }) {
   return (
     <Document
       title={`Funding Opportunities - ${client?.name || 'Client'}`}
-      author="Meridian ESG"
+      author={template?.brand_name || 'Meridian ESG'}
       subject="Funding Opportunities Report"
       creator="Meridian ESG Platform"
     >
       {/* Cover Page (optional) */}
       {includeCover && (
-        <CoverPage client={client} matches={matches} options={options} />
+        <CoverPage client={client} matches={matches} options={options} branding={branding} />
       )}
 
       {/* Content Pages - wrap allows content to flow across pages */}
       <Page size="LETTER" style={styles.page} wrap>
         {/* Fixed Header */}
-        <PageHeader clientName={client?.name} />
+        <PageHeader clientName={client?.name} branding={branding} />
 
         {/* Client Profile - keep together */}
-        <View wrap={false}>
-          <ClientProfile client={client} />
-        </View>
+        {branding.sections.profile && (
+          <View wrap={false}>
+            <ClientProfile client={client} />
+          </View>
+        )}
 
         {/* All Opportunities - each card can wrap across pages */}
         <View>
@@ -122,7 +150,7 @@ export function ClientMatchesFlatPDF({ client, matches, options = {} }) {
         </View>
 
         {/* Fixed Footer */}
-        <PageFooter />
+        <PageFooter branding={branding} />
       </Page>
     </Document>
   );
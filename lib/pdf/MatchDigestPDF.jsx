@@ -0,0 +1,101 @@
+'use client';
+
+import React from 'react';
+import { Document, Page, View, Text } from '@react-pdf/renderer';
+import { styles, colors } from './styles/pdfStyles';
+import { PageHeader } from './components/PageHeader';
+import { PageFooter } from './components/PageFooter';
+import { formatDate, formatMatchScore } from './utils/formatters';
+
+const SECTIONS = [
+  { key: 'new', title: 'New Matches', detailLabel: 'AWARD' },
+  { key: 'closing', title: 'Deadlines Approaching', detailLabel: 'CLOSES' },
+  { key: 'stale', title: 'No Longer Matching', detailLabel: 'STOPPED MATCHING' },
+];
+
+const COLUMNS = [
+  { key: 'title', label: 'OPPORTUNITY', flex: 4 },
+  { key: 'score', label: 'SCORE', flex: 1 },
+  { key: 'detail', flex: 2 },
+];
+
+function itemDetail(section, item) {
+  if (section === 'closing') return `${formatDate(item.closeDate)} (${item.daysLeft}d)`;
+  if (section === 'stale') return formatDate(item.staleAt);
+  return item.awardRange;
+}
+
+function DigestSection({ section, items, total }) {
+  if (items.length === 0) return null;
+  return (
+    <View style={{ marginBottom: 10 }}>
+      <Text style={[styles.detailedSectionTitle, section.key === 'closing' && { color: colors.urgencyWarning }]}>
+        {section.title} ({total})
+      </Text>
+      <View style={styles.portfolioTableHeader}>
+        {COLUMNS.map((col) => (
+          <Text key={col.key} style={[styles.portfolioHeaderCell, { flex: col.flex }]}>
+            {col.label || section.detailLabel}
+          </Text>
+        ))}
+      </View>
+      {items.map((item) => (
+        <View key={item.matchId} style={styles.portfolioTableRow} wrap={false}>
+          <View style={{ flex: COLUMNS[0].flex }}>
+            <Text style={styles.portfolioItemTitle}>{item.title}</Text>
+            {item.agency ? <Text style={styles.portfolioItemMeta}>{item.agency}</Text> : null}
+          </View>
+          <Text style={[styles.portfolioCell, { flex: COLUMNS[1].flex }]}>{formatMatchScore(item.score)}</Text>
+          <Text style={[styles.portfolioCell, { flex: COLUMNS[2].flex }]}>{itemDetail(section.key, item)}</Text>
+        </View>
+      ))}
+      {total > items.length && (
+        <Text style={[styles.portfolioSectionNote, { marginTop: 4 }]}>+{total - items.length} more</Text>
+      )}
+    </View>
+  );
+}
+
+/**
+ * Match Digest PDF Document
+ *
+ * Printable copy of a match digest email (lib/services/matchDigest.js): for
+ * each client with changes, its new matches, approaching deadlines and
+ * matches that stopped matching.
+ *
+ * @param {object} digest - buildDigest() output
+ */
+export function MatchDigestPDF({ digest }) {
+  const title = `Match Digest - since ${formatDate(digest.since)}`;
+
+  return (
+    <Document
+      title={title}
+      author="Meridian ESG"
+      subject="Funding Match Digest"
+      creator="Meridian ESG Platform"
+    >
+      <Page size="LETTER" style={styles.page} wrap>
+        <PageHeader clientName={title} />
+
+        {digest.clients.map(({ client, totals, ...sections }) => (
+          <View key={client.id} style={{ marginBottom: 12 }}>
+            <Text style={styles.portfolioSectionTitle}>{client.name}</Text>
+            {SECTIONS.map((section) => (
+              <DigestSection
+                key={section.key}
+                section={section}
+                items={sections[section.key]}
+                total={totals[section.key]}
+              />
+            ))}
+          </View>
+        ))}
+
+        <PageFooter />
+      </Page>
+    </Document>
+  );
+}
+
+export default MatchDigestPDF;
@@ -0,0 +1,80 @@
+'use client';
+
+import React from 'react';
+import { Document, Page } from '@react-pdf/renderer';
+import { styles } from './styles/pdfStyles';
+import { PageHeader } from './components/PageHeader';
+import { PageFooter } from './components/PageFooter';
+import {
+  BriefingHeader,
+  BriefingKeyFacts,
+  BriefingText,
+  BriefingEligibility,
+  BriefingActionableSummary,
+  MatchingClients,
+} from './components/BriefingSections';
+import { resolveBranding } from './utils/branding';
+import { parseActionableSummary } from '@/lib/utils/actionableSummary';
+
+/**
+ * Opportunity Briefing PDF Document
+ *
+ * A one-to-two page brief on a single funding opportunity to send to a
+ * client: key facts (award range, deadlines, funding status, incentive
+ * structure), program summary, actionable summary, eligibility, and which of
+ * our clients match it and why. Uses the same report templates (branding) as
+ * the client matches PDF.
+ *
+ * @param {object} opportunity - funding_opportunities_with_geography row plus
+ *   funding_status, application_window_type and funding_note
+ * @param {Array} clientMatches - [{ client, score, matchDetails }], best first
+ * @param {object} options - Export options
+ *   - maxClients: matching clients listed (default: 10)
+ * @param {object} template - Optional report_templates row
+ */
+export function OpportunityBriefPDF({ opportunity, clientMatches = [], options = {}, template = null }) {
+  const { maxClients = 10 } = options;
+  const branding = resolveBranding(template);
+  const color = branding.primaryColor;
+  const summary = parseActionableSummary(opportunity.actionable_summary);
+
+  return (
+    <Document
+      title={`Opportunity Brief - ${opportunity.title || 'Funding Opportunity'}`}
+      author={template?.brand_name || 'Meridian ESG'}
+      subject="Funding Opportunity Brief"
+      creator="Meridian ESG Platform"
+    >
+      <Page size="LETTER" style={styles.page} wrap>
+        <PageHeader clientName="Funding Opportunity Brief" branding={branding} />
+
+        <BriefingHeader opportunity={opportunity} />
+        <BriefingKeyFacts opportunity={opportunity} accentColor={color} />
+
+        <BriefingText
+          title="Program Summary"
+          text={opportunity.program_overview || opportunity.description}
+          color={color}
+        />
+
+        {summary ? (
+          <BriefingActionableSummary summary={summary} color={color} />
+        ) : (
+          <BriefingText title="Actionable Summary" text={opportunity.actionable_summary} color={color} />
+        )}
+
+        <BriefingEligibility opportunity={opportunity} color={color} />
+
+        <MatchingClients
+          clientMatches={clientMatches.slice(0, maxClients)}
+          total={clientMatches.length}
+          color={color}
+        />
+
+        <PageFooter branding={branding} />
+      </Page>
+    </Document>
+  );
+}
+
+export default OpportunityBriefPDF;
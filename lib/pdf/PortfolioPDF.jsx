@@ -0,0 +1,106 @@
+'use client';
+
+import React from 'react';
+import { Document, Page, View } from '@react-pdf/renderer';
+import { styles } from './styles/pdfStyles';
+import { CoverPage } from './components/CoverPage';
+import { ClientProfile } from './components/ClientProfile';
+import { PageHeader } from './components/PageHeader';
+import { PageFooter } from './components/PageFooter';
+import { OpportunityCard } from './components/OpportunityCard';
+import { GroupHeader } from './components/ProjectNeedGroup';
+import { PortfolioClientTable, SharedOpportunities, DeadlineCalendar } from './components/PortfolioSections';
+import { sortOpportunities, groupByOpportunity, findSharedOpportunities, groupByDeadlineMonth } from './utils/grouping';
+
+/**
+ * Portfolio PDF Document
+ *
+ * One report for a group of clients (e.g. everyone assigned to a user or
+ * team): a cover summary, a client summary table, opportunities shared by
+ * several clients, a combined deadline calendar, then each client's profile
+ * with its top matches on its own page.
+ *
+ * @param {string} preparedFor - Who the portfolio belongs to (user or team names)
+ * @param {Array} portfolio - Array of { client, matches }, in display order
+ * @param {object} options - Export options
+ *   - viewMode: 'summary' | 'detailed' (default: 'summary')
+ *   - includeCover: boolean (default: true)
+ *   - topMatches: number of matches listed per client (default: 5)
+ *   - minSharedClients: clients an opportunity must match to count as shared (default: 2)
+ */
+export function PortfolioPDF({ preparedFor, portfolio = [], options = {} }) {
+  const {
+    viewMode = 'summary',
+    includeCover = true,
+    topMatches = 5,
+    minSharedClients = 2,
+  } = options;
+
+  const opportunities = groupByOpportunity(portfolio).map((entry) => entry.opportunity);
+  const shared = findSharedOpportunities(portfolio, minSharedClients);
+  const calendar = groupByDeadlineMonth(portfolio);
+  const title = `Portfolio - ${preparedFor || 'All Clients'}`;
+
+  return (
+    <Document
+      title={`Funding Portfolio - ${preparedFor || 'All Clients'}`}
+      author="Meridian ESG"
+      subject="Funding Portfolio Report"
+      creator="Meridian ESG Platform"
+    >
+      {/* Cover Page (optional) - stats count each opportunity once */}
+      {includeCover && (
+        <CoverPage
+          client={{ name: preparedFor || 'All Clients', type: `${portfolio.length} ${portfolio.length === 1 ? 'client' : 'clients'}` }}
+          matches={opportunities}
+          options={options}
+          title="FUNDING PORTFOLIO REPORT"
+          extraStats={[{ value: portfolio.length, label: 'Clients' }]}
+        />
+      )}
+
+      {/* Portfolio overview */}
+      <Page size="LETTER" style={styles.page} wrap>
+        <PageHeader clientName={title} />
+
+        <PortfolioClientTable portfolio={portfolio} />
+        <SharedOpportunities shared={shared} minClients={minSharedClients} />
+        <DeadlineCalendar months={calendar} />
+
+        <PageFooter />
+      </Page>
+
+      {/* Per-client top matches, one client per page */}
+      {portfolio.map(({ client, matches }) => {
+        const top = sortOpportunities(matches, 'score').slice(0, topMatches);
+        return (
+          <Page key={client.id} size="LETTER" style={styles.page} wrap>
+            <PageHeader clientName={`${title} | ${client.name}`} />
+
+            <View wrap={false}>
+              <ClientProfile client={client} />
+            </View>
+
+            <GroupHeader
+              title={matches.length > top.length ? `Top ${top.length} of ${matches.length} Matches` : 'Matches'}
+              count={top.length}
+            />
+            <View>
+              {top.map((opportunity, index) => (
+                <OpportunityCard
+                  key={opportunity.id || index}
+                  opportunity={opportunity}
+                  viewMode={viewMode}
+                />
+              ))}
+            </View>
+
+            <PageFooter />
+          </Page>
+        );
+      })}
+    </Document>
+  );
+}
+
+export default PortfolioPDF;
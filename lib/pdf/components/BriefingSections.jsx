@@ -0,0 +1,225 @@
+'use client';
+
+import React from 'react';
+import { View, Text } from '@react-pdf/renderer';
+import { styles, colors, getSourceTypeColor, getMatchScoreColors } from '../styles/pdfStyles';
+import {
+  formatDate,
+  formatDeadline,
+  formatFundingRange,
+  formatCurrency,
+  formatSourceType,
+  formatStatus,
+  formatCostShare,
+  formatFundingStatus,
+  formatIncentiveStructure,
+  formatMatchScore,
+  formatMatchReasons,
+} from '../utils/formatters';
+
+/**
+ * Sections of the single-opportunity briefing
+ *
+ * - BriefingHeader: title, agency, source and status badges
+ * - BriefingKeyFacts: award range, deadlines, funding status, incentive structure
+ * - BriefingText: titled paragraph, skipped when empty
+ * - BriefingEligibility: locations, applicant types, project types, activities
+ * - BriefingActionableSummary: the parsed VERDICT/WHO/WHAT/... summary
+ * - MatchingClients: our clients that match, with why
+ */
+
+const SUMMARY_LABELS = [
+  ['who', 'Who'],
+  ['what', 'What'],
+  ['money', 'Money'],
+  ['process', 'Process'],
+  ['criteria', 'Criteria'],
+  ['flags', 'Flags'],
+];
+
+const CLIENT_COLUMNS = [
+  { key: 'name', label: 'CLIENT', flex: 2 },
+  { key: 'score', label: 'SCORE', flex: 0.7 },
+  { key: 'reasons', label: 'WHY IT MATCHES', flex: 4 },
+];
+
+function SectionTitle({ children, color }) {
+  return <Text style={[styles.portfolioSectionTitle, color && { color }]}>{children}</Text>;
+}
+
+export function BriefingHeader({ opportunity }) {
+  const agency = opportunity.agency_name || opportunity.source_display_name || '';
+  const status = formatStatus(opportunity.status);
+
+  return (
+    <View wrap={false}>
+      <Text style={styles.briefTitle}>{opportunity.title || 'Untitled Opportunity'}</Text>
+      {agency ? <Text style={styles.briefAgency}>{agency}</Text> : null}
+      <View style={styles.summaryBadgeRow}>
+        <Text style={[styles.sourceTypeBadge, { backgroundColor: getSourceTypeColor(opportunity.source_type_display || opportunity.source_type || agency) }]}>
+          {formatSourceType(opportunity.source_type_display || opportunity.source_type, agency)}
+        </Text>
+        <Text style={[styles.statusBadge, { color: status.color, borderWidth: 1, borderColor: status.color }]}>
+          {status.text}
+        </Text>
+      </View>
+    </View>
+  );
+}
+
+export function BriefingKeyFacts({ opportunity, accentColor = colors.primary }) {
+  const deadline = formatDeadline(opportunity.close_date);
+  const fundingStatus = formatFundingStatus(opportunity.funding_status);
+  const isRolling = opportunity.application_window_type === 'rolling';
+
+  const facts = [
+    { label: 'Award Range', value: formatFundingRange(opportunity.minimum_award, opportunity.maximum_award), color: accentColor },
+    { label: 'Total Available', value: opportunity.total_funding_available ? formatCurrency(opportunity.total_funding_available, true) : 'Not specified' },
+    { label: 'Cost Share', value: formatCostShare(opportunity.cost_share_required, opportunity.cost_share_percentage) },
+    { label: 'Opens', value: opportunity.open_date ? formatDate(opportunity.open_date, 'medium') : 'Not specified' },
+    { label: 'Deadline', value: isRolling && !opportunity.close_date ? 'Rolling' : deadline.text },
+    { label: 'Funding Status', value: fundingStatus.text, color: fundingStatus.color },
+    { label: 'Funding Type', value: opportunity.funding_type || 'Not specified' },
+    { label: 'Incentive Structure', value: formatIncentiveStructure(opportunity.incentive_structure) || 'Not applicable' },
+    {
+      label: 'Coverage',
+      value: opportunity.is_national
+        ? 'National'
+        : opportunity.coverage_area_names?.slice(0, 3).join(', ') || 'Not specified',
+    },
+  ];
+
+  return (
+    <View style={styles.briefFacts} wrap={false}>
+      {facts.map((fact) => (
+        <View key={fact.label} style={styles.briefFact}>
+          <Text style={styles.detailedLabel}>{fact.label}</Text>
+          <Text style={[styles.detailedValue, fact.color && { color: fact.color, fontWeight: 'bold' }]}>{fact.value}</Text>
+        </View>
+      ))}
+      {opportunity.funding_note ? (
+        <Text style={[styles.portfolioItemMeta, { width: '100%', marginBottom: 8 }]}>{opportunity.funding_note}</Text>
+      ) : null}
+    </View>
+  );
+}
+
+export function BriefingText({ title, text, color }) {
+  if (!text) return null;
+  return (
+    <View>
+      <SectionTitle color={color}>{title}</SectionTitle>
+      <Text style={styles.detailedSectionText}>{text}</Text>
+    </View>
+  );
+}
+
+function TagList({ title, items }) {
+  if (!items?.length) return null;
+  return (
+    <View style={styles.detailedSection} wrap={false}>
+      <Text style={styles.detailedSectionTitle}>{title}</Text>
+      <View style={styles.projectNeedsContainer}>
+        {items.map((item) => (
+          <Text key={item} style={styles.projectNeedBadge}>{item}</Text>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+export function BriefingEligibility({ opportunity, color }) {
+  const locations = opportunity.is_national
+    ? ['National']
+    : opportunity.coverage_area_names?.length ? opportunity.coverage_area_names : opportunity.eligible_locations;
+  const lists = [
+    ['Locations', locations],
+    ['Eligible Applicants', opportunity.eligible_applicants],
+    ['Eligible Project Types', opportunity.eligible_project_types],
+    ['Eligible Activities', opportunity.eligible_activities],
+  ].filter(([, items]) => items?.length);
+  if (lists.length === 0) return null;
+
+  return (
+    <View>
+      <SectionTitle color={color}>Eligibility</SectionTitle>
+      {lists.map(([title, items]) => (
+        <TagList key={title} title={title} items={items} />
+      ))}
+    </View>
+  );
+}
+
+/**
+ * @param {object} summary - parseActionableSummary() output
+ */
+export function BriefingActionableSummary({ summary, color }) {
+  if (!summary) return null;
+  const score = summary.verdict?.score;
+
+  return (
+    <View>
+      <SectionTitle color={color}>Actionable Summary</SectionTitle>
+      {summary.verdict && (
+        <View style={[styles.briefVerdict, color && { borderLeftColor: color }]} wrap={false}>
+          {score !== null && score !== undefined && (
+            <Text style={[styles.briefVerdictScore, { color: color || colors.primary }]}>{score}/10</Text>
+          )}
+          <Text style={[styles.detailedSectionText, { flex: 1 }]}>{summary.verdict.description}</Text>
+        </View>
+      )}
+      {SUMMARY_LABELS.map(([key, label]) => (summary[key] ? (
+        <View key={key} style={styles.briefSummaryRow} wrap={false}>
+          <Text style={[styles.briefSummaryLabel, key === 'flags' && { color: colors.urgencyWarning }]}>{label}</Text>
+          <Text style={[styles.detailedSectionText, { flex: 1 }]}>{summary[key]}</Text>
+        </View>
+      ) : null))}
+    </View>
+  );
+}
+
+/**
+ * @param {Array} clientMatches - [{ client: { id, name, city, state_code }, score, matchDetails }], best first
+ * @param {number} total - All matching clients (clientMatches may be truncated)
+ */
+export function MatchingClients({ clientMatches, total = clientMatches.length, color }) {
+  return (
+    <View>
+      <SectionTitle color={color}>Matching Clients ({total})</SectionTitle>
+      {clientMatches.length === 0 ? (
+        <Text style={styles.portfolioSectionNote}>None of our clients currently match this opportunity.</Text>
+      ) : (
+        <View>
+          <View style={styles.portfolioTableHeader}>
+            {CLIENT_COLUMNS.map((col) => (
+              <Text key={col.key} style={[styles.portfolioHeaderCell, { flex: col.flex }]}>{col.label}</Text>
+            ))}
+          </View>
+          {clientMatches.map(({ client, score, matchDetails }) => {
+            const location = [client.city, client.state_code].filter(Boolean).join(', ');
+            const scoreColors = getMatchScoreColors(score ?? 0);
+            return (
+              <View key={client.id} style={styles.portfolioTableRow} wrap={false}>
+                <View style={{ flex: CLIENT_COLUMNS[0].flex }}>
+                  <Text style={styles.portfolioItemTitle}>{client.name}</Text>
+                  {location ? <Text style={styles.portfolioItemMeta}>{location}</Text> : null}
+                </View>
+                <Text style={[styles.portfolioCell, { flex: CLIENT_COLUMNS[1].flex, color: scoreColors.bg, fontWeight: 'bold' }]}>
+                  {formatMatchScore(score)}
+                </Text>
+                <Text style={[styles.portfolioCell, { flex: CLIENT_COLUMNS[2].flex }]}>
+                  {formatMatchReasons(matchDetails).join(' · ') || '—'}
+                </Text>
+              </View>
+            );
+          })}
+          {total > clientMatches.length && (
+            <Text style={[styles.portfolioSectionNote, { marginTop: 6 }]}>
+              +{total - clientMatches.length} more matching clients
+            </Text>
+          )}
+        </View>
+      )}
+    </View>
+  );
+}
@@ -46,6 +46,13 @@ export function ClientProfile({ client }) {
         </View>
       )}
 
+      {/* Additional sites */}
+      {client.sites?.length > 0 && (
+        <Text style={{ fontSize: 9, color: colors.textMuted, marginTop: 8 }}>
+          {client.sites.length + 1} sites: {client.address || 'Primary address'}; {client.sites.map((site) => site.name).join('; ')}
+        </Text>
+      )}
+
       {/* Budget if specified */}
       {client.budget && (
         <Text
@@ -2,8 +2,8 @@
 
 import React from 'react';
 import { Page, View, Text, Image } from '@react-pdf/renderer';
-import { getLogoBase64 } from '../utils/assets';
 import { styles } from '../styles/pdfStyles';
+import { resolveBranding } from '../utils/branding';
 import { formatDate, formatCurrency, calculateTotalFunding } from '../utils/formatters';
 
 /**
@@ -14,8 +14,15 @@ import { formatDate, formatCurrency, calculateTotalFunding } from '../utils/form
  * - Client name and details
  * - Summary statistics
  * - Generation date
+ *
+ * Reports other than a single client's (e.g. the portfolio report) pass their
+ * own title, a stand-in client for the "Prepared for" block, and extraStats
+ * ([{ value, label }]) shown before the standard boxes.
+ *
+ * branding (resolveBranding() output) sets the logo, brand name, colors,
+ * default title and cover text, and whether the summary stats appear.
  */
-export function CoverPage({ client, matches, options = {} }) {
+export function CoverPage({ client, matches, options = {}, title, extraStats = [], branding = resolveBranding(null) }) {
   const { min, max } = calculateTotalFunding(matches);
   const totalMatches = matches?.length || 0;
 
@@ -28,26 +35,26 @@ export function CoverPage({ client, matches, options = {} }) {
     return days >= 0 && days <= 30;
   }).length;
 
-  const logoBase64 = getLogoBase64();
+  const primary = { color: branding.primaryColor };
 
   return (
     <Page size="LETTER" style={styles.coverPage}>
-      {/* ESG Logo - Top Left Corner */}
-      {logoBase64 && <Image src={logoBase64} style={styles.coverLogoImage} />}
+      {/* Brand Logo - Top Left Corner */}
+      {branding.logo && <Image src={branding.logo} style={styles.coverLogoImage} />}
 
       {/* Brand Title */}
-      <Text style={styles.coverLogo}>MERIDIAN</Text>
-      <Text style={styles.coverSubtitle}>Policy & Funding Intelligence</Text>
+      <Text style={[styles.coverLogo, primary]}>{branding.brandName}</Text>
+      <Text style={styles.coverSubtitle}>{branding.tagline}</Text>
 
       {/* Main Title */}
-      <Text style={styles.coverTitle}>FUNDING OPPORTUNITIES REPORT</Text>
+      <Text style={styles.coverTitle}>{title || branding.coverTitle}</Text>
 
       {/* Divider */}
-      <View style={styles.coverDivider} />
+      <View style={[styles.coverDivider, { backgroundColor: branding.accentColor }]} />
 
       {/* Client Info */}
       <Text style={{ fontSize: 11, color: '#6B7280', marginBottom: 8 }}>Prepared for</Text>
-      <Text style={styles.coverClientName}>{client?.name || 'Client'}</Text>
+      <Text style={[styles.coverClientName, primary]}>{client?.name || 'Client'}</Text>
       <Text style={styles.coverClientInfo}>
         {client?.type || ''}
         {client?.city || client?.state_code
@@ -73,27 +80,39 @@ export function CoverPage({ client, matches, options = {} }) {
         </View>
       )}
 
+      {/* Template cover text */}
+      {branding.coverText ? <Text style={styles.coverText}>{branding.coverText}</Text> : null}
+
       {/* Stats */}
-      <View style={styles.coverStats}>
-        <View style={styles.coverStatBox}>
-          <Text style={styles.coverStatValue}>{totalMatches}</Text>
-          <Text style={styles.coverStatLabel}>Total Matches</Text>
-        </View>
+      {branding.sections.summary && (
+        <View style={styles.coverStats}>
+          {extraStats.map((stat) => (
+            <View key={stat.label} style={styles.coverStatBox}>
+              <Text style={[styles.coverStatValue, primary]}>{stat.value}</Text>
+              <Text style={styles.coverStatLabel}>{stat.label}</Text>
+            </View>
+          ))}
 
-        <View style={styles.coverStatBox}>
-          <Text style={styles.coverStatValue}>
-            {max > 0 ? formatCurrency(max, true) : 'N/A'}
-          </Text>
-          <Text style={styles.coverStatLabel}>Funding Available</Text>
-        </View>
+          <View style={styles.coverStatBox}>
+            <Text style={[styles.coverStatValue, primary]}>{totalMatches}</Text>
+            <Text style={styles.coverStatLabel}>Total Matches</Text>
+          </View>
 
-        {urgentCount > 0 && (
-          <View style={[styles.coverStatBox, { backgroundColor: '#FEF3C7' }]}>
-            <Text style={[styles.coverStatValue, { color: '#D97706' }]}>{urgentCount}</Text>
-            <Text style={styles.coverStatLabel}>Closing in 30 Days</Text>
+          <View style={styles.coverStatBox}>
+            <Text style={[styles.coverStatValue, primary]}>
+              {max > 0 ? formatCurrency(max, true) : 'N/A'}
+            </Text>
+            <Text style={styles.coverStatLabel}>Funding Available</Text>
           </View>
-        )}
-      </View>
+
+          {urgentCount > 0 && (
+            <View style={[styles.coverStatBox, { backgroundColor: '#FEF3C7' }]}>
+              <Text style={[styles.coverStatValue, { color: '#D97706' }]}>{urgentCount}</Text>
+              <Text style={styles.coverStatLabel}>Closing in 30 Days</Text>
+            </View>
+          )}
+        </View>
+      )}
 
       {/* Date */}
       <Text style={styles.coverDate}>Generated on {formatDate(new Date(), 'long')}</Text>
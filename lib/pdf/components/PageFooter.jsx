@@ -4,23 +4,30 @@ import React from 'react';
 import { View, Text } from '@react-pdf/renderer';
 import { styles } from '../styles/pdfStyles';
 import { formatDate } from '../utils/formatters';
+import { resolveBranding } from '../utils/branding';
 
 /**
  * Page Footer Component
  *
- * Displays on each page with branding and page numbers
+ * Displays on each page with branding and page numbers, plus the template's
+ * disclaimer (if any) below the rule
  */
-export function PageFooter() {
+export function PageFooter({ branding = resolveBranding(null) }) {
   return (
-    <View style={styles.pageFooter} fixed>
-      <Text style={styles.footerText}>
-        Generated by Meridian | {formatDate(new Date(), 'medium')}
-      </Text>
-      <Text
-        style={styles.pageNumber}
-        render={({ pageNumber, totalPages }) => `Page ${pageNumber} of ${totalPages}`}
-      />
-    </View>
+    <>
+      <View style={styles.pageFooter} fixed>
+        <Text style={styles.footerText}>
+          {branding.footerText} | {formatDate(new Date(), 'medium')}
+        </Text>
+        <Text
+          style={styles.pageNumber}
+          render={({ pageNumber, totalPages }) => `Page ${pageNumber} of ${totalPages}`}
+        />
+      </View>
+      {branding.disclaimer ? (
+        <Text style={styles.footerDisclaimer} fixed>{branding.disclaimer}</Text>
+      ) : null}
+    </>
   );
 }
 
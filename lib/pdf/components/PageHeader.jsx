@@ -3,19 +3,18 @@
 import React from 'react';
 import { View, Text, Image } from '@react-pdf/renderer';
 import { styles } from '../styles/pdfStyles';
-import { getLogoBase64 } from '../utils/assets';
+import { resolveBranding } from '../utils/branding';
 
 /**
  * Page Header Component
  *
- * Displays on each content page (not cover)
+ * Displays on each content page (not cover), with the template's logo and
+ * accent-colored rule
  */
-export function PageHeader({ clientName }) {
-  const logoBase64 = getLogoBase64();
-
+export function PageHeader({ clientName, branding = resolveBranding(null) }) {
   return (
-    <View style={styles.pageHeader} fixed>
-      {logoBase64 && <Image src={logoBase64} style={styles.headerLogoImage} />}
+    <View style={[styles.pageHeader, { borderBottomColor: branding.accentColor }]} fixed>
+      {branding.logo && <Image src={branding.logo} style={styles.headerLogoImage} />}
       <Text style={styles.headerClient}>{clientName || 'Funding Report'}</Text>
     </View>
   );
@@ -0,0 +1,140 @@
+'use client';
+
+import React from 'react';
+import { View, Text } from '@react-pdf/renderer';
+import { styles, colors, getUrgencyColors } from '../styles/pdfStyles';
+import { formatDate, formatFundingRange, formatMatchScore, getDaysRemaining } from '../utils/formatters';
+
+/**
+ * Sections of the multi-client portfolio report
+ *
+ * - PortfolioClientTable: one row per client with match counts
+ * - SharedOpportunities: opportunities that apply to several clients
+ * - DeadlineCalendar: upcoming deadlines across the portfolio, by month
+ */
+
+const TABLE_COLUMNS = [
+  { key: 'name', label: 'CLIENT', flex: 3 },
+  { key: 'location', label: 'LOCATION', flex: 2 },
+  { key: 'matches', label: 'MATCHES', flex: 1 },
+  { key: 'topScore', label: 'TOP SCORE', flex: 1 },
+  { key: 'urgent', label: 'DUE IN 30 DAYS', flex: 1 },
+];
+
+function clientNames(clients, limit = 6) {
+  const names = clients.slice(0, limit).map((c) => c.name);
+  const more = clients.length - names.length;
+  return more > 0 ? `${names.join(', ')} +${more} more` : names.join(', ');
+}
+
+/**
+ * Portfolio summary table
+ *
+ * @param {Array} portfolio - Array of { client, matches }
+ */
+export function PortfolioClientTable({ portfolio }) {
+  const rows = portfolio.map(({ client, matches }) => {
+    const urgent = matches.filter((m) => {
+      const days = getDaysRemaining(m.close_date);
+      return days !== null && days >= 0 && days <= 30;
+    }).length;
+    const topScore = matches.reduce((max, m) => Math.max(max, m.score ?? 0), 0);
+    return {
+      id: client.id,
+      name: client.name,
+      location: [client.city, client.state_code].filter(Boolean).join(', ') || '—',
+      matches: String(matches.length),
+      topScore: matches.length > 0 ? formatMatchScore(topScore) : '—',
+      urgent: urgent > 0 ? String(urgent) : '—',
+    };
+  });
+
+  return (
+    <View>
+      <Text style={styles.portfolioSectionTitle}>Client Summary</Text>
+      <View style={styles.portfolioTableHeader}>
+        {TABLE_COLUMNS.map((col) => (
+          <Text key={col.key} style={[styles.portfolioHeaderCell, { flex: col.flex }]}>{col.label}</Text>
+        ))}
+      </View>
+      {rows.map((row) => (
+        <View key={row.id} style={styles.portfolioTableRow} wrap={false}>
+          {TABLE_COLUMNS.map((col) => (
+            <Text key={col.key} style={[styles.portfolioCell, { flex: col.flex }]}>{row[col.key]}</Text>
+          ))}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * Opportunities shared by several clients
+ *
+ * @param {Array} shared - Array of { opportunity, clients } (findSharedOpportunities)
+ * @param {number} minClients - Threshold used, for the section note
+ */
+export function SharedOpportunities({ shared, minClients = 2 }) {
+  return (
+    <View>
+      <Text style={styles.portfolioSectionTitle}>Shared Opportunities</Text>
+      <Text style={styles.portfolioSectionNote}>
+        {shared.length > 0
+          ? `${shared.length} ${shared.length === 1 ? 'opportunity applies' : 'opportunities apply'} to ${minClients} or more clients`
+          : `No opportunity applies to ${minClients} or more clients`}
+      </Text>
+      {shared.map(({ opportunity, clients }) => (
+        <View key={opportunity.id} style={styles.portfolioItem} wrap={false}>
+          <Text style={styles.portfolioItemTitle}>
+            {opportunity.title || 'Untitled Opportunity'}
+          </Text>
+          <Text style={styles.portfolioItemMeta}>
+            {[
+              opportunity.agency_name,
+              formatFundingRange(opportunity.minimum_award || 0, opportunity.maximum_award || 0),
+              opportunity.close_date ? `Closes ${formatDate(opportunity.close_date, 'medium')}` : null,
+            ].filter(Boolean).join(' | ')}
+          </Text>
+          <Text style={[styles.portfolioItemMeta, { color: colors.darkGray }]}>
+            {clients.length} clients: {clientNames(clients)}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * Combined deadline calendar
+ *
+ * @param {Array} months - Array of { month, label, entries } (groupByDeadlineMonth)
+ */
+export function DeadlineCalendar({ months }) {
+  return (
+    <View>
+      <Text style={styles.portfolioSectionTitle}>Deadline Calendar</Text>
+      {months.length === 0 && (
+        <Text style={styles.portfolioSectionNote}>No upcoming deadlines</Text>
+      )}
+      {months.map(({ month, label, entries }) => (
+        <View key={month}>
+          <Text style={styles.calendarMonth}>{label}</Text>
+          {entries.map(({ opportunity, clients }) => {
+            const urgencyColors = getUrgencyColors(getDaysRemaining(opportunity.close_date));
+            return (
+              <View key={opportunity.id} style={styles.calendarRow} wrap={false}>
+                <Text style={[styles.calendarDate, { color: urgencyColors.text }]}>
+                  {formatDate(opportunity.close_date, 'short')}
+                </Text>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.portfolioCell}>{opportunity.title || 'Untitled Opportunity'}</Text>
+                  <Text style={styles.portfolioItemMeta}>{clientNames(clients)}</Text>
+                </View>
+              </View>
+            );
+          })}
+        </View>
+      ))}
+    </View>
+  );
+}
@@ -1,5 +1,8 @@
 // Main PDF Document
 export { ClientMatchesPDF, ClientMatchesFlatPDF } from './ClientMatchesPDF';
+export { PortfolioPDF } from './PortfolioPDF';
+export { OpportunityBriefPDF } from './OpportunityBriefPDF';
+export { MatchDigestPDF } from './MatchDigestPDF';
 
 // Components
 export { CoverPage } from './components/CoverPage';
@@ -8,6 +11,15 @@ export { OpportunityCard } from './components/OpportunityCard';
 export { ProjectNeedGroup, GroupHeader, DeadlineGroup, SourceTypeGroup } from './components/ProjectNeedGroup';
 export { PageHeader } from './components/PageHeader';
 export { PageFooter } from './components/PageFooter';
+export { PortfolioClientTable, SharedOpportunities, DeadlineCalendar } from './components/PortfolioSections';
+export {
+  BriefingHeader,
+  BriefingKeyFacts,
+  BriefingText,
+  BriefingEligibility,
+  BriefingActionableSummary,
+  MatchingClients,
+} from './components/BriefingSections';
 
 // Styles
 export { styles, colors, getSourceTypeColor, getMatchScoreColors, getUrgencyColors } from './styles/pdfStyles';
@@ -15,3 +27,4 @@ export { styles, colors, getSourceTypeColor, getMatchScoreColors, getUrgencyColo
 // Utilities
 export * from './utils/formatters';
 export * from './utils/grouping';
+export * from './utils/branding';
@@ -132,9 +132,19 @@ export const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 4,
   },
+  coverText: {
+    fontSize: 10,
+    color: colors.darkGray,
+    textAlign: 'center',
+    lineHeight: 1.5,
+    maxWidth: 400,
+    marginTop: 30,
+  },
   coverStats: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     justifyContent: 'center',
+    rowGap: 15,
     marginTop: 50,
   },
   coverStatBox: {
@@ -197,6 +207,15 @@ export const styles = StyleSheet.create({
     fontSize: 8,
     color: colors.textMuted,
   },
+  footerDisclaimer: {
+    position: 'absolute',
+    bottom: 14,
+    left: 40,
+    right: 40,
+    fontSize: 6,
+    color: colors.textMuted,
+    textAlign: 'center',
+  },
 
   // Client profile section
   clientProfile: {
@@ -480,6 +499,129 @@ export const styles = StyleSheet.create({
     borderLeftColor: colors.mediumGray,
   },
 
+  // Portfolio report sections
+  portfolioSectionTitle: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: colors.primary,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  portfolioSectionNote: {
+    fontSize: 9,
+    color: colors.textMuted,
+    marginBottom: 8,
+  },
+  portfolioTableHeader: {
+    flexDirection: 'row',
+    backgroundColor: colors.lightGray,
+    paddingVertical: 5,
+    paddingHorizontal: 6,
+    borderRadius: 3,
+  },
+  portfolioTableRow: {
+    flexDirection: 'row',
+    paddingVertical: 5,
+    paddingHorizontal: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.mediumGray,
+  },
+  portfolioHeaderCell: {
+    fontSize: 8,
+    fontWeight: 'bold',
+    color: colors.darkGray,
+  },
+  portfolioCell: {
+    fontSize: 9,
+    color: colors.text,
+  },
+  portfolioItem: {
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.mediumGray,
+  },
+  portfolioItemTitle: {
+    fontSize: 10,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  portfolioItemMeta: {
+    fontSize: 8,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  calendarMonth: {
+    fontSize: 10,
+    fontWeight: 'bold',
+    color: colors.darkGray,
+    marginTop: 10,
+    marginBottom: 4,
+  },
+  calendarRow: {
+    flexDirection: 'row',
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.lightGray,
+  },
+  calendarDate: {
+    width: 50,
+    fontSize: 9,
+    fontWeight: 'bold',
+  },
+
+  // Opportunity briefing
+  briefTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 4,
+  },
+  briefAgency: {
+    fontSize: 10,
+    color: colors.textMuted,
+    marginBottom: 8,
+  },
+  briefFacts: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    backgroundColor: colors.lightGray,
+    borderRadius: 6,
+    padding: 12,
+    paddingBottom: 4,
+    marginTop: 6,
+  },
+  briefFact: {
+    width: '33%',
+    paddingRight: 8,
+    marginBottom: 8,
+  },
+  briefVerdict: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderLeftWidth: 3,
+    borderLeftColor: colors.primary,
+    backgroundColor: colors.lightGray,
+    padding: 8,
+    marginBottom: 6,
+  },
+  briefVerdictScore: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginRight: 10,
+  },
+  briefSummaryRow: {
+    flexDirection: 'row',
+    marginBottom: 4,
+  },
+  briefSummaryLabel: {
+    width: 60,
+    fontSize: 8,
+    fontWeight: 'bold',
+    color: colors.darkGray,
+    textTransform: 'uppercase',
+    paddingTop: 1,
+  },
+
   // Logo styles
   coverLogoImage: {
     position: 'absolute',
@@ -0,0 +1,67 @@
+/**
+ * Report Branding
+ *
+ * Resolves a stored report template (report_templates row) into the branding
+ * the PDF components render with. Anything the template leaves empty falls
+ * back to the Meridian defaults, so reports without a template look exactly
+ * as before.
+ */
+
+import { colors } from '../styles/pdfStyles';
+import { getLogoBase64 } from './assets';
+
+/**
+ * Optional report sections a template can switch off:
+ * - profile:  the client profile box above the opportunities
+ * - summary:  the summary statistics on the cover page
+ * - detailed: detailed opportunity cards (when off, cards render in summary view)
+ */
+export const REPORT_SECTIONS = ['profile', 'summary', 'detailed'];
+
+export const DEFAULT_BRANDING = {
+  brandName: 'MERIDIAN',
+  tagline: 'Policy & Funding Intelligence',
+  logo: null, // resolved lazily to the ESG logo
+  primaryColor: colors.primary,
+  accentColor: colors.primary,
+  coverTitle: 'FUNDING OPPORTUNITIES REPORT',
+  coverText: '',
+  footerText: 'Generated by Meridian',
+  disclaimer: '',
+  sections: { profile: true, summary: true, detailed: true },
+};
+
+/**
+ * @param {Object|null} template - report_templates row (snake_case), or null for defaults
+ * @returns {Object} branding in the DEFAULT_BRANDING shape
+ */
+export function resolveBranding(template) {
+  const sections = { ...DEFAULT_BRANDING.sections };
+  REPORT_SECTIONS.forEach((key) => {
+    if (typeof template?.sections?.[key] === 'boolean') sections[key] = template.sections[key];
+  });
+
+  return {
+    brandName: template?.brand_name || DEFAULT_BRANDING.brandName,
+    tagline: template?.tagline ?? DEFAULT_BRANDING.tagline,
+    logo: template?.logo_data || getLogoBase64(),
+    primaryColor: template?.primary_color || DEFAULT_BRANDING.primaryColor,
+    accentColor: template?.accent_color || template?.primary_color || DEFAULT_BRANDING.accentColor,
+    coverTitle: template?.cover_title || DEFAULT_BRANDING.coverTitle,
+    coverText: template?.cover_text || DEFAULT_BRANDING.coverText,
+    footerText: template?.footer_text || DEFAULT_BRANDING.footerText,
+    disclaimer: template?.disclaimer || DEFAULT_BRANDING.disclaimer,
+    sections,
+  };
+}
+
+/**
+ * The card view a report actually uses: detailed only if the template allows it.
+ *
+ * @param {string} viewMode - Requested 'summary' | 'detailed'
+ * @param {Object} branding - resolveBranding() output
+ * @returns {string}
+ */
+export function effectiveViewMode(viewMode, branding) {
+  return viewMode === 'detailed' && branding.sections.detailed ? 'detailed' : 'summary';
+}
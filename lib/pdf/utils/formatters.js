@@ -394,3 +394,51 @@ export function formatTotalFundingSummary(matches) {
 
   return formatFundingRange(min, max);
 }
+
+/**
+ * Format a funding_status value (lib/matching/evaluateMatch.js FUNDING_HEALTH)
+ * @param {string} fundingStatus - verified_active | presumed_active | limited_funding | oversubscribed | exhausted
+ * @returns {object} { text, color }
+ */
+export function formatFundingStatus(fundingStatus) {
+  const statusMap = {
+    verified_active: { text: 'Funding verified', color: '#22C55E' },
+    presumed_active: { text: 'Presumed active', color: '#6B7280' },
+    limited_funding: { text: 'Limited funding remaining', color: '#F59E0B' },
+    oversubscribed: { text: 'Oversubscribed', color: '#F59E0B' },
+    exhausted: { text: 'Funding exhausted', color: '#EF4444' },
+  };
+  return statusMap[fundingStatus] || statusMap.presumed_active;
+}
+
+/**
+ * Format an incentive_structure value, e.g. 'deemed_calculated' -> 'Deemed Calculated'
+ * @param {string} incentiveStructure
+ * @returns {string|null}
+ */
+export function formatIncentiveStructure(incentiveStructure) {
+  if (!incentiveStructure) return null;
+  return incentiveStructure.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+/**
+ * Why a client matches an opportunity, from the persisted match_details
+ * @param {object} matchDetails - client_matches.match_details (evaluateMatch details)
+ * @returns {string[]} Short reasons, most specific first
+ */
+export function formatMatchReasons(matchDetails) {
+  if (!matchDetails) return [];
+  const reasons = [];
+  if (matchDetails.matchedProjectNeeds?.length) {
+    reasons.push(`Project needs: ${matchDetails.matchedProjectNeeds.join(', ')}`);
+  }
+  if (matchDetails.eligibleSites?.length) {
+    reasons.push(`Eligible sites: ${matchDetails.eligibleSites.map((site) => site.name).join(', ')}`);
+  }
+  if (matchDetails.applicantTypeMatch) reasons.push('Eligible applicant type');
+  if (matchDetails.locationMatch) reasons.push('In coverage area');
+  if (matchDetails.awardFit?.explanation && matchDetails.awardFit.fit !== 'unknown') {
+    reasons.push(`Award fit: ${matchDetails.awardFit.explanation}`);
+  }
+  return reasons;
+}
@@ -5,6 +5,7 @@
  */
 
 import { getDaysRemaining, getScoreLevel } from './formatters';
+import { PRIMARY_SITE_ID, PRIMARY_SITE_NAME } from '../../matching/clientSites';
 
 /**
  * Group opportunities by matched project needs
@@ -73,6 +74,127 @@ export function groupByProjectNeed(matches, clientProjectNeeds = []) {
   return result;
 }
 
+/**
+ * Group opportunities by the client site(s) that make them eligible
+ * Each opportunity can appear under several sites (matchDetails.eligibleSites).
+ * Matches computed before the client had sites fall under the primary address.
+ *
+ * @param {Array} matches - Array of opportunity matches with matchDetails
+ * @param {Array} sites - Client's additional sites, used for ordering
+ * @returns {Array} Array of { siteId, siteName, opportunities }
+ */
+export function groupBySite(matches, sites = []) {
+  if (!matches || !Array.isArray(matches)) return [];
+
+  const sitesMap = new Map();
+
+  matches.forEach((match) => {
+    const eligibleSites = match.matchDetails?.eligibleSites?.length
+      ? match.matchDetails.eligibleSites
+      : [{ id: PRIMARY_SITE_ID, name: PRIMARY_SITE_NAME }];
+
+    eligibleSites.forEach((site) => {
+      if (!sitesMap.has(site.id)) {
+        sitesMap.set(site.id, { siteId: site.id, siteName: site.name, opportunities: [] });
+      }
+      sitesMap.get(site.id).opportunities.push(match);
+    });
+  });
+
+  // Sort: primary first, then the client's site order, then unknown sites alphabetically
+  const siteOrder = [PRIMARY_SITE_ID, ...sites.map((site) => site.id)];
+  return Array.from(sitesMap.values()).sort((a, b) => {
+    const aIndex = siteOrder.indexOf(a.siteId);
+    const bIndex = siteOrder.indexOf(b.siteId);
+    if (aIndex !== -1 && bIndex !== -1) return aIndex - bIndex;
+    if (aIndex !== -1) return -1;
+    if (bIndex !== -1) return 1;
+    return a.siteName.localeCompare(b.siteName);
+  });
+}
+
+/**
+ * Collapse a multi-client portfolio into unique opportunities
+ * Each opportunity lists every client it matches, best score first.
+ *
+ * @param {Array} portfolio - Array of { client, matches }
+ * @returns {Array} Array of { opportunity, clients: [{ id, name, score }] }
+ */
+export function groupByOpportunity(portfolio) {
+  if (!portfolio || !Array.isArray(portfolio)) return [];
+
+  const opportunityMap = new Map();
+
+  portfolio.forEach(({ client, matches }) => {
+    (matches || []).forEach((match) => {
+      if (!opportunityMap.has(match.id)) {
+        opportunityMap.set(match.id, { opportunity: match, clients: [] });
+      }
+      const entry = opportunityMap.get(match.id);
+      const score = match.score ?? match.matchDetails?.score ?? 0;
+      entry.clients.push({ id: client.id, name: client.name, score });
+      // Keep the copy with the highest score as the representative match
+      if (score > (entry.opportunity.score ?? entry.opportunity.matchDetails?.score ?? 0)) {
+        entry.opportunity = match;
+      }
+    });
+  });
+
+  return Array.from(opportunityMap.values()).map((entry) => ({
+    ...entry,
+    clients: entry.clients.sort((a, b) => b.score - a.score),
+  }));
+}
+
+/**
+ * Opportunities that apply to several clients in a portfolio
+ * Sorted by number of clients, then by best match score.
+ *
+ * @param {Array} portfolio - Array of { client, matches }
+ * @param {number} minClients - Minimum number of matching clients
+ * @returns {Array} Array of { opportunity, clients }
+ */
+export function findSharedOpportunities(portfolio, minClients = 2) {
+  return groupByOpportunity(portfolio)
+    .filter((entry) => entry.clients.length >= minClients)
+    .sort((a, b) => {
+      if (b.clients.length !== a.clients.length) return b.clients.length - a.clients.length;
+      return (b.clients[0]?.score ?? 0) - (a.clients[0]?.score ?? 0);
+    });
+}
+
+/**
+ * Group a portfolio's open deadlines by month
+ * Opportunities without a close date or already closed are left out.
+ *
+ * @param {Array} portfolio - Array of { client, matches }
+ * @returns {Array} Array of { month: 'YYYY-MM', label, entries: [{ opportunity, clients }] }
+ */
+export function groupByDeadlineMonth(portfolio) {
+  const monthMap = new Map();
+
+  groupByOpportunity(portfolio)
+    .filter((entry) => {
+      const daysRemaining = getDaysRemaining(entry.opportunity.close_date);
+      return daysRemaining !== null && daysRemaining >= 0;
+    })
+    .sort((a, b) => new Date(a.opportunity.close_date) - new Date(b.opportunity.close_date))
+    .forEach((entry) => {
+      const closeDate = new Date(entry.opportunity.close_date);
+      const month = closeDate.toISOString().slice(0, 7);
+      if (!monthMap.has(month)) {
+        monthMap.set(month, {
+          month,
+          label: closeDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+          entries: [],
+        });
+      }
+      monthMap.get(month).entries.push(entry);
+    });
+
+  return Array.from(monthMap.values());
+}
+
 /**
  * Group opportunities by source type
  *
@@ -0,0 +1,468 @@
+/**
+ * Calendar Feeds
+ *
+ * Renders calendar_feeds as iCalendar (RFC 5545) documents that Outlook and
+ * Google Calendar can subscribe to at /api/calendar/<token>.ics.
+ *
+ * Per opportunity in the feed:
+ * - Opens      all-day event on open_date (when it is still ahead or recent)
+ * - Deadline   close_date as a hard deadline with a display alarm per
+ *              reminder_days; all-day when close_date carries no time of day
+ * - Rolling    application_window_type = 'rolling' programs have no hard
+ *              deadline: an all-day reminder on close_date (when funding ends),
+ *              or a monthly all-day reminder when there is no close_date
+ *
+ * Feed contents by scope: 'user' (tracked_opportunities plus matches of the
+ * user's assigned clients), 'client' (one client's matches), 'filter' (a saved
+ * opportunity-list filter, run through fundingApi.getOpportunities).
+ */
+
+import { randomBytes } from 'crypto';
+import { fundingApi } from './fundingApi.js';
+import { getTrackedOpportunityIds } from './trackedOpportunities.js';
+import { formatFundingRange } from '../pdf/utils/formatters.js';
+
+export const FEED_SCOPES = ['user', 'client', 'filter'];
+export const DEFAULT_REMINDER_DAYS = [7, 1];
+
+/** Filter keys accepted for 'filter' feeds (fundingApi.getOpportunities filters). */
+export const FEED_FILTER_KEYS = ['status', 'categories', 'projectTypes', 'stateCode', 'coverageTypes', 'search'];
+
+/** Single-value filters; the rest are lists. */
+const FEED_TEXT_FILTER_KEYS = ['stateCode', 'search'];
+
+const MAX_FEED_OPPORTUNITIES = 1000;
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_DAYS = 60;
+
+/** Deadlines stay in the feed this long after they pass. */
+const PAST_WINDOW_DAYS = 30;
+
+/** Rolling reminders fire at 9:00 on the day (relative to the all-day start). */
+const ROLLING_ALARM_TRIGGER = 'PT9H';
+
+const PRODID = '-//Meridian ESG//Funding Deadlines//EN';
+const UID_DOMAIN = 'meridian-esg';
+const REFRESH_INTERVAL = 'PT6H';
+const ID_BATCH_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function generateFeedToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+/** Subscription URL for a feed token. */
+export function feedUrl(origin, token) {
+  return `${origin.replace(/\/+$/, '')}/api/calendar/${token}.ics`;
+}
+
+/**
+ * Feed row as returned by the API, with the tokenized subscription URL.
+ *
+ * @param {Object} feed - calendar_feeds row, optionally with client:clients(name)
+ * @param {string} origin - App origin for the URL
+ */
+export function toFeedResponse(feed, origin) {
+  return {
+    id: feed.id,
+    name: feed.name,
+    scope: feed.scope,
+    client_id: feed.client_id,
+    client_name: feed.client?.name || null,
+    filters: feed.filters,
+    reminder_days: feed.reminder_days,
+    last_accessed_at: feed.last_accessed_at,
+    created_at: feed.created_at,
+    url: feedUrl(origin, feed.token)
+  };
+}
+
+/**
+ * Validate a feed create/update payload.
+ *
+ * @param {Object} input - { name, scope, client_id, filters, reminder_days }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Update: scope and its target are not required
+ * @returns {{ values: Object, errors: string[] }}
+ */
+export function validateCalendarFeed(input, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+  const has = (key) => input?.[key] !== undefined;
+
+  if (has('name')) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) errors.push('name cannot be empty');
+    else if (name.length > 100) errors.push('name must be at most 100 characters');
+    else values.name = name;
+  }
+
+  if (!partial) {
+    if (!FEED_SCOPES.includes(input?.scope)) {
+      errors.push(`scope must be one of: ${FEED_SCOPES.join(', ')}`);
+    } else {
+      values.scope = input.scope;
+      if (input.scope === 'client' && !UUID_PATTERN.test(input.client_id || '')) {
+        errors.push('client_id is required for client feeds');
+      }
+      if (input.scope === 'filter' && !has('filters')) {
+        errors.push('filters are required for filter feeds');
+      }
+      if (input.scope === 'client') values.client_id = input.client_id;
+    }
+  }
+
+  if (has('filters')) {
+    const filters = input.filters;
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      errors.push('filters must be an object');
+    } else {
+      const unknown = Object.keys(filters).filter((key) => !FEED_FILTER_KEYS.includes(key));
+      const malformed = Object.entries(filters).filter(([key, value]) => (
+        FEED_TEXT_FILTER_KEYS.includes(key)
+          ? typeof value !== 'string'
+          : !Array.isArray(value) || value.some((v) => typeof v !== 'string')
+      ));
+      if (unknown.length > 0) {
+        errors.push(`Unknown filters: ${unknown.join(', ')}. Must be among: ${FEED_FILTER_KEYS.join(', ')}`);
+      } else if (malformed.length > 0) {
+        errors.push(`Malformed filters: ${malformed.map(([key]) => key).join(', ')}`);
+      } else {
+        values.filters = filters;
+      }
+    }
+  }
+
+  if (has('reminder_days')) {
+    const days = input.reminder_days;
+    if (!Array.isArray(days) || days.some((d) => !Number.isInteger(d) || d < 0 || d > MAX_REMINDER_DAYS)) {
+      errors.push(`reminder_days must be whole numbers from 0 to ${MAX_REMINDER_DAYS}`);
+    } else if (days.length > MAX_REMINDERS) {
+      errors.push(`At most ${MAX_REMINDERS} reminders`);
+    } else {
+      values.reminder_days = [...new Set(days)].sort((a, b) => b - a);
+    }
+  }
+
+  return { values, errors };
+}
+
+// --- iCalendar encoding ---
+
+/** Escape TEXT values (RFC 5545 3.3.11). */
+export function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/** Fold a content line at 75 octets (RFC 5545 3.1), never splitting a UTF-8 character. */
+export function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/** YYYYMMDD of the UTC date. */
+export function formatIcsDate(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+}
+
+/** YYYYMMDDTHHMMSSZ in UTC. */
+export function formatIcsDateTime(date) {
+  const d = new Date(date);
+  return `${formatIcsDate(d)}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+/** close_date values stored without a time of day are midnight UTC. */
+function isDateOnly(date) {
+  const d = new Date(date);
+  return d.getUTCHours() === 0 && d.getUTCMinutes() === 0 && d.getUTCSeconds() === 0;
+}
+
+function nextDay(date) {
+  return new Date(new Date(date).getTime() + DAY_MS);
+}
+
+// --- Events ---
+
+function eventDescription(opportunity, { clientNames = [], appUrl, rolling }) {
+  const lines = [];
+  if (opportunity.agency_name) lines.push(opportunity.agency_name);
+  lines.push(formatFundingRange(opportunity.minimum_award, opportunity.maximum_award));
+  if (rolling) lines.push('Rolling program: applications are accepted until funding runs out.');
+  if (clientNames.length > 0) lines.push(`Matching clients: ${clientNames.join(', ')}`);
+  lines.push(`${appUrl}/funding/opportunities/${opportunity.id}`);
+  return lines.join('\n');
+}
+
+/**
+ * Calendar events for a feed's opportunities.
+ *
+ * @param {Array} opportunities - funding_opportunities rows (id, title, agency_name,
+ *   open_date, close_date, application_window_type, minimum_award, maximum_award,
+ *   created_at, updated_at)
+ * @param {Object} options
+ * @param {number[]} [options.reminderDays] - Deadline alarms, days before close
+ * @param {Map<string, string[]>} [options.clientNamesByOpportunity]
+ * @param {string} options.appUrl - Base URL for links into the app
+ * @param {Date} [options.now]
+ * @returns {Array<Object>} events, soonest first
+ */
+export function buildFeedEvents(opportunities, {
+  reminderDays = DEFAULT_REMINDER_DAYS,
+  clientNamesByOpportunity = new Map(),
+  appUrl,
+  now = new Date()
+}) {
+  const cutoff = new Date(now.getTime() - PAST_WINDOW_DAYS * DAY_MS);
+  const events = [];
+
+  for (const opportunity of opportunities) {
+    const title = opportunity.title || 'Untitled Opportunity';
+    const rolling = opportunity.application_window_type === 'rolling';
+    const url = `${appUrl}/funding/opportunities/${opportunity.id}`;
+    const description = eventDescription(opportunity, {
+      clientNames: clientNamesByOpportunity.get(opportunity.id) || [],
+      appUrl,
+      rolling
+    });
+    const base = { url, description, stamp: opportunity.updated_at || opportunity.created_at || now };
+
+    if (opportunity.open_date && new Date(opportunity.open_date) >= cutoff) {
+      events.push({
+        ...base,
+        uid: `${opportunity.id}-open@${UID_DOMAIN}`,
+        summary: `Opens: ${title}`,
+        allDay: true,
+        start: opportunity.open_date,
+        transparent: true,
+        categories: ['Opens'],
+        alarms: []
+      });
+    }
+
+    if (rolling) {
+      if (opportunity.close_date && new Date(opportunity.close_date) < cutoff) continue;
+      events.push({
+        ...base,
+        uid: `${opportunity.id}-rolling@${UID_DOMAIN}`,
+        summary: opportunity.close_date ? `Rolling program ends: ${title}` : `Rolling program: ${title}`,
+        allDay: true,
+        start: opportunity.close_date || opportunity.open_date || opportunity.created_at || now,
+        rrule: opportunity.close_date ? null : 'FREQ=MONTHLY',
+        transparent: true,
+        categories: ['Rolling'],
+        alarms: [{ trigger: ROLLING_ALARM_TRIGGER, description: `Rolling program: ${title}` }]
+      });
+      continue;
+    }
+
+    if (opportunity.close_date && new Date(opportunity.close_date) >= cutoff) {
+      events.push({
+        ...base,
+        uid: `${opportunity.id}-close@${UID_DOMAIN}`,
+        summary: `Deadline: ${title}`,
+        allDay: isDateOnly(opportunity.close_date),
+        start: opportunity.close_date,
+        transparent: false,
+        categories: ['Deadline'],
+        alarms: reminderDays.map((days) => ({
+          trigger: days === 0 ? 'PT0M' : `-P${days}D`,
+          description: days === 0 ? `Due today: ${title}` : `Due in ${days} ${days === 1 ? 'day' : 'days'}: ${title}`
+        }))
+      });
+    }
+  }
+
+  return events.sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+function renderEvent(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatIcsDateTime(event.stamp)}`
+  ];
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatIcsDate(nextDay(event.start))}`);
+  } else {
+    // No DTEND: a DATE-TIME event without one ends when it starts (RFC 5545 3.6.1)
+    lines.push(`DTSTART:${formatIcsDateTime(event.start)}`);
+  }
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+  lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+  lines.push(`URL:${event.url}`);
+  lines.push(`CATEGORIES:${event.categories.map(escapeIcsText).join(',')}`);
+  lines.push(`TRANSP:${event.transparent ? 'TRANSPARENT' : 'OPAQUE'}`);
+  for (const alarm of event.alarms) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:${alarm.trigger}`,
+      `DESCRIPTION:${escapeIcsText(alarm.description)}`,
+      'END:VALARM'
+    );
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Render a VCALENDAR document.
+ *
+ * @param {Object} calendar
+ * @param {string} calendar.name - Calendar name shown by the subscriber
+ * @param {Array} calendar.events - From buildFeedEvents()
+ * @returns {string} CRLF-delimited iCalendar text
+ */
+export function renderCalendar({ name, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    ...events.flatMap(renderEvent),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+// --- Feed contents ---
+
+/**
+ * Visible matches (full, not stale, not hidden) of the given clients.
+ *
+ * @returns {Promise<Map<string, string[]>>} opportunity id → matching client names
+ */
+async function loadClientMatches(supabase, clientIds) {
+  const clientNamesByOpportunity = new Map();
+  if (clientIds.length === 0) return clientNamesByOpportunity;
+
+  const [matchesResult, hiddenResult] = await Promise.all([
+    supabase
+      .from('client_matches')
+      .select('client_id, opportunity_id, client:clients!inner(name)')
+      .in('client_id', clientIds)
+      .eq('is_stale', false)
+      .eq('match_tier', 'match')
+      .limit(100000),
+    supabase
+      .from('hidden_matches')
+      .select('client_id, opportunity_id')
+      .in('client_id', clientIds)
+      .limit(100000)
+  ]);
+  if (matchesResult.error) throw new Error(`Failed to fetch matches: ${matchesResult.error.message}`);
+  if (hiddenResult.error) throw new Error(`Failed to fetch hidden matches: ${hiddenResult.error.message}`);
+
+  const hidden = new Set((hiddenResult.data || []).map(h => `${h.client_id}:${h.opportunity_id}`));
+  for (const row of matchesResult.data || []) {
+    if (hidden.has(`${row.client_id}:${row.opportunity_id}`)) continue;
+    if (!clientNamesByOpportunity.has(row.opportunity_id)) clientNamesByOpportunity.set(row.opportunity_id, []);
+    clientNamesByOpportunity.get(row.opportunity_id).push(row.client.name);
+  }
+  for (const names of clientNamesByOpportunity.values()) names.sort((a, b) => a.localeCompare(b));
+  return clientNamesByOpportunity;
+}
+
+async function loadOpportunities(supabase, ids) {
+  const opportunities = [];
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('funding_opportunities')
+      .select(`
+        id, title, agency_name, open_date, close_date, application_window_type,
+        minimum_award, maximum_award, created_at, updated_at
+      `)
+      .in('id', ids.slice(i, i + ID_BATCH_SIZE));
+    if (error) throw new Error(`Failed to fetch opportunities: ${error.message}`);
+    opportunities.push(...(data || []));
+  }
+  return opportunities;
+}
+
+/**
+ * Opportunities (and matching client names) in a feed.
+ *
+ * @param {Object} feed - calendar_feeds row
+ * @returns {Promise<{ opportunities: Array, clientNamesByOpportunity: Map<string, string[]> }>}
+ */
+export async function loadFeedContents(supabase, feed) {
+  let ids = [];
+  let clientNamesByOpportunity = new Map();
+
+  if (feed.scope === 'filter') {
+    const { data } = await fundingApi.getOpportunities(supabase, {
+      ...feed.filters,
+      sort_by: 'close_date',
+      sort_direction: 'asc',
+      page: 1,
+      page_size: MAX_FEED_OPPORTUNITIES
+    });
+    ids = (data || []).map(o => o.id);
+  } else {
+    let clientIds = [];
+    if (feed.scope === 'client') {
+      clientIds = [feed.client_id];
+    } else {
+      const { data: assignments, error } = await supabase
+        .from('client_users')
+        .select('client_id')
+        .eq('user_id', feed.user_id);
+      if (error) throw new Error(`Failed to fetch client assignments: ${error.message}`);
+      clientIds = (assignments || []).map(a => a.client_id);
+      ids = await getTrackedOpportunityIds(supabase, feed.user_id);
+    }
+    clientNamesByOpportunity = await loadClientMatches(supabase, clientIds);
+    ids = [...new Set([...ids, ...clientNamesByOpportunity.keys()])];
+  }
+
+  const opportunities = await loadOpportunities(supabase, ids.slice(0, MAX_FEED_OPPORTUNITIES));
+  return { opportunities, clientNamesByOpportunity };
+}
+
+/**
+ * Render a feed as iCalendar text.
+ *
+ * @param {Object} feed - calendar_feeds row
+ * @param {Object} [options]
+ * @param {string} [options.appUrl] - Base URL for links into the app
+ */
+export async function renderFeed(supabase, feed, { appUrl = process.env.API_URL || 'http://localhost:3000', now = new Date() } = {}) {
+  const { opportunities, clientNamesByOpportunity } = await loadFeedContents(supabase, feed);
+  const events = buildFeedEvents(opportunities, {
+    reminderDays: feed.reminder_days || DEFAULT_REMINDER_DAYS,
+    clientNamesByOpportunity,
+    appUrl: appUrl.replace(/\/+$/, ''),
+    now
+  });
+  return renderCalendar({ name: `Meridian: ${feed.name}`, events });
+}
@@ -0,0 +1,153 @@
+/**
+ * Client Activity
+ *
+ * Records audit events for a client in client_activity_log and assembles the
+ * per-client activity feed: profile edits (before/after per field), hidden and
+ * restored matches, user assignment changes, and match_job_logs runs whose
+ * scope includes the client.
+ *
+ * Recording is best-effort — a failed audit insert is logged and never fails
+ * the request that made the change.
+ */
+
+export const CLIENT_ACTIVITY_TYPES = [
+  { key: 'client_updated', label: 'Profile edited' },
+  { key: 'match_hidden', label: 'Match hidden' },
+  { key: 'match_unhidden', label: 'Match restored' },
+  { key: 'assignments_changed', label: 'Assignments changed' },
+  { key: 'matches_recomputed', label: 'Matches recomputed' }
+];
+
+/** Client columns whose edits are recorded, in display order. */
+export const AUDITED_CLIENT_FIELDS = [
+  'name',
+  'type',
+  'address',
+  'project_needs',
+  'budget',
+  'dac',
+  'contact',
+  'description',
+  'salesforce_id',
+  'match_rules'
+];
+
+/** Stats carried from a match_job_logs row into its feed entry. */
+const JOB_STAT_KEYS = ['new_matches', 'updated_matches', 'stale_matches', 'total_active_matches', 'duration_ms'];
+
+/**
+ * Canonical form for comparison: empty values (and false, which the profile
+ * shows the same as an unset dac) collapse to null, string lists ignore order,
+ * object keys are sorted.
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === null || value === '' || value === false) return null;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return null;
+    return value.every(v => typeof v === 'string') ? [...value].sort() : value.map(normalizeValue);
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    if (keys.length === 0) return null;
+    return Object.fromEntries(keys.map(key => [key, normalizeValue(value[key])]));
+  }
+  return value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+}
+
+/**
+ * Field-level diff of a client update. Only fields present in `after` are
+ * compared, so partial updates don't report omitted fields as cleared.
+ *
+ * @param {Object} before - Client row before the update
+ * @param {Object} after - Updated values (the update payload or the saved row)
+ * @returns {Object[]} [{ field, before, after }] in AUDITED_CLIENT_FIELDS order
+ */
+export function diffClientFields(before, after) {
+  return AUDITED_CLIENT_FIELDS
+    .filter(field => field in after && !sameValue(before?.[field], after[field]))
+    .map(field => ({ field, before: before?.[field] ?? null, after: after[field] ?? null }));
+}
+
+/**
+ * @param {string[]} beforeIds - Assigned user ids before the change
+ * @param {string[]} afterIds - Assigned user ids after the change
+ * @returns {{ added: string[], removed: string[] }}
+ */
+export function diffAssignments(beforeIds = [], afterIds = []) {
+  const before = new Set(beforeIds);
+  const after = new Set(afterIds);
+  return {
+    added: [...after].filter(id => !before.has(id)),
+    removed: [...before].filter(id => !after.has(id))
+  };
+}
+
+/**
+ * Insert one audit event. Never throws.
+ *
+ * @param {Object} supabase - Supabase client with service_role key
+ * @param {Object} event
+ * @param {string} event.clientId
+ * @param {string} event.type - client_updated | match_hidden | match_unhidden | assignments_changed
+ * @param {string|null} [event.actorId] - Acting user, when a session was available
+ * @param {Object} [event.details]
+ */
+export async function recordClientActivity(supabase, { clientId, type, actorId = null, details = {} }) {
+  try {
+    const { error } = await supabase
+      .from('client_activity_log')
+      .insert({ client_id: clientId, event_type: type, actor_id: actorId, details });
+    if (error) throw error;
+  } catch (error) {
+    console.error(`[ClientActivity] Failed to record ${type} for client ${clientId}:`, error.message);
+  }
+}
+
+/**
+ * @param {Object} job - match_job_logs row
+ * @returns {Object} feed entry
+ */
+export function jobLogToActivity(job) {
+  const stats = job.stats || {};
+  return {
+    id: `job:${job.id}`,
+    type: 'matches_recomputed',
+    at: job.started_at,
+    actorId: null,
+    details: {
+      trigger: job.trigger,
+      status: job.status,
+      completed_at: job.completed_at || null,
+      error: job.error || null,
+      stats: Object.fromEntries(JOB_STAT_KEYS.filter(key => key in stats).map(key => [key, stats[key]]))
+    }
+  };
+}
+
+/**
+ * Merge audit events and match runs into one feed, newest first.
+ *
+ * @param {Object[]} events - client_activity_log rows
+ * @param {Object[]} jobs - match_job_logs rows scoped to the client
+ * @param {number} [limit]
+ * @returns {Object[]} [{ id, type, at, actorId, details }]
+ */
+export function buildActivityFeed(events = [], jobs = [], limit = 50) {
+  const entries = [
+    ...events.map(event => ({
+      id: event.id,
+      type: event.event_type,
+      at: event.created_at,
+      actorId: event.actor_id || null,
+      details: event.details || {}
+    })),
+    ...jobs.map(jobLogToActivity)
+  ];
+  return entries
+    .sort((a, b) => new Date(b.at) - new Date(a.at))
+    .slice(0, limit);
+}
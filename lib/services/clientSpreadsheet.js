@@ -0,0 +1,247 @@
+/**
+ * Client Spreadsheet Import / Export
+ *
+ * Reads and writes the client list as CSV or XLSX in one column layout, so an
+ * exported file can be edited and imported again. Import rows are validated
+ * against the taxonomies (client type, project needs, budget tier) before any
+ * geocoding happens; the route turns the result into a row-level report.
+ */
+
+import ExcelJS from 'exceljs';
+import { Readable } from 'stream';
+import { TAXONOMIES, BUDGET_TIERS, getSelectableClientTypes } from '@/lib/constants/taxonomies';
+
+/** Largest file accepted by the import endpoint. */
+export const MAX_IMPORT_ROWS = 500;
+
+export const SPREADSHEET_FORMATS = ['csv', 'xlsx'];
+
+/** Column layout shared by import and export. */
+export const CLIENT_SHEET_COLUMNS = [
+  { key: 'name', header: 'Name', required: true, width: 32 },
+  { key: 'type', header: 'Type', required: true, width: 28 },
+  { key: 'address', header: 'Address', required: true, width: 40 },
+  { key: 'project_needs', header: 'Project Needs', width: 48 },
+  { key: 'budget', header: 'Budget', width: 12 },
+  { key: 'dac', header: 'DAC', width: 8 },
+  { key: 'contact', header: 'Contact', width: 28 },
+  { key: 'description', header: 'Description', width: 48 },
+  { key: 'salesforce_id', header: 'Salesforce ID', width: 20 }
+];
+
+/** Separator for multi-value cells (project needs). */
+const LIST_SEPARATOR = ';';
+
+// Same project need options as the client form (hot + strong + mild tiers)
+const PROJECT_NEEDS = [
+  ...TAXONOMIES.ELIGIBLE_PROJECT_TYPES.hot,
+  ...TAXONOMIES.ELIGIBLE_PROJECT_TYPES.strong,
+  ...TAXONOMIES.ELIGIBLE_PROJECT_TYPES.mild
+];
+
+const DAC_VALUES = {
+  yes: true, y: true, true: true, 1: true,
+  no: false, n: false, false: false, 0: false
+};
+
+function normalizeHeader(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function canonicalLookup(values) {
+  return new Map(values.map(value => [value.toLowerCase(), value]));
+}
+
+/**
+ * Parse an uploaded spreadsheet into raw rows keyed by column key.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {'csv'|'xlsx'} format
+ * @returns {Promise<{ rows: Array<{ rowNumber: number, values: Object }>, error: string|null }>}
+ *   rowNumber is the 1-based sheet row, for the report. Blank rows are skipped.
+ */
+export async function readClientSheet(buffer, format) {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  try {
+    if (format === 'csv') {
+      // Leave every cell as text; the default mapper turns "00501" zips and dates into numbers
+      worksheet = await workbook.csv.read(Readable.from(buffer), { map: value => value });
+    } else {
+      await workbook.xlsx.load(buffer);
+      worksheet = workbook.worksheets[0];
+    }
+  } catch (err) {
+    return { rows: [], error: `Could not read ${format.toUpperCase()} file: ${err.message}` };
+  }
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { rows: [], error: 'The file is empty' };
+  }
+
+  // Map header cells to column keys (accepts "Project Needs" or "project_needs")
+  const columnByHeader = new Map();
+  for (const column of CLIENT_SHEET_COLUMNS) {
+    columnByHeader.set(normalizeHeader(column.key), column.key);
+    columnByHeader.set(normalizeHeader(column.header), column.key);
+  }
+  const keyByColumnNumber = new Map();
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    const key = columnByHeader.get(normalizeHeader(cell.text));
+    if (key) keyByColumnNumber.set(colNumber, key);
+  });
+
+  const foundKeys = new Set(keyByColumnNumber.values());
+  const missing = CLIENT_SHEET_COLUMNS.filter(c => c.required && !foundKeys.has(c.key));
+  if (missing.length > 0) {
+    return { rows: [], error: `Missing required columns: ${missing.map(c => c.header).join(', ')}` };
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    for (const [colNumber, key] of keyByColumnNumber) {
+      values[key] = row.getCell(colNumber).text.trim();
+    }
+    if (Object.values(values).some(Boolean)) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return { rows, error: null };
+}
+
+/**
+ * Validate one raw row and convert it to client columns.
+ *
+ * @param {Object} values - Raw cell text keyed by column key
+ * @returns {{ client: Object|null, errors: string[] }} client holds name, type,
+ *   address, project_needs, budget, dac, contact, description, salesforce_id
+ */
+export function validateClientRow(values) {
+  const errors = [];
+
+  for (const column of CLIENT_SHEET_COLUMNS) {
+    if (column.required && !values[column.key]) {
+      errors.push(`${column.header} is required`);
+    }
+  }
+
+  const clientTypes = canonicalLookup(getSelectableClientTypes());
+  let type = null;
+  if (values.type) {
+    type = clientTypes.get(values.type.toLowerCase()) || null;
+    if (!type) errors.push(`Unknown client type "${values.type}"`);
+  }
+
+  const projectNeedOptions = canonicalLookup(PROJECT_NEEDS);
+  const projectNeeds = [];
+  for (const need of (values.project_needs || '').split(LIST_SEPARATOR).map(v => v.trim()).filter(Boolean)) {
+    const canonical = projectNeedOptions.get(need.toLowerCase());
+    if (!canonical) {
+      errors.push(`Unknown project need "${need}"`);
+    } else if (!projectNeeds.includes(canonical)) {
+      projectNeeds.push(canonical);
+    }
+  }
+
+  let budget = null;
+  if (values.budget) {
+    const input = values.budget.toLowerCase();
+    const tier = BUDGET_TIERS.find(t => t.key === input || t.label.toLowerCase() === input);
+    if (tier) {
+      budget = tier.key;
+    } else {
+      errors.push(`Invalid budget tier "${values.budget}". Must be one of: ${BUDGET_TIERS.map(t => t.key).join(', ')}`);
+    }
+  }
+
+  let dac = false;
+  if (values.dac) {
+    dac = DAC_VALUES[values.dac.toLowerCase()];
+    if (dac === undefined) errors.push(`DAC must be yes or no, got "${values.dac}"`);
+  }
+
+  if (errors.length > 0) {
+    return { client: null, errors };
+  }
+
+  return {
+    client: {
+      name: values.name,
+      type,
+      address: values.address,
+      project_needs: projectNeeds,
+      budget,
+      dac,
+      contact: values.contact || null,
+      description: values.description || null,
+      salesforce_id: values.salesforce_id || null
+    },
+    errors
+  };
+}
+
+/**
+ * Flag names that repeat within the file or already exist.
+ * Later duplicates in the file get the error; the first occurrence is kept.
+ *
+ * @param {Array<{ rowNumber: number, values: Object }>} rows
+ * @param {string[]} existingNames - Names of clients already in the database
+ * @returns {Map<number, string>} rowNumber → error
+ */
+export function findDuplicateNames(rows, existingNames = []) {
+  const existing = new Set(existingNames.map(name => name.toLowerCase()));
+  const firstRowByName = new Map();
+  const duplicates = new Map();
+
+  for (const { rowNumber, values } of rows) {
+    const name = values.name?.toLowerCase();
+    if (!name) continue;
+    if (existing.has(name)) {
+      duplicates.set(rowNumber, `A client named "${values.name}" already exists`);
+    } else if (firstRowByName.has(name)) {
+      duplicates.set(rowNumber, `Duplicate of row ${firstRowByName.get(name)}`);
+    } else {
+      firstRowByName.set(name, rowNumber);
+    }
+  }
+  return duplicates;
+}
+
+/**
+ * Convert a clients row to spreadsheet cells (inverse of validateClientRow).
+ */
+export function clientToSheetRow(client) {
+  return {
+    name: client.name,
+    type: client.type,
+    address: client.address,
+    project_needs: (client.project_needs || []).join(`${LIST_SEPARATOR} `),
+    budget: client.budget || '',
+    dac: client.dac ? 'yes' : 'no',
+    contact: client.contact || '',
+    description: client.description || '',
+    salesforce_id: client.salesforce_id || ''
+  };
+}
+
+/**
+ * Write clients to a CSV or XLSX file in the import layout.
+ *
+ * @param {Object[]} clients - clients rows
+ * @param {'csv'|'xlsx'} format
+ * @returns {Promise<Buffer>}
+ */
+export async function writeClientSheet(clients, format) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Clients');
+  worksheet.columns = CLIENT_SHEET_COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+  worksheet.getRow(1).font = { bold: true };
+  clients.forEach(client => worksheet.addRow(clientToSheetRow(client)));
+
+  const data = format === 'csv'
+    ? await workbook.csv.writeBuffer()
+    : await workbook.xlsx.writeBuffer();
+  return Buffer.from(data);
+}
@@ -0,0 +1,126 @@
+/**
+ * CRM REST Client
+ *
+ * Minimal Salesforce REST API client for the account sync (crmSync.js):
+ * SOQL queries for Account records and PATCH updates of custom fields.
+ * Point CRM_API_URL at scripts/clients/mock-crm-server.mjs for local testing.
+ *
+ * Environment:
+ *   CRM_API_URL       instance URL, e.g. https://acme.my.salesforce.com
+ *   CRM_ACCESS_TOKEN  OAuth access token (Bearer)
+ *   CRM_API_VERSION   REST API version (default v59.0)
+ */
+
+export const DEFAULT_API_VERSION = 'v59.0';
+
+/** Account fields read by the sync. */
+export const ACCOUNT_FIELDS = [
+  'Id', 'Name', 'Type',
+  'BillingStreet', 'BillingCity', 'BillingState', 'BillingPostalCode',
+  'Owner.Email'
+];
+
+/** Ids per SOQL query, keeps the query string well under URL limits. */
+const QUERY_BATCH_SIZE = 100;
+
+const SALESFORCE_ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+
+/**
+ * Read CRM settings from the environment.
+ *
+ * @returns {Object|null} { baseUrl, accessToken, apiVersion }, or null when not configured
+ */
+export function getCrmConfig(env = process.env) {
+  if (!env.CRM_API_URL || !env.CRM_ACCESS_TOKEN) return null;
+  return {
+    baseUrl: env.CRM_API_URL.replace(/\/+$/, ''),
+    accessToken: env.CRM_ACCESS_TOKEN,
+    apiVersion: env.CRM_API_VERSION || DEFAULT_API_VERSION
+  };
+}
+
+/** True for 15- or 18-character Salesforce record ids. */
+export function isSalesforceId(value) {
+  return typeof value === 'string' && SALESFORCE_ID_PATTERN.test(value);
+}
+
+/**
+ * Salesforce returns 18-character ids; clients may store the 15-character
+ * form. The first 15 characters identify the record (case-sensitive).
+ */
+export function salesforceIdKey(id) {
+  return id.slice(0, 15);
+}
+
+/**
+ * @param {Object} config - From getCrmConfig()
+ * @param {Function} [fetchImpl] - fetch implementation (for tests)
+ */
+export function createCrmClient({ baseUrl, accessToken, apiVersion = DEFAULT_API_VERSION }, fetchImpl = fetch) {
+  const apiBase = `${baseUrl}/services/data/${apiVersion}`;
+
+  async function request(path, { method = 'GET', body } = {}) {
+    const response = await fetchImpl(path.startsWith('/services/') ? `${baseUrl}${path}` : `${apiBase}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      // Salesforce errors are [{ message, errorCode }]
+      let detail = response.statusText;
+      try {
+        const errors = await response.json();
+        detail = (Array.isArray(errors) ? errors : [errors]).map(e => e.message || e.errorCode).join('; ');
+      } catch {
+        // Non-JSON error body
+      }
+      throw new Error(`CRM API error: ${response.status} ${detail}`);
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  /**
+   * Run a SOQL query, following nextRecordsUrl pages.
+   */
+  async function query(soql) {
+    const records = [];
+    let page = await request(`/query?q=${encodeURIComponent(soql)}`);
+    records.push(...page.records);
+    while (!page.done && page.nextRecordsUrl) {
+      page = await request(page.nextRecordsUrl);
+      records.push(...page.records);
+    }
+    return records;
+  }
+
+  /**
+   * Fetch Account records by id.
+   *
+   * @param {string[]} ids - Valid Salesforce ids (see isSalesforceId)
+   * @returns {Promise<Object[]>} Account records with ACCOUNT_FIELDS
+   */
+  async function fetchAccounts(ids) {
+    const accounts = [];
+    for (let i = 0; i < ids.length; i += QUERY_BATCH_SIZE) {
+      const batch = ids.slice(i, i + QUERY_BATCH_SIZE);
+      const idList = batch.map(id => `'${id}'`).join(', ');
+      accounts.push(...await query(`SELECT ${ACCOUNT_FIELDS.join(', ')} FROM Account WHERE Id IN (${idList})`));
+    }
+    return accounts;
+  }
+
+  /**
+   * Update fields on an Account.
+   */
+  async function updateAccount(id, fields) {
+    await request(`/sobjects/Account/${id}`, { method: 'PATCH', body: fields });
+  }
+
+  return { query, fetchAccounts, updateAccount };
+}
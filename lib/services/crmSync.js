@@ -0,0 +1,456 @@
+/**
+ * CRM Account Sync
+ *
+ * Syncs clients that have a salesforce_id with their CRM Account:
+ *
+ * Pull — name, billing address and type are merged field by field against the
+ * values seen at the last sync (crm_sync_state.snapshot). A field the CRM
+ * changed is taken unless the client was also edited here since the last
+ * sync; then CONFLICT_POLICY decides and the conflict is logged. Address
+ * changes are re-geocoded; an address that fails to geocode is not recorded
+ * as synced, so the next run tries it again. Account types that aren't client
+ * types are skipped.
+ *
+ * Owner — the account owner (matched to a workspace user by email) is added to
+ * client_users when it first syncs or changes; the previous CRM owner's
+ * assignment is then removed if the sync created it (snapshot.owner_assigned).
+ * Other assignments made in the app are left alone. An owner with no workspace
+ * user keeps the last mapped owner in the snapshot.
+ *
+ * Push — the client's current match count and top matches are written to
+ * custom Account fields (PUSH_FIELDS).
+ *
+ * Each run is recorded in crm_sync_runs with per-field entries in crm_sync_log.
+ */
+
+import { createCrmClient, getCrmConfig, isSalesforceId, salesforceIdKey } from './crmClient.js';
+import { locateSite } from './siteLocator.js';
+import { computeMatchesForClients } from '../matching/computeMatches.js';
+import { getSelectableClientTypes } from '../constants/taxonomies.js';
+
+/** Client fields pulled from the CRM. */
+export const SYNC_FIELDS = ['name', 'address', 'type'];
+
+/** Which side wins when both changed a field since the last sync. */
+export const CONFLICT_POLICY = {
+  name: 'crm',
+  address: 'crm',
+  type: 'local'
+};
+
+/** Custom Account fields written by the push step. */
+export const PUSH_FIELDS = {
+  matchCount: 'Meridian_Match_Count__c',
+  topMatches: 'Meridian_Top_Matches__c',
+  syncedAt: 'Meridian_Last_Synced__c'
+};
+
+export const TOP_MATCH_LIMIT = 5;
+
+const LOG_INSERT_BATCH = 500;
+
+function sameValue(a, b) {
+  return (a ?? '').trim().toLowerCase() === (b ?? '').trim().toLowerCase();
+}
+
+/**
+ * Map an Account record to client field values.
+ *
+ * @param {Object} account - Account with ACCOUNT_FIELDS
+ * @param {Map<string, string>} usersByEmail - Lowercased email → user id
+ * @returns {{ fields: Object, skipped: Array<{ field: string, message: string }> }}
+ *   fields holds name, address, type (null when unmapped) and owner (user id or null)
+ */
+export function accountToFields(account, usersByEmail = new Map()) {
+  const skipped = [];
+
+  const region = [account.BillingState, account.BillingPostalCode].filter(Boolean).join(' ');
+  const address = [account.BillingStreet, account.BillingCity, region].filter(Boolean).join(', ') || null;
+
+  let type = null;
+  if (account.Type) {
+    const wanted = account.Type.toLowerCase();
+    type = getSelectableClientTypes().find(t => t.toLowerCase() === wanted) || null;
+    if (!type) skipped.push({ field: 'type', message: `Account type "${account.Type}" is not a client type` });
+  }
+
+  const ownerEmail = account.Owner?.Email?.toLowerCase() || null;
+  const owner = ownerEmail ? usersByEmail.get(ownerEmail) || null : null;
+  if (ownerEmail && !owner) {
+    skipped.push({ field: 'owner', message: `No workspace user with the owner's email ${account.Owner.Email}` });
+  }
+
+  return {
+    fields: { name: account.Name || null, address, type, owner },
+    skipped
+  };
+}
+
+/**
+ * Field-level three-way merge of CRM values into a client.
+ *
+ * @param {Object} client - Current client row
+ * @param {Object} crm - Values from accountToFields
+ * @param {Object|null} snapshot - CRM values at the last sync (null on first sync)
+ * @returns {Array<{ field, action: 'pulled'|'conflict', localValue, crmValue, resolution }>}
+ *   Only fields that need attention; resolution is 'crm' when the CRM value should be applied.
+ */
+export function resolveFieldChanges(client, crm, snapshot = null) {
+  const changes = [];
+
+  for (const field of SYNC_FIELDS) {
+    const localValue = client[field] ?? null;
+    const crmValue = crm[field];
+    if (crmValue === null || crmValue === undefined || sameValue(localValue, crmValue)) continue;
+
+    const hasBase = snapshot && field in snapshot;
+    // CRM unchanged since last sync: the local edit stands
+    if (hasBase && sameValue(crmValue, snapshot[field])) continue;
+
+    // Only the CRM changed, or nothing local to lose
+    if ((hasBase && sameValue(localValue, snapshot[field])) || !localValue) {
+      changes.push({ field, action: 'pulled', localValue, crmValue, resolution: 'crm' });
+      continue;
+    }
+
+    changes.push({ field, action: 'conflict', localValue, crmValue, resolution: CONFLICT_POLICY[field] });
+  }
+
+  return changes;
+}
+
+/**
+ * Snapshot to store after a sync. Fields whose CRM value could not be applied
+ * keep their last synced value (or stay out of a first snapshot), so the next
+ * run sees the CRM change again. An unmapped CRM owner is kept the same way,
+ * so the last mapped owner's assignment is still removed on a later change.
+ *
+ * @param {Object} crm - Values from accountToFields
+ * @param {Object|null} previousSnapshot - Snapshot from the last sync
+ * @param {Object} [options]
+ * @param {string[]} [options.unappliedFields] - Fields the sync failed to apply
+ * @param {boolean} [options.ownerAssigned] - Set when this run assigned a new
+ *   owner: whether the sync created the client_users row
+ * @returns {Object}
+ */
+export function buildSyncSnapshot(crm, previousSnapshot, { unappliedFields = [], ownerAssigned } = {}) {
+  const snapshot = { ...crm };
+  const keptFields = crm.owner ? unappliedFields : [...unappliedFields, 'owner'];
+  for (const field of keptFields) {
+    if (previousSnapshot && field in previousSnapshot) {
+      snapshot[field] = previousSnapshot[field];
+    } else {
+      delete snapshot[field];
+    }
+  }
+
+  if (ownerAssigned !== undefined) {
+    snapshot.owner_assigned = ownerAssigned;
+  } else if (snapshot.owner && snapshot.owner === previousSnapshot?.owner) {
+    snapshot.owner_assigned = previousSnapshot.owner_assigned === true;
+  } else {
+    delete snapshot.owner_assigned;
+  }
+  return snapshot;
+}
+
+/**
+ * Assignment changes for a CRM owner change. The previous owner's assignment
+ * is only removed when the sync created it.
+ *
+ * @param {Object|null} previousSnapshot - Snapshot from the last sync ({ owner, owner_assigned })
+ * @param {string|null} crmOwner - Current owner user id (null when unmapped)
+ * @returns {{ add: string|null, remove: string|null }}
+ */
+export function resolveOwnerChange(previousSnapshot, crmOwner) {
+  const previousOwner = previousSnapshot?.owner || null;
+  if (!crmOwner || crmOwner === previousOwner) return { add: null, remove: null };
+  return {
+    add: crmOwner,
+    remove: previousOwner && previousSnapshot.owner_assigned === true ? previousOwner : null
+  };
+}
+
+/**
+ * Format top matches for the CRM text field, one per line.
+ *
+ * @param {Array<{ title: string, score: number, close_date: string|null }>} matches - Best first
+ */
+export function formatTopMatches(matches) {
+  return matches
+    .slice(0, TOP_MATCH_LIMIT)
+    .map(m => `${m.title} (${Math.round(m.score)}%)${m.close_date ? ` – closes ${m.close_date.split('T')[0]}` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Run a sync and record it.
+ *
+ * @param {Object} supabase - Supabase client with service_role key
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - 'manual' or 'cron'
+ * @param {string} [options.requestedBy] - User ID of the admin who started the run
+ * @param {string[]} [options.clientIds] - Restrict to these clients
+ * @param {Object} [options.crm] - CRM client (defaults to one built from the environment)
+ * @returns {Promise<Object>} The crm_sync_runs row
+ */
+export async function runCrmSync(supabase, { trigger = 'manual', requestedBy = null, clientIds, crm } = {}) {
+  const startTime = Date.now();
+
+  if (!crm) {
+    const config = getCrmConfig();
+    if (!config) throw new Error('CRM is not configured (set CRM_API_URL and CRM_ACCESS_TOKEN)');
+    crm = createCrmClient(config);
+  }
+
+  const { data: run, error: insertError } = await supabase
+    .from('crm_sync_runs')
+    .insert({ trigger, requested_by: requestedBy, status: 'running' })
+    .select('id')
+    .single();
+  if (insertError) throw new Error(`Failed to create CRM sync run: ${insertError.message}`);
+
+  const log = [];
+  try {
+    const stats = await syncClients(supabase, crm, { clientIds, log });
+    stats.duration_ms = Date.now() - startTime;
+
+    await insertLog(supabase, run.id, log);
+    const { data: completed, error: updateError } = await supabase
+      .from('crm_sync_runs')
+      .update({ status: 'completed', completed_at: new Date().toISOString(), stats })
+      .eq('id', run.id)
+      .select('*')
+      .single();
+    if (updateError) throw new Error(`Failed to store CRM sync run: ${updateError.message}`);
+
+    console.log(`[CrmSync] Run ${run.id}: ${stats.clients} clients, ${stats.pulled_fields} fields pulled, ` +
+      `${stats.conflicts} conflicts, ${stats.pushed} pushed, ${stats.errors} errors in ${stats.duration_ms}ms`);
+    return completed;
+  } catch (error) {
+    console.error('[CrmSync] Sync failed:', error);
+    await insertLog(supabase, run.id, log).catch(() => {});
+    await supabase
+      .from('crm_sync_runs')
+      .update({ status: 'failed', completed_at: new Date().toISOString(), error: error.message })
+      .eq('id', run.id);
+    throw error;
+  }
+}
+
+async function syncClients(supabase, crm, { clientIds, log }) {
+  const stats = { clients: 0, accounts_found: 0, pulled_fields: 0, conflicts: 0, owners_assigned: 0, pushed: 0, errors: 0 };
+
+  let clientQuery = supabase
+    .from('clients')
+    .select('id, name, address, type, salesforce_id')
+    .not('salesforce_id', 'is', null)
+    .limit(10000);
+  if (clientIds?.length) clientQuery = clientQuery.in('id', clientIds);
+  const { data: clients, error: clientError } = await clientQuery;
+  if (clientError) throw new Error(`Failed to fetch clients: ${clientError.message}`);
+
+  const syncable = [];
+  for (const client of clients || []) {
+    if (isSalesforceId(client.salesforce_id)) {
+      syncable.push(client);
+    } else {
+      log.push({ client_id: client.id, salesforce_id: client.salesforce_id, action: 'skipped', message: 'Not a valid Salesforce id' });
+    }
+  }
+  stats.clients = syncable.length;
+  if (syncable.length === 0) return stats;
+
+  const [accounts, usersByEmail, snapshots] = await Promise.all([
+    crm.fetchAccounts(syncable.map(c => c.salesforce_id)),
+    loadUsersByEmail(supabase),
+    loadSnapshots(supabase, syncable.map(c => c.id))
+  ]);
+  const accountsByKey = new Map(accounts.map(a => [salesforceIdKey(a.Id), a]));
+
+  const syncedAt = new Date().toISOString();
+  const changedClientIds = [];
+  const synced = [];
+
+  for (const client of syncable) {
+    const account = accountsByKey.get(salesforceIdKey(client.salesforce_id));
+    const entry = { client_id: client.id, salesforce_id: client.salesforce_id };
+    if (!account) {
+      log.push({ ...entry, action: 'error', message: 'Account not found in CRM' });
+      stats.errors++;
+      continue;
+    }
+    stats.accounts_found++;
+
+    try {
+      const { fields: crmFields, skipped } = accountToFields(account, usersByEmail);
+      skipped.forEach(s => log.push({ ...entry, action: 'skipped', field: s.field, message: s.message }));
+
+      const snapshot = snapshots.get(client.id) || null;
+      const update = {};
+      const unappliedFields = [];
+      for (const change of resolveFieldChanges(client, crmFields, snapshot)) {
+        log.push({
+          ...entry,
+          action: change.action,
+          field: change.field,
+          local_value: change.localValue,
+          crm_value: change.crmValue,
+          resolution: change.resolution
+        });
+        if (change.action === 'conflict') stats.conflicts++;
+        if (change.resolution !== 'crm') continue;
+
+        if (change.field === 'address') {
+          const located = await locateSite(supabase, change.crmValue);
+          if (!located.success) {
+            log.push({ ...entry, action: 'error', field: 'address', message: located.error });
+            stats.errors++;
+            unappliedFields.push('address');
+            continue;
+          }
+          Object.assign(update, located.location);
+        } else {
+          update[change.field] = change.crmValue;
+        }
+        stats.pulled_fields++;
+      }
+
+      if (Object.keys(update).length > 0) {
+        const { error: updateError } = await supabase.from('clients').update(update).eq('id', client.id);
+        if (updateError) throw new Error(`Failed to update client: ${updateError.message}`);
+        changedClientIds.push(client.id);
+      }
+
+      const ownerChange = resolveOwnerChange(snapshot, crmFields.owner);
+      // Removing first lets a failed run retry the whole change
+      if (ownerChange.remove) {
+        const { error: removeError } = await supabase
+          .from('client_users')
+          .delete()
+          .eq('client_id', client.id)
+          .eq('user_id', ownerChange.remove);
+        if (removeError) throw new Error(`Failed to remove previous owner: ${removeError.message}`);
+      }
+      let ownerAssigned;
+      if (ownerChange.add) {
+        // Existing assignments are skipped and not returned, so the sync never removes them later
+        const { data: assigned, error: assignError } = await supabase
+          .from('client_users')
+          .upsert({ client_id: client.id, user_id: ownerChange.add }, { onConflict: 'client_id,user_id', ignoreDuplicates: true })
+          .select('user_id');
+        if (assignError) throw new Error(`Failed to assign owner: ${assignError.message}`);
+        ownerAssigned = (assigned || []).length > 0;
+        log.push({ ...entry, action: 'pulled', field: 'owner', local_value: snapshot?.owner || null, crm_value: ownerChange.add });
+        stats.owners_assigned++;
+      }
+
+      const { error: stateError } = await supabase
+        .from('crm_sync_state')
+        .upsert({
+          client_id: client.id,
+          salesforce_id: client.salesforce_id,
+          snapshot: buildSyncSnapshot(crmFields, snapshot, { unappliedFields, ownerAssigned }),
+          last_pulled_at: syncedAt
+        }, { onConflict: 'client_id' });
+      if (stateError) throw new Error(`Failed to store sync state: ${stateError.message}`);
+
+      synced.push({ client, account });
+    } catch (error) {
+      log.push({ ...entry, action: 'error', message: error.message });
+      stats.errors++;
+    }
+  }
+
+  // Push match summaries back to the CRM
+  const summaries = await loadMatchSummaries(supabase, synced.map(s => s.client.id));
+  for (const { client, account } of synced) {
+    const entry = { client_id: client.id, salesforce_id: client.salesforce_id };
+    const matches = summaries.get(client.id) || [];
+    try {
+      await crm.updateAccount(account.Id, {
+        [PUSH_FIELDS.matchCount]: matches.length,
+        [PUSH_FIELDS.topMatches]: formatTopMatches(matches),
+        [PUSH_FIELDS.syncedAt]: syncedAt
+      });
+      await supabase.from('crm_sync_state').update({ last_pushed_at: syncedAt }).eq('client_id', client.id);
+      log.push({ ...entry, action: 'pushed', message: `${matches.length} matches` });
+      stats.pushed++;
+    } catch (error) {
+      log.push({ ...entry, action: 'error', message: `Push failed: ${error.message}` });
+      stats.errors++;
+    }
+  }
+
+  if (changedClientIds.length > 0) {
+    computeMatchesForClients(supabase, changedClientIds, { trigger: 'crm_sync' }).catch(err =>
+      console.error('[CrmSync] Background match computation failed:', err.message)
+    );
+  }
+
+  return stats;
+}
+
+async function loadUsersByEmail(supabase) {
+  const usersByEmail = new Map();
+  for (let page = 1; ; page++) {
+    const { data, error } = await supabase.auth.admin.listUsers({ page, perPage: 1000 });
+    if (error) throw new Error(`Failed to list users: ${error.message}`);
+    for (const user of data.users || []) {
+      if (user.email) usersByEmail.set(user.email.toLowerCase(), user.id);
+    }
+    if ((data.users || []).length < 1000) break;
+  }
+  return usersByEmail;
+}
+
+async function loadSnapshots(supabase, clientIds) {
+  const { data, error } = await supabase
+    .from('crm_sync_state')
+    .select('client_id, snapshot')
+    .in('client_id', clientIds);
+  if (error) throw new Error(`Failed to fetch CRM sync state: ${error.message}`);
+  return new Map((data || []).map(row => [row.client_id, row.snapshot]));
+}
+
+/**
+ * Visible matches per client (full, not stale, not hidden), best first.
+ */
+async function loadMatchSummaries(supabase, clientIds) {
+  const summaries = new Map();
+  if (clientIds.length === 0) return summaries;
+
+  const [matchesResult, hiddenResult] = await Promise.all([
+    supabase
+      .from('client_matches')
+      .select('client_id, opportunity_id, score, opportunity:funding_opportunities!inner(title, close_date)')
+      .in('client_id', clientIds)
+      .eq('match_tier', 'match')
+      .eq('is_stale', false)
+      .order('score', { ascending: false })
+      .limit(100000),
+    supabase
+      .from('hidden_matches')
+      .select('client_id, opportunity_id')
+      .in('client_id', clientIds)
+      .limit(100000)
+  ]);
+  if (matchesResult.error) throw new Error(`Failed to fetch matches: ${matchesResult.error.message}`);
+  if (hiddenResult.error) throw new Error(`Failed to fetch hidden matches: ${hiddenResult.error.message}`);
+
+  const hidden = new Set((hiddenResult.data || []).map(h => `${h.client_id}:${h.opportunity_id}`));
+  for (const row of matchesResult.data || []) {
+    if (hidden.has(`${row.client_id}:${row.opportunity_id}`)) continue;
+    if (!summaries.has(row.client_id)) summaries.set(row.client_id, []);
+    summaries.get(row.client_id).push({ title: row.opportunity.title, score: row.score, close_date: row.opportunity.close_date });
+  }
+  return summaries;
+}
+
+async function insertLog(supabase, runId, log) {
+  for (let i = 0; i < log.length; i += LOG_INSERT_BATCH) {
+    const rows = log.slice(i, i + LOG_INSERT_BATCH).map(entry => ({ run_id: runId, ...entry }));
+    const { error } = await supabase.from('crm_sync_log').insert(rows);
+    if (error) throw new Error(`Failed to write CRM sync log: ${error.message}`);
+  }
+}
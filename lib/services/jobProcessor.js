@@ -18,6 +18,7 @@ import { filterOpportunities } from '../agents-v2/core/filterFunction.js';
 import { storeOpportunities } from '../agents-v2/core/storageAgent/index.js';
 import { updateDuplicateOpportunities } from '../agents-v2/optimization/directUpdateHandler.js';
 import { extractOpportunitiesWithSchema } from '../agents-v2/core/dataExtractionAgent/extraction/index.js';
+import { getSourceAdapter, mapSourceOpportunities } from '../agents-v2/core/sourceAdapters/index.js';
 import { RunManagerV2 } from './runManagerV2.js';
 import { createClient } from '@supabase/supabase-js';
 import { getAnthropicClient } from '../agents-v2/utils/anthropicClient.js';
@@ -47,6 +48,20 @@ async function shouldForceFullProcessing(sourceId, supabase) {
   }
 }
 
+/**
+ * The source adapter a job was fetched with, or null for jobs queued without
+ * a known workflow (they take the LLM extraction path)
+ * @param {string} workflow - processingInstructions.workflow
+ * @returns {Object|null} - Registered adapter
+ */
+function findSourceAdapter(workflow) {
+  try {
+    return getSourceAdapter(workflow);
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Process a job chunk through the V2 pipeline stages
  * @param {Object} jobData - Job data from queue
@@ -131,12 +146,16 @@ export async function processJob(jobData, supabase = null, anthropic = null, run
       rawResponse: jobData.chunkedData
     };
     
-    const extractionResult = await extractOpportunitiesWithSchema(
-      rawDataForExtraction,
-      { id: jobData.sourceId, name: jobData.processingInstructions.sourceName || 'Unknown' },
-      anthropic,
-      jobData.processingInstructions
-    );
+    // Adapters with a fixed response format map without the LLM
+    const adapter = findSourceAdapter(jobData.processingInstructions.workflow);
+    const extractionResult = adapter?.mapOpportunity
+      ? mapSourceOpportunities(adapter, jobData.chunkedData, jobData.processingInstructions)
+      : await extractOpportunitiesWithSchema(
+        rawDataForExtraction,
+        { id: jobData.sourceId, name: jobData.processingInstructions.sourceName || 'Unknown' },
+        anthropic,
+        jobData.processingInstructions
+      );
     
     const extractionTime = Date.now() - extractionStartTime;
     const extractedOpportunities = extractionResult.opportunities || [];
@@ -0,0 +1,107 @@
+/**
+ * Mail Transport
+ *
+ * Pluggable outbound mail for scheduled reports (matchDigest.js). A transport
+ * is `{ name, send(message) }`, where message is
+ *   { from, to, subject, html, text, attachments?: [{ filename, content, contentType }] }
+ * and send() resolves to `{ messageId }`.
+ *
+ * Built-in transports (MAIL_TRANSPORT, default 'smtp' when SMTP_HOST is set):
+ *   smtp  SMTP via nodemailer
+ *   log   logs the message summary instead of sending (development)
+ *
+ * Environment:
+ *   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' for implicit TLS on 465)
+ *   SMTP_USER, SMTP_PASS (optional; omitted for local catchers)
+ *   MAIL_FROM (default 'Meridian <no-reply@meridian.local>')
+ *
+ * Local testing: run scripts/notifications/mock-smtp-server.mjs (or Mailpit /
+ * MailHog) and set SMTP_HOST=localhost SMTP_PORT=1025.
+ */
+
+import nodemailer from 'nodemailer';
+
+export const DEFAULT_FROM = 'Meridian <no-reply@meridian.local>';
+
+const transportFactories = new Map();
+
+/**
+ * Register a transport factory under a name selectable via MAIL_TRANSPORT.
+ *
+ * @param {string} name
+ * @param {Function} factory - (config) => { name, send(message) }
+ */
+export function registerMailTransport(name, factory) {
+  transportFactories.set(name, factory);
+}
+
+/**
+ * Read mail settings from the environment.
+ *
+ * @returns {Object|null} { transport, from, smtp }, or null when mail is not configured
+ */
+export function getMailConfig(env = process.env) {
+  const transport = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : null);
+  if (!transport) return null;
+  if (transport === 'smtp' && !env.SMTP_HOST) return null;
+
+  const secure = env.SMTP_SECURE === 'true';
+  return {
+    transport,
+    from: env.MAIL_FROM || DEFAULT_FROM,
+    smtp: {
+      host: env.SMTP_HOST || null,
+      port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : null
+    }
+  };
+}
+
+/**
+ * @param {Object} config - From getMailConfig()
+ */
+export function createSmtpTransport({ smtp }) {
+  const transporter = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    ...(smtp.auth ? { auth: smtp.auth } : {})
+  });
+
+  async function send({ from, to, subject, html, text, attachments = [] }) {
+    const info = await transporter.sendMail({ from, to, subject, html, text, attachments });
+    return { messageId: info.messageId };
+  }
+
+  return { name: 'smtp', send };
+}
+
+export function createLogTransport() {
+  let sequence = 0;
+
+  async function send({ to, subject, attachments = [] }) {
+    sequence += 1;
+    const messageId = `<log-${Date.now()}-${sequence}@meridian.local>`;
+    console.log(`[MailTransport] (log) to=${to} subject="${subject}" attachments=${attachments.length}`);
+    return { messageId };
+  }
+
+  return { name: 'log', send };
+}
+
+registerMailTransport('smtp', createSmtpTransport);
+registerMailTransport('log', createLogTransport);
+
+/**
+ * Build the transport named by config.transport.
+ *
+ * @param {Object} config - From getMailConfig()
+ */
+export function createMailTransport(config) {
+  const factory = transportFactories.get(config.transport);
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${config.transport}. Must be one of: ${[...transportFactories.keys()].join(', ')}`);
+  }
+  return factory(config);
+}
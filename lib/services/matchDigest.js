@@ -0,0 +1,498 @@
+/**
+ * Match Digests
+ *
+ * Emails each subscribed user (match_digest_subscriptions) a digest covering
+ * the clients assigned to them (client_users):
+ *
+ * - New      visible matches flagged is_new, or first matched since the
+ *            user's last digest (is_new is shared by everyone assigned to the
+ *            client, so a colleague's digest may already have cleared it)
+ * - Stale    matches that stopped matching since the last digest
+ * - Closing  visible matches whose deadline falls within deadline_days
+ *
+ * Hidden matches are left out. The digest is sent as HTML (with a plain-text
+ * part) through the configured mail transport (mailTransport.js), optionally
+ * with a PDF attachment (MatchDigestPDF). After sending, is_new is cleared on
+ * exactly the matches the digest reported, and the delivery is recorded in
+ * match_digest_log. Digests with nothing to report are logged as skipped and
+ * not sent.
+ */
+
+import React from 'react';
+import { renderToBuffer } from '@react-pdf/renderer';
+import { createMailTransport, getMailConfig } from './mailTransport.js';
+import { MatchDigestPDF } from '../pdf/MatchDigestPDF.jsx';
+import { formatDate, formatFundingRange } from '../pdf/utils/formatters.js';
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+/** Digest period per frequency, used as the window when nothing was sent yet. */
+const PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Minimum gap between scheduled digests, a little under the period so a cron
+ * run that starts a few minutes early doesn't skip a day.
+ */
+const MIN_GAP_MS = {
+  daily: 20 * 60 * 60 * 1000,
+  weekly: 6 * 24 * 60 * 60 * 1000
+};
+
+/** Matches listed per client and section; the rest are summarized as "+N more". */
+export const MAX_ITEMS_PER_SECTION = 10;
+
+const CLEAR_BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate a subscription create/update payload.
+ *
+ * @param {Object} input - { email, frequency, weekday, deadline_days, include_pdf, is_active }
+ * @returns {{ values: Object, errors: string[] }} values holds only the fields present
+ */
+export function validateDigestSubscription(input) {
+  const values = {};
+  const errors = [];
+  const has = (key) => input?.[key] !== undefined;
+
+  if (has('email')) {
+    const email = typeof input.email === 'string' ? input.email.trim() : '';
+    if (!EMAIL_PATTERN.test(email)) {
+      errors.push('email must be a valid email address');
+    } else {
+      values.email = email;
+    }
+  }
+
+  if (has('frequency')) {
+    if (!DIGEST_FREQUENCIES.includes(input.frequency)) {
+      errors.push(`frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+    } else {
+      values.frequency = input.frequency;
+    }
+  }
+
+  if (has('weekday')) {
+    if (!Number.isInteger(input.weekday) || input.weekday < 0 || input.weekday > 6) {
+      errors.push('weekday must be 0 (Sunday) to 6 (Saturday)');
+    } else {
+      values.weekday = input.weekday;
+    }
+  }
+
+  if (has('deadline_days')) {
+    if (!Number.isInteger(input.deadline_days) || input.deadline_days < 1 || input.deadline_days > 90) {
+      errors.push('deadline_days must be a whole number from 1 to 90');
+    } else {
+      values.deadline_days = input.deadline_days;
+    }
+  }
+
+  ['include_pdf', 'is_active'].forEach((key) => {
+    if (!has(key)) return;
+    if (typeof input[key] !== 'boolean') {
+      errors.push(`${key} must be true or false`);
+    } else {
+      values[key] = input[key];
+    }
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Whether a scheduled digest is due for a subscription.
+ *
+ * @param {Object} subscription - match_digest_subscriptions row
+ * @param {Date} now
+ */
+export function isDigestDue(subscription, now = new Date()) {
+  if (!subscription.is_active) return false;
+  if (subscription.frequency === 'weekly' && now.getUTCDay() !== subscription.weekday) return false;
+  if (!subscription.last_sent_at) return true;
+  return now.getTime() - new Date(subscription.last_sent_at).getTime() >= MIN_GAP_MS[subscription.frequency];
+}
+
+/**
+ * Start of the window the digest reports on: the last digest sent, or one
+ * period back for a first digest.
+ */
+export function digestSince(subscription, now = new Date()) {
+  if (subscription.last_sent_at) return new Date(subscription.last_sent_at);
+  return new Date(now.getTime() - (PERIOD_MS[subscription.frequency] || PERIOD_MS.weekly));
+}
+
+function daysUntil(date, now) {
+  if (!date) return null;
+  const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const end = new Date(date);
+  return Math.round((Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate()) - start) / DAY_MS);
+}
+
+function toItem(row, now) {
+  const opportunity = row.opportunity || {};
+  return {
+    matchId: row.id,
+    opportunityId: row.opportunity_id,
+    title: opportunity.title || 'Untitled Opportunity',
+    agency: opportunity.agency_name || '',
+    score: row.score,
+    awardRange: formatFundingRange(opportunity.minimum_award, opportunity.maximum_award),
+    closeDate: opportunity.close_date || null,
+    daysLeft: daysUntil(opportunity.close_date, now),
+    isNew: row.is_new,
+    staleAt: row.stale_at || null
+  };
+}
+
+/**
+ * Sort client_matches rows into the digest sections.
+ *
+ * @param {Array} rows - client_matches rows with an `opportunity` join
+ * @param {Object} options
+ * @param {Date} options.since - Start of the digest window
+ * @param {Date} options.now
+ * @param {number} options.deadlineDays - Report deadlines up to this many days out
+ * @param {Set<string>} [options.hiddenKeys] - `${client_id}:${opportunity_id}` pairs to leave out
+ * @returns {Map<string, { new: Array, stale: Array, closing: Array }>} by client id
+ */
+export function classifyDigestMatches(rows, { since, now, deadlineDays, hiddenKeys = new Set() }) {
+  const byClient = new Map();
+  const bucket = (clientId) => {
+    if (!byClient.has(clientId)) byClient.set(clientId, { new: [], stale: [], closing: [] });
+    return byClient.get(clientId);
+  };
+
+  for (const row of rows) {
+    if (hiddenKeys.has(`${row.client_id}:${row.opportunity_id}`)) continue;
+    const item = toItem(row, now);
+
+    // Near misses and suppressed pairs go stale too, but were never reported as matches
+    if (row.match_tier && row.match_tier !== 'match') continue;
+
+    if (row.is_stale) {
+      if (row.stale_at && new Date(row.stale_at) > since) bucket(row.client_id).stale.push(item);
+      continue;
+    }
+    if (row.is_new || new Date(row.first_matched_at) > since) {
+      bucket(row.client_id).new.push(item);
+    }
+    if (item.daysLeft !== null && item.daysLeft >= 0 && item.daysLeft <= deadlineDays) {
+      bucket(row.client_id).closing.push(item);
+    }
+  }
+
+  for (const sections of byClient.values()) {
+    sections.new.sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+    sections.stale.sort((a, b) => new Date(b.staleAt) - new Date(a.staleAt));
+    sections.closing.sort((a, b) => a.daysLeft - b.daysLeft);
+  }
+  return byClient;
+}
+
+/**
+ * Assemble the digest for a subscription.
+ *
+ * @returns {Promise<Object>} { since, deadlineDays, clients: [{ client, new, stale, closing }],
+ *   counts: { clients, new, stale, closing }, reportedMatchIds }
+ *   reportedMatchIds are the listed new matches still flagged is_new.
+ */
+export async function buildDigest(supabase, subscription, { now = new Date() } = {}) {
+  const since = digestSince(subscription, now);
+  const deadlineDays = subscription.deadline_days;
+
+  const { data: assignments, error: assignmentError } = await supabase
+    .from('client_users')
+    .select('client_id')
+    .eq('user_id', subscription.user_id);
+  if (assignmentError) throw new Error(`Failed to fetch client assignments: ${assignmentError.message}`);
+
+  const clientIds = (assignments || []).map(a => a.client_id);
+  const digest = { since, deadlineDays, clients: [], counts: { clients: 0, new: 0, stale: 0, closing: 0 }, reportedMatchIds: [] };
+  if (clientIds.length === 0) return digest;
+
+  const [clientsResult, matchesResult, hiddenResult] = await Promise.all([
+    supabase
+      .from('clients')
+      .select('id, name, type, city, state_code')
+      .in('id', clientIds)
+      .order('name'),
+    supabase
+      .from('client_matches')
+      .select(`
+        id, client_id, opportunity_id, score, match_tier, is_new, is_stale, stale_at, first_matched_at,
+        opportunity:funding_opportunities!inner(title, agency_name, close_date, minimum_award, maximum_award)
+      `)
+      .in('client_id', clientIds)
+      .or(`is_stale.eq.false,stale_at.gt.${since.toISOString()}`)
+      .limit(100000),
+    supabase
+      .from('hidden_matches')
+      .select('client_id, opportunity_id')
+      .in('client_id', clientIds)
+      .limit(100000)
+  ]);
+  if (clientsResult.error) throw new Error(`Failed to fetch clients: ${clientsResult.error.message}`);
+  if (matchesResult.error) throw new Error(`Failed to fetch matches: ${matchesResult.error.message}`);
+  if (hiddenResult.error) throw new Error(`Failed to fetch hidden matches: ${hiddenResult.error.message}`);
+
+  const hiddenKeys = new Set((hiddenResult.data || []).map(h => `${h.client_id}:${h.opportunity_id}`));
+  const byClient = classifyDigestMatches(matchesResult.data || [], { since, now, deadlineDays, hiddenKeys });
+
+  for (const client of clientsResult.data || []) {
+    const sections = byClient.get(client.id);
+    if (!sections || (sections.new.length + sections.stale.length + sections.closing.length) === 0) continue;
+
+    const listed = {
+      new: sections.new.slice(0, MAX_ITEMS_PER_SECTION),
+      stale: sections.stale.slice(0, MAX_ITEMS_PER_SECTION),
+      closing: sections.closing.slice(0, MAX_ITEMS_PER_SECTION)
+    };
+    digest.clients.push({ client, ...listed, totals: { new: sections.new.length, stale: sections.stale.length, closing: sections.closing.length } });
+    digest.counts.new += sections.new.length;
+    digest.counts.stale += sections.stale.length;
+    digest.counts.closing += sections.closing.length;
+    digest.reportedMatchIds.push(...listed.new.filter(item => item.isNew).map(item => item.matchId));
+  }
+  digest.counts.clients = digest.clients.length;
+  return digest;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+export function digestSubject(digest) {
+  const parts = [];
+  if (digest.counts.new) parts.push(`${digest.counts.new} new ${digest.counts.new === 1 ? 'match' : 'matches'}`);
+  if (digest.counts.closing) parts.push(`${digest.counts.closing} closing soon`);
+  if (digest.counts.stale) parts.push(`${digest.counts.stale} no longer matching`);
+  return `Meridian digest: ${parts.join(', ') || 'no changes'}`;
+}
+
+const SECTION_TITLES = {
+  new: 'New matches',
+  closing: 'Deadlines approaching',
+  stale: 'No longer matching'
+};
+
+function itemDetail(section, item) {
+  if (section === 'closing') {
+    return item.daysLeft === 0 ? 'Closes today' : `Closes ${formatDate(item.closeDate)} (${plural(item.daysLeft, 'day')})`;
+  }
+  if (section === 'stale') return `Stopped matching ${formatDate(item.staleAt)}`;
+  return [item.score != null ? `Score ${item.score}` : null, item.awardRange].filter(Boolean).join(' · ');
+}
+
+/**
+ * Render the digest email.
+ *
+ * @param {Object} digest - From buildDigest()
+ * @param {Object} options
+ * @param {string} options.appUrl - Base URL for links into the app
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderDigestEmail(digest, { appUrl = process.env.API_URL || 'http://localhost:3000' } = {}) {
+  const baseUrl = appUrl.replace(/\/+$/, '');
+  const subject = digestSubject(digest);
+  const period = `since ${formatDate(digest.since)}`;
+
+  const htmlClients = digest.clients.map(({ client, totals, ...sections }) => {
+    const htmlSections = ['new', 'closing', 'stale'].filter(key => sections[key].length > 0).map(key => {
+      const rows = sections[key].map(item => `
+          <li style="margin:0 0 6px">
+            <a href="${escapeHtml(`${baseUrl}/funding/opportunities/${item.opportunityId}`)}" style="color:#1E3A8A;text-decoration:none;font-weight:600">${escapeHtml(item.title)}</a>
+            ${item.agency ? `<span style="color:#6B7280"> — ${escapeHtml(item.agency)}</span>` : ''}
+            <div style="color:#374151;font-size:13px">${escapeHtml(itemDetail(key, item))}</div>
+          </li>`).join('');
+      const more = totals[key] - sections[key].length;
+      return `
+        <h3 style="margin:12px 0 6px;font-size:14px;color:#111827">${SECTION_TITLES[key]} (${totals[key]})</h3>
+        <ul style="margin:0;padding-left:18px">${rows}
+        </ul>${more > 0 ? `\n        <p style="margin:4px 0 0;color:#6B7280;font-size:13px">+${more} more</p>` : ''}`;
+    }).join('');
+    const location = [client.city, client.state_code].filter(Boolean).join(', ');
+    return `
+      <div style="border-top:1px solid #E5E7EB;padding:16px 0">
+        <h2 style="margin:0;font-size:16px">
+          <a href="${escapeHtml(`${baseUrl}/clients/${client.id}/matches`)}" style="color:#111827;text-decoration:none">${escapeHtml(client.name)}</a>
+        </h2>
+        ${location ? `<div style="color:#6B7280;font-size:13px">${escapeHtml(location)}</div>` : ''}${htmlSections}
+      </div>`;
+  }).join('');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;font-family:Helvetica,Arial,sans-serif;color:#111827;background:#F9FAFB">
+    <div style="max-width:640px;margin:0 auto;background:#FFFFFF;padding:24px;border-radius:8px">
+      <h1 style="margin:0 0 4px;font-size:20px;color:#1E3A8A">Your funding match digest</h1>
+      <p style="margin:0 0 16px;color:#6B7280;font-size:13px">
+        ${escapeHtml(`${plural(digest.counts.clients, 'client')} with changes ${period}`)}
+      </p>${htmlClients}
+      <p style="margin:16px 0 0;color:#9CA3AF;font-size:12px">
+        You receive this because you subscribed to match digests in Meridian.
+        <a href="${escapeHtml(`${baseUrl}/clients`)}" style="color:#9CA3AF">Manage digest settings</a>
+      </p>
+    </div>
+  </body>
+</html>
+`;
+
+  const textClients = digest.clients.map(({ client, totals, ...sections }) => {
+    const lines = [client.name.toUpperCase()];
+    ['new', 'closing', 'stale'].filter(key => sections[key].length > 0).forEach(key => {
+      lines.push(`  ${SECTION_TITLES[key]} (${totals[key]})`);
+      sections[key].forEach(item => {
+        lines.push(`  - ${item.title}${item.agency ? ` (${item.agency})` : ''}: ${itemDetail(key, item)}`);
+        lines.push(`    ${baseUrl}/funding/opportunities/${item.opportunityId}`);
+      });
+      const more = totals[key] - sections[key].length;
+      if (more > 0) lines.push(`  +${more} more`);
+    });
+    return lines.join('\n');
+  });
+
+  const text = [
+    'Your funding match digest',
+    `${plural(digest.counts.clients, 'client')} with changes ${period}`,
+    '',
+    textClients.join('\n\n'),
+    '',
+    `Manage digest settings: ${baseUrl}/clients`
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+export async function renderDigestPdf(digest) {
+  return renderToBuffer(React.createElement(MatchDigestPDF, { digest }));
+}
+
+async function clearNewFlags(supabase, matchIds) {
+  for (let i = 0; i < matchIds.length; i += CLEAR_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('client_matches')
+      .update({ is_new: false })
+      .in('id', matchIds.slice(i, i + CLEAR_BATCH_SIZE));
+    if (error) throw new Error(`Failed to clear is_new: ${error.message}`);
+  }
+}
+
+/**
+ * Build and send one subscription's digest, then log it.
+ *
+ * @param {Object} subscription - match_digest_subscriptions row
+ * @param {Object} options
+ * @param {Object} options.transport - Mail transport (see mailTransport.js)
+ * @param {string} options.from - Sender address
+ * @param {string} [options.trigger] - 'cron' or 'manual'
+ * @returns {Promise<Object>} The match_digest_log row
+ */
+export async function sendDigest(supabase, subscription, { transport, from, trigger = 'manual', now = new Date() }) {
+  const entry = {
+    subscription_id: subscription.id,
+    user_id: subscription.user_id,
+    recipient: subscription.email,
+    trigger,
+    transport: transport.name
+  };
+
+  try {
+    const digest = await buildDigest(supabase, subscription, { now });
+    Object.assign(entry, {
+      client_count: digest.counts.clients,
+      new_count: digest.counts.new,
+      stale_count: digest.counts.stale,
+      deadline_count: digest.counts.closing
+    });
+
+    if (digest.clients.length === 0) {
+      return await insertLogEntry(supabase, { ...entry, status: 'skipped' });
+    }
+
+    const { subject, html, text } = renderDigestEmail(digest);
+    const attachments = [];
+    if (subscription.include_pdf) {
+      attachments.push({
+        filename: `meridian-digest-${now.toISOString().split('T')[0]}.pdf`,
+        content: await renderDigestPdf(digest),
+        contentType: 'application/pdf'
+      });
+    }
+
+    const { messageId } = await transport.send({ from, to: subscription.email, subject, html, text, attachments });
+    Object.assign(entry, { status: 'sent', message_id: messageId, has_pdf: attachments.length > 0 });
+
+    // The mail is out; from here on failures are recorded on the sent entry
+    try {
+      await clearNewFlags(supabase, digest.reportedMatchIds);
+      entry.cleared_match_ids = digest.reportedMatchIds;
+    } catch (error) {
+      entry.error = error.message;
+    }
+    await supabase
+      .from('match_digest_subscriptions')
+      .update({ last_sent_at: now.toISOString() })
+      .eq('id', subscription.id);
+
+    return await insertLogEntry(supabase, entry);
+  } catch (error) {
+    console.error(`[MatchDigest] Digest for ${subscription.email} failed:`, error.message);
+    return await insertLogEntry(supabase, { ...entry, status: 'failed', error: error.message });
+  }
+}
+
+async function insertLogEntry(supabase, entry) {
+  const { data, error } = await supabase.from('match_digest_log').insert(entry).select('*').single();
+  if (error) throw new Error(`Failed to write digest log: ${error.message}`);
+  return data;
+}
+
+/**
+ * Send every due digest.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.transport] - Defaults to the configured transport
+ * @param {string} [options.from]
+ * @returns {Promise<Object>} stats { subscriptions, due, sent, skipped, failed }
+ */
+export async function runMatchDigests(supabase, { transport, from, trigger = 'cron', now = new Date() } = {}) {
+  if (!transport) {
+    const config = getMailConfig();
+    if (!config) throw new Error('Mail is not configured (set SMTP_HOST or MAIL_TRANSPORT)');
+    transport = createMailTransport(config);
+    from = from || config.from;
+  }
+
+  const { data: subscriptions, error } = await supabase
+    .from('match_digest_subscriptions')
+    .select('*')
+    .eq('is_active', true)
+    .limit(10000);
+  if (error) throw new Error(`Failed to fetch digest subscriptions: ${error.message}`);
+
+  const stats = { subscriptions: subscriptions.length, due: 0, sent: 0, skipped: 0, failed: 0 };
+  for (const subscription of subscriptions) {
+    if (!isDigestDue(subscription, now)) continue;
+    stats.due++;
+    const logged = await sendDigest(supabase, subscription, { transport, from, trigger, now });
+    stats[logged.status]++;
+  }
+
+  console.log(`[MatchDigest] ${stats.due} due of ${stats.subscriptions}: ${stats.sent} sent, ` +
+    `${stats.skipped} skipped, ${stats.failed} failed`);
+  return stats;
+}
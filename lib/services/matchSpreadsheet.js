@@ -0,0 +1,221 @@
+/**
+ * Client Match Spreadsheet Export
+ *
+ * Writes a client's matches as XLSX (a Matches sheet plus a Hidden Matches
+ * sheet with reasons) or CSV (one sheet per file). Rows carry the same fields
+ * as the PDF cards, with amounts, scores and dates as real values so the
+ * workbook can be filtered and pivoted. Sorting and grouping reuse the PDF
+ * utilities in lib/pdf/utils/grouping.js; like the PDF, multi-site clients are
+ * grouped by site unless another grouping is requested.
+ */
+
+import ExcelJS from 'exceljs';
+import {
+  groupByProjectNeed,
+  groupBySite,
+  groupBySourceType,
+  groupByDeadline,
+  groupByMatchScore,
+  sortOpportunities,
+} from '@/lib/pdf/utils/grouping';
+import {
+  formatFundingRange,
+  formatSourceType,
+  formatStatus,
+  formatCostShare,
+  getDaysRemaining,
+} from '@/lib/pdf/utils/formatters';
+
+export const MATCH_SHEET_FORMATS = ['csv', 'xlsx'];
+
+export const MATCH_SORT_OPTIONS = ['deadline', 'score', 'amount'];
+
+/** groupBy option → [{ label, opportunities }] */
+const GROUPINGS = {
+  site: (matches, client) => groupBySite(matches, client.sites || [])
+    .map(g => ({ label: g.siteName, opportunities: g.opportunities })),
+  projectNeed: (matches, client) => groupByProjectNeed(matches, client.project_needs || [])
+    .map(g => ({ label: g.projectNeed, opportunities: g.opportunities })),
+  deadline: matches => groupByDeadline(matches)
+    .map(g => ({ label: g.label, opportunities: g.opportunities })),
+  sourceType: matches => groupBySourceType(matches)
+    .map(g => ({ label: g.sourceType, opportunities: g.opportunities })),
+  score: matches => groupByMatchScore(matches)
+    .map(g => ({ label: g.label, opportunities: g.opportunities })),
+};
+
+export const MATCH_GROUP_OPTIONS = ['none', ...Object.keys(GROUPINGS)];
+
+const CURRENCY_FORMAT = '"$"#,##0';
+const DATE_FORMAT = 'yyyy-mm-dd';
+
+export const MATCH_SHEET_COLUMNS = [
+  { key: 'group', header: 'Group', width: 28 },
+  { key: 'title', header: 'Opportunity', width: 48 },
+  { key: 'agency', header: 'Agency', width: 32 },
+  { key: 'source_type', header: 'Source Type', width: 12 },
+  { key: 'score', header: 'Match Score', width: 12 },
+  { key: 'matched_project_needs', header: 'Matched Project Needs', width: 40 },
+  { key: 'eligible_sites', header: 'Eligible Sites', width: 28 },
+  { key: 'minimum_award', header: 'Min Award', width: 14, numFmt: CURRENCY_FORMAT },
+  { key: 'maximum_award', header: 'Max Award', width: 14, numFmt: CURRENCY_FORMAT },
+  { key: 'award_range', header: 'Award Range', width: 20 },
+  { key: 'close_date', header: 'Deadline', width: 12, numFmt: DATE_FORMAT },
+  { key: 'days_remaining', header: 'Days Remaining', width: 14 },
+  { key: 'status', header: 'Status', width: 12 },
+  { key: 'cost_share', header: 'Cost Share', width: 20 },
+  { key: 'program_overview', header: 'Program Overview', width: 60 },
+  { key: 'url', header: 'URL', width: 40 },
+  { key: 'opportunity_id', header: 'Opportunity ID', width: 38 },
+];
+
+export const HIDDEN_SHEET_COLUMNS = [
+  { key: 'title', header: 'Opportunity', width: 48 },
+  { key: 'agency', header: 'Agency', width: 32 },
+  { key: 'source_type', header: 'Source Type', width: 12 },
+  { key: 'maximum_award', header: 'Max Award', width: 14, numFmt: CURRENCY_FORMAT },
+  { key: 'close_date', header: 'Deadline', width: 12, numFmt: DATE_FORMAT },
+  { key: 'status', header: 'Status', width: 12 },
+  { key: 'hidden_at', header: 'Hidden On', width: 12, numFmt: DATE_FORMAT },
+  { key: 'hidden_by', header: 'Hidden By', width: 16 },
+  { key: 'reason', header: 'Reason', width: 48 },
+  { key: 'url', header: 'URL', width: 40 },
+  { key: 'opportunity_id', header: 'Opportunity ID', width: 38 },
+];
+
+/** Separator for multi-value cells, same as the client import layout. */
+const LIST_SEPARATOR = '; ';
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * The grouping the PDF would use: by site for multi-site clients, otherwise none.
+ *
+ * @param {Object} client - Client with optional sites
+ * @returns {string}
+ */
+export function defaultMatchGrouping(client) {
+  return client?.sites?.length ? 'site' : 'none';
+}
+
+/**
+ * @param {Object} match - Opportunity with score and matchDetails (PDF match shape)
+ * @param {string|null} group - Group label, when grouped
+ * @returns {Object} sheet row keyed by MATCH_SHEET_COLUMNS
+ */
+export function matchToSheetRow(match, group = null) {
+  const agency = match.agency_name || match.source_name || '';
+  const minAward = match.minimum_award || match.min_amount || null;
+  const maxAward = match.maximum_award || match.max_amount || null;
+  return {
+    group,
+    title: match.title || 'Untitled Opportunity',
+    agency,
+    source_type: formatSourceType(match.source_type, agency),
+    score: match.score ?? match.matchDetails?.score ?? null,
+    matched_project_needs: (match.matchDetails?.matchedProjectNeeds || []).join(LIST_SEPARATOR),
+    eligible_sites: (match.matchDetails?.eligibleSites || []).map(site => site.name).join(LIST_SEPARATOR),
+    minimum_award: minAward,
+    maximum_award: maxAward,
+    award_range: formatFundingRange(minAward, maxAward),
+    close_date: toDate(match.close_date),
+    days_remaining: getDaysRemaining(match.close_date),
+    status: formatStatus(match.status || 'open').text,
+    cost_share: formatCostShare(match.cost_share_required, match.cost_share_percentage),
+    program_overview: match.program_overview || match.description || '',
+    url: match.url || '',
+    opportunity_id: match.id,
+  };
+}
+
+/**
+ * @param {Object} hidden - hidden_matches row with funding_opportunities embedded
+ * @returns {Object} sheet row keyed by HIDDEN_SHEET_COLUMNS
+ */
+export function hiddenMatchToSheetRow(hidden) {
+  const opportunity = hidden.funding_opportunities || {};
+  const agency = opportunity.agency_name || '';
+  return {
+    title: opportunity.title || 'Opportunity no longer available',
+    agency,
+    source_type: formatSourceType(opportunity.source_type, agency),
+    maximum_award: opportunity.maximum_award || null,
+    close_date: toDate(opportunity.close_date),
+    status: opportunity.status ? formatStatus(opportunity.status).text : '',
+    hidden_at: toDate(hidden.hidden_at),
+    hidden_by: hidden.hidden_by || '',
+    reason: hidden.reason || '',
+    url: opportunity.url || '',
+    opportunity_id: hidden.opportunity_id,
+  };
+}
+
+/**
+ * Sheet rows in PDF order: grouped (an opportunity appears under every group
+ * it belongs to), then sorted within each group.
+ *
+ * @param {Object} client - Client, with sites for site grouping
+ * @param {Array} matches - PDF match shape (opportunity fields + score + matchDetails)
+ * @param {Object} [options]
+ * @param {string} [options.sortBy] - deadline | score | amount (default: score)
+ * @param {string} [options.groupBy] - MATCH_GROUP_OPTIONS (default: defaultMatchGrouping)
+ * @returns {Object[]}
+ */
+export function buildMatchRows(client, matches, { sortBy = 'score', groupBy } = {}) {
+  const grouping = GROUPINGS[groupBy ?? defaultMatchGrouping(client)];
+  if (!grouping) {
+    return sortOpportunities(matches, sortBy).map(match => matchToSheetRow(match));
+  }
+  return grouping(matches, client).flatMap(group =>
+    sortOpportunities(group.opportunities, sortBy).map(match => matchToSheetRow(match, group.label))
+  );
+}
+
+function addSheet(workbook, name, columns, rows) {
+  const worksheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  worksheet.columns = columns.map(({ key, header, width, numFmt }) => ({
+    key,
+    header,
+    width,
+    style: numFmt ? { numFmt } : undefined
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  rows.forEach(row => worksheet.addRow(row));
+  worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  return worksheet;
+}
+
+/**
+ * @param {Object} data
+ * @param {Object[]} data.rows - buildMatchRows() output
+ * @param {Object[]} data.hiddenMatches - hidden_matches rows with funding_opportunities
+ * @param {string} format - 'xlsx' (both sheets) or 'csv' (one sheet)
+ * @param {Object} [options]
+ * @param {string} [options.sheet] - CSV only: 'matches' (default) or 'hidden'
+ * @returns {Promise<Buffer>}
+ */
+export async function writeMatchWorkbook({ rows, hiddenMatches = [] }, format, { sheet = 'matches' } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  // Group and Eligible Sites only apply to grouped exports and multi-site clients
+  const optionalKeys = ['group', 'eligible_sites'].filter(key => !rows.some(row => row[key]));
+  const matchColumns = MATCH_SHEET_COLUMNS.filter(col => !optionalKeys.includes(col.key));
+
+  if (format === 'csv') {
+    if (sheet === 'hidden') {
+      addSheet(workbook, 'Hidden Matches', HIDDEN_SHEET_COLUMNS, hiddenMatches.map(hiddenMatchToSheetRow));
+    } else {
+      addSheet(workbook, 'Matches', matchColumns, rows);
+    }
+    const data = await workbook.csv.writeBuffer({ dateFormat: 'YYYY-MM-DD', dateUTC: true });
+    return Buffer.from(data);
+  }
+
+  addSheet(workbook, 'Matches', matchColumns, rows);
+  addSheet(workbook, 'Hidden Matches', HIDDEN_SHEET_COLUMNS, hiddenMatches.map(hiddenMatchToSheetRow));
+  const data = await workbook.xlsx.writeBuffer();
+  return Buffer.from(data);
+}
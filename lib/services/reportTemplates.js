@@ -0,0 +1,149 @@
+/**
+ * Report Templates
+ *
+ * Validation and lookup for report_templates, the stored branding for client
+ * matches PDFs. Rendering lives in lib/pdf (resolveBranding); this module only
+ * deals with the rows.
+ */
+
+import { REPORT_SECTIONS } from '@/lib/pdf/utils/branding';
+
+/** Text columns an admin can set, with their max lengths. */
+const TEXT_LIMITS = {
+  name: 100,
+  brand_name: 60,
+  tagline: 120,
+  cover_title: 120,
+  cover_text: 1000,
+  footer_text: 120,
+  disclaimer: 400,
+};
+
+const COLOR_FIELDS = ['primary_color', 'accent_color'];
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+
+/** react-pdf embeds PNG and JPEG only. */
+const LOGO_DATA_URI = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/]+=*$/;
+export const MAX_LOGO_BYTES = 500 * 1024;
+
+/**
+ * Validate a create/update payload.
+ *
+ * Empty strings clear a field (null = use the default branding). On update
+ * (partial) only the fields present are validated and returned.
+ *
+ * @param {Object} input - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Update: name not required
+ * @returns {{ values: Object, errors: string[] }}
+ */
+export function validateReportTemplate(input, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+  const has = (key) => input?.[key] !== undefined;
+
+  if (!partial && !input?.name?.trim?.()) {
+    errors.push('name is required');
+  }
+
+  Object.entries(TEXT_LIMITS).forEach(([key, max]) => {
+    if (!has(key)) return;
+    const value = input[key];
+    if (value !== null && typeof value !== 'string') {
+      errors.push(`${key} must be a string`);
+      return;
+    }
+    const trimmed = value?.trim() || null;
+    if (key === 'name' && !trimmed) {
+      errors.push('name cannot be empty');
+    } else if (trimmed && trimmed.length > max) {
+      errors.push(`${key} must be at most ${max} characters`);
+    } else {
+      values[key] = trimmed;
+    }
+  });
+
+  COLOR_FIELDS.forEach((key) => {
+    if (!has(key)) return;
+    const value = input[key] || null;
+    if (value && !HEX_COLOR.test(value)) {
+      errors.push(`${key} must be a hex color like #1E3A8A`);
+    } else {
+      values[key] = value;
+    }
+  });
+
+  if (has('logo_data')) {
+    const logo = input.logo_data || null;
+    if (logo && !LOGO_DATA_URI.test(logo)) {
+      errors.push('logo_data must be a PNG or JPEG data URI');
+    } else if (logo && Math.floor((logo.length - logo.indexOf(',') - 1) * 3 / 4) > MAX_LOGO_BYTES) {
+      errors.push(`logo must be at most ${MAX_LOGO_BYTES / 1024} KB`);
+    } else {
+      values.logo_data = logo;
+    }
+  }
+
+  if (has('sections')) {
+    const sections = input.sections;
+    if (!sections || typeof sections !== 'object' || Array.isArray(sections)) {
+      errors.push('sections must be an object');
+    } else {
+      const unknown = Object.keys(sections).filter((key) => !REPORT_SECTIONS.includes(key));
+      if (unknown.length > 0) {
+        errors.push(`Unknown sections: ${unknown.join(', ')}. Must be among: ${REPORT_SECTIONS.join(', ')}`);
+      } else if (Object.values(sections).some((value) => typeof value !== 'boolean')) {
+        errors.push('sections values must be true or false');
+      } else {
+        values.sections = Object.fromEntries(REPORT_SECTIONS.map((key) => [key, sections[key] ?? true]));
+      }
+    }
+  }
+
+  if (has('is_default')) {
+    if (typeof input.is_default !== 'boolean') {
+      errors.push('is_default must be true or false');
+    } else {
+      values.is_default = input.is_default;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * The template a report renders with: the requested one, or the default
+ * template when none is requested. Null means the built-in branding.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {string|null} templateId
+ * @returns {Promise<Object|null>} report_templates row
+ * @throws {Error} when a requested template does not exist
+ */
+export async function getReportTemplate(supabase, templateId = null) {
+  let query = supabase.from('report_templates').select('*');
+  query = templateId ? query.eq('id', templateId) : query.eq('is_default', true);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) throw error;
+  if (templateId && !data) throw new Error(`Report template ${templateId} not found`);
+  return data || null;
+}
+
+/**
+ * Unset the current default before another template becomes the default. The
+ * partial unique index on is_default rejects a second default.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {string|null} exceptId - Template being saved, left untouched
+ */
+export async function clearDefaultTemplate(supabase, exceptId = null) {
+  let query = supabase
+    .from('report_templates')
+    .update({ is_default: false })
+    .eq('is_default', true);
+  if (exceptId) query = query.neq('id', exceptId);
+
+  const { error } = await query;
+  if (error) throw error;
+}
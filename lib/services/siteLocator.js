@@ -0,0 +1,45 @@
+/**
+ * Site Locator
+ *
+ * Geocodes a client site address and resolves the coverage areas containing it,
+ * returning the location columns stored on client_sites.
+ */
+
+import { geocodeAddress } from './geocoder';
+
+/**
+ * @param {Object} supabase - Supabase client with service_role key
+ * @param {string} address - Street address to geocode
+ * @returns {Promise<Object>} { success, error?, location? } where location holds
+ *   address, location_point, coverage_area_ids, state_code, county_name, city, zipcode
+ */
+export async function locateSite(supabase, address) {
+  const geocodeResult = await geocodeAddress(address);
+  if (!geocodeResult.success) {
+    return { success: false, error: `Geocoding failed: ${geocodeResult.error}` };
+  }
+
+  const { lat, lng } = geocodeResult.coordinates;
+  const { city, county, stateCode, zipcode } = geocodeResult.location;
+
+  const { data: coverageAreas, error: coverageError } = await supabase
+    .rpc('find_coverage_areas_for_point', { lng, lat });
+
+  if (coverageError) {
+    console.error('[SiteLocator] Coverage area lookup error:', coverageError);
+    throw coverageError;
+  }
+
+  return {
+    success: true,
+    location: {
+      address: geocodeResult.formattedAddress,
+      location_point: `POINT(${lng} ${lat})`,
+      coverage_area_ids: coverageAreas?.map(ca => ca.id) || [],
+      state_code: stateCode,
+      county_name: county,
+      city,
+      zipcode
+    }
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * API Source Credentials
+ *
+ * Auth settings for an API source are stored in two places:
+ * - api_sources.auth_type / auth_details: the auth type and its non-secret
+ *   settings (header names, token URL, client id). These travel in processing
+ *   instructions, job data and run records.
+ * - api_source_credentials: the secret fields, encrypted with
+ *   lib/utils/secretEncryption.js. Readable by the service role only.
+ *
+ * Auth types and their settings (secret fields marked *):
+ *   none
+ *   apikey     { key, in: 'header'|'query', value* }
+ *   bearer     { header = 'Authorization', scheme = 'Bearer' ('none': token only), token* }
+ *   basic      { username, password* }
+ *   oauth2_client_credentials
+ *              { tokenUrl, clientId, scope, audience,
+ *                clientAuth: 'body'|'basic' = 'body', clientSecret* }
+ *   hmac       { keyId, algorithm: 'sha256'|'sha512' = 'sha256',
+ *                encoding: 'hex'|'base64' = 'hex', signatureHeader = 'X-Signature',
+ *                timestampHeader = 'X-Timestamp', keyIdHeader = 'X-Key-Id', secret* }
+ * 'oauth' is the former name of bearer (a pasted access token).
+ *
+ * Requests are authorized with these in lib/agents-v2/core/sourceAdapters/auth.js.
+ */
+
+import { encryptSecret, decryptSecret } from '../utils/secretEncryption.js';
+
+export const AUTH_TYPES = ['none', 'apikey', 'bearer', 'basic', 'oauth2_client_credentials', 'hmac'];
+
+/** Secret fields per auth type; everything else in auth_details is config. */
+export const AUTH_SECRET_FIELDS = {
+  none: [],
+  apikey: ['value'],
+  bearer: ['token'],
+  basic: ['password'],
+  oauth2_client_credentials: ['clientSecret'],
+  hmac: ['secret']
+};
+
+const ALL_SECRET_FIELDS = new Set(Object.values(AUTH_SECRET_FIELDS).flat());
+
+const LEGACY_AUTH_TYPES = {
+  oauth: 'bearer'
+};
+
+/**
+ * The auth type for an api_sources.auth_type value; legacy names are mapped
+ * and a missing value is 'none'
+ * @returns {string|null} - Auth type, or null when not recognized
+ */
+export function normalizeAuthType(authType) {
+  const type = LEGACY_AUTH_TYPES[authType] || authType || 'none';
+  return AUTH_TYPES.includes(type) ? type : null;
+}
+
+/**
+ * Separate the secret fields from submitted auth details. Blank secrets are
+ * dropped so that saving a form without re-entering them keeps the stored ones,
+ * and secret fields of other auth types (left over from switching the type on
+ * the form) are dropped rather than kept as config.
+ * @param {string} authType - Auth type
+ * @param {Object} authDetails - Auth details as submitted
+ * @returns {{ config: Object, secrets: Object }}
+ */
+export function splitAuthDetails(authType, authDetails) {
+  const secretFields = AUTH_SECRET_FIELDS[normalizeAuthType(authType)] || [];
+  const config = {};
+  const secrets = {};
+
+  Object.entries(authDetails || {}).forEach(([field, value]) => {
+    if (!ALL_SECRET_FIELDS.has(field)) {
+      config[field] = value;
+    } else if (secretFields.includes(field) && typeof value === 'string' && value.trim() !== '') {
+      secrets[field] = value;
+    }
+  });
+
+  return { config, secrets };
+}
+
+/**
+ * Decrypted secrets of a source
+ * @param {Object} supabase - Service role client
+ * @param {string} sourceId - api_sources.id
+ * @returns {Promise<Object>} - Secret fields; {} when none are stored
+ */
+export async function loadSourceSecrets(supabase, sourceId) {
+  const { data, error } = await supabase
+    .from('api_source_credentials')
+    .select('encrypted_secrets')
+    .eq('source_id', sourceId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load source credentials: ${error.message}`);
+  }
+
+  return data ? JSON.parse(decryptSecret(data.encrypted_secrets)) : {};
+}
+
+/**
+ * Names of the secret fields stored for a source, without decrypting them
+ * @returns {Promise<Array<string>>}
+ */
+export async function getStoredSecretFields(supabase, sourceId) {
+  const { data, error } = await supabase
+    .from('api_source_credentials')
+    .select('secret_fields')
+    .eq('source_id', sourceId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load source credentials: ${error.message}`);
+  }
+
+  return data?.secret_fields || [];
+}
+
+/**
+ * Store a source's secrets for its auth type. Fields not given keep their
+ * stored value; fields the auth type does not use are removed, and the row
+ * is deleted when nothing is left.
+ * @param {Object} supabase - Service role client
+ * @param {string} sourceId - api_sources.id
+ * @param {string} authType - The source's auth type
+ * @param {Object} secrets - Secret fields from splitAuthDetails()
+ * @returns {Promise<Array<string>>} - Names of the stored secret fields
+ */
+export async function saveSourceSecrets(supabase, sourceId, authType, secrets = {}) {
+  const secretFields = AUTH_SECRET_FIELDS[normalizeAuthType(authType)] || [];
+  const existing = secretFields.every((field) => secrets[field])
+    ? {}
+    : await loadSourceSecrets(supabase, sourceId);
+
+  const merged = {};
+  secretFields.forEach((field) => {
+    const value = secrets[field] ?? existing[field];
+    if (value) merged[field] = value;
+  });
+
+  const storedFields = Object.keys(merged);
+
+  if (storedFields.length === 0) {
+    const { error } = await supabase
+      .from('api_source_credentials')
+      .delete()
+      .eq('source_id', sourceId);
+
+    if (error) {
+      throw new Error(`Failed to remove source credentials: ${error.message}`);
+    }
+    return [];
+  }
+
+  const { error } = await supabase
+    .from('api_source_credentials')
+    .upsert({
+      source_id: sourceId,
+      encrypted_secrets: encryptSecret(JSON.stringify(merged)),
+      secret_fields: storedFields,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'source_id' });
+
+  if (error) {
+    throw new Error(`Failed to save source credentials: ${error.message}`);
+  }
+  return storedFields;
+}
+
+/**
+ * A source's auth for API responses: auth_details without secret values, and
+ * the names of the secret fields that are set (encrypted, or still plaintext)
+ * @param {Object} supabase - Service role client
+ * @param {Object} source - api_sources row
+ * @returns {Promise<{ auth_details: Object, auth_secret_fields: Array<string> }>}
+ */
+export async function describeSourceAuth(supabase, source) {
+  const { config, secrets } = splitAuthDetails(source.auth_type, source.auth_details);
+  const storedFields = await getStoredSecretFields(supabase, source.id);
+
+  return {
+    auth_details: config,
+    auth_secret_fields: [...new Set([...storedFields, ...Object.keys(secrets)])]
+  };
+}
@@ -0,0 +1,308 @@
+/**
+ * Tracked Opportunities and Watchlists
+ *
+ * Server-side tracking (tracked_opportunities, one list per user) and shared
+ * watchlists. lib/stores/trackedOpportunitiesStore.js caches the user's list
+ * in the browser and uploads pre-existing localStorage IDs through
+ * importTrackedOpportunities() on the first signed-in sync.
+ *
+ * A watchlist is open to its creator, its members (the team) and, when it is
+ * attached to a client, the client's assigned users (client_users).
+ */
+
+export const MAX_TRACKED_OPPORTUNITIES = 1000;
+
+const ID_BATCH_SIZE = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const WATCHLIST_SELECT = `
+  *,
+  client:clients(name),
+  members:watchlist_members(user_id),
+  opportunities:watchlist_opportunities(opportunity_id, added_by, added_at)
+`;
+
+export function isOpportunityId(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+// --- Tracked opportunities ---
+
+/**
+ * The user's tracked opportunity IDs, oldest first (the order they were tracked).
+ */
+export async function getTrackedOpportunityIds(supabase, userId) {
+  const { data, error } = await supabase
+    .from('tracked_opportunities')
+    .select('opportunity_id')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true })
+    .limit(MAX_TRACKED_OPPORTUNITIES);
+  if (error) throw new Error(`Failed to fetch tracked opportunities: ${error.message}`);
+  return (data || []).map(row => row.opportunity_id);
+}
+
+/**
+ * IDs among `ids` that are still in funding_opportunities. Browser-side lists
+ * can hold opportunities that have since been removed.
+ */
+async function filterExistingOpportunityIds(supabase, ids) {
+  const existing = [];
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('funding_opportunities')
+      .select('id')
+      .in('id', ids.slice(i, i + ID_BATCH_SIZE));
+    if (error) throw new Error(`Failed to fetch opportunities: ${error.message}`);
+    existing.push(...(data || []).map(row => row.id));
+  }
+  const found = new Set(existing);
+  return ids.filter(id => found.has(id));
+}
+
+/**
+ * Track an opportunity; tracking one twice is a no-op.
+ *
+ * @returns {Promise<boolean>} false when the opportunity does not exist
+ */
+export async function trackOpportunity(supabase, userId, opportunityId) {
+  const [existing] = await filterExistingOpportunityIds(supabase, [opportunityId]);
+  if (!existing) return false;
+
+  const { error } = await supabase
+    .from('tracked_opportunities')
+    .upsert({ user_id: userId, opportunity_id: opportunityId }, {
+      onConflict: 'user_id,opportunity_id',
+      ignoreDuplicates: true
+    });
+  if (error) throw new Error(`Failed to track opportunity: ${error.message}`);
+  return true;
+}
+
+export async function untrackOpportunity(supabase, userId, opportunityId) {
+  const { error } = await supabase
+    .from('tracked_opportunities')
+    .delete()
+    .eq('user_id', userId)
+    .eq('opportunity_id', opportunityId);
+  if (error) throw new Error(`Failed to untrack opportunity: ${error.message}`);
+}
+
+/**
+ * Merge browser-tracked IDs into the user's server-side list.
+ *
+ * Unknown and removed opportunities are skipped, and IDs already tracked are
+ * left as they are, so the upload is safe to repeat.
+ *
+ * @param {string[]} ids - Tracked IDs from localStorage
+ * @returns {Promise<{ imported: number, skipped: number, ids: string[] }>}
+ *   skipped counts unknown or removed opportunities; ids is the merged list
+ */
+export async function importTrackedOpportunities(supabase, userId, ids) {
+  const candidates = [...new Set(ids.filter(isOpportunityId))];
+  const valid = await filterExistingOpportunityIds(supabase, candidates);
+  const current = new Set(await getTrackedOpportunityIds(supabase, userId));
+  const toInsert = valid.filter(id => !current.has(id)).slice(0, MAX_TRACKED_OPPORTUNITIES - current.size);
+
+  if (toInsert.length > 0) {
+    const { error } = await supabase
+      .from('tracked_opportunities')
+      .upsert(toInsert.map(opportunityId => ({ user_id: userId, opportunity_id: opportunityId })), {
+        onConflict: 'user_id,opportunity_id',
+        ignoreDuplicates: true
+      });
+    if (error) throw new Error(`Failed to import tracked opportunities: ${error.message}`);
+  }
+
+  return {
+    imported: toInsert.length,
+    skipped: candidates.length - valid.length,
+    ids: await getTrackedOpportunityIds(supabase, userId)
+  };
+}
+
+// --- Watchlists ---
+
+/**
+ * Validate a watchlist create/update payload.
+ *
+ * @param {Object} input - { name, description, client_id, member_ids }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Update: name is not required
+ * @returns {{ values: Object, errors: string[] }}
+ */
+export function validateWatchlist(input, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+  const has = (key) => input?.[key] !== undefined;
+
+  if (has('name') || !partial) {
+    const name = typeof input?.name === 'string' ? input.name.trim() : '';
+    if (!name) errors.push('name is required');
+    else if (name.length > 100) errors.push('name must be at most 100 characters');
+    else values.name = name;
+  }
+
+  if (has('description')) {
+    if (input.description !== null && typeof input.description !== 'string') {
+      errors.push('description must be text');
+    } else if (input.description && input.description.length > 500) {
+      errors.push('description must be at most 500 characters');
+    } else {
+      values.description = input.description?.trim() || null;
+    }
+  }
+
+  if (has('client_id')) {
+    if (input.client_id !== null && !UUID_PATTERN.test(input.client_id || '')) {
+      errors.push('client_id must be a client id or null');
+    } else {
+      values.client_id = input.client_id;
+    }
+  }
+
+  if (has('member_ids')) {
+    const ids = input.member_ids;
+    if (!Array.isArray(ids) || ids.some(id => !UUID_PATTERN.test(id))) {
+      errors.push('member_ids must be an array of user ids');
+    } else {
+      values.member_ids = [...new Set(ids)];
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Whether a user may see and edit a watchlist.
+ *
+ * @param {Object} watchlist - { created_by, client_id, member_ids }
+ * @param {string} userId
+ * @param {string[]} assignedClientIds - Clients assigned to the user
+ */
+export function canAccessWatchlist(watchlist, userId, assignedClientIds = []) {
+  return watchlist.created_by === userId
+    || watchlist.member_ids.includes(userId)
+    || (watchlist.client_id !== null && assignedClientIds.includes(watchlist.client_id));
+}
+
+export function toWatchlistResponse(watchlist) {
+  return {
+    id: watchlist.id,
+    name: watchlist.name,
+    description: watchlist.description,
+    client_id: watchlist.client_id,
+    client_name: watchlist.client?.name || null,
+    created_by: watchlist.created_by,
+    member_ids: (watchlist.members || []).map(m => m.user_id),
+    opportunity_ids: [...(watchlist.opportunities || [])]
+      .sort((a, b) => new Date(a.added_at) - new Date(b.added_at))
+      .map(o => o.opportunity_id),
+    created_at: watchlist.created_at,
+    updated_at: watchlist.updated_at
+  };
+}
+
+async function getAssignedClientIds(supabase, userId) {
+  const { data, error } = await supabase
+    .from('client_users')
+    .select('client_id')
+    .eq('user_id', userId);
+  if (error) throw new Error(`Failed to fetch client assignments: ${error.message}`);
+  return (data || []).map(row => row.client_id);
+}
+
+/**
+ * Watchlists the user can access, by name.
+ */
+export async function listWatchlists(supabase, userId) {
+  const [membershipResult, assignedClientIds] = await Promise.all([
+    supabase.from('watchlist_members').select('watchlist_id').eq('user_id', userId),
+    getAssignedClientIds(supabase, userId)
+  ]);
+  if (membershipResult.error) throw new Error(`Failed to fetch watchlist memberships: ${membershipResult.error.message}`);
+
+  const memberOf = (membershipResult.data || []).map(row => row.watchlist_id);
+  const conditions = [`created_by.eq.${userId}`];
+  if (memberOf.length > 0) conditions.push(`id.in.(${memberOf.join(',')})`);
+  if (assignedClientIds.length > 0) conditions.push(`client_id.in.(${assignedClientIds.join(',')})`);
+
+  const { data, error } = await supabase
+    .from('watchlists')
+    .select(WATCHLIST_SELECT)
+    .or(conditions.join(','))
+    .order('name', { ascending: true });
+  if (error) throw new Error(`Failed to fetch watchlists: ${error.message}`);
+  return (data || []).map(toWatchlistResponse);
+}
+
+/**
+ * A watchlist, if it exists and the user can access it.
+ *
+ * @returns {Promise<Object|null>} toWatchlistResponse() shape, or null
+ */
+export async function getAccessibleWatchlist(supabase, watchlistId, userId) {
+  if (!UUID_PATTERN.test(watchlistId || '')) return null;
+
+  const { data, error } = await supabase
+    .from('watchlists')
+    .select(WATCHLIST_SELECT)
+    .eq('id', watchlistId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch watchlist: ${error.message}`);
+  if (!data) return null;
+
+  const watchlist = toWatchlistResponse(data);
+  const assignedClientIds = watchlist.client_id ? await getAssignedClientIds(supabase, userId) : [];
+  return canAccessWatchlist(watchlist, userId, assignedClientIds) ? watchlist : null;
+}
+
+/**
+ * Replace a watchlist's members. The creator is always kept as a member.
+ */
+export async function setWatchlistMembers(supabase, watchlist, memberIds) {
+  const members = [...new Set([watchlist.created_by, ...memberIds].filter(Boolean))];
+
+  const { error: deleteError } = await supabase
+    .from('watchlist_members')
+    .delete()
+    .eq('watchlist_id', watchlist.id)
+    .not('user_id', 'in', `(${members.join(',')})`);
+  if (deleteError) throw new Error(`Failed to update watchlist members: ${deleteError.message}`);
+
+  const { error } = await supabase
+    .from('watchlist_members')
+    .upsert(members.map(userId => ({ watchlist_id: watchlist.id, user_id: userId })), {
+      onConflict: 'watchlist_id,user_id',
+      ignoreDuplicates: true
+    });
+  if (error) throw new Error(`Failed to update watchlist members: ${error.message}`);
+}
+
+/**
+ * Add an opportunity to a watchlist; adding one twice is a no-op.
+ *
+ * @returns {Promise<boolean>} false when the opportunity does not exist
+ */
+export async function addWatchlistOpportunity(supabase, watchlistId, opportunityId, userId) {
+  const [existing] = await filterExistingOpportunityIds(supabase, [opportunityId]);
+  if (!existing) return false;
+
+  const { error } = await supabase
+    .from('watchlist_opportunities')
+    .upsert({ watchlist_id: watchlistId, opportunity_id: opportunityId, added_by: userId }, {
+      onConflict: 'watchlist_id,opportunity_id',
+      ignoreDuplicates: true
+    });
+  if (error) throw new Error(`Failed to add opportunity to watchlist: ${error.message}`);
+  return true;
+}
+
+export async function removeWatchlistOpportunity(supabase, watchlistId, opportunityId) {
+  const { error } = await supabase
+    .from('watchlist_opportunities')
+    .delete()
+    .eq('watchlist_id', watchlistId)
+    .eq('opportunity_id', opportunityId);
+  if (error) throw new Error(`Failed to remove opportunity from watchlist: ${error.message}`);
+}
@@ -35,23 +35,74 @@ const backwardCompatibleStorage = {
 	removeItem: (name) => localStorage.removeItem(name),
 };
 
+function toggleId(ids, id) {
+	return ids.includes(id) ? ids.filter((tid) => tid !== id) : [...ids, id];
+}
+
+/**
+ * Tracked opportunities, cached from the signed-in user's server-side list
+ * (/api/tracked-opportunities).
+ *
+ * syncedUserId is the user whose list the cache mirrors. While it is null the
+ * IDs were tracked in this browser before tracking moved server-side, and the
+ * first signed-in sync uploads them instead of discarding them.
+ */
 export const useTrackedOpportunitiesStore = create(
 	persist(
 		(set, get) => ({
 			trackedOpportunityIds: [],
 			isInitialized: false,
+			syncedUserId: null,
 
 			isTracked: (id) => get().trackedOpportunityIds.includes(id),
 
 			toggleTracked: (id) => {
-				set((state) => {
-					const exists = state.trackedOpportunityIds.includes(id);
-					return {
-						trackedOpportunityIds: exists
-							? state.trackedOpportunityIds.filter((tid) => tid !== id)
-							: [...state.trackedOpportunityIds, id],
-					};
-				});
+				const wasTracked = get().trackedOpportunityIds.includes(id);
+				set((state) => ({
+					trackedOpportunityIds: toggleId(state.trackedOpportunityIds, id),
+				}));
+				if (!get().syncedUserId) return;
+
+				const request = wasTracked
+					? fetch(`/api/tracked-opportunities/${id}`, { method: 'DELETE' })
+					: fetch('/api/tracked-opportunities', {
+						method: 'POST',
+						headers: { 'Content-Type': 'application/json' },
+						body: JSON.stringify({ opportunity_id: id }),
+					});
+				request
+					.then((response) => {
+						if (!response.ok) throw new Error(`HTTP ${response.status}`);
+					})
+					.catch((error) => {
+						console.error('[TrackedOpportunities] Failed to save tracking:', error);
+						// Undo the optimistic toggle unless it was toggled again meanwhile
+						set((state) => (
+							state.trackedOpportunityIds.includes(id) === wasTracked
+								? state
+								: { trackedOpportunityIds: toggleId(state.trackedOpportunityIds, id) }
+						));
+					});
+			},
+
+			syncWithServer: async (userId) => {
+				const { trackedOpportunityIds, syncedUserId } = get();
+				const importLocal = syncedUserId === null && trackedOpportunityIds.length > 0;
+				try {
+					const response = importLocal
+						? await fetch('/api/tracked-opportunities/import', {
+							method: 'POST',
+							headers: { 'Content-Type': 'application/json' },
+							body: JSON.stringify({ ids: trackedOpportunityIds }),
+						})
+						: await fetch('/api/tracked-opportunities');
+					const data = await response.json();
+					if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+					set({ trackedOpportunityIds: data.ids, syncedUserId: userId });
+				} catch (error) {
+					// Keep the cached list; the next sync retries
+					console.error('[TrackedOpportunities] Failed to sync with server:', error);
+				}
 			},
 
 			clearTracked: () => set({ trackedOpportunityIds: [] }),
@@ -63,6 +114,7 @@ export const useTrackedOpportunitiesStore = create(
 			storage: backwardCompatibleStorage,
 			partialize: (state) => ({
 				trackedOpportunityIds: state.trackedOpportunityIds,
+				syncedUserId: state.syncedUserId,
 			}),
 			onRehydrateStorage: () => () => {
 				useTrackedOpportunitiesStore.setState({ isInitialized: true });
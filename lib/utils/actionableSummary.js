@@ -0,0 +1,46 @@
+/**
+ * Actionable Summary parsing
+ *
+ * actionable_summary is stored as labelled sections:
+ *   VERDICT: 7/10 — one-line verdict
+ *   WHO: ...  WHAT: ...  MONEY: ...  PROCESS: ...  CRITERIA: ...  FLAGS: ...
+ * Used by the opportunity detail page and the opportunity briefing PDF.
+ */
+
+/**
+ * Split an actionable summary into its sections.
+ *
+ * @param {string} text - actionable_summary
+ * @returns {Object|null} { verdict: { score, description }, who, what, money, process, criteria, flags },
+ *   or null for free-text summaries that don't start with VERDICT:
+ */
+export function parseActionableSummary(text) {
+	if (!text || !text.startsWith('VERDICT:')) return null;
+
+	const sections = {};
+	const labels = ['VERDICT', 'WHO', 'WHAT', 'MONEY', 'PROCESS', 'CRITERIA', 'FLAGS'];
+
+	for (let i = 0; i < labels.length; i++) {
+		const label = labels[i];
+		const nextLabel = labels[i + 1];
+		const startPattern = `${label}:`;
+		const startIdx = text.indexOf(startPattern);
+		if (startIdx === -1) continue;
+
+		const contentStart = startIdx + startPattern.length;
+		const endIdx = nextLabel
+			? text.indexOf(`\n${nextLabel}:`, contentStart)
+			: text.length;
+		const content = text.slice(contentStart, endIdx === -1 ? text.length : endIdx).trim();
+
+		if (label === 'VERDICT') {
+			const scoreMatch = content.match(/^([\d.]+)\/10\s*[—–-]\s*(.*)/s);
+			sections.verdict = scoreMatch
+				? { score: parseFloat(scoreMatch[1]), description: scoreMatch[2].trim() }
+				: { score: null, description: content };
+		} else {
+			sections[label.toLowerCase()] = content;
+		}
+	}
+	return sections;
+}
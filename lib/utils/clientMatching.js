@@ -8,12 +8,17 @@ import { FUNDING_TYPE_GROUPS } from '@/lib/constants/taxonomies';
 
 /**
  * Fetch matches for a specific client or all clients
+ * @param {string|null} clientId - Client ID, or null for all clients
+ * @param {Object} [options]
+ * @param {boolean} [options.includeNearMisses] - Also return near misses (one failed criterion)
  */
-export async function fetchClientMatches(clientId = null) {
+export async function fetchClientMatches(clientId = null, { includeNearMisses = false } = {}) {
   try {
-    const url = clientId
-      ? `/api/client-matching?clientId=${clientId}`
-      : '/api/client-matching';
+    const params = new URLSearchParams();
+    if (clientId) params.set('clientId', clientId);
+    if (includeNearMisses) params.set('includeNearMisses', 'true');
+    const query = params.toString();
+    const url = query ? `/api/client-matching?${query}` : '/api/client-matching';
 
     const response = await fetch(url);
 
@@ -203,6 +208,59 @@ export function getFundingGroupDotColor(key) {
   return colors[key] || colors.other;
 }
 
+/**
+ * Get funding health flags for a match (from match_details.fundingHealth)
+ * Returns display badges with inline styles, in priority order.
+ * @param {Object} matchDetails - Match details from client_matches
+ * @returns {Array<{ key: string, label: string, title: string, style: Object }>}
+ */
+export function getFundingHealthBadges(matchDetails) {
+  const health = matchDetails?.fundingHealth;
+  if (!health) return [];
+
+  const badges = [];
+  if (health.flag === 'oversubscribed') {
+    badges.push({
+      key: 'oversubscribed',
+      label: 'Oversubscribed',
+      title: health.note || 'Demand signals such as waitlists or paused intake',
+      style: { backgroundColor: '#fef2f2', color: '#b91c1c', border: '1px solid #fca5a5' } // red-50/700/300
+    });
+  } else if (health.flag === 'limited_funding') {
+    badges.push({
+      key: 'limited_funding',
+      label: 'Limited Funding',
+      title: health.note || 'Finite funding pool that could be exhausted',
+      style: { backgroundColor: '#fffbeb', color: '#b45309', border: '1px solid #fcd34d' } // amber-50/700/300
+    });
+  }
+  if (health.isRolling) {
+    badges.push({
+      key: 'rolling',
+      label: 'Rolling',
+      title: 'Accepts applications on a rolling basis',
+      style: { backgroundColor: '#eff6ff', color: '#1d4ed8', border: '1px solid #93c5fd' } // blue-50/700/300
+    });
+  }
+  return badges;
+}
+
+/**
+ * Compare two match lists by opportunity id.
+ * Used by the what-if simulator to show the effect of a profile change.
+ * @param {Array} previousMatches - Matches before the change
+ * @param {Array} currentMatches - Matches after the change
+ * @returns {{ gained: Array, lost: Array }} Matches only in current / only in previous
+ */
+export function diffMatchSets(previousMatches = [], currentMatches = []) {
+  const previousIds = new Set(previousMatches.map(m => m.id));
+  const currentIds = new Set(currentMatches.map(m => m.id));
+  return {
+    gained: currentMatches.filter(m => !previousIds.has(m.id)),
+    lost: previousMatches.filter(m => !currentIds.has(m.id))
+  };
+}
+
 /**
  * Format match details for debugging/display
  */
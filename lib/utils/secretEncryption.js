@@ -0,0 +1,88 @@
+/**
+ * Secret Encryption
+ *
+ * AES-256-GCM encryption for credentials kept in the database (API source
+ * secrets in api_source_credentials). Payloads are 'v1.<iv>.<tag>.<ciphertext>'
+ * in base64url; the version prefix leaves room for a key rotation.
+ *
+ * Environment:
+ *   SOURCE_CREDENTIALS_KEY  32-byte key, base64 or hex
+ *                           (generate with `openssl rand -base64 32`)
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+
+const PAYLOAD_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+const HEX_KEY_PATTERN = /^[0-9a-f]{64}$/i;
+
+/**
+ * Read the encryption key from the environment
+ * @returns {Buffer} - 32-byte key
+ */
+export function getEncryptionKey(env = process.env) {
+  const raw = env.SOURCE_CREDENTIALS_KEY;
+  if (!raw) {
+    throw new Error('SOURCE_CREDENTIALS_KEY is not set');
+  }
+
+  const key = HEX_KEY_PATTERN.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error('SOURCE_CREDENTIALS_KEY must be 32 bytes, base64 or hex encoded');
+  }
+  return key;
+}
+
+/**
+ * Whether a valid encryption key is configured
+ */
+export function isEncryptionConfigured(env = process.env) {
+  try {
+    getEncryptionKey(env);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext - Value to encrypt
+ * @param {Buffer} [key] - Defaults to getEncryptionKey()
+ * @returns {string} - Versioned payload
+ */
+export function encryptSecret(plaintext, key = getEncryptionKey()) {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [
+    PAYLOAD_VERSION,
+    iv.toString('base64url'),
+    cipher.getAuthTag().toString('base64url'),
+    ciphertext.toString('base64url')
+  ].join('.');
+}
+
+/**
+ * Decrypt a payload from encryptSecret(). Throws when the payload was
+ * tampered with or encrypted under another key.
+ * @param {string} payload - Versioned payload
+ * @param {Buffer} [key] - Defaults to getEncryptionKey()
+ * @returns {string} - Plaintext
+ */
+export function decryptSecret(payload, key = getEncryptionKey()) {
+  const [version, iv, tag, ciphertext] = String(payload).split('.');
+  if (version !== PAYLOAD_VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unrecognized encrypted secret format');
+  }
+
+  const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+}
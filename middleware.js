@@ -60,7 +60,7 @@ export async function middleware(request) {
 	} = await supabase.auth.getUser();
 
 	// Public routes that don't require authentication
-	const publicRoutes = ['/login', '/auth/callback', '/api/cron'];
+	const publicRoutes = ['/login', '/auth/callback', '/api/cron', '/api/calendar/'];
 	const isPublicRoute = publicRoutes.some((route) =>
 		request.nextUrl.pathname.startsWith(route)
 	);
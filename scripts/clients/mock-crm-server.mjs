@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Mock CRM Server
+ *
+ * In-memory stand-in for the Salesforce REST endpoints used by the client
+ * account sync (lib/services/crmClient.js, lib/services/crmSync.js).
+ *
+ * Usage:
+ *   node scripts/clients/mock-crm-server.mjs                      # port 4010, sample accounts
+ *   node scripts/clients/mock-crm-server.mjs --port=5000 --seed=accounts.json --page-size=2
+ *
+ * Then point the app at it:
+ *   CRM_API_URL=http://localhost:4010 CRM_ACCESS_TOKEN=mock-token
+ *
+ * Salesforce endpoints:
+ *   GET   /services/data/:version/query?q=SELECT ... FROM Account [WHERE Id IN (...)]
+ *   GET   /services/data/:version/query/:cursor         (nextRecordsUrl pages)
+ *   GET   /services/data/:version/sobjects/Account/:id
+ *   PATCH /services/data/:version/sobjects/Account/:id  (204)
+ *
+ * Mock-only endpoints (no auth), to inspect pushes and simulate CRM edits:
+ *   GET  /mock/accounts
+ *   PUT  /mock/accounts/:id   body merged into the account (created if missing)
+ *   POST /mock/reset
+ */
+
+import http from 'http';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const SAMPLE_ACCOUNTS = [
+  {
+    Id: '001000000000001AAA',
+    Name: 'Mercy General Hospital',
+    Type: 'Hospitals',
+    BillingStreet: '4001 J St',
+    BillingCity: 'Sacramento',
+    BillingState: 'CA',
+    BillingPostalCode: '95819',
+    Owner: { Email: 'owner@example.com' }
+  },
+  {
+    Id: '001000000000002AAA',
+    Name: 'Oakland Unified School District',
+    Type: 'K-12 School Districts',
+    BillingStreet: '1000 Broadway',
+    BillingCity: 'Oakland',
+    BillingState: 'CA',
+    BillingPostalCode: '94607',
+    Owner: { Email: 'owner@example.com' }
+  }
+];
+
+function parseArgs(argv) {
+  const options = { port: 4010, seed: null, pageSize: 2000, token: process.env.MOCK_CRM_TOKEN || 'mock-token' };
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (key === 'port') options.port = Number(value);
+    if (key === 'seed') options.seed = value;
+    if (key === 'page-size') options.pageSize = Number(value);
+    if (key === 'token') options.token = value;
+  }
+  return options;
+}
+
+/** 15-character record key, as Salesforce accepts both id lengths. */
+const idKey = id => String(id).slice(0, 15);
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, errorCode, message) {
+  sendJson(res, status, [{ errorCode, message }]);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/** Pick requested fields, including one level of relationship fields (Owner.Email). */
+function project(account, fields) {
+  const record = { attributes: { type: 'Account', url: `/services/data/v59.0/sobjects/Account/${account.Id}` } };
+  for (const field of fields) {
+    const [head, child] = field.split('.');
+    if (child) {
+      record[head] = account[head] ? { ...(record[head] || {}), [child]: account[head][child] ?? null } : null;
+    } else {
+      record[head] = account[head] ?? null;
+    }
+  }
+  return record;
+}
+
+/**
+ * Supports the SOQL the sync issues: SELECT <fields> FROM Account [WHERE Id IN ('a', 'b')]
+ */
+function runQuery(soql, accounts) {
+  const match = soql.match(/^\s*SELECT\s+(.+?)\s+FROM\s+Account(?:\s+WHERE\s+Id\s+IN\s*\((.*)\))?\s*$/i);
+  if (!match) return null;
+  const fields = match[1].split(',').map(f => f.trim());
+  const ids = match[2] ? new Set(match[2].split(',').map(id => idKey(id.trim().replace(/^'|'$/g, '')))) : null;
+  return [...accounts.values()]
+    .filter(account => !ids || ids.has(idKey(account.Id)))
+    .map(account => project(account, fields));
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object[]} [options.accounts] - Initial Account records
+ * @param {string} [options.token] - Expected Bearer token
+ * @param {number} [options.pageSize] - Records per query page
+ * @returns {http.Server}
+ */
+export function createMockCrmServer({ accounts = SAMPLE_ACCOUNTS, token = 'mock-token', pageSize = 2000 } = {}) {
+  const initial = JSON.parse(JSON.stringify(accounts));
+  let store = new Map(initial.map(a => [idKey(a.Id), { ...a }]));
+  const cursors = new Map();
+  let nextCursor = 1;
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname;
+
+    try {
+      // --- Mock-only endpoints ---
+      if (path === '/mock/accounts' && req.method === 'GET') {
+        return sendJson(res, 200, [...store.values()]);
+      }
+      if (path.startsWith('/mock/accounts/') && req.method === 'PUT') {
+        const id = decodeURIComponent(path.split('/').pop());
+        const existing = store.get(idKey(id)) || { Id: id };
+        store.set(idKey(id), { ...existing, ...(await readBody(req)) });
+        return sendJson(res, 200, store.get(idKey(id)));
+      }
+      if (path === '/mock/reset' && req.method === 'POST') {
+        store = new Map(initial.map(a => [idKey(a.Id), { ...a }]));
+        cursors.clear();
+        return sendJson(res, 200, { reset: true });
+      }
+
+      // --- Salesforce REST ---
+      const apiMatch = path.match(/^\/services\/data\/v[\d.]+\/(.+)$/);
+      if (!apiMatch) return sendError(res, 404, 'NOT_FOUND', `No route for ${path}`);
+
+      if (req.headers.authorization !== `Bearer ${token}`) {
+        return sendError(res, 401, 'INVALID_SESSION_ID', 'Session expired or invalid');
+      }
+
+      const resource = apiMatch[1];
+
+      if (resource === 'query' && req.method === 'GET') {
+        const records = runQuery(url.searchParams.get('q') || '', store);
+        if (!records) return sendError(res, 400, 'MALFORMED_QUERY', 'Unsupported query');
+        const page = records.slice(0, pageSize);
+        const done = records.length <= pageSize;
+        let nextRecordsUrl;
+        if (!done) {
+          const cursor = `01g${nextCursor++}`;
+          cursors.set(cursor, records.slice(pageSize));
+          nextRecordsUrl = `${path}/${cursor}`;
+        }
+        return sendJson(res, 200, { totalSize: records.length, done, records: page, nextRecordsUrl });
+      }
+
+      const cursorMatch = resource.match(/^query\/(.+)$/);
+      if (cursorMatch && req.method === 'GET') {
+        const remaining = cursors.get(cursorMatch[1]);
+        if (!remaining) return sendError(res, 404, 'INVALID_QUERY_LOCATOR', 'Invalid query locator');
+        cursors.delete(cursorMatch[1]);
+        const page = remaining.slice(0, pageSize);
+        const done = remaining.length <= pageSize;
+        let nextRecordsUrl;
+        if (!done) {
+          const cursor = `01g${nextCursor++}`;
+          cursors.set(cursor, remaining.slice(pageSize));
+          nextRecordsUrl = path.replace(/[^/]+$/, cursor);
+        }
+        return sendJson(res, 200, { totalSize: remaining.length, done, records: page, nextRecordsUrl });
+      }
+
+      const accountMatch = resource.match(/^sobjects\/Account\/([^/]+)$/);
+      if (accountMatch) {
+        const account = store.get(idKey(accountMatch[1]));
+        if (!account) return sendError(res, 404, 'NOT_FOUND', 'The requested resource does not exist');
+
+        if (req.method === 'GET') {
+          return sendJson(res, 200, { attributes: { type: 'Account' }, ...account });
+        }
+        if (req.method === 'PATCH') {
+          const fields = await readBody(req);
+          if ('Id' in fields) return sendError(res, 400, 'INVALID_FIELD', 'Unable to create/update fields: Id');
+          Object.assign(account, fields, { LastModifiedDate: new Date().toISOString() });
+          res.writeHead(204);
+          return res.end();
+        }
+      }
+
+      return sendError(res, 404, 'NOT_FOUND', `No route for ${req.method} ${path}`);
+    } catch (err) {
+      return sendError(res, 400, 'JSON_PARSER_ERROR', err.message);
+    }
+  });
+}
+
+// Run directly: start the server
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const options = parseArgs(process.argv.slice(2));
+  const accounts = options.seed ? JSON.parse(readFileSync(options.seed, 'utf8')) : SAMPLE_ACCOUNTS;
+  createMockCrmServer({ accounts, token: options.token, pageSize: options.pageSize })
+    .listen(options.port, () => {
+      console.log(`[MockCRM] Listening on http://localhost:${options.port} with ${accounts.length} accounts`);
+      console.log(`[MockCRM] CRM_API_URL=http://localhost:${options.port} CRM_ACCESS_TOKEN=${options.token}`);
+    });
+}
@@ -0,0 +1,72 @@
+/**
+ * Move plaintext API source secrets into api_source_credentials.
+ *
+ * Sources saved before credentials were encrypted keep API key values,
+ * tokens and passwords in api_sources.auth_details. This encrypts them with
+ * SOURCE_CREDENTIALS_KEY and removes them from auth_details. Safe to re-run.
+ *
+ * Usage:
+ *   node scripts/encrypt-source-credentials.mjs [--dry-run]
+ */
+
+import dotenv from 'dotenv';
+import { createClient } from '@supabase/supabase-js';
+import { splitAuthDetails, saveSourceSecrets } from '../lib/services/sourceCredentials.js';
+import { isEncryptionConfigured } from '../lib/utils/secretEncryption.js';
+
+dotenv.config({ path: '.env.local' });
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const url = process.env.NEXT_PUBLIC_SUPABASE_URL;
+  const key = process.env.SUPABASE_SECRET_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !key) {
+    throw new Error('Missing Supabase environment variables');
+  }
+  if (!isEncryptionConfigured()) {
+    throw new Error('SOURCE_CREDENTIALS_KEY is missing or not a 32-byte key');
+  }
+
+  const supabase = createClient(url, key, { auth: { persistSession: false } });
+
+  const { data: sources, error } = await supabase
+    .from('api_sources')
+    .select('id, name, auth_type, auth_details');
+
+  if (error) {
+    throw new Error(`Failed to fetch API sources: ${error.message}`);
+  }
+
+  let migrated = 0;
+
+  for (const source of sources) {
+    const { config, secrets } = splitAuthDetails(source.auth_type, source.auth_details);
+    const fields = Object.keys(secrets);
+    const leftover = Object.keys(source.auth_details || {}).length !== Object.keys(config).length;
+    if (!leftover) continue;
+
+    console.log(`[EncryptCredentials] ${source.name}: ${fields.length ? fields.join(', ') : 'no secrets to keep'}${dryRun ? ' (dry run)' : ''}`);
+    if (dryRun) continue;
+
+    await saveSourceSecrets(supabase, source.id, source.auth_type, secrets);
+
+    const { error: updateError } = await supabase
+      .from('api_sources')
+      .update({ auth_details: config })
+      .eq('id', source.id);
+
+    if (updateError) {
+      throw new Error(`Failed to update ${source.name}: ${updateError.message}`);
+    }
+    migrated++;
+  }
+
+  console.log(`[EncryptCredentials] ${dryRun ? 'Dry run complete' : `Moved secrets of ${migrated} sources`}`);
+}
+
+main().catch((err) => {
+  console.error('[EncryptCredentials] Failed:', err.message);
+  process.exit(1);
+});
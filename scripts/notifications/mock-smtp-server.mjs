@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Mock SMTP Server
+ *
+ * Local mail catcher for the match digest emails (lib/services/matchDigest.js,
+ * lib/services/mailTransport.js). Accepts every message without delivering it
+ * and keeps it in memory (optionally also as .eml files).
+ *
+ * Usage:
+ *   node scripts/notifications/mock-smtp-server.mjs                    # SMTP 1025, HTTP 1080
+ *   node scripts/notifications/mock-smtp-server.mjs --port=2525 --http-port=8025 --out=./tmp/mail
+ *
+ * Then point the app at it:
+ *   SMTP_HOST=localhost SMTP_PORT=1025
+ *
+ * SMTP: EHLO/HELO, AUTH PLAIN/LOGIN (any credentials), MAIL, RCPT, DATA, RSET,
+ * NOOP, QUIT. No TLS.
+ *
+ * HTTP, to inspect what was sent:
+ *   GET    /messages       [{ id, from, to, subject, size, receivedAt }]
+ *   GET    /messages/:id   raw message (message/rfc822)
+ *   DELETE /messages
+ */
+
+import http from 'http';
+import net from 'net';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+function parseArgs(argv) {
+  const options = { port: 1025, httpPort: 1080, out: null };
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (key === 'port') options.port = Number(value);
+    if (key === 'http-port') options.httpPort = Number(value);
+    if (key === 'out') options.out = value;
+  }
+  return options;
+}
+
+/** Unfolded value of a header in a raw message. */
+function headerValue(raw, name) {
+  const headers = raw.split(/\r?\n\r?\n/)[0].replace(/\r?\n[ \t]+/g, ' ');
+  const match = headers.match(new RegExp(`^${name}:\\s*(.*)$`, 'im'));
+  return match ? match[1].trim() : null;
+}
+
+const addressOf = arg => (arg.match(/<([^>]*)>/) || [null, arg.trim()])[1];
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.out] - Directory to also write each message to as .eml
+ * @param {Function} [options.onMessage] - Called with each stored message
+ * @returns {{ smtp: net.Server, http: http.Server, messages: Object[] }}
+ */
+export function createMockSmtpServer({ out = null, onMessage } = {}) {
+  const messages = [];
+  let nextId = 1;
+
+  if (out) mkdirSync(out, { recursive: true });
+
+  const smtp = net.createServer((socket) => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;     // lines of the message while in DATA
+    let authStep = null; // 'plain' | 'login-user' | 'login-pass'
+
+    const reply = line => socket.write(`${line}\r\n`);
+    const reset = () => { envelope = { from: null, to: [] }; data = null; };
+
+    function store() {
+      const raw = data.map(line => (line.startsWith('..') ? line.slice(1) : line)).join('\r\n');
+      const message = {
+        id: String(nextId++),
+        from: envelope.from,
+        to: envelope.to,
+        subject: headerValue(raw, 'Subject'),
+        size: Buffer.byteLength(raw),
+        receivedAt: new Date().toISOString(),
+        raw
+      };
+      messages.push(message);
+      if (out) writeFileSync(join(out, `${message.id}.eml`), raw);
+      console.log(`[MockSMTP] #${message.id} ${message.from} -> ${message.to.join(', ')}: ${message.subject}`);
+      onMessage?.(message);
+      return message;
+    }
+
+    function handleLine(line) {
+      if (data) {
+        if (line === '.') {
+          const message = store();
+          reset();
+          return reply(`250 OK queued as ${message.id}`);
+        }
+        data.push(line);
+        return undefined;
+      }
+
+      if (authStep) {
+        authStep = authStep === 'login-user' ? 'login-pass' : null;
+        return reply(authStep ? '334 UGFzc3dvcmQ6' : '235 Authentication successful');
+      }
+
+      const [verb, ...rest] = line.split(' ');
+      const arg = rest.join(' ');
+      switch (verb.toUpperCase()) {
+        case 'EHLO':
+          return reply(['250-mock-smtp', '250-SIZE 26214400', '250-8BITMIME', '250-AUTH PLAIN LOGIN', '250 HELP'].join('\r\n'));
+        case 'HELO':
+          return reply('250 mock-smtp');
+        case 'AUTH': {
+          const [mechanism, initial] = arg.split(' ');
+          if (/^plain$/i.test(mechanism)) {
+            if (initial) return reply('235 Authentication successful');
+            authStep = 'plain';
+            return reply('334 ');
+          }
+          if (/^login$/i.test(mechanism)) {
+            authStep = 'login-user';
+            return reply('334 VXNlcm5hbWU6');
+          }
+          return reply('504 Unrecognized authentication type');
+        }
+        case 'MAIL':
+          envelope = { from: addressOf(arg.replace(/^FROM:/i, '').split(' ')[0]), to: [] };
+          return reply('250 OK');
+        case 'RCPT':
+          if (!envelope.from) return reply('503 Need MAIL first');
+          envelope.to.push(addressOf(arg.replace(/^TO:/i, '')));
+          return reply('250 OK');
+        case 'DATA':
+          if (envelope.to.length === 0) return reply('503 Need RCPT first');
+          data = [];
+          return reply('354 End data with <CR><LF>.<CR><LF>');
+        case 'RSET':
+          reset();
+          return reply('250 OK');
+        case 'NOOP':
+          return reply('250 OK');
+        case 'QUIT':
+          reply('221 Bye');
+          return socket.end();
+        default:
+          return reply('502 Command not implemented');
+      }
+    }
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        handleLine(line);
+      }
+    });
+    socket.on('error', () => {});
+    reply('220 mock-smtp ESMTP ready');
+  });
+
+  const httpServer = http.createServer((req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+
+    if (path === '/messages' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(messages.map(({ raw, ...summary }) => summary)));
+    }
+    if (path === '/messages' && req.method === 'DELETE') {
+      messages.length = 0;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ deleted: true }));
+    }
+    const message = path.startsWith('/messages/') && messages.find(m => m.id === path.split('/').pop());
+    if (message && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'message/rfc822' });
+      return res.end(message.raw);
+    }
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error: `No route for ${req.method} ${path}` }));
+  });
+
+  return { smtp, http: httpServer, messages };
+}
+
+// Run directly: start the servers
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const options = parseArgs(process.argv.slice(2));
+  const servers = createMockSmtpServer({ out: options.out });
+  servers.smtp.listen(options.port, () => {
+    console.log(`[MockSMTP] SMTP on localhost:${options.port} (SMTP_HOST=localhost SMTP_PORT=${options.port})`);
+  });
+  servers.http.listen(options.httpPort, () => {
+    console.log(`[MockSMTP] Messages at http://localhost:${options.httpPort}/messages`);
+  });
+}
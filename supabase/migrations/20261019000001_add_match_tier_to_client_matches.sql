@@ -0,0 +1,23 @@
+-- Add match tiers to client_matches
+-- Weighted matching mode persists single-criterion "near misses" alongside full matches.
+-- match_details.nearMiss records which criterion failed and why.
+
+ALTER TABLE client_matches
+  ADD COLUMN IF NOT EXISTS match_tier TEXT NOT NULL DEFAULT 'match';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'client_matches_match_tier_check'
+  ) THEN
+    ALTER TABLE client_matches
+      ADD CONSTRAINT client_matches_match_tier_check CHECK (match_tier IN ('match', 'near_miss'));
+  END IF;
+END$$;
+
+-- Replace the active-match index so readers filtering on tier stay index-backed
+DROP INDEX IF EXISTS idx_client_matches_active;
+CREATE INDEX IF NOT EXISTS idx_client_matches_active ON client_matches(client_id, match_tier) WHERE is_stale = false;
+
+COMMENT ON COLUMN client_matches.match_tier IS
+  'match = all 4 criteria pass; near_miss = exactly one criterion failed (see match_details.nearMiss)';
@@ -0,0 +1,103 @@
+-- Change log for incremental match computation
+-- Records which clients, opportunities and opportunity coverage links changed
+-- so the daily match job can re-evaluate only the affected pairs instead of
+-- every client × opportunity. Only columns that feed evaluateMatch are watched.
+
+-- 1. Change log table
+CREATE TABLE IF NOT EXISTS match_change_log (
+  id BIGSERIAL PRIMARY KEY,
+  entity_type TEXT NOT NULL,      -- 'client' or 'opportunity' (coverage link changes log the opportunity)
+  entity_id UUID NOT NULL,
+  operation TEXT NOT NULL,        -- 'INSERT', 'UPDATE', 'DELETE'
+  source_table TEXT NOT NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT match_change_log_entity_type_check CHECK (entity_type IN ('client', 'opportunity'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_change_log_changed_at ON match_change_log(changed_at);
+
+-- RLS: same pattern as match_job_logs
+ALTER TABLE match_change_log ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'match_change_log' AND policyname = 'authenticated_select'
+  ) THEN
+    CREATE POLICY "authenticated_select" ON match_change_log FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'match_change_log' AND policyname = 'service_role_all'
+  ) THEN
+    CREATE POLICY "service_role_all" ON match_change_log FOR ALL TO service_role USING (true);
+  END IF;
+END$$;
+
+-- 2. Generic trigger function
+-- TG_ARGV[0] = entity_type, TG_ARGV[1] = column holding the entity id
+CREATE OR REPLACE FUNCTION log_match_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  row_data JSONB;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    row_data := to_jsonb(OLD);
+  ELSE
+    row_data := to_jsonb(NEW);
+  END IF;
+
+  INSERT INTO match_change_log (entity_type, entity_id, operation, source_table)
+  VALUES (TG_ARGV[0], (row_data->>TG_ARGV[1])::uuid, TG_OP, TG_TABLE_NAME);
+
+  RETURN NULL;
+END;
+$$;
+
+-- 3. Triggers
+-- UPDATE triggers compare the watched columns so pipeline re-upserts that
+-- rewrite unchanged values don't flood the log.
+DROP TRIGGER IF EXISTS log_match_change_clients ON clients;
+CREATE TRIGGER log_match_change_clients
+  AFTER INSERT OR DELETE ON clients
+  FOR EACH ROW EXECUTE FUNCTION log_match_change('client', 'id');
+
+DROP TRIGGER IF EXISTS log_match_change_clients_update ON clients;
+CREATE TRIGGER log_match_change_clients_update
+  AFTER UPDATE ON clients
+  FOR EACH ROW
+  WHEN (
+    ROW(OLD.type, OLD.coverage_area_ids, OLD.project_needs, OLD.budget)
+    IS DISTINCT FROM
+    ROW(NEW.type, NEW.coverage_area_ids, NEW.project_needs, NEW.budget)
+  )
+  EXECUTE FUNCTION log_match_change('client', 'id');
+
+DROP TRIGGER IF EXISTS log_match_change_opportunities ON funding_opportunities;
+CREATE TRIGGER log_match_change_opportunities
+  AFTER INSERT OR DELETE ON funding_opportunities
+  FOR EACH ROW EXECUTE FUNCTION log_match_change('opportunity', 'id');
+
+DROP TRIGGER IF EXISTS log_match_change_opportunities_update ON funding_opportunities;
+CREATE TRIGGER log_match_change_opportunities_update
+  AFTER UPDATE ON funding_opportunities
+  FOR EACH ROW
+  WHEN (
+    ROW(OLD.status, OLD.promotion_status, OLD.eligible_applicants, OLD.eligible_project_types,
+        OLD.eligible_activities, OLD.is_national, OLD.minimum_award, OLD.maximum_award,
+        OLD.total_funding_available, OLD.funding_status, OLD.funding_note, OLD.application_window_type)
+    IS DISTINCT FROM
+    ROW(NEW.status, NEW.promotion_status, NEW.eligible_applicants, NEW.eligible_project_types,
+        NEW.eligible_activities, NEW.is_national, NEW.minimum_award, NEW.maximum_award,
+        NEW.total_funding_available, NEW.funding_status, NEW.funding_note, NEW.application_window_type)
+  )
+  EXECUTE FUNCTION log_match_change('opportunity', 'id');
+
+DROP TRIGGER IF EXISTS log_match_change_coverage ON opportunity_coverage_areas;
+CREATE TRIGGER log_match_change_coverage
+  AFTER INSERT OR DELETE OR UPDATE ON opportunity_coverage_areas
+  FOR EACH ROW EXECUTE FUNCTION log_match_change('opportunity', 'opportunity_id');
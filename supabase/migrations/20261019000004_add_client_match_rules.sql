@@ -0,0 +1,52 @@
+-- Per-client match rules
+-- clients.match_rules holds exclusions applied by the match computation job
+-- (excluded agencies / funding types / incentive structures, minimum award,
+-- maximum cost share). Matches that break a rule are kept with
+-- match_tier = 'suppressed' so they can be reported apart from hidden_matches.
+
+-- 1. Rule set per client
+ALTER TABLE clients
+  ADD COLUMN IF NOT EXISTS match_rules JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN clients.match_rules IS
+  'Match exclusions: { excluded_agencies, excluded_funding_types, min_award, excluded_incentive_structures, max_cost_share_percentage }';
+
+-- 2. Allow the suppressed tier
+ALTER TABLE client_matches DROP CONSTRAINT IF EXISTS client_matches_match_tier_check;
+ALTER TABLE client_matches
+  ADD CONSTRAINT client_matches_match_tier_check CHECK (match_tier IN ('match', 'near_miss', 'suppressed'));
+
+COMMENT ON COLUMN client_matches.match_tier IS
+  'match = all 4 criteria pass; near_miss = exactly one criterion failed (see match_details.nearMiss); suppressed = full match excluded by clients.match_rules (see match_details.suppressedBy)';
+
+-- 3. Rule changes must trigger incremental recomputation for the client
+DROP TRIGGER IF EXISTS log_match_change_clients_update ON clients;
+CREATE TRIGGER log_match_change_clients_update
+  AFTER UPDATE ON clients
+  FOR EACH ROW
+  WHEN (
+    ROW(OLD.type, OLD.coverage_area_ids, OLD.project_needs, OLD.budget, OLD.match_rules)
+    IS DISTINCT FROM
+    ROW(NEW.type, NEW.coverage_area_ids, NEW.project_needs, NEW.budget, NEW.match_rules)
+  )
+  EXECUTE FUNCTION log_match_change('client', 'id');
+
+-- 4. Opportunity columns read by match rules
+DROP TRIGGER IF EXISTS log_match_change_opportunities_update ON funding_opportunities;
+CREATE TRIGGER log_match_change_opportunities_update
+  AFTER UPDATE ON funding_opportunities
+  FOR EACH ROW
+  WHEN (
+    ROW(OLD.status, OLD.promotion_status, OLD.eligible_applicants, OLD.eligible_project_types,
+        OLD.eligible_activities, OLD.is_national, OLD.minimum_award, OLD.maximum_award,
+        OLD.total_funding_available, OLD.funding_status, OLD.funding_note, OLD.application_window_type,
+        OLD.agency_name, OLD.funding_type, OLD.incentive_structure,
+        OLD.cost_share_required, OLD.cost_share_percentage)
+    IS DISTINCT FROM
+    ROW(NEW.status, NEW.promotion_status, NEW.eligible_applicants, NEW.eligible_project_types,
+        NEW.eligible_activities, NEW.is_national, NEW.minimum_award, NEW.maximum_award,
+        NEW.total_funding_available, NEW.funding_status, NEW.funding_note, NEW.application_window_type,
+        NEW.agency_name, NEW.funding_type, NEW.incentive_structure,
+        NEW.cost_share_required, NEW.cost_share_percentage)
+  )
+  EXECUTE FUNCTION log_match_change('opportunity', 'id');
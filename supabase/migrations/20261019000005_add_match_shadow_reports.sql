@@ -0,0 +1,51 @@
+-- Shadow-mode reports for matching algorithm versions
+-- A shadow run evaluates every client × open opportunity under the active
+-- algorithm version and a candidate version (lib/matching/algorithmVersions.js)
+-- without touching client_matches, and stores the per-client diff here for
+-- admin review. Promoting a report sets system_config.match_algorithm_version.
+
+CREATE TABLE IF NOT EXISTS match_shadow_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  baseline_version TEXT NOT NULL,
+  candidate_version TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running',   -- 'running', 'completed', 'failed', 'promoted', 'dismissed'
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  requested_by UUID,
+  summary JSONB DEFAULT '{}'::jsonb,        -- { pairs_evaluated, gained, lost, by_criterion, ... }
+  client_diffs JSONB DEFAULT '[]'::jsonb,   -- [{ client_id, client_name, gained: [...], lost: [...] }]
+  error TEXT,
+  reviewed_by UUID,
+  reviewed_at TIMESTAMPTZ,
+  CONSTRAINT match_shadow_reports_status_check
+    CHECK (status IN ('running', 'completed', 'failed', 'promoted', 'dismissed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_shadow_reports_started_at ON match_shadow_reports(started_at DESC);
+
+-- RLS: same pattern as match_job_logs
+ALTER TABLE match_shadow_reports ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'match_shadow_reports' AND policyname = 'authenticated_select'
+  ) THEN
+    CREATE POLICY "authenticated_select" ON match_shadow_reports FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'match_shadow_reports' AND policyname = 'service_role_all'
+  ) THEN
+    CREATE POLICY "service_role_all" ON match_shadow_reports FOR ALL TO service_role USING (true);
+  END IF;
+END$$;
+
+-- Record the version currently in production
+INSERT INTO system_config (key, value, description)
+VALUES (
+  'match_algorithm_version',
+  '"v1"'::jsonb,
+  'Active client matching algorithm version (lib/matching/algorithmVersions.js)'
+)
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,66 @@
+-- Match lifecycle tracking
+-- Records what happened to a client-opportunity match after it surfaced:
+-- reviewing → pursuing → application_submitted → awarded / declined, or not_pursued.
+-- client_matches carries the current status; match_lifecycle_events keeps the history.
+-- Pairs in an active status (lib/matching/lifecycle.js) are never marked stale
+-- by the match job.
+
+ALTER TABLE client_matches ADD COLUMN IF NOT EXISTS lifecycle_status TEXT;
+ALTER TABLE client_matches ADD COLUMN IF NOT EXISTS lifecycle_updated_at TIMESTAMPTZ;
+ALTER TABLE client_matches ADD COLUMN IF NOT EXISTS awarded_amount NUMERIC;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'client_matches_lifecycle_status_check'
+  ) THEN
+    ALTER TABLE client_matches
+      ADD CONSTRAINT client_matches_lifecycle_status_check CHECK (
+        lifecycle_status IS NULL OR lifecycle_status IN (
+          'reviewing', 'pursuing', 'application_submitted', 'awarded', 'declined', 'not_pursued'
+        )
+      );
+  END IF;
+END$$;
+
+CREATE INDEX IF NOT EXISTS idx_client_matches_lifecycle_status
+  ON client_matches(client_id, lifecycle_status) WHERE lifecycle_status IS NOT NULL;
+
+COMMENT ON COLUMN client_matches.lifecycle_status IS
+  'NULL = untracked. reviewing/pursuing/application_submitted/awarded are active and exempt from stale marking';
+COMMENT ON COLUMN client_matches.awarded_amount IS
+  'Award amount in dollars; set when lifecycle_status = awarded';
+
+-- History of lifecycle transitions
+CREATE TABLE IF NOT EXISTS match_lifecycle_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  opportunity_id UUID NOT NULL REFERENCES funding_opportunities(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT,                           -- NULL when tracking is cleared
+  awarded_amount NUMERIC,
+  note TEXT,
+  changed_by UUID,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_lifecycle_events_pair
+  ON match_lifecycle_events(client_id, opportunity_id, changed_at DESC);
+
+-- RLS: same pattern as client_matches
+ALTER TABLE match_lifecycle_events ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'match_lifecycle_events' AND policyname = 'authenticated_select'
+  ) THEN
+    CREATE POLICY "authenticated_select" ON match_lifecycle_events FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'match_lifecycle_events' AND policyname = 'service_role_all'
+  ) THEN
+    CREATE POLICY "service_role_all" ON match_lifecycle_events FOR ALL TO service_role USING (true);
+  END IF;
+END$$;
@@ -0,0 +1,38 @@
+-- Hidden-match analysis runs
+-- lib/matching/hideAnalysis.js aggregates hidden_matches by client type and
+-- opportunity attribute (agency, funding type, incentive structure, activity,
+-- project type, applicant type expansion) and stores findings with proposed
+-- client-rule or taxonomy fixes here for review on /admin/matching/hides.
+
+CREATE TABLE IF NOT EXISTS hidden_match_analyses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status TEXT NOT NULL DEFAULT 'running',   -- 'running', 'completed', 'failed'
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  requested_by UUID,
+  summary JSONB DEFAULT '{}'::jsonb,        -- { matched_pairs, hidden_pairs, client_types, thresholds, ... }
+  findings JSONB DEFAULT '[]'::jsonb,       -- [{ client_type, dimension, value, via, hide_rate, suggestion, ... }]
+  error TEXT,
+  CONSTRAINT hidden_match_analyses_status_check
+    CHECK (status IN ('running', 'completed', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_hidden_match_analyses_started_at ON hidden_match_analyses(started_at DESC);
+
+-- RLS: same pattern as match_shadow_reports
+ALTER TABLE hidden_match_analyses ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'hidden_match_analyses' AND policyname = 'authenticated_select'
+  ) THEN
+    CREATE POLICY "authenticated_select" ON hidden_match_analyses FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'hidden_match_analyses' AND policyname = 'service_role_all'
+  ) THEN
+    CREATE POLICY "service_role_all" ON hidden_match_analyses FOR ALL TO service_role USING (true);
+  END IF;
+END$$;
@@ -0,0 +1,61 @@
+-- Multi-site clients
+-- A client's own address is its primary site. client_sites holds additional
+-- facilities (schools, substations, campuses), each geocoded to its own
+-- coverage areas with optional site-specific project needs that add to the
+-- client-wide project_needs. computeMatches.js evaluates every site and
+-- records which ones make an opportunity eligible in
+-- client_matches.match_details.eligibleSites.
+
+CREATE TABLE IF NOT EXISTS client_sites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  address TEXT NOT NULL,
+  location_point extensions.geometry(Point, 4326),
+  state_code CHAR(2),
+  county_name TEXT,
+  city TEXT,
+  zipcode TEXT,
+  coverage_area_ids UUID[] NOT NULL DEFAULT '{}',
+  project_needs TEXT[] NOT NULL DEFAULT '{}',   -- in addition to clients.project_needs
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_sites_client_id ON client_sites(client_id);
+CREATE INDEX IF NOT EXISTS idx_client_sites_coverage_areas ON client_sites USING gin (coverage_area_ids);
+
+-- RLS: same pattern as clients-derived tables
+ALTER TABLE client_sites ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'client_sites' AND policyname = 'authenticated_select'
+  ) THEN
+    CREATE POLICY "authenticated_select" ON client_sites FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'client_sites' AND policyname = 'service_role_all'
+  ) THEN
+    CREATE POLICY "service_role_all" ON client_sites FOR ALL TO service_role USING (true);
+  END IF;
+END$$;
+
+-- Site changes affect the owning client's matches (see match_change_log)
+DROP TRIGGER IF EXISTS log_match_change_client_sites ON client_sites;
+CREATE TRIGGER log_match_change_client_sites
+  AFTER INSERT OR DELETE ON client_sites
+  FOR EACH ROW EXECUTE FUNCTION log_match_change('client', 'client_id');
+
+DROP TRIGGER IF EXISTS log_match_change_client_sites_update ON client_sites;
+CREATE TRIGGER log_match_change_client_sites_update
+  AFTER UPDATE ON client_sites
+  FOR EACH ROW
+  WHEN (
+    ROW(OLD.name, OLD.coverage_area_ids, OLD.project_needs)
+    IS DISTINCT FROM
+    ROW(NEW.name, NEW.coverage_area_ids, NEW.project_needs)
+  )
+  EXECUTE FUNCTION log_match_change('client', 'client_id');
@@ -0,0 +1,88 @@
+-- CRM account sync
+-- lib/services/crmSync.js pulls account name, address, type and owner for
+-- clients with a salesforce_id and pushes match counts / top matches back.
+--   crm_sync_runs   one row per sync run with aggregate stats
+--   crm_sync_log    per-client, per-field entries (updates, conflicts, errors)
+--   crm_sync_state  last synced CRM values per client, the base for field-level
+--                   three-way conflict resolution
+
+CREATE TABLE IF NOT EXISTS crm_sync_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status TEXT NOT NULL DEFAULT 'running',   -- 'running', 'completed', 'failed'
+  trigger TEXT NOT NULL DEFAULT 'manual',   -- 'manual', 'cron'
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  requested_by UUID,
+  stats JSONB DEFAULT '{}'::jsonb,          -- { clients, pulled_fields, conflicts, pushed, errors, ... }
+  error TEXT,
+  CONSTRAINT crm_sync_runs_status_check
+    CHECK (status IN ('running', 'completed', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_crm_sync_runs_started_at ON crm_sync_runs(started_at DESC);
+
+CREATE TABLE IF NOT EXISTS crm_sync_log (
+  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  run_id UUID NOT NULL REFERENCES crm_sync_runs(id) ON DELETE CASCADE,
+  client_id UUID REFERENCES clients(id) ON DELETE SET NULL,
+  salesforce_id TEXT,
+  action TEXT NOT NULL,                     -- 'pulled', 'conflict', 'pushed', 'skipped', 'error'
+  field TEXT,                               -- 'name', 'address', 'type', 'owner' (null for push/error)
+  local_value TEXT,
+  crm_value TEXT,
+  resolution TEXT,                          -- 'crm', 'local' for conflicts
+  message TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT crm_sync_log_action_check
+    CHECK (action IN ('pulled', 'conflict', 'pushed', 'skipped', 'error'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_crm_sync_log_run ON crm_sync_log(run_id);
+CREATE INDEX IF NOT EXISTS idx_crm_sync_log_client ON crm_sync_log(client_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS crm_sync_state (
+  client_id UUID PRIMARY KEY REFERENCES clients(id) ON DELETE CASCADE,
+  salesforce_id TEXT NOT NULL,
+  snapshot JSONB NOT NULL DEFAULT '{}'::jsonb,  -- { name, address, type, owner, owner_assigned } as of last sync
+  last_pulled_at TIMESTAMPTZ,
+  last_pushed_at TIMESTAMPTZ
+);
+
+-- RLS: same pattern as hidden_match_analyses
+ALTER TABLE crm_sync_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE crm_sync_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE crm_sync_state ENABLE ROW LEVEL SECURITY;
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['crm_sync_runs', 'crm_sync_log', 'crm_sync_state'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_policies WHERE tablename = t AND policyname = 'authenticated_select'
+    ) THEN
+      EXECUTE format('CREATE POLICY "authenticated_select" ON %I FOR SELECT TO authenticated USING (true)', t);
+    END IF;
+
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_policies WHERE tablename = t AND policyname = 'service_role_all'
+    ) THEN
+      EXECUTE format('CREATE POLICY "service_role_all" ON %I FOR ALL TO service_role USING (true)', t);
+    END IF;
+  END LOOP;
+END$$;
+
+-- Daily CRM sync via pg_cron + pg_net, an hour after the 3 AM match
+-- computation so pushed match counts are current. Uses the same app.site_url
+-- and app.cron_secret settings as daily-match-computation.
+SELECT cron.schedule(
+  'daily-crm-sync',
+  '0 4 * * *',
+  $$
+  SELECT net.http_get(
+    url := current_setting('app.site_url') || '/api/cron/crm-sync',
+    headers := jsonb_build_object('Authorization', 'Bearer ' || current_setting('app.cron_secret')),
+    timeout_milliseconds := 30000
+  );
+  $$
+);
@@ -0,0 +1,45 @@
+-- Client activity log
+-- Audit trail behind the per-client activity feed (GET /api/clients/[id]/activity).
+-- lib/services/clientActivity.js records:
+--   client_updated       profile edits, with before/after values per changed field
+--   match_hidden         a match hidden from the client's list
+--   match_unhidden       a hidden match restored
+--   assignments_changed  users added to / removed from client_users
+-- Match recomputations are not duplicated here; the feed reads them from
+-- match_job_logs runs whose scope includes the client.
+
+CREATE TABLE IF NOT EXISTS client_activity_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL,
+  actor_id UUID,                            -- NULL when no session was available
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,  -- { changes: [{ field, before, after }] }, { opportunity_id, reason }, { added, removed }
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT client_activity_log_event_type_check
+    CHECK (event_type IN ('client_updated', 'match_hidden', 'match_unhidden', 'assignments_changed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_activity_log_client
+  ON client_activity_log(client_id, created_at DESC);
+
+-- Scoped match runs are looked up with scope @> '{"clientIds": [...]}'
+CREATE INDEX IF NOT EXISTS idx_match_job_logs_scope
+  ON match_job_logs USING GIN (scope jsonb_path_ops);
+
+-- RLS: same pattern as match_lifecycle_events
+ALTER TABLE client_activity_log ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'client_activity_log' AND policyname = 'authenticated_select'
+  ) THEN
+    CREATE POLICY "authenticated_select" ON client_activity_log FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'client_activity_log' AND policyname = 'service_role_all'
+  ) THEN
+    CREATE POLICY "service_role_all" ON client_activity_log FOR ALL TO service_role USING (true);
+  END IF;
+END$$;
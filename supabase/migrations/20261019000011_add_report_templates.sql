@@ -0,0 +1,52 @@
+-- Branded PDF report templates
+-- Each template sets the branding of a client matches PDF (logo, colors,
+-- brand name, cover title/text, footer and disclaimer) and which optional
+-- sections appear. Managed by admins at /admin/report-templates and picked in
+-- the export dialog; the is_default template applies when none is picked.
+-- Empty fields fall back to the Meridian defaults (lib/pdf/utils/branding.js).
+
+CREATE TABLE IF NOT EXISTS report_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,                       -- admin-facing, e.g. 'Partner: Acme Energy'
+  brand_name TEXT,                          -- cover wordmark (default 'MERIDIAN')
+  tagline TEXT,                             -- under the wordmark
+  logo_data TEXT,                           -- PNG/JPEG data URI (react-pdf embeds it directly)
+  primary_color TEXT,                       -- '#RRGGBB'
+  accent_color TEXT,                        -- '#RRGGBB', cover divider and header rule
+  cover_title TEXT,
+  cover_text TEXT,
+  footer_text TEXT,
+  disclaimer TEXT,                          -- small print on every page
+  sections JSONB NOT NULL DEFAULT '{"profile": true, "summary": true, "detailed": true}'::jsonb,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT report_templates_name_key UNIQUE (name),
+  CONSTRAINT report_templates_primary_color_check
+    CHECK (primary_color IS NULL OR primary_color ~ '^#[0-9A-Fa-f]{6}$'),
+  CONSTRAINT report_templates_accent_color_check
+    CHECK (accent_color IS NULL OR accent_color ~ '^#[0-9A-Fa-f]{6}$')
+);
+
+-- At most one default template
+CREATE UNIQUE INDEX IF NOT EXISTS idx_report_templates_default
+  ON report_templates(is_default) WHERE is_default;
+
+-- RLS: same pattern as client_activity_log
+ALTER TABLE report_templates ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'report_templates' AND policyname = 'authenticated_select'
+  ) THEN
+    CREATE POLICY "authenticated_select" ON report_templates FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'report_templates' AND policyname = 'service_role_all'
+  ) THEN
+    CREATE POLICY "service_role_all" ON report_templates FOR ALL TO service_role USING (true);
+  END IF;
+END$$;
@@ -0,0 +1,88 @@
+-- Match digest emails
+-- lib/services/matchDigest.js periodically emails each subscribed user a
+-- digest of new, stale and deadline-approaching matches for the clients
+-- assigned to them (client_users), then clears the is_new flags it reported.
+--   match_digest_subscriptions  one row per user: schedule and contents
+--   match_digest_log            one row per digest sent, skipped or failed
+
+CREATE TABLE IF NOT EXISTS match_digest_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,                        -- recipient, defaults to the user's login email
+  frequency TEXT NOT NULL DEFAULT 'weekly',   -- 'daily', 'weekly'
+  weekday SMALLINT NOT NULL DEFAULT 1,        -- weekly digests: 0 = Sunday ... 6 = Saturday
+  deadline_days INTEGER NOT NULL DEFAULT 14,  -- report matches closing within this many days
+  include_pdf BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_sent_at TIMESTAMPTZ,                   -- last digest actually sent (not skipped)
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT match_digest_subscriptions_frequency_check
+    CHECK (frequency IN ('daily', 'weekly')),
+  CONSTRAINT match_digest_subscriptions_weekday_check
+    CHECK (weekday BETWEEN 0 AND 6),
+  CONSTRAINT match_digest_subscriptions_deadline_days_check
+    CHECK (deadline_days BETWEEN 1 AND 90)
+);
+
+CREATE TABLE IF NOT EXISTS match_digest_log (
+  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  subscription_id UUID REFERENCES match_digest_subscriptions(id) ON DELETE SET NULL,
+  user_id UUID NOT NULL,
+  recipient TEXT NOT NULL,
+  trigger TEXT NOT NULL DEFAULT 'cron',       -- 'cron', 'manual'
+  status TEXT NOT NULL,                       -- 'sent', 'skipped' (nothing to report), 'failed'
+  transport TEXT,                             -- mail transport name, e.g. 'smtp'
+  message_id TEXT,
+  client_count INTEGER NOT NULL DEFAULT 0,
+  new_count INTEGER NOT NULL DEFAULT 0,
+  stale_count INTEGER NOT NULL DEFAULT 0,
+  deadline_count INTEGER NOT NULL DEFAULT 0,
+  has_pdf BOOLEAN NOT NULL DEFAULT false,
+  cleared_match_ids UUID[] NOT NULL DEFAULT '{}',  -- client_matches whose is_new was cleared
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT match_digest_log_status_check
+    CHECK (status IN ('sent', 'skipped', 'failed')),
+  CONSTRAINT match_digest_log_trigger_check
+    CHECK (trigger IN ('cron', 'manual'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_digest_log_user ON match_digest_log(user_id, created_at DESC);
+
+-- RLS: same pattern as crm_sync_runs
+ALTER TABLE match_digest_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE match_digest_log ENABLE ROW LEVEL SECURITY;
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['match_digest_subscriptions', 'match_digest_log'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_policies WHERE tablename = t AND policyname = 'authenticated_select'
+    ) THEN
+      EXECUTE format('CREATE POLICY "authenticated_select" ON %I FOR SELECT TO authenticated USING (true)', t);
+    END IF;
+
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_policies WHERE tablename = t AND policyname = 'service_role_all'
+    ) THEN
+      EXECUTE format('CREATE POLICY "service_role_all" ON %I FOR ALL TO service_role USING (true)', t);
+    END IF;
+  END LOOP;
+END$$;
+
+-- Daily digest run via pg_cron + pg_net, after the 3 AM match computation and
+-- the 4 AM CRM sync. Weekly subscriptions are only sent on their weekday.
+SELECT cron.schedule(
+  'daily-match-digests',
+  '30 4 * * *',
+  $$
+  SELECT net.http_get(
+    url := current_setting('app.site_url') || '/api/cron/match-digests',
+    headers := jsonb_build_object('Authorization', 'Bearer ' || current_setting('app.cron_secret')),
+    timeout_milliseconds := 60000
+  );
+  $$
+);
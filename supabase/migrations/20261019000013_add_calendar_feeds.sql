@@ -0,0 +1,47 @@
+-- Calendar (ICS) feeds of funding deadlines
+-- lib/services/calendarFeed.js renders each feed as an iCalendar document at
+-- /api/calendar/<token>.ics, for subscribing from Outlook or Google Calendar.
+-- The token in the URL is the only credential, so feeds are readable by the
+-- service role only (no authenticated_select policy).
+--
+-- Scopes:
+--   user    opportunities the user tracks (opportunity_ids, synced from the
+--           browser) plus matches of the clients assigned to the user
+--   client  matches of one client
+--   filter  opportunities matching a saved opportunity-list filter (filters)
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+  filters JSONB,                                     -- fundingApi.getOpportunities filters
+  opportunity_ids UUID[] NOT NULL DEFAULT '{}',      -- tracked opportunities (user scope)
+  reminder_days INTEGER[] NOT NULL DEFAULT '{7,1}',  -- deadline alarms, days before close
+  token TEXT NOT NULL UNIQUE,
+  last_accessed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT calendar_feeds_scope_check
+    CHECK (scope IN ('user', 'client', 'filter')),
+  CONSTRAINT calendar_feeds_scope_target_check
+    CHECK (
+      (scope = 'client' AND client_id IS NOT NULL)
+      OR (scope = 'filter' AND filters IS NOT NULL)
+      OR scope = 'user'
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_user ON calendar_feeds(user_id);
+
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'calendar_feeds' AND policyname = 'service_role_all'
+  ) THEN
+    CREATE POLICY "service_role_all" ON calendar_feeds FOR ALL TO service_role USING (true);
+  END IF;
+END$$;
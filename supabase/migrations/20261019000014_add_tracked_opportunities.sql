@@ -0,0 +1,79 @@
+-- Server-side tracked opportunities and shared watchlists
+-- Tracking used to live only in browser localStorage (trackedOpportunitiesStore),
+-- so it was lost across machines and could not be shared. The store now caches
+-- tracked_opportunities and uploads any localStorage IDs on the first signed-in
+-- sync (POST /api/tracked-opportunities/import).
+--
+-- Watchlists are shared lists of opportunities. Their members are the team;
+-- a watchlist attached to a client is also open to the client's assigned users.
+
+CREATE TABLE IF NOT EXISTS tracked_opportunities (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  opportunity_id UUID NOT NULL REFERENCES funding_opportunities(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, opportunity_id)
+);
+
+CREATE TABLE IF NOT EXISTS watchlists (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  description TEXT,
+  client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS watchlist_members (
+  watchlist_id UUID NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (watchlist_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS watchlist_opportunities (
+  watchlist_id UUID NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+  opportunity_id UUID NOT NULL REFERENCES funding_opportunities(id) ON DELETE CASCADE,
+  added_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (watchlist_id, opportunity_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlists_client ON watchlists(client_id);
+CREATE INDEX IF NOT EXISTS idx_watchlist_members_user ON watchlist_members(user_id);
+
+-- RLS: same pattern as match_digest_subscriptions
+ALTER TABLE tracked_opportunities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE watchlists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE watchlist_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE watchlist_opportunities ENABLE ROW LEVEL SECURITY;
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['tracked_opportunities', 'watchlists', 'watchlist_members', 'watchlist_opportunities'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_policies WHERE tablename = t AND policyname = 'authenticated_select'
+    ) THEN
+      EXECUTE format('CREATE POLICY "authenticated_select" ON %I FOR SELECT TO authenticated USING (true)', t);
+    END IF;
+
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_policies WHERE tablename = t AND policyname = 'service_role_all'
+    ) THEN
+      EXECUTE format('CREATE POLICY "service_role_all" ON %I FOR ALL TO service_role USING (true)', t);
+    END IF;
+  END LOOP;
+END$$;
+
+-- 'user' calendar feeds kept a snapshot of the browser's tracked IDs; they now
+-- read tracked_opportunities, so carry the snapshots over and drop the column.
+INSERT INTO tracked_opportunities (user_id, opportunity_id)
+SELECT DISTINCT f.user_id, o.id
+FROM calendar_feeds f
+CROSS JOIN LATERAL unnest(f.opportunity_ids) AS t(opportunity_id)
+JOIN funding_opportunities o ON o.id = t.opportunity_id
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE calendar_feeds DROP COLUMN IF EXISTS opportunity_ids;
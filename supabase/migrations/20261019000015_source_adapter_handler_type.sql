@@ -0,0 +1,81 @@
+-- Source adapters
+-- api_sources.handler_type now names the source adapter that fetches the source
+-- (lib/agents-v2/core/sourceAdapters). Adapters are code modules, so the column
+-- becomes free text instead of the api_handler_type enum; new adapters need no
+-- migration. The enum type is left in place for older functions that name it.
+--
+-- Legacy values ('standard', 'document', 'statePortal') were never dispatched
+-- on; they map to single_api, or two_step_api when detail calls are enabled,
+-- which is how sources were processed before. NULL also gets that fallback,
+-- so the column no longer has a default.
+
+-- The view and the function returning its rows depend on the column type
+DROP FUNCTION IF EXISTS get_next_api_source_to_process();
+DROP VIEW IF EXISTS active_api_sources_with_config;
+
+ALTER TABLE api_sources ALTER COLUMN handler_type DROP DEFAULT;
+ALTER TABLE api_sources ALTER COLUMN handler_type TYPE TEXT USING handler_type::TEXT;
+
+UPDATE api_sources s
+SET handler_type = CASE
+  WHEN EXISTS (
+    SELECT 1 FROM api_source_configurations c
+    WHERE c.source_id = s.id
+      AND c.config_type = 'detail_config'
+      AND (c.configuration->>'enabled')::BOOLEAN IS TRUE
+  ) THEN 'two_step_api'
+  ELSE 'single_api'
+END
+WHERE s.handler_type IS NULL
+   OR s.handler_type IN ('standard', 'document', 'statePortal');
+
+CREATE VIEW active_api_sources_with_config
+WITH (security_invoker = true)
+AS
+SELECT
+  s.id,
+  s.name,
+  s.organization,
+  s.type,
+  s.url,
+  s.api_endpoint,
+  s.auth_type,
+  s.auth_details,
+  s.update_frequency,
+  s.last_checked,
+  s.priority,
+  s.notes,
+  s.handler_type,
+  jsonb_object_agg(
+    COALESCE(c.config_type, 'none'),
+    COALESCE(c.configuration, '{}'::jsonb)
+  ) AS configurations
+FROM
+  api_sources s
+LEFT JOIN
+  api_source_configurations c ON s.id = c.source_id
+WHERE
+  s.active = true
+GROUP BY
+  s.id, s.name, s.organization, s.type, s.url, s.api_endpoint,
+  s.auth_type, s.auth_details, s.update_frequency, s.last_checked,
+  s.priority, s.notes, s.handler_type;
+
+COMMENT ON VIEW active_api_sources_with_config IS 'Active API sources with aggregated config - security_invoker enabled';
+
+CREATE OR REPLACE FUNCTION get_next_api_source_to_process()
+RETURNS SETOF active_api_sources_with_config
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT * FROM active_api_sources_with_config s
+  ORDER BY
+    CASE WHEN s.last_checked IS NULL THEN 0 ELSE 1 END,
+    calculate_source_priority(s.update_frequency, s.last_checked) DESC,
+    s.priority,
+    COALESCE(s.last_checked, '1970-01-01'::timestamp with time zone)
+  LIMIT 1;
+END;
+$$;
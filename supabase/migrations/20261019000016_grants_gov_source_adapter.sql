@@ -0,0 +1,8 @@
+-- Grants.gov source adapter
+-- Sources calling the Grants.gov search2 API move to the grants_gov adapter
+-- (lib/agents-v2/core/sourceAdapters/grantsGov.js), which builds the search
+-- from request_body, fetches each record and maps it without LLM extraction.
+
+UPDATE api_sources
+SET handler_type = 'grants_gov'
+WHERE api_endpoint ILIKE '%api.grants.gov/v1/api/search2%';
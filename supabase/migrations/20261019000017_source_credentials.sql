@@ -0,0 +1,100 @@
+-- API source credentials
+-- Secrets for API source auth (API key values, bearer tokens, passwords,
+-- OAuth2 client secrets, HMAC signing secrets) move out of
+-- api_sources.auth_details into api_source_credentials, encrypted with
+-- AES-256-GCM by lib/utils/secretEncryption.js (key: SOURCE_CREDENTIALS_KEY).
+-- auth_details keeps only non-secret settings; it is copied into processing
+-- instructions, job data and run records. The auth types and their fields are
+-- listed in lib/services/sourceCredentials.js.
+--
+-- auth_type becomes TEXT with a check instead of the api_auth_type enum, to
+-- add 'bearer', 'oauth2_client_credentials' and 'hmac'. 'oauth' was a pasted
+-- access token and becomes 'bearer'. The enum type is left in place.
+--
+-- Existing plaintext secrets are encrypted by
+-- scripts/encrypt-source-credentials.mjs (the key is not available here);
+-- until then the pipeline reads them from auth_details with a warning.
+
+-- The view and the function returning its rows depend on the column type
+DROP FUNCTION IF EXISTS get_next_api_source_to_process();
+DROP VIEW IF EXISTS active_api_sources_with_config;
+
+ALTER TABLE api_sources ALTER COLUMN auth_type DROP DEFAULT;
+ALTER TABLE api_sources ALTER COLUMN auth_type TYPE TEXT USING auth_type::TEXT;
+
+UPDATE api_sources SET auth_type = 'bearer' WHERE auth_type = 'oauth';
+
+ALTER TABLE api_sources ALTER COLUMN auth_type SET DEFAULT 'none';
+ALTER TABLE api_sources ADD CONSTRAINT api_sources_auth_type_check
+  CHECK (auth_type IN ('none', 'apikey', 'bearer', 'basic', 'oauth2_client_credentials', 'hmac'));
+
+CREATE VIEW active_api_sources_with_config
+WITH (security_invoker = true)
+AS
+SELECT
+  s.id,
+  s.name,
+  s.organization,
+  s.type,
+  s.url,
+  s.api_endpoint,
+  s.auth_type,
+  s.auth_details,
+  s.update_frequency,
+  s.last_checked,
+  s.priority,
+  s.notes,
+  s.handler_type,
+  jsonb_object_agg(
+    COALESCE(c.config_type, 'none'),
+    COALESCE(c.configuration, '{}'::jsonb)
+  ) AS configurations
+FROM
+  api_sources s
+LEFT JOIN
+  api_source_configurations c ON s.id = c.source_id
+WHERE
+  s.active = true
+GROUP BY
+  s.id, s.name, s.organization, s.type, s.url, s.api_endpoint,
+  s.auth_type, s.auth_details, s.update_frequency, s.last_checked,
+  s.priority, s.notes, s.handler_type;
+
+COMMENT ON VIEW active_api_sources_with_config IS 'Active API sources with aggregated config - security_invoker enabled';
+
+CREATE OR REPLACE FUNCTION get_next_api_source_to_process()
+RETURNS SETOF active_api_sources_with_config
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT * FROM active_api_sources_with_config s
+  ORDER BY
+    CASE WHEN s.last_checked IS NULL THEN 0 ELSE 1 END,
+    calculate_source_priority(s.update_frequency, s.last_checked) DESC,
+    s.priority,
+    COALESCE(s.last_checked, '1970-01-01'::timestamp with time zone)
+  LIMIT 1;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS api_source_credentials (
+  source_id UUID PRIMARY KEY REFERENCES api_sources(id) ON DELETE CASCADE,
+  encrypted_secrets TEXT NOT NULL,                -- 'v1.<iv>.<tag>.<ciphertext>', JSON object of secret fields
+  secret_fields TEXT[] NOT NULL DEFAULT '{}',     -- names of the stored fields, shown on the admin form
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Service role only: no policy for authenticated users
+ALTER TABLE api_source_credentials ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'api_source_credentials' AND policyname = 'service_role_all'
+  ) THEN
+    CREATE POLICY "service_role_all" ON api_source_credentials FOR ALL TO service_role USING (true);
+  END IF;
+END$$;
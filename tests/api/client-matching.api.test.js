@@ -279,12 +279,12 @@ describe('Client Matching API Contract', () => {
   });
 
   describe('Promotion Status Filter (opportunity visibility)', () => {
-    // Inline filter replicating: .neq('status', 'closed').or('promotion_status.is.null,promotion_status.eq.promoted')
+    // Inline filter replicating: .not('status', 'ilike', 'closed').or('promotion_status.is.null,promotion_status.eq.promoted')
     // Used by lib/matching/computeMatches.js when fetching opportunities for match computation
     function filterVisibleOpportunities(opps) {
       return opps.filter(
         (o) =>
-          o.status !== 'closed' &&
+          o.status?.toLowerCase() !== 'closed' &&
           (o.promotion_status === null || o.promotion_status === 'promoted')
       );
     }
@@ -333,6 +333,13 @@ describe('Client Matching API Contract', () => {
       expect(visible).toHaveLength(0);
     });
 
+    test('Closed as written by update_opportunity_statuses is excluded', () => {
+      const visible = filterVisibleOpportunities(
+        [{ ...opportunities.nationalGrant, status: 'Closed', promotion_status: null }]
+      );
+      expect(visible).toHaveLength(0);
+    });
+
     test('filters correctly across mixed set (2 of 6 visible)', () => {
       const visible = filterVisibleOpportunities(fixtures);
       const visibleIds = visible.map((o) => o.id);
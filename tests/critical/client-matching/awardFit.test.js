@@ -0,0 +1,163 @@
+/**
+ * Award Fit Tests
+ *
+ * Tests budget- and award-size-aware scoring: comparing an opportunity's award
+ * range against the client's budget tier (clients.budget).
+ *
+ * Mirrors evaluateAwardFit() in lib/matching/evaluateMatch.js and
+ * BUDGET_TIERS in lib/constants/taxonomies.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline data mirroring taxonomies.js ---
+
+const BUDGET_TIERS = [
+  { key: 'small', label: 'Small ($50K – $500K)', min: 50000, max: 500000 },
+  { key: 'medium', label: 'Medium ($500K – $5M)', min: 500000, max: 5000000 },
+  { key: 'large', label: 'Large ($5M – $50M)', min: 5000000, max: 50000000 },
+  { key: 'very_large', label: 'Very Large ($50M+)', min: 50000000, max: null },
+];
+
+// --- Inline functions mirroring evaluateMatch.js ---
+
+const AWARD_FIT_BANDS = [
+  { fit: 'strong', minRatio: 0.25, factor: 1 },
+  { fit: 'moderate', minRatio: 0.05, factor: 0.85 },
+  { fit: 'weak', minRatio: 0.01, factor: 0.65 },
+  { fit: 'negligible', minRatio: 0, factor: 0.4 }
+];
+
+const OVERSIZED_AWARD_FACTOR = 0.7;
+
+function formatAwardAmount(amount) {
+  if (amount >= 1000000) return `$${Math.round(amount / 100000) / 10}M`;
+  if (amount >= 1000) return `$${Math.round(amount / 1000)}K`;
+  return `$${amount}`;
+}
+
+function formatCoveragePercent(ratio) {
+  const percent = ratio * 100;
+  if (percent >= 10) return `${Math.round(percent)}%`;
+  if (percent >= 0.1) return `${Math.round(percent * 10) / 10}%`;
+  return '<0.1%';
+}
+
+function evaluateAwardFit(budget, opportunity, budgetTiers = []) {
+  const tier = budgetTiers.find(t => t.key === budget);
+  if (!tier) {
+    return { fit: 'unknown', factor: 1, coverageRatio: null, explanation: null };
+  }
+
+  const maxAward = Number(opportunity.maximum_award) || null;
+  const totalFunding = Number(opportunity.total_funding_available) || null;
+  const awardCeiling = maxAward || totalFunding;
+  const minAward = Number(opportunity.minimum_award) || null;
+
+  if (!awardCeiling) {
+    return { fit: 'unknown', factor: 1, coverageRatio: null, explanation: 'No award amount listed' };
+  }
+
+  if (tier.max && minAward && minAward > tier.max) {
+    return {
+      fit: 'oversized',
+      factor: OVERSIZED_AWARD_FACTOR,
+      coverageRatio: null,
+      explanation: `min award ${formatAwardAmount(minAward)} exceeds ${tier.label} budget`
+    };
+  }
+
+  const referenceBudget = tier.max ? (tier.min + tier.max) / 2 : tier.min;
+  const coverageRatio = awardCeiling / referenceBudget;
+  const band = AWARD_FIT_BANDS.find(b => coverageRatio >= b.minRatio);
+  const awardLabel = maxAward ? 'max award' : 'total funding';
+
+  return {
+    fit: band.fit,
+    factor: band.factor,
+    coverageRatio: Math.round(coverageRatio * 10000) / 10000,
+    explanation: `${awardLabel} covers ${formatCoveragePercent(coverageRatio)} of budget`
+  };
+}
+
+function scoreWithAwardFit(matchedNeedCount, totalNeedCount, awardFit) {
+  if (totalNeedCount === 0) return 0;
+  return Math.round((matchedNeedCount / totalNeedCount) * 100 * awardFit.factor);
+}
+
+// --- Tests ---
+
+describe('Award Fit: Unknown Inputs', () => {
+  test('client without a budget tier is unscaled', () => {
+    const fit = evaluateAwardFit(null, { maximum_award: 5000 }, BUDGET_TIERS);
+    expect(fit.fit).toBe('unknown');
+    expect(fit.factor).toBe(1);
+    expect(fit.explanation).toBeNull();
+  });
+
+  test('unrecognized budget tier is unscaled', () => {
+    expect(evaluateAwardFit('gigantic', { maximum_award: 5000 }, BUDGET_TIERS).factor).toBe(1);
+  });
+
+  test('opportunity without award amounts is unscaled with explanation', () => {
+    const fit = evaluateAwardFit('medium', { maximum_award: null, total_funding_available: null }, BUDGET_TIERS);
+    expect(fit.fit).toBe('unknown');
+    expect(fit.factor).toBe(1);
+    expect(fit.explanation).toBe('No award amount listed');
+  });
+});
+
+describe('Award Fit: Coverage Bands', () => {
+  test('$5k rebate for a $50M+ county is negligible', () => {
+    const fit = evaluateAwardFit('very_large', { maximum_award: 5000 }, BUDGET_TIERS);
+    expect(fit.fit).toBe('negligible');
+    expect(fit.factor).toBe(0.4);
+    expect(fit.explanation).toBe('max award covers <0.1% of budget');
+  });
+
+  test('max award covering 40% of a medium budget is strong', () => {
+    // Medium reference budget = (500K + 5M) / 2 = 2.75M
+    const fit = evaluateAwardFit('medium', { maximum_award: 1100000 }, BUDGET_TIERS);
+    expect(fit.fit).toBe('strong');
+    expect(fit.coverageRatio).toBe(0.4);
+    expect(fit.explanation).toBe('max award covers 40% of budget');
+  });
+
+  test('moderate and weak bands', () => {
+    // Large reference budget = 27.5M
+    expect(evaluateAwardFit('large', { maximum_award: 2750000 }, BUDGET_TIERS).fit).toBe('moderate');
+    expect(evaluateAwardFit('large', { maximum_award: 500000 }, BUDGET_TIERS).fit).toBe('weak');
+  });
+
+  test('falls back to total_funding_available when max award is missing', () => {
+    const fit = evaluateAwardFit('small', { total_funding_available: 275000 }, BUDGET_TIERS);
+    expect(fit.fit).toBe('strong');
+    expect(fit.explanation).toBe('total funding covers 100% of budget');
+  });
+});
+
+describe('Award Fit: Oversized Awards', () => {
+  test('minimum award above the tier ceiling is oversized', () => {
+    const fit = evaluateAwardFit('small', { minimum_award: 1000000, maximum_award: 5000000 }, BUDGET_TIERS);
+    expect(fit.fit).toBe('oversized');
+    expect(fit.factor).toBe(0.7);
+    expect(fit.explanation).toContain('min award $1M exceeds');
+  });
+
+  test('open-ended top tier is never oversized', () => {
+    const fit = evaluateAwardFit('very_large', { minimum_award: 100000000, maximum_award: 200000000 }, BUDGET_TIERS);
+    expect(fit.fit).toBe('strong');
+  });
+});
+
+describe('Award Fit: Score Scaling', () => {
+  test('strong fit leaves the project-needs score unchanged', () => {
+    const fit = evaluateAwardFit('medium', { maximum_award: 1100000 }, BUDGET_TIERS);
+    expect(scoreWithAwardFit(2, 2, fit)).toBe(100);
+  });
+
+  test('negligible fit down-ranks a perfect project-needs match', () => {
+    const fit = evaluateAwardFit('very_large', { maximum_award: 5000 }, BUDGET_TIERS);
+    expect(scoreWithAwardFit(2, 2, fit)).toBe(40);
+  });
+});
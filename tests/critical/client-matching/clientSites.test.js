@@ -0,0 +1,252 @@
+/**
+ * Multi-Site Client Tests
+ *
+ * Tests per-site match evaluation (site coverage areas + merged project needs),
+ * best-site selection with the list of eligible sites, site project-needs
+ * validation, and grouping matches by site for the PDF export.
+ *
+ * Mirrors buildSiteProfiles(), evaluateClientSites() and
+ * normalizeSiteProjectNeeds() in lib/matching/clientSites.js, and
+ * groupBySite() in lib/pdf/utils/grouping.js. evaluateMatch is replaced by a
+ * small location + project-need check.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring clientSites.js ---
+
+const PRIMARY_SITE_ID = 'primary';
+const PRIMARY_SITE_NAME = 'Primary address';
+const TIER_RANK = { match: 2, near_miss: 1 };
+
+// Stand-in for evaluateMatch: location gate, then score = share of opportunity
+// categories the client needs. Partial location → near miss.
+function evaluateMatch(client, opp) {
+  const inArea = opp.is_national || opp.coverage_area_ids.some(id => client.coverage_area_ids.includes(id));
+  const matched = opp.categories.filter(c => client.project_needs.includes(c));
+  if (!inArea) return { tier: null, score: 0, details: { matchedProjectNeeds: matched } };
+  if (matched.length === 0) return { tier: 'near_miss', score: 0, details: { matchedProjectNeeds: [] } };
+  return {
+    tier: 'match',
+    score: Math.round((matched.length / opp.categories.length) * 100),
+    details: { matchedProjectNeeds: matched }
+  };
+}
+
+function normalizeSiteProjectNeeds(value) {
+  if (value === undefined || value === null) return { projectNeeds: [], error: null };
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+    return { projectNeeds: null, error: 'project_needs must be an array of strings' };
+  }
+  return { projectNeeds: [...new Set(value.map(v => v.trim()).filter(Boolean))], error: null };
+}
+
+function buildSiteProfiles(client, sites = []) {
+  const clientNeeds = client.project_needs || [];
+  return [
+    { id: PRIMARY_SITE_ID, name: PRIMARY_SITE_NAME, client },
+    ...sites.map(site => ({
+      id: site.id,
+      name: site.name,
+      client: {
+        ...client,
+        coverage_area_ids: site.coverage_area_ids || [],
+        project_needs: [...new Set([...clientNeeds, ...(site.project_needs || [])])]
+      }
+    }))
+  ];
+}
+
+function evaluateClientSites(client, sites, opportunity) {
+  if (!sites?.length) {
+    return evaluateMatch(client, opportunity);
+  }
+
+  const results = buildSiteProfiles(client, sites).map(profile => ({
+    profile,
+    result: evaluateMatch(profile.client, opportunity)
+  }));
+
+  let best = results[0];
+  for (const candidate of results.slice(1)) {
+    const rankDiff = (TIER_RANK[candidate.result.tier] || 0) - (TIER_RANK[best.result.tier] || 0);
+    if (rankDiff > 0 || (rankDiff === 0 && candidate.result.score > best.result.score)) {
+      best = candidate;
+    }
+  }
+
+  if (!TIER_RANK[best.result.tier]) {
+    return best.result;
+  }
+
+  const eligibleSites = results
+    .filter(({ result }) => result.tier === best.result.tier)
+    .map(({ profile }) => ({ id: profile.id, name: profile.name }));
+
+  return {
+    ...best.result,
+    details: { ...best.result.details, eligibleSites }
+  };
+}
+
+// --- Inline function mirroring grouping.js ---
+
+function groupBySite(matches, sites = []) {
+  if (!matches || !Array.isArray(matches)) return [];
+
+  const sitesMap = new Map();
+
+  matches.forEach((match) => {
+    const eligibleSites = match.matchDetails?.eligibleSites?.length
+      ? match.matchDetails.eligibleSites
+      : [{ id: PRIMARY_SITE_ID, name: PRIMARY_SITE_NAME }];
+
+    eligibleSites.forEach((site) => {
+      if (!sitesMap.has(site.id)) {
+        sitesMap.set(site.id, { siteId: site.id, siteName: site.name, opportunities: [] });
+      }
+      sitesMap.get(site.id).opportunities.push(match);
+    });
+  });
+
+  const siteOrder = [PRIMARY_SITE_ID, ...sites.map((site) => site.id)];
+  return Array.from(sitesMap.values()).sort((a, b) => {
+    const aIndex = siteOrder.indexOf(a.siteId);
+    const bIndex = siteOrder.indexOf(b.siteId);
+    if (aIndex !== -1 && bIndex !== -1) return aIndex - bIndex;
+    if (aIndex !== -1) return -1;
+    if (bIndex !== -1) return 1;
+    return a.siteName.localeCompare(b.siteName);
+  });
+}
+
+// --- Fixtures ---
+
+const client = {
+  id: 'c1',
+  coverage_area_ids: ['ca-state', 'pge'],
+  project_needs: ['Solar']
+};
+
+const sites = [
+  { id: 's-nv', name: 'Reno Campus', coverage_area_ids: ['nv-state', 'nv-energy'], project_needs: ['HVAC Systems'] },
+  { id: 's-or', name: 'Portland Office', coverage_area_ids: ['or-state'], project_needs: [] }
+];
+
+function opp(coverage, categories, extra = {}) {
+  return { id: 'o1', coverage_area_ids: coverage, categories, is_national: false, ...extra };
+}
+
+// --- Tests ---
+
+describe('Client Sites: Profiles', () => {
+  test('primary site is the client itself and comes first', () => {
+    const profiles = buildSiteProfiles(client, sites);
+    expect(profiles[0]).toEqual({ id: 'primary', name: 'Primary address', client });
+    expect(profiles.map(p => p.id)).toEqual(['primary', 's-nv', 's-or']);
+  });
+
+  test('site profiles use site coverage areas and merged project needs', () => {
+    const reno = buildSiteProfiles(client, sites)[1].client;
+    expect(reno.coverage_area_ids).toEqual(['nv-state', 'nv-energy']);
+    expect(reno.project_needs).toEqual(['Solar', 'HVAC Systems']);
+  });
+
+  test('duplicate needs across client and site are merged once', () => {
+    const profile = buildSiteProfiles(client, [{ id: 's', name: 'S', project_needs: ['Solar'] }])[1];
+    expect(profile.client.project_needs).toEqual(['Solar']);
+    expect(profile.client.coverage_area_ids).toEqual([]);
+  });
+});
+
+describe('Client Sites: Evaluation', () => {
+  test('clients without sites are evaluated as before, without eligibleSites', () => {
+    const result = evaluateClientSites(client, [], opp(['ca-state'], ['Solar']));
+    expect(result.tier).toBe('match');
+    expect(result.details.eligibleSites).toBeUndefined();
+  });
+
+  test('a local program at a secondary site makes the opportunity eligible', () => {
+    const result = evaluateClientSites(client, sites, opp(['nv-energy'], ['Solar']));
+    expect(result.tier).toBe('match');
+    expect(result.details.eligibleSites).toEqual([{ id: 's-nv', name: 'Reno Campus' }]);
+  });
+
+  test('site-specific needs only apply at that site', () => {
+    expect(evaluateClientSites(client, sites, opp(['nv-state'], ['HVAC Systems'])).tier).toBe('match');
+    expect(evaluateClientSites(client, sites, opp(['ca-state'], ['HVAC Systems'])).tier).toBe('near_miss');
+  });
+
+  test('national opportunities list every site that reaches the best tier', () => {
+    const result = evaluateClientSites(client, sites, opp([], ['Solar'], { is_national: true }));
+    expect(result.details.eligibleSites.map(s => s.id)).toEqual(['primary', 's-nv', 's-or']);
+  });
+
+  test('the best site wins on tier, then on score', () => {
+    const result = evaluateClientSites(client, sites, opp([], ['Solar', 'HVAC Systems'], { is_national: true }));
+    // Reno matches both categories; the others only Solar
+    expect(result.score).toBe(100);
+    expect(result.details.matchedProjectNeeds).toEqual(['Solar', 'HVAC Systems']);
+    expect(result.details.eligibleSites.map(s => s.id)).toEqual(['primary', 's-nv', 's-or']);
+  });
+
+  test('near misses list the near-miss sites', () => {
+    const result = evaluateClientSites(client, sites, opp(['or-state'], ['Water']));
+    expect(result.tier).toBe('near_miss');
+    expect(result.details.eligibleSites).toEqual([{ id: 's-or', name: 'Portland Office' }]);
+  });
+
+  test('no site in area returns the non-match result unchanged', () => {
+    const result = evaluateClientSites(client, sites, opp(['tx-state'], ['Solar']));
+    expect(result.tier).toBeNull();
+    expect(result.details.eligibleSites).toBeUndefined();
+  });
+});
+
+describe('Client Sites: Project Needs Validation', () => {
+  test('missing needs default to none', () => {
+    expect(normalizeSiteProjectNeeds(undefined)).toEqual({ projectNeeds: [], error: null });
+    expect(normalizeSiteProjectNeeds(null)).toEqual({ projectNeeds: [], error: null });
+  });
+
+  test('needs are trimmed, de-duplicated and blanks dropped', () => {
+    expect(normalizeSiteProjectNeeds([' Solar ', 'Solar', '', 'HVAC Systems']).projectNeeds)
+      .toEqual(['Solar', 'HVAC Systems']);
+  });
+
+  test('non-array or non-string values are rejected', () => {
+    expect(normalizeSiteProjectNeeds('Solar').error).toMatch(/array of strings/);
+    expect(normalizeSiteProjectNeeds(['Solar', 3]).error).toMatch(/array of strings/);
+  });
+});
+
+describe('Client Sites: PDF Grouping', () => {
+  const match = (id, eligibleSites) => ({ id, matchDetails: eligibleSites ? { eligibleSites } : {} });
+  const primary = { id: 'primary', name: 'Primary address' };
+  const reno = { id: 's-nv', name: 'Reno Campus' };
+  const portland = { id: 's-or', name: 'Portland Office' };
+
+  test('an opportunity eligible at several sites appears under each', () => {
+    const groups = groupBySite([match('o1', [primary, reno]), match('o2', [reno])], sites);
+    expect(groups.map(g => [g.siteId, g.opportunities.map(o => o.id)])).toEqual([
+      ['primary', ['o1']],
+      ['s-nv', ['o1', 'o2']]
+    ]);
+  });
+
+  test('matches without eligibleSites fall under the primary address', () => {
+    const groups = groupBySite([match('o1', null)], sites);
+    expect(groups).toEqual([{ siteId: 'primary', siteName: 'Primary address', opportunities: [match('o1', null)] }]);
+  });
+
+  test('groups follow primary, then client site order, then unknown sites alphabetically', () => {
+    const removed = { id: 'gone', name: 'Anchorage Depot' };
+    const groups = groupBySite([
+      match('o1', [removed]),
+      match('o2', [portland]),
+      match('o3', [reno]),
+      match('o4', [primary])
+    ], sites);
+    expect(groups.map(g => g.siteId)).toEqual(['primary', 's-nv', 's-or', 'gone']);
+  });
+});
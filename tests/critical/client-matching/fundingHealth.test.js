@@ -0,0 +1,137 @@
+/**
+ * Funding Health Matching Tests
+ *
+ * Tests how funding_status and application_window_type affect matching:
+ * - exhausted programs never match
+ * - oversubscribed / limited_funding programs are flagged and down-ranked
+ * - rolling programs are reported as rolling, not as missing a deadline
+ *
+ * Mirrors evaluateFundingHealth() in lib/matching/evaluateMatch.js and
+ * getFundingHealthBadges() in lib/utils/clientMatching.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring evaluateMatch.js ---
+
+const FUNDING_HEALTH = {
+  verified_active: { factor: 1, flag: null, excluded: false },
+  presumed_active: { factor: 1, flag: null, excluded: false },
+  limited_funding: { factor: 0.8, flag: 'limited_funding', excluded: false },
+  oversubscribed: { factor: 0.6, flag: 'oversubscribed', excluded: false },
+  exhausted: { factor: 0, flag: 'exhausted', excluded: true }
+};
+
+function evaluateFundingHealth(opportunity) {
+  const status = FUNDING_HEALTH[opportunity.funding_status] ? opportunity.funding_status : 'presumed_active';
+  const health = FUNDING_HEALTH[status];
+  const windowType = opportunity.application_window_type || null;
+
+  return {
+    status,
+    windowType,
+    isRolling: windowType === 'rolling',
+    flag: health.flag,
+    factor: health.factor,
+    excluded: health.excluded,
+    note: opportunity.funding_note || null
+  };
+}
+
+/**
+ * Apply funding health to a pair that already passes all 4 criteria.
+ */
+function applyFundingHealth(criteriaPass, needsScore, opportunity) {
+  const fundingHealth = evaluateFundingHealth(opportunity);
+  const isMatch = criteriaPass && !fundingHealth.excluded;
+  return {
+    isMatch,
+    score: isMatch ? Math.round(needsScore * fundingHealth.factor) : 0,
+    fundingHealth
+  };
+}
+
+// --- Inline function mirroring clientMatching.js ---
+
+function getFundingHealthBadgeKeys(matchDetails) {
+  const health = matchDetails?.fundingHealth;
+  if (!health) return [];
+  const keys = [];
+  if (health.flag === 'oversubscribed') keys.push('oversubscribed');
+  else if (health.flag === 'limited_funding') keys.push('limited_funding');
+  if (health.isRolling) keys.push('rolling');
+  return keys;
+}
+
+// --- Tests ---
+
+describe('Funding Health: Exclusion', () => {
+  test('exhausted programs never match', () => {
+    const result = applyFundingHealth(true, 100, { funding_status: 'exhausted' });
+    expect(result.isMatch).toBe(false);
+    expect(result.score).toBe(0);
+    expect(result.fundingHealth.excluded).toBe(true);
+  });
+
+  test('active programs match at full score', () => {
+    expect(applyFundingHealth(true, 100, { funding_status: 'verified_active' }).score).toBe(100);
+    expect(applyFundingHealth(true, 100, { funding_status: 'presumed_active' }).score).toBe(100);
+  });
+
+  test('missing or unknown funding_status is treated as presumed_active', () => {
+    expect(evaluateFundingHealth({}).status).toBe('presumed_active');
+    expect(evaluateFundingHealth({ funding_status: 'bogus' }).status).toBe('presumed_active');
+  });
+});
+
+describe('Funding Health: Down-ranking', () => {
+  test('oversubscribed programs are flagged and scaled down', () => {
+    const result = applyFundingHealth(true, 100, { funding_status: 'oversubscribed', funding_note: 'Waitlist open' });
+    expect(result.isMatch).toBe(true);
+    expect(result.score).toBe(60);
+    expect(result.fundingHealth.flag).toBe('oversubscribed');
+    expect(result.fundingHealth.note).toBe('Waitlist open');
+  });
+
+  test('limited funding programs are flagged and scaled down less', () => {
+    const result = applyFundingHealth(true, 50, { funding_status: 'limited_funding' });
+    expect(result.score).toBe(40);
+    expect(result.fundingHealth.flag).toBe('limited_funding');
+  });
+
+  test('oversubscribed ranks below an equally relevant active program', () => {
+    const active = applyFundingHealth(true, 80, { funding_status: 'verified_active' });
+    const constrained = applyFundingHealth(true, 80, { funding_status: 'oversubscribed' });
+    expect(constrained.score).toBeLessThan(active.score);
+  });
+});
+
+describe('Funding Health: Rolling Programs', () => {
+  test('rolling programs are marked rolling regardless of close date', () => {
+    const health = evaluateFundingHealth({ application_window_type: 'rolling', close_date: null });
+    expect(health.isRolling).toBe(true);
+    expect(health.excluded).toBe(false);
+  });
+
+  test('dated programs are not rolling', () => {
+    expect(evaluateFundingHealth({ application_window_type: 'dated' }).isRolling).toBe(false);
+    expect(evaluateFundingHealth({}).windowType).toBeNull();
+  });
+});
+
+describe('Funding Health: Page Badges', () => {
+  test('oversubscribed rolling program shows both badges', () => {
+    const details = { fundingHealth: evaluateFundingHealth({ funding_status: 'oversubscribed', application_window_type: 'rolling' }) };
+    expect(getFundingHealthBadgeKeys(details)).toEqual(['oversubscribed', 'rolling']);
+  });
+
+  test('healthy dated program shows no badges', () => {
+    const details = { fundingHealth: evaluateFundingHealth({ funding_status: 'verified_active', application_window_type: 'dated' }) };
+    expect(getFundingHealthBadgeKeys(details)).toEqual([]);
+  });
+
+  test('matches computed before funding health have no badges', () => {
+    expect(getFundingHealthBadgeKeys({ locationMatch: true })).toEqual([]);
+    expect(getFundingHealthBadgeKeys(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Hidden Match Analysis Tests
+ *
+ * Tests aggregation of hidden matches into per-client-type hide rates by
+ * opportunity attribute, reason keyword extraction, and the proposed
+ * client-rule / taxonomy fixes for each finding.
+ *
+ * Mirrors analyzeObservations(), extractReasonTerms() and suggestFix() in
+ * lib/matching/hideAnalysis.js. Taxonomy lookups use a small inline hot list.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring hideAnalysis.js ---
+
+const RULE_BY_DIMENSION = {
+  agency: 'excluded_agencies',
+  funding_type: 'excluded_funding_types',
+  incentive_structure: 'excluded_incentive_structures'
+};
+
+const HOT_ACTIVITIES = ['Installation', 'Repair', 'Retrofit'];
+
+const REASON_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'client', 'do', 'does', 'for', 'from',
+  'has', 'have', 'in', 'is', 'it', 'its', 'match', 'not', 'of', 'on', 'or', 'our', 'so', 'that',
+  'the', 'their', 'them', 'they', 'this', 'to', 'too', 'was', 'we', 'with'
+]);
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function extractReasonTerms(reasons, limit = 5) {
+  const counts = new Map();
+  for (const reason of reasons) {
+    const words = new Set(
+      reason.toLowerCase().split(/[^a-z0-9']+/).filter(w => w.length > 2 && !REASON_STOPWORDS.has(w))
+    );
+    for (const word of words) counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term, count]) => ({ term, count }));
+}
+
+function suggestFix(finding, clientIds = []) {
+  const { dimension, value, via, client_type: clientType } = finding;
+  const percent = `${Math.round(finding.hide_rate * 100)}%`;
+
+  const rule = RULE_BY_DIMENSION[dimension];
+  if (rule) {
+    return { kind: 'client_rule', target: rule, value, client_ids: clientIds };
+  }
+  if (dimension === 'activity') {
+    const hot = HOT_ACTIVITIES.find(h => h.toLowerCase() === value.toLowerCase());
+    if (!hot) return null;
+    return { kind: 'taxonomy', target: 'ELIGIBLE_ACTIVITIES.hot', value: hot, percent };
+  }
+  if (dimension === 'project_type' && via) {
+    return { kind: 'taxonomy', target: `PROJECT_TYPE_HIERARCHY["${via}"]`, value };
+  }
+  if (dimension === 'applicant_type' && via) {
+    return { kind: 'taxonomy', target: 'CLIENT_TYPE_CROSS_CATEGORIES', value: via, clientType };
+  }
+  return null;
+}
+
+function analyzeObservations(observations, { minHidden = 3, minRate = 0.5 } = {}) {
+  const typeTotals = new Map();
+  const groups = new Map();
+
+  for (const obs of observations) {
+    if (!typeTotals.has(obs.client_type)) typeTotals.set(obs.client_type, { matched: 0, hidden: 0 });
+    const totals = typeTotals.get(obs.client_type);
+    totals.matched++;
+    if (obs.hidden) totals.hidden++;
+
+    const seen = new Set();
+    for (const attr of obs.attributes) {
+      const key = [obs.client_type, attr.dimension, attr.value.toLowerCase(), attr.via || ''].join('|');
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key, client_type: obs.client_type, dimension: attr.dimension, value: attr.value, via: attr.via,
+          matched: 0, hidden: 0, clientIds: new Set(), hiddenClientIds: new Set(), reasons: []
+        });
+      }
+      const group = groups.get(key);
+      group.matched++;
+      group.clientIds.add(obs.client_id);
+      if (obs.hidden) {
+        group.hidden++;
+        group.hiddenClientIds.add(obs.client_id);
+        if (obs.reason) group.reasons.push(obs.reason);
+      }
+    }
+  }
+
+  const findings = [];
+  for (const group of groups.values()) {
+    const hideRate = group.hidden / group.matched;
+    if (group.hidden < minHidden || hideRate < minRate) continue;
+
+    const baseline = typeTotals.get(group.client_type);
+    const baselineRate = baseline.hidden / baseline.matched;
+    const finding = {
+      key: group.key,
+      client_type: group.client_type,
+      dimension: group.dimension,
+      value: group.value,
+      via: group.via,
+      matched: group.matched,
+      hidden: group.hidden,
+      hide_rate: round(hideRate),
+      baseline_hide_rate: round(baselineRate),
+      lift: baselineRate > 0 ? round(hideRate / baselineRate) : null,
+      client_count: group.clientIds.size,
+      hiding_client_count: group.hiddenClientIds.size,
+      reason_terms: extractReasonTerms(group.reasons),
+      sample_reasons: [...new Set(group.reasons)].slice(0, 3)
+    };
+    finding.suggestion = suggestFix(finding, [...group.clientIds]);
+    findings.push(finding);
+  }
+
+  findings.sort((a, b) => (b.hidden * b.hide_rate) - (a.hidden * a.hide_rate));
+
+  const hidden = observations.filter(o => o.hidden);
+  return {
+    summary: {
+      matched_pairs: observations.length,
+      hidden_pairs: hidden.length,
+      hidden_with_reason: hidden.filter(o => o.reason).length,
+      findings: findings.length,
+      suggestions: findings.filter(f => f.suggestion).length
+    },
+    findings
+  };
+}
+
+// --- Fixtures ---
+
+function obs(clientId, clientType, hidden, attributes, reason = null) {
+  return { client_id: clientId, client_type: clientType, hidden, reason, attributes };
+}
+
+const maintenance = { dimension: 'activity', value: 'Repair', via: null };
+const install = { dimension: 'activity', value: 'Installation', via: null };
+const doe = { dimension: 'agency', value: 'DOE', via: null };
+
+// Hospitals hide 4 of 5 matches listing Repair; other matches are kept
+const observations = [
+  obs('h1', 'Hospitals', true, [maintenance, doe], 'Only maintenance work, not capital projects'),
+  obs('h1', 'Hospitals', true, [maintenance], 'maintenance only'),
+  obs('h2', 'Hospitals', true, [maintenance, install], 'Routine maintenance'),
+  obs('h2', 'Hospitals', true, [maintenance]),
+  obs('h3', 'Hospitals', false, [maintenance, install]),
+  obs('h3', 'Hospitals', false, [install, doe]),
+  obs('h3', 'Hospitals', false, [install]),
+  obs('s1', 'K-12 School Districts', false, [maintenance]),
+  obs('s1', 'K-12 School Districts', true, [maintenance])
+];
+
+// --- Tests ---
+
+describe('Hide Analysis: Aggregation', () => {
+  test('flags a client type that systematically hides an attribute', () => {
+    const { findings } = analyzeObservations(observations);
+    expect(findings).toHaveLength(1);
+    expect(findings[0]).toMatchObject({
+      client_type: 'Hospitals',
+      dimension: 'activity',
+      value: 'Repair',
+      matched: 5,
+      hidden: 4,
+      hide_rate: 0.8,
+      client_count: 3,
+      hiding_client_count: 2
+    });
+  });
+
+  test('groups are per client type — other types do not dilute the rate', () => {
+    const { findings } = analyzeObservations(observations, { minHidden: 1 });
+    const school = findings.find(f => f.client_type === 'K-12 School Districts');
+    expect(school.hide_rate).toBe(0.5);
+    expect(school.matched).toBe(2);
+  });
+
+  test('lift compares against the client type overall hide rate', () => {
+    const { findings } = analyzeObservations(observations);
+    // Hospitals: 4 of 7 hidden overall
+    expect(findings[0].baseline_hide_rate).toBe(round(4 / 7));
+    expect(findings[0].lift).toBe(round(0.8 / (4 / 7)));
+  });
+
+  test('groups below the thresholds are not reported', () => {
+    expect(analyzeObservations(observations, { minHidden: 5 }).findings).toEqual([]);
+    expect(analyzeObservations(observations, { minRate: 0.9 }).findings).toEqual([]);
+  });
+
+  test('duplicate attributes on one pair are counted once', () => {
+    const dupes = [1, 2, 3].map(i =>
+      obs(`c${i}`, 'Hospitals', true, [maintenance, { ...maintenance, value: 'repair' }])
+    );
+    const { findings } = analyzeObservations(dupes);
+    expect(findings).toHaveLength(1);
+    expect(findings[0].matched).toBe(3);
+  });
+
+  test('summary counts hidden pairs and those with reasons', () => {
+    const { summary } = analyzeObservations(observations);
+    expect(summary).toMatchObject({ matched_pairs: 9, hidden_pairs: 5, hidden_with_reason: 3 });
+  });
+
+  test('findings carry the most frequent reason terms', () => {
+    const { findings } = analyzeObservations(observations);
+    expect(findings[0].reason_terms[0]).toEqual({ term: 'maintenance', count: 3 });
+  });
+});
+
+describe('Hide Analysis: Reason Terms', () => {
+  test('stopwords and short words are ignored', () => {
+    expect(extractReasonTerms(['It is not for us'])).toEqual([]);
+  });
+
+  test('a word counts once per reason', () => {
+    expect(extractReasonTerms(['loan loan loan', 'grant'])).toEqual([
+      { term: 'grant', count: 1 },
+      { term: 'loan', count: 1 }
+    ]);
+  });
+});
+
+describe('Hide Analysis: Suggested Fixes', () => {
+  const base = { client_type: 'Hospitals', hide_rate: 0.8, via: null };
+
+  test('agency, funding type and incentive structure map to client rules', () => {
+    expect(suggestFix({ ...base, dimension: 'agency', value: 'DOE' }, ['h1'])).toMatchObject({
+      kind: 'client_rule', target: 'excluded_agencies', value: 'DOE', client_ids: ['h1']
+    });
+    expect(suggestFix({ ...base, dimension: 'funding_type', value: 'Loan' }).target).toBe('excluded_funding_types');
+    expect(suggestFix({ ...base, dimension: 'incentive_structure', value: 'financing' }).target).toBe('excluded_incentive_structures');
+  });
+
+  test('hot activities get a taxonomy fix; other activities get none', () => {
+    expect(suggestFix({ ...base, dimension: 'activity', value: 'Repair' })).toMatchObject({
+      kind: 'taxonomy', target: 'ELIGIBLE_ACTIVITIES.hot', value: 'Repair'
+    });
+    expect(suggestFix({ ...base, dimension: 'activity', value: 'Planning' })).toBeNull();
+  });
+
+  test('project types only get a fix when matched through hierarchy expansion', () => {
+    expect(suggestFix({ ...base, dimension: 'project_type', value: 'Boiler Systems', via: 'HVAC Systems' }))
+      .toMatchObject({ kind: 'taxonomy', target: 'PROJECT_TYPE_HIERARCHY["HVAC Systems"]' });
+    expect(suggestFix({ ...base, dimension: 'project_type', value: 'HVAC Systems' })).toBeNull();
+  });
+
+  test('applicant types matched through expansion suggest dropping the expansion term', () => {
+    expect(suggestFix({ ...base, dimension: 'applicant_type', value: 'Nonprofits', via: 'Nonprofit Organizations 501(c)(3)' }))
+      .toMatchObject({ kind: 'taxonomy', value: 'Nonprofit Organizations 501(c)(3)' });
+  });
+});
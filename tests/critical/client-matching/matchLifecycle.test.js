@@ -0,0 +1,161 @@
+/**
+ * Match Lifecycle Tests
+ *
+ * Tests lifecycle status validation and stale protection: pairs in an active
+ * lifecycle status (reviewing, pursuing, application submitted, awarded) are
+ * never marked stale and never downgraded from a full match by the match job.
+ *
+ * Mirrors lib/matching/lifecycle.js and the pinning step in
+ * lib/matching/computeMatches.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring lifecycle.js ---
+
+const STATUS_KEYS = ['reviewing', 'pursuing', 'application_submitted', 'awarded', 'declined', 'not_pursued'];
+const ACTIVE_LIFECYCLE_STATUSES = ['reviewing', 'pursuing', 'application_submitted', 'awarded'];
+
+function isActiveLifecycleStatus(status) {
+  return ACTIVE_LIFECYCLE_STATUSES.includes(status);
+}
+
+function normalizeLifecycleUpdate({ status, awardedAmount, note } = {}) {
+  if (status !== null && !STATUS_KEYS.includes(status)) {
+    return { update: null, error: `Invalid lifecycle status. Must be one of: ${STATUS_KEYS.join(', ')}` };
+  }
+
+  let amount = null;
+  if (status === 'awarded') {
+    if (awardedAmount === undefined || awardedAmount === null || awardedAmount === '') {
+      return { update: null, error: 'awardedAmount is required when status is awarded' };
+    }
+    amount = Number(awardedAmount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      return { update: null, error: 'awardedAmount must be a non-negative number' };
+    }
+  }
+
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    return { update: null, error: 'note must be a string' };
+  }
+
+  return {
+    update: { status, awardedAmount: amount, note: note?.trim() || null },
+    error: null
+  };
+}
+
+// --- Inline pinning step mirroring computeMatches.js evaluateScope ---
+
+function applyPinning(existingMatches, matchRows) {
+  const pinnedKeys = new Set(
+    existingMatches
+      .filter(m => isActiveLifecycleStatus(m.lifecycle_status))
+      .map(m => `${m.client_id}:${m.opportunity_id}`)
+  );
+  const persistRows = matchRows.filter(
+    row => row.match_tier === 'match' || !pinnedKeys.has(`${row.client_id}:${row.opportunity_id}`)
+  );
+  const newMatchKeys = new Set(persistRows.map(row => `${row.client_id}:${row.opportunity_id}`));
+
+  const staleKeys = [];
+  let pinnedCount = 0;
+  for (const existing of existingMatches) {
+    const key = `${existing.client_id}:${existing.opportunity_id}`;
+    if (newMatchKeys.has(key)) continue;
+    if (pinnedKeys.has(key)) {
+      pinnedCount++;
+    } else {
+      staleKeys.push(key);
+    }
+  }
+
+  return { persistRows, staleKeys, pinnedCount };
+}
+
+// --- Tests ---
+
+describe('Match Lifecycle: Validation', () => {
+  test('accepts every status key', () => {
+    for (const status of STATUS_KEYS.filter(s => s !== 'awarded')) {
+      expect(normalizeLifecycleUpdate({ status }).error).toBeNull();
+    }
+  });
+
+  test('null status clears tracking', () => {
+    const { update, error } = normalizeLifecycleUpdate({ status: null });
+    expect(error).toBeNull();
+    expect(update.status).toBeNull();
+  });
+
+  test('rejects unknown or missing status', () => {
+    expect(normalizeLifecycleUpdate({ status: 'won' }).error).toMatch(/Invalid lifecycle status/);
+    expect(normalizeLifecycleUpdate({}).error).toMatch(/Invalid lifecycle status/);
+  });
+
+  test('awarded requires a non-negative amount', () => {
+    expect(normalizeLifecycleUpdate({ status: 'awarded' }).error).toMatch(/required/);
+    expect(normalizeLifecycleUpdate({ status: 'awarded', awardedAmount: '' }).error).toMatch(/required/);
+    expect(normalizeLifecycleUpdate({ status: 'awarded', awardedAmount: -5 }).error).toMatch(/non-negative/);
+    expect(normalizeLifecycleUpdate({ status: 'awarded', awardedAmount: 'abc' }).error).toMatch(/non-negative/);
+  });
+
+  test('awarded amount is parsed from strings', () => {
+    const { update } = normalizeLifecycleUpdate({ status: 'awarded', awardedAmount: '250000' });
+    expect(update.awardedAmount).toBe(250000);
+  });
+
+  test('amount is ignored for non-awarded statuses', () => {
+    const { update } = normalizeLifecycleUpdate({ status: 'pursuing', awardedAmount: 1000 });
+    expect(update.awardedAmount).toBeNull();
+  });
+
+  test('note is trimmed and blank notes become null', () => {
+    expect(normalizeLifecycleUpdate({ status: 'reviewing', note: '  call Tuesday ' }).update.note).toBe('call Tuesday');
+    expect(normalizeLifecycleUpdate({ status: 'reviewing', note: '   ' }).update.note).toBeNull();
+    expect(normalizeLifecycleUpdate({ status: 'reviewing', note: 42 }).error).toMatch(/note/);
+  });
+});
+
+describe('Match Lifecycle: Stale Protection', () => {
+  const existing = [
+    { client_id: 'c1', opportunity_id: 'o1', match_tier: 'match', lifecycle_status: 'pursuing' },
+    { client_id: 'c1', opportunity_id: 'o2', match_tier: 'match', lifecycle_status: null },
+    { client_id: 'c1', opportunity_id: 'o3', match_tier: 'match', lifecycle_status: 'awarded' },
+    { client_id: 'c1', opportunity_id: 'o4', match_tier: 'match', lifecycle_status: 'declined' }
+  ];
+
+  test('active pairs that no longer match are held, not marked stale', () => {
+    const { staleKeys, pinnedCount } = applyPinning(existing, []);
+    expect(staleKeys).toEqual(['c1:o2', 'c1:o4']);
+    expect(pinnedCount).toBe(2);
+  });
+
+  test('closed statuses (declined, not pursued) go stale like untracked pairs', () => {
+    const { staleKeys } = applyPinning(
+      [{ client_id: 'c1', opportunity_id: 'o5', lifecycle_status: 'not_pursued' }],
+      []
+    );
+    expect(staleKeys).toEqual(['c1:o5']);
+  });
+
+  test('active pairs are not downgraded to near miss or suppressed', () => {
+    const { persistRows, pinnedCount } = applyPinning(existing, [
+      { client_id: 'c1', opportunity_id: 'o1', match_tier: 'near_miss' },
+      { client_id: 'c1', opportunity_id: 'o3', match_tier: 'suppressed' },
+      { client_id: 'c1', opportunity_id: 'o2', match_tier: 'near_miss' }
+    ]);
+    expect(persistRows.map(r => r.opportunity_id)).toEqual(['o2']);
+    expect(pinnedCount).toBe(2);
+  });
+
+  test('active pairs that still match are updated normally', () => {
+    const { persistRows, staleKeys, pinnedCount } = applyPinning(existing, [
+      { client_id: 'c1', opportunity_id: 'o1', match_tier: 'match' }
+    ]);
+    expect(persistRows).toHaveLength(1);
+    expect(staleKeys).not.toContain('c1:o1');
+    expect(pinnedCount).toBe(1);
+  });
+});
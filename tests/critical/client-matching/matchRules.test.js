@@ -0,0 +1,260 @@
+/**
+ * Client Match Rules Tests
+ *
+ * Tests per-client match rules: excluded agencies, funding types and
+ * incentive structures, minimum award, and cost-share limits. Full matches
+ * that break a rule are stored as 'suppressed'; near misses that break a rule
+ * are dropped.
+ *
+ * Mirrors lib/matching/clientRules.js and the rule step in
+ * lib/matching/computeMatches.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring clientRules.js ---
+
+const EMPTY_MATCH_RULES = {
+  excluded_agencies: [],
+  excluded_funding_types: [],
+  min_award: null,
+  excluded_incentive_structures: [],
+  max_cost_share_percentage: null
+};
+
+const LIST_RULES = ['excluded_agencies', 'excluded_funding_types', 'excluded_incentive_structures'];
+
+function formatAwardAmount(amount) {
+  if (amount >= 1000000) return `$${Math.round(amount / 100000) / 10}M`;
+  if (amount >= 1000) return `$${Math.round(amount / 1000)}K`;
+  return `$${amount}`;
+}
+
+function normalizeMatchRules(input, { incentiveStructureKeys = [] } = {}) {
+  if (input === null || input === undefined) {
+    return { rules: { ...EMPTY_MATCH_RULES }, error: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { rules: null, error: 'match_rules must be an object' };
+  }
+
+  const rules = { ...EMPTY_MATCH_RULES };
+
+  for (const key of LIST_RULES) {
+    const value = input[key];
+    if (value === undefined || value === null) continue;
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+      return { rules: null, error: `match_rules.${key} must be an array of strings` };
+    }
+    rules[key] = [...new Set(value.map(v => v.trim()).filter(Boolean))];
+  }
+
+  if (incentiveStructureKeys.length) {
+    const invalid = rules.excluded_incentive_structures.filter(v => !incentiveStructureKeys.includes(v));
+    if (invalid.length) {
+      return {
+        rules: null,
+        error: `Invalid incentive structure: ${invalid.join(', ')}. Must be one of: ${incentiveStructureKeys.join(', ')}`
+      };
+    }
+  }
+
+  if (input.min_award !== undefined && input.min_award !== null && input.min_award !== '') {
+    const minAward = Number(input.min_award);
+    if (!Number.isFinite(minAward) || minAward < 0) {
+      return { rules: null, error: 'match_rules.min_award must be a non-negative number' };
+    }
+    rules.min_award = minAward || null;
+  }
+
+  if (input.max_cost_share_percentage !== undefined && input.max_cost_share_percentage !== null && input.max_cost_share_percentage !== '') {
+    const maxCostShare = Number(input.max_cost_share_percentage);
+    if (!Number.isFinite(maxCostShare) || maxCostShare < 0 || maxCostShare > 100) {
+      return { rules: null, error: 'match_rules.max_cost_share_percentage must be between 0 and 100' };
+    }
+    rules.max_cost_share_percentage = maxCostShare;
+  }
+
+  return { rules, error: null };
+}
+
+function hasMatchRules(rules) {
+  if (!rules) return false;
+  return LIST_RULES.some(key => rules[key]?.length > 0)
+    || rules.min_award > 0
+    || (rules.max_cost_share_percentage !== null && rules.max_cost_share_percentage !== undefined);
+}
+
+function evaluateClientRules(rules, opportunity) {
+  if (!hasMatchRules(rules)) return [];
+  const violations = [];
+
+  const agency = opportunity.agency_name?.trim().toLowerCase();
+  if (agency && rules.excluded_agencies?.some(a => a.toLowerCase() === agency)) {
+    violations.push({ rule: 'excluded_agencies', reason: `Agency excluded: ${opportunity.agency_name}` });
+  }
+
+  const fundingType = opportunity.funding_type?.trim().toLowerCase();
+  if (fundingType && rules.excluded_funding_types?.some(t => t.toLowerCase() === fundingType)) {
+    violations.push({ rule: 'excluded_funding_types', reason: `Funding type excluded: ${opportunity.funding_type}` });
+  }
+
+  if (rules.min_award > 0) {
+    const awardCeiling = Number(opportunity.maximum_award) || Number(opportunity.total_funding_available) || null;
+    if (awardCeiling && awardCeiling < rules.min_award) {
+      violations.push({
+        rule: 'min_award',
+        reason: `Max award ${formatAwardAmount(awardCeiling)} below ${formatAwardAmount(rules.min_award)} minimum`
+      });
+    }
+  }
+
+  if (opportunity.incentive_structure && rules.excluded_incentive_structures?.includes(opportunity.incentive_structure)) {
+    violations.push({
+      rule: 'excluded_incentive_structures',
+      reason: `Incentive structure excluded: ${opportunity.incentive_structure.replace(/_/g, ' ')}`
+    });
+  }
+
+  const maxCostShare = rules.max_cost_share_percentage;
+  if (opportunity.cost_share_required && maxCostShare !== null && maxCostShare !== undefined) {
+    const required = opportunity.cost_share_percentage === null || opportunity.cost_share_percentage === undefined
+      ? NaN
+      : Number(opportunity.cost_share_percentage);
+    if (Number.isFinite(required) && required > maxCostShare) {
+      violations.push({ rule: 'max_cost_share_percentage', reason: `Requires ${required}% cost share (limit ${maxCostShare}%)` });
+    } else if (!Number.isFinite(required) && maxCostShare === 0) {
+      violations.push({ rule: 'max_cost_share_percentage', reason: 'Requires cost share' });
+    }
+  }
+
+  return violations;
+}
+
+// --- Inline function mirroring the rule step in computeMatches.js ---
+
+function applyRulesToTier(tier, rules, opportunity) {
+  if (tier !== 'match' && tier !== 'near_miss') return null;
+  const violations = evaluateClientRules(rules, opportunity);
+  if (violations.length === 0) return { tier, suppressedBy: null };
+  if (tier === 'near_miss') return null;
+  return { tier: 'suppressed', suppressedBy: violations };
+}
+
+// --- Tests ---
+
+describe('Match Rules: Normalization', () => {
+  test('missing rules normalize to the empty rule set', () => {
+    expect(normalizeMatchRules(undefined)).toEqual({ rules: EMPTY_MATCH_RULES, error: null });
+    expect(hasMatchRules(normalizeMatchRules(null).rules)).toBe(false);
+  });
+
+  test('list entries are trimmed and deduplicated', () => {
+    const { rules } = normalizeMatchRules({ excluded_agencies: [' DOE ', 'DOE', ''] });
+    expect(rules.excluded_agencies).toEqual(['DOE']);
+  });
+
+  test('numeric strings from form inputs are accepted', () => {
+    const { rules } = normalizeMatchRules({ min_award: '100000', max_cost_share_percentage: '0' });
+    expect(rules.min_award).toBe(100000);
+    expect(rules.max_cost_share_percentage).toBe(0);
+  });
+
+  test('empty form inputs mean no limit', () => {
+    const { rules } = normalizeMatchRules({ min_award: '', max_cost_share_percentage: '' });
+    expect(rules.min_award).toBeNull();
+    expect(rules.max_cost_share_percentage).toBeNull();
+  });
+
+  test('invalid values are rejected', () => {
+    expect(normalizeMatchRules([]).error).toBe('match_rules must be an object');
+    expect(normalizeMatchRules({ excluded_agencies: 'DOE' }).error).toContain('array of strings');
+    expect(normalizeMatchRules({ min_award: -5 }).error).toContain('non-negative');
+    expect(normalizeMatchRules({ max_cost_share_percentage: 150 }).error).toContain('between 0 and 100');
+  });
+
+  test('unknown incentive structures are rejected when keys are given', () => {
+    const result = normalizeMatchRules(
+      { excluded_incentive_structures: ['financing', 'bogus'] },
+      { incentiveStructureKeys: ['financing', 'direct_install'] }
+    );
+    expect(result.error).toContain('Invalid incentive structure: bogus');
+  });
+});
+
+describe('Match Rules: Evaluation', () => {
+  test('excluded agency matches case-insensitively', () => {
+    const violations = evaluateClientRules(
+      { excluded_agencies: ['department of energy'] },
+      { agency_name: 'Department of Energy' }
+    );
+    expect(violations).toHaveLength(1);
+    expect(violations[0].rule).toBe('excluded_agencies');
+  });
+
+  test('excluded funding type', () => {
+    const violations = evaluateClientRules({ excluded_funding_types: ['Loan'] }, { funding_type: 'Loan' });
+    expect(violations[0].reason).toBe('Funding type excluded: Loan');
+  });
+
+  test('award below minimum is suppressed; unknown award is not', () => {
+    const rules = { min_award: 100000 };
+    expect(evaluateClientRules(rules, { maximum_award: 25000 })[0].reason)
+      .toBe('Max award $25K below $100K minimum');
+    expect(evaluateClientRules(rules, { maximum_award: null })).toEqual([]);
+    expect(evaluateClientRules(rules, { maximum_award: 500000 })).toEqual([]);
+  });
+
+  test('excluded incentive structure', () => {
+    const violations = evaluateClientRules(
+      { excluded_incentive_structures: ['custom_performance'] },
+      { incentive_structure: 'custom_performance' }
+    );
+    expect(violations[0].reason).toBe('Incentive structure excluded: custom performance');
+  });
+
+  test('cost share above the limit is suppressed', () => {
+    const violations = evaluateClientRules(
+      { max_cost_share_percentage: 20 },
+      { cost_share_required: true, cost_share_percentage: 50 }
+    );
+    expect(violations[0].reason).toBe('Requires 50% cost share (limit 20%)');
+  });
+
+  test('unknown cost share percentage only suppresses a zero-tolerance client', () => {
+    const opp = { cost_share_required: true, cost_share_percentage: null };
+    expect(evaluateClientRules({ max_cost_share_percentage: 20 }, opp)).toEqual([]);
+    expect(evaluateClientRules({ max_cost_share_percentage: 0 }, opp)[0].reason).toBe('Requires cost share');
+  });
+
+  test('programs without required cost share pass any limit', () => {
+    expect(evaluateClientRules({ max_cost_share_percentage: 0 }, { cost_share_required: false })).toEqual([]);
+  });
+
+  test('multiple broken rules are all reported', () => {
+    const violations = evaluateClientRules(
+      { excluded_agencies: ['EPA'], excluded_funding_types: ['Loan'] },
+      { agency_name: 'EPA', funding_type: 'Loan' }
+    );
+    expect(violations.map(v => v.rule)).toEqual(['excluded_agencies', 'excluded_funding_types']);
+  });
+});
+
+describe('Match Rules: Tier Assignment', () => {
+  const rules = { excluded_agencies: ['EPA'] };
+
+  test('full match breaking a rule is suppressed with reasons', () => {
+    const result = applyRulesToTier('match', rules, { agency_name: 'EPA' });
+    expect(result.tier).toBe('suppressed');
+    expect(result.suppressedBy[0].rule).toBe('excluded_agencies');
+  });
+
+  test('near miss breaking a rule is dropped', () => {
+    expect(applyRulesToTier('near_miss', rules, { agency_name: 'EPA' })).toBeNull();
+  });
+
+  test('pairs within the rules keep their tier', () => {
+    expect(applyRulesToTier('match', rules, { agency_name: 'DOE' }).tier).toBe('match');
+    expect(applyRulesToTier('match', {}, { agency_name: 'EPA' }).tier).toBe('match');
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * What-if Match Simulator Tests
+ *
+ * Tests the helpers behind /api/client-matching/simulate and the simulator
+ * panel: per-need impact and gained/lost diffs between simulation runs.
+ *
+ * Mirrors buildNeedImpact() in lib/matching/simulateMatches.js and
+ * diffMatchSets() in lib/utils/clientMatching.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring simulateMatches.js ---
+
+function buildNeedImpact(projectNeeds = [], matches = []) {
+  return projectNeeds.map(need => {
+    let matchCount = 0;
+    let exclusiveCount = 0;
+    for (const match of matches) {
+      const matched = match.match_details?.matchedProjectNeeds || [];
+      if (matched.includes(need)) {
+        matchCount++;
+        if (matched.length === 1) exclusiveCount++;
+      }
+    }
+    return { need, matchCount, exclusiveCount };
+  });
+}
+
+// --- Inline function mirroring clientMatching.js ---
+
+function diffMatchSets(previousMatches = [], currentMatches = []) {
+  const previousIds = new Set(previousMatches.map(m => m.id));
+  const currentIds = new Set(currentMatches.map(m => m.id));
+  return {
+    gained: currentMatches.filter(m => !previousIds.has(m.id)),
+    lost: previousMatches.filter(m => !currentIds.has(m.id))
+  };
+}
+
+// --- Tests ---
+
+describe('Match Simulator: Need Impact', () => {
+  const matches = [
+    { opportunity_id: 'a', match_details: { matchedProjectNeeds: ['Solar'] } },
+    { opportunity_id: 'b', match_details: { matchedProjectNeeds: ['Solar', 'HVAC'] } },
+    { opportunity_id: 'c', match_details: { matchedProjectNeeds: ['HVAC'] } },
+    { opportunity_id: 'd', match_details: { matchedProjectNeeds: ['HVAC'] } }
+  ];
+
+  test('counts matches and exclusive matches per need', () => {
+    expect(buildNeedImpact(['Solar', 'HVAC'], matches)).toEqual([
+      { need: 'Solar', matchCount: 2, exclusiveCount: 1 },
+      { need: 'HVAC', matchCount: 3, exclusiveCount: 2 }
+    ]);
+  });
+
+  test('need with no matches reports zero', () => {
+    expect(buildNeedImpact(['Roofing'], matches)).toEqual([
+      { need: 'Roofing', matchCount: 0, exclusiveCount: 0 }
+    ]);
+  });
+
+  test('tolerates missing match details and empty inputs', () => {
+    expect(buildNeedImpact(['Solar'], [{ opportunity_id: 'x' }])[0].matchCount).toBe(0);
+    expect(buildNeedImpact()).toEqual([]);
+  });
+});
+
+describe('Match Simulator: Run Diff', () => {
+  test('reports gained and lost matches by id', () => {
+    const previous = [{ id: 'a' }, { id: 'b' }];
+    const current = [{ id: 'b' }, { id: 'c' }];
+    const diff = diffMatchSets(previous, current);
+    expect(diff.gained.map(m => m.id)).toEqual(['c']);
+    expect(diff.lost.map(m => m.id)).toEqual(['a']);
+  });
+
+  test('identical runs produce an empty diff', () => {
+    const runs = [{ id: 'a' }, { id: 'b' }];
+    expect(diffMatchSets(runs, runs)).toEqual({ gained: [], lost: [] });
+  });
+
+  test('first run against nothing gains everything', () => {
+    expect(diffMatchSets([], [{ id: 'a' }]).gained).toHaveLength(1);
+  });
+});
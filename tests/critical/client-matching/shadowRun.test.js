@@ -0,0 +1,225 @@
+/**
+ * Shadow Run Tests
+ *
+ * Tests the diff between two matching algorithm versions: which matches are
+ * gained or lost per client, and which criterion is responsible.
+ *
+ * Mirrors compareVersions() and attributeCriteria() in lib/matching/shadowRun.js.
+ * evaluateMatch is replaced by a minimal stand-in where each version is a
+ * function returning the criterion flags for a pair, and evaluateClientRules
+ * by a stand-in that only checks excluded agencies.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring shadowRun.js ---
+
+const CRITERIA = {
+  location: 'locationMatch',
+  applicantType: 'applicantTypeMatch',
+  projectNeeds: 'projectNeedsMatch',
+  activities: 'activitiesMatch'
+};
+
+const OTHER_CRITERION = 'other';
+
+function attributeCriteria(beforeDetails, afterDetails) {
+  const changed = Object.keys(CRITERIA).filter(key => {
+    const flag = CRITERIA[key];
+    return Boolean(beforeDetails?.[flag]) !== Boolean(afterDetails?.[flag]);
+  });
+  return changed.length > 0 ? changed : [OTHER_CRITERION];
+}
+
+/** Stand-in for evaluateMatch: version(client, opp) returns details flags. */
+function evaluate(client, opportunity, version) {
+  const details = version(client, opportunity);
+  const isMatch = Object.values(CRITERIA).every(flag => details[flag]) && !details.excluded;
+  return { tier: isMatch ? 'match' : 'none', score: details.score ?? 100, details };
+}
+
+/** Stand-in for evaluateClientRules: excluded agencies only. */
+function evaluateClientRules(rules, opportunity) {
+  return rules?.excluded_agencies?.includes(opportunity.agency_name)
+    ? [{ rule: 'excluded_agencies', reason: `Agency excluded: ${opportunity.agency_name}` }]
+    : [];
+}
+
+function compareVersions(clients, opportunities, baseline, candidate) {
+  const byCriterion = {};
+  for (const key of [...Object.keys(CRITERIA), OTHER_CRITERION]) {
+    byCriterion[key] = { gained: 0, lost: 0 };
+  }
+
+  const clientDiffs = [];
+  let baselineMatches = 0;
+  let candidateMatches = 0;
+  let rescored = 0;
+
+  for (const client of clients) {
+    const gained = [];
+    const lost = [];
+
+    for (const opportunity of opportunities) {
+      if (evaluateClientRules(client.match_rules, opportunity).length > 0) continue;
+
+      const before = evaluate(client, opportunity, baseline);
+      const after = evaluate(client, opportunity, candidate);
+      const wasMatch = before.tier === 'match';
+      const isMatch = after.tier === 'match';
+
+      if (wasMatch) baselineMatches++;
+      if (isMatch) candidateMatches++;
+
+      if (wasMatch && isMatch) {
+        if (before.score !== after.score) rescored++;
+        continue;
+      }
+      if (wasMatch === isMatch) continue;
+
+      const criteria = attributeCriteria(before.details, after.details);
+      const entry = {
+        opportunity_id: opportunity.id,
+        title: opportunity.title || null,
+        criteria,
+        score: isMatch ? after.score : before.score
+      };
+      if (isMatch) {
+        gained.push(entry);
+        criteria.forEach(c => byCriterion[c].gained++);
+      } else {
+        lost.push(entry);
+        criteria.forEach(c => byCriterion[c].lost++);
+      }
+    }
+
+    if (gained.length || lost.length) {
+      clientDiffs.push({ client_id: client.id, client_name: client.name, gained, lost });
+    }
+  }
+
+  clientDiffs.sort((a, b) => (b.gained.length + b.lost.length) - (a.gained.length + a.lost.length));
+
+  return {
+    summary: {
+      pairs_evaluated: clients.length * opportunities.length,
+      baseline_matches: baselineMatches,
+      candidate_matches: candidateMatches,
+      gained: clientDiffs.reduce((sum, d) => sum + d.gained.length, 0),
+      lost: clientDiffs.reduce((sum, d) => sum + d.lost.length, 0),
+      rescored,
+      clients_affected: clientDiffs.length,
+      by_criterion: byCriterion
+    },
+    clientDiffs
+  };
+}
+
+// --- Fixtures ---
+
+const ALL_PASS = { locationMatch: true, applicantTypeMatch: true, projectNeedsMatch: true, activitiesMatch: true };
+
+const clients = [
+  { id: 'c1', name: 'City of Fresno', type: 'Municipal Governments' },
+  { id: 'c2', name: 'Fresno USD', type: 'K-12 School Districts' }
+];
+
+const opportunities = [
+  { id: 'o1', title: 'Municipal Solar Grants' },
+  { id: 'o2', title: 'School HVAC Program' }
+];
+
+// Baseline: plural-sensitive type matching — "Municipal Governments" misses o1
+const baseline = (client, opp) => ({
+  ...ALL_PASS,
+  applicantTypeMatch: !(client.id === 'c1' && opp.id === 'o1')
+});
+
+// --- Tests ---
+
+describe('Shadow Run: Criterion Attribution', () => {
+  test('single flipped criterion is reported', () => {
+    expect(attributeCriteria(
+      { ...ALL_PASS, applicantTypeMatch: false },
+      ALL_PASS
+    )).toEqual(['applicantType']);
+  });
+
+  test('several flipped criteria are all reported', () => {
+    expect(attributeCriteria(
+      ALL_PASS,
+      { ...ALL_PASS, locationMatch: false, activitiesMatch: false }
+    )).toEqual(['location', 'activities']);
+  });
+
+  test('flip outside the 4 criteria is attributed to other', () => {
+    expect(attributeCriteria(ALL_PASS, ALL_PASS)).toEqual(['other']);
+  });
+});
+
+describe('Shadow Run: Version Diff', () => {
+  test('identical versions produce an empty diff', () => {
+    const { summary, clientDiffs } = compareVersions(clients, opportunities, baseline, baseline);
+    expect(clientDiffs).toEqual([]);
+    expect(summary.gained).toBe(0);
+    expect(summary.lost).toBe(0);
+    expect(summary.baseline_matches).toBe(summary.candidate_matches);
+  });
+
+  test('candidate that fixes type matching gains the pair, attributed to applicant type', () => {
+    const candidate = () => ({ ...ALL_PASS });
+    const { summary, clientDiffs } = compareVersions(clients, opportunities, baseline, candidate);
+
+    expect(summary.gained).toBe(1);
+    expect(summary.lost).toBe(0);
+    expect(summary.by_criterion.applicantType).toEqual({ gained: 1, lost: 0 });
+    expect(clientDiffs).toHaveLength(1);
+    expect(clientDiffs[0].client_id).toBe('c1');
+    expect(clientDiffs[0].gained[0]).toMatchObject({
+      opportunity_id: 'o1',
+      title: 'Municipal Solar Grants',
+      criteria: ['applicantType']
+    });
+  });
+
+  test('candidate that tightens project needs loses pairs per client', () => {
+    const candidate = (client, opp) => ({
+      ...baseline(client, opp),
+      projectNeedsMatch: opp.id !== 'o2'
+    });
+    const { summary, clientDiffs } = compareVersions(clients, opportunities, baseline, candidate);
+
+    expect(summary.lost).toBe(2);
+    expect(summary.by_criterion.projectNeeds.lost).toBe(2);
+    expect(summary.clients_affected).toBe(2);
+    expect(clientDiffs.every(d => d.lost[0].opportunity_id === 'o2')).toBe(true);
+  });
+
+  test('score changes on kept matches are counted as rescored, not diffed', () => {
+    const candidate = (client, opp) => ({ ...baseline(client, opp), score: 80 });
+    const { summary, clientDiffs } = compareVersions(clients, opportunities, baseline, candidate);
+    expect(summary.rescored).toBe(3);
+    expect(clientDiffs).toEqual([]);
+  });
+
+  test('pairs suppressed by a client rule are neither gained nor lost', () => {
+    const ruledClients = [
+      { ...clients[0], match_rules: { excluded_agencies: ['DOE'] } },
+      clients[1]
+    ];
+    const ruledOpportunities = [{ ...opportunities[0], agency_name: 'DOE' }, opportunities[1]];
+    const candidate = () => ALL_PASS;
+
+    const { summary, clientDiffs } = compareVersions(ruledClients, ruledOpportunities, baseline, candidate);
+    expect(summary.gained).toBe(0);
+    expect(summary.baseline_matches).toBe(3);
+    expect(clientDiffs).toEqual([]);
+  });
+
+  test('clients with the most changes are listed first', () => {
+    const candidate = (client) => ({ ...ALL_PASS, locationMatch: client.id !== 'c2' });
+    const { clientDiffs } = compareVersions(clients, opportunities, baseline, candidate);
+    expect(clientDiffs[0].client_id).toBe('c2');
+    expect(clientDiffs[0].lost).toHaveLength(2);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Weighted Match Scoring Tests
+ *
+ * Tests the weighted scoring mode and near-miss tiering in
+ * lib/matching/evaluateMatch.js (mode: 'weighted').
+ *
+ * Uses inline functions mirroring the production logic.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring evaluateMatch.js weighted mode ---
+
+const CRITERION_WEIGHTS = {
+  location: 30,
+  applicantType: 25,
+  projectNeeds: 30,
+  activities: 15
+};
+
+const CRITERION_FLAGS = {
+  location: 'locationMatch',
+  applicantType: 'applicantTypeMatch',
+  projectNeeds: 'projectNeedsMatch',
+  activities: 'activitiesMatch'
+};
+
+function calculateWeightedScore(client, details) {
+  let total = 0;
+  if (details.locationMatch) total += CRITERION_WEIGHTS.location;
+  if (details.applicantTypeMatch) total += CRITERION_WEIGHTS.applicantType;
+  if (details.activitiesMatch) total += CRITERION_WEIGHTS.activities;
+
+  const needCount = client.project_needs?.length || 0;
+  if (details.projectNeedsMatch && needCount > 0) {
+    total += CRITERION_WEIGHTS.projectNeeds * (details.matchedProjectNeeds.length / needCount);
+  }
+
+  return Math.round(total);
+}
+
+function classifyTier(details) {
+  const failedCriteria = Object.keys(CRITERION_FLAGS).filter(key => !details[CRITERION_FLAGS[key]]);
+  if (failedCriteria.length === 0) return { tier: 'match', failedCriteria };
+  if (failedCriteria.length === 1) return { tier: 'near_miss', failedCriteria };
+  return { tier: 'none', failedCriteria };
+}
+
+function formatReasonList(items, limit = 3) {
+  const shown = items.slice(0, limit).join(', ');
+  const remaining = items.length - limit;
+  return remaining > 0 ? `${shown} (+${remaining} more)` : shown;
+}
+
+// --- Helpers ---
+
+function buildDetails(overrides = {}) {
+  return {
+    locationMatch: true,
+    applicantTypeMatch: true,
+    projectNeedsMatch: true,
+    activitiesMatch: true,
+    matchedProjectNeeds: ['HVAC Systems'],
+    ...overrides
+  };
+}
+
+// --- Tests ---
+
+describe('Weighted Scoring: Weights', () => {
+  test('criterion weights sum to 100', () => {
+    const total = Object.values(CRITERION_WEIGHTS).reduce((sum, w) => sum + w, 0);
+    expect(total).toBe(100);
+  });
+
+  test('all criteria passing with every need matched scores 100', () => {
+    const client = { project_needs: ['HVAC Systems'] };
+    expect(calculateWeightedScore(client, buildDetails())).toBe(100);
+  });
+
+  test('project needs weight scales with share of needs matched', () => {
+    const client = { project_needs: ['HVAC Systems', 'Lighting', 'Roofing'] };
+    // 30 + 25 + 15 + 30 * (1/3) = 80
+    expect(calculateWeightedScore(client, buildDetails())).toBe(80);
+  });
+
+  test('client with no project needs gets no project needs weight', () => {
+    const client = { project_needs: [] };
+    const details = buildDetails({ projectNeedsMatch: false, matchedProjectNeeds: [] });
+    expect(calculateWeightedScore(client, details)).toBe(70);
+  });
+
+  test('failed activities removes only the activities weight', () => {
+    const client = { project_needs: ['HVAC Systems'] };
+    expect(calculateWeightedScore(client, buildDetails({ activitiesMatch: false }))).toBe(85);
+  });
+
+  test('failed applicant type removes only the applicant type weight', () => {
+    const client = { project_needs: ['HVAC Systems'] };
+    expect(calculateWeightedScore(client, buildDetails({ applicantTypeMatch: false }))).toBe(75);
+  });
+});
+
+describe('Weighted Scoring: Tier Classification', () => {
+  test('all criteria passing is a full match', () => {
+    const { tier, failedCriteria } = classifyTier(buildDetails());
+    expect(tier).toBe('match');
+    expect(failedCriteria).toEqual([]);
+  });
+
+  test.each([
+    ['locationMatch', 'location'],
+    ['applicantTypeMatch', 'applicantType'],
+    ['projectNeedsMatch', 'projectNeeds'],
+    ['activitiesMatch', 'activities']
+  ])('single failure on %s is a near miss', (flag, criterion) => {
+    const { tier, failedCriteria } = classifyTier(buildDetails({ [flag]: false }));
+    expect(tier).toBe('near_miss');
+    expect(failedCriteria).toEqual([criterion]);
+  });
+
+  test('two failed criteria is not kept', () => {
+    const { tier, failedCriteria } = classifyTier(
+      buildDetails({ activitiesMatch: false, applicantTypeMatch: false })
+    );
+    expect(tier).toBe('none');
+    expect(failedCriteria).toHaveLength(2);
+  });
+});
+
+describe('Weighted Scoring: Near-Miss Reasons', () => {
+  test('short lists are quoted in full', () => {
+    expect(formatReasonList(['Maintenance', 'Planning'])).toBe('Maintenance, Planning');
+  });
+
+  test('long lists are truncated with a remainder count', () => {
+    expect(formatReasonList(['A', 'B', 'C', 'D', 'E'])).toBe('A, B, C (+2 more)');
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Bulk Client Import / Export Tests
+ *
+ * Tests spreadsheet row validation against the taxonomies (client type,
+ * project needs, budget tier, DAC flag), duplicate name detection within the
+ * file and against existing clients, and the export row layout round-tripping
+ * through import validation.
+ *
+ * Mirrors validateClientRow(), findDuplicateNames() and clientToSheetRow() in
+ * lib/services/clientSpreadsheet.js, with small inline taxonomy lists.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline taxonomy subset ---
+
+const CLIENT_TYPES = ['Hospitals', 'K-12 School Districts', 'Municipal Government'];
+const PROJECT_NEEDS = ['HVAC Systems', 'Solar', 'Water Conservation'];
+const BUDGET_TIERS = [
+  { key: 'small', label: 'Small ($50K – $500K)' },
+  { key: 'medium', label: 'Medium ($500K – $5M)' },
+  { key: 'large', label: 'Large ($5M – $50M)' },
+  { key: 'very_large', label: 'Very Large ($50M+)' }
+];
+
+// --- Inline functions mirroring clientSpreadsheet.js ---
+
+const CLIENT_SHEET_COLUMNS = [
+  { key: 'name', header: 'Name', required: true },
+  { key: 'type', header: 'Type', required: true },
+  { key: 'address', header: 'Address', required: true },
+  { key: 'project_needs', header: 'Project Needs' },
+  { key: 'budget', header: 'Budget' },
+  { key: 'dac', header: 'DAC' },
+  { key: 'contact', header: 'Contact' },
+  { key: 'description', header: 'Description' },
+  { key: 'salesforce_id', header: 'Salesforce ID' }
+];
+
+const LIST_SEPARATOR = ';';
+
+const DAC_VALUES = {
+  yes: true, y: true, true: true, 1: true,
+  no: false, n: false, false: false, 0: false
+};
+
+function canonicalLookup(values) {
+  return new Map(values.map(value => [value.toLowerCase(), value]));
+}
+
+function validateClientRow(values) {
+  const errors = [];
+
+  for (const column of CLIENT_SHEET_COLUMNS) {
+    if (column.required && !values[column.key]) {
+      errors.push(`${column.header} is required`);
+    }
+  }
+
+  const clientTypes = canonicalLookup(CLIENT_TYPES);
+  let type = null;
+  if (values.type) {
+    type = clientTypes.get(values.type.toLowerCase()) || null;
+    if (!type) errors.push(`Unknown client type "${values.type}"`);
+  }
+
+  const projectNeedOptions = canonicalLookup(PROJECT_NEEDS);
+  const projectNeeds = [];
+  for (const need of (values.project_needs || '').split(LIST_SEPARATOR).map(v => v.trim()).filter(Boolean)) {
+    const canonical = projectNeedOptions.get(need.toLowerCase());
+    if (!canonical) {
+      errors.push(`Unknown project need "${need}"`);
+    } else if (!projectNeeds.includes(canonical)) {
+      projectNeeds.push(canonical);
+    }
+  }
+
+  let budget = null;
+  if (values.budget) {
+    const input = values.budget.toLowerCase();
+    const tier = BUDGET_TIERS.find(t => t.key === input || t.label.toLowerCase() === input);
+    if (tier) {
+      budget = tier.key;
+    } else {
+      errors.push(`Invalid budget tier "${values.budget}". Must be one of: ${BUDGET_TIERS.map(t => t.key).join(', ')}`);
+    }
+  }
+
+  let dac = false;
+  if (values.dac) {
+    dac = DAC_VALUES[values.dac.toLowerCase()];
+    if (dac === undefined) errors.push(`DAC must be yes or no, got "${values.dac}"`);
+  }
+
+  if (errors.length > 0) {
+    return { client: null, errors };
+  }
+
+  return {
+    client: {
+      name: values.name,
+      type,
+      address: values.address,
+      project_needs: projectNeeds,
+      budget,
+      dac,
+      contact: values.contact || null,
+      description: values.description || null,
+      salesforce_id: values.salesforce_id || null
+    },
+    errors
+  };
+}
+
+function findDuplicateNames(rows, existingNames = []) {
+  const existing = new Set(existingNames.map(name => name.toLowerCase()));
+  const firstRowByName = new Map();
+  const duplicates = new Map();
+
+  for (const { rowNumber, values } of rows) {
+    const name = values.name?.toLowerCase();
+    if (!name) continue;
+    if (existing.has(name)) {
+      duplicates.set(rowNumber, `A client named "${values.name}" already exists`);
+    } else if (firstRowByName.has(name)) {
+      duplicates.set(rowNumber, `Duplicate of row ${firstRowByName.get(name)}`);
+    } else {
+      firstRowByName.set(name, rowNumber);
+    }
+  }
+  return duplicates;
+}
+
+function clientToSheetRow(client) {
+  return {
+    name: client.name,
+    type: client.type,
+    address: client.address,
+    project_needs: (client.project_needs || []).join(`${LIST_SEPARATOR} `),
+    budget: client.budget || '',
+    dac: client.dac ? 'yes' : 'no',
+    contact: client.contact || '',
+    description: client.description || '',
+    salesforce_id: client.salesforce_id || ''
+  };
+}
+
+// --- Fixtures ---
+
+const validRow = {
+  name: 'Mercy General',
+  type: 'hospitals',
+  address: '4001 J St, Sacramento, CA',
+  project_needs: 'solar; HVAC Systems',
+  budget: 'medium',
+  dac: 'Yes'
+};
+
+// --- Tests ---
+
+describe('Client Import: Row Validation', () => {
+  test('valid row is converted with canonical taxonomy values', () => {
+    const { client, errors } = validateClientRow(validRow);
+    expect(errors).toEqual([]);
+    expect(client).toMatchObject({
+      name: 'Mercy General',
+      type: 'Hospitals',
+      project_needs: ['Solar', 'HVAC Systems'],
+      budget: 'medium',
+      dac: true,
+      contact: null
+    });
+  });
+
+  test('missing required fields are each reported', () => {
+    const { client, errors } = validateClientRow({ name: 'X' });
+    expect(client).toBeNull();
+    expect(errors).toEqual(['Type is required', 'Address is required']);
+  });
+
+  test('unknown client type is rejected', () => {
+    expect(validateClientRow({ ...validRow, type: 'Hospital' }).errors)
+      .toEqual(['Unknown client type "Hospital"']);
+  });
+
+  test('every unknown project need is reported; duplicates collapse', () => {
+    expect(validateClientRow({ ...validRow, project_needs: 'Solar; Lasers; Rockets' }).errors)
+      .toEqual(['Unknown project need "Lasers"', 'Unknown project need "Rockets"']);
+    expect(validateClientRow({ ...validRow, project_needs: 'Solar;solar; ;' }).client.project_needs)
+      .toEqual(['Solar']);
+  });
+
+  test('budget accepts the tier key or its label', () => {
+    expect(validateClientRow({ ...validRow, budget: 'Very Large ($50M+)' }).client.budget).toBe('very_large');
+    expect(validateClientRow({ ...validRow, budget: '' }).client.budget).toBeNull();
+    expect(validateClientRow({ ...validRow, budget: '$2M' }).errors[0]).toMatch(/^Invalid budget tier "\$2M"/);
+  });
+
+  test('DAC accepts yes/no style values and defaults to false', () => {
+    expect(validateClientRow({ ...validRow, dac: 'n' }).client.dac).toBe(false);
+    expect(validateClientRow({ ...validRow, dac: '1' }).client.dac).toBe(true);
+    expect(validateClientRow({ ...validRow, dac: '' }).client.dac).toBe(false);
+    expect(validateClientRow({ ...validRow, dac: 'maybe' }).errors).toEqual(['DAC must be yes or no, got "maybe"']);
+  });
+});
+
+describe('Client Import: Duplicate Names', () => {
+  const rows = [
+    { rowNumber: 2, values: { name: 'Mercy General' } },
+    { rowNumber: 3, values: { name: 'mercy general' } },
+    { rowNumber: 4, values: { name: 'Oakland USD' } },
+    { rowNumber: 5, values: { name: '' } }
+  ];
+
+  test('later repeats within the file point at the first row', () => {
+    const duplicates = findDuplicateNames(rows);
+    expect([...duplicates]).toEqual([[3, 'Duplicate of row 2']]);
+  });
+
+  test('names that already exist are flagged case-insensitively', () => {
+    const duplicates = findDuplicateNames(rows, ['OAKLAND USD']);
+    expect(duplicates.get(4)).toBe('A client named "Oakland USD" already exists');
+  });
+});
+
+describe('Client Export: Round Trip', () => {
+  test('an exported client validates back to the same values', () => {
+    const client = {
+      name: 'Oakland USD',
+      type: 'K-12 School Districts',
+      address: '1000 Broadway, Oakland, CA',
+      project_needs: ['Water Conservation', 'Solar'],
+      budget: 'large',
+      dac: false,
+      contact: 'facilities@ousd.org',
+      description: null,
+      salesforce_id: '001XYZ'
+    };
+    const { client: imported, errors } = validateClientRow(clientToSheetRow(client));
+    expect(errors).toEqual([]);
+    expect(imported).toEqual(client);
+  });
+
+  test('export row uses the column keys in layout order', () => {
+    expect(Object.keys(clientToSheetRow({ name: 'A' }))).toEqual(CLIENT_SHEET_COLUMNS.map(c => c.key));
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Client Activity Feed Tests
+ *
+ * Tests the before/after diff recorded for client profile edits, assignment
+ * change diffs, and merging audit events with client-scoped match runs into
+ * one newest-first feed.
+ *
+ * Mirrors diffClientFields(), diffAssignments(), jobLogToActivity() and
+ * buildActivityFeed() in lib/services/clientActivity.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring clientActivity.js ---
+
+const AUDITED_CLIENT_FIELDS = [
+  'name',
+  'type',
+  'address',
+  'project_needs',
+  'budget',
+  'dac',
+  'contact',
+  'description',
+  'salesforce_id',
+  'match_rules'
+];
+
+const JOB_STAT_KEYS = ['new_matches', 'updated_matches', 'stale_matches', 'total_active_matches', 'duration_ms'];
+
+function normalizeValue(value) {
+  if (value === undefined || value === null || value === '' || value === false) return null;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return null;
+    return value.every(v => typeof v === 'string') ? [...value].sort() : value.map(normalizeValue);
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    if (keys.length === 0) return null;
+    return Object.fromEntries(keys.map(key => [key, normalizeValue(value[key])]));
+  }
+  return value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+}
+
+function diffClientFields(before, after) {
+  return AUDITED_CLIENT_FIELDS
+    .filter(field => field in after && !sameValue(before?.[field], after[field]))
+    .map(field => ({ field, before: before?.[field] ?? null, after: after[field] ?? null }));
+}
+
+function diffAssignments(beforeIds = [], afterIds = []) {
+  const before = new Set(beforeIds);
+  const after = new Set(afterIds);
+  return {
+    added: [...after].filter(id => !before.has(id)),
+    removed: [...before].filter(id => !after.has(id))
+  };
+}
+
+function jobLogToActivity(job) {
+  const stats = job.stats || {};
+  return {
+    id: `job:${job.id}`,
+    type: 'matches_recomputed',
+    at: job.started_at,
+    actorId: null,
+    details: {
+      trigger: job.trigger,
+      status: job.status,
+      completed_at: job.completed_at || null,
+      error: job.error || null,
+      stats: Object.fromEntries(JOB_STAT_KEYS.filter(key => key in stats).map(key => [key, stats[key]]))
+    }
+  };
+}
+
+function buildActivityFeed(events = [], jobs = [], limit = 50) {
+  const entries = [
+    ...events.map(event => ({
+      id: event.id,
+      type: event.event_type,
+      at: event.created_at,
+      actorId: event.actor_id || null,
+      details: event.details || {}
+    })),
+    ...jobs.map(jobLogToActivity)
+  ];
+  return entries
+    .sort((a, b) => new Date(b.at) - new Date(a.at))
+    .slice(0, limit);
+}
+
+// --- Fixtures ---
+
+const existingClient = {
+  id: 'client-1',
+  name: 'Mercy General',
+  type: 'Hospitals',
+  address: '4001 J St, Sacramento, CA 95819',
+  project_needs: ['HVAC Systems', 'Solar'],
+  budget: 'medium',
+  dac: null,
+  contact: null,
+  description: '',
+  salesforce_id: null,
+  match_rules: { exclude_agencies: ['DOE'], min_award: 50000 },
+  updated_at: '2026-10-01T00:00:00Z'
+};
+
+// Shape of the PUT handler's updateData when nothing was changed in the form
+const unchangedUpdate = {
+  name: 'Mercy General',
+  type: 'Hospitals',
+  project_needs: ['Solar', 'HVAC Systems'],
+  budget: 'medium',
+  contact: null,
+  description: null,
+  dac: false,
+  updated_at: '2026-10-19T12:00:00Z'
+};
+
+// --- Tests ---
+
+describe('Client Activity: Edit Diffs', () => {
+  test('a save with no real changes records nothing', () => {
+    expect(diffClientFields(existingClient, unchangedUpdate)).toEqual([]);
+  });
+
+  test('changed fields carry before and after values in display order', () => {
+    const changes = diffClientFields(existingClient, {
+      ...unchangedUpdate,
+      project_needs: ['Solar', 'EV Charging'],
+      budget: 'large',
+      name: 'Mercy General Hospital'
+    });
+    expect(changes).toEqual([
+      { field: 'name', before: 'Mercy General', after: 'Mercy General Hospital' },
+      { field: 'project_needs', before: ['HVAC Systems', 'Solar'], after: ['Solar', 'EV Charging'] },
+      { field: 'budget', before: 'medium', after: 'large' }
+    ]);
+  });
+
+  test('fields missing from the update are not reported as cleared', () => {
+    expect(diffClientFields(existingClient, { name: 'Mercy General' })).toEqual([]);
+  });
+
+  test('clearing and setting values are recorded', () => {
+    expect(diffClientFields(existingClient, { budget: null, dac: true })).toEqual([
+      { field: 'budget', before: 'medium', after: null },
+      { field: 'dac', before: null, after: true }
+    ]);
+  });
+
+  test('match rules compare by content, not key order', () => {
+    expect(diffClientFields(existingClient, { match_rules: { min_award: 50000, exclude_agencies: ['DOE'] } })).toEqual([]);
+    expect(diffClientFields(existingClient, { match_rules: { min_award: 100000 } })).toHaveLength(1);
+  });
+
+  test('bookkeeping columns are never audited', () => {
+    expect(diffClientFields(existingClient, { updated_at: '2026-10-19T12:00:00Z' })).toEqual([]);
+  });
+});
+
+describe('Client Activity: Assignment Diffs', () => {
+  test('reports added and removed users', () => {
+    expect(diffAssignments(['u1', 'u2'], ['u2', 'u3'])).toEqual({ added: ['u3'], removed: ['u1'] });
+  });
+
+  test('same set in a different order is no change', () => {
+    expect(diffAssignments(['u1', 'u2'], ['u2', 'u1'])).toEqual({ added: [], removed: [] });
+  });
+
+  test('first assignment and clearing all', () => {
+    expect(diffAssignments([], ['u1'])).toEqual({ added: ['u1'], removed: [] });
+    expect(diffAssignments(['u1'], [])).toEqual({ added: [], removed: ['u1'] });
+  });
+});
+
+describe('Client Activity: Feed Assembly', () => {
+  const events = [
+    { id: 'e1', event_type: 'client_updated', actor_id: 'u1', details: { changes: [] }, created_at: '2026-10-19T10:00:00Z' },
+    { id: 'e2', event_type: 'match_hidden', actor_id: null, details: { opportunity_id: 'opp-1' }, created_at: '2026-10-19T12:00:00Z' }
+  ];
+  const jobs = [
+    {
+      id: 'j1',
+      trigger: 'client_updated',
+      status: 'completed',
+      started_at: '2026-10-19T10:00:05Z',
+      completed_at: '2026-10-19T10:00:09Z',
+      stats: { new_matches: 3, updated_matches: 1, stale_matches: 2, pairs_evaluated: 400, algorithm_version: 'v2' }
+    }
+  ];
+
+  test('merges events and match runs newest first', () => {
+    const feed = buildActivityFeed(events, jobs);
+    expect(feed.map(e => e.id)).toEqual(['e2', 'job:j1', 'e1']);
+    expect(feed[0].actorId).toBeNull();
+  });
+
+  test('match runs keep only the stats shown in the feed', () => {
+    const [entry] = buildActivityFeed([], jobs);
+    expect(entry).toEqual({
+      id: 'job:j1',
+      type: 'matches_recomputed',
+      at: '2026-10-19T10:00:05Z',
+      actorId: null,
+      details: {
+        trigger: 'client_updated',
+        status: 'completed',
+        completed_at: '2026-10-19T10:00:09Z',
+        error: null,
+        stats: { new_matches: 3, updated_matches: 1, stale_matches: 2 }
+      }
+    });
+  });
+
+  test('failed runs keep their error', () => {
+    const [entry] = buildActivityFeed([], [{ id: 'j2', trigger: 'crm_sync', status: 'failed', started_at: '2026-10-19T04:00:00Z', error: 'timeout' }]);
+    expect(entry.details).toMatchObject({ status: 'failed', error: 'timeout', stats: {} });
+  });
+
+  test('limit applies after merging', () => {
+    expect(buildActivityFeed(events, jobs, 2).map(e => e.id)).toEqual(['e2', 'job:j1']);
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * CRM Account Sync Tests
+ *
+ * Tests mapping CRM Account records to client fields, the field-level
+ * three-way merge against the last synced snapshot (pulls, conflicts and
+ * conflict policy), retrying addresses that failed to geocode, owner
+ * assignment changes (only sync-created assignments are removed, unmapped
+ * owners keep the last mapped one), Salesforce id handling and the
+ * top-matches text pushed back to the account.
+ *
+ * Mirrors accountToFields(), resolveFieldChanges(), buildSyncSnapshot(),
+ * resolveOwnerChange() and formatTopMatches() in lib/services/crmSync.js, and isSalesforceId() /
+ * salesforceIdKey() in lib/services/crmClient.js. Client types are a small
+ * inline list.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+const CLIENT_TYPES = ['Hospitals', 'K-12 School Districts', 'Municipal Government'];
+
+// --- Inline functions mirroring crmClient.js ---
+
+const SALESFORCE_ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+
+function isSalesforceId(value) {
+  return typeof value === 'string' && SALESFORCE_ID_PATTERN.test(value);
+}
+
+function salesforceIdKey(id) {
+  return id.slice(0, 15);
+}
+
+// --- Inline functions mirroring crmSync.js ---
+
+const SYNC_FIELDS = ['name', 'address', 'type'];
+
+const CONFLICT_POLICY = {
+  name: 'crm',
+  address: 'crm',
+  type: 'local'
+};
+
+const TOP_MATCH_LIMIT = 5;
+
+function sameValue(a, b) {
+  return (a ?? '').trim().toLowerCase() === (b ?? '').trim().toLowerCase();
+}
+
+function accountToFields(account, usersByEmail = new Map()) {
+  const skipped = [];
+
+  const region = [account.BillingState, account.BillingPostalCode].filter(Boolean).join(' ');
+  const address = [account.BillingStreet, account.BillingCity, region].filter(Boolean).join(', ') || null;
+
+  let type = null;
+  if (account.Type) {
+    const wanted = account.Type.toLowerCase();
+    type = CLIENT_TYPES.find(t => t.toLowerCase() === wanted) || null;
+    if (!type) skipped.push({ field: 'type', message: `Account type "${account.Type}" is not a client type` });
+  }
+
+  const ownerEmail = account.Owner?.Email?.toLowerCase() || null;
+  const owner = ownerEmail ? usersByEmail.get(ownerEmail) || null : null;
+  if (ownerEmail && !owner) {
+    skipped.push({ field: 'owner', message: `No workspace user with the owner's email ${account.Owner.Email}` });
+  }
+
+  return {
+    fields: { name: account.Name || null, address, type, owner },
+    skipped
+  };
+}
+
+function resolveFieldChanges(client, crm, snapshot = null) {
+  const changes = [];
+
+  for (const field of SYNC_FIELDS) {
+    const localValue = client[field] ?? null;
+    const crmValue = crm[field];
+    if (crmValue === null || crmValue === undefined || sameValue(localValue, crmValue)) continue;
+
+    const hasBase = snapshot && field in snapshot;
+    if (hasBase && sameValue(crmValue, snapshot[field])) continue;
+
+    if ((hasBase && sameValue(localValue, snapshot[field])) || !localValue) {
+      changes.push({ field, action: 'pulled', localValue, crmValue, resolution: 'crm' });
+      continue;
+    }
+
+    changes.push({ field, action: 'conflict', localValue, crmValue, resolution: CONFLICT_POLICY[field] });
+  }
+
+  return changes;
+}
+
+function buildSyncSnapshot(crm, previousSnapshot, { unappliedFields = [], ownerAssigned } = {}) {
+  const snapshot = { ...crm };
+  const keptFields = crm.owner ? unappliedFields : [...unappliedFields, 'owner'];
+  for (const field of keptFields) {
+    if (previousSnapshot && field in previousSnapshot) {
+      snapshot[field] = previousSnapshot[field];
+    } else {
+      delete snapshot[field];
+    }
+  }
+
+  if (ownerAssigned !== undefined) {
+    snapshot.owner_assigned = ownerAssigned;
+  } else if (snapshot.owner && snapshot.owner === previousSnapshot?.owner) {
+    snapshot.owner_assigned = previousSnapshot.owner_assigned === true;
+  } else {
+    delete snapshot.owner_assigned;
+  }
+  return snapshot;
+}
+
+function resolveOwnerChange(previousSnapshot, crmOwner) {
+  const previousOwner = previousSnapshot?.owner || null;
+  if (!crmOwner || crmOwner === previousOwner) return { add: null, remove: null };
+  return {
+    add: crmOwner,
+    remove: previousOwner && previousSnapshot.owner_assigned === true ? previousOwner : null
+  };
+}
+
+function formatTopMatches(matches) {
+  return matches
+    .slice(0, TOP_MATCH_LIMIT)
+    .map(m => `${m.title} (${Math.round(m.score)}%)${m.close_date ? ` – closes ${m.close_date.split('T')[0]}` : ''}`)
+    .join('\n');
+}
+
+// --- Fixtures ---
+
+const account = {
+  Id: '001000000000001AAA',
+  Name: 'Mercy General Hospital',
+  Type: 'hospitals',
+  BillingStreet: '4001 J St',
+  BillingCity: 'Sacramento',
+  BillingState: 'CA',
+  BillingPostalCode: '95819',
+  Owner: { Email: 'Dana@Example.com' }
+};
+
+const usersByEmail = new Map([['dana@example.com', 'user-dana']]);
+
+const client = { name: 'Mercy General', address: '4001 J St, Sacramento, CA 95819', type: 'Hospitals' };
+
+// --- Tests ---
+
+describe('CRM Sync: Account Mapping', () => {
+  test('maps name, billing address, client type and owner', () => {
+    const { fields, skipped } = accountToFields(account, usersByEmail);
+    expect(fields).toEqual({
+      name: 'Mercy General Hospital',
+      address: '4001 J St, Sacramento, CA 95819',
+      type: 'Hospitals',
+      owner: 'user-dana'
+    });
+    expect(skipped).toEqual([]);
+  });
+
+  test('unknown account types and owners are skipped with a reason', () => {
+    const { fields, skipped } = accountToFields({ ...account, Type: 'Customer - Direct', Owner: { Email: 'x@y.com' } }, usersByEmail);
+    expect(fields.type).toBeNull();
+    expect(fields.owner).toBeNull();
+    expect(skipped.map(s => s.field)).toEqual(['type', 'owner']);
+  });
+
+  test('partial billing addresses keep the parts that exist', () => {
+    expect(accountToFields({ Name: 'A', BillingCity: 'Reno', BillingState: 'NV' }).fields.address).toBe('Reno, NV');
+    expect(accountToFields({ Name: 'A' }).fields.address).toBeNull();
+  });
+});
+
+describe('CRM Sync: Field-Level Merge', () => {
+  const crm = { name: 'Mercy General Hospital', address: client.address, type: 'Hospitals' };
+
+  test('first sync: differing local values are conflicts resolved by policy', () => {
+    expect(resolveFieldChanges(client, crm)).toEqual([
+      { field: 'name', action: 'conflict', localValue: 'Mercy General', crmValue: 'Mercy General Hospital', resolution: 'crm' }
+    ]);
+  });
+
+  test('first sync: empty local values are pulled', () => {
+    expect(resolveFieldChanges({ ...client, type: null }, crm).find(c => c.field === 'type'))
+      .toEqual({ field: 'type', action: 'pulled', localValue: null, crmValue: 'Hospitals', resolution: 'crm' });
+    expect(resolveFieldChanges({ name: 'Mercy General Hospital', address: null, type: 'Hospitals' }, crm))
+      .toEqual([{ field: 'address', action: 'pulled', localValue: null, crmValue: client.address, resolution: 'crm' }]);
+  });
+
+  test('CRM changed, local untouched since last sync: the CRM value is pulled', () => {
+    const snapshot = { name: 'Mercy General', address: client.address, type: 'Hospitals' };
+    expect(resolveFieldChanges(client, crm, snapshot)).toEqual([
+      { field: 'name', action: 'pulled', localValue: 'Mercy General', crmValue: 'Mercy General Hospital', resolution: 'crm' }
+    ]);
+  });
+
+  test('local changed, CRM unchanged since last sync: the local edit stands', () => {
+    const snapshot = { ...crm };
+    expect(resolveFieldChanges({ ...client, name: 'Mercy (renamed here)' }, crm, snapshot)).toEqual([]);
+  });
+
+  test('both changed: conflict resolved per field policy', () => {
+    const snapshot = { name: 'Old Name', address: client.address, type: 'Municipal Government' };
+    const changes = resolveFieldChanges(
+      { ...client, type: 'K-12 School Districts' },
+      { ...crm, type: 'Hospitals' },
+      snapshot
+    );
+    expect(changes).toEqual([
+      { field: 'name', action: 'conflict', localValue: 'Mercy General', crmValue: 'Mercy General Hospital', resolution: 'crm' },
+      { field: 'type', action: 'conflict', localValue: 'K-12 School Districts', crmValue: 'Hospitals', resolution: 'local' }
+    ]);
+  });
+
+  test('unmapped CRM values never overwrite the client', () => {
+    expect(resolveFieldChanges(client, { name: null, address: null, type: null })).toEqual([]);
+  });
+
+  test('comparison ignores case and surrounding whitespace', () => {
+    expect(resolveFieldChanges(client, { ...crm, name: '  mercy general ' })).toEqual([]);
+  });
+});
+
+describe('CRM Sync: Address Geocode Failures', () => {
+  const movedAddress = '2315 Stockton Blvd, Sacramento, CA 95817';
+  const crm = { name: 'Mercy General', address: movedAddress, type: 'Hospitals', owner: 'user-dana' };
+  const previousSnapshot = { name: 'Mercy General', address: client.address, type: 'Hospitals', owner: 'user-dana', owner_assigned: true };
+
+  test('applied fields are recorded as synced', () => {
+    expect(buildSyncSnapshot(crm, previousSnapshot)).toEqual({ ...crm, owner_assigned: true });
+  });
+
+  test('an address that failed to geocode keeps the last synced address', () => {
+    const snapshot = buildSyncSnapshot(crm, previousSnapshot, { unappliedFields: ['address'] });
+    expect(snapshot).toEqual({ ...crm, address: client.address, owner_assigned: true });
+  });
+
+  test('the next run pulls the address again', () => {
+    const snapshot = buildSyncSnapshot(crm, previousSnapshot, { unappliedFields: ['address'] });
+    expect(resolveFieldChanges(client, crm, snapshot)).toEqual([
+      { field: 'address', action: 'pulled', localValue: client.address, crmValue: movedAddress, resolution: 'crm' }
+    ]);
+  });
+
+  test('storing the CRM address anyway would hide the change for good', () => {
+    expect(resolveFieldChanges(client, crm, crm)).toEqual([]);
+  });
+
+  test('on a first sync the failed address stays out of the snapshot', () => {
+    const snapshot = buildSyncSnapshot(crm, null, { unappliedFields: ['address'] });
+    expect(snapshot).not.toHaveProperty('address');
+    expect(resolveFieldChanges(client, crm, snapshot).map(c => c.field)).toEqual(['address']);
+  });
+});
+
+describe('CRM Sync: Owner Assignment', () => {
+  const syncedDana = { owner: 'user-dana', owner_assigned: true };
+
+  test('first sync assigns the owner', () => {
+    expect(resolveOwnerChange(null, 'user-dana')).toEqual({ add: 'user-dana', remove: null });
+  });
+
+  test('unchanged owner is not re-assigned (manual removals stick)', () => {
+    expect(resolveOwnerChange(syncedDana, 'user-dana')).toEqual({ add: null, remove: null });
+  });
+
+  test('owner change swaps the assignment the sync created', () => {
+    expect(resolveOwnerChange(syncedDana, 'user-lee')).toEqual({ add: 'user-lee', remove: 'user-dana' });
+  });
+
+  test('owner change keeps an assignment made in the app before the sync', () => {
+    expect(resolveOwnerChange({ owner: 'user-dana', owner_assigned: false }, 'user-lee'))
+      .toEqual({ add: 'user-lee', remove: null });
+    expect(resolveOwnerChange({ owner: 'user-dana' }, 'user-lee')).toEqual({ add: 'user-lee', remove: null });
+  });
+
+  test('unmapped owner leaves assignments alone', () => {
+    expect(resolveOwnerChange(syncedDana, null)).toEqual({ add: null, remove: null });
+  });
+
+  test('the snapshot records whether the sync created the new owner assignment', () => {
+    const crm = { name: 'Mercy General', address: client.address, type: 'Hospitals', owner: 'user-lee' };
+    expect(buildSyncSnapshot(crm, syncedDana, { ownerAssigned: true }).owner_assigned).toBe(true);
+    expect(buildSyncSnapshot(crm, syncedDana, { ownerAssigned: false }).owner_assigned).toBe(false);
+    expect(buildSyncSnapshot({ ...crm, owner: 'user-dana' }, syncedDana).owner_assigned).toBe(true);
+  });
+
+  test('an unmapped owner keeps the last mapped owner, so A → unmapped → B removes A', () => {
+    const crm = { name: 'Mercy General', address: client.address, type: 'Hospitals', owner: null };
+    const unmapped = buildSyncSnapshot(crm, syncedDana);
+    expect(unmapped).toMatchObject(syncedDana);
+    expect(resolveOwnerChange(unmapped, 'user-lee')).toEqual({ add: 'user-lee', remove: 'user-dana' });
+  });
+
+  test('an unmapped owner on a first sync records no owner', () => {
+    const snapshot = buildSyncSnapshot({ name: 'Mercy General', owner: null }, null);
+    expect(snapshot).not.toHaveProperty('owner');
+    expect(snapshot).not.toHaveProperty('owner_assigned');
+  });
+});
+
+describe('CRM Sync: Salesforce Ids and Push Payload', () => {
+  test('accepts 15- and 18-character ids only', () => {
+    expect(isSalesforceId('001000000000001')).toBe(true);
+    expect(isSalesforceId('001000000000001AAA')).toBe(true);
+    expect(isSalesforceId('001-000')).toBe(false);
+    expect(isSalesforceId('0010000000000011')).toBe(false);
+    expect(isSalesforceId(null)).toBe(false);
+  });
+
+  test('15- and 18-character forms of an id share a key', () => {
+    expect(salesforceIdKey('001000000000001AAA')).toBe(salesforceIdKey('001000000000001'));
+  });
+
+  test('top matches list at most five, with score and close date', () => {
+    const matches = Array.from({ length: 7 }, (_, i) => ({
+      title: `Program ${i + 1}`,
+      score: 90.4 - i,
+      close_date: i === 0 ? '2026-12-01T00:00:00Z' : null
+    }));
+    const lines = formatTopMatches(matches).split('\n');
+    expect(lines).toHaveLength(5);
+    expect(lines[0]).toBe('Program 1 (90%) – closes 2026-12-01');
+    expect(lines[1]).toBe('Program 2 (89%)');
+  });
+});
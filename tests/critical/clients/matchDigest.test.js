@@ -0,0 +1,277 @@
+/**
+ * Match Digest Tests
+ *
+ * Tests the scheduled email digest of match changes:
+ * - When daily and weekly subscriptions are due, and the window they report on
+ * - Sorting matches into new / stale / closing sections (hidden matches excluded)
+ * - The subject line and subscription payload validation
+ *
+ * Mirrors isDigestDue(), digestSince(), classifyDigestMatches(), digestSubject()
+ * and validateDigestSubscription() in lib/services/matchDigest.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring matchDigest.js ---
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+const PERIOD_MS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+const MIN_GAP_MS = { daily: 20 * 60 * 60 * 1000, weekly: 6 * 24 * 60 * 60 * 1000 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isDigestDue(subscription, now) {
+  if (!subscription.is_active) return false;
+  if (subscription.frequency === 'weekly' && now.getUTCDay() !== subscription.weekday) return false;
+  if (!subscription.last_sent_at) return true;
+  return now.getTime() - new Date(subscription.last_sent_at).getTime() >= MIN_GAP_MS[subscription.frequency];
+}
+
+function digestSince(subscription, now) {
+  if (subscription.last_sent_at) return new Date(subscription.last_sent_at);
+  return new Date(now.getTime() - (PERIOD_MS[subscription.frequency] || PERIOD_MS.weekly));
+}
+
+function daysUntil(date, now) {
+  if (!date) return null;
+  const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const end = new Date(date);
+  return Math.round((Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate()) - start) / DAY_MS);
+}
+
+function classifyDigestMatches(rows, { since, now, deadlineDays, hiddenKeys = new Set() }) {
+  const byClient = new Map();
+  const bucket = (clientId) => {
+    if (!byClient.has(clientId)) byClient.set(clientId, { new: [], stale: [], closing: [] });
+    return byClient.get(clientId);
+  };
+
+  for (const row of rows) {
+    if (hiddenKeys.has(`${row.client_id}:${row.opportunity_id}`)) continue;
+    const item = {
+      matchId: row.id,
+      score: row.score,
+      daysLeft: daysUntil(row.opportunity?.close_date, now),
+      isNew: row.is_new,
+      staleAt: row.stale_at || null,
+    };
+
+    // Near misses and suppressed pairs go stale too, but were never reported as matches
+    if (row.match_tier && row.match_tier !== 'match') continue;
+
+    if (row.is_stale) {
+      if (row.stale_at && new Date(row.stale_at) > since) bucket(row.client_id).stale.push(item);
+      continue;
+    }
+    if (row.is_new || new Date(row.first_matched_at) > since) {
+      bucket(row.client_id).new.push(item);
+    }
+    if (item.daysLeft !== null && item.daysLeft >= 0 && item.daysLeft <= deadlineDays) {
+      bucket(row.client_id).closing.push(item);
+    }
+  }
+
+  for (const sections of byClient.values()) {
+    sections.new.sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+    sections.stale.sort((a, b) => new Date(b.staleAt) - new Date(a.staleAt));
+    sections.closing.sort((a, b) => a.daysLeft - b.daysLeft);
+  }
+  return byClient;
+}
+
+function digestSubject(digest) {
+  const parts = [];
+  if (digest.counts.new) parts.push(`${digest.counts.new} new ${digest.counts.new === 1 ? 'match' : 'matches'}`);
+  if (digest.counts.closing) parts.push(`${digest.counts.closing} closing soon`);
+  if (digest.counts.stale) parts.push(`${digest.counts.stale} no longer matching`);
+  return `Meridian digest: ${parts.join(', ') || 'no changes'}`;
+}
+
+function validateDigestSubscription(input) {
+  const values = {};
+  const errors = [];
+  const has = (key) => input?.[key] !== undefined;
+
+  if (has('email')) {
+    const email = typeof input.email === 'string' ? input.email.trim() : '';
+    if (!EMAIL_PATTERN.test(email)) errors.push('email must be a valid email address');
+    else values.email = email;
+  }
+  if (has('frequency')) {
+    if (!DIGEST_FREQUENCIES.includes(input.frequency)) errors.push(`frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+    else values.frequency = input.frequency;
+  }
+  if (has('weekday')) {
+    if (!Number.isInteger(input.weekday) || input.weekday < 0 || input.weekday > 6) errors.push('weekday must be 0 (Sunday) to 6 (Saturday)');
+    else values.weekday = input.weekday;
+  }
+  if (has('deadline_days')) {
+    if (!Number.isInteger(input.deadline_days) || input.deadline_days < 1 || input.deadline_days > 90) {
+      errors.push('deadline_days must be a whole number from 1 to 90');
+    } else {
+      values.deadline_days = input.deadline_days;
+    }
+  }
+  ['include_pdf', 'is_active'].forEach((key) => {
+    if (!has(key)) return;
+    if (typeof input[key] !== 'boolean') errors.push(`${key} must be true or false`);
+    else values[key] = input[key];
+  });
+
+  return { values, errors };
+}
+
+// --- Fixtures ---
+
+// Monday
+const NOW = new Date('2026-10-19T04:30:00Z');
+const SINCE = new Date('2026-10-12T04:30:00Z');
+
+function matchRow(overrides = {}) {
+  return {
+    id: 'm1',
+    client_id: 'c1',
+    opportunity_id: 'o1',
+    score: 60,
+    match_tier: 'match',
+    is_new: false,
+    is_stale: false,
+    stale_at: null,
+    first_matched_at: '2026-09-01T00:00:00Z',
+    opportunity: { close_date: null },
+    ...overrides,
+  };
+}
+
+// --- Tests ---
+
+describe('Match Digest: Schedule', () => {
+  test('a first daily digest is due immediately', () => {
+    expect(isDigestDue({ is_active: true, frequency: 'daily', last_sent_at: null }, NOW)).toBe(true);
+  });
+
+  test('daily digests wait about a day between sends', () => {
+    const sub = { is_active: true, frequency: 'daily' };
+    expect(isDigestDue({ ...sub, last_sent_at: '2026-10-18T04:35:00Z' }, NOW)).toBe(true);
+    expect(isDigestDue({ ...sub, last_sent_at: '2026-10-18T20:00:00Z' }, NOW)).toBe(false);
+  });
+
+  test('weekly digests only go out on their weekday', () => {
+    const sub = { is_active: true, frequency: 'weekly', last_sent_at: '2026-10-12T04:30:00Z' };
+    expect(isDigestDue({ ...sub, weekday: 1 }, NOW)).toBe(true);
+    expect(isDigestDue({ ...sub, weekday: 2 }, NOW)).toBe(false);
+    expect(isDigestDue({ ...sub, weekday: 1, last_sent_at: '2026-10-18T04:30:00Z' }, NOW)).toBe(false);
+  });
+
+  test('inactive subscriptions are never due', () => {
+    expect(isDigestDue({ is_active: false, frequency: 'daily', last_sent_at: null }, NOW)).toBe(false);
+  });
+
+  test('the window starts at the last digest, or one period back', () => {
+    expect(digestSince({ frequency: 'weekly', last_sent_at: '2026-10-10T00:00:00Z' }, NOW).toISOString())
+      .toBe('2026-10-10T00:00:00.000Z');
+    expect(digestSince({ frequency: 'daily', last_sent_at: null }, NOW).toISOString())
+      .toBe('2026-10-18T04:30:00.000Z');
+  });
+});
+
+describe('Match Digest: Sections', () => {
+  const classify = (rows, hiddenKeys) => classifyDigestMatches(rows, { since: SINCE, now: NOW, deadlineDays: 14, hiddenKeys });
+
+  test('is_new matches and matches first found since the last digest are new', () => {
+    const sections = classify([
+      matchRow({ id: 'flagged', is_new: true, score: 40 }),
+      matchRow({ id: 'recent', first_matched_at: '2026-10-15T00:00:00Z', score: 90 }),
+      matchRow({ id: 'old' }),
+    ]).get('c1');
+    expect(sections.new.map((m) => m.matchId)).toEqual(['recent', 'flagged']);
+  });
+
+  test('stale matches are reported once, if they went stale in the window', () => {
+    const sections = classify([
+      matchRow({ id: 'recent', is_stale: true, is_new: true, stale_at: '2026-10-16T00:00:00Z' }),
+      matchRow({ id: 'earlier', is_stale: true, stale_at: '2026-10-01T00:00:00Z' }),
+    ]).get('c1');
+    expect(sections.stale.map((m) => m.matchId)).toEqual(['recent']);
+    expect(sections.new).toEqual([]);
+  });
+
+  test('stale near misses and suppressed pairs are not reported as no longer matching', () => {
+    const byClient = classify([
+      matchRow({ id: 'near', match_tier: 'near_miss', is_stale: true, stale_at: '2026-10-16T00:00:00Z' }),
+      matchRow({ id: 'suppressed', match_tier: 'suppressed', is_stale: true, stale_at: '2026-10-16T00:00:00Z' }),
+      matchRow({ id: 'match', is_stale: true, stale_at: '2026-10-16T00:00:00Z' }),
+    ]);
+    expect(byClient.get('c1').stale.map((m) => m.matchId)).toEqual(['match']);
+  });
+
+  test('closing lists upcoming deadlines within the window, soonest first', () => {
+    const sections = classify([
+      matchRow({ id: 'later', opportunity: { close_date: '2026-10-30' } }),
+      matchRow({ id: 'today', opportunity: { close_date: '2026-10-19' } }),
+      matchRow({ id: 'past', opportunity: { close_date: '2026-10-18' } }),
+      matchRow({ id: 'far', opportunity: { close_date: '2026-12-01' } }),
+    ]).get('c1');
+    expect(sections.closing.map((m) => [m.matchId, m.daysLeft])).toEqual([['today', 0], ['later', 11]]);
+  });
+
+  test('hidden and suppressed matches are left out', () => {
+    const byClient = classify([
+      matchRow({ id: 'hidden', is_new: true, opportunity_id: 'o9' }),
+      matchRow({ id: 'suppressed', is_new: true, match_tier: 'suppressed' }),
+    ], new Set(['c1:o9']));
+    expect(byClient.get('c1')?.new ?? []).toEqual([]);
+  });
+});
+
+describe('Match Digest: Subject', () => {
+  test('summarizes the counts that are present', () => {
+    expect(digestSubject({ counts: { new: 1, closing: 2, stale: 0 } }))
+      .toBe('Meridian digest: 1 new match, 2 closing soon');
+    expect(digestSubject({ counts: { new: 3, closing: 0, stale: 1 } }))
+      .toBe('Meridian digest: 3 new matches, 1 no longer matching');
+  });
+});
+
+describe('Match Digest: Subscription Validation', () => {
+  test('accepts a full subscription', () => {
+    const { values, errors } = validateDigestSubscription({
+      email: ' me@example.com ',
+      frequency: 'weekly',
+      weekday: 5,
+      deadline_days: 30,
+      include_pdf: true,
+      is_active: true,
+    });
+    expect(errors).toEqual([]);
+    expect(values).toEqual({
+      email: 'me@example.com',
+      frequency: 'weekly',
+      weekday: 5,
+      deadline_days: 30,
+      include_pdf: true,
+      is_active: true,
+    });
+  });
+
+  test('rejects bad values', () => {
+    const { errors } = validateDigestSubscription({
+      email: 'not-an-email',
+      frequency: 'hourly',
+      weekday: 7,
+      deadline_days: 0,
+      include_pdf: 'yes',
+    });
+    expect(errors).toEqual([
+      'email must be a valid email address',
+      'frequency must be one of: daily, weekly',
+      'weekday must be 0 (Sunday) to 6 (Saturday)',
+      'deadline_days must be a whole number from 1 to 90',
+      'include_pdf must be true or false',
+    ]);
+  });
+
+  test('only fields present are returned', () => {
+    expect(validateDigestSubscription({ is_active: false })).toEqual({ values: { is_active: false }, errors: [] });
+  });
+});
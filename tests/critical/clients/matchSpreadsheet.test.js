@@ -0,0 +1,319 @@
+/**
+ * Client Match Spreadsheet Export Tests
+ *
+ * Tests the match sheet row layout (score, matched needs, award range,
+ * deadline, status, source, URL), the hidden matches sheet, PDF-consistent
+ * grouping/sorting (site grouping for multi-site clients by default), and
+ * dropping the Group / Eligible Sites columns when they would be empty.
+ *
+ * Mirrors matchToSheetRow(), hiddenMatchToSheetRow(), buildMatchRows() and
+ * the column selection in writeMatchWorkbook() in
+ * lib/services/matchSpreadsheet.js. PDF formatters and grouping utilities
+ * are reduced to the behavior these rows depend on.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline subset of lib/pdf/utils (formatters, grouping) ---
+
+function formatCurrency(amount) {
+  if (amount >= 1000000) return `$${(amount / 1000000).toFixed(1)}M`;
+  if (amount >= 1000) return `$${(amount / 1000).toFixed(0)}K`;
+  return `$${amount}`;
+}
+
+function formatFundingRange(min, max) {
+  const minVal = min || 0;
+  const maxVal = max || 0;
+  if (minVal === 0 && maxVal === 0) return 'Award amount not specified';
+  if (minVal === 0) return `Up to ${formatCurrency(maxVal)}`;
+  if (maxVal === 0) return `From ${formatCurrency(minVal)}`;
+  if (minVal === maxVal) return formatCurrency(minVal);
+  return `${formatCurrency(minVal)} - ${formatCurrency(maxVal)}`;
+}
+
+function formatStatus(status) {
+  const statusMap = { open: 'Open', upcoming: 'Upcoming', closed: 'Closed', forecasted: 'Forecasted' };
+  return { text: statusMap[(status || '').toLowerCase()] || status || 'Unknown' };
+}
+
+function formatSourceType(sourceType) {
+  const type = (sourceType || '').toLowerCase();
+  if (type.includes('federal')) return 'Federal';
+  if (type.includes('state')) return 'State';
+  return 'Other';
+}
+
+function formatCostShare(required, percentage) {
+  if (!required) return 'None required';
+  if (percentage) return `${percentage}% required`;
+  return 'Required (check details)';
+}
+
+function getDaysRemaining(deadline) {
+  if (!deadline) return null;
+  const now = new Date();
+  now.setHours(0, 0, 0, 0);
+  const deadlineDate = new Date(deadline);
+  deadlineDate.setHours(0, 0, 0, 0);
+  return Math.ceil((deadlineDate.getTime() - now.getTime()) / (1000 * 60 * 60 * 24));
+}
+
+function sortOpportunities(opportunities, sortBy) {
+  const sorted = [...opportunities];
+  if (sortBy === 'score') {
+    sorted.sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+  } else if (sortBy === 'amount') {
+    sorted.sort((a, b) => (b.maximum_award || 0) - (a.maximum_award || 0));
+  } else {
+    sorted.sort((a, b) => {
+      const aDeadline = a.close_date ? new Date(a.close_date).getTime() : Infinity;
+      const bDeadline = b.close_date ? new Date(b.close_date).getTime() : Infinity;
+      return aDeadline - bDeadline;
+    });
+  }
+  return sorted;
+}
+
+function groupBySite(matches, sites = []) {
+  const sitesMap = new Map();
+  matches.forEach((match) => {
+    const eligibleSites = match.matchDetails?.eligibleSites?.length
+      ? match.matchDetails.eligibleSites
+      : [{ id: 'primary', name: 'Primary address' }];
+    eligibleSites.forEach((site) => {
+      if (!sitesMap.has(site.id)) sitesMap.set(site.id, { siteId: site.id, siteName: site.name, opportunities: [] });
+      sitesMap.get(site.id).opportunities.push(match);
+    });
+  });
+  const siteOrder = ['primary', ...sites.map((site) => site.id)];
+  return Array.from(sitesMap.values()).sort((a, b) => siteOrder.indexOf(a.siteId) - siteOrder.indexOf(b.siteId));
+}
+
+// --- Inline functions mirroring matchSpreadsheet.js ---
+
+const GROUPINGS = {
+  site: (matches, client) => groupBySite(matches, client.sites || [])
+    .map(g => ({ label: g.siteName, opportunities: g.opportunities })),
+};
+
+const MATCH_SHEET_KEYS = [
+  'group', 'title', 'agency', 'source_type', 'score', 'matched_project_needs', 'eligible_sites',
+  'minimum_award', 'maximum_award', 'award_range', 'close_date', 'days_remaining', 'status',
+  'cost_share', 'program_overview', 'url', 'opportunity_id'
+];
+
+const LIST_SEPARATOR = '; ';
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function defaultMatchGrouping(client) {
+  return client?.sites?.length ? 'site' : 'none';
+}
+
+function matchToSheetRow(match, group = null) {
+  const agency = match.agency_name || match.source_name || '';
+  const minAward = match.minimum_award || match.min_amount || null;
+  const maxAward = match.maximum_award || match.max_amount || null;
+  return {
+    group,
+    title: match.title || 'Untitled Opportunity',
+    agency,
+    source_type: formatSourceType(match.source_type, agency),
+    score: match.score ?? match.matchDetails?.score ?? null,
+    matched_project_needs: (match.matchDetails?.matchedProjectNeeds || []).join(LIST_SEPARATOR),
+    eligible_sites: (match.matchDetails?.eligibleSites || []).map(site => site.name).join(LIST_SEPARATOR),
+    minimum_award: minAward,
+    maximum_award: maxAward,
+    award_range: formatFundingRange(minAward, maxAward),
+    close_date: toDate(match.close_date),
+    days_remaining: getDaysRemaining(match.close_date),
+    status: formatStatus(match.status || 'open').text,
+    cost_share: formatCostShare(match.cost_share_required, match.cost_share_percentage),
+    program_overview: match.program_overview || match.description || '',
+    url: match.url || '',
+    opportunity_id: match.id,
+  };
+}
+
+function hiddenMatchToSheetRow(hidden) {
+  const opportunity = hidden.funding_opportunities || {};
+  const agency = opportunity.agency_name || '';
+  return {
+    title: opportunity.title || 'Opportunity no longer available',
+    agency,
+    source_type: formatSourceType(opportunity.source_type, agency),
+    maximum_award: opportunity.maximum_award || null,
+    close_date: toDate(opportunity.close_date),
+    status: opportunity.status ? formatStatus(opportunity.status).text : '',
+    hidden_at: toDate(hidden.hidden_at),
+    hidden_by: hidden.hidden_by || '',
+    reason: hidden.reason || '',
+    url: opportunity.url || '',
+    opportunity_id: hidden.opportunity_id,
+  };
+}
+
+function buildMatchRows(client, matches, { sortBy = 'score', groupBy } = {}) {
+  const grouping = GROUPINGS[groupBy ?? defaultMatchGrouping(client)];
+  if (!grouping) {
+    return sortOpportunities(matches, sortBy).map(match => matchToSheetRow(match));
+  }
+  return grouping(matches, client).flatMap(group =>
+    sortOpportunities(group.opportunities, sortBy).map(match => matchToSheetRow(match, group.label))
+  );
+}
+
+function matchColumnKeys(rows) {
+  const optionalKeys = ['group', 'eligible_sites'].filter(key => !rows.some(row => row[key]));
+  return MATCH_SHEET_KEYS.filter(key => !optionalKeys.includes(key));
+}
+
+// --- Fixtures ---
+
+const match = (id, score, overrides = {}) => ({
+  id,
+  title: `Program ${id}`,
+  agency_name: 'Department of Energy',
+  source_type: 'federal',
+  minimum_award: 50000,
+  maximum_award: 2000000,
+  close_date: null,
+  status: 'open',
+  url: `https://example.gov/${id}`,
+  score,
+  matchDetails: { matchedProjectNeeds: ['Solar', 'HVAC Systems'] },
+  ...overrides
+});
+
+const sites = [{ id: 'north', name: 'North Campus' }];
+const sitedMatch = (id, score, siteIds, overrides = {}) => match(id, score, {
+  matchDetails: {
+    matchedProjectNeeds: ['Solar'],
+    eligibleSites: siteIds.map(siteId => siteId === 'primary'
+      ? { id: 'primary', name: 'Primary address' }
+      : sites.find(s => s.id === siteId))
+  },
+  ...overrides
+});
+
+// --- Tests ---
+
+describe('Match Spreadsheet: Row Layout', () => {
+  test('carries the PDF card fields as filterable values', () => {
+    const row = matchToSheetRow(match('a', 87.5, {
+      close_date: '2030-06-30T12:00:00Z',
+      cost_share_required: true,
+      cost_share_percentage: 20,
+      program_overview: 'Grants for efficiency upgrades'
+    }));
+    expect(row).toMatchObject({
+      group: null,
+      title: 'Program a',
+      agency: 'Department of Energy',
+      source_type: 'Federal',
+      score: 87.5,
+      matched_project_needs: 'Solar; HVAC Systems',
+      minimum_award: 50000,
+      maximum_award: 2000000,
+      award_range: '$50K - $2.0M',
+      status: 'Open',
+      cost_share: '20% required',
+      program_overview: 'Grants for efficiency upgrades',
+      url: 'https://example.gov/a',
+      opportunity_id: 'a'
+    });
+    expect(row.close_date).toBeInstanceOf(Date);
+    expect(row.days_remaining).toBeGreaterThan(0);
+  });
+
+  test('missing values stay empty rather than zero', () => {
+    const row = matchToSheetRow(match('b', 40, { minimum_award: null, maximum_award: null, matchDetails: null }));
+    expect(row.minimum_award).toBeNull();
+    expect(row.maximum_award).toBeNull();
+    expect(row.award_range).toBe('Award amount not specified');
+    expect(row.close_date).toBeNull();
+    expect(row.days_remaining).toBeNull();
+    expect(row.matched_project_needs).toBe('');
+  });
+
+  test('hidden matches carry reason, who hid them and when', () => {
+    const row = hiddenMatchToSheetRow({
+      opportunity_id: 'z',
+      hidden_at: '2026-10-01T10:00:00Z',
+      hidden_by: 'user',
+      reason: 'Not eligible: for-profit only',
+      funding_opportunities: { title: 'Program z', agency_name: 'CEC', source_type: 'state', maximum_award: 750000, status: 'closed' }
+    });
+    expect(row).toMatchObject({
+      title: 'Program z',
+      source_type: 'State',
+      maximum_award: 750000,
+      status: 'Closed',
+      hidden_by: 'user',
+      reason: 'Not eligible: for-profit only',
+      opportunity_id: 'z'
+    });
+    expect(row.hidden_at.toISOString()).toBe('2026-10-01T10:00:00.000Z');
+  });
+
+  test('hidden matches whose opportunity was deleted still list', () => {
+    expect(hiddenMatchToSheetRow({ opportunity_id: 'gone', funding_opportunities: null }).title)
+      .toBe('Opportunity no longer available');
+  });
+});
+
+describe('Match Spreadsheet: Sorting and Grouping', () => {
+  const matches = [
+    match('low', 35, { close_date: '2030-01-10T00:00:00Z', maximum_award: 5000000 }),
+    match('high', 92, { close_date: '2030-03-01T00:00:00Z', maximum_award: 100000 }),
+    match('mid', 60)
+  ];
+
+  test('single-site clients are a flat list in the requested order', () => {
+    const client = { name: 'Mercy', sites: [] };
+    expect(buildMatchRows(client, matches).map(r => r.title)).toEqual(['Program high', 'Program mid', 'Program low']);
+    expect(buildMatchRows(client, matches, { sortBy: 'deadline' }).map(r => r.opportunity_id)).toEqual(['low', 'high', 'mid']);
+    expect(buildMatchRows(client, matches, { sortBy: 'amount' }).map(r => r.opportunity_id)).toEqual(['low', 'mid', 'high']);
+    expect(buildMatchRows(client, matches).every(r => r.group === null)).toBe(true);
+  });
+
+  test('multi-site clients group by site by default, like the PDF', () => {
+    const client = { name: 'Mercy', sites };
+    const rows = buildMatchRows(client, [
+      sitedMatch('a', 80, ['primary', 'north']),
+      sitedMatch('b', 90, ['north'])
+    ]);
+    expect(rows.map(r => [r.group, r.opportunity_id])).toEqual([
+      ['Primary address', 'a'],
+      ['North Campus', 'b'],
+      ['North Campus', 'a']
+    ]);
+  });
+
+  test('groupBy none flattens a multi-site client', () => {
+    const client = { name: 'Mercy', sites };
+    const rows = buildMatchRows(client, [sitedMatch('a', 80, ['primary', 'north'])], { groupBy: 'none' });
+    expect(rows).toHaveLength(1);
+    expect(rows[0].eligible_sites).toBe('Primary address; North Campus');
+  });
+});
+
+describe('Match Spreadsheet: Columns', () => {
+  test('ungrouped single-site exports drop Group and Eligible Sites', () => {
+    const keys = matchColumnKeys(buildMatchRows({ name: 'x' }, [match('a', 50)]));
+    expect(keys).not.toContain('group');
+    expect(keys).not.toContain('eligible_sites');
+    expect(keys[0]).toBe('title');
+  });
+
+  test('site-grouped exports keep both', () => {
+    const keys = matchColumnKeys(buildMatchRows({ name: 'x', sites }, [sitedMatch('a', 50, ['north'])]));
+    expect(keys.slice(0, 2)).toEqual(['group', 'title']);
+    expect(keys).toContain('eligible_sites');
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Portfolio PDF Tests
+ *
+ * Tests the data preparation for the multi-client portfolio report:
+ * - Collapsing the portfolio into unique opportunities with their clients
+ * - Shared opportunities (matching several clients), ordering and threshold
+ * - Combined deadline calendar grouped by month
+ *
+ * Mirrors groupByOpportunity(), findSharedOpportunities() and
+ * groupByDeadlineMonth() in lib/pdf/utils/grouping.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring grouping.js / formatters.js ---
+
+function getDaysRemaining(deadline) {
+  if (!deadline) return null;
+  const now = new Date();
+  now.setHours(0, 0, 0, 0);
+  const deadlineDate = new Date(deadline);
+  deadlineDate.setHours(0, 0, 0, 0);
+  return Math.ceil((deadlineDate.getTime() - now.getTime()) / (1000 * 60 * 60 * 24));
+}
+
+function groupByOpportunity(portfolio) {
+  if (!portfolio || !Array.isArray(portfolio)) return [];
+
+  const opportunityMap = new Map();
+
+  portfolio.forEach(({ client, matches }) => {
+    (matches || []).forEach((match) => {
+      if (!opportunityMap.has(match.id)) {
+        opportunityMap.set(match.id, { opportunity: match, clients: [] });
+      }
+      const entry = opportunityMap.get(match.id);
+      const score = match.score ?? match.matchDetails?.score ?? 0;
+      entry.clients.push({ id: client.id, name: client.name, score });
+      if (score > (entry.opportunity.score ?? entry.opportunity.matchDetails?.score ?? 0)) {
+        entry.opportunity = match;
+      }
+    });
+  });
+
+  return Array.from(opportunityMap.values()).map((entry) => ({
+    ...entry,
+    clients: entry.clients.sort((a, b) => b.score - a.score),
+  }));
+}
+
+function findSharedOpportunities(portfolio, minClients = 2) {
+  return groupByOpportunity(portfolio)
+    .filter((entry) => entry.clients.length >= minClients)
+    .sort((a, b) => {
+      if (b.clients.length !== a.clients.length) return b.clients.length - a.clients.length;
+      return (b.clients[0]?.score ?? 0) - (a.clients[0]?.score ?? 0);
+    });
+}
+
+function groupByDeadlineMonth(portfolio) {
+  const monthMap = new Map();
+
+  groupByOpportunity(portfolio)
+    .filter((entry) => {
+      const daysRemaining = getDaysRemaining(entry.opportunity.close_date);
+      return daysRemaining !== null && daysRemaining >= 0;
+    })
+    .sort((a, b) => new Date(a.opportunity.close_date) - new Date(b.opportunity.close_date))
+    .forEach((entry) => {
+      const closeDate = new Date(entry.opportunity.close_date);
+      const month = closeDate.toISOString().slice(0, 7);
+      if (!monthMap.has(month)) {
+        monthMap.set(month, {
+          month,
+          label: closeDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+          entries: [],
+        });
+      }
+      monthMap.get(month).entries.push(entry);
+    });
+
+  return Array.from(monthMap.values());
+}
+
+// --- Fixtures ---
+
+const year = new Date().getUTCFullYear() + 1;
+const opp = (id, score, closeDate = null) => ({ id, title: `Program ${id}`, score, close_date: closeDate });
+
+const mercy = { id: 'c1', name: 'Mercy General' };
+const oakland = { id: 'c2', name: 'Oakland USD' };
+const reno = { id: 'c3', name: 'City of Reno' };
+
+const portfolio = [
+  { client: mercy, matches: [opp('solar', 70, `${year}-03-15T12:00:00Z`), opp('hvac', 90, `${year}-02-01T12:00:00Z`), opp('ev', 40)] },
+  { client: oakland, matches: [opp('solar', 85, `${year}-03-15T12:00:00Z`), opp('hvac', 60, `${year}-02-01T12:00:00Z`)] },
+  { client: reno, matches: [opp('solar', 50, `${year}-03-15T12:00:00Z`), opp('closed', 80, '2020-01-01T12:00:00Z')] },
+];
+
+// --- Tests ---
+
+describe('Portfolio PDF: Unique Opportunities', () => {
+  test('each opportunity appears once with every client it matches', () => {
+    const grouped = groupByOpportunity(portfolio);
+    expect(grouped.map((e) => e.opportunity.id).sort()).toEqual(['closed', 'ev', 'hvac', 'solar']);
+    const solar = grouped.find((e) => e.opportunity.id === 'solar');
+    expect(solar.clients.map((c) => c.name)).toEqual(['Oakland USD', 'Mercy General', 'City of Reno']);
+  });
+
+  test('the representative copy is the best-scoring match', () => {
+    const solar = groupByOpportunity(portfolio).find((e) => e.opportunity.id === 'solar');
+    expect(solar.opportunity.score).toBe(85);
+  });
+
+  test('clients without matches and empty input are handled', () => {
+    expect(groupByOpportunity([{ client: mercy, matches: [] }])).toEqual([]);
+    expect(groupByOpportunity(null)).toEqual([]);
+  });
+});
+
+describe('Portfolio PDF: Shared Opportunities', () => {
+  test('sorted by number of clients, then best score', () => {
+    const shared = findSharedOpportunities(portfolio);
+    expect(shared.map((e) => [e.opportunity.id, e.clients.length])).toEqual([
+      ['solar', 3],
+      ['hvac', 2],
+    ]);
+  });
+
+  test('threshold excludes opportunities matching fewer clients', () => {
+    expect(findSharedOpportunities(portfolio, 3).map((e) => e.opportunity.id)).toEqual(['solar']);
+    expect(findSharedOpportunities(portfolio, 4)).toEqual([]);
+  });
+
+  test('ties on client count fall back to the best score', () => {
+    const tied = [
+      { client: mercy, matches: [opp('a', 40), opp('b', 95)] },
+      { client: oakland, matches: [opp('a', 60), opp('b', 30)] },
+    ];
+    expect(findSharedOpportunities(tied).map((e) => e.opportunity.id)).toEqual(['b', 'a']);
+  });
+});
+
+describe('Portfolio PDF: Deadline Calendar', () => {
+  test('groups open deadlines by month in date order', () => {
+    const months = groupByDeadlineMonth(portfolio);
+    expect(months.map((m) => m.month)).toEqual([`${year}-02`, `${year}-03`]);
+    expect(months[0].label).toBe(`February ${year}`);
+    expect(months[1].entries[0].clients).toHaveLength(3);
+  });
+
+  test('closed and undated opportunities are left out', () => {
+    const ids = groupByDeadlineMonth(portfolio).flatMap((m) => m.entries.map((e) => e.opportunity.id));
+    expect(ids).not.toContain('closed');
+    expect(ids).not.toContain('ev');
+  });
+
+  test('entries within a month are ordered by close date', () => {
+    const sameMonth = [{
+      client: mercy,
+      matches: [opp('late', 50, `${year}-05-28T12:00:00Z`), opp('early', 50, `${year}-05-02T12:00:00Z`)],
+    }];
+    const [may] = groupByDeadlineMonth(sameMonth);
+    expect(may.entries.map((e) => e.opportunity.id)).toEqual(['early', 'late']);
+  });
+});
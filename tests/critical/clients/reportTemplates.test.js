@@ -0,0 +1,255 @@
+/**
+ * Report Template Tests
+ *
+ * Tests branded PDF report templates:
+ * - Resolving a stored template into branding, with Meridian defaults for empty fields
+ * - Section toggles (profile, summary, detailed) and the effective card view
+ * - Validating admin create/update payloads (colors, logo data URI, sections, lengths)
+ *
+ * Mirrors resolveBranding() and effectiveViewMode() in lib/pdf/utils/branding.js
+ * and validateReportTemplate() in lib/services/reportTemplates.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring branding.js ---
+
+const REPORT_SECTIONS = ['profile', 'summary', 'detailed'];
+const ESG_LOGO = 'data:image/png;base64,ESG';
+
+const DEFAULT_BRANDING = {
+  brandName: 'MERIDIAN',
+  tagline: 'Policy & Funding Intelligence',
+  primaryColor: '#1E3A8A',
+  accentColor: '#1E3A8A',
+  coverTitle: 'FUNDING OPPORTUNITIES REPORT',
+  coverText: '',
+  footerText: 'Generated by Meridian',
+  disclaimer: '',
+  sections: { profile: true, summary: true, detailed: true },
+};
+
+function resolveBranding(template) {
+  const sections = { ...DEFAULT_BRANDING.sections };
+  REPORT_SECTIONS.forEach((key) => {
+    if (typeof template?.sections?.[key] === 'boolean') sections[key] = template.sections[key];
+  });
+
+  return {
+    brandName: template?.brand_name || DEFAULT_BRANDING.brandName,
+    tagline: template?.tagline ?? DEFAULT_BRANDING.tagline,
+    logo: template?.logo_data || ESG_LOGO,
+    primaryColor: template?.primary_color || DEFAULT_BRANDING.primaryColor,
+    accentColor: template?.accent_color || template?.primary_color || DEFAULT_BRANDING.accentColor,
+    coverTitle: template?.cover_title || DEFAULT_BRANDING.coverTitle,
+    coverText: template?.cover_text || DEFAULT_BRANDING.coverText,
+    footerText: template?.footer_text || DEFAULT_BRANDING.footerText,
+    disclaimer: template?.disclaimer || DEFAULT_BRANDING.disclaimer,
+    sections,
+  };
+}
+
+function effectiveViewMode(viewMode, branding) {
+  return viewMode === 'detailed' && branding.sections.detailed ? 'detailed' : 'summary';
+}
+
+// --- Inline functions mirroring reportTemplates.js ---
+
+const TEXT_LIMITS = {
+  name: 100,
+  brand_name: 60,
+  tagline: 120,
+  cover_title: 120,
+  cover_text: 1000,
+  footer_text: 120,
+  disclaimer: 400,
+};
+const COLOR_FIELDS = ['primary_color', 'accent_color'];
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+const LOGO_DATA_URI = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/]+=*$/;
+const MAX_LOGO_BYTES = 500 * 1024;
+
+function validateReportTemplate(input, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+  const has = (key) => input?.[key] !== undefined;
+
+  if (!partial && !input?.name?.trim?.()) {
+    errors.push('name is required');
+  }
+
+  Object.entries(TEXT_LIMITS).forEach(([key, max]) => {
+    if (!has(key)) return;
+    const value = input[key];
+    if (value !== null && typeof value !== 'string') {
+      errors.push(`${key} must be a string`);
+      return;
+    }
+    const trimmed = value?.trim() || null;
+    if (key === 'name' && !trimmed) {
+      errors.push('name cannot be empty');
+    } else if (trimmed && trimmed.length > max) {
+      errors.push(`${key} must be at most ${max} characters`);
+    } else {
+      values[key] = trimmed;
+    }
+  });
+
+  COLOR_FIELDS.forEach((key) => {
+    if (!has(key)) return;
+    const value = input[key] || null;
+    if (value && !HEX_COLOR.test(value)) {
+      errors.push(`${key} must be a hex color like #1E3A8A`);
+    } else {
+      values[key] = value;
+    }
+  });
+
+  if (has('logo_data')) {
+    const logo = input.logo_data || null;
+    if (logo && !LOGO_DATA_URI.test(logo)) {
+      errors.push('logo_data must be a PNG or JPEG data URI');
+    } else if (logo && Math.floor((logo.length - logo.indexOf(',') - 1) * 3 / 4) > MAX_LOGO_BYTES) {
+      errors.push(`logo must be at most ${MAX_LOGO_BYTES / 1024} KB`);
+    } else {
+      values.logo_data = logo;
+    }
+  }
+
+  if (has('sections')) {
+    const sections = input.sections;
+    if (!sections || typeof sections !== 'object' || Array.isArray(sections)) {
+      errors.push('sections must be an object');
+    } else {
+      const unknown = Object.keys(sections).filter((key) => !REPORT_SECTIONS.includes(key));
+      if (unknown.length > 0) {
+        errors.push(`Unknown sections: ${unknown.join(', ')}. Must be among: ${REPORT_SECTIONS.join(', ')}`);
+      } else if (Object.values(sections).some((value) => typeof value !== 'boolean')) {
+        errors.push('sections values must be true or false');
+      } else {
+        values.sections = Object.fromEntries(REPORT_SECTIONS.map((key) => [key, sections[key] ?? true]));
+      }
+    }
+  }
+
+  if (has('is_default')) {
+    if (typeof input.is_default !== 'boolean') {
+      errors.push('is_default must be true or false');
+    } else {
+      values.is_default = input.is_default;
+    }
+  }
+
+  return { values, errors };
+}
+
+// --- Tests ---
+
+describe('Report Templates: Branding', () => {
+  test('no template renders the standard Meridian report', () => {
+    const branding = resolveBranding(null);
+    expect(branding.brandName).toBe('MERIDIAN');
+    expect(branding.logo).toBe(ESG_LOGO);
+    expect(branding.footerText).toBe('Generated by Meridian');
+    expect(branding.sections).toEqual({ profile: true, summary: true, detailed: true });
+  });
+
+  test('template fields override the defaults', () => {
+    const branding = resolveBranding({
+      brand_name: 'ACME ENERGY',
+      logo_data: 'data:image/png;base64,ACME',
+      primary_color: '#AA0000',
+      accent_color: '#00AA00',
+      cover_title: 'PARTNER FUNDING BRIEF',
+      cover_text: 'Prepared by Acme Energy for its members.',
+      disclaimer: 'Not legal advice.',
+    });
+    expect(branding).toMatchObject({
+      brandName: 'ACME ENERGY',
+      logo: 'data:image/png;base64,ACME',
+      primaryColor: '#AA0000',
+      accentColor: '#00AA00',
+      coverTitle: 'PARTNER FUNDING BRIEF',
+      coverText: 'Prepared by Acme Energy for its members.',
+      disclaimer: 'Not legal advice.',
+    });
+  });
+
+  test('accent color follows the primary color when unset', () => {
+    expect(resolveBranding({ primary_color: '#AA0000' }).accentColor).toBe('#AA0000');
+  });
+
+  test('an empty tagline is kept, a missing one falls back', () => {
+    expect(resolveBranding({ tagline: '' }).tagline).toBe('');
+    expect(resolveBranding({ tagline: null }).tagline).toBe('Policy & Funding Intelligence');
+  });
+
+  test('sections only switch off when explicitly false', () => {
+    expect(resolveBranding({ sections: { profile: false } }).sections).toEqual({ profile: false, summary: true, detailed: true });
+    expect(resolveBranding({ sections: { profile: 'no' } }).sections.profile).toBe(true);
+  });
+
+  test('detailed view falls back to summary when the template excludes it', () => {
+    const withDetailed = resolveBranding(null);
+    const withoutDetailed = resolveBranding({ sections: { detailed: false } });
+    expect(effectiveViewMode('detailed', withDetailed)).toBe('detailed');
+    expect(effectiveViewMode('detailed', withoutDetailed)).toBe('summary');
+    expect(effectiveViewMode(undefined, withDetailed)).toBe('summary');
+  });
+});
+
+describe('Report Templates: Validation', () => {
+  test('a full template is accepted and trimmed', () => {
+    const { values, errors } = validateReportTemplate({
+      name: '  Partner: Acme  ',
+      brand_name: 'ACME',
+      primary_color: '#aa0000',
+      logo_data: 'data:image/png;base64,iVBORw0KGgo=',
+      sections: { detailed: false },
+      is_default: true,
+    });
+    expect(errors).toEqual([]);
+    expect(values).toEqual({
+      name: 'Partner: Acme',
+      brand_name: 'ACME',
+      primary_color: '#aa0000',
+      logo_data: 'data:image/png;base64,iVBORw0KGgo=',
+      sections: { profile: true, summary: true, detailed: false },
+      is_default: true,
+    });
+  });
+
+  test('name is required on create but not on update', () => {
+    expect(validateReportTemplate({ brand_name: 'ACME' }).errors).toContain('name is required');
+    expect(validateReportTemplate({ brand_name: 'ACME' }, { partial: true }).errors).toEqual([]);
+    expect(validateReportTemplate({ name: ' ' }, { partial: true }).errors).toContain('name cannot be empty');
+  });
+
+  test('empty strings clear fields back to the default branding', () => {
+    const { values } = validateReportTemplate({ tagline: '', primary_color: '', logo_data: '' }, { partial: true });
+    expect(values).toEqual({ tagline: null, primary_color: null, logo_data: null });
+  });
+
+  test('rejects bad colors, logos and sections', () => {
+    const { errors } = validateReportTemplate({
+      name: 'x',
+      accent_color: 'red',
+      logo_data: 'data:image/svg+xml;base64,PHN2Zz4=',
+      sections: { appendix: true },
+    });
+    expect(errors).toEqual([
+      'accent_color must be a hex color like #1E3A8A',
+      'logo_data must be a PNG or JPEG data URI',
+      'Unknown sections: appendix. Must be among: profile, summary, detailed',
+    ]);
+    expect(validateReportTemplate({ name: 'x', sections: { profile: 'yes' } }).errors)
+      .toEqual(['sections values must be true or false']);
+  });
+
+  test('rejects oversized logos and text', () => {
+    const bigLogo = `data:image/png;base64,${'A'.repeat(Math.ceil(MAX_LOGO_BYTES * 4 / 3) + 8)}`;
+    expect(validateReportTemplate({ name: 'x', logo_data: bigLogo }).errors).toEqual(['logo must be at most 500 KB']);
+    expect(validateReportTemplate({ name: 'x', disclaimer: 'a'.repeat(401) }).errors)
+      .toEqual(['disclaimer must be at most 400 characters']);
+  });
+});
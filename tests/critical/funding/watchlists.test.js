@@ -0,0 +1,204 @@
+/**
+ * Tracked Opportunities and Watchlists Tests
+ *
+ * Tests the server-side tracking helpers:
+ * - Watchlist payload validation
+ * - Who can access a watchlist (creator, team members, assigned client users)
+ * - API response shape (member and opportunity IDs)
+ * - Which localStorage IDs the first-login import keeps
+ *
+ * Mirrors validateWatchlist(), canAccessWatchlist(), toWatchlistResponse() and
+ * the ID selection in importTrackedOpportunities() in
+ * lib/services/trackedOpportunities.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring trackedOpportunities.js ---
+
+const MAX_TRACKED_OPPORTUNITIES = 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isOpportunityId(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+function validateWatchlist(input, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+  const has = (key) => input?.[key] !== undefined;
+
+  if (has('name') || !partial) {
+    const name = typeof input?.name === 'string' ? input.name.trim() : '';
+    if (!name) errors.push('name is required');
+    else if (name.length > 100) errors.push('name must be at most 100 characters');
+    else values.name = name;
+  }
+
+  if (has('description')) {
+    if (input.description !== null && typeof input.description !== 'string') {
+      errors.push('description must be text');
+    } else if (input.description && input.description.length > 500) {
+      errors.push('description must be at most 500 characters');
+    } else {
+      values.description = input.description?.trim() || null;
+    }
+  }
+
+  if (has('client_id')) {
+    if (input.client_id !== null && !UUID_PATTERN.test(input.client_id || '')) {
+      errors.push('client_id must be a client id or null');
+    } else {
+      values.client_id = input.client_id;
+    }
+  }
+
+  if (has('member_ids')) {
+    const ids = input.member_ids;
+    if (!Array.isArray(ids) || ids.some(id => !UUID_PATTERN.test(id))) {
+      errors.push('member_ids must be an array of user ids');
+    } else {
+      values.member_ids = [...new Set(ids)];
+    }
+  }
+
+  return { values, errors };
+}
+
+function canAccessWatchlist(watchlist, userId, assignedClientIds = []) {
+  return watchlist.created_by === userId
+    || watchlist.member_ids.includes(userId)
+    || (watchlist.client_id !== null && assignedClientIds.includes(watchlist.client_id));
+}
+
+function toWatchlistResponse(watchlist) {
+  return {
+    id: watchlist.id,
+    name: watchlist.name,
+    description: watchlist.description,
+    client_id: watchlist.client_id,
+    client_name: watchlist.client?.name || null,
+    created_by: watchlist.created_by,
+    member_ids: (watchlist.members || []).map(m => m.user_id),
+    opportunity_ids: [...(watchlist.opportunities || [])]
+      .sort((a, b) => new Date(a.added_at) - new Date(b.added_at))
+      .map(o => o.opportunity_id),
+    created_at: watchlist.created_at,
+    updated_at: watchlist.updated_at
+  };
+}
+
+/** ID selection in importTrackedOpportunities(), given the lookups' results. */
+function selectImport(ids, existingIds, currentIds) {
+  const candidates = [...new Set(ids.filter(isOpportunityId))];
+  const found = new Set(existingIds);
+  const valid = candidates.filter(id => found.has(id));
+  const current = new Set(currentIds);
+  const toInsert = valid.filter(id => !current.has(id)).slice(0, MAX_TRACKED_OPPORTUNITIES - current.size);
+  return { toInsert, skipped: candidates.length - valid.length };
+}
+
+// --- Tests ---
+
+const USER_A = '11111111-1111-4111-8111-111111111111';
+const USER_B = '22222222-2222-4222-8222-222222222222';
+const USER_C = '33333333-3333-4333-8333-333333333333';
+const CLIENT = '44444444-4444-4444-8444-444444444444';
+const OPP_1 = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const OPP_2 = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+const OPP_3 = 'cccccccc-cccc-4ccc-8ccc-cccccccccccc';
+
+describe('validateWatchlist', () => {
+  test('requires a name on create', () => {
+    expect(validateWatchlist({}).errors).toEqual(['name is required']);
+    expect(validateWatchlist({ name: '  Q3 Solar ' })).toEqual({ values: { name: 'Q3 Solar' }, errors: [] });
+  });
+
+  test('partial updates only validate given fields', () => {
+    expect(validateWatchlist({ description: 'Shared with ops' }, { partial: true }))
+      .toEqual({ values: { description: 'Shared with ops' }, errors: [] });
+    expect(validateWatchlist({ name: ' ' }, { partial: true }).errors).toEqual(['name is required']);
+  });
+
+  test('blank description clears it', () => {
+    expect(validateWatchlist({ description: '   ' }, { partial: true }).values.description).toBeNull();
+    expect(validateWatchlist({ description: 42 }, { partial: true }).errors).toEqual(['description must be text']);
+  });
+
+  test('client can be attached or detached', () => {
+    expect(validateWatchlist({ client_id: CLIENT }, { partial: true }).values.client_id).toBe(CLIENT);
+    expect(validateWatchlist({ client_id: null }, { partial: true }).values.client_id).toBeNull();
+    expect(validateWatchlist({ client_id: 'acme' }, { partial: true }).errors).toEqual(['client_id must be a client id or null']);
+  });
+
+  test('member ids are deduplicated and must be user ids', () => {
+    expect(validateWatchlist({ member_ids: [USER_B, USER_B] }, { partial: true }).values.member_ids).toEqual([USER_B]);
+    expect(validateWatchlist({ member_ids: ['bob'] }, { partial: true }).errors).toEqual(['member_ids must be an array of user ids']);
+  });
+});
+
+describe('canAccessWatchlist', () => {
+  const watchlist = { created_by: USER_A, client_id: null, member_ids: [USER_A, USER_B] };
+
+  test('creator and team members have access', () => {
+    expect(canAccessWatchlist(watchlist, USER_A)).toBe(true);
+    expect(canAccessWatchlist(watchlist, USER_B)).toBe(true);
+    expect(canAccessWatchlist(watchlist, USER_C)).toBe(false);
+  });
+
+  test('client watchlists are open to the client\'s assigned users', () => {
+    const clientWatchlist = { ...watchlist, client_id: CLIENT };
+    expect(canAccessWatchlist(clientWatchlist, USER_C, [CLIENT])).toBe(true);
+    expect(canAccessWatchlist(clientWatchlist, USER_C, [])).toBe(false);
+  });
+
+  test('client assignments do not open watchlists without a client', () => {
+    expect(canAccessWatchlist(watchlist, USER_C, [CLIENT])).toBe(false);
+  });
+});
+
+describe('toWatchlistResponse', () => {
+  test('flattens members and orders opportunities by when they were added', () => {
+    const response = toWatchlistResponse({
+      id: 'w1',
+      name: 'Q3 Solar',
+      description: null,
+      client_id: CLIENT,
+      client: { name: 'Acme' },
+      created_by: USER_A,
+      members: [{ user_id: USER_A }, { user_id: USER_B }],
+      opportunities: [
+        { opportunity_id: OPP_2, added_at: '2026-10-02T00:00:00Z' },
+        { opportunity_id: OPP_1, added_at: '2026-10-01T00:00:00Z' }
+      ]
+    });
+
+    expect(response).toMatchObject({
+      client_name: 'Acme',
+      member_ids: [USER_A, USER_B],
+      opportunity_ids: [OPP_1, OPP_2]
+    });
+  });
+
+  test('handles a watchlist without embeds', () => {
+    const response = toWatchlistResponse({ id: 'w1', name: 'Empty', client_id: null });
+    expect(response).toMatchObject({ client_name: null, member_ids: [], opportunity_ids: [] });
+  });
+});
+
+describe('importTrackedOpportunities ID selection', () => {
+  test('imports each existing opportunity once', () => {
+    const result = selectImport([OPP_1, OPP_1, OPP_2], [OPP_1, OPP_2], []);
+    expect(result).toEqual({ toInsert: [OPP_1, OPP_2], skipped: 0 });
+  });
+
+  test('skips removed opportunities and malformed IDs', () => {
+    const result = selectImport([OPP_1, OPP_3, 'legacy-id'], [OPP_1], []);
+    expect(result).toEqual({ toInsert: [OPP_1], skipped: 1 });
+  });
+
+  test('leaves already-tracked opportunities alone, so repeating is harmless', () => {
+    expect(selectImport([OPP_1, OPP_2], [OPP_1, OPP_2], [OPP_1]).toInsert).toEqual([OPP_2]);
+    expect(selectImport([OPP_1, OPP_2], [OPP_1, OPP_2], [OPP_1, OPP_2]).toInsert).toEqual([]);
+  });
+});
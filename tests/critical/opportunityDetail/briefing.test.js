@@ -0,0 +1,146 @@
+/**
+ * Opportunity Detail - Briefing PDF Tests
+ *
+ * Tests the data preparation for the single-opportunity brief:
+ * - Parsing the labelled actionable_summary (shared with the detail page)
+ * - Explaining why each client matches, from persisted match_details
+ * - Funding status and incentive structure labels
+ *
+ * Mirrors parseActionableSummary() in lib/utils/actionableSummary.js and
+ * formatMatchReasons(), formatFundingStatus(), formatIncentiveStructure() in
+ * lib/pdf/utils/formatters.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring actionableSummary.js / formatters.js ---
+
+function parseActionableSummary(text) {
+  if (!text || !text.startsWith('VERDICT:')) return null;
+
+  const sections = {};
+  const labels = ['VERDICT', 'WHO', 'WHAT', 'MONEY', 'PROCESS', 'CRITERIA', 'FLAGS'];
+
+  for (let i = 0; i < labels.length; i++) {
+    const label = labels[i];
+    const nextLabel = labels[i + 1];
+    const startPattern = `${label}:`;
+    const startIdx = text.indexOf(startPattern);
+    if (startIdx === -1) continue;
+
+    const contentStart = startIdx + startPattern.length;
+    const endIdx = nextLabel
+      ? text.indexOf(`\n${nextLabel}:`, contentStart)
+      : text.length;
+    const content = text.slice(contentStart, endIdx === -1 ? text.length : endIdx).trim();
+
+    if (label === 'VERDICT') {
+      const scoreMatch = content.match(/^([\d.]+)\/10\s*[—–-]\s*(.*)/s);
+      sections.verdict = scoreMatch
+        ? { score: parseFloat(scoreMatch[1]), description: scoreMatch[2].trim() }
+        : { score: null, description: content };
+    } else {
+      sections[label.toLowerCase()] = content;
+    }
+  }
+  return sections;
+}
+
+function formatFundingStatus(fundingStatus) {
+  const statusMap = {
+    verified_active: { text: 'Funding verified', color: '#22C55E' },
+    presumed_active: { text: 'Presumed active', color: '#6B7280' },
+    limited_funding: { text: 'Limited funding remaining', color: '#F59E0B' },
+    oversubscribed: { text: 'Oversubscribed', color: '#F59E0B' },
+    exhausted: { text: 'Funding exhausted', color: '#EF4444' },
+  };
+  return statusMap[fundingStatus] || statusMap.presumed_active;
+}
+
+function formatIncentiveStructure(incentiveStructure) {
+  if (!incentiveStructure) return null;
+  return incentiveStructure.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+function formatMatchReasons(matchDetails) {
+  if (!matchDetails) return [];
+  const reasons = [];
+  if (matchDetails.matchedProjectNeeds?.length) {
+    reasons.push(`Project needs: ${matchDetails.matchedProjectNeeds.join(', ')}`);
+  }
+  if (matchDetails.eligibleSites?.length) {
+    reasons.push(`Eligible sites: ${matchDetails.eligibleSites.map((site) => site.name).join(', ')}`);
+  }
+  if (matchDetails.applicantTypeMatch) reasons.push('Eligible applicant type');
+  if (matchDetails.locationMatch) reasons.push('In coverage area');
+  if (matchDetails.awardFit?.explanation && matchDetails.awardFit.fit !== 'unknown') {
+    reasons.push(`Award fit: ${matchDetails.awardFit.explanation}`);
+  }
+  return reasons;
+}
+
+// --- Tests ---
+
+describe('Briefing: Actionable Summary', () => {
+  test('splits a labelled summary into verdict and sections', () => {
+    const parsed = parseActionableSummary([
+      'VERDICT: 7.5/10 — Strong fit for hospitals',
+      'WHO: Hospitals and clinics',
+      'WHAT: Solar PV and storage',
+      'MONEY: Up to $2M',
+      'PROCESS: Online application',
+      'CRITERIA: Ranked by cost per kWh',
+      'FLAGS: Funds running low',
+    ].join('\n'));
+    expect(parsed.verdict).toEqual({ score: 7.5, description: 'Strong fit for hospitals' });
+    expect(parsed.who).toBe('Hospitals and clinics');
+    expect(parsed.money).toBe('Up to $2M');
+    expect(parsed.criteria).toBe('Ranked by cost per kWh');
+    expect(parsed.flags).toBe('Funds running low');
+  });
+
+  test('a verdict without a score keeps its text', () => {
+    expect(parseActionableSummary('VERDICT: Worth a look').verdict).toEqual({ score: null, description: 'Worth a look' });
+  });
+
+  test('free-text summaries are not parsed', () => {
+    expect(parseActionableSummary('Rebates for commercial solar.')).toBeNull();
+    expect(parseActionableSummary(null)).toBeNull();
+  });
+});
+
+describe('Briefing: Why Clients Match', () => {
+  test('lists matched needs, sites, eligibility and award fit', () => {
+    const reasons = formatMatchReasons({
+      matchedProjectNeeds: ['Solar', 'Battery Storage'],
+      eligibleSites: [{ id: 's1', name: 'North Campus' }],
+      applicantTypeMatch: true,
+      locationMatch: true,
+      awardFit: { fit: 'good', explanation: '$2M covers 80% of budget' },
+    });
+    expect(reasons).toEqual([
+      'Project needs: Solar, Battery Storage',
+      'Eligible sites: North Campus',
+      'Eligible applicant type',
+      'In coverage area',
+      'Award fit: $2M covers 80% of budget',
+    ]);
+  });
+
+  test('unknown award fit and missing details are left out', () => {
+    expect(formatMatchReasons({ awardFit: { fit: 'unknown', explanation: 'No award amount listed' } })).toEqual([]);
+    expect(formatMatchReasons(null)).toEqual([]);
+  });
+});
+
+describe('Briefing: Funding Labels', () => {
+  test('funding status falls back to presumed active', () => {
+    expect(formatFundingStatus('limited_funding').text).toBe('Limited funding remaining');
+    expect(formatFundingStatus(null).text).toBe('Presumed active');
+  });
+
+  test('incentive structure is title-cased', () => {
+    expect(formatIncentiveStructure('deemed_calculated')).toBe('Deemed Calculated');
+    expect(formatIncentiveStructure(null)).toBeNull();
+  });
+});
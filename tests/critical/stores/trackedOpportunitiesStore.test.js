@@ -20,6 +20,22 @@ function trackedCount(currentIds) {
 	return currentIds.length;
 }
 
+/**
+ * Which request syncWithServer() makes: local IDs are uploaded only while the
+ * cache has never mirrored a server-side list (tracked before sign-in existed).
+ */
+function syncRequest({ trackedOpportunityIds, syncedUserId }) {
+	return syncedUserId === null && trackedOpportunityIds.length > 0 ? 'import' : 'fetch';
+}
+
+/**
+ * Undo of an optimistic toggle after a failed save, skipped when the
+ * opportunity was toggled again in the meantime.
+ */
+function revertToggle(currentIds, id, wasTracked) {
+	return currentIds.includes(id) === wasTracked ? currentIds : toggleTracked(currentIds, id);
+}
+
 /**
  * Simulates the backward-compatible storage adapter that handles
  * both the old raw array format and the Zustand persist envelope.
@@ -163,6 +179,37 @@ describe('trackedOpportunitiesStore', () => {
 		});
 	});
 
+	describe('syncWithServer', () => {
+		it('uploads IDs tracked before the first signed-in sync', () => {
+			expect(syncRequest({ trackedOpportunityIds: ['id-1'], syncedUserId: null })).toBe('import');
+		});
+
+		it('fetches the server list when nothing was tracked locally', () => {
+			expect(syncRequest({ trackedOpportunityIds: [], syncedUserId: null })).toBe('fetch');
+		});
+
+		it('fetches the server list once the cache mirrors a user, so another user signing in never gets their IDs', () => {
+			expect(syncRequest({ trackedOpportunityIds: ['id-1'], syncedUserId: 'user-a' })).toBe('fetch');
+		});
+	});
+
+	describe('failed save rollback', () => {
+		it('untracks again when saving a track fails', () => {
+			ids = toggleTracked(ids, 'id-1');
+			expect(revertToggle(ids, 'id-1', false)).toEqual([]);
+		});
+
+		it('re-tracks when saving an untrack fails', () => {
+			ids = toggleTracked(['id-1'], 'id-1');
+			expect(revertToggle(ids, 'id-1', true)).toEqual(['id-1']);
+		});
+
+		it('leaves the list alone when toggled back meanwhile', () => {
+			ids = toggleTracked(toggleTracked(ids, 'id-1'), 'id-1');
+			expect(revertToggle(ids, 'id-1', false)).toEqual([]);
+		});
+	});
+
 	describe('backward-compatible storage (getItem)', () => {
 		it('returns null for empty storage', () => {
 			expect(parseStorageValue(null)).toBeNull();
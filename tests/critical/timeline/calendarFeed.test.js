@@ -0,0 +1,309 @@
+/**
+ * Calendar Feed Tests
+ *
+ * Tests the ICS deadline feeds:
+ * - iCalendar text escaping and 75-octet line folding
+ * - Opens / deadline / rolling events, reminder alarms and the past-deadline window
+ * - Feed create/update payload validation
+ *
+ * Mirrors escapeIcsText(), foldIcsLine(), buildFeedEvents() and
+ * validateCalendarFeed() in lib/services/calendarFeed.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring calendarFeed.js ---
+
+const FEED_SCOPES = ['user', 'client', 'filter'];
+const DEFAULT_REMINDER_DAYS = [7, 1];
+const FEED_FILTER_KEYS = ['status', 'categories', 'projectTypes', 'stateCode', 'coverageTypes', 'search'];
+const FEED_TEXT_FILTER_KEYS = ['stateCode', 'search'];
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_DAYS = 60;
+const PAST_WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function isDateOnly(date) {
+  const d = new Date(date);
+  return d.getUTCHours() === 0 && d.getUTCMinutes() === 0 && d.getUTCSeconds() === 0;
+}
+
+function buildFeedEvents(opportunities, { reminderDays = DEFAULT_REMINDER_DAYS, now }) {
+  const cutoff = new Date(now.getTime() - PAST_WINDOW_DAYS * DAY_MS);
+  const events = [];
+
+  for (const opportunity of opportunities) {
+    const title = opportunity.title || 'Untitled Opportunity';
+    const rolling = opportunity.application_window_type === 'rolling';
+
+    if (opportunity.open_date && new Date(opportunity.open_date) >= cutoff) {
+      events.push({
+        uid: `${opportunity.id}-open`,
+        summary: `Opens: ${title}`,
+        allDay: true,
+        start: opportunity.open_date,
+        transparent: true,
+        alarms: []
+      });
+    }
+
+    if (rolling) {
+      if (opportunity.close_date && new Date(opportunity.close_date) < cutoff) continue;
+      events.push({
+        uid: `${opportunity.id}-rolling`,
+        summary: opportunity.close_date ? `Rolling program ends: ${title}` : `Rolling program: ${title}`,
+        allDay: true,
+        start: opportunity.close_date || opportunity.open_date || opportunity.created_at || now,
+        rrule: opportunity.close_date ? null : 'FREQ=MONTHLY',
+        transparent: true,
+        alarms: [{ trigger: 'PT9H' }]
+      });
+      continue;
+    }
+
+    if (opportunity.close_date && new Date(opportunity.close_date) >= cutoff) {
+      events.push({
+        uid: `${opportunity.id}-close`,
+        summary: `Deadline: ${title}`,
+        allDay: isDateOnly(opportunity.close_date),
+        start: opportunity.close_date,
+        transparent: false,
+        alarms: reminderDays.map((days) => ({ trigger: days === 0 ? 'PT0M' : `-P${days}D` }))
+      });
+    }
+  }
+
+  return events.sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+function validateCalendarFeed(input, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+  const has = (key) => input?.[key] !== undefined;
+
+  if (has('name')) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) errors.push('name cannot be empty');
+    else if (name.length > 100) errors.push('name must be at most 100 characters');
+    else values.name = name;
+  }
+
+  if (!partial) {
+    if (!FEED_SCOPES.includes(input?.scope)) {
+      errors.push(`scope must be one of: ${FEED_SCOPES.join(', ')}`);
+    } else {
+      values.scope = input.scope;
+      if (input.scope === 'client' && !UUID_PATTERN.test(input.client_id || '')) {
+        errors.push('client_id is required for client feeds');
+      }
+      if (input.scope === 'filter' && !has('filters')) {
+        errors.push('filters are required for filter feeds');
+      }
+      if (input.scope === 'client') values.client_id = input.client_id;
+    }
+  }
+
+  if (has('filters')) {
+    const filters = input.filters;
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      errors.push('filters must be an object');
+    } else {
+      const unknown = Object.keys(filters).filter((key) => !FEED_FILTER_KEYS.includes(key));
+      const malformed = Object.entries(filters).filter(([key, value]) => (
+        FEED_TEXT_FILTER_KEYS.includes(key)
+          ? typeof value !== 'string'
+          : !Array.isArray(value) || value.some((v) => typeof v !== 'string')
+      ));
+      if (unknown.length > 0) {
+        errors.push(`Unknown filters: ${unknown.join(', ')}`);
+      } else if (malformed.length > 0) {
+        errors.push(`Malformed filters: ${malformed.map(([key]) => key).join(', ')}`);
+      } else {
+        values.filters = filters;
+      }
+    }
+  }
+
+  if (has('reminder_days')) {
+    const days = input.reminder_days;
+    if (!Array.isArray(days) || days.some((d) => !Number.isInteger(d) || d < 0 || d > MAX_REMINDER_DAYS)) {
+      errors.push(`reminder_days must be whole numbers from 0 to ${MAX_REMINDER_DAYS}`);
+    } else if (days.length > MAX_REMINDERS) {
+      errors.push(`At most ${MAX_REMINDERS} reminders`);
+    } else {
+      values.reminder_days = [...new Set(days)].sort((a, b) => b - a);
+    }
+  }
+
+  return { values, errors };
+}
+
+// --- Tests ---
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const CLIENT_ID = '6b1f0c2e-4a7d-4e8b-9c3a-1d2e3f4a5b6c';
+
+describe('iCalendar encoding', () => {
+  test('escapes backslashes, separators and newlines in text', () => {
+    expect(escapeIcsText('Solar, Storage; Wind\nLine\\2')).toBe('Solar\\, Storage\\; Wind\\nLine\\\\2');
+    expect(escapeIcsText(null)).toBe('');
+  });
+
+  test('leaves short lines unfolded', () => {
+    expect(foldIcsLine('SUMMARY:Deadline')).toBe('SUMMARY:Deadline');
+  });
+
+  test('folds long lines at 75 octets with space-prefixed continuations', () => {
+    const folded = foldIcsLine(`DESCRIPTION:${'x'.repeat(200)}`);
+    const lines = folded.split('\r\n');
+    expect(lines[0]).toHaveLength(75);
+    expect(lines.slice(1).every((l) => l.startsWith(' ') && Buffer.byteLength(l) <= 75)).toBe(true);
+    expect(lines.map((l, i) => (i === 0 ? l : l.slice(1))).join('')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+  });
+
+  test('never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const lines = foldIcsLine(line).split('\r\n');
+    expect(lines.every((l) => Buffer.byteLength(l) <= 75)).toBe(true);
+    expect(lines.map((l, i) => (i === 0 ? l : l.slice(1))).join('')).toBe(line);
+  });
+});
+
+describe('buildFeedEvents', () => {
+  test('dated opportunity gets an opens event and a deadline with alarms', () => {
+    const events = buildFeedEvents([{
+      id: 'a',
+      title: 'Grid Resilience',
+      open_date: '2026-10-25T00:00:00Z',
+      close_date: '2026-11-30T00:00:00Z',
+      application_window_type: 'dated'
+    }], { now: NOW });
+
+    expect(events.map((e) => e.uid)).toEqual(['a-open', 'a-close']);
+    expect(events[0]).toMatchObject({ allDay: true, transparent: true, alarms: [] });
+    expect(events[1]).toMatchObject({ summary: 'Deadline: Grid Resilience', allDay: true, transparent: false });
+    expect(events[1].alarms.map((a) => a.trigger)).toEqual(['-P7D', '-P1D']);
+  });
+
+  test('deadline with a time of day is a timed event', () => {
+    const [event] = buildFeedEvents([{ id: 'c', title: 'Timed', close_date: '2026-11-05T17:00:00Z' }], { now: NOW });
+    expect(event.allDay).toBe(false);
+  });
+
+  test('reminder on the day uses a zero trigger', () => {
+    const [event] = buildFeedEvents([{ id: 'c', close_date: '2026-11-05T00:00:00Z' }], { now: NOW, reminderDays: [0] });
+    expect(event.alarms).toEqual([{ trigger: 'PT0M' }]);
+    expect(event.summary).toBe('Deadline: Untitled Opportunity');
+  });
+
+  test('rolling program is an all-day reminder, never a hard deadline', () => {
+    const events = buildFeedEvents([{
+      id: 'r',
+      title: 'Efficiency Rebates',
+      close_date: '2026-12-31T00:00:00Z',
+      application_window_type: 'rolling'
+    }], { now: NOW });
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      uid: 'r-rolling',
+      summary: 'Rolling program ends: Efficiency Rebates',
+      allDay: true,
+      transparent: true,
+      rrule: null
+    });
+    expect(events[0].alarms).toEqual([{ trigger: 'PT9H' }]);
+  });
+
+  test('rolling program without a close date repeats monthly', () => {
+    const [event] = buildFeedEvents([{
+      id: 'r',
+      title: 'Open Call',
+      open_date: '2026-01-01T00:00:00Z',
+      close_date: null,
+      application_window_type: 'rolling'
+    }], { now: NOW });
+
+    expect(event).toMatchObject({ summary: 'Rolling program: Open Call', rrule: 'FREQ=MONTHLY', start: '2026-01-01T00:00:00Z' });
+  });
+
+  test('drops deadlines and open dates past the 30-day window', () => {
+    const events = buildFeedEvents([
+      { id: 'old', open_date: '2026-06-01T00:00:00Z', close_date: '2026-09-01T00:00:00Z' },
+      { id: 'recent', close_date: '2026-10-01T00:00:00Z' },
+      { id: 'rolling-ended', close_date: '2026-08-01T00:00:00Z', application_window_type: 'rolling' }
+    ], { now: NOW });
+
+    expect(events.map((e) => e.uid)).toEqual(['recent-close']);
+  });
+
+  test('events are sorted soonest first', () => {
+    const events = buildFeedEvents([
+      { id: 'late', close_date: '2026-12-01T00:00:00Z' },
+      { id: 'early', close_date: '2026-11-01T00:00:00Z' }
+    ], { now: NOW });
+
+    expect(events.map((e) => e.uid)).toEqual(['early-close', 'late-close']);
+  });
+});
+
+describe('validateCalendarFeed', () => {
+  test('requires a known scope on create', () => {
+    expect(validateCalendarFeed({}).errors).toEqual(['scope must be one of: user, client, filter']);
+    expect(validateCalendarFeed({ scope: 'user' })).toEqual({ values: { scope: 'user' }, errors: [] });
+  });
+
+  test('client feeds need a client id', () => {
+    expect(validateCalendarFeed({ scope: 'client' }).errors).toEqual(['client_id is required for client feeds']);
+    expect(validateCalendarFeed({ scope: 'client', client_id: CLIENT_ID }).values.client_id).toBe(CLIENT_ID);
+  });
+
+  test('filter feeds need well-formed filters', () => {
+    expect(validateCalendarFeed({ scope: 'filter' }).errors).toEqual(['filters are required for filter feeds']);
+    expect(validateCalendarFeed({ scope: 'filter', filters: { state: 'CA' } }).errors).toEqual(['Unknown filters: state']);
+    expect(validateCalendarFeed({ scope: 'filter', filters: { status: 'Open' } }).errors).toEqual(['Malformed filters: status']);
+
+    const filters = { status: ['Open', 'Upcoming'], stateCode: 'CA', search: 'solar' };
+    expect(validateCalendarFeed({ scope: 'filter', filters })).toEqual({ values: { scope: 'filter', filters }, errors: [] });
+  });
+
+  test('partial updates skip the scope checks', () => {
+    expect(validateCalendarFeed({ name: '  Deadlines ' }, { partial: true })).toEqual({ values: { name: 'Deadlines' }, errors: [] });
+    expect(validateCalendarFeed({ name: '' }, { partial: true }).errors).toEqual(['name cannot be empty']);
+  });
+
+  test('reminder days are deduplicated, bounded and sorted furthest first', () => {
+    expect(validateCalendarFeed({ reminder_days: [1, 14, 1, 0] }, { partial: true }).values.reminder_days).toEqual([14, 1, 0]);
+    expect(validateCalendarFeed({ reminder_days: [61] }, { partial: true }).errors).toEqual(['reminder_days must be whole numbers from 0 to 60']);
+    expect(validateCalendarFeed({ reminder_days: [1.5] }, { partial: true }).errors).toHaveLength(1);
+    expect(validateCalendarFeed({ reminder_days: [1, 2, 3, 4, 5, 6] }, { partial: true }).errors).toEqual(['At most 5 reminders']);
+  });
+});
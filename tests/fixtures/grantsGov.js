@@ -0,0 +1,217 @@
+/**
+ * Grants.gov API Test Fixtures
+ *
+ * Responses recorded from the Grants.gov search2 and fetchOpportunity
+ * endpoints, trimmed to the fields the grants_gov source adapter reads.
+ * One posted opportunity (synopsis record) and one forecast.
+ */
+
+export const grantsGovSearchResponse = {
+  errorcode: 0,
+  msg: 'Webservice Succeeds',
+  token: 'f2b1a9c4-3c55-4bd0-9c1e-7a9a3c1e2d10',
+  data: {
+    searchParams: {
+      resultType: 'json',
+      searchOnly: false,
+      oppNum: '',
+      cfda: '',
+      sortBy: '',
+      oppStatuses: 'forecasted|posted',
+      startRecordNum: 0,
+      eligibilities: '',
+      fundingInstruments: '',
+      fundingCategories: 'EN|ENV',
+      agencies: '',
+      rows: 25,
+      keyword: '',
+      keywordEncoded: false
+    },
+    hitCount: 2,
+    startRecord: 0,
+    oppHits: [
+      {
+        id: '358123',
+        number: 'DE-FOA-0003500',
+        title: 'Community Microgrid Resilience Program',
+        agencyCode: 'DOE-GFO',
+        agency: 'Golden Field Office',
+        openDate: '03/02/2026',
+        closeDate: '05/15/2026',
+        oppStatus: 'posted',
+        docType: 'synopsis',
+        alnist: ['81.117']
+      },
+      {
+        id: '359870',
+        number: 'USDA-RD-REAP-2027',
+        title: 'Rural Energy for America Program - FY2027',
+        agencyCode: 'USDA-RBCS',
+        agency: 'Rural Business-Cooperative Service',
+        openDate: '09/15/2026',
+        closeDate: '',
+        oppStatus: 'forecasted',
+        docType: 'forecast',
+        alnist: ['10.868']
+      }
+    ],
+    oppStatusOptions: [
+      { label: 'forecasted', value: 'forecasted', count: 1 },
+      { label: 'posted', value: 'posted', count: 1 }
+    ]
+  }
+};
+
+export const grantsGovPostedDetailResponse = {
+  errorcode: 0,
+  msg: 'Webservice Succeeds',
+  token: '0c6f1f2e-8a61-4e0b-a0f5-8d3b0f0c7e21',
+  data: {
+    id: 358123,
+    revision: 0,
+    opportunityNumber: 'DE-FOA-0003500',
+    opportunityTitle: 'Community Microgrid Resilience Program',
+    owningAgencyCode: 'DOE-GFO',
+    listed: 'L',
+    publisherUid: 'doe-gfo-publisher',
+    flag2006: 'N',
+    opportunityCategory: { category: 'D', description: 'Discretionary' },
+    synopsis: {
+      opportunityId: 358123,
+      version: 2,
+      agencyCode: 'DOE-GFO',
+      agencyName: 'Golden Field Office',
+      agencyPhone: '240-562-1800',
+      agencyAddressDesc: 'Golden, CO',
+      agencyDetails: {
+        code: 'DOE-GFO',
+        seed: 'DOE',
+        agencyName: 'Golden Field Office',
+        agencyCode: 'DOE-GFO',
+        topAgencyCode: 'DOE'
+      },
+      topAgencyDetails: {
+        code: 'DOE',
+        seed: 'DOE',
+        agencyName: 'Department of Energy',
+        agencyCode: 'DOE',
+        topAgencyCode: 'DOE'
+      },
+      agencyContactPhone: '240-562-1800',
+      agencyContactName: 'Microgrid Program Team',
+      agencyContactDesc: 'Microgrid Program Team',
+      agencyContactEmail: 'microgrids@ee.doe.gov',
+      agencyContactEmailDesc: 'Program inbox',
+      synopsisDesc: '<p>The Department of Energy seeks applications for community&nbsp;microgrids that keep critical facilities powered during grid outages.</p><p>Projects must serve at least one public facility.</p>',
+      responseDate: 'May 15, 2026 05:00:00 PM EDT',
+      responseDateDesc: 'Applications due by 5 PM Eastern',
+      fundingDescLinkUrl: 'https://www.energy.gov/microgrids',
+      postingDate: 'Mar 02, 2026 12:00:00 AM EST',
+      archiveDate: 'Jun 14, 2026 12:00:00 AM EDT',
+      costSharing: true,
+      awardCeiling: '2000000',
+      awardCeilingFormatted: '2,000,000',
+      awardFloor: '500000',
+      awardFloorFormatted: '500,000',
+      estimatedFunding: '15000000',
+      estimatedFundingFormatted: '15,000,000',
+      numberOfAwards: '10',
+      applicantEligibilityDesc: 'Units of local government &amp; tribal nations.',
+      createdDate: 'Feb 27, 2026 10:41:12 AM EST',
+      lastUpdatedDate: 'Mar 02, 2026 09:15:31 AM EST',
+      applicantTypes: [
+        { id: '01', description: 'County governments' },
+        { id: '02', description: 'City or township governments' },
+        { id: '07', description: 'Native American tribal governments (Federally recognized)' }
+      ],
+      fundingInstruments: [
+        { id: 'CA', description: 'Cooperative Agreement' },
+        { id: 'G', description: 'Grant' }
+      ],
+      fundingActivityCategories: [
+        { id: 'EN', description: 'Energy' },
+        { id: 'IIJ', description: 'Infrastructure Investment and Jobs Act (IIJA)' }
+      ],
+      responseDateStr: '2026-05-15-17-00-00',
+      postingDateStr: '2026-03-02-00-00-00',
+      archiveDateStr: '2026-06-14-00-00-00',
+      createTimeStr: '2026-02-27-10-41-12'
+    },
+    cfdas: [
+      { id: 401223, opportunityId: 358123, cfdaNumber: '81.117', programTitle: 'Energy Efficiency and Renewable Energy Information Dissemination' }
+    ],
+    synopsisAttachmentFolders: [],
+    synopsisDocumentURLs: [],
+    synAttChangeComments: [],
+    forecastHistCount: 0,
+    synopsisHistCount: 1
+  }
+};
+
+export const grantsGovForecastDetailResponse = {
+  errorcode: 0,
+  msg: 'Webservice Succeeds',
+  token: '5d9e0a77-1b2c-4f3e-9a8b-6c7d8e9f0a1b',
+  data: {
+    id: 359870,
+    revision: 0,
+    opportunityNumber: 'USDA-RD-REAP-2027',
+    opportunityTitle: 'Rural Energy for America Program - FY2027',
+    owningAgencyCode: 'USDA-RBCS',
+    listed: 'L',
+    opportunityCategory: { category: 'M', description: 'Mandatory' },
+    forecast: {
+      opportunityId: 359870,
+      version: 1,
+      agencyCode: 'USDA-RBCS',
+      agencyName: 'Rural Business-Cooperative Service',
+      agencyContactName: 'REAP Coordinator',
+      agencyContactPhone: '',
+      agencyContactEmail: 'reap@usda.gov',
+      forecastDesc: 'Guaranteed loans and grants for renewable energy systems and energy efficiency improvements.',
+      estSynopsisPostingDate: 'Dec 01, 2026 12:00:00 AM EST',
+      estApplicationResponseDate: 'Mar 31, 2027 12:00:00 AM EDT',
+      estSynopsisPostingDateStr: '2026-12-01-00-00-00',
+      estApplicationResponseDateStr: '2027-03-31-00-00-00',
+      fiscalYear: 2027,
+      costSharing: false,
+      awardCeiling: 'none',
+      awardFloor: '0',
+      estimatedFunding: '5000000',
+      numberOfAwards: '',
+      applicantEligibilityDesc: '',
+      createdDate: 'Sep 15, 2026 02:03:04 PM EDT',
+      lastUpdatedDate: 'Sep 15, 2026 02:03:04 PM EDT',
+      applicantTypes: [
+        { id: '99', description: 'Unrestricted (i.e., open to any type of entity above), subject to any clarification in text field entitled "Additional Information on Eligibility"' }
+      ],
+      fundingInstruments: [
+        { id: 'G', description: 'Grant' }
+      ],
+      fundingActivityCategories: [
+        { id: 'AG', description: 'Agriculture' },
+        { id: 'EN', description: 'Energy' }
+      ]
+    },
+    cfdas: [
+      { id: 402871, opportunityId: 359870, cfdaNumber: '10.868', programTitle: 'Rural Energy for America Program' }
+    ],
+    synopsisAttachmentFolders: [],
+    forecastHistCount: 0,
+    synopsisHistCount: 0
+  }
+};
+
+export const grantsGovErrorResponse = {
+  errorcode: 1,
+  msg: 'Invalid opportunityId',
+  token: '9a8b7c6d-5e4f-4a3b-2c1d-0e9f8a7b6c5d',
+  data: {}
+};
+
+/**
+ * A search hit merged with its detail record, as fetchSourceData() returns it
+ */
+export function withGrantsGovDetail(hit, detailResponse) {
+  return { ...hit, detail: detailResponse.data, detailResponseId: null };
+}
@@ -41,6 +41,23 @@ export {
   getDeadlinesSortedByUrgency,
 } from './deadlines.js';
 
+export {
+  grantsGovSearchResponse,
+  grantsGovPostedDetailResponse,
+  grantsGovForecastDetailResponse,
+  grantsGovErrorResponse,
+  withGrantsGovDetail,
+} from './grantsGov.js';
+
+export {
+  rssFeed,
+  atomFeed,
+  rdfFeed,
+  programsXml,
+  programsCsv,
+  programsTsv,
+} from './responseFormats.js';
+
 /**
  * Create a complete test database with all fixtures
  */
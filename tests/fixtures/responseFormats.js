@@ -0,0 +1,92 @@
+/**
+ * Response Format Test Fixtures
+ *
+ * Program list bodies in the non-JSON formats response_config.format accepts,
+ * shaped like the feeds and exports state energy offices and utilities publish.
+ */
+
+export const rssFeed = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>State Energy Office - Funding Opportunities</title>
+    <link>https://energy.example.gov/funding</link>
+    <description>Open solicitations</description>
+    <item>
+      <title>Clean Energy Schools Grant</title>
+      <link>https://energy.example.gov/funding/clean-energy-schools</link>
+      <guid isPermaLink="false">seo-2026-014</guid>
+      <pubDate>Mon, 02 Mar 2026 14:00:00 GMT</pubDate>
+      <description><![CDATA[<p>Grants up to $250,000 for K-12 solar &amp; storage.</p>]]></description>
+      <content:encoded><![CDATA[<p>Applications due May 1, 2026.</p>]]></content:encoded>
+      <category>Schools</category>
+      <category>Solar</category>
+      <dc:creator>Grants Team</dc:creator>
+    </item>
+    <item>
+      <title>Municipal Fleet Electrification</title>
+      <link>https://energy.example.gov/funding/fleet</link>
+      <pubDate>Fri, 13 Feb 2026 09:30:00 GMT</pubDate>
+      <description>Rebates for EV fleet purchases by local governments.</description>
+    </item>
+  </channel>
+</rss>`;
+
+export const atomFeed = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Utility Rebate Programs</title>
+  <link rel="self" href="https://utility.example.com/programs.atom"/>
+  <link rel="alternate" href="https://utility.example.com/programs"/>
+  <updated>2026-03-01T12:00:00Z</updated>
+  <entry>
+    <id>urn:uuid:1f3c7a2e-0b9d-4c55-8f0e-6a1b2c3d4e5f</id>
+    <title type="text">Commercial HVAC Rebate</title>
+    <link rel="alternate" href="https://utility.example.com/programs/hvac"/>
+    <published>2026-01-15T08:00:00Z</published>
+    <updated>2026-02-20T16:45:00Z</updated>
+    <summary type="html">Up to $500 per ton for high-efficiency units.</summary>
+    <author><name>Energy Efficiency Team</name></author>
+    <category term="HVAC"/>
+    <category term="Commercial"/>
+  </entry>
+</feed>`;
+
+export const rdfFeed = `<?xml version="1.0"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel rdf:about="https://county.example.gov/grants.rdf">
+    <title>County Grants</title>
+    <link>https://county.example.gov/grants</link>
+  </channel>
+  <item rdf:about="https://county.example.gov/grants/water">
+    <title>Water Conservation Grant</title>
+    <link>https://county.example.gov/grants/water</link>
+    <description>Matching grants for irrigation upgrades.</description>
+    <dc:date>2026-02-01</dc:date>
+  </item>
+</rdf:RDF>`;
+
+export const programsXml = `<?xml version="1.0" encoding="UTF-8"?>
+<response>
+  <meta><total>2</total></meta>
+  <programs>
+    <program id="P-100" status="open">
+      <name>Building Retrofit Incentive</name>
+      <zip>00501</zip>
+      <maxAward>150000</maxAward>
+      <eligible><type>City Government</type><type>County Government</type></eligible>
+    </program>
+    <program id="P-101" status="upcoming">
+      <name>Rural Microgrid Pilot</name>
+      <zip>59001</zip>
+      <maxAward>2000000</maxAward>
+      <eligible><type>Tribal Governments</type></eligible>
+    </program>
+  </programs>
+</response>`;
+
+export const programsCsv = '﻿Program Name,Deadline,Max Award,Notes\r\n'
+  + 'Solar for Schools,2026-05-01,250000,"K-12 only, public districts"\r\n'
+  + '"Fleet ""EV"" Rebates",2026-06-30,75000,"Covers vehicles\nand chargers"\r\n'
+  + '\r\n'
+  + 'Heat Pump Pilot,,10000,\r\n';
+
+export const programsTsv = 'name\tzip\nRetrofit Incentive\t00501\n';
@@ -0,0 +1,776 @@
+/**
+ * Pipeline: Grants.gov Source Adapter Tests
+ *
+ * Tests the grants_gov adapter against recorded search2/fetchOpportunity responses:
+ * - Building the search2 body from the source's request_body configuration
+ * - Reading hits and the hit count from a search response
+ * - Parsing Grants.gov date formats
+ * - Deterministic mapping of posted and forecast records to the extraction schema
+ * - Mapping from the search hit alone when the detail call failed
+ * - Keyword mapping of project types and activities, with activities implied
+ *   by funding categories
+ *
+ * Mirrors buildSearchBody(), normalize(), parseGrantsGovDate() and mapOpportunity()
+ * in lib/agents-v2/core/sourceAdapters/grantsGov.js, matchTaxonomyKeywords() in
+ * sourceAdapters/taxonomyKeywords.js and mapSourceOpportunities() in
+ * sourceAdapters/index.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  grantsGovSearchResponse,
+  grantsGovPostedDetailResponse,
+  grantsGovForecastDetailResponse,
+  withGrantsGovDetail,
+} from '../../fixtures/grantsGov.js';
+
+// --- Inline keyword rules mirroring taxonomyKeywords.js ---
+
+// [pattern, taxonomy terms] → TAXONOMIES.ELIGIBLE_PROJECT_TYPES
+const PROJECT_TYPE_KEYWORDS = [
+  // Building systems
+  [/\bHVAC\b|\bheating,? (?:and )?ventilation\b|\bair[- ]conditioning\b/i, ['HVAC Systems']],
+  [/\bheat pumps?\b/i, ['Heat Pump Systems']],
+  [/\bboilers?\b/i, ['Boiler Systems']],
+  [/\bchillers?\b/i, ['Chiller Systems']],
+  [/\bair filtration\b/i, ['Building Air Filtration Systems']],
+  [/\blighting\b/i, ['Lighting Systems']],
+  [/\bLED (?:lighting|lights|fixtures|retrofits?)\b/, ['LED Lighting Upgrades']],
+  [/\bstreet ?light(?:s|ing)?\b/i, ['Street Lighting']],
+  [/\bplumbing\b/i, ['Plumbing Systems']],
+  [/\belectrical (?:systems?|infrastructure|upgrades?)\b/i, ['Electrical Systems']],
+  [/\b(?:electrical|electric) panels?\b|\bpanel upgrades?\b/i, ['Electrical Panel Upgrades']],
+  [/\b(?:EV|electric vehicle) (?:charging|chargers?)\b|\bcharging (?:stations?|infrastructure)\b/i, ['EV Charging Stations']],
+  [/\bsecurity (?:systems|cameras|equipment|enhancements)\b|\bsurveillance systems?\b|\baccess control\b/i, ['Security Systems']],
+  [/\bbuilding (?:automation|controls?|management systems?)\b|\bsmart thermostats?\b/i, ['Building Controls']],
+  [/\brefrigeration\b/i, ['Refrigeration Systems']],
+  [/\bwater heaters?\b/i, ['Water Heater Systems']],
+
+  // Building envelope
+  [/\broof(?:s|ing)?\b/i, ['Roofing']],
+  [/\bwindows\b|\bwindow replacements?\b/i, ['Windows']],
+  [/\binsulation\b/i, ['Insulation']],
+  [/\bweatheriz(?:ation|e|ing)\b/i, ['Weatherization']],
+
+  // Energy infrastructure
+  [/\bsolar\b|\bphotovoltaic\b/i, ['Solar Panel Systems']],
+  [/\bwind (?:turbines?|energy|power)\b/i, ['Wind Turbines']],
+  [/\b(?:battery|energy) storage\b/i, ['Battery Storage Systems']],
+  [/\bgeothermal\b/i, ['Geothermal Systems']],
+  [/\bmicro-?grids?\b/i, ['Microgrids']],
+  [/\bfuel cells?\b/i, ['Fuel Cells']],
+  [/\brenewable energy (?:systems?|projects?|installations?)\b/i, ['Solar Panel Systems', 'Wind Turbines', 'Geothermal Systems']],
+  [/\bcogeneration\b|\bcombined heat and power\b/i, ['Cogeneration Systems']],
+  [/\bbackup (?:power|generators?)\b|\bemergency generators?\b/i, ['Emergency Backup Power Systems']],
+
+  // Water infrastructure
+  [/\bdrinking water\b|\bwater (?:systems?|treatment|distribution|infrastructure)\b/i, ['Drinking Water Infrastructure']],
+  [/\bwater meter(?:s|ing)?\b/i, ['Water Metering Systems']],
+  [/\bwater (?:storage )?tanks?\b/i, ['Water Storage Tanks']],
+  [/\bwastewater\b/i, ['Wastewater Infrastructure']],
+  [/\bsewers?\b|\bsewage\b/i, ['Sewer Systems']],
+  [/\bstorm ?water\b/i, ['Stormwater Infrastructure']],
+
+  // Facilities
+  [/\bdata centers?\b/i, ['Data Centers']],
+  [/\bsprinkler systems?\b|\bfire (?:suppression|alarm)\b/i, ['Fire Suppression Systems']],
+  [/\belevators?\b/i, ['Elevators']],
+  [/\bschool (?:facilities|buildings?|construction)\b|\bclassrooms?\b/i, ['Classroom Facilities']],
+  [/\bcommercial kitchens?\b|\bkitchen facilities\b/i, ['Kitchen Facilities']],
+  [/\bcommunity (?:centers?|facilities)\b/i, ['Community Center Facilities']],
+  [/\blibrar(?:y|ies) (?:facilities|buildings?|construction)\b/i, ['Library Facilities']],
+  [/\bhospitals?\b|\bhealth ?care facilities\b|\bhealth clinics?\b/i, ['Healthcare Facilities']],
+  [/\bstudent housing\b|\bdormitor(?:y|ies)\b/i, ['Student Housing']],
+  [/\bADA\b|\baccessibility improvements?\b/, ['ADA Accessibility Improvements']],
+
+  // Grounds and remediation
+  [/\bplaygrounds?\b/i, ['Playgrounds']],
+  [/\b(?:athletic|sports?) fields?\b/i, ['Athletic Fields']],
+  [/\blandscaping\b/i, ['Landscaping']],
+  [/\basbestos\b/i, ['Asbestos Abatement']],
+  [/\blead(?:-based)? paint\b/i, ['Lead Paint Remediation']],
+  [/\bbrownfields?\b/i, ['Brownfield Remediation']],
+
+  // Transportation
+  [/\broads?\b|\broadways?\b|\bhighways?\b/i, ['Roads']],
+  [/\bbridges\b|\bbridge (?:repair|replacement|rehabilitation|construction)\b/i, ['Bridges']],
+  [/\bsidewalks?\b/i, ['Sidewalks']],
+  [/\b(?:bike|bicycle) lanes?\b/i, ['Bike Lanes']],
+  [/\b(?:bike|bicycle) (?:paths?|trails?)\b/i, ['Bike Paths']],
+  [/\bparking lots?\b/i, ['Parking Lots']],
+  [/\bparking (?:structures?|garages?)\b/i, ['Parking Structures']],
+  [/\btraffic signals?\b/i, ['Traffic Signals']],
+  [/\bbus shelters?\b/i, ['Bus Shelters']],
+  [/\b(?:rail|railroad|railway) (?:infrastructure|lines?|crossings?|corridors?|stations?)\b|\bpassenger rail\b/i, ['Rail Infrastructure']],
+  [/\bfleet vehicles?\b/i, ['Fleet Vehicles']],
+  [/\belectric (?:school )?bus(?:es)?\b|\bzero[- ]emission (?:vehicles?|buses|fleets?)\b/i, ['EV Fleet']],
+  [/\bairports?\b/i, ['Airports']],
+  [/\bports?\b/i, ['Ports']],
+  [/\bharbou?rs?\b/i, ['Harbors']],
+
+  // Public safety and resilience
+  [/\bfire stations?\b/i, ['Fire Stations']],
+  [/\bpolice stations?\b/i, ['Police Stations']],
+  [/\bemergency operations? centers?\b/i, ['Emergency Operations Centers']],
+  [/\bfire (?:trucks?|engines?|apparatus)\b/i, ['Fire Trucks']],
+  [/\bambulances?\b/i, ['Ambulances']],
+  [/\bflood (?:barriers?|walls?|control|protection)\b|\blevees?\b/i, ['Flood Barriers']],
+  [/\bextreme heat\b|\bheat resilience\b|\bcool (?:roofs?|pavements?)\b/i, ['Heat Resilience Infrastructure']],
+  [/\bcooling centers?\b/i, ['Cooling Centers']],
+  [/\burban (?:greening|forestry|tree canopy)\b|\bgreen roofs?\b|\btree planting\b/i, ['Urban Greening']],
+  [/\bpark (?:facilities|improvements?)\b|\brecreation(?:al)? facilities\b/i, ['Recreational Park Facilities']]
+];
+
+// [pattern, taxonomy terms] → TAXONOMIES.ELIGIBLE_ACTIVITIES
+const ACTIVITY_KEYWORDS = [
+  [/\bnew construction\b|\bconstruct(?:ion|ing)?\b/i, ['New Construction']],
+  [/\brenovat(?:e|es|ed|ing|ion|ions)\b|\brehabilitat(?:e|es|ed|ing|ion)\b/i, ['Renovation']],
+  [/\bmoderniz(?:e|es|ed|ing|ation)\b/i, ['Modernization']],
+  [/\binstall(?:s|ed|ing|ation|ations)?\b/i, ['Installation']],
+  [/\breplac(?:e|es|ed|ing|ement|ements)\b/i, ['Replacement']],
+  [/\bupgrad(?:e|es|ed|ing)\b|\benergy efficiency (?:improvements?|measures?)\b/i, ['Upgrade']],
+  [/\brepair(?:s|ed|ing)?\b/i, ['Repair']],
+  [/\bretrofit(?:s|ted|ting)?\b/i, ['Retrofit']],
+  [/\benergy (?:audits?|assessments?)\b/i, ['Energy Audits']],
+  [/\bsite prep(?:aration)?\b/i, ['Site Preparation']],
+  [/\bmaintenance\b/i, ['Maintenance']],
+  [/\bdemoli(?:sh|shing|tion)\b/i, ['Demolition']],
+  [/\b(?:engineering|project|final|preliminary) design\b|\bdesign (?:and|&) (?:engineering|construction)\b/i, ['Design']],
+  [/\barchitectur(?:e|al)\b/i, ['Architecture']],
+  [/\bengineering\b/i, ['Engineering']],
+  [/\bplanning\b/i, ['Planning']],
+  [/\bfeasibility\b/i, ['Feasibility Studies']],
+  [/\benvironmental (?:assessments?|reviews?|impact)\b/i, ['Environmental Assessment']],
+  [/\bproject management\b/i, ['Project Management']],
+  [/\binspections?\b/i, ['Inspection']],
+  [/\b(?:purchase|acquisition|procurement) of (?:\w+ )?equipment\b|\bequipment (?:purchases?|acquisition|procurement)\b/i, ['Equipment Purchase']],
+  [/\btraining\b/i, ['Training']],
+  [/\btechnical assistance\b/i, ['Technical Assistance']],
+  [/\boutreach\b/i, ['Community Outreach']],
+  [/\bresearch\b/i, ['Research']],
+  [/\bpilot (?:programs?|projects?)\b/i, ['Pilot Programs']],
+  [/\bland acquisition\b|\bacquisition of (?:land|real property)\b/i, ['Land Acquisition']]
+];
+
+function matchTaxonomyKeywords(text, rules) {
+  if (!text) return [];
+
+  const terms = rules
+    .filter(([pattern]) => pattern.test(text))
+    .flatMap(([, ruleTerms]) => ruleTerms);
+  return [...new Set(terms)];
+}
+
+// --- Inline functions mirroring grantsGov.js ---
+
+const GRANTS_GOV_OPPORTUNITY_URL = 'https://www.grants.gov/search-results-detail/';
+
+const SEARCH_PARAMS = [
+  'keyword',
+  'oppNum',
+  'aln',
+  'agencies',
+  'eligibilities',
+  'fundingCategories',
+  'fundingInstruments',
+  'oppStatuses'
+];
+
+const DEFAULT_OPP_STATUSES = 'forecasted|posted';
+
+// Grants.gov eligibility codes → TAXONOMIES.ELIGIBLE_APPLICANTS
+const APPLICANT_TYPES = {
+  '00': ['State Governments'],
+  '01': ['County Government'],
+  '02': ['City Government', 'Township Government'],
+  '04': ['Special Districts'],
+  '05': ['K-12 School Districts'],
+  '06': ['Institutions of Higher Education'],
+  '07': ['Tribal Governments'],
+  '08': ['Public Housing Authorities'],
+  '11': ['Other Nonprofits'],
+  '12': ['Nonprofit Organizations 501(c)(3)'],
+  '13': ['Other Nonprofits'],
+  '20': ['Institutions of Higher Education'],
+  '21': ['Individuals'],
+  '22': ['For-Profit Businesses', 'Large Enterprises'],
+  '23': ['Small/Medium Businesses (SMB)']
+};
+// 99 is "Unrestricted": every applicant type above
+const UNRESTRICTED_APPLICANT_TYPE = '99';
+
+// Grants.gov funding activity categories → TAXONOMIES.CATEGORIES
+const CATEGORIES = {
+  ACA: 'Healthcare',
+  AG: 'Agriculture',
+  AR: 'Arts & Culture',
+  BC: 'Economic Development',
+  CD: 'Community Development',
+  DPR: 'Disaster Recovery',
+  ED: 'Education',
+  ELT: 'Workforce Development',
+  EN: 'Energy',
+  ENV: 'Environment',
+  FN: 'Food Systems',
+  HL: 'Healthcare',
+  HO: 'Housing',
+  HU: 'Arts & Culture',
+  IIJ: 'Infrastructure',
+  ISS: 'Human Services',
+  LJL: 'Public Safety',
+  NR: 'Conservation',
+  RD: 'Economic Development',
+  ST: 'Science & Technology',
+  T: 'Transportation'
+};
+
+// Grants.gov funding activity categories → TAXONOMIES.ELIGIBLE_ACTIVITIES,
+// for records whose text names project types but no activity
+const CATEGORY_ACTIVITIES = {
+  CD: ['New Construction', 'Renovation'],
+  DPR: ['Repair', 'New Construction'],
+  EN: ['Installation'],
+  HO: ['New Construction', 'Renovation'],
+  IIJ: ['New Construction', 'Upgrade'],
+  T: ['New Construction', 'Repair']
+};
+
+// Grants.gov funding instruments → TAXONOMIES.FUNDING_TYPES
+const FUNDING_TYPES = {
+  G: 'Grant',
+  CA: 'Cooperative Agreement',
+  PC: 'Contract'
+};
+
+const STATUSES = {
+  posted: 'open',
+  forecasted: 'upcoming',
+  closed: 'closed',
+  archived: 'closed'
+};
+
+// opportunityCategory.category → awardProcess
+const AWARD_PROCESSES = {
+  D: 'competitive',
+  M: 'formula-based'
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function buildSearchBody(instructions, page, pageSize) {
+  const config = instructions.requestBody || {};
+  const body = {};
+
+  for (const param of SEARCH_PARAMS) {
+    const value = config[param];
+    const text = Array.isArray(value)
+      ? value.map(v => String(v).trim()).filter(Boolean).join('|')
+      : typeof value === 'string' ? value.trim() : '';
+    if (text) body[param] = text;
+  }
+
+  body.oppStatuses = body.oppStatuses || DEFAULT_OPP_STATUSES;
+  body.rows = pageSize;
+  body.startRecordNum = (instructions.paginationConfig?.startOffset || 0) + (page - 1) * pageSize;
+
+  return body;
+}
+
+function normalize(response) {
+  return {
+    items: response?.data?.oppHits || [],
+    totalFound: response?.data?.hitCount ?? null
+  };
+}
+
+function parseGrantsGovDate(value, { withTime = false } = {}) {
+  if (!value || typeof value !== 'string') return null;
+  const text = value.trim();
+  let parts = null;
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:-(\d{2})-(\d{2})-(\d{2}))?$/);
+  if (match) {
+    parts = [match[1], match[2], match[3], match[4] || '00', match[5] || '00', match[6] || '00'];
+  }
+
+  match = !parts && text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (match) {
+    parts = [match[3], match[1], match[2], '00', '00', '00'];
+  }
+
+  match = !parts && text.match(/^([A-Z][a-z]{2}) (\d{1,2}), (\d{4})(?: (\d{1,2}):(\d{2}):(\d{2}) (AM|PM))?/);
+  if (match && MONTHS.includes(match[1])) {
+    let hour = Number(match[4] || 0) % 12;
+    if (match[7] === 'PM') hour += 12;
+    parts = [
+      match[3],
+      String(MONTHS.indexOf(match[1]) + 1).padStart(2, '0'),
+      match[2].padStart(2, '0'),
+      String(hour).padStart(2, '0'),
+      match[5] || '00',
+      match[6] || '00'
+    ];
+  }
+
+  if (!parts) return null;
+  const [year, month, day, hour, minute, second] = parts;
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+
+  return withTime
+    ? `${year}-${month}-${day}T${hour}:${minute}:${second}Z`
+    : `${year}-${month}-${day}`;
+}
+
+function parseAmount(value) {
+  if (value === null || value === undefined) return null;
+  const amount = Number(String(value).replace(/[$,]/g, ''));
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+function stripHtml(html) {
+  if (!html) return '';
+  return String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function mapProjectTypesAndActivities(text, fundingActivityCategories) {
+  const eligibleProjectTypes = matchTaxonomyKeywords(text, PROJECT_TYPE_KEYWORDS);
+  let eligibleActivities = matchTaxonomyKeywords(text, ACTIVITY_KEYWORDS);
+
+  if (eligibleProjectTypes.length > 0 && eligibleActivities.length === 0) {
+    const implied = (fundingActivityCategories || []).flatMap(category => CATEGORY_ACTIVITIES[category.id] || []);
+    eligibleActivities = [...new Set(implied)];
+  }
+
+  return { eligibleProjectTypes, eligibleActivities };
+}
+
+function mapApplicantTypes(applicantTypes) {
+  const codes = (applicantTypes || []).map(type => String(type.id));
+  const mapped = codes.includes(UNRESTRICTED_APPLICANT_TYPE)
+    ? Object.values(APPLICANT_TYPES).flat()
+    : codes.flatMap(code => APPLICANT_TYPES[code] || []);
+  return [...new Set(mapped)];
+}
+
+function mapCategories(fundingActivityCategories) {
+  const mapped = (fundingActivityCategories || [])
+    .map(category => CATEGORIES[category.id])
+    .filter(Boolean);
+  return [...new Set(mapped)];
+}
+
+function mapOpportunity(item) {
+  const detail = item.detail || null;
+  // Forecasts carry their dates and amounts on `forecast` instead of `synopsis`
+  const record = detail?.synopsis || detail?.forecast || {};
+  const isForecast = !detail?.synopsis && Boolean(detail?.forecast);
+
+  const id = String(detail?.id ?? item.id);
+  const title = detail?.opportunityTitle || item.title;
+  if (!title) {
+    throw new Error(`Grants.gov opportunity ${id} has no title`);
+  }
+
+  const descriptionText = stripHtml(record.synopsisDesc || record.forecastDesc);
+  const eligibilityText = stripHtml(record.applicantEligibilityDesc);
+  const description = [
+    descriptionText,
+    eligibilityText && `Eligibility: ${eligibilityText}`
+  ].filter(Boolean).join('\n\n') || title;
+
+  const { eligibleProjectTypes, eligibleActivities } = mapProjectTypesAndActivities(
+    [title, descriptionText, record.fundingActivityCategoryDesc].filter(Boolean).join('\n'),
+    record.fundingActivityCategories
+  );
+
+  // A forecast's search hit dates are when the forecast was posted, so only
+  // its estimated dates are used
+  const hitDates = item.oppStatus !== 'forecasted';
+  const openDate = isForecast
+    ? parseGrantsGovDate(record.estSynopsisPostingDateStr)
+    : parseGrantsGovDate(record.postingDateStr)
+      || parseGrantsGovDate(record.postingDate)
+      || (hitDates ? parseGrantsGovDate(item.openDate) : null);
+  const closeDate = isForecast
+    ? parseGrantsGovDate(record.estApplicationResponseDateStr)
+    : parseGrantsGovDate(record.responseDateStr)
+      || parseGrantsGovDate(record.responseDate)
+      || (hitDates ? parseGrantsGovDate(item.closeDate) : null);
+
+  const fundingTypes = (record.fundingInstruments || [])
+    .map(instrument => FUNDING_TYPES[instrument.id])
+    .filter(Boolean);
+
+  const opportunityNumber = detail?.opportunityNumber || item.number;
+  const assistanceListings = (detail?.cfdas || []).map(cfda => cfda.cfdaNumber).filter(Boolean);
+  const numberOfAwards = parseAmount(record.numberOfAwards);
+  const notes = [
+    opportunityNumber && `Opportunity number: ${opportunityNumber}`,
+    assistanceListings.length > 0 && `Assistance listings: ${assistanceListings.join(', ')}`,
+    numberOfAwards && `Expected number of awards: ${numberOfAwards}`
+  ].filter(Boolean).join('\n') || null;
+
+  return {
+    id,
+    title,
+    description,
+    fundingType: fundingTypes[0] || null,
+    incentiveStructure: null,
+    funding_source: {
+      name: record.agencyDetails?.agencyName || record.agencyName || item.agency || item.agencyName || 'Grants.gov',
+      type: 'Federal',
+      website: null,
+      contact_email: record.agencyContactEmail || null,
+      contact_phone: record.agencyContactPhone || null,
+      description: null
+    },
+    totalFundingAvailable: parseAmount(record.estimatedFunding),
+    minimumAward: parseAmount(record.awardFloor),
+    maximumAward: parseAmount(record.awardCeiling),
+    notes,
+    openDate,
+    closeDate,
+    eligibleApplicants: mapApplicantTypes(record.applicantTypes),
+    eligibleProjectTypes,
+    eligibleActivities,
+    eligibleLocations: [],
+    url: `${GRANTS_GOV_OPPORTUNITY_URL}${id}`,
+    matchingRequired: record.costSharing === true || record.costSharing === 'Y',
+    matchingPercentage: null,
+    categories: mapCategories(record.fundingActivityCategories),
+    tags: [],
+    status: STATUSES[item.oppStatus] || (isForecast ? 'upcoming' : 'open'),
+    isNational: true,
+    disbursementType: null,
+    awardProcess: AWARD_PROCESSES[detail?.opportunityCategory?.category] || null,
+    api_updated_at: parseGrantsGovDate(record.lastUpdatedDate, { withTime: true })
+  };
+}
+
+function mapSourceOpportunities(items) {
+  const opportunities = [];
+  const challenges = [];
+
+  (items || []).forEach((item, index) => {
+    try {
+      const opportunity = mapOpportunity(item);
+      if (opportunity) {
+        opportunities.push(opportunity);
+      } else {
+        challenges.push(`Item ${index + 1}: not an opportunity`);
+      }
+    } catch (error) {
+      challenges.push(`Item ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return {
+    opportunities,
+    extractionMetrics: {
+      totalFound: items?.length || 0,
+      successfullyExtracted: opportunities.length,
+      challenges,
+      totalTokens: 0,
+      totalApiCalls: 0,
+      deterministicMapping: true
+    },
+    totalExtracted: opportunities.length
+  };
+}
+
+const [postedHit, forecastHit] = grantsGovSearchResponse.data.oppHits;
+const posted = withGrantsGovDetail(postedHit, grantsGovPostedDetailResponse);
+const forecast = withGrantsGovDetail(forecastHit, grantsGovForecastDetailResponse);
+
+// --- Tests ---
+
+describe('Grants.gov Adapter', () => {
+
+  describe('buildSearchBody', () => {
+    test('maps configured search parameters and pages by startRecordNum', () => {
+      const instructions = {
+        requestBody: {
+          agencies: ['DOE', 'USDA'],
+          eligibilities: '01|02',
+          fundingCategories: ['EN', 'ENV'],
+          oppStatuses: 'posted'
+        }
+      };
+
+      expect(buildSearchBody(instructions, 3, 25)).toEqual({
+        agencies: 'DOE|USDA',
+        eligibilities: '01|02',
+        fundingCategories: 'EN|ENV',
+        oppStatuses: 'posted',
+        rows: 25,
+        startRecordNum: 50
+      });
+    });
+
+    test('defaults oppStatuses to forecasted and posted', () => {
+      expect(buildSearchBody({}, 1, 10)).toEqual({
+        oppStatuses: 'forecasted|posted',
+        rows: 10,
+        startRecordNum: 0
+      });
+    });
+
+    test('drops empty values and ignores unknown keys', () => {
+      const body = buildSearchBody({
+        requestBody: { keyword: '  ', agencies: ['', ' DOE '], rows: 500, sortBy: 'openDate|desc' }
+      }, 1, 10);
+
+      expect(body).toEqual({ agencies: 'DOE', oppStatuses: 'forecasted|posted', rows: 10, startRecordNum: 0 });
+    });
+
+    test('adds the pagination start offset', () => {
+      const body = buildSearchBody({ paginationConfig: { startOffset: 100 } }, 2, 25);
+      expect(body.startRecordNum).toBe(125);
+    });
+  });
+
+  describe('normalize', () => {
+    test('reads hits and hit count from a search2 response', () => {
+      const { items, totalFound } = normalize(grantsGovSearchResponse);
+      expect(items).toHaveLength(2);
+      expect(items[0].id).toBe('358123');
+      expect(totalFound).toBe(2);
+    });
+
+    test('handles a response without data', () => {
+      expect(normalize({ errorcode: 0 })).toEqual({ items: [], totalFound: null });
+    });
+  });
+
+  describe('parseGrantsGovDate', () => {
+    test.each([
+      ['2026-05-15-17-00-00', '2026-05-15'],
+      ['2026-05-15', '2026-05-15'],
+      ['05/15/2026', '2026-05-15'],
+      ['May 15, 2026 05:00:00 PM EDT', '2026-05-15'],
+      ['Mar 2, 2026', '2026-03-02']
+    ])('parses %s', (value, expected) => {
+      expect(parseGrantsGovDate(value)).toBe(expected);
+    });
+
+    test('returns a timestamp with withTime', () => {
+      expect(parseGrantsGovDate('Mar 02, 2026 09:15:31 AM EST', { withTime: true })).toBe('2026-03-02T09:15:31Z');
+      expect(parseGrantsGovDate('Sep 15, 2026 12:03:04 PM EDT', { withTime: true })).toBe('2026-09-15T12:03:04Z');
+      expect(parseGrantsGovDate('Sep 15, 2026 12:03:04 AM EDT', { withTime: true })).toBe('2026-09-15T00:03:04Z');
+    });
+
+    test.each(['', null, undefined, 'TBD', '13/01/2026', 'Foo 01, 2026'])('returns null for %s', (value) => {
+      expect(parseGrantsGovDate(value)).toBeNull();
+    });
+  });
+
+  describe('mapOpportunity - posted synopsis', () => {
+    const opportunity = mapOpportunity(posted);
+
+    test('maps identity, status and url', () => {
+      expect(opportunity.id).toBe('358123');
+      expect(opportunity.title).toBe('Community Microgrid Resilience Program');
+      expect(opportunity.status).toBe('open');
+      expect(opportunity.url).toBe('https://www.grants.gov/search-results-detail/358123');
+    });
+
+    test('strips HTML from the synopsis and appends eligibility', () => {
+      expect(opportunity.description).toBe(
+        'The Department of Energy seeks applications for community microgrids that keep critical facilities powered during grid outages.'
+        + '\n\nProjects must serve at least one public facility.'
+        + '\n\nEligibility: Units of local government & tribal nations.'
+      );
+    });
+
+    test('maps award amounts and cost sharing', () => {
+      expect(opportunity.totalFundingAvailable).toBe(15000000);
+      expect(opportunity.minimumAward).toBe(500000);
+      expect(opportunity.maximumAward).toBe(2000000);
+      expect(opportunity.matchingRequired).toBe(true);
+    });
+
+    test('uses the record dates', () => {
+      expect(opportunity.openDate).toBe('2026-03-02');
+      expect(opportunity.closeDate).toBe('2026-05-15');
+      expect(opportunity.api_updated_at).toBe('2026-03-02T09:15:31Z');
+    });
+
+    test('maps codes to taxonomy labels', () => {
+      expect(opportunity.eligibleApplicants).toEqual([
+        'County Government',
+        'City Government',
+        'Township Government',
+        'Tribal Governments'
+      ]);
+      expect(opportunity.categories).toEqual(['Energy', 'Infrastructure']);
+      expect(opportunity.fundingType).toBe('Cooperative Agreement');
+      expect(opportunity.awardProcess).toBe('competitive');
+    });
+
+    test('maps the agency as a federal funding source', () => {
+      expect(opportunity.funding_source).toEqual({
+        name: 'Golden Field Office',
+        type: 'Federal',
+        website: null,
+        contact_email: 'microgrids@ee.doe.gov',
+        contact_phone: '240-562-1800',
+        description: null
+      });
+    });
+
+    test('maps project types from the text and implies activities from the categories', () => {
+      expect(opportunity.eligibleProjectTypes).toEqual(['Microgrids']);
+      expect(opportunity.eligibleActivities).toEqual(['Installation', 'New Construction', 'Upgrade']);
+    });
+
+    test('is national with no location list', () => {
+      expect(opportunity.isNational).toBe(true);
+      expect(opportunity.eligibleLocations).toEqual([]);
+    });
+
+    test('records the opportunity number, assistance listings and award count in notes', () => {
+      expect(opportunity.notes).toBe(
+        'Opportunity number: DE-FOA-0003500\nAssistance listings: 81.117\nExpected number of awards: 10'
+      );
+    });
+  });
+
+  describe('mapOpportunity - forecast', () => {
+    const opportunity = mapOpportunity(forecast);
+
+    test('is upcoming with estimated dates', () => {
+      expect(opportunity.status).toBe('upcoming');
+      expect(opportunity.openDate).toBe('2026-12-01');
+      expect(opportunity.closeDate).toBe('2027-03-31');
+    });
+
+    test('treats 0 and none amounts as not specified', () => {
+      expect(opportunity.minimumAward).toBeNull();
+      expect(opportunity.maximumAward).toBeNull();
+      expect(opportunity.totalFundingAvailable).toBe(5000000);
+    });
+
+    test('maps unrestricted eligibility to every applicant type', () => {
+      const expected = [...new Set(Object.values(APPLICANT_TYPES).flat())];
+      expect(opportunity.eligibleApplicants).toEqual(expected);
+      expect(opportunity.eligibleApplicants).toContain('Small/Medium Businesses (SMB)');
+    });
+
+    test('maps project types and activities from the forecast description', () => {
+      expect(opportunity.eligibleProjectTypes).toEqual(['Solar Panel Systems', 'Wind Turbines', 'Geothermal Systems']);
+      expect(opportunity.eligibleActivities).toEqual(['Upgrade']);
+    });
+
+    test('maps mandatory opportunities to formula-based awards', () => {
+      expect(opportunity.awardProcess).toBe('formula-based');
+      expect(opportunity.categories).toEqual(['Agriculture', 'Energy']);
+      expect(opportunity.fundingType).toBe('Grant');
+      expect(opportunity.matchingRequired).toBe(false);
+      expect(opportunity.funding_source.contact_phone).toBeNull();
+    });
+  });
+
+  describe('mapOpportunity - search hit only', () => {
+    test('maps a posted hit when its detail call failed', () => {
+      const opportunity = mapOpportunity(postedHit);
+
+      expect(opportunity.id).toBe('358123');
+      expect(opportunity.description).toBe(postedHit.title);
+      expect(opportunity.openDate).toBe('2026-03-02');
+      expect(opportunity.closeDate).toBe('2026-05-15');
+      expect(opportunity.funding_source.name).toBe('Golden Field Office');
+      expect(opportunity.eligibleApplicants).toEqual([]);
+      expect(opportunity.awardProcess).toBeNull();
+    });
+
+    test('ignores the forecast posting dates on a forecast hit', () => {
+      const opportunity = mapOpportunity(forecastHit);
+
+      expect(opportunity.status).toBe('upcoming');
+      expect(opportunity.openDate).toBeNull();
+      expect(opportunity.closeDate).toBeNull();
+    });
+
+    test('throws for a hit without a title', () => {
+      expect(() => mapOpportunity({ id: '1' })).toThrow('Grants.gov opportunity 1 has no title');
+    });
+  });
+
+  describe('project types and activities', () => {
+    const categories = [{ id: 'IIJ' }, { id: 'T' }];
+
+    test('named activities win over the ones categories imply', () => {
+      const result = mapProjectTypesAndActivities(
+        'Funds the repair and replacement of bridges and the installation of traffic signals.',
+        categories
+      );
+      expect(result.eligibleProjectTypes).toEqual(['Bridges', 'Traffic Signals']);
+      expect(result.eligibleActivities).toEqual(['Installation', 'Replacement', 'Repair']);
+    });
+
+    test('implied activities are not duplicated across categories', () => {
+      const result = mapProjectTypesAndActivities('Sidewalks and bike lanes near schools', categories);
+      expect(result.eligibleActivities).toEqual(['New Construction', 'Upgrade', 'Repair']);
+    });
+
+    test('no activities are implied without a project type', () => {
+      const result = mapProjectTypesAndActivities('Grants for community health workers.', categories);
+      expect(result).toEqual({ eligibleProjectTypes: [], eligibleActivities: [] });
+    });
+
+    test('ambiguous words need their qualifier', () => {
+      const text = 'The program is designed to help applicants during the application window and supports reports.';
+      expect(matchTaxonomyKeywords(text, PROJECT_TYPE_KEYWORDS)).toEqual([]);
+      expect(matchTaxonomyKeywords(text, ACTIVITY_KEYWORDS)).toEqual([]);
+    });
+
+    test('case-sensitive acronyms do not match ordinary words', () => {
+      expect(matchTaxonomyKeywords('Projects led by lighting vendors', PROJECT_TYPE_KEYWORDS)).toEqual(['Lighting Systems']);
+      expect(matchTaxonomyKeywords('LED lighting retrofits', PROJECT_TYPE_KEYWORDS)).toEqual(['Lighting Systems', 'LED Lighting Upgrades']);
+      expect(matchTaxonomyKeywords('Ada County', PROJECT_TYPE_KEYWORDS)).toEqual([]);
+    });
+
+    test('maps building system terms', () => {
+      const result = mapProjectTypesAndActivities('HVAC, heat pump and LED lighting retrofits in school buildings', []);
+      expect(result.eligibleProjectTypes).toEqual([
+        'HVAC Systems', 'Heat Pump Systems', 'Lighting Systems', 'LED Lighting Upgrades', 'Classroom Facilities'
+      ]);
+      expect(result.eligibleActivities).toEqual(['Retrofit']);
+    });
+  });
+
+  describe('mapSourceOpportunities', () => {
+    test('maps every item without LLM usage', () => {
+      const result = mapSourceOpportunities([posted, forecast]);
+
+      expect(result.totalExtracted).toBe(2);
+      expect(result.extractionMetrics).toEqual({
+        totalFound: 2,
+        successfullyExtracted: 2,
+        challenges: [],
+        totalTokens: 0,
+        totalApiCalls: 0,
+        deterministicMapping: true
+      });
+    });
+
+    test('reports unmappable items as challenges', () => {
+      const result = mapSourceOpportunities([posted, { id: '42' }]);
+
+      expect(result.opportunities).toHaveLength(1);
+      expect(result.extractionMetrics.challenges).toEqual(['Item 2: Grants.gov opportunity 42 has no title']);
+    });
+  });
+});
@@ -0,0 +1,519 @@
+/**
+ * Pipeline: Source Rate Limiting Tests
+ *
+ * Tests how adapter requests are paced:
+ * - Rate limit config defaults and validation
+ * - Retry-After parsing (delay seconds and HTTP dates)
+ * - Per-host token bucket: burst, sustained rate, hosts kept apart, wait metrics
+ * - Host pause after a 429, and the throttle retry budget
+ * - Detail call concurrency cap with results kept in order
+ *
+ * Mirrors lib/agents-v2/core/sourceAdapters/rateLimit.js and the throttling in
+ * fetchWithRetry (sourceAdapters/http.js).
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// --- Inline functions mirroring rateLimit.js ---
+
+const DEFAULT_RATE_LIMIT = {
+  requestsPerSecond: 10,
+  burst: null,
+  maxConcurrentDetails: 6,
+  maxRetryAfterSeconds: 120
+};
+
+const MIN_RECORDED_WAIT_MS = 5;
+
+let buckets = new Map();
+
+function positiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+function resolveRateLimit(rateLimitConfig = {}) {
+  const config = rateLimitConfig || {};
+  const requestsPerSecond = positiveNumber(config.requestsPerSecond, DEFAULT_RATE_LIMIT.requestsPerSecond);
+
+  return {
+    requestsPerSecond,
+    burst: Math.max(1, Math.floor(positiveNumber(config.burst, Math.ceil(requestsPerSecond)))),
+    maxConcurrentDetails: Math.max(1, Math.floor(positiveNumber(config.maxConcurrentDetails, DEFAULT_RATE_LIMIT.maxConcurrentDetails))),
+    maxRetryAfterSeconds: positiveNumber(config.maxRetryAfterSeconds, DEFAULT_RATE_LIMIT.maxRetryAfterSeconds)
+  };
+}
+
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const trimmed = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.ceil(Number(trimmed) * 1000);
+  }
+
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function getBucket(host, limits) {
+  let bucket = buckets.get(host);
+  if (!bucket) {
+    bucket = {
+      tokens: limits.burst,
+      updatedAt: Date.now(),
+      pausedUntil: 0,
+      queue: Promise.resolve()
+    };
+    buckets.set(host, bucket);
+  }
+  bucket.rate = limits.requestsPerSecond;
+  bucket.burst = limits.burst;
+  return bucket;
+}
+
+function refill(bucket, now) {
+  const elapsed = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + elapsed * bucket.rate);
+  bucket.updatedAt = now;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function takeToken(bucket) {
+  for (;;) {
+    const now = Date.now();
+    refill(bucket, now);
+
+    if (bucket.pausedUntil > now) {
+      await sleep(bucket.pausedUntil - now);
+      continue;
+    }
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return;
+    }
+    await sleep(Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000));
+  }
+}
+
+async function acquireHostSlot(url, limits, metrics = null) {
+  const bucket = getBucket(new URL(url).host, limits);
+  const startTime = Date.now();
+
+  const turn = bucket.queue.then(() => takeToken(bucket));
+  bucket.queue = turn.catch(() => {});
+  await turn;
+
+  const waited = Date.now() - startTime;
+  if (waited >= MIN_RECORDED_WAIT_MS && metrics) {
+    metrics.rateLimitWaits = (metrics.rateLimitWaits || 0) + 1;
+    metrics.rateLimitWaitMs = (metrics.rateLimitWaitMs || 0) + waited;
+  }
+  return waited;
+}
+
+function pauseHost(url, delayMs, limits) {
+  const bucket = getBucket(new URL(url).host, limits);
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + delayMs);
+  bucket.tokens = 0;
+}
+
+async function mapWithConcurrency(items, concurrency, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+// --- Inline throttling mirroring fetchWithRetry in http.js (fetch injected) ---
+
+const MAX_THROTTLE_RETRIES = 3;
+
+function throttledError(url, response, throttleRetries, limits, metrics) {
+  metrics.throttledResponses = (metrics.throttledResponses || 0) + 1;
+
+  const error = new Error(`API call failed: ${response.status} ${response.statusText}`);
+  const retryAfterMs = parseRetryAfter(response.headers?.get('retry-after'))
+    ?? Math.pow(2, throttleRetries) * 1000;
+
+  if (retryAfterMs > limits.maxRetryAfterSeconds * 1000) {
+    error.message += ` (Retry-After ${Math.ceil(retryAfterMs / 1000)}s exceeds the ${limits.maxRetryAfterSeconds}s limit)`;
+    error.retryable = false;
+  } else {
+    pauseHost(url, retryAfterMs, limits);
+    error.retryAfterMs = retryAfterMs;
+  }
+  return error;
+}
+
+function isThrottled(response) {
+  return response.status === 429
+    || (response.status === 503 && Boolean(response.headers?.get('retry-after')));
+}
+
+async function fetchWithRetry(url, fetchImpl, context) {
+  const metrics = context.metrics;
+  const maxRetries = context.maxRetries ?? 3;
+  const limits = context.rateLimit || resolveRateLimit();
+  let attempt = 1;
+  let throttleRetries = 0;
+
+  for (;;) {
+    try {
+      await acquireHostSlot(url, limits, metrics);
+      metrics.apiCalls++;
+
+      const response = await fetchImpl(url);
+      if (isThrottled(response)) {
+        throw throttledError(url, response, throttleRetries, limits, metrics);
+      }
+      if (!response.ok) {
+        throw new Error(`API call failed: ${response.status} ${response.statusText}`);
+      }
+      return await response.json();
+
+    } catch (error) {
+      if (error.retryAfterMs !== undefined && throttleRetries < MAX_THROTTLE_RETRIES) {
+        throttleRetries++;
+        metrics.retryAttempts++;
+        continue;
+      }
+
+      if (attempt >= maxRetries || error.retryable === false) {
+        metrics.errors.push({ type: 'api_call_error', attempts: attempt + throttleRetries, message: error.message });
+        throw error;
+      }
+
+      await sleep(Math.pow(2, attempt - 1) * 1000);
+      attempt++;
+      metrics.retryAttempts++;
+    }
+  }
+}
+
+function mockResponse(status, { headers = {}, body = {} } = {}) {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    statusText: status === 429 ? 'Too Many Requests' : String(status),
+    headers: { get: (name) => lowered[name.toLowerCase()] ?? null },
+    json: async () => body
+  };
+}
+
+function newMetrics() {
+  return { apiCalls: 0, retryAttempts: 0, errors: [] };
+}
+
+// Start requests at once and record when (in fake time) each got its slot
+async function slotTimes(urls, limits, metrics = null) {
+  const start = Date.now();
+  const times = [];
+  const pending = urls.map((url, index) =>
+    acquireHostSlot(url, limits, metrics).then(() => { times[index] = Date.now() - start; })
+  );
+  await vi.runAllTimersAsync();
+  await Promise.all(pending);
+  return times;
+}
+
+describe('Source Rate Limiting', () => {
+  beforeEach(() => {
+    buckets = new Map();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-10-19T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('Config', () => {
+    test('defaults when nothing is configured', () => {
+      expect(resolveRateLimit()).toEqual({
+        requestsPerSecond: 10,
+        burst: 10,
+        maxConcurrentDetails: 6,
+        maxRetryAfterSeconds: 120
+      });
+      expect(resolveRateLimit(null)).toEqual(resolveRateLimit({}));
+    });
+
+    test('burst follows the rate unless set', () => {
+      expect(resolveRateLimit({ requestsPerSecond: 2.5 }).burst).toBe(3);
+      expect(resolveRateLimit({ requestsPerSecond: 0.5 }).burst).toBe(1);
+      expect(resolveRateLimit({ requestsPerSecond: 2, burst: 5 }).burst).toBe(5);
+    });
+
+    test('form values as strings are accepted', () => {
+      const limits = resolveRateLimit({ requestsPerSecond: '4', maxConcurrentDetails: '2' });
+      expect(limits.requestsPerSecond).toBe(4);
+      expect(limits.maxConcurrentDetails).toBe(2);
+    });
+
+    test('blank, zero, negative and invalid values fall back to defaults', () => {
+      const limits = resolveRateLimit({
+        requestsPerSecond: '',
+        burst: 0,
+        maxConcurrentDetails: -3,
+        maxRetryAfterSeconds: 'soon'
+      });
+      expect(limits).toEqual(resolveRateLimit());
+    });
+
+    test('fractional counts are rounded down to at least one', () => {
+      const limits = resolveRateLimit({ burst: 2.7, maxConcurrentDetails: 0.4 });
+      expect(limits.burst).toBe(2);
+      expect(limits.maxConcurrentDetails).toBe(1);
+    });
+  });
+
+  describe('Retry-After', () => {
+    test('delay seconds', () => {
+      expect(parseRetryAfter('30')).toBe(30000);
+      expect(parseRetryAfter(' 1.5 ')).toBe(1500);
+      expect(parseRetryAfter('0')).toBe(0);
+    });
+
+    test('HTTP date', () => {
+      const now = Date.parse('2026-10-19T12:00:00Z');
+      expect(parseRetryAfter('Mon, 19 Oct 2026 12:00:45 GMT', now)).toBe(45000);
+    });
+
+    test('a date in the past means no wait', () => {
+      const now = Date.parse('2026-10-19T12:00:00Z');
+      expect(parseRetryAfter('Mon, 19 Oct 2026 11:59:00 GMT', now)).toBe(0);
+    });
+
+    test('missing or unparseable headers', () => {
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter('')).toBeNull();
+      expect(parseRetryAfter('later')).toBeNull();
+    });
+  });
+
+  describe('Host Token Bucket', () => {
+    test('burst requests go out at once, then at the sustained rate', async () => {
+      const limits = resolveRateLimit({ requestsPerSecond: 2, burst: 2 });
+      const url = 'https://api.example.gov/grants';
+
+      const times = await slotTimes([url, url, url, url, url], limits);
+
+      expect(times.slice(0, 2)).toEqual([0, 0]);
+      expect(times[2]).toBe(500);
+      expect(times[3]).toBe(1000);
+      expect(times[4]).toBe(1500);
+    });
+
+    test('requests to a host share its budget across paths', async () => {
+      const limits = resolveRateLimit({ requestsPerSecond: 1, burst: 1 });
+
+      const times = await slotTimes([
+        'https://api.example.gov/list',
+        'https://api.example.gov/detail/1?x=1'
+      ], limits);
+
+      expect(times).toEqual([0, 1000]);
+    });
+
+    test('hosts are limited separately', async () => {
+      const limits = resolveRateLimit({ requestsPerSecond: 1, burst: 1 });
+
+      const times = await slotTimes([
+        'https://api.example.gov/list',
+        'https://data.example.org/list'
+      ], limits);
+
+      expect(times).toEqual([0, 0]);
+    });
+
+    test('tokens refill while the host is idle, up to the burst', async () => {
+      const limits = resolveRateLimit({ requestsPerSecond: 1, burst: 2 });
+      const url = 'https://api.example.gov/grants';
+
+      await slotTimes([url, url], limits);
+      vi.advanceTimersByTime(10000);
+
+      const times = await slotTimes([url, url, url], limits);
+      expect(times).toEqual([0, 0, 1000]);
+    });
+
+    test('waits are recorded in the run metrics', async () => {
+      const limits = resolveRateLimit({ requestsPerSecond: 2, burst: 1 });
+      const url = 'https://api.example.gov/grants';
+      const metrics = newMetrics();
+
+      await slotTimes([url, url, url], limits, metrics);
+
+      expect(metrics.rateLimitWaits).toBe(2);
+      expect(metrics.rateLimitWaitMs).toBe(500 + 1000);
+    });
+
+    test('requests that are not delayed are not recorded', async () => {
+      const metrics = newMetrics();
+      await slotTimes(['https://api.example.gov/grants'], resolveRateLimit(), metrics);
+
+      expect(metrics.rateLimitWaits).toBeUndefined();
+      expect(metrics.rateLimitWaitMs).toBeUndefined();
+    });
+  });
+
+  describe('Host Pause', () => {
+    test('a pause holds every request to the host until it ends', async () => {
+      const limits = resolveRateLimit({ requestsPerSecond: 10 });
+      pauseHost('https://api.example.gov/grants', 3000, limits);
+
+      const times = await slotTimes([
+        'https://api.example.gov/detail/1',
+        'https://data.example.org/list'
+      ], limits);
+
+      expect(times[0]).toBe(3000);
+      expect(times[1]).toBe(0);
+    });
+
+    test('a shorter pause does not cut an earlier, longer one', async () => {
+      const limits = resolveRateLimit();
+      const url = 'https://api.example.gov/grants';
+      pauseHost(url, 5000, limits);
+      pauseHost(url, 1000, limits);
+
+      const times = await slotTimes([url], limits);
+      expect(times[0]).toBe(5000);
+    });
+  });
+
+  describe('Throttled Responses', () => {
+    const url = 'https://api.example.gov/grants';
+
+    test('a 429 is retried after Retry-After without using the retry budget', async () => {
+      const metrics = newMetrics();
+      const fetchImpl = vi.fn()
+        .mockResolvedValueOnce(mockResponse(429, { headers: { 'Retry-After': '2' } }))
+        .mockResolvedValueOnce(mockResponse(200, { body: { data: [1] } }));
+
+      const start = Date.now();
+      const pending = fetchWithRetry(url, fetchImpl, { metrics, maxRetries: 1, rateLimit: resolveRateLimit() });
+      await vi.runAllTimersAsync();
+
+      await expect(pending).resolves.toEqual({ data: [1] });
+      expect(Date.now() - start).toBe(2000);
+      expect(fetchImpl).toHaveBeenCalledTimes(2);
+      expect(metrics.throttledResponses).toBe(1);
+      expect(metrics.retryAttempts).toBe(1);
+      expect(metrics.rateLimitWaitMs).toBe(2000);
+    });
+
+    test('a 429 without Retry-After backs off exponentially', async () => {
+      const metrics = newMetrics();
+      const fetchImpl = vi.fn()
+        .mockResolvedValueOnce(mockResponse(429))
+        .mockResolvedValueOnce(mockResponse(429))
+        .mockResolvedValueOnce(mockResponse(200));
+
+      const start = Date.now();
+      const pending = fetchWithRetry(url, fetchImpl, { metrics, rateLimit: resolveRateLimit() });
+      await vi.runAllTimersAsync();
+      await pending;
+
+      expect(Date.now() - start).toBe(1000 + 2000);
+      expect(metrics.throttledResponses).toBe(2);
+    });
+
+    test('a 503 with Retry-After is throttling; without it, an ordinary failure', () => {
+      expect(isThrottled(mockResponse(503, { headers: { 'Retry-After': '5' } }))).toBe(true);
+      expect(isThrottled(mockResponse(503))).toBe(false);
+      expect(isThrottled(mockResponse(429))).toBe(true);
+      expect(isThrottled(mockResponse(500))).toBe(false);
+    });
+
+    test('a Retry-After beyond the limit fails the request without waiting', async () => {
+      const metrics = newMetrics();
+      const fetchImpl = vi.fn().mockResolvedValue(mockResponse(429, { headers: { 'Retry-After': '600' } }));
+
+      const pending = fetchWithRetry(url, fetchImpl, { metrics, rateLimit: resolveRateLimit({ maxRetryAfterSeconds: 60 }) });
+      const assertion = expect(pending).rejects.toThrow('Retry-After 600s exceeds the 60s limit');
+      await vi.runAllTimersAsync();
+      await assertion;
+
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+      expect(metrics.errors).toHaveLength(1);
+      expect(buckets.get('api.example.gov').pausedUntil).toBe(0);
+    });
+
+    test('a host that keeps throttling fails after the throttle budget and retry budget', async () => {
+      const metrics = newMetrics();
+      const fetchImpl = vi.fn().mockResolvedValue(mockResponse(429, { headers: { 'Retry-After': '1' } }));
+
+      const pending = fetchWithRetry(url, fetchImpl, { metrics, maxRetries: 2, rateLimit: resolveRateLimit() });
+      const assertion = expect(pending).rejects.toThrow('429');
+      await vi.runAllTimersAsync();
+      await assertion;
+
+      expect(fetchImpl).toHaveBeenCalledTimes(MAX_THROTTLE_RETRIES + 2);
+      expect(metrics.errors[0].attempts).toBe(MAX_THROTTLE_RETRIES + 2);
+    });
+
+    test('other sources on the host wait out the pause too', async () => {
+      const limits = resolveRateLimit();
+      const metrics = newMetrics();
+      const fetchImpl = vi.fn().mockResolvedValueOnce(mockResponse(429, { headers: { 'Retry-After': '4' } }));
+
+      const pending = fetchWithRetry(url, fetchImpl, { metrics, rateLimit: limits });
+      await vi.advanceTimersByTimeAsync(0);
+
+      const otherMetrics = newMetrics();
+      const other = acquireHostSlot('https://api.example.gov/other', limits, otherMetrics);
+      fetchImpl.mockResolvedValue(mockResponse(200));
+      await vi.runAllTimersAsync();
+      await Promise.all([pending, other]);
+
+      expect(otherMetrics.rateLimitWaitMs).toBe(4000);
+    });
+  });
+
+  describe('Detail Concurrency', () => {
+    test('never more than the cap in flight', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      const pending = mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await sleep(100 * (8 - item));
+        inFlight--;
+        return item * 10;
+      });
+      await vi.runAllTimersAsync();
+
+      await expect(pending).resolves.toEqual([10, 20, 30, 40, 50, 60, 70]);
+      expect(maxInFlight).toBe(3);
+    });
+
+    test('results keep item order when later items finish first', async () => {
+      const pending = mapWithConcurrency(['a', 'b', 'c'], 3, async (item, index) => {
+        await sleep(100 * (3 - index));
+        return `${item}${index}`;
+      });
+      await vi.runAllTimersAsync();
+
+      await expect(pending).resolves.toEqual(['a0', 'b1', 'c2']);
+    });
+
+    test('no items, no workers', async () => {
+      const task = vi.fn();
+      await expect(mapWithConcurrency([], 4, task)).resolves.toEqual([]);
+      expect(task).not.toHaveBeenCalled();
+    });
+  });
+});
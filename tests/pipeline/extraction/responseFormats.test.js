@@ -0,0 +1,402 @@
+/**
+ * Pipeline: Response Format Tests
+ *
+ * Tests parsing non-JSON list responses into the record arrays the JSON path
+ * produces:
+ * - response_config.format selection (json, xml, csv, rss) and validation
+ * - XML documents with a dot-notation record path
+ * - CSV with quoted fields, custom delimiters and blank rows
+ * - RSS 2.0, RSS 1.0 (RDF) and Atom feeds with the default 'items' record path
+ *
+ * Mirrors lib/agents-v2/core/dataExtractionAgent/utils/responseFormats.js and
+ * extractDataFromResponse() in utils/dataExtraction.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+import { XMLParser } from 'fast-xml-parser';
+import {
+  rssFeed,
+  atomFeed,
+  rdfFeed,
+  programsXml,
+  programsCsv,
+  programsTsv,
+} from '../../fixtures/responseFormats.js';
+
+// --- Inline functions mirroring responseFormats.js and dataExtraction.js ---
+
+const RESPONSE_FORMATS = ['json', 'xml', 'csv', 'rss'];
+
+const DEFAULT_RECORD_PATHS = {
+  rss: 'items'
+};
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  // Keep "00501" zip codes and "2026-01" dates as text, like the CSV parser
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true
+});
+
+function getResponseFormat(responseConfig) {
+  const format = String(responseConfig?.format || 'json').toLowerCase();
+  if (!RESPONSE_FORMATS.includes(format)) {
+    throw new Error(`Unsupported response format: ${responseConfig.format}`);
+  }
+  return format;
+}
+
+function isTextResponseFormat(responseConfig) {
+  return getResponseFormat(responseConfig) !== 'json';
+}
+
+function getDefaultRecordPath(responseConfig) {
+  return DEFAULT_RECORD_PATHS[getResponseFormat(responseConfig)] || null;
+}
+
+function parseResponseBody(body, responseConfig) {
+  if (typeof body !== 'string') {
+    return body;
+  }
+
+  switch (getResponseFormat(responseConfig)) {
+    case 'xml':
+      return parseXml(body);
+    case 'csv':
+      return parseCsv(body, responseConfig?.delimiter);
+    case 'rss':
+      return parseFeed(body);
+    default:
+      return body;
+  }
+}
+
+function parseXml(text) {
+  return xmlParser.parse(text);
+}
+
+function parseCsv(text, delimiter = ',') {
+  const separator = delimiter || ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...dataRows] = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (!header) return [];
+
+  const keys = header.map(name => name.trim());
+  return dataRows.map(values => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (key) record[key] = (values[index] ?? '').trim();
+    });
+    return record;
+  });
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Text of an element that may carry attributes ({ '#text', '@_type' })
+function textOf(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'object') return value['#text'] ?? null;
+  return String(value);
+}
+
+function atomLink(links) {
+  const all = asArray(links);
+  const alternate = all.find(link => !link['@_rel'] || link['@_rel'] === 'alternate') || all[0];
+  return alternate ? alternate['@_href'] || textOf(alternate) : null;
+}
+
+function rssItem(item) {
+  return {
+    id: textOf(item.guid) || textOf(item.link) || item['@_rdf:about'] || null,
+    title: textOf(item.title),
+    link: textOf(item.link),
+    description: textOf(item.description),
+    content: textOf(item['content:encoded']),
+    published: textOf(item.pubDate) || textOf(item['dc:date']),
+    updated: null,
+    author: textOf(item.author) || textOf(item['dc:creator']),
+    categories: asArray(item.category).map(textOf).filter(Boolean)
+  };
+}
+
+function atomEntry(entry) {
+  return {
+    id: textOf(entry.id) || atomLink(entry.link),
+    title: textOf(entry.title),
+    link: atomLink(entry.link),
+    description: textOf(entry.summary),
+    content: textOf(entry.content),
+    published: textOf(entry.published),
+    updated: textOf(entry.updated),
+    author: asArray(entry.author).map(author => textOf(author.name)).filter(Boolean).join(', ') || null,
+    categories: asArray(entry.category).map(category => category['@_term'] || textOf(category)).filter(Boolean)
+  };
+}
+
+function parseFeed(text) {
+  const document = parseXml(text);
+
+  if (document.feed) {
+    return {
+      title: textOf(document.feed.title),
+      link: atomLink(document.feed.link),
+      items: asArray(document.feed.entry).map(atomEntry)
+    };
+  }
+
+  const rdf = document['rdf:RDF'];
+  const channel = document.rss?.channel || rdf?.channel;
+  if (!channel) {
+    throw new Error('Response is not an RSS or Atom feed');
+  }
+
+  return {
+    title: textOf(channel.title),
+    link: textOf(channel.link),
+    items: asArray(channel.item || rdf?.item).map(rssItem)
+  };
+}
+
+function extractDataFromResponse(data, responseConfig) {
+  const document = parseResponseBody(data, responseConfig);
+  const recordPath = responseConfig?.responseDataPath || getDefaultRecordPath(responseConfig);
+
+  if (!recordPath) {
+    return document;
+  }
+  
+  return extractDataByPath(document, recordPath);
+}
+
+function extractDataByPath(data, path) {
+  if (!path || !data) return data;
+  
+  const keys = path.split('.');
+  let result = data;
+  
+  for (const key of keys) {
+    if (result && typeof result === 'object' && key in result) {
+      result = result[key];
+    } else {
+      return null;
+    }
+  }
+  
+  return result;
+}
+
+// --- Tests ---
+
+describe('Response Formats', () => {
+
+  describe('getResponseFormat', () => {
+    test('defaults to json', () => {
+      expect(getResponseFormat(undefined)).toBe('json');
+      expect(getResponseFormat({ responseDataPath: 'data' })).toBe('json');
+    });
+
+    test('accepts formats case-insensitively', () => {
+      expect(getResponseFormat({ format: 'XML' })).toBe('xml');
+      expect(isTextResponseFormat({ format: 'csv' })).toBe(true);
+      expect(isTextResponseFormat({ format: 'json' })).toBe(false);
+    });
+
+    test('rejects unknown formats', () => {
+      expect(() => getResponseFormat({ format: 'yaml' })).toThrow('Unsupported response format: yaml');
+    });
+  });
+
+  describe('extractDataFromResponse - json', () => {
+    test('behaves as before for parsed JSON', () => {
+      const response = { data: { items: [{ id: 1 }, { id: 2 }] } };
+      expect(extractDataFromResponse(response, { responseDataPath: 'data.items' })).toEqual([{ id: 1 }, { id: 2 }]);
+      expect(extractDataFromResponse(response, {})).toBe(response);
+      expect(extractDataFromResponse(response, null)).toBe(response);
+    });
+
+    test('leaves string bodies alone', () => {
+      expect(extractDataFromResponse('plain', { format: 'json' })).toBe('plain');
+    });
+  });
+
+  describe('xml', () => {
+    const config = { format: 'xml', responseDataPath: 'response.programs.program' };
+
+    test('reads records at the record path', () => {
+      const records = extractDataFromResponse(programsXml, config);
+
+      expect(records).toHaveLength(2);
+      expect(records[0].name).toBe('Building Retrofit Incentive');
+      expect(records[1].name).toBe('Rural Microgrid Pilot');
+    });
+
+    test('keeps attributes with the @_ prefix', () => {
+      const [first] = extractDataFromResponse(programsXml, config);
+      expect(first['@_id']).toBe('P-100');
+      expect(first['@_status']).toBe('open');
+    });
+
+    test('keeps values as text', () => {
+      const [first] = extractDataFromResponse(programsXml, config);
+      expect(first.zip).toBe('00501');
+      expect(first.maxAward).toBe('150000');
+    });
+
+    test('repeated elements become arrays, single ones stay values', () => {
+      const [first, second] = extractDataFromResponse(programsXml, config);
+      expect(first.eligible.type).toEqual(['City Government', 'County Government']);
+      expect(second.eligible.type).toBe('Tribal Governments');
+    });
+
+    test('returns the document without a record path', () => {
+      const document = extractDataFromResponse(programsXml, { format: 'xml' });
+      expect(document.response.meta.total).toBe('2');
+    });
+
+    test('a parsed document is not parsed again', () => {
+      const document = parseResponseBody(programsXml, config);
+      expect(parseResponseBody(document, config)).toBe(document);
+      expect(extractDataFromResponse(document, config)).toHaveLength(2);
+    });
+  });
+
+  describe('csv', () => {
+    test('keys rows by the header row', () => {
+      const rows = extractDataFromResponse(programsCsv, { format: 'csv' });
+
+      expect(rows).toHaveLength(3);
+      expect(Object.keys(rows[0])).toEqual(['Program Name', 'Deadline', 'Max Award', 'Notes']);
+      expect(rows[0]['Program Name']).toBe('Solar for Schools');
+    });
+
+    test('handles quoted delimiters, doubled quotes and newlines', () => {
+      const rows = extractDataFromResponse(programsCsv, { format: 'csv' });
+
+      expect(rows[0].Notes).toBe('K-12 only, public districts');
+      expect(rows[1]['Program Name']).toBe('Fleet "EV" Rebates');
+      expect(rows[1].Notes).toBe('Covers vehicles\nand chargers');
+    });
+
+    test('skips blank rows and keeps empty cells as empty strings', () => {
+      const rows = extractDataFromResponse(programsCsv, { format: 'csv' });
+      expect(rows[2]).toEqual({ 'Program Name': 'Heat Pump Pilot', Deadline: '', 'Max Award': '10000', Notes: '' });
+    });
+
+    test('uses the configured delimiter', () => {
+      expect(extractDataFromResponse(programsTsv, { format: 'csv', delimiter: '\t' })).toEqual([
+        { name: 'Retrofit Incentive', zip: '00501' }
+      ]);
+    });
+
+    test('fills missing trailing cells', () => {
+      expect(parseCsv('a,b,c\n1,2')).toEqual([{ a: '1', b: '2', c: '' }]);
+    });
+
+    test('returns no rows for an empty body or header only', () => {
+      expect(parseCsv('')).toEqual([]);
+      expect(parseCsv('a,b\n')).toEqual([]);
+    });
+  });
+
+  describe('rss', () => {
+    test('reads RSS 2.0 items at the default record path', () => {
+      const items = extractDataFromResponse(rssFeed, { format: 'rss' });
+
+      expect(items).toHaveLength(2);
+      expect(items[0]).toEqual({
+        id: 'seo-2026-014',
+        title: 'Clean Energy Schools Grant',
+        link: 'https://energy.example.gov/funding/clean-energy-schools',
+        description: '<p>Grants up to $250,000 for K-12 solar &amp; storage.</p>',
+        content: '<p>Applications due May 1, 2026.</p>',
+        published: 'Mon, 02 Mar 2026 14:00:00 GMT',
+        updated: null,
+        author: 'Grants Team',
+        categories: ['Schools', 'Solar']
+      });
+    });
+
+    test('falls back to the link for items without a guid', () => {
+      const items = extractDataFromResponse(rssFeed, { format: 'rss' });
+      expect(items[1].id).toBe('https://energy.example.gov/funding/fleet');
+      expect(items[1].categories).toEqual([]);
+    });
+
+    test('reads Atom entries', () => {
+      const [entry] = extractDataFromResponse(atomFeed, { format: 'rss' });
+
+      expect(entry).toEqual({
+        id: 'urn:uuid:1f3c7a2e-0b9d-4c55-8f0e-6a1b2c3d4e5f',
+        title: 'Commercial HVAC Rebate',
+        link: 'https://utility.example.com/programs/hvac',
+        description: 'Up to $500 per ton for high-efficiency units.',
+        content: null,
+        published: '2026-01-15T08:00:00Z',
+        updated: '2026-02-20T16:45:00Z',
+        author: 'Energy Efficiency Team',
+        categories: ['HVAC', 'Commercial']
+      });
+    });
+
+    test('reads RSS 1.0 (RDF) items', () => {
+      const [item] = extractDataFromResponse(rdfFeed, { format: 'rss' });
+      expect(item.id).toBe('https://county.example.gov/grants/water');
+      expect(item.published).toBe('2026-02-01');
+    });
+
+    test('exposes feed metadata with a record path override', () => {
+      expect(extractDataFromResponse(atomFeed, { format: 'rss', responseDataPath: 'link' }))
+        .toBe('https://utility.example.com/programs');
+      expect(extractDataFromResponse(rssFeed, { format: 'rss', responseDataPath: 'title' }))
+        .toBe('State Energy Office - Funding Opportunities');
+    });
+
+    test('rejects XML that is not a feed', () => {
+      expect(() => extractDataFromResponse(programsXml, { format: 'rss' })).toThrow('Response is not an RSS or Atom feed');
+    });
+  });
+});
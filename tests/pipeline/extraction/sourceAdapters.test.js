@@ -0,0 +1,367 @@
+/**
+ * Pipeline: Source Adapters Tests
+ *
+ * Tests the source adapter registry used by ApiCaller and DataExtractionAgent:
+ * - Registering and looking up adapters
+ * - Resolving a source's adapter from handler_type (legacy values fall back)
+ * - Building list and detail requests
+ * - The shared pagination loop over fetchPage/normalize
+ *
+ * Mirrors registerSourceAdapter(), resolveSourceAdapter() and usesDetailCalls()
+ * in lib/agents-v2/core/sourceAdapters/index.js, paginateSource() in
+ * sourceAdapters/pagination.js, and buildListRequest()/buildDetailRequest() in
+ * sourceAdapters/http.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring sourceAdapters ---
+
+function createRegistry() {
+  const adapters = new Map();
+
+  function registerSourceAdapter(adapter) {
+    if (!adapter?.key || typeof adapter.key !== 'string') {
+      throw new Error('Source adapter requires a key');
+    }
+    if (typeof adapter.paginate !== 'function'
+      && (typeof adapter.fetchPage !== 'function' || typeof adapter.normalize !== 'function')) {
+      throw new Error(`Source adapter ${adapter.key} must implement paginate or fetchPage and normalize`);
+    }
+    adapters.set(adapter.key, adapter);
+    return adapter;
+  }
+
+  function getSourceAdapter(key) {
+    const adapter = adapters.get(key);
+    if (!adapter) throw new Error(`Unknown source adapter: ${key}`);
+    return adapter;
+  }
+
+  function listSourceAdapters() {
+    return [...adapters.values()].map(({ key, label, description }) => ({
+      key,
+      label: label || key,
+      description: description || ''
+    }));
+  }
+
+  function resolveSourceAdapter(source) {
+    if (source?.handler_type && adapters.has(source.handler_type)) {
+      return adapters.get(source.handler_type);
+    }
+    return source?.configurations?.detail_config?.enabled
+      ? getSourceAdapter('two_step_api')
+      : getSourceAdapter('single_api');
+  }
+
+  return { registerSourceAdapter, getSourceAdapter, listSourceAdapters, resolveSourceAdapter };
+}
+
+function usesDetailCalls(adapter, instructions) {
+  if (typeof adapter.fetchDetail !== 'function') return false;
+  return adapter.usesDetailCalls ? Boolean(adapter.usesDetailCalls(instructions)) : true;
+}
+
+function applyPagination(target, paginationConfig, page, pageSize) {
+  if (paginationConfig.type === 'offset') {
+    const offset = (paginationConfig.startOffset || 0) + (page - 1) * pageSize;
+    if (paginationConfig.limitParam) target[paginationConfig.limitParam] = pageSize;
+    if (paginationConfig.offsetParam) target[paginationConfig.offsetParam] = offset;
+  } else if (paginationConfig.type === 'page') {
+    if (paginationConfig.pageParam) target[paginationConfig.pageParam] = page;
+    if (paginationConfig.limitParam) target[paginationConfig.limitParam] = pageSize;
+  }
+}
+
+function buildListRequest(instructions, page = 1, pageSize = null) {
+  const { apiEndpoint, requestConfig = {}, queryParameters, requestBody, paginationConfig } = instructions;
+  const params = { ...queryParameters };
+  const body = requestBody ? { ...requestBody } : null;
+
+  if (paginationConfig?.enabled) {
+    const effectivePageSize = pageSize || paginationConfig.pageSize || 10;
+    const target = paginationConfig.inBody ? body : params;
+    if (target) applyPagination(target, paginationConfig, page, effectivePageSize);
+  }
+
+  const url = new URL(apiEndpoint);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) url.searchParams.append(key, value);
+  });
+
+  const fetchOptions = { method: requestConfig.method || 'GET', headers: { ...requestConfig.headers || {} } };
+  if (body && (requestConfig.method === 'POST' || requestConfig.method === 'PUT')) {
+    fetchOptions.headers['Content-Type'] = 'application/json';
+    fetchOptions.body = JSON.stringify(body);
+  }
+  return { url: url.toString(), fetchOptions };
+}
+
+function buildDetailRequest(opportunityId, detailConfig) {
+  const idParam = detailConfig.idParam || 'id';
+  const hasPathId = detailConfig.endpoint.includes('{id}');
+  const url = new URL(hasPathId
+    ? detailConfig.endpoint.replace('{id}', encodeURIComponent(opportunityId))
+    : detailConfig.endpoint);
+
+  if (detailConfig.method !== 'POST' && !hasPathId) {
+    url.searchParams.append(idParam, opportunityId);
+  }
+
+  const fetchOptions = { method: detailConfig.method || 'GET', headers: { ...detailConfig.headers || {} } };
+  if (detailConfig.method === 'POST') {
+    fetchOptions.headers['Content-Type'] = 'application/json';
+    fetchOptions.body = JSON.stringify({ [idParam]: opportunityId });
+  }
+  return { url: url.toString(), fetchOptions };
+}
+
+async function paginateSource(adapter, instructions, context) {
+  const allData = [];
+  let totalFound = 0;
+  const shouldPaginate = instructions.paginationConfig?.enabled;
+  const maxPages = instructions.paginationConfig?.maxPages || 1;
+  const pageSize = instructions.paginationConfig?.pageSize || 10;
+  const totalLimit = shouldPaginate ? maxPages * pageSize : null;
+
+  for (let page = 1; page <= maxPages; page++) {
+    try {
+      let currentPageSize = pageSize;
+      if (totalLimit && allData.length + pageSize > totalLimit) {
+        currentPageSize = totalLimit - allData.length;
+      }
+      const response = await adapter.fetchPage(instructions, { page, pageSize: currentPageSize }, context);
+      const { items, totalFound: pageTotal } = adapter.normalize(response, instructions);
+      if (page === 1 && pageTotal !== null && pageTotal !== undefined) totalFound = pageTotal;
+      allData.push(...items);
+      if (totalLimit && allData.length >= totalLimit) break;
+      if (items.length === 0 || (shouldPaginate && items.length < currentPageSize)) break;
+    } catch (error) {
+      context.metrics.errors.push({ type: 'pagination_error', page, message: error.message, timestamp: new Date().toISOString() });
+      break;
+    }
+  }
+
+  return { data: allData, rawResponse: allData, totalFound, totalRetrieved: allData.length };
+}
+
+// --- Fixtures ---
+
+const noop = () => ({ items: [], totalFound: null });
+const singleApi = { key: 'single_api', label: 'Single API', description: 'One list endpoint', fetchPage: noop, normalize: noop };
+const twoStepApi = {
+  ...singleApi,
+  key: 'two_step_api',
+  label: 'Two-Step API',
+  description: 'List plus detail calls',
+  fetchDetail: noop,
+  usesDetailCalls: (instructions) => Boolean(instructions.detailConfig?.enabled)
+};
+
+function registryWithBuiltIns() {
+  const registry = createRegistry();
+  registry.registerSourceAdapter(singleApi);
+  registry.registerSourceAdapter(twoStepApi);
+  return registry;
+}
+
+/** Adapter serving `total` numbered items from memory, recording requested pages */
+function memoryAdapter(total, { failOnPage = null } = {}) {
+  const requests = [];
+  return {
+    key: 'memory',
+    requests,
+    fetchPage: async (instructions, { page, pageSize }) => {
+      requests.push({ page, pageSize });
+      if (page === failOnPage) throw new Error('503 Service Unavailable');
+      const start = (page - 1) * (instructions.paginationConfig?.pageSize || 10);
+      const ids = Array.from({ length: Math.max(0, Math.min(pageSize, total - start)) }, (_, i) => start + i + 1);
+      return { results: ids.map(id => ({ id })), count: total };
+    },
+    normalize: (response) => ({ items: response.results, totalFound: response.count })
+  };
+}
+
+const newContext = () => ({ metrics: { apiCalls: 0, retryAttempts: 0, errors: [] } });
+
+// --- Tests ---
+
+describe('Source adapter registry', () => {
+  test('looks up registered adapters by key', () => {
+    const registry = registryWithBuiltIns();
+    expect(registry.getSourceAdapter('two_step_api')).toBe(twoStepApi);
+    expect(() => registry.getSourceAdapter('grants_gov')).toThrow('Unknown source adapter: grants_gov');
+  });
+
+  test('lists adapters for the admin source form', () => {
+    expect(registryWithBuiltIns().listSourceAdapters()).toEqual([
+      { key: 'single_api', label: 'Single API', description: 'One list endpoint' },
+      { key: 'two_step_api', label: 'Two-Step API', description: 'List plus detail calls' }
+    ]);
+  });
+
+  test('rejects adapters without a key or fetch methods', () => {
+    const registry = createRegistry();
+    expect(() => registry.registerSourceAdapter({ fetchPage: noop, normalize: noop })).toThrow('requires a key');
+    expect(() => registry.registerSourceAdapter({ key: 'broken', fetchPage: noop }))
+      .toThrow('must implement paginate or fetchPage and normalize');
+  });
+
+  test('an adapter with its own paginate needs no fetchPage', () => {
+    const registry = createRegistry();
+    const custom = { key: 'feed', paginate: async () => ({ data: [] }) };
+    expect(registry.registerSourceAdapter(custom)).toBe(custom);
+  });
+
+  test('registering a key again replaces the adapter', () => {
+    const registry = registryWithBuiltIns();
+    const replacement = { ...singleApi, label: 'Patched' };
+    registry.registerSourceAdapter(replacement);
+    expect(registry.getSourceAdapter('single_api')).toBe(replacement);
+    expect(registry.listSourceAdapters()).toHaveLength(2);
+  });
+});
+
+describe('resolveSourceAdapter', () => {
+  const registry = registryWithBuiltIns();
+  const withDetail = { configurations: { detail_config: { enabled: true } } };
+
+  test('uses the adapter named by handler_type', () => {
+    expect(registry.resolveSourceAdapter({ handler_type: 'single_api', ...withDetail })).toBe(singleApi);
+    expect(registry.resolveSourceAdapter({ handler_type: 'two_step_api', configurations: {} })).toBe(twoStepApi);
+  });
+
+  test('legacy and missing handler types fall back on detail_config', () => {
+    for (const handler_type of ['standard', 'document', 'statePortal', null]) {
+      expect(registry.resolveSourceAdapter({ handler_type, ...withDetail })).toBe(twoStepApi);
+      expect(registry.resolveSourceAdapter({ handler_type, configurations: {} })).toBe(singleApi);
+    }
+  });
+
+  test('a source without configurations is single API', () => {
+    expect(registry.resolveSourceAdapter({ handler_type: 'standard' })).toBe(singleApi);
+  });
+});
+
+describe('usesDetailCalls', () => {
+  test('single API never makes detail calls', () => {
+    expect(usesDetailCalls(singleApi, { detailConfig: { enabled: true } })).toBe(false);
+  });
+
+  test('two-step API makes them only when detail calls are enabled', () => {
+    expect(usesDetailCalls(twoStepApi, { detailConfig: { enabled: true } })).toBe(true);
+    expect(usesDetailCalls(twoStepApi, { detailConfig: { enabled: false } })).toBe(false);
+  });
+
+  test('adapters with fetchDetail and no predicate always make them', () => {
+    expect(usesDetailCalls({ key: 'x', fetchDetail: noop }, {})).toBe(true);
+  });
+});
+
+describe('buildListRequest', () => {
+  const base = {
+    apiEndpoint: 'https://api.example.gov/grants',
+    requestConfig: { method: 'GET', headers: { Accept: 'application/json' } },
+    queryParameters: { status: 'open' }
+  };
+
+  test('adds offset pagination to the query string', () => {
+    const { url } = buildListRequest({
+      ...base,
+      paginationConfig: { enabled: true, type: 'offset', limitParam: 'limit', offsetParam: 'offset', pageSize: 25, startOffset: 100 }
+    }, 3);
+    expect(url).toBe('https://api.example.gov/grants?status=open&limit=25&offset=150');
+  });
+
+  test('adds page pagination to a POST body', () => {
+    const { url, fetchOptions } = buildListRequest({
+      ...base,
+      requestConfig: { method: 'POST' },
+      requestBody: { keyword: 'solar' },
+      paginationConfig: { enabled: true, type: 'page', pageParam: 'page', limitParam: 'rows', pageSize: 50, inBody: true }
+    }, 2, 20);
+    expect(url).toBe('https://api.example.gov/grants?status=open');
+    expect(JSON.parse(fetchOptions.body)).toEqual({ keyword: 'solar', page: 2, rows: 20 });
+    expect(fetchOptions.headers['Content-Type']).toBe('application/json');
+  });
+
+  test('body pagination without a request body is skipped, not a crash', () => {
+    const { fetchOptions } = buildListRequest({
+      ...base,
+      requestConfig: { method: 'POST' },
+      paginationConfig: { enabled: true, type: 'page', pageParam: 'page', inBody: true }
+    });
+    expect(fetchOptions.body).toBeUndefined();
+  });
+
+  test('does not mutate the configured headers', () => {
+    const instructions = { ...base, requestConfig: { method: 'POST', headers: {} }, requestBody: {} };
+    buildListRequest(instructions);
+    expect(instructions.requestConfig.headers).toEqual({});
+  });
+});
+
+describe('buildDetailRequest', () => {
+  test('substitutes {id} in the endpoint path', () => {
+    const { url } = buildDetailRequest('EPA R9/2026', { endpoint: 'https://api.example.gov/grants/{id}' });
+    expect(url).toBe('https://api.example.gov/grants/EPA%20R9%2F2026');
+  });
+
+  test('sends the id as a query parameter for GET', () => {
+    const { url } = buildDetailRequest(42, { endpoint: 'https://api.example.gov/detail', idParam: 'oppId' });
+    expect(url).toBe('https://api.example.gov/detail?oppId=42');
+  });
+
+  test('sends the id in the body for POST', () => {
+    const { url, fetchOptions } = buildDetailRequest(42, { endpoint: 'https://api.example.gov/detail', method: 'POST' });
+    expect(url).toBe('https://api.example.gov/detail');
+    expect(JSON.parse(fetchOptions.body)).toEqual({ id: 42 });
+  });
+});
+
+describe('paginateSource', () => {
+  const paginated = (pageSize, maxPages) => ({
+    paginationConfig: { enabled: true, type: 'page', pageSize, maxPages }
+  });
+
+  test('fetches pages until a short page', async () => {
+    const adapter = memoryAdapter(25);
+    const result = await paginateSource(adapter, paginated(10, 5), newContext());
+
+    expect(adapter.requests.map(r => r.page)).toEqual([1, 2, 3]);
+    expect(result.totalRetrieved).toBe(25);
+    expect(result.totalFound).toBe(25);
+  });
+
+  test('stops at maxPages * pageSize', async () => {
+    const adapter = memoryAdapter(100);
+    const result = await paginateSource(adapter, paginated(10, 2), newContext());
+
+    expect(result.data).toHaveLength(20);
+    expect(adapter.requests).toHaveLength(2);
+  });
+
+  test('without pagination fetches a single page', async () => {
+    const adapter = memoryAdapter(100);
+    await paginateSource(adapter, { paginationConfig: { enabled: false } }, newContext());
+    expect(adapter.requests).toEqual([{ page: 1, pageSize: 10 }]);
+  });
+
+  test('keeps earlier pages and records the error when a page fails', async () => {
+    const adapter = memoryAdapter(100, { failOnPage: 2 });
+    const context = newContext();
+    const result = await paginateSource(adapter, paginated(10, 5), context);
+
+    expect(result.data).toHaveLength(10);
+    expect(context.metrics.errors).toHaveLength(1);
+    expect(context.metrics.errors[0]).toMatchObject({ type: 'pagination_error', page: 2, message: '503 Service Unavailable' });
+  });
+
+  test('total found defaults to 0 when the API gives no count', async () => {
+    const adapter = { ...memoryAdapter(3), normalize: (response) => ({ items: response.results, totalFound: null }) };
+    const result = await paginateSource(adapter, {}, newContext());
+    expect(result.totalFound).toBe(0);
+    expect(result.totalRetrieved).toBe(3);
+  });
+});
@@ -0,0 +1,485 @@
+/**
+ * Pipeline: Source Auth Tests
+ *
+ * Tests the credential subsystem adapter requests go through:
+ * - Auth type normalization and splitting auth_details into config and secrets
+ * - Secret encryption round-trip and tamper detection
+ * - API key (header/query), bearer, basic and HMAC request authorization
+ * - OAuth2 client-credentials token caching, refresh before expiry,
+ *   shared in-flight token requests and replacement after a 401
+ * - Legacy plaintext secrets in auth_details
+ *
+ * Mirrors lib/utils/secretEncryption.js, lib/services/sourceCredentials.js and
+ * lib/agents-v2/core/sourceAdapters/auth.js.
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { createCipheriv, createDecipheriv, createHash, createHmac, randomBytes } from 'crypto';
+
+// --- Inline functions mirroring secretEncryption.js ---
+
+const HEX_KEY_PATTERN = /^[0-9a-f]{64}$/i;
+
+function getEncryptionKey(env) {
+  const raw = env.SOURCE_CREDENTIALS_KEY;
+  if (!raw) {
+    throw new Error('SOURCE_CREDENTIALS_KEY is not set');
+  }
+  const key = HEX_KEY_PATTERN.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error('SOURCE_CREDENTIALS_KEY must be 32 bytes, base64 or hex encoded');
+  }
+  return key;
+}
+
+function encryptSecret(plaintext, key) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64url'), cipher.getAuthTag().toString('base64url'), ciphertext.toString('base64url')].join('.');
+}
+
+function decryptSecret(payload, key) {
+  const [version, iv, tag, ciphertext] = String(payload).split('.');
+  if (version !== 'v1' || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unrecognized encrypted secret format');
+  }
+  const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+// --- Inline functions mirroring sourceCredentials.js ---
+
+const AUTH_TYPES = ['none', 'apikey', 'bearer', 'basic', 'oauth2_client_credentials', 'hmac'];
+
+const AUTH_SECRET_FIELDS = {
+  none: [],
+  apikey: ['value'],
+  bearer: ['token'],
+  basic: ['password'],
+  oauth2_client_credentials: ['clientSecret'],
+  hmac: ['secret']
+};
+
+const ALL_SECRET_FIELDS = new Set(Object.values(AUTH_SECRET_FIELDS).flat());
+
+function normalizeAuthType(authType) {
+  const type = ({ oauth: 'bearer' })[authType] || authType || 'none';
+  return AUTH_TYPES.includes(type) ? type : null;
+}
+
+function splitAuthDetails(authType, authDetails) {
+  const secretFields = AUTH_SECRET_FIELDS[normalizeAuthType(authType)] || [];
+  const config = {};
+  const secrets = {};
+  Object.entries(authDetails || {}).forEach(([field, value]) => {
+    if (!ALL_SECRET_FIELDS.has(field)) {
+      config[field] = value;
+    } else if (secretFields.includes(field) && typeof value === 'string' && value.trim() !== '') {
+      secrets[field] = value;
+    }
+  });
+  return { config, secrets };
+}
+
+function mergeSecrets(authType, submitted, existing) {
+  const merged = {};
+  AUTH_SECRET_FIELDS[normalizeAuthType(authType)].forEach((field) => {
+    const value = submitted[field] ?? existing[field];
+    if (value) merged[field] = value;
+  });
+  return merged;
+}
+
+// --- Inline functions mirroring sourceAdapters/auth.js ---
+
+function getSourceAuth(instructions, sourceId = null) {
+  const type = normalizeAuthType(instructions?.authMethod);
+  if (!type) {
+    throw new Error(`Unsupported auth type: ${instructions.authMethod}`);
+  }
+  if (type === 'none') return null;
+  return { type, sourceId, settings: instructions.authDetails || {} };
+}
+
+function resolveSecrets(auth, stored) {
+  const secrets = {};
+  const legacy = [];
+  for (const field of AUTH_SECRET_FIELDS[auth.type]) {
+    if (stored[field]) {
+      secrets[field] = stored[field];
+    } else if (auth.settings[field]) {
+      secrets[field] = auth.settings[field];
+      legacy.push(field);
+    } else {
+      throw new Error(`Missing ${field} credential for ${auth.type} auth`);
+    }
+  }
+  return { secrets, legacy };
+}
+
+function basicCredentials(username, password) {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+function signRequest({ method, url, body }, settings, secret, timestamp) {
+  const algorithm = settings.algorithm || 'sha256';
+  const encoding = settings.encoding || 'hex';
+  if (!['sha256', 'sha512'].includes(algorithm)) {
+    throw new Error(`Unsupported HMAC algorithm: ${algorithm}`);
+  }
+  const { pathname, search } = new URL(url);
+  const bodyHash = createHash('sha256').update(body || '').digest('hex');
+  const stringToSign = [(method || 'GET').toUpperCase(), pathname + search, String(timestamp), bodyHash].join('\n');
+  const headers = {
+    [settings.signatureHeader || 'X-Signature']: createHmac(algorithm, secret).update(stringToSign).digest(encoding),
+    [settings.timestampHeader || 'X-Timestamp']: String(timestamp)
+  };
+  if (settings.keyId) {
+    headers[settings.keyIdHeader || 'X-Key-Id'] = settings.keyId;
+  }
+  return headers;
+}
+
+function createTokenCache(requestToken, now) {
+  const cache = new Map();
+  const key = (auth) => [auth.sourceId, auth.settings.tokenUrl, auth.settings.clientId, auth.settings.scope, auth.settings.audience].join('|');
+
+  return {
+    async get(auth) {
+      const cacheKey = key(auth);
+      const cached = cache.get(cacheKey);
+      if (cached?.pending) return cached.pending;
+      if (cached && cached.expiresAt - 60 * 1000 > now()) return cached.accessToken;
+
+      const pending = requestToken(auth.settings)
+        .then((data) => {
+          const lifetime = Number(data.expires_in) || 3600;
+          cache.set(cacheKey, { accessToken: data.access_token, expiresAt: now() + lifetime * 1000 });
+          return data.access_token;
+        })
+        .catch((error) => {
+          cache.delete(cacheKey);
+          throw error;
+        });
+      cache.set(cacheKey, { pending });
+      return pending;
+    },
+    invalidate(auth) {
+      cache.delete(key(auth));
+    }
+  };
+}
+
+async function authorizeRequest(url, fetchOptions, auth, secrets, tokens) {
+  if (!auth) return { url, fetchOptions };
+  const { settings } = auth;
+  const headers = { ...fetchOptions.headers };
+  let requestUrl = url;
+
+  switch (auth.type) {
+    case 'apikey':
+      if (settings.in === 'query') {
+        const withKey = new URL(url);
+        withKey.searchParams.set(settings.key, secrets.value);
+        requestUrl = withKey.toString();
+      } else {
+        headers[settings.key] = secrets.value;
+      }
+      break;
+    case 'bearer': {
+      const scheme = settings.scheme || 'Bearer';
+      headers[settings.header || 'Authorization'] = scheme === 'none' ? secrets.token : `${scheme} ${secrets.token}`;
+      break;
+    }
+    case 'basic':
+      headers.Authorization = basicCredentials(settings.username || '', secrets.password);
+      break;
+    case 'oauth2_client_credentials':
+      headers.Authorization = `Bearer ${await tokens.get(auth)}`;
+      break;
+    case 'hmac':
+      Object.assign(headers, signRequest({ method: fetchOptions.method, url, body: fetchOptions.body }, settings, secrets.secret, 1760000000));
+      break;
+  }
+  return { url: requestUrl, fetchOptions: { ...fetchOptions, headers } };
+}
+
+// --- Tests ---
+
+const TEST_KEY = Buffer.alloc(32, 7);
+
+describe('Source Auth', () => {
+
+  describe('Auth Types', () => {
+    test('maps the legacy oauth type to bearer and a missing type to none', () => {
+      expect(normalizeAuthType('oauth')).toBe('bearer');
+      expect(normalizeAuthType(null)).toBe('none');
+      expect(normalizeAuthType('hmac')).toBe('hmac');
+    });
+
+    test('rejects unknown auth types', () => {
+      expect(normalizeAuthType('digest')).toBeNull();
+      expect(() => getSourceAuth({ authMethod: 'digest' })).toThrow('Unsupported auth type: digest');
+    });
+
+    test('sources without auth send requests unchanged', async () => {
+      const auth = getSourceAuth({ authMethod: 'none', authDetails: {} });
+      expect(auth).toBeNull();
+
+      const fetchOptions = { method: 'GET', headers: { Accept: 'application/json' } };
+      const request = await authorizeRequest('https://api.example.gov/programs', fetchOptions, auth);
+      expect(request.fetchOptions).toBe(fetchOptions);
+    });
+  });
+
+  describe('Splitting auth_details', () => {
+    test('moves the secret fields of the auth type out of the config', () => {
+      const { config, secrets } = splitAuthDetails('oauth2_client_credentials', {
+        tokenUrl: 'https://auth.example.com/token',
+        clientId: 'meridian',
+        clientSecret: 's3cret'
+      });
+
+      expect(config).toEqual({ tokenUrl: 'https://auth.example.com/token', clientId: 'meridian' });
+      expect(secrets).toEqual({ clientSecret: 's3cret' });
+    });
+
+    test('drops blank secrets so the stored ones are kept', () => {
+      const { secrets } = splitAuthDetails('basic', { username: 'svc', password: '  ' });
+      expect(secrets).toEqual({});
+      expect(mergeSecrets('basic', secrets, { password: 'stored' })).toEqual({ password: 'stored' });
+    });
+
+    test('never keeps another type\'s secret fields as config', () => {
+      const { config, secrets } = splitAuthDetails('bearer', { token: 't', value: 'api-key-left-over', header: 'X-Auth' });
+
+      expect(config).toEqual({ header: 'X-Auth' });
+      expect(secrets).toEqual({ token: 't' });
+    });
+
+    test('drops stored secrets the new auth type does not use', () => {
+      expect(mergeSecrets('hmac', { secret: 'sign' }, { value: 'old-api-key' })).toEqual({ secret: 'sign' });
+      expect(mergeSecrets('none', {}, { token: 'old' })).toEqual({});
+    });
+  });
+
+  describe('Secret Encryption', () => {
+    test('round-trips with a base64 or hex key', () => {
+      const secrets = JSON.stringify({ clientSecret: 's3cret' });
+      const base64Key = getEncryptionKey({ SOURCE_CREDENTIALS_KEY: TEST_KEY.toString('base64') });
+      const hexKey = getEncryptionKey({ SOURCE_CREDENTIALS_KEY: TEST_KEY.toString('hex') });
+
+      expect(base64Key.equals(hexKey)).toBe(true);
+      expect(decryptSecret(encryptSecret(secrets, base64Key), hexKey)).toBe(secrets);
+    });
+
+    test('produces a versioned payload without the plaintext', () => {
+      const payload = encryptSecret('s3cret', TEST_KEY);
+      expect(payload.split('.')).toHaveLength(4);
+      expect(payload.startsWith('v1.')).toBe(true);
+      expect(payload).not.toContain('s3cret');
+      expect(encryptSecret('s3cret', TEST_KEY)).not.toBe(payload);
+    });
+
+    test('rejects tampered payloads and other keys', () => {
+      const payload = encryptSecret('s3cret', TEST_KEY);
+      const [version, iv, tag, ciphertext] = payload.split('.');
+      const flipped = Buffer.from(ciphertext, 'base64url');
+      flipped[0] ^= 1;
+
+      expect(() => decryptSecret([version, iv, tag, flipped.toString('base64url')].join('.'), TEST_KEY)).toThrow();
+      expect(() => decryptSecret(payload, Buffer.alloc(32, 8))).toThrow();
+      expect(() => decryptSecret('plaintext', TEST_KEY)).toThrow('Unrecognized encrypted secret format');
+    });
+
+    test('requires a 32-byte key', () => {
+      expect(() => getEncryptionKey({})).toThrow('SOURCE_CREDENTIALS_KEY is not set');
+      expect(() => getEncryptionKey({ SOURCE_CREDENTIALS_KEY: Buffer.alloc(16).toString('base64') }))
+        .toThrow('must be 32 bytes');
+    });
+  });
+
+  describe('Request Authorization', () => {
+    test('puts an API key in a header', async () => {
+      const auth = getSourceAuth({ authMethod: 'apikey', authDetails: { key: 'X-API-Key', in: 'header' } });
+      const request = await authorizeRequest('https://api.example.gov/programs', { headers: { Accept: 'application/json' } }, auth, { value: 'k-123' });
+
+      expect(request.fetchOptions.headers).toEqual({ Accept: 'application/json', 'X-API-Key': 'k-123' });
+    });
+
+    test('puts an API key in the query string without touching other parameters', async () => {
+      const auth = getSourceAuth({ authMethod: 'apikey', authDetails: { key: 'api_key', in: 'query' } });
+      const request = await authorizeRequest('https://api.example.gov/programs?state=CA', { headers: {} }, auth, { value: 'k 123' });
+
+      expect(request.url).toBe('https://api.example.gov/programs?state=CA&api_key=k+123');
+      expect(request.fetchOptions.headers).toEqual({});
+    });
+
+    test('sends bearer tokens with the configured header and scheme', async () => {
+      const defaults = getSourceAuth({ authMethod: 'bearer', authDetails: {} });
+      const custom = getSourceAuth({ authMethod: 'bearer', authDetails: { header: 'X-Access-Token', scheme: 'none' } });
+
+      expect((await authorizeRequest('https://a.example/x', {}, defaults, { token: 't' })).fetchOptions.headers)
+        .toEqual({ Authorization: 'Bearer t' });
+      expect((await authorizeRequest('https://a.example/x', {}, custom, { token: 't' })).fetchOptions.headers)
+        .toEqual({ 'X-Access-Token': 't' });
+    });
+
+    test('sends basic credentials', async () => {
+      const auth = getSourceAuth({ authMethod: 'basic', authDetails: { username: 'svc' } });
+      const request = await authorizeRequest('https://a.example/x', {}, auth, { password: 'pw' });
+
+      expect(request.fetchOptions.headers.Authorization).toBe(`Basic ${Buffer.from('svc:pw').toString('base64')}`);
+    });
+
+    test('does not modify the request it is given', async () => {
+      const auth = getSourceAuth({ authMethod: 'bearer', authDetails: {} });
+      const fetchOptions = { method: 'GET', headers: { Accept: 'application/json' } };
+      await authorizeRequest('https://a.example/x', fetchOptions, auth, { token: 't' });
+
+      expect(fetchOptions.headers).toEqual({ Accept: 'application/json' });
+    });
+  });
+
+  describe('HMAC Signing', () => {
+    const request = {
+      method: 'post',
+      url: 'https://api.example.gov/v2/search?page=2',
+      body: JSON.stringify({ keyword: 'solar' })
+    };
+
+    test('signs method, path with query, timestamp and body hash', () => {
+      const headers = signRequest(request, { keyId: 'meridian' }, 'sign-secret', 1760000000);
+
+      const bodyHash = createHash('sha256').update(request.body).digest('hex');
+      const expected = createHmac('sha256', 'sign-secret')
+        .update(`POST\n/v2/search?page=2\n1760000000\n${bodyHash}`)
+        .digest('hex');
+
+      expect(headers).toEqual({
+        'X-Signature': expected,
+        'X-Timestamp': '1760000000',
+        'X-Key-Id': 'meridian'
+      });
+    });
+
+    test('hashes an empty body for GET requests', () => {
+      const headers = signRequest({ method: 'GET', url: 'https://a.example/list' }, {}, 's', 1);
+      const emptyHash = createHash('sha256').update('').digest('hex');
+
+      expect(headers['X-Signature']).toBe(createHmac('sha256', 's').update(`GET\n/list\n1\n${emptyHash}`).digest('hex'));
+      expect(headers).not.toHaveProperty('X-Key-Id');
+    });
+
+    test('supports SHA-512, base64 signatures and custom header names', () => {
+      const headers = signRequest(request, {
+        algorithm: 'sha512',
+        encoding: 'base64',
+        signatureHeader: 'X-Sig',
+        timestampHeader: 'X-Sig-Time',
+        keyId: 'k1',
+        keyIdHeader: 'X-Client'
+      }, 's', 5);
+
+      expect(Object.keys(headers)).toEqual(['X-Sig', 'X-Sig-Time', 'X-Client']);
+      expect(Buffer.from(headers['X-Sig'], 'base64')).toHaveLength(64);
+    });
+
+    test('falls back to defaults for blank form fields', () => {
+      const headers = signRequest(request, { algorithm: '', signatureHeader: '', timestampHeader: '' }, 's', 5);
+      expect(Object.keys(headers)).toEqual(['X-Signature', 'X-Timestamp']);
+    });
+
+    test('rejects unsupported algorithms', () => {
+      expect(() => signRequest(request, { algorithm: 'md5' }, 's', 5)).toThrow('Unsupported HMAC algorithm: md5');
+    });
+
+    test('the signature changes with the body', () => {
+      const a = signRequest(request, {}, 's', 5);
+      const b = signRequest({ ...request, body: '{}' }, {}, 's', 5);
+      expect(a['X-Signature']).not.toBe(b['X-Signature']);
+    });
+  });
+
+  describe('OAuth2 Client Credentials', () => {
+    const auth = getSourceAuth({
+      authMethod: 'oauth2_client_credentials',
+      authDetails: { tokenUrl: 'https://auth.example.com/token', clientId: 'meridian', scope: 'read' }
+    }, 'source-1');
+
+    let clock;
+    let issued;
+    let requestToken;
+    let tokens;
+
+    beforeEach(() => {
+      clock = 1_000_000;
+      issued = 0;
+      requestToken = vi.fn(async () => {
+        issued++;
+        return { access_token: `token-${issued}`, token_type: 'Bearer', expires_in: 3600 };
+      });
+      tokens = createTokenCache(requestToken, () => clock);
+    });
+
+    test('reuses the token until shortly before it expires', async () => {
+      expect(await tokens.get(auth)).toBe('token-1');
+      clock += 3600 * 1000 - 61 * 1000;
+      expect(await tokens.get(auth)).toBe('token-1');
+
+      clock += 2 * 1000;
+      expect(await tokens.get(auth)).toBe('token-2');
+      expect(requestToken).toHaveBeenCalledTimes(2);
+    });
+
+    test('concurrent requests share one token request', async () => {
+      const results = await Promise.all([tokens.get(auth), tokens.get(auth), tokens.get(auth)]);
+
+      expect(results).toEqual(['token-1', 'token-1', 'token-1']);
+      expect(requestToken).toHaveBeenCalledTimes(1);
+    });
+
+    test('a 401 invalidates the token and the resend gets a new one', async () => {
+      const first = await authorizeRequest('https://api.example.com/x', {}, auth, {}, tokens);
+      tokens.invalidate(auth);
+      const resent = await authorizeRequest('https://api.example.com/x', {}, auth, {}, tokens);
+
+      expect(first.fetchOptions.headers.Authorization).toBe('Bearer token-1');
+      expect(resent.fetchOptions.headers.Authorization).toBe('Bearer token-2');
+    });
+
+    test('a failed token request is not cached', async () => {
+      requestToken.mockRejectedValueOnce(new Error('OAuth2 token request failed: 503 Service Unavailable'));
+
+      await expect(tokens.get(auth)).rejects.toThrow('503');
+      expect(await tokens.get(auth)).toBe('token-1');
+    });
+
+    test('tokens are cached per source and client', async () => {
+      const other = { ...auth, sourceId: 'source-2' };
+      await tokens.get(auth);
+      await tokens.get(other);
+
+      expect(requestToken).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Legacy Plaintext Secrets', () => {
+    test('prefers the encrypted secret', () => {
+      const auth = getSourceAuth({ authMethod: 'bearer', authDetails: { token: 'plain' } }, 'source-1');
+      expect(resolveSecrets(auth, { token: 'encrypted' })).toEqual({ secrets: { token: 'encrypted' }, legacy: [] });
+    });
+
+    test('falls back to a secret left in auth_details', () => {
+      const auth = getSourceAuth({ authMethod: 'oauth', authDetails: { token: 'plain' } }, 'source-1');
+      expect(resolveSecrets(auth, {})).toEqual({ secrets: { token: 'plain' }, legacy: ['token'] });
+    });
+
+    test('fails when the secret is missing', () => {
+      const auth = getSourceAuth({ authMethod: 'hmac', authDetails: { keyId: 'k' } }, 'source-1');
+      expect(() => resolveSecrets(auth, {})).toThrow('Missing secret credential for hmac auth');
+    });
+  });
+});
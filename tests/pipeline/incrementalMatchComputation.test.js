@@ -0,0 +1,142 @@
+/**
+ * Incremental Match Computation Tests
+ *
+ * Tests the change-log driven mode of the match computation job: collapsing
+ * change events, planning non-overlapping passes, and reporting the speedup
+ * over a full scan.
+ * Uses inline functions mirroring lib/matching/computeMatches.js.
+ */
+
+import { describe, test, expect } from 'vitest';
+
+// --- Inline functions mirroring computeMatches.js incremental logic ---
+
+const CHANGE_LOG_LIMIT = 20000;
+
+function summarizeChanges(changes = []) {
+  const clientIds = new Set();
+  const opportunityIds = new Set();
+  for (const change of changes) {
+    if (change.entity_type === 'client') clientIds.add(change.entity_id);
+    else if (change.entity_type === 'opportunity') opportunityIds.add(change.entity_id);
+  }
+  return { clientIds: [...clientIds], opportunityIds: [...opportunityIds] };
+}
+
+function planIncrementalPasses(clientIds, opportunityIds) {
+  const passes = [];
+  if (clientIds.length) {
+    passes.push({ clientIds });
+  }
+  if (opportunityIds.length) {
+    passes.push({ opportunityIds, excludeClientIds: clientIds });
+  }
+  return passes;
+}
+
+/**
+ * Decide whether the run falls back to a full scan.
+ * Mirrors the checks at the top of computeIncrementalMatches().
+ */
+function shouldRunFull(baselineJob, changeCount) {
+  return !baselineJob || changeCount >= CHANGE_LOG_LIMIT;
+}
+
+/**
+ * Pairs evaluated by a set of passes, given total client/opportunity counts.
+ * Mirrors the clients × opportunities product of evaluateScope().
+ */
+function countPassPairs(passes, totalClients, totalOpportunities) {
+  return passes.reduce((sum, pass) => {
+    const clients = pass.clientIds?.length
+      ? pass.clientIds.length
+      : totalClients - (pass.excludeClientIds?.length || 0);
+    const opportunities = pass.opportunityIds?.length ? pass.opportunityIds.length : totalOpportunities;
+    return sum + clients * opportunities;
+  }, 0);
+}
+
+function computeSpeedup(fullScanPairs, pairsEvaluated) {
+  return fullScanPairs && pairsEvaluated > 0
+    ? Math.round((fullScanPairs / pairsEvaluated) * 10) / 10
+    : null;
+}
+
+// --- Tests ---
+
+describe('Incremental Matching: Change Summary', () => {
+  test('deduplicates repeated changes to the same entity', () => {
+    const result = summarizeChanges([
+      { entity_type: 'client', entity_id: 'c1' },
+      { entity_type: 'client', entity_id: 'c1' },
+      { entity_type: 'opportunity', entity_id: 'o1' },
+      { entity_type: 'opportunity', entity_id: 'o1' }
+    ]);
+    expect(result).toEqual({ clientIds: ['c1'], opportunityIds: ['o1'] });
+  });
+
+  test('coverage link changes arrive as opportunity changes', () => {
+    // log_match_change('opportunity', 'opportunity_id') on opportunity_coverage_areas
+    const result = summarizeChanges([{ entity_type: 'opportunity', entity_id: 'o2' }]);
+    expect(result.opportunityIds).toEqual(['o2']);
+    expect(result.clientIds).toEqual([]);
+  });
+
+  test('empty or missing change log yields no changes', () => {
+    expect(summarizeChanges([])).toEqual({ clientIds: [], opportunityIds: [] });
+    expect(summarizeChanges()).toEqual({ clientIds: [], opportunityIds: [] });
+  });
+});
+
+describe('Incremental Matching: Pass Planning', () => {
+  test('changed clients are evaluated against all opportunities', () => {
+    expect(planIncrementalPasses(['c1'], [])).toEqual([{ clientIds: ['c1'] }]);
+  });
+
+  test('changed opportunities skip clients already covered by the client pass', () => {
+    const passes = planIncrementalPasses(['c1'], ['o1']);
+    expect(passes).toHaveLength(2);
+    expect(passes[1]).toEqual({ opportunityIds: ['o1'], excludeClientIds: ['c1'] });
+  });
+
+  test('no changes means no passes', () => {
+    expect(planIncrementalPasses([], [])).toEqual([]);
+  });
+
+  test('passes never evaluate the same pair twice', () => {
+    const passes = planIncrementalPasses(['c1', 'c2'], ['o1']);
+    // 2 changed clients × 100 opps + (50 - 2) other clients × 1 changed opp
+    expect(countPassPairs(passes, 50, 100)).toBe(200 + 48);
+  });
+});
+
+describe('Incremental Matching: Full Scan Fallback', () => {
+  test('no completed baseline job runs a full scan', () => {
+    expect(shouldRunFull(null, 0)).toBe(true);
+  });
+
+  test('change log at the read limit runs a full scan', () => {
+    expect(shouldRunFull({ started_at: '2026-10-18T03:00:00Z' }, CHANGE_LOG_LIMIT)).toBe(true);
+  });
+
+  test('baseline with a small change log runs incrementally', () => {
+    expect(shouldRunFull({ started_at: '2026-10-18T03:00:00Z' }, 12)).toBe(false);
+  });
+});
+
+describe('Incremental Matching: Speedup Stats', () => {
+  test('speedup compares full scan pairs to evaluated pairs', () => {
+    const passes = planIncrementalPasses(['c1'], []);
+    const pairs = countPassPairs(passes, 500, 2000);
+    expect(pairs).toBe(2000);
+    expect(computeSpeedup(500 * 2000, pairs)).toBe(500);
+  });
+
+  test('speedup is null when nothing was evaluated', () => {
+    expect(computeSpeedup(1000000, 0)).toBeNull();
+  });
+
+  test('speedup is null when the full scan count is unavailable', () => {
+    expect(computeSpeedup(null, 100)).toBeNull();
+  });
+});